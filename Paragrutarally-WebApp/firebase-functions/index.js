@@ -1,15 +1,21 @@
 // functions/index.js - Callable Functions (2nd Gen)
-import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { onCall, onRequest, HttpsError } from 'firebase-functions/v2/https';
 import { setGlobalOptions } from 'firebase-functions/v2';
-import { onDocumentWritten } from 'firebase-functions/v2/firestore';
+import { onDocumentWritten, onDocumentWrittenWithAuthContext } from 'firebase-functions/v2/firestore';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
 import { initializeApp } from 'firebase-admin/app';
 import { getAuth } from 'firebase-admin/auth';
-import { getFirestore } from 'firebase-admin/firestore';
+import { getFirestore, FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { getStorage } from 'firebase-admin/storage';
+import { randomBytes, createHash, timingSafeEqual } from 'node:crypto';
+import { Buffer } from 'node:buffer';
+
+const FUNCTIONS_REGION = 'us-central1';
 
 // Set global options for 2nd gen functions
 setGlobalOptions({
     maxInstances: 10,
-    region: 'us-central1'
+    region: FUNCTIONS_REGION
 });
 
 // Initialize Firebase Admin SDK
@@ -18,17 +24,29 @@ initializeApp();
 const auth = getAuth();
 const firestore = getFirestore();
 
+// Keep in sync with USER_ROLES in src/schemas/userSchema.js and knownRoles() in firestore.rules
+const USER_ROLES = new Set(['admin', 'instructor', 'parent', 'host']);
+
+// `guest` accounts predate the host role and always had the same access
+const LEGACY_ROLE_ALIASES = { guest: 'host' };
+
+const normalizeUserRole = (role) => {
+    if (typeof role !== 'string') return null;
+    const trimmed = role.trim();
+    if (USER_ROLES.has(trimmed)) return trimmed;
+    return LEGACY_ROLE_ALIASES[trimmed] || null;
+};
+
 /**
  * Sync role stored in Firestore `users/{uid}.role` into an Auth custom claim `role`.
- * Storage rules rely on `request.auth.token.role`.
+ * Firestore and Storage rules rely on `request.auth.token.role`.
  */
 export const syncUserRoleClaim = onDocumentWritten('users/{userId}', async (event) => {
     const { userId } = event.params;
     const after = event.data?.after;
     const role = after?.exists ? after.data()?.role : null;
 
-    const allowedRoles = new Set(['admin', 'staff', 'instructor', 'parent', 'guest']);
-    const normalizedRole = typeof role === 'string' && allowedRoles.has(role) ? role : null;
+    const normalizedRole = normalizeUserRole(role);
 
     try {
         const userRecord = await auth.getUser(userId);
@@ -41,6 +59,10 @@ export const syncUserRoleClaim = onDocumentWritten('users/{userId}', async (even
             nextClaims.role = normalizedRole;
         }
 
+        if (existingClaims.role === nextClaims.role) {
+            return;
+        }
+
         await auth.setCustomUserClaims(userId, nextClaims);
     } catch (error) {
         if (error?.code === 'auth/user-not-found') {
@@ -51,9 +73,377 @@ export const syncUserRoleClaim = onDocumentWritten('users/{userId}', async (even
     }
 });
 
+/* ==================== AUDIT LOG ==================== */
+
+// Fields that change on almost every write and would drown out the real changes
+const AUDIT_IGNORED_FIELDS = {
+    '*': ['updatedAt'],
+    users: ['lastLogin'],
+    events: ['calendarSequence']
+};
+
+// Long strings (mostly base64 photos) are cut so an entry stays well under the document size limit
+const MAX_AUDIT_VALUE_LENGTH = 500;
+
+const AUDIT_LABELS = {
+    kids: (data) => [data.personalInfo?.firstName, data.personalInfo?.lastName].filter(Boolean).join(' ')
+        || data.participantNumber,
+    teams: (data) => data.name,
+    vehicles: (data) => [data.make, data.model, data.licensePlate && `(${data.licensePlate})`].filter(Boolean).join(' '),
+    events: (data) => data.name,
+    users: (data) => data.displayName || data.name || data.email
+};
+
+const isPlainMap = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value)
+    && typeof value.toDate !== 'function' && value.constructor === Object;
+
+/**
+ * Convert a Firestore value to plain data that can be compared and stored.
+ */
+const toAuditValue = (value) => {
+    if (value === undefined || value === null) return null;
+    if (typeof value.toDate === 'function') return value.toDate().toISOString();
+    if (typeof value.path === 'string' && typeof value.id === 'string') return value.path; // DocumentReference
+    if (Array.isArray(value)) return value.map(toAuditValue);
+    if (typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, toAuditValue(inner)]));
+    }
+    return value;
+};
+
+const truncateAuditValue = (value) => {
+    if (typeof value === 'string' && value.length > MAX_AUDIT_VALUE_LENGTH) {
+        return `${value.slice(0, MAX_AUDIT_VALUE_LENGTH)}…`;
+    }
+    if (Array.isArray(value)) return value.map(truncateAuditValue);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, truncateAuditValue(inner)]));
+    }
+    return value;
+};
+
+/**
+ * Field-level diff of two documents. Maps are walked into dot paths; arrays and other
+ * values are compared as a whole.
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+const diffDocuments = (before, after, prefix = '') => {
+    const changes = [];
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    [...keys].sort().forEach((key) => {
+        const field = prefix ? `${prefix}.${key}` : key;
+        const beforeValue = before?.[key];
+        const afterValue = after?.[key];
+
+        if (isPlainMap(beforeValue) && isPlainMap(afterValue)) {
+            changes.push(...diffDocuments(beforeValue, afterValue, field));
+            return;
+        }
+
+        const normalizedBefore = toAuditValue(beforeValue);
+        const normalizedAfter = toAuditValue(afterValue);
+        if (JSON.stringify(normalizedBefore) !== JSON.stringify(normalizedAfter)) {
+            changes.push({
+                field,
+                before: truncateAuditValue(normalizedBefore),
+                after: truncateAuditValue(normalizedAfter)
+            });
+        }
+    });
+
+    return changes;
+};
+
+const resolveAuditActor = async (event) => {
+    const { authType = 'unknown', authId = null } = event;
+
+    if (authType === 'system' || authType === 'service_account') {
+        return { uid: null, type: 'system', name: authId };
+    }
+    if (!authId) {
+        return { uid: null, type: authType, name: null };
+    }
+
+    try {
+        const userSnap = await firestore.collection('users').doc(authId).get();
+        const userData = userSnap.exists ? userSnap.data() : {};
+        return { uid: authId, type: 'user', name: userData.displayName || userData.name || userData.email || null };
+    } catch (error) {
+        console.warn('Could not resolve audit actor:', { authId, error: error?.message || error });
+        return { uid: authId, type: 'user', name: null };
+    }
+};
+
+/**
+ * Record one write to an audited collection in `auditLog`. The trigger event id is the
+ * entry id, so a retried delivery overwrites the same entry instead of adding another.
+ */
+const recordAuditEntry = async (collectionName, event) => {
+    const { docId } = event.params;
+    const before = event.data?.before?.exists ? event.data.before.data() : null;
+    const after = event.data?.after?.exists ? event.data.after.data() : null;
+
+    if (!before && !after) return;
+
+    const action = !before ? 'create' : !after ? 'delete' : 'update';
+    const ignored = [...AUDIT_IGNORED_FIELDS['*'], ...(AUDIT_IGNORED_FIELDS[collectionName] || [])];
+    const changes = diffDocuments(before, after)
+        .filter(({ field }) => !ignored.some((path) => field === path || field.startsWith(`${path}.`)));
+
+    if (action === 'update' && changes.length === 0) return;
+
+    const labelSource = after || before;
+    let label = AUDIT_LABELS[collectionName]?.(labelSource) || docId;
+    let loggedChanges = changes;
+
+    // A kid erased by purgeKid must not reappear in its own delete entry
+    if (action === 'delete' && collectionName === 'kids') {
+        const [erasureReport, mergeReport] = await Promise.all([
+            firestore.collection('kidErasureReports').doc(docId).get(),
+            firestore.collection('kidMergeReports').doc(docId).get()
+        ]);
+        if (erasureReport.exists) {
+            label = 'Erased kid';
+            loggedChanges = [];
+        } else if (mergeReport.exists) {
+            label = `${label} (merged into ${mergeReport.data().survivorLabel})`;
+        }
+    }
+
+    try {
+        const actor = await resolveAuditActor(event);
+        await firestore.collection('auditLog').doc(event.id).set({
+            collection: collectionName,
+            docId,
+            action,
+            label,
+            actor,
+            changes: loggedChanges,
+            changedFields: loggedChanges.map(({ field }) => field),
+            timestamp: FieldValue.serverTimestamp(),
+            eventTime: event.time || null
+        });
+    } catch (error) {
+        console.error('Failed to write audit entry:', { collectionName, docId, error: error?.message || error });
+        throw error;
+    }
+};
+
+export const auditKidWrites = onDocumentWrittenWithAuthContext('kids/{docId}', (event) => recordAuditEntry('kids', event));
+export const auditTeamWrites = onDocumentWrittenWithAuthContext('teams/{docId}', (event) => recordAuditEntry('teams', event));
+export const auditVehicleWrites = onDocumentWrittenWithAuthContext('vehicles/{docId}', (event) => recordAuditEntry('vehicles', event));
+export const auditEventWrites = onDocumentWrittenWithAuthContext('events/{docId}', (event) => recordAuditEntry('events', event));
+export const auditUserWrites = onDocumentWrittenWithAuthContext('users/{docId}', (event) => recordAuditEntry('users', event));
+
+/* ==================== USER DELETION ==================== */
+
+const DELETION_ACTIONS = new Set(['reassign', 'clear', 'anonymize']);
+const ANONYMIZED_USER_ID = 'deleted-user';
+const MAX_BATCH_WRITES = 400;
+
+/**
+ * Where a user's uid can be stored. Each entry is queried separately and the
+ * hits are merged per document, so one reference = one document.
+ */
+const USER_REFERENCE_FIELDS = [
+    { collection: 'kids', field: 'parentInfo.parentIds', isArray: true },
+    { collection: 'kids', field: 'parentInfo.parentId', isArray: false },
+    { collection: 'teams', field: 'instructorIds', isArray: true },
+    { collection: 'teams', field: 'teamLeaderId', isArray: false },
+    { collection: 'form_submissions', field: 'submitterId', isArray: false },
+    { collection: 'form_assignments', field: 'userId', isArray: false }
+];
+
+const getFieldValue = (data, path) =>
+    path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+const describeReference = (collectionName, docId, data) => {
+    switch (collectionName) {
+        case 'kids': {
+            const name = [data.personalInfo?.firstName, data.personalInfo?.lastName].filter(Boolean).join(' ');
+            return data.participantNumber ? `${name || docId} (#${data.participantNumber})` : (name || docId);
+        }
+        case 'teams':
+            return data.name || docId;
+        case 'form_submissions':
+        case 'form_assignments':
+            return data.formId ? `${data.formId}` : docId;
+        default:
+            return docId;
+    }
+};
+
+/**
+ * Find every document that points at the given user.
+ * @returns {Promise<Array>} One entry per document with the matching fields and current data
+ */
+const collectUserReferences = async (userId) => {
+    const snapshots = await Promise.all(USER_REFERENCE_FIELDS.map(({ collection, field, isArray }) =>
+        firestore.collection(collection).where(field, isArray ? 'array-contains' : '==', userId).get()
+    ));
+
+    const references = new Map();
+    snapshots.forEach((snapshot, index) => {
+        const { collection, field, isArray } = USER_REFERENCE_FIELDS[index];
+        snapshot.docs.forEach((docSnap) => {
+            const key = `${collection}/${docSnap.id}`;
+            if (!references.has(key)) {
+                references.set(key, {
+                    key,
+                    collection,
+                    docId: docSnap.id,
+                    label: describeReference(collection, docSnap.id, docSnap.data()),
+                    fields: [],
+                    data: docSnap.data()
+                });
+            }
+            references.get(key).fields.push({ path: field, isArray });
+        });
+    });
+
+    return [...references.values()];
+};
+
+const toReferencePreview = ({ key, collection, docId, label, fields }) => ({
+    key,
+    collection,
+    docId,
+    label,
+    fields: fields.map(field => field.path)
+});
+
+/**
+ * Build the update for one referencing document.
+ * - reassign: the uid is replaced by `reassignTo`
+ * - clear: the uid is removed from lists and single fields are left empty
+ * - anonymize: the uid is replaced by a placeholder so counts and history survive,
+ *   and contact details copied from the deleted user are blanked
+ */
+const buildReferenceUpdate = (reference, resolution, deletedUser) => {
+    const { action, reassignTo } = resolution;
+    const replacement = action === 'reassign' ? reassignTo : action === 'anonymize' ? ANONYMIZED_USER_ID : '';
+    const update = {};
+
+    reference.fields.forEach(({ path, isArray }) => {
+        if (isArray) {
+            const current = getFieldValue(reference.data, path) || [];
+            const next = current
+                .map(id => (id === deletedUser.id ? replacement : id))
+                .filter(Boolean);
+            update[path] = [...new Set(next)];
+        } else {
+            update[path] = replacement;
+        }
+    });
+
+    const parentEmail = reference.data.parentInfo?.email;
+    if (reference.collection === 'kids' && action === 'anonymize' && parentEmail
+        && parentEmail.toLowerCase() === deletedUser.email?.toLowerCase()) {
+        update['parentInfo.name'] = '';
+        update['parentInfo.email'] = '';
+        update['parentInfo.phone'] = '';
+    }
+
+    update.updatedAt = FieldValue.serverTimestamp();
+    return update;
+};
+
+/**
+ * Check that every reference has a valid resolution and that reassign targets exist.
+ */
+const validateResolutions = async (references, resolutions, userIdToDelete) => {
+    const missing = references.filter(reference => !resolutions[reference.key]);
+    if (missing.length > 0) {
+        throw new HttpsError(
+            'failed-precondition',
+            `Choose what to do with ${missing.length} linked record(s) before deleting. Preview the deletion again to see them.`
+        );
+    }
+
+    const targets = new Set();
+    references.forEach(({ key }) => {
+        const { action, reassignTo } = resolutions[key];
+        if (!DELETION_ACTIONS.has(action)) {
+            throw new HttpsError('invalid-argument', `Unknown action "${action}" for ${key}.`);
+        }
+        if (action === 'reassign') {
+            if (typeof reassignTo !== 'string' || !reassignTo || reassignTo === userIdToDelete) {
+                throw new HttpsError('invalid-argument', `Choose another user to reassign ${key} to.`);
+            }
+            targets.add(reassignTo);
+        }
+    });
+
+    const targetDocs = await Promise.all([...targets].map(id => firestore.collection('users').doc(id).get()));
+    const missingTarget = targetDocs.find(docSnap => !docSnap.exists);
+    if (missingTarget) {
+        throw new HttpsError('invalid-argument', `Reassign target ${missingTarget.id} does not exist.`);
+    }
+};
+
+const pickUserSummary = (data) => ({
+    email: data.email || null,
+    displayName: data.displayName || null,
+    name: data.name || null,
+    role: data.role || null
+});
+
+const commitInBatches = async (operations) => {
+    for (let i = 0; i < operations.length; i += MAX_BATCH_WRITES) {
+        const batch = firestore.batch();
+        operations.slice(i, i + MAX_BATCH_WRITES).forEach(apply => apply(batch));
+        await batch.commit();
+    }
+};
+
+/**
+ * Callable: list every document that references a user, so the admin can decide
+ * what happens to each one before deleting (Admin only).
+ */
+export const previewUserDeletion = onCall(
+    {
+        timeoutSeconds: 60,
+        memory: '256MiB'
+    },
+    async (request) => {
+        try {
+            const callingUserId = await assertCallerIsAdmin(request);
+            const { userId } = request.data || {};
+
+            if (typeof userId !== 'string' || !userId) {
+                throw new HttpsError('invalid-argument', 'Missing userId parameter.');
+            }
+            if (userId === callingUserId) {
+                throw new HttpsError('invalid-argument', 'Cannot delete your own account.');
+            }
+
+            const userDoc = await firestore.collection('users').doc(userId).get();
+            const references = await collectUserReferences(userId);
+
+            return {
+                success: true,
+                user: userDoc.exists ? { id: userId, ...pickUserSummary(userDoc.data()) } : { id: userId },
+                references: references.map(toReferencePreview)
+            };
+        } catch (error) {
+            console.error('Error in previewUserDeletion:', error);
+            if (error instanceof HttpsError) {
+                throw error;
+            }
+            throw new HttpsError('internal', 'Failed to load the records linked to this user.');
+        }
+    }
+);
+
 /**
  * Callable Cloud Function to delete a user (Admin only)
- * This automatically handles CORS and authentication
+ * This automatically handles CORS and authentication.
+ * Applies the admin's decision (`resolutions[referenceKey] = { action, reassignTo }`) to every
+ * document returned by previewUserDeletion, stores a `userDeletionReports` entry, then deletes
+ * the Auth account and the `users` doc. Safe to call again when deleting the Auth account
+ * failed: the retry completes the same report.
  */
 export const deleteUser = onCall(
     {
@@ -124,44 +514,135 @@ export const deleteUser = onCall(
             }
 
 
-            // Get user data before deletion for logging
-            let userToDeleteData = null;
-            try {
-                const userToDeleteDoc = await firestore
-                    .collection('users')
-                    .doc(userIdToDelete)
-                    .get();
+            const resolutions = request.data.resolutions || {};
+            if (typeof resolutions !== 'object' || Array.isArray(resolutions)) {
+                throw new HttpsError(
+                    'invalid-argument',
+                    'resolutions must map each linked record to an action.'
+                );
+            }
+
+            // Get user data before deletion for the report
+            const userToDeleteDoc = await firestore
+                .collection('users')
+                .doc(userIdToDelete)
+                .get();
+            const userToDeleteData = userToDeleteDoc.exists ? userToDeleteDoc.data() : {};
+
+            // Nothing is touched until every linked record has a valid decision
+            const references = await collectUserReferences(userIdToDelete);
+            await validateResolutions(references, resolutions, userIdToDelete);
+
+            const deletedUser = { id: userIdToDelete, email: userToDeleteData.email || null };
+            const reportEntries = references.map((reference) => {
+                const { action, reassignTo } = resolutions[reference.key];
+                return {
+                    collection: reference.collection,
+                    docId: reference.docId,
+                    label: reference.label,
+                    fields: reference.fields.map(field => field.path),
+                    action,
+                    reassignedTo: action === 'reassign' ? reassignTo : null
+                };
+            });
 
-                if (userToDeleteDoc.exists) {
-                    userToDeleteData = userToDeleteDoc.data();
+            const operations = references.map(reference => (batch) => batch.update(
+                firestore.collection(reference.collection).doc(reference.docId),
+                buildReferenceUpdate(reference, resolutions[reference.key], deletedUser)
+            ));
+
+            // Pending invites for this account can no longer be redeemed
+            const invitesSnapshot = await firestore
+                .collection('userInvites')
+                .where('uid', '==', userIdToDelete)
+                .where('status', '==', 'pending')
+                .get();
+            invitesSnapshot.docs.forEach((inviteDoc) => {
+                operations.push(batch => batch.update(inviteDoc.ref, {
+                    status: 'revoked',
+                    tokenHash: null,
+                    revokedBy: callingUserId,
+                    revokedAt: FieldValue.serverTimestamp()
+                }));
+            });
+
+            // A deletion whose Auth account could not be deleted left its report waiting for it
+            const pendingReports = await firestore
+                .collection('userDeletionReports')
+                .where('deletedUserId', '==', userIdToDelete)
+                .where('authAccountDeleted', '==', null)
+                .limit(1)
+                .get();
+            const pendingReport = pendingReports.empty ? null : pendingReports.docs[0];
+
+            const reportRef = pendingReport ? pendingReport.ref : firestore.collection('userDeletionReports').doc();
+            const summary = { reassign: 0, clear: 0, anonymize: 0 };
+            reportEntries.forEach(entry => { summary[entry.action] += 1; });
+
+            if (pendingReport) {
+                // Records linked since the first attempt join its report
+                if (reportEntries.length > 0) {
+                    operations.push(batch => batch.update(reportRef, {
+                        references: FieldValue.arrayUnion(...reportEntries),
+                        'summary.reassign': FieldValue.increment(summary.reassign),
+                        'summary.clear': FieldValue.increment(summary.clear),
+                        'summary.anonymize': FieldValue.increment(summary.anonymize)
+                    }));
                 }
-            } catch (error) {
+                if (!invitesSnapshot.empty) {
+                    operations.push(batch => batch.update(reportRef, {
+                        revokedInviteIds: FieldValue.arrayUnion(...invitesSnapshot.docs.map(inviteDoc => inviteDoc.id))
+                    }));
+                }
+            } else {
+                operations.push(batch => batch.set(reportRef, {
+                    deletedUserId: userIdToDelete,
+                    deletedUser: pickUserSummary(userToDeleteData),
+                    deletedBy: callingUserId,
+                    deletedAt: FieldValue.serverTimestamp(),
+                    // Set once the Auth account is gone
+                    authAccountDeleted: null,
+                    references: reportEntries,
+                    summary,
+                    revokedInviteIds: invitesSnapshot.docs.map(inviteDoc => inviteDoc.id)
+                }));
             }
 
-            // Delete user from Firebase Authentication
+            // Linked records first, then the Auth account, then the profile: if deleting the
+            // account fails the user is still listed, and deleting them again finds no linked
+            // records left, only retries the account and completes the same report
+            await commitInBatches(operations);
+
+            let authAccountDeleted = true;
             try {
                 await auth.deleteUser(userIdToDelete);
             } catch (authError) {
 
                 // If user doesn't exist in auth, that's okay
                 if (authError.code === 'auth/user-not-found') {
+                    authAccountDeleted = false;
                 } else {
                     console.error(`❌ Failed to delete auth user ${userIdToDelete}:`, authError.message);
                     throw new HttpsError(
                         'internal',
-                        `Failed to delete authentication account: ${authError.message}`
+                        `Linked records were updated, but the sign-in account could not be deleted: ${authError.message}. Delete the user again to retry.`
                     );
                 }
             }
 
-
+            const finalBatch = firestore.batch();
+            finalBatch.delete(firestore.collection('users').doc(userIdToDelete));
+            finalBatch.update(reportRef, { authAccountDeleted });
+            await finalBatch.commit();
 
             // Return success
             return {
                 success: true,
-                message: 'User authentication account deleted successfully.',
+                message: 'User deleted and linked records updated.',
                 deletedUserId: userIdToDelete,
-                deletedUserEmail: userToDeleteData?.email || null
+                deletedUserEmail: userToDeleteData.email || null,
+                reportId: reportRef.id,
+                summary
             };
 
         } catch (error) {
@@ -272,3 +753,1841 @@ export const healthCheck = onCall(
         };
     }
 );
+
+/* ==================== USER INVITES ==================== */
+
+const INVITE_TTL_DAYS = 7;
+const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * Throw unless the calling user has an admin profile.
+ * @returns {Promise<string>} The caller's uid
+ */
+const assertCallerIsAdmin = async (request) => {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'User must be authenticated.');
+    }
+
+    const callingUserDoc = await firestore.collection('users').doc(request.auth.uid).get();
+    if (!callingUserDoc.exists || callingUserDoc.data().role !== 'admin') {
+        throw new HttpsError('permission-denied', 'Admin access required.');
+    }
+
+    return request.auth.uid;
+};
+
+const hashInviteToken = (token) => createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create a fresh single-use token. Only its hash is stored, the raw token is
+ * returned once to the admin so it can be shared with the invitee.
+ */
+const issueInviteToken = () => {
+    const token = randomBytes(32).toString('base64url');
+    const expiresAt = Timestamp.fromMillis(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+    return { token, tokenHash: hashInviteToken(token), expiresAt };
+};
+
+const tokenMatches = (token, tokenHash) => {
+    if (typeof token !== 'string' || typeof tokenHash !== 'string') return false;
+    const candidate = Buffer.from(hashInviteToken(token), 'hex');
+    const expected = Buffer.from(tokenHash, 'hex');
+    return candidate.length === expected.length && timingSafeEqual(candidate, expected);
+};
+
+/**
+ * Callable: create an Auth account, role claim, `users` profile and a pending invite (Admin only).
+ * The account has no usable password until the invite is redeemed.
+ */
+export const createUserForAdmin = onCall(
+    {
+        timeoutSeconds: 60,
+        memory: '256MiB'
+    },
+    async (request) => {
+        try {
+            const callingUserId = await assertCallerIsAdmin(request);
+
+            const { displayName, name, phone, role } = request.data || {};
+            const email = typeof request.data?.email === 'string' ? request.data.email.trim().toLowerCase() : '';
+
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+                throw new HttpsError('invalid-argument', 'A valid email address is required.');
+            }
+            if (typeof displayName !== 'string' || !displayName.trim()) {
+                throw new HttpsError('invalid-argument', 'Missing displayName parameter.');
+            }
+            if (!USER_ROLES.has(role)) {
+                throw new HttpsError('invalid-argument', 'Invalid role.');
+            }
+
+            let userRecord;
+            try {
+                userRecord = await auth.createUser({
+                    email,
+                    displayName: displayName.trim(),
+                    emailVerified: false,
+                    disabled: false
+                });
+            } catch (authError) {
+                if (authError.code === 'auth/email-already-exists') {
+                    throw new HttpsError('already-exists', 'This email is already registered.');
+                }
+                if (authError.code === 'auth/invalid-email') {
+                    throw new HttpsError('invalid-argument', 'Invalid email address.');
+                }
+                throw authError;
+            }
+
+            const uid = userRecord.uid;
+
+            try {
+                await auth.setCustomUserClaims(uid, { role });
+
+                const { token, tokenHash, expiresAt } = issueInviteToken();
+                const inviteRef = firestore.collection('userInvites').doc();
+                const batch = firestore.batch();
+
+                batch.set(firestore.collection('users').doc(uid), {
+                    displayName: displayName.trim(),
+                    name: typeof name === 'string' ? name.trim() : '',
+                    email,
+                    phone: typeof phone === 'string' ? phone.replace(/\D/g, '') : '',
+                    role,
+                    authProvider: 'email',
+                    inviteStatus: 'pending',
+                    createdAt: FieldValue.serverTimestamp(),
+                    updatedAt: FieldValue.serverTimestamp()
+                });
+
+                batch.set(inviteRef, {
+                    uid,
+                    email,
+                    displayName: displayName.trim(),
+                    role,
+                    tokenHash,
+                    status: 'pending',
+                    expiresAt,
+                    sendCount: 1,
+                    createdBy: callingUserId,
+                    createdAt: FieldValue.serverTimestamp(),
+                    lastSentAt: FieldValue.serverTimestamp()
+                });
+
+                await batch.commit();
+
+                return {
+                    success: true,
+                    uid,
+                    inviteId: inviteRef.id,
+                    inviteToken: token,
+                    expiresAt: expiresAt.toMillis()
+                };
+            } catch (error) {
+                // Don't leave a half-created account behind.
+                await auth.deleteUser(uid).catch(() => {});
+                throw error;
+            }
+        } catch (error) {
+            console.error('Error in createUserForAdmin function:', error);
+
+            if (error instanceof HttpsError) {
+                throw error;
+            }
+
+            throw new HttpsError('internal', 'Failed to create user.');
+        }
+    }
+);
+
+/**
+ * Callable: rotate the token of a pending invite and extend its expiry (Admin only).
+ * The previous link stops working.
+ */
+export const resendUserInvite = onCall(
+    {
+        timeoutSeconds: 60,
+        memory: '256MiB'
+    },
+    async (request) => {
+        try {
+            const callingUserId = await assertCallerIsAdmin(request);
+
+            const { inviteId } = request.data || {};
+            if (!inviteId || typeof inviteId !== 'string') {
+                throw new HttpsError('invalid-argument', 'Missing inviteId parameter.');
+            }
+
+            const inviteRef = firestore.collection('userInvites').doc(inviteId);
+            const { token, tokenHash, expiresAt } = issueInviteToken();
+
+            await firestore.runTransaction(async (transaction) => {
+                const inviteDoc = await transaction.get(inviteRef);
+                if (!inviteDoc.exists) {
+                    throw new HttpsError('not-found', 'Invite not found.');
+                }
+                if (inviteDoc.data().status !== 'pending') {
+                    throw new HttpsError('failed-precondition', 'Only pending invites can be resent.');
+                }
+
+                transaction.update(inviteRef, {
+                    tokenHash,
+                    expiresAt,
+                    sendCount: FieldValue.increment(1),
+                    lastSentAt: FieldValue.serverTimestamp(),
+                    lastSentBy: callingUserId
+                });
+            });
+
+            return {
+                success: true,
+                inviteId,
+                inviteToken: token,
+                expiresAt: expiresAt.toMillis()
+            };
+        } catch (error) {
+            console.error('Error in resendUserInvite function:', error);
+
+            if (error instanceof HttpsError) {
+                throw error;
+            }
+
+            throw new HttpsError('internal', 'Failed to resend invite.');
+        }
+    }
+);
+
+/**
+ * Callable: revoke a pending invite and disable the not-yet-activated account (Admin only).
+ */
+export const revokeUserInvite = onCall(
+    {
+        timeoutSeconds: 60,
+        memory: '256MiB'
+    },
+    async (request) => {
+        try {
+            const callingUserId = await assertCallerIsAdmin(request);
+
+            const { inviteId } = request.data || {};
+            if (!inviteId || typeof inviteId !== 'string') {
+                throw new HttpsError('invalid-argument', 'Missing inviteId parameter.');
+            }
+
+            const inviteRef = firestore.collection('userInvites').doc(inviteId);
+
+            const invite = await firestore.runTransaction(async (transaction) => {
+                const inviteDoc = await transaction.get(inviteRef);
+                if (!inviteDoc.exists) {
+                    throw new HttpsError('not-found', 'Invite not found.');
+                }
+                if (inviteDoc.data().status !== 'pending') {
+                    throw new HttpsError('failed-precondition', 'Only pending invites can be revoked.');
+                }
+
+                transaction.update(inviteRef, {
+                    status: 'revoked',
+                    tokenHash: null,
+                    revokedAt: FieldValue.serverTimestamp(),
+                    revokedBy: callingUserId
+                });
+                transaction.set(firestore.collection('users').doc(inviteDoc.data().uid), {
+                    inviteStatus: 'revoked',
+                    updatedAt: FieldValue.serverTimestamp()
+                }, { merge: true });
+
+                return inviteDoc.data();
+            });
+
+            try {
+                await auth.updateUser(invite.uid, { disabled: true });
+            } catch (authError) {
+                if (authError.code !== 'auth/user-not-found') {
+                    throw authError;
+                }
+            }
+
+            return { success: true, inviteId };
+        } catch (error) {
+            console.error('Error in revokeUserInvite function:', error);
+
+            if (error instanceof HttpsError) {
+                throw error;
+            }
+
+            throw new HttpsError('internal', 'Failed to revoke invite.');
+        }
+    }
+);
+
+/**
+ * Callable: redeem an invite by choosing a password. Does not require authentication -
+ * possession of the token is the credential. Each token works exactly once.
+ */
+export const redeemUserInvite = onCall(
+    {
+        timeoutSeconds: 60,
+        memory: '256MiB'
+    },
+    async (request) => {
+        try {
+            const { inviteId, token, password } = request.data || {};
+
+            if (!inviteId || typeof inviteId !== 'string' || !token) {
+                throw new HttpsError('invalid-argument', 'This invite link is invalid.');
+            }
+            if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+                throw new HttpsError('invalid-argument', `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
+            }
+
+            const inviteRef = firestore.collection('userInvites').doc(inviteId);
+
+            // Claim the invite first so two concurrent redemptions can't both succeed.
+            const invite = await firestore.runTransaction(async (transaction) => {
+                const inviteDoc = await transaction.get(inviteRef);
+                const data = inviteDoc.exists ? inviteDoc.data() : null;
+
+                if (!data || data.status !== 'pending' || !tokenMatches(token, data.tokenHash)) {
+                    throw new HttpsError('not-found', 'This invite link is invalid or has already been used.');
+                }
+                if (data.expiresAt.toMillis() < Date.now()) {
+                    throw new HttpsError('deadline-exceeded', 'This invite link has expired. Please ask an administrator to resend it.');
+                }
+
+                transaction.update(inviteRef, {
+                    status: 'accepted',
+                    tokenHash: null,
+                    acceptedAt: FieldValue.serverTimestamp()
+                });
+
+                return data;
+            });
+
+            try {
+                await auth.updateUser(invite.uid, {
+                    password,
+                    emailVerified: true,
+                    disabled: false
+                });
+            } catch (authError) {
+                // Give the invite back so the user can try again with the same link.
+                await inviteRef.update({
+                    status: 'pending',
+                    tokenHash: invite.tokenHash,
+                    acceptedAt: FieldValue.delete()
+                });
+
+                if (authError.code === 'auth/invalid-password') {
+                    throw new HttpsError('invalid-argument', 'Password is too weak.');
+                }
+                throw authError;
+            }
+
+            await firestore.collection('users').doc(invite.uid).set({
+                inviteStatus: 'accepted',
+                updatedAt: FieldValue.serverTimestamp()
+            }, { merge: true });
+
+            return {
+                success: true,
+                email: invite.email
+            };
+        } catch (error) {
+            console.error('Error in redeemUserInvite function:', error);
+
+            if (error instanceof HttpsError) {
+                throw error;
+            }
+
+            throw new HttpsError('internal', 'Failed to activate account.');
+        }
+    }
+);
+
+/* ==================== KID ERASURE ==================== */
+
+const KID_PHOTO_PREFIX = 'kidsPFP/';
+// Stands in for the family of an erased kid without a parent account; see getFamilyId in src/schemas/paymentSchema.js
+const ERASED_KID_FAMILY_ID = 'erased-kid';
+
+const getKidParentIds = (kid) => {
+    const parentInfo = kid.parentInfo || {};
+    return [...new Set([
+        ...(Array.isArray(parentInfo.parentIds) ? parentInfo.parentIds : []),
+        ...(parentInfo.parentId ? [parentInfo.parentId] : [])
+    ])];
+};
+
+// Keep in sync with getFamilyId in src/schemas/paymentSchema.js
+const getKidFamilyId = (kidId, kid) => {
+    const parentInfo = kid.parentInfo || {};
+    return (Array.isArray(parentInfo.parentIds) && parentInfo.parentIds[0]) || parentInfo.parentId || `kid-${kidId}`;
+};
+
+/**
+ * Callable: permanently erase an archived kid (Admin only).
+ * This is the privacy-erasure path - archiving is the normal way to retire a kid.
+ * Deletes the kid document, its photos, medical profile, event registrations, race results,
+ * charges, participant number reservation and change history, and removes the kid's id from
+ * teams, vehicles, form submissions and heat schedules. Notifications about the kid are deleted,
+ * or lose the kid's name when they also name siblings. Payments stay for the books: the family's
+ * notes on events the kid was charged for are cleared, and a family that was only the kid (no
+ * parent account) is anonymized. A `kidErasureReports/{kidId}` entry without personal details
+ * records what was removed.
+ */
+export const purgeKid = onCall(
+    {
+        timeoutSeconds: 300,
+        memory: '512MiB',
+        maxInstances: 5
+    },
+    async (request) => {
+        try {
+            const callingUserId = await assertCallerIsAdmin(request);
+            const { kidId } = request.data || {};
+
+            if (typeof kidId !== 'string' || !kidId) {
+                throw new HttpsError('invalid-argument', 'Missing kidId parameter.');
+            }
+
+            const kidRef = firestore.collection('kids').doc(kidId);
+            const kidDoc = await kidRef.get();
+            if (!kidDoc.exists) {
+                throw new HttpsError('not-found', 'Kid not found.');
+            }
+            if (kidDoc.data().archived !== true) {
+                throw new HttpsError('failed-precondition', 'Archive the kid before erasing it.');
+            }
+
+            const kid = kidDoc.data();
+            const kidName = [kid.personalInfo?.firstName, kid.personalInfo?.lastName].filter(Boolean).join(' ');
+            const parentIds = getKidParentIds(kid);
+            const familyId = getKidFamilyId(kidId, kid);
+
+            const medicalProfileRef = firestore.collection('kidMedicalProfiles').doc(kidId);
+            const [
+                teams, vehicles, submissions, registrations, reservations, auditEntries, medicalProfile,
+                raceResults, heatSchedules, charges, familyPayments, kidNotifications, ...parentNotifications
+            ] = await Promise.all([
+                firestore.collection('teams').where('kidIds', 'array-contains', kidId).get(),
+                firestore.collection('vehicles').where('currentKidIds', 'array-contains', kidId).get(),
+                firestore.collection('form_submissions').where('kidIds', 'array-contains', kidId).get(),
+                firestore.collection('eventParticipants').where('kidId', '==', kidId).get(),
+                firestore.collection('participantNumbers').where('kidId', '==', kidId).get(),
+                firestore.collection('auditLog').where('collection', '==', 'kids').where('docId', '==', kidId).get(),
+                medicalProfileRef.get(),
+                firestore.collection('raceResults').where('kidId', '==', kidId).get(),
+                // Heats keep their kids in nested lists no query reaches; there is one schedule per event
+                firestore.collection('heatSchedules').get(),
+                firestore.collection('eventCharges').where('kidId', '==', kidId).get(),
+                firestore.collection('eventPayments').where('familyId', '==', familyId).get(),
+                firestore.collection('notifications').where('kidId', '==', kidId).get(),
+                // Cancellation notices name the kids in one line, without their ids
+                ...inChunks(parentIds).map(userIds => firestore.collection('notifications')
+                    .where('userId', 'in', userIds)
+                    .where('type', '==', 'eventCancelled')
+                    .get())
+            ]);
+
+            const scheduleUpdates = heatSchedules.docs.flatMap(scheduleDoc => {
+                const schedule = scheduleDoc.data();
+                const heats = Array.isArray(schedule.heats) ? schedule.heats : [];
+                const unscheduledKidIds = Array.isArray(schedule.unscheduledKidIds) ? schedule.unscheduledKidIds : [];
+                const inSchedule = unscheduledKidIds.includes(kidId)
+                    || heats.some(heat => (heat.kidIds || []).includes(kidId));
+                return inSchedule ? [{
+                    ref: scheduleDoc.ref,
+                    heats: heats.map(heat => ({ ...heat, kidIds: (heat.kidIds || []).filter(id => id !== kidId) })),
+                    unscheduledKidIds: unscheduledKidIds.filter(id => id !== kidId)
+                }] : [];
+            });
+
+            const chargedEventIds = new Set(charges.docs.map(chargeDoc => chargeDoc.data().eventId));
+            const paymentUpdates = familyPayments.docs.flatMap(paymentDoc => {
+                const payment = paymentDoc.data();
+                if (familyId === `kid-${kidId}`) {
+                    return [{ ref: paymentDoc.ref, update: { familyId: ERASED_KID_FAMILY_ID, familyName: '', note: '' } }];
+                }
+                return chargedEventIds.has(payment.eventId) && payment.note
+                    ? [{ ref: paymentDoc.ref, update: { note: '' } }]
+                    : [];
+            });
+
+            const notificationUpdates = [];
+            const notificationIds = new Set(kidNotifications.docs.map(notificationDoc => notificationDoc.id));
+            parentNotifications.flatMap(snapshot => snapshot.docs).forEach(notificationDoc => {
+                if (!kidName || notificationIds.has(notificationDoc.id)) return;
+                const names = (notificationDoc.data().kidNames || '').split(', ').filter(Boolean);
+                if (!names.includes(kidName)) return;
+                notificationIds.add(notificationDoc.id);
+                const otherNames = names.filter(name => name !== kidName);
+                notificationUpdates.push(otherNames.length > 0
+                    ? batch => batch.update(notificationDoc.ref, { kidNames: otherNames.join(', ') })
+                    : batch => batch.delete(notificationDoc.ref));
+            });
+
+            // Photos are stored as kidsPFP/{kidId}_{timestamp}.{ext}
+            let photosDeleted = 0;
+            try {
+                const [files] = await getStorage().bucket().getFiles({ prefix: `${KID_PHOTO_PREFIX}${kidId}_` });
+                await Promise.all(files.map(file => file.delete({ ignoreNotFound: true })));
+                photosDeleted = files.length;
+            } catch (storageError) {
+                console.error('Failed to delete kid photos:', { kidId, error: storageError?.message || storageError });
+                throw new HttpsError('internal', 'Failed to delete the kid\'s photos. Nothing else was erased.');
+            }
+
+            const operations = [
+                ...teams.docs.map(teamDoc => (batch) => batch.update(teamDoc.ref, {
+                    kidIds: FieldValue.arrayRemove(kidId),
+                    updatedAt: FieldValue.serverTimestamp()
+                })),
+                ...vehicles.docs.map(vehicleDoc => (batch) => batch.update(vehicleDoc.ref, {
+                    currentKidIds: FieldValue.arrayRemove(kidId),
+                    updatedAt: FieldValue.serverTimestamp()
+                })),
+                ...submissions.docs.map(submissionDoc => (batch) => batch.update(submissionDoc.ref, {
+                    kidIds: FieldValue.arrayRemove(kidId)
+                })),
+                ...scheduleUpdates.map(({ ref, heats, unscheduledKidIds }) => (batch) => batch.update(ref, {
+                    heats,
+                    unscheduledKidIds,
+                    updatedAt: FieldValue.serverTimestamp()
+                })),
+                ...paymentUpdates.map(({ ref, update }) => (batch) => batch.update(ref, update)),
+                ...notificationUpdates,
+                ...[
+                    ...registrations.docs,
+                    ...reservations.docs,
+                    ...auditEntries.docs,
+                    ...raceResults.docs,
+                    ...charges.docs,
+                    ...kidNotifications.docs
+                ].map(linkedDoc => (batch) => batch.delete(linkedDoc.ref))
+            ];
+            if (medicalProfile.exists) {
+                operations.push(batch => batch.delete(medicalProfileRef));
+            }
+
+            const summary = {
+                teams: teams.size,
+                vehicles: vehicles.size,
+                formSubmissions: submissions.size,
+                eventRegistrations: registrations.size,
+                participantNumbers: reservations.size,
+                auditEntries: auditEntries.size,
+                medicalProfiles: medicalProfile.exists ? 1 : 0,
+                raceResults: raceResults.size,
+                heatSchedules: scheduleUpdates.length,
+                charges: charges.size,
+                payments: paymentUpdates.length,
+                notifications: notificationIds.size,
+                photos: photosDeleted
+            };
+
+            // The report goes in with the kid's delete, so the audit trigger can see it
+            const reportRef = firestore.collection('kidErasureReports').doc(kidId);
+            operations.push(batch => batch.delete(kidRef));
+            operations.push(batch => batch.set(reportRef, {
+                kidId,
+                erasedBy: callingUserId,
+                erasedAt: FieldValue.serverTimestamp(),
+                summary
+            }));
+
+            await commitInBatches(operations);
+
+            return {
+                success: true,
+                reportId: reportRef.id,
+                summary
+            };
+        } catch (error) {
+            console.error('Error in purgeKid function:', error);
+
+            if (error instanceof HttpsError) {
+                throw error;
+            }
+
+            throw new HttpsError('internal', 'Failed to erase the kid.');
+        }
+    }
+);
+
+/* ==================== KID MERGE ==================== */
+
+// Keep in sync with KID_MERGE_FIELDS in src/utils/kidDuplicateUtils.js
+const MERGEABLE_KID_FIELDS = [
+    'participantNumber',
+    'personalInfo.firstName',
+    'personalInfo.lastName',
+    'personalInfo.dateOfBirth',
+    'personalInfo.address',
+    'personalInfo.capabilities',
+    'personalInfo.announcersNotes',
+    'personalInfo.photo',
+    'parentInfo.name',
+    'parentInfo.email',
+    'parentInfo.phone',
+    'parentInfo.grandparentsInfo.names',
+    'parentInfo.grandparentsInfo.phone',
+    'instructorId',
+    'teamId',
+    'signedDeclaration',
+    'signedFormStatus',
+    'additionalComments'
+];
+const KID_COMMENT_ROLES = ['parent', 'organization', 'teamLeader', 'familyContact'];
+
+const readField = (data, path) => path.split('.').reduce((current, key) => current?.[key], data);
+
+const reservationKey = (participantNumber) =>
+    String(participantNumber ?? '').trim().replace(/\//g, '_');
+
+// Give every kid id in `ids` that is the duplicate or survivor exactly one survivor entry
+const repointKidIds = (ids, duplicateId, survivorId, keepSurvivor) => {
+    const others = (ids || []).filter(id => id !== duplicateId && id !== survivorId);
+    return keepSurvivor ? [...others, survivorId] : others;
+};
+
+/**
+ * Merge two kids' free-text comments, instructor notes, parents and seasons
+ * @returns {Object} Field updates for the surviving kid
+ */
+const combineKidHistory = (survivor, duplicate) => {
+    const seen = new Set();
+    const instructorsComments = [...(survivor.instructorsComments || []), ...(duplicate.instructorsComments || [])]
+        .filter(comment => {
+            const key = `${comment?.timestamp}|${comment?.author}|${comment?.text}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .sort((a, b) => String(a?.timestamp || '').localeCompare(String(b?.timestamp || '')));
+
+    const parentIds = [...new Set([
+        ...(survivor.parentInfo?.parentIds || []),
+        survivor.parentInfo?.parentId,
+        ...(duplicate.parentInfo?.parentIds || []),
+        duplicate.parentInfo?.parentId
+    ].filter(Boolean))];
+
+    const updates = {
+        instructorsComments,
+        'parentInfo.parentIds': parentIds,
+        'parentInfo.parentId': survivor.parentInfo?.parentId || duplicate.parentInfo?.parentId || '',
+        seasonIds: [...new Set([...(survivor.seasonIds || []), ...(duplicate.seasonIds || [])])],
+        seasonEnrollments: { ...(duplicate.seasonEnrollments || {}), ...(survivor.seasonEnrollments || {}) }
+    };
+
+    KID_COMMENT_ROLES.forEach(role => {
+        const texts = [survivor.comments?.[role], duplicate.comments?.[role]]
+            .map(text => (text || '').trim())
+            .filter(Boolean);
+        updates[`comments.${role}`] = [...new Set(texts)].join('\n');
+    });
+
+    return updates;
+};
+
+/**
+ * Callable: merge a duplicate kid into the kid that stays (Admin only).
+ * `choices` says, per field in MERGEABLE_KID_FIELDS, whether the surviving value comes from
+ * the 'survivor' or the 'duplicate'; `teamId` carries the vehicle with it. Instructor notes,
+ * comments, parent links and seasons of both kids are combined. Teams, vehicles, form
+ * submissions, event registrations and the participant number reservation are repointed to
+ * the survivor, the duplicate's unused photos are removed and the duplicate is deleted.
+ * The survivor's medical profile is kept; the duplicate's only moves over when the survivor
+ * has none. A `kidMergeReports/{duplicateId}` entry records the merge.
+ */
+export const mergeKids = onCall(
+    {
+        timeoutSeconds: 300,
+        memory: '512MiB',
+        maxInstances: 5
+    },
+    async (request) => {
+        try {
+            const callingUserId = await assertCallerIsAdmin(request);
+            const { survivorId, duplicateId, choices = {} } = request.data || {};
+
+            if (typeof survivorId !== 'string' || !survivorId || typeof duplicateId !== 'string' || !duplicateId) {
+                throw new HttpsError('invalid-argument', 'Missing survivorId or duplicateId parameter.');
+            }
+            if (survivorId === duplicateId) {
+                throw new HttpsError('invalid-argument', 'A kid cannot be merged into itself.');
+            }
+            const invalidChoice = Object.entries(choices).find(([path, source]) =>
+                !MERGEABLE_KID_FIELDS.includes(path) || !['survivor', 'duplicate'].includes(source));
+            if (invalidChoice) {
+                throw new HttpsError('invalid-argument', `Invalid merge choice for ${invalidChoice[0]}.`);
+            }
+
+            const survivorRef = firestore.collection('kids').doc(survivorId);
+            const duplicateRef = firestore.collection('kids').doc(duplicateId);
+            const [survivorDoc, duplicateDoc] = await Promise.all([survivorRef.get(), duplicateRef.get()]);
+            if (!survivorDoc.exists || !duplicateDoc.exists) {
+                throw new HttpsError('not-found', 'Kid not found.');
+            }
+            const survivor = survivorDoc.data();
+            const duplicate = duplicateDoc.data();
+
+            const pick = (path) => (choices[path] === 'duplicate' ? readField(duplicate, path) : readField(survivor, path));
+            const kidUpdates = combineKidHistory(survivor, duplicate);
+            MERGEABLE_KID_FIELDS.forEach(path => {
+                const value = pick(path);
+                kidUpdates[path] = value === undefined ? FieldValue.delete() : value;
+            });
+            const teamSource = choices.teamId === 'duplicate' ? duplicate : survivor;
+            const finalTeamId = teamSource.teamId || null;
+            const finalVehicleId = teamSource.vehicleId || null;
+            const finalNumber = pick('participantNumber') || '';
+            const finalPhoto = pick('personalInfo.photo') || '';
+            kidUpdates.teamId = finalTeamId;
+            kidUpdates.vehicleId = finalVehicleId;
+            kidUpdates.updatedAt = FieldValue.serverTimestamp();
+
+            const byId = (snapshots) => {
+                const docs = new Map();
+                snapshots.forEach(snapshot => snapshot.docs.forEach(linkedDoc => docs.set(linkedDoc.id, linkedDoc)));
+                return [...docs.values()];
+            };
+            const linkedTo = (collectionName, field, operator) => Promise.all([duplicateId, survivorId]
+                .map(kidId => firestore.collection(collectionName).where(field, operator, kidId).get()));
+
+            const [teamSnapshots, vehicleSnapshots, submissions, registrationSnapshots, reservationSnapshots] = await Promise.all([
+                linkedTo('teams', 'kidIds', 'array-contains'),
+                linkedTo('vehicles', 'currentKidIds', 'array-contains'),
+                firestore.collection('form_submissions').where('kidIds', 'array-contains', duplicateId).get(),
+                linkedTo('eventParticipants', 'kidId', '=='),
+                linkedTo('participantNumbers', 'kidId', '==')
+            ]);
+
+            const operations = [];
+            const summary = { teams: 0, vehicles: 0, formSubmissions: submissions.size, eventRegistrations: 0, photos: 0 };
+
+            // Rosters: one survivor entry on the chosen team and vehicle, none elsewhere
+            const repointRoster = async (collectionName, field, linkedDocs, finalId) => {
+                let finalHandled = false;
+                linkedDocs.forEach(linkedDoc => {
+                    const current = linkedDoc.data()[field] || [];
+                    const keepSurvivor = linkedDoc.id === finalId;
+                    finalHandled = finalHandled || keepSurvivor;
+                    const next = repointKidIds(current, duplicateId, survivorId, keepSurvivor);
+                    if (next.length !== current.length || current.includes(duplicateId)) {
+                        summary[collectionName]++;
+                        operations.push(batch => batch.update(linkedDoc.ref, {
+                            [field]: next,
+                            updatedAt: FieldValue.serverTimestamp()
+                        }));
+                    }
+                });
+                if (finalId && !finalHandled) {
+                    const finalRef = firestore.collection(collectionName).doc(finalId);
+                    if ((await finalRef.get()).exists) {
+                        summary[collectionName]++;
+                        operations.push(batch => batch.update(finalRef, {
+                            [field]: FieldValue.arrayUnion(survivorId),
+                            updatedAt: FieldValue.serverTimestamp()
+                        }));
+                    }
+                }
+            };
+            await repointRoster('teams', 'kidIds', byId(teamSnapshots), finalTeamId);
+            await repointRoster('vehicles', 'currentKidIds', byId(vehicleSnapshots), finalVehicleId);
+
+            submissions.docs.forEach(submissionDoc => {
+                operations.push(batch => batch.update(submissionDoc.ref, {
+                    kidIds: repointKidIds(submissionDoc.data().kidIds, duplicateId, survivorId, true)
+                }));
+            });
+
+            // A kid registered twice for the same event keeps the survivor's registration.
+            // The others move to the survivor's registration id, which is keyed by kid.
+            const [duplicateRegistrations, survivorRegistrations] = registrationSnapshots;
+            const survivorEvents = new Set(survivorRegistrations.docs.map(registration => registration.data().eventId));
+            duplicateRegistrations.docs.forEach(registration => {
+                summary.eventRegistrations++;
+                const { eventId } = registration.data();
+                operations.push(batch => batch.delete(registration.ref));
+                if (!survivorEvents.has(eventId)) {
+                    const movedRef = firestore.collection('eventParticipants').doc(registrationId(eventId, survivorId));
+                    operations.push(batch => batch.set(movedRef, { ...registration.data(), kidId: survivorId }));
+                }
+            });
+
+            // Only the kept participant number stays reserved, now for the survivor
+            const finalKey = reservationKey(finalNumber);
+            let finalReserved = false;
+            byId(reservationSnapshots).forEach(reservation => {
+                if (finalKey && reservation.id === finalKey) {
+                    finalReserved = true;
+                    operations.push(batch => batch.update(reservation.ref, { kidId: survivorId }));
+                } else {
+                    operations.push(batch => batch.delete(reservation.ref));
+                }
+            });
+            if (finalKey && !finalReserved) {
+                const finalReservationRef = firestore.collection('participantNumbers').doc(finalKey);
+                const finalReservation = await finalReservationRef.get();
+                if (finalReservation.exists && ![survivorId, duplicateId].includes(finalReservation.data().kidId)) {
+                    throw new HttpsError('failed-precondition', `Participant number ${finalNumber} is reserved for another kid.`);
+                }
+                operations.push(batch => batch.set(finalReservationRef, {
+                    kidId: survivorId,
+                    participantNumber: finalNumber,
+                    reservedAt: FieldValue.serverTimestamp()
+                }));
+            }
+
+            // Photos are stored as kidsPFP/{kidId}_{timestamp}.{ext}; the one the survivor keeps stays
+            try {
+                const [files] = await getStorage().bucket().getFiles({ prefix: `${KID_PHOTO_PREFIX}${duplicateId}_` });
+                const unused = files.filter(file => !finalPhoto.includes(encodeURIComponent(file.name)));
+                await Promise.all(unused.map(file => file.delete({ ignoreNotFound: true })));
+                summary.photos = unused.length;
+            } catch (storageError) {
+                // Left-over photos are harmless, so the merge goes ahead
+                console.warn('Failed to delete the duplicate kid\'s photos:', { duplicateId, error: storageError?.message || storageError });
+            }
+
+            const survivorMedicalRef = firestore.collection('kidMedicalProfiles').doc(survivorId);
+            const duplicateMedicalRef = firestore.collection('kidMedicalProfiles').doc(duplicateId);
+            const [survivorMedical, duplicateMedical] = await Promise.all([survivorMedicalRef.get(), duplicateMedicalRef.get()]);
+            // Which kid's profile the survivor ends up with, null when neither had one
+            summary.medicalProfile = survivorMedical.exists ? 'survivor' : duplicateMedical.exists ? 'duplicate' : null;
+            if (duplicateMedical.exists) {
+                if (!survivorMedical.exists) {
+                    operations.push(batch => batch.set(survivorMedicalRef, {
+                        ...duplicateMedical.data(),
+                        updatedAt: FieldValue.serverTimestamp(),
+                        updatedBy: callingUserId
+                    }));
+                }
+                operations.push(batch => batch.delete(duplicateMedicalRef));
+            }
+
+            // The report goes in with the duplicate's delete, so the audit trigger can see it
+            const reportRef = firestore.collection('kidMergeReports').doc(duplicateId);
+            operations.push(batch => batch.update(survivorRef, kidUpdates));
+            operations.push(batch => batch.delete(duplicateRef));
+            operations.push(batch => batch.set(reportRef, {
+                duplicateId,
+                survivorId,
+                survivorLabel: AUDIT_LABELS.kids({
+                    participantNumber: finalNumber,
+                    personalInfo: {
+                        firstName: pick('personalInfo.firstName'),
+                        lastName: pick('personalInfo.lastName')
+                    }
+                }) || survivorId,
+                mergedBy: callingUserId,
+                mergedAt: FieldValue.serverTimestamp(),
+                choices,
+                summary
+            }));
+
+            await commitInBatches(operations);
+
+            return {
+                success: true,
+                survivorId,
+                reportId: reportRef.id,
+                summary
+            };
+        } catch (error) {
+            console.error('Error in mergeKids function:', error);
+
+            if (error instanceof HttpsError) {
+                throw error;
+            }
+
+            throw new HttpsError('internal', 'Failed to merge the kids.');
+        }
+    }
+);
+
+/* ==================== EVENT DATES ==================== */
+
+// Mirrors src/utils/eventDateUtils.js: an event's time is its startsAt and endsAt Timestamps.
+// The date and time strings beside them are only read for all-day events, which have no
+// startsAt, and for events scripts/migrate-event-dates.mjs has not reached yet.
+const EVENT_TIME_ZONE = 'Asia/Jerusalem';
+const DEFAULT_EVENT_DURATION_HOURS = 3;
+const EVENT_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const EVENT_TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Deadlines, ages and event times are in Israel, whatever the region the function runs in.
+// Wall-clock time as YYYY-MM-DDTHH:mm, so it compares as a string.
+const toIsraelWallClock = (instant) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+        timeZone: EVENT_TIME_ZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(instant).map(part => [part.type, part.value]));
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+};
+
+const nowInIsrael = () => toIsraelWallClock(new Date());
+
+// How many minutes Israel is ahead of UTC at an instant
+const israelOffsetMinutes = (instant) => {
+    const [year, month, day, hours, minutes] = toIsraelWallClock(instant).split(/[-T:]/).map(Number);
+    const wholeMinute = Math.floor(instant.getTime() / MINUTE_MS) * MINUTE_MS;
+    return (Date.UTC(year, month - 1, day, hours, minutes) - wholeMinute) / MINUTE_MS;
+};
+
+// The instant of an Israel wall-clock date and time, or null when either is not valid
+const fromIsraelDateTime = (date, time = '00:00') => {
+    const dateMatch = EVENT_DATE_PATTERN.exec(date || '');
+    const timeMatch = EVENT_TIME_PATTERN.exec(time || '');
+    if (!dateMatch || !timeMatch) return null;
+
+    const [year, month, day] = dateMatch.slice(1).map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, Number(timeMatch[1]), Number(timeMatch[2]));
+    // Take the offset again at the first guess, which is an hour off close to a clock change
+    const guess = new Date(wallClock - israelOffsetMinutes(new Date(wallClock)) * MINUTE_MS);
+    return new Date(wallClock - israelOffsetMinutes(guess) * MINUTE_MS);
+};
+
+// A Date from a Timestamp, a Date or a date string; a bare YYYY-MM-DD is midnight in Israel
+const toEventInstant = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+    if (typeof value.toDate === 'function') return value.toDate();
+    if (typeof value === 'string' && EVENT_DATE_PATTERN.test(value)) return fromIsraelDateTime(value);
+
+    const parsed = new Date(value);
+    return isNaN(parsed.getTime()) ? null : parsed;
+};
+
+const hasEventTime = (event) => EVENT_TIME_PATTERN.test(event?.time || '');
+
+// startsAt, else the legacy date and time in Israel, else a legacy eventDate; null without a date
+const getEventStart = (event) => toEventInstant(event.startsAt)
+    || fromIsraelDateTime(event.date, hasEventTime(event) ? event.time : undefined)
+    || toEventInstant(event.date)
+    || toEventInstant(event.eventDate);
+
+// endsAt, else the default duration after the start, or the next midnight for all-day events
+const getEventEnd = (event) => {
+    const endsAt = hasEventTime(event) ? toEventInstant(event.endsAt) : null;
+    if (endsAt) return endsAt;
+
+    const start = getEventStart(event);
+    if (!start) return null;
+    if (hasEventTime(event)) return new Date(start.getTime() + DEFAULT_EVENT_DURATION_HOURS * HOUR_MS);
+    const [year, month, day] = getEventDay(event).split('-').map(Number);
+    return fromIsraelDateTime(new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10));
+};
+
+// The Israel day an event starts on as YYYY-MM-DD, or '' without a date
+const getEventDay = (event) => {
+    const start = getEventStart(event);
+    return start ? toIsraelWallClock(start).slice(0, 10) : '';
+};
+
+/* ==================== EVENT REGISTRATION ==================== */
+
+// Keep in sync with src/schemas/eventRegistrationSchema.js
+const REGISTRATION_STATUS = { REGISTERED: 'registered', WAITLISTED: 'waitlisted', CANCELLED: 'cancelled' };
+const CLOSED_EVENT_STATUSES = ['completed', 'cancelled'];
+const MAX_KIDS_PER_REGISTRATION = 50;
+
+const registrationId = (eventId, kidId) => `${eventId}_${kidId}`;
+
+const hasValue = (value) => value !== '' && value !== null && value !== undefined;
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+const ageOnDate = (dateOfBirth, onDate) => {
+    if (!DATE_ONLY_PATTERN.test(dateOfBirth || '') || !DATE_ONLY_PATTERN.test(onDate || '')) return null;
+    const [birthYear, birthMonth, birthDay] = dateOfBirth.slice(0, 10).split('-').map(Number);
+    const [year, month, day] = onDate.slice(0, 10).split('-').map(Number);
+    let age = year - birthYear;
+    if (month < birthMonth || (month === birthMonth && day < birthDay)) age -= 1;
+    return age >= 0 ? age : null;
+};
+
+const registrationWindowIssue = (event, today) => {
+    if (event.registrationOpen === false || CLOSED_EVENT_STATUSES.includes(event.status)) {
+        return 'registrationClosed';
+    }
+    if (DATE_ONLY_PATTERN.test(event.registrationDeadline || '') && today > event.registrationDeadline.slice(0, 10)) {
+        return 'deadlinePassed';
+    }
+    return null;
+};
+
+const kidEligibilityIssues = (kid, event, today, declarationUploaded) => {
+    const issues = [];
+    if (kid.archived === true) issues.push('kidArchived');
+    if (event.requireSignedDeclaration !== false && !kid.signedDeclaration && !declarationUploaded) {
+        issues.push('declarationMissing');
+    }
+    if (hasValue(event.minAge) || hasValue(event.maxAge)) {
+        const age = ageOnDate(kid.personalInfo?.dateOfBirth, getEventDay(event) || today);
+        if (age === null) issues.push('ageUnknown');
+        else if (hasValue(event.minAge) && age < Number(event.minAge)) issues.push('tooYoung');
+        else if (hasValue(event.maxAge) && age > Number(event.maxAge)) issues.push('tooOld');
+    }
+    const teams = event.participatingTeams || [];
+    if (teams.length > 0 && !teams.includes(kid.teamId)) issues.push('teamNotParticipating');
+    return issues;
+};
+
+const isActiveRegistration = (registration) =>
+    (registration.status || REGISTRATION_STATUS.REGISTERED) === REGISTRATION_STATUS.REGISTERED;
+
+const remainingPlaces = (event, registeredCount) => (hasValue(event.maxParticipants)
+    ? Math.max(Number(event.maxParticipants) - registeredCount, 0)
+    : Infinity);
+
+// Event start minus waitlistCutoffHours, in the same form as nowInIsrael
+const waitlistCutoff = (event) => {
+    const start = getEventStart(event);
+    if (!start) return null;
+    const cutoffHours = hasValue(event.waitlistCutoffHours) ? Number(event.waitlistCutoffHours) : 0;
+    return toIsraelWallClock(new Date(start.getTime() - cutoffHours * HOUR_MS));
+};
+
+const waitlistPromotionOpen = (event, now) => {
+    if (event.waitlistEnabled === false || CLOSED_EVENT_STATUSES.includes(event.status)) return false;
+    const cutoff = waitlistCutoff(event);
+    return !cutoff || now < cutoff;
+};
+
+const waitlistOf = (registrationDocs) => registrationDocs
+    .filter(registration => registration.data().status === REGISTRATION_STATUS.WAITLISTED)
+    .sort((a, b) => (a.data().waitlistPosition ?? Infinity) - (b.data().waitlistPosition ?? Infinity));
+
+/**
+ * Pick the waitlisted kids that take the free places, in waitlist order. Kids that are no
+ * longer eligible keep their place on the waitlist. Reads the kids, so call it before the
+ * transaction writes anything.
+ * @returns {Promise<Array<{ref, kid}>>}
+ */
+const planWaitlistPromotions = async (transaction, event, registrationDocs, freePlaces, now) => {
+    if (freePlaces <= 0 || !waitlistPromotionOpen(event, now)) return [];
+    const waitlist = waitlistOf(registrationDocs);
+    if (waitlist.length === 0) return [];
+
+    const kidDocs = await transaction.getAll(
+        ...waitlist.map(registration => firestore.collection('kids').doc(registration.data().kidId))
+    );
+    const promotions = [];
+    waitlist.forEach((registration, index) => {
+        if (promotions.length >= freePlaces || !kidDocs[index].exists) return;
+        const kid = { id: kidDocs[index].id, ...kidDocs[index].data() };
+        const declarationUploaded = Boolean(registration.data().declarationUploaded);
+        if (kidEligibilityIssues(kid, event, now.slice(0, 10), declarationUploaded).length === 0) {
+            promotions.push({ ref: registration.ref, kid });
+        }
+    });
+    return promotions;
+};
+
+// Register the promoted kids and tell their parents, as writes of the running transaction
+const applyWaitlistPromotions = (transaction, eventId, event, promotions) => {
+    promotions.forEach(({ ref, kid }) => {
+        transaction.update(ref, {
+            status: REGISTRATION_STATUS.REGISTERED,
+            waitlistPosition: null,
+            promotedAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp()
+        });
+
+        const parentInfo = kid.parentInfo || {};
+        const parentIds = new Set([
+            ...(Array.isArray(parentInfo.parentIds) ? parentInfo.parentIds : []),
+            ...(parentInfo.parentId ? [parentInfo.parentId] : [])
+        ]);
+        parentIds.forEach(userId => {
+            transaction.set(firestore.collection('notifications').doc(), {
+                userId,
+                type: 'waitlistPromoted',
+                eventId,
+                eventName: event.name || '',
+                kidId: kid.id,
+                kidName: [kid.personalInfo?.firstName, kid.personalInfo?.lastName].filter(Boolean).join(' '),
+                read: false,
+                createdAt: FieldValue.serverTimestamp()
+            });
+        });
+    });
+};
+
+/**
+ * Load the caller's role; hosts and unknown roles cannot register kids.
+ * @returns {Promise<{uid: string, role: string}>}
+ */
+const getRegistrationCaller = async (request) => {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'User must be authenticated.');
+    }
+
+    const callingUserDoc = await firestore.collection('users').doc(request.auth.uid).get();
+    const role = callingUserDoc.exists ? normalizeUserRole(callingUserDoc.data().role) : null;
+    if (!['admin', 'parent', 'instructor'].includes(role)) {
+        throw new HttpsError('permission-denied', 'Only admins, parents and instructors can manage registrations.');
+    }
+
+    return { uid: request.auth.uid, role };
+};
+
+// Admins manage every kid, parents their own kids and instructors the kids of their teams
+const canManageKidRegistration = (caller, kid, team) => {
+    if (caller.role === 'admin') return true;
+    if (caller.role === 'parent') {
+        const parentInfo = kid.parentInfo || {};
+        return (Array.isArray(parentInfo.parentIds) && parentInfo.parentIds.includes(caller.uid)) ||
+            parentInfo.parentId === caller.uid;
+    }
+    return Boolean(team && Array.isArray(team.instructorIds) && team.instructorIds.includes(caller.uid));
+};
+
+const loadKidTeams = async (transaction, kids) => {
+    const teamIds = [...new Set(kids.map(kid => kid?.teamId).filter(Boolean))];
+    if (teamIds.length === 0) return new Map();
+    const teamDocs = await transaction.getAll(...teamIds.map(teamId => firestore.collection('teams').doc(teamId)));
+    return new Map(teamDocs.filter(teamDoc => teamDoc.exists).map(teamDoc => [teamDoc.id, teamDoc.data()]));
+};
+
+/**
+ * Callable: register kids for an event (Admin, parent of the kids or instructor of their team).
+ * Checks the registration window, capacity and each kid's eligibility in one transaction and
+ * writes one `eventParticipants/{eventId}_{kidId}` document per accepted kid. Admins may
+ * register after registration closed, but not past capacity or eligibility. Eligible kids
+ * that find the event full join the end of its waitlist while promotions are still open.
+ * Places freed by a raised capacity go to the waitlist first. A form submission none of whose
+ * kids got in is marked with `rejectedKids`.
+ * Returns the registered and waitlisted kid ids and, for each rejected kid, the reasons.
+ */
+export const registerKidsForEvent = onCall(
+    {
+        timeoutSeconds: 60,
+        memory: '256MiB'
+    },
+    async (request) => {
+        try {
+            const caller = await getRegistrationCaller(request);
+            const { eventId, kidIds, formSubmissionId = null } = request.data || {};
+
+            if (typeof eventId !== 'string' || !eventId) {
+                throw new HttpsError('invalid-argument', 'Missing eventId parameter.');
+            }
+            if (!Array.isArray(kidIds) || kidIds.length === 0 || kidIds.some(kidId => typeof kidId !== 'string' || !kidId)) {
+                throw new HttpsError('invalid-argument', 'kidIds must be a non-empty list of kid ids.');
+            }
+            const uniqueKidIds = [...new Set(kidIds)];
+            if (uniqueKidIds.length > MAX_KIDS_PER_REGISTRATION) {
+                throw new HttpsError('invalid-argument', `Register at most ${MAX_KIDS_PER_REGISTRATION} kids at a time.`);
+            }
+
+            const eventRef = firestore.collection('events').doc(eventId);
+            const now = nowInIsrael();
+            const today = now.slice(0, 10);
+
+            return await firestore.runTransaction(async (transaction) => {
+                const eventDoc = await transaction.get(eventRef);
+                if (!eventDoc.exists) {
+                    throw new HttpsError('not-found', 'Event not found.');
+                }
+                const event = eventDoc.data();
+
+                const kidDocs = await transaction.getAll(...uniqueKidIds.map(kidId => firestore.collection('kids').doc(kidId)));
+                const missing = kidDocs.filter(kidDoc => !kidDoc.exists).map(kidDoc => kidDoc.id);
+                if (missing.length > 0) {
+                    throw new HttpsError('not-found', `Kid not found: ${missing.join(', ')}`);
+                }
+                const kids = kidDocs.map(kidDoc => ({ id: kidDoc.id, ...kidDoc.data() }));
+
+                const teams = caller.role === 'instructor' ? await loadKidTeams(transaction, kids) : new Map();
+                if (kids.some(kid => !canManageKidRegistration(caller, kid, teams.get(kid.teamId)))) {
+                    throw new HttpsError('permission-denied', 'You can only register your own kids.');
+                }
+
+                const existing = await transaction.get(
+                    firestore.collection('eventParticipants').where('eventId', '==', eventId)
+                );
+
+                // A declaration uploaded with the caller's own form submission stands in for a signed one
+                let submissionDoc = null;
+                if (typeof formSubmissionId === 'string' && formSubmissionId) {
+                    submissionDoc = await transaction.get(firestore.collection('form_submissions').doc(formSubmissionId));
+                    if (!submissionDoc.exists || submissionDoc.data().submitterId !== caller.uid) submissionDoc = null;
+                }
+                const declarationUploaded = Boolean(submissionDoc?.data().declarationUploaded);
+                const registeredKidIds = new Set(existing.docs
+                    .filter(registration => isActiveRegistration(registration.data()))
+                    .map(registration => registration.data().kidId));
+                const waitlist = waitlistOf(existing.docs);
+                const waitlistedKidIds = new Set(waitlist.map(registration => registration.data().kidId));
+                let lastPosition = waitlist.reduce((max, registration) => Math.max(max, registration.data().waitlistPosition || 0), 0);
+
+                const promotions = await planWaitlistPromotions(
+                    transaction, event, existing.docs, remainingPlaces(event, registeredKidIds.size), now
+                );
+                let remaining = remainingPlaces(event, registeredKidIds.size + promotions.length);
+                const canWaitlist = waitlistPromotionOpen(event, now);
+                const windowIssue = caller.role === 'admin' ? null : registrationWindowIssue(event, today);
+
+                applyWaitlistPromotions(transaction, eventId, event, promotions);
+
+                const registered = [];
+                const waitlisted = [];
+                const rejected = [];
+                kids.forEach(kid => {
+                    const reasons = registeredKidIds.has(kid.id) ? ['alreadyRegistered']
+                        : waitlistedKidIds.has(kid.id) ? ['alreadyWaitlisted']
+                            : [...(windowIssue ? [windowIssue] : []), ...kidEligibilityIssues(kid, event, today, declarationUploaded)];
+                    if (reasons.length === 0 && remaining <= 0 && !canWaitlist) {
+                        reasons.push('eventFull');
+                    }
+                    if (reasons.length > 0) {
+                        rejected.push({ kidId: kid.id, reasons });
+                        return;
+                    }
+
+                    const onWaitlist = remaining <= 0;
+                    if (onWaitlist) {
+                        waitlisted.push(kid.id);
+                    } else {
+                        remaining--;
+                        registered.push(kid.id);
+                    }
+                    transaction.set(firestore.collection('eventParticipants').doc(registrationId(eventId, kid.id)), {
+                        eventId,
+                        kidId: kid.id,
+                        teamId: kid.teamId || null,
+                        vehicleId: kid.vehicleId || null,
+                        status: onWaitlist ? REGISTRATION_STATUS.WAITLISTED : REGISTRATION_STATUS.REGISTERED,
+                        waitlistPosition: onWaitlist ? ++lastPosition : null,
+                        declarationUploaded,
+                        registeredBy: caller.uid,
+                        registeredByRole: caller.role,
+                        formSubmissionId: typeof formSubmissionId === 'string' && formSubmissionId ? formSubmissionId : null,
+                        registeredAt: FieldValue.serverTimestamp(),
+                        updatedAt: FieldValue.serverTimestamp(),
+                        cancelledAt: null,
+                        cancelledBy: null
+                    });
+                });
+
+                // The form answer is saved before its kids are registered, so flag an answer
+                // whose kids all stay out of the event rather than leave it looking accepted
+                if (submissionDoc) {
+                    const notComing = rejected.filter(({ reasons }) =>
+                        !reasons.includes('alreadyRegistered') && !reasons.includes('alreadyWaitlisted'));
+                    if (notComing.length === kids.length) {
+                        transaction.update(submissionDoc.ref, { rejectedKids: notComing, updatedAt: FieldValue.serverTimestamp() });
+                    } else if (submissionDoc.data().rejectedKids) {
+                        transaction.update(submissionDoc.ref, { rejectedKids: FieldValue.delete(), updatedAt: FieldValue.serverTimestamp() });
+                    }
+                }
+
+                return {
+                    success: true,
+                    eventId,
+                    registered,
+                    waitlisted,
+                    rejected
+                };
+            });
+        } catch (error) {
+            console.error('Error in registerKidsForEvent function:', error);
+
+            if (error instanceof HttpsError) {
+                throw error;
+            }
+
+            throw new HttpsError('internal', 'Failed to register for the event.');
+        }
+    }
+);
+
+/**
+ * Callable: cancel a kid's registration for an event (Admin, parent of the kid or
+ * instructor of its team). The document is kept with status `cancelled`. Cancelling a
+ * waitlisted kid only takes it off the waitlist; a freed place goes to the first eligible
+ * kid on the waitlist, whose parents get a notification, unless the promotion cutoff passed.
+ * Returns the promoted kid ids.
+ */
+export const cancelEventRegistration = onCall(
+    {
+        timeoutSeconds: 60,
+        memory: '256MiB'
+    },
+    async (request) => {
+        try {
+            const caller = await getRegistrationCaller(request);
+            const { eventId, kidId } = request.data || {};
+
+            if (typeof eventId !== 'string' || !eventId || typeof kidId !== 'string' || !kidId) {
+                throw new HttpsError('invalid-argument', 'Missing eventId or kidId parameter.');
+            }
+
+            const registrationRef = firestore.collection('eventParticipants').doc(registrationId(eventId, kidId));
+            const now = nowInIsrael();
+
+            const promoted = await firestore.runTransaction(async (transaction) => {
+                const [registrationDoc, kidDoc] = await transaction.getAll(
+                    registrationRef,
+                    firestore.collection('kids').doc(kidId)
+                );
+                if (!registrationDoc.exists) {
+                    throw new HttpsError('not-found', 'Registration not found.');
+                }
+                if (caller.role !== 'admin') {
+                    const kid = kidDoc.exists ? kidDoc.data() : {};
+                    const teams = caller.role === 'instructor' ? await loadKidTeams(transaction, [kid]) : new Map();
+                    if (!kidDoc.exists || !canManageKidRegistration(caller, kid, teams.get(kid.teamId))) {
+                        throw new HttpsError('permission-denied', 'You can only cancel your own kids\' registrations.');
+                    }
+                }
+                const registration = registrationDoc.data();
+                if (registration.status === REGISTRATION_STATUS.CANCELLED) {
+                    return [];
+                }
+
+                let promotions = [];
+                let event = null;
+                if (isActiveRegistration(registration)) {
+                    const eventDoc = await transaction.get(firestore.collection('events').doc(eventId));
+                    event = eventDoc.exists ? eventDoc.data() : null;
+                    if (event) {
+                        const existing = await transaction.get(
+                            firestore.collection('eventParticipants').where('eventId', '==', eventId)
+                        );
+                        const registeredCount = existing.docs
+                            .filter(other => other.id !== registrationRef.id && isActiveRegistration(other.data()))
+                            .length;
+                        promotions = await planWaitlistPromotions(
+                            transaction, event, existing.docs, remainingPlaces(event, registeredCount), now
+                        );
+                    }
+                }
+
+                transaction.update(registrationRef, {
+                    status: REGISTRATION_STATUS.CANCELLED,
+                    waitlistPosition: null,
+                    cancelledAt: FieldValue.serverTimestamp(),
+                    cancelledBy: caller.uid,
+                    updatedAt: FieldValue.serverTimestamp()
+                });
+                applyWaitlistPromotions(transaction, eventId, event, promotions);
+
+                return promotions.map(({ kid }) => kid.id);
+            });
+
+            return {
+                success: true,
+                eventId,
+                kidId,
+                promoted
+            };
+        } catch (error) {
+            console.error('Error in cancelEventRegistration function:', error);
+
+            if (error instanceof HttpsError) {
+                throw error;
+            }
+
+            throw new HttpsError('internal', 'Failed to cancel the registration.');
+        }
+    }
+);
+
+/* ==================== EVENT LIFECYCLE ==================== */
+
+// Keep in sync with EVENT_STATUS_TRANSITIONS in src/schemas/eventSchema.js and the events rules
+const EVENT_STATUS_TRANSITIONS = {
+    upcoming: ['ongoing', 'completed', 'cancelled'],
+    ongoing: ['completed', 'cancelled'],
+    completed: [],
+    cancelled: []
+};
+const MAX_CANCELLATION_REASON_LENGTH = 500;
+
+const canChangeEventStatus = (from, to) => (EVENT_STATUS_TRANSITIONS[from || 'upcoming'] || []).includes(to);
+
+/**
+ * The status the schedule gives an event at `now` (as from nowInIsrael): ongoing from its
+ * start, completed at its end. Events without a date are left to the admins.
+ * @returns {string|null} The new status, or null when the event keeps its status
+ */
+const scheduledEventStatus = (event, now) => {
+    const status = event.status || 'upcoming';
+    const startsAt = getEventStart(event);
+    if (!startsAt) return null;
+    const start = toIsraelWallClock(startsAt);
+    const end = toIsraelWallClock(getEventEnd(event));
+
+    let next = status;
+    if (now >= end) next = 'completed';
+    else if (now >= start) next = 'ongoing';
+
+    return next !== status && canChangeEventStatus(status, next) ? next : null;
+};
+
+/**
+ * Scheduled: move upcoming events to ongoing when they start and to completed when they
+ * end, so listings that filter on the status stay accurate. Events without a status are
+ * upcoming. Runs every 15 minutes.
+ */
+export const updateEventStatuses = onSchedule(
+    {
+        schedule: 'every 15 minutes',
+        timeZone: 'Asia/Jerusalem',
+        timeoutSeconds: 120,
+        memory: '256MiB'
+    },
+    async () => {
+        const now = nowInIsrael();
+        // A status query would miss events saved without one, so every event is read
+        const snapshot = await firestore.collection('events').get();
+
+        const operations = [];
+        snapshot.docs.forEach(eventDoc => {
+            const event = eventDoc.data();
+            if (!['upcoming', 'ongoing'].includes(event.status || 'upcoming')) return;
+            const status = scheduledEventStatus(event, now);
+            if (!status) return;
+            operations.push(batch => batch.update(eventDoc.ref, {
+                status,
+                statusChangedAt: FieldValue.serverTimestamp(),
+                updatedAt: FieldValue.serverTimestamp()
+            }));
+        });
+
+        await commitInBatches(operations);
+        console.log(`updateEventStatuses: moved ${operations.length} of ${snapshot.size} events at ${now}`);
+    }
+);
+
+/**
+ * Callable: cancel an event with a reason (Admin only).
+ * Marks the event cancelled and closes its registration, cancels every registration still on
+ * it or its waitlist and lets go of their vehicles, deletes its heat schedule and empties its
+ * volunteer shifts. Each parent of a registered kid and each volunteer gets one notification
+ * with the reason. Calling it again for a cancelled event finishes a cancellation that failed
+ * part way, keeping the first reason.
+ * Returns the number of registrations cancelled, volunteer slots freed and people notified.
+ */
+export const cancelEvent = onCall(
+    {
+        timeoutSeconds: 120,
+        memory: '256MiB'
+    },
+    async (request) => {
+        try {
+            const adminId = await assertCallerIsAdmin(request);
+            const { eventId, reason } = request.data || {};
+            const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+
+            if (typeof eventId !== 'string' || !eventId) {
+                throw new HttpsError('invalid-argument', 'Missing eventId parameter.');
+            }
+            if (!trimmedReason || trimmedReason.length > MAX_CANCELLATION_REASON_LENGTH) {
+                throw new HttpsError(
+                    'invalid-argument',
+                    `A cancellation reason of up to ${MAX_CANCELLATION_REASON_LENGTH} characters is required.`
+                );
+            }
+
+            // Cancel the event first, so no kid can register while its registrations are released
+            const eventRef = firestore.collection('events').doc(eventId);
+            const event = await firestore.runTransaction(async (transaction) => {
+                const eventDoc = await transaction.get(eventRef);
+                if (!eventDoc.exists) {
+                    throw new HttpsError('not-found', 'Event not found.');
+                }
+                const current = eventDoc.data();
+                if (current.status === 'cancelled') {
+                    return current;
+                }
+                if (!canChangeEventStatus(current.status, 'cancelled')) {
+                    throw new HttpsError('failed-precondition', `A ${current.status} event cannot be cancelled.`);
+                }
+
+                transaction.update(eventRef, {
+                    status: 'cancelled',
+                    cancellationReason: trimmedReason,
+                    cancelledAt: FieldValue.serverTimestamp(),
+                    cancelledBy: adminId,
+                    registrationOpen: false,
+                    statusChangedAt: FieldValue.serverTimestamp(),
+                    updatedAt: FieldValue.serverTimestamp()
+                });
+                return { ...current, cancellationReason: trimmedReason };
+            });
+
+            const [registrationSnapshot, shiftSnapshot] = await Promise.all([
+                firestore.collection('eventParticipants').where('eventId', '==', eventId).get(),
+                firestore.collection('volunteerShifts').where('eventId', '==', eventId).get()
+            ]);
+            const openRegistrations = registrationSnapshot.docs
+                .filter(registration => registration.data().status !== REGISTRATION_STATUS.CANCELLED);
+            const kidDocs = openRegistrations.length > 0
+                ? await firestore.getAll(...openRegistrations.map(registration =>
+                    firestore.collection('kids').doc(registration.data().kidId)))
+                : [];
+
+            // Everyone to tell, with the names of their kids that were registered
+            const recipients = new Map();
+            const addRecipient = (userId, kidName) => {
+                if (!userId) return;
+                const kidNames = recipients.get(userId) || [];
+                if (kidName && !kidNames.includes(kidName)) kidNames.push(kidName);
+                recipients.set(userId, kidNames);
+            };
+
+            const operations = [];
+            openRegistrations.forEach((registration, index) => {
+                operations.push(batch => batch.update(registration.ref, {
+                    status: REGISTRATION_STATUS.CANCELLED,
+                    waitlistPosition: null,
+                    vehicleId: null,
+                    cancelReason: 'eventCancelled',
+                    cancelledAt: FieldValue.serverTimestamp(),
+                    cancelledBy: adminId,
+                    updatedAt: FieldValue.serverTimestamp()
+                }));
+
+                const kid = kidDocs[index].exists ? kidDocs[index].data() : {};
+                const parentInfo = kid.parentInfo || {};
+                const kidName = [kid.personalInfo?.firstName, kid.personalInfo?.lastName].filter(Boolean).join(' ');
+                (Array.isArray(parentInfo.parentIds) ? parentInfo.parentIds : []).forEach(userId => addRecipient(userId, kidName));
+                addRecipient(parentInfo.parentId, kidName);
+            });
+
+            let volunteersReleased = 0;
+            shiftSnapshot.docs.forEach(shiftDoc => {
+                const volunteerIds = shiftDoc.data().volunteerIds || [];
+                if (volunteerIds.length === 0) return;
+                volunteersReleased += volunteerIds.length;
+                volunteerIds.forEach(userId => addRecipient(userId, null));
+                operations.push(batch => batch.update(shiftDoc.ref, {
+                    volunteerIds: [],
+                    updatedAt: FieldValue.serverTimestamp()
+                }));
+            });
+
+            operations.push(batch => batch.delete(firestore.collection('heatSchedules').doc(eventId)));
+
+            recipients.forEach((kidNames, userId) => {
+                operations.push(batch => batch.set(firestore.collection('notifications').doc(), {
+                    userId,
+                    type: 'eventCancelled',
+                    eventId,
+                    eventName: event.name || '',
+                    eventDate: getEventDay(event) || null,
+                    reason: event.cancellationReason || trimmedReason,
+                    kidNames: kidNames.join(', '),
+                    read: false,
+                    createdAt: FieldValue.serverTimestamp()
+                }));
+            });
+
+            await commitInBatches(operations);
+
+            return {
+                success: true,
+                eventId,
+                registrationsCancelled: openRegistrations.length,
+                volunteersReleased,
+                notified: recipients.size
+            };
+        } catch (error) {
+            console.error('Error in cancelEvent function:', error);
+
+            if (error instanceof HttpsError) {
+                throw error;
+            }
+
+            throw new HttpsError('internal', 'Failed to cancel the event.');
+        }
+    }
+);
+
+/* ==================== CALENDAR FEED ==================== */
+
+// Keep the calendar format in step with src/utils/icsUtils.js, which builds the .ics downloads
+const CALENDAR_HISTORY_DAYS = 180;
+const CALENDAR_FIELDS = ['name', 'description', 'startsAt', 'endsAt', 'date', 'time', 'location', 'address', 'status'];
+const FIRESTORE_IN_LIMIT = 30;
+
+const JERUSALEM_VTIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${EVENT_TIME_ZONE}`,
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:+0200',
+    'TZOFFSETTO:+0300',
+    'TZNAME:IDT',
+    'DTSTART:20130329T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYMONTHDAY=23,24,25,26,27,28,29;BYDAY=FR',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:+0300',
+    'TZOFFSETTO:+0200',
+    'TZNAME:IST',
+    'DTSTART:20131027T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+const escapeIcsText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Fold at 75 bytes without splitting a UTF-8 character
+const foldIcsLine = (line) => {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const icsDateTime = (date) => date.toISOString().replace(/[-:]/g, '').slice(0, 15);
+
+// Israel wall-clock time as YYYYMMDDTHHMMSS, and the Israel day as YYYYMMDD
+const icsIsraelDateTime = (date) => `${toIsraelWallClock(date).replace(/[-:]/g, '')}00`;
+const icsIsraelDate = (date) => icsIsraelDateTime(date).slice(0, 8);
+
+const buildIcsEvent = (eventId, event, now) => {
+    const start = getEventStart(event);
+    const end = getEventEnd(event);
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${eventId}@paragrutarally`,
+        `DTSTAMP:${icsDateTime(now)}Z`,
+        `SEQUENCE:${Number(event.calendarSequence) || 0}`
+    ];
+
+    if (hasEventTime(event)) {
+        lines.push(`DTSTART;TZID=${EVENT_TIME_ZONE}:${icsIsraelDateTime(start)}`);
+        lines.push(`DTEND;TZID=${EVENT_TIME_ZONE}:${icsIsraelDateTime(end)}`);
+    } else {
+        lines.push(`DTSTART;VALUE=DATE:${icsIsraelDate(start)}`);
+        lines.push(`DTEND;VALUE=DATE:${icsIsraelDate(end)}`);
+    }
+
+    lines.push(`SUMMARY:${escapeIcsText(event.name)}`);
+    const place = [event.location, event.address].filter(Boolean).join(', ');
+    if (place) lines.push(`LOCATION:${escapeIcsText(place)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+    lines.push(`STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+    lines.push('END:VEVENT');
+    return lines;
+};
+
+const buildIcsCalendar = (eventDocs, now) => [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Paragrutarally//Events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Paragrutarally',
+    `X-WR-TIMEZONE:${EVENT_TIME_ZONE}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+    ...JERUSALEM_VTIMEZONE,
+    ...eventDocs.flatMap(eventDoc => buildIcsEvent(eventDoc.id, eventDoc.data(), now)),
+    'END:VCALENDAR'
+].map(foldIcsLine).join('\r\n') + '\r\n';
+
+const inChunks = (values) => {
+    const chunks = [];
+    for (let i = 0; i < values.length; i += FIRESTORE_IN_LIMIT) {
+        chunks.push(values.slice(i, i + FIRESTORE_IN_LIMIT));
+    }
+    return chunks;
+};
+
+/**
+ * Events that belong in a user's calendar: every event for admins, the events of their teams
+ * for instructors, and for parents the events of their kids' teams plus any event a kid is
+ * registered or waitlisted for. Events more than CALENDAR_HISTORY_DAYS old are left out.
+ */
+const loadCalendarEvents = async (userId, role) => {
+    let eventDocs = [];
+
+    if (role === 'admin') {
+        eventDocs = (await firestore.collection('events').get()).docs;
+    } else {
+        const teamIds = new Set();
+        const eventIds = new Set();
+
+        if (role === 'instructor') {
+            const teams = await firestore.collection('teams').where('instructorIds', 'array-contains', userId).get();
+            teams.docs.forEach(teamDoc => teamIds.add(teamDoc.id));
+        } else if (role === 'parent') {
+            const [kids, legacyKids] = await Promise.all([
+                firestore.collection('kids').where('parentInfo.parentIds', 'array-contains', userId).get(),
+                firestore.collection('kids').where('parentInfo.parentId', '==', userId).get()
+            ]);
+            const kidDocs = [...kids.docs, ...legacyKids.docs];
+            kidDocs.forEach(kidDoc => kidDoc.data().teamId && teamIds.add(kidDoc.data().teamId));
+
+            for (const kidIds of inChunks([...new Set(kidDocs.map(kidDoc => kidDoc.id))])) {
+                const registrations = await firestore.collection('eventParticipants').where('kidId', 'in', kidIds).get();
+                registrations.docs
+                    .map(registrationDoc => registrationDoc.data())
+                    .filter(registration => registration.status !== REGISTRATION_STATUS.CANCELLED)
+                    .forEach(registration => eventIds.add(registration.eventId));
+            }
+        }
+
+        const byId = new Map();
+        for (const chunk of inChunks([...teamIds])) {
+            const events = await firestore.collection('events').where('participatingTeams', 'array-contains-any', chunk).get();
+            events.docs.forEach(eventDoc => byId.set(eventDoc.id, eventDoc));
+        }
+        const missing = [...eventIds].filter(eventId => !byId.has(eventId));
+        if (missing.length > 0) {
+            const registeredEvents = await firestore.getAll(...missing.map(eventId => firestore.collection('events').doc(eventId)));
+            registeredEvents.filter(eventDoc => eventDoc.exists).forEach(eventDoc => byId.set(eventDoc.id, eventDoc));
+        }
+        eventDocs = [...byId.values()];
+    }
+
+    const since = Date.now() - CALENDAR_HISTORY_DAYS * 24 * HOUR_MS;
+    return eventDocs
+        .map(eventDoc => ({ eventDoc, start: getEventStart(eventDoc.data()) }))
+        .filter(({ start }) => start && start.getTime() >= since)
+        .sort((a, b) => a.start - b.start)
+        .map(({ eventDoc }) => eventDoc);
+};
+
+// Timestamps compare by instant; serializing them compares whatever the SDK puts in the object
+const isSameCalendarValue = (before, after) => {
+    if (before?.toMillis && after?.toMillis) return before.toMillis() === after.toMillis();
+    return JSON.stringify(before ?? null) === JSON.stringify(after ?? null);
+};
+
+/**
+ * Bump an event's calendarSequence when anything shown in a calendar changes (name, start,
+ * end, place or status), so subscribed calendars replace their copy of the event.
+ * Writing the sequence triggers this again, but then no calendar field has changed.
+ */
+export const bumpEventCalendarSequence = onDocumentWritten('events/{eventId}', async (event) => {
+    const before = event.data?.before?.exists ? event.data.before.data() : null;
+    const after = event.data?.after?.exists ? event.data.after.data() : null;
+    if (!before || !after) return;
+
+    const changed = CALENDAR_FIELDS.some(field => !isSameCalendarValue(before[field], after[field]));
+    if (!changed) return;
+
+    await event.data.after.ref.update({ calendarSequence: FieldValue.increment(1) });
+});
+
+/**
+ * Callable: create the caller's calendar feed link (Admin, parent or instructor).
+ * The link carries a secret token; only its hash is stored in `calendarFeeds/{uid}`, so a
+ * new link replaces, and disables, the previous one.
+ * Returns the https feed url and the same url as webcal:// for calendar apps.
+ */
+export const createCalendarFeedLink = onCall(
+    {
+        timeoutSeconds: 30,
+        memory: '256MiB'
+    },
+    async (request) => {
+        try {
+            if (!request.auth) {
+                throw new HttpsError('unauthenticated', 'User must be authenticated.');
+            }
+            const userDoc = await firestore.collection('users').doc(request.auth.uid).get();
+            const role = userDoc.exists ? normalizeUserRole(userDoc.data().role) : null;
+            if (!['admin', 'parent', 'instructor'].includes(role)) {
+                throw new HttpsError('permission-denied', 'Only admins, parents and instructors have a calendar feed.');
+            }
+
+            const token = randomBytes(32).toString('base64url');
+            await firestore.collection('calendarFeeds').doc(request.auth.uid).set({
+                tokenHash: hashInviteToken(token),
+                createdAt: FieldValue.serverTimestamp()
+            });
+
+            const projectId = process.env.GCLOUD_PROJECT;
+            const url = `https://${FUNCTIONS_REGION}-${projectId}.cloudfunctions.net/calendarFeed` +
+                `?user=${encodeURIComponent(request.auth.uid)}&token=${token}`;
+
+            return {
+                success: true,
+                url,
+                webcalUrl: url.replace(/^https:/, 'webcal:')
+            };
+        } catch (error) {
+            console.error('Error in createCalendarFeedLink function:', error);
+
+            if (error instanceof HttpsError) {
+                throw error;
+            }
+
+            throw new HttpsError('internal', 'Failed to create the calendar link.');
+        }
+    }
+);
+
+/**
+ * HTTP: a user's events as an iCalendar feed, for calendar apps to subscribe to.
+ * GET ?user=<uid>&token=<token from createCalendarFeedLink>. Unknown users and wrong
+ * tokens get the same 404, so the feed does not reveal which users exist.
+ */
+export const calendarFeed = onRequest(
+    {
+        timeoutSeconds: 60,
+        memory: '256MiB'
+    },
+    async (req, res) => {
+        try {
+            if (req.method !== 'GET' && req.method !== 'HEAD') {
+                res.status(405).send('Method not allowed');
+                return;
+            }
+
+            const userId = typeof req.query.user === 'string' ? req.query.user : '';
+            const token = typeof req.query.token === 'string' ? req.query.token : '';
+            if (!userId || !token) {
+                res.status(404).send('Not found');
+                return;
+            }
+
+            const [feedDoc, userDoc] = await Promise.all([
+                firestore.collection('calendarFeeds').doc(userId).get(),
+                firestore.collection('users').doc(userId).get()
+            ]);
+            if (!feedDoc.exists || !userDoc.exists || !tokenMatches(token, feedDoc.data().tokenHash)) {
+                res.status(404).send('Not found');
+                return;
+            }
+
+            const eventDocs = await loadCalendarEvents(userId, normalizeUserRole(userDoc.data().role));
+
+            res.set('Content-Type', 'text/calendar; charset=utf-8');
+            res.set('Content-Disposition', 'inline; filename="paragrutarally.ics"');
+            res.set('Cache-Control', 'private, max-age=900');
+            res.status(200).send(buildIcsCalendar(eventDocs, new Date()));
+        } catch (error) {
+            console.error('Error in calendarFeed function:', error);
+            res.status(500).send('Failed to build the calendar.');
+        }
+    }
+);
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * Writes the permission manifest section of firebase/firestore.rules
+ *
+ * Usage: npm run rules:permissions            (rewrite the generated section)
+ *        npm run rules:permissions -- --check (exit 1 if the section is out of date)
+ *
+ * For every role/collection entry in src/schemas/permissionManifest.js with enforceInRules set,
+ * this emits a `<role><Collection>UpdateWithinManifest()` function that only accepts updates
+ * touching the entry's `edit` paths. The match blocks in the rules decide where to call them.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { PERMISSION_MANIFEST } from '../src/schemas/permissionManifest.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const RULES_PATH = resolve(__dirname, '../firebase/firestore.rules');
+
+export const BEGIN_MARKER = '// BEGIN GENERATED PERMISSIONS';
+export const END_MARKER = '// END GENERATED PERMISSIONS';
+const INDENT = '    ';
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+export const ruleFunctionName = (role, collection) =>
+    `${role}${capitalize(collection)}UpdateWithinManifest`;
+
+// ['comments.organization', 'teamId'] -> { comments: { organization: true }, teamId: true }
+const buildPathTree = (paths) => {
+    const tree = {};
+    paths.forEach(path => {
+        const keys = path.split('.');
+        let node = tree;
+        keys.forEach((key, index) => {
+            if (index === keys.length - 1) {
+                node[key] = true;
+            } else {
+                if (node[key] === true) return;
+                node[key] = node[key] || {};
+                node = node[key];
+            }
+        });
+    });
+    return tree;
+};
+
+// One affectedKeys() check per map level; a leaf lets the whole value change
+const buildConditions = (tree, before, after) => {
+    const keys = Object.keys(tree).sort();
+    const conditions = [
+        `onlyChangedWithin(${before}, ${after}, [${keys.map(key => `'${key}'`).join(', ')}])`
+    ];
+    keys.forEach(key => {
+        if (tree[key] !== true) {
+            conditions.push(...buildConditions(
+                tree[key],
+                `${before}.get('${key}', {})`,
+                `${after}.get('${key}', {})`
+            ));
+        }
+    });
+    return conditions;
+};
+
+/**
+ * Build the generated rules section (without surrounding indentation)
+ * @param {Object} manifest
+ * @returns {string}
+ */
+export const buildPermissionRules = (manifest = PERMISSION_MANIFEST) => {
+    const lines = [
+        `${BEGIN_MARKER} - do not edit by hand.`,
+        '// Source: src/schemas/permissionManifest.js, regenerate with `npm run rules:permissions`.',
+        '',
+        'function onlyChangedWithin(before, after, keys) {',
+        '  return after.diff(before).affectedKeys().hasOnly(keys);',
+        '}'
+    ];
+
+    Object.entries(manifest).forEach(([role, collections]) => {
+        Object.entries(collections).forEach(([collection, entry]) => {
+            if (!entry.enforceInRules) return;
+
+            const conditions = entry.edit.length > 0
+                ? buildConditions(buildPathTree(entry.edit), 'resource.data', 'request.resource.data')
+                : ['false'];
+
+            const body = conditions.map((condition, index) => (index === 0
+                ? `  return ${condition}`
+                : `      && ${condition}`));
+            body[body.length - 1] += ';';
+
+            lines.push('', `function ${ruleFunctionName(role, collection)}() {`, ...body, '}');
+        });
+    });
+
+    lines.push(END_MARKER);
+    return lines.map(line => (line ? `${INDENT}${line}` : line)).join('\n');
+};
+
+/**
+ * Replace the generated section of a rules file
+ * @param {string} rulesText
+ * @param {string} section - Output of buildPermissionRules
+ * @returns {string}
+ */
+export const applyPermissionRules = (rulesText, section) => {
+    const start = rulesText.indexOf(`${INDENT}${BEGIN_MARKER}`);
+    const endMarkerIndex = rulesText.indexOf(END_MARKER);
+    if (start === -1 || endMarkerIndex === -1) {
+        throw new Error(`Could not find the "${BEGIN_MARKER}" / "${END_MARKER}" markers in the rules file`);
+    }
+    const end = endMarkerIndex + END_MARKER.length;
+    return rulesText.slice(0, start) + section + rulesText.slice(end);
+};
+
+const main = () => {
+    const checkOnly = process.argv.includes('--check');
+    const current = readFileSync(RULES_PATH, 'utf8');
+    const next = applyPermissionRules(current, buildPermissionRules());
+
+    if (current === next) {
+        console.log('Firestore rules match the permission manifest');
+        return;
+    }
+
+    if (checkOnly) {
+        console.error('firebase/firestore.rules is out of date. Run `npm run rules:permissions`.');
+        process.exit(1);
+    }
+
+    writeFileSync(RULES_PATH, next);
+    console.log('Updated the generated permissions in firebase/firestore.rules');
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+    main();
+}
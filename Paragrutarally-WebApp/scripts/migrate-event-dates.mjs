@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * Give every event its startsAt and endsAt Timestamps
+ *
+ * Events created before startsAt existed only have a date string (sometimes a full ISO date
+ * or a legacy eventDate) and a time. This reads them the way the app does, in Israel time
+ * (src/utils/eventDateUtils.js), stores startsAt and endsAt, and rewrites date and time as the
+ * YYYY-MM-DD and HH:mm the forms expect. Events that already have startsAt are left alone, so
+ * it is safe to run again.
+ *
+ * Events with a date but no time are all-day events: they only get their date rewritten and no
+ * startsAt, which would make them timed events at midnight.
+ *
+ * Usage: npm run migrate:event-dates -- [--dry-run] [--emulator]
+ *
+ *   --dry-run   Print the changes without writing them
+ *   --emulator  Use the Firestore emulator on 127.0.0.1:8080 instead of the project
+ *               (which needs GOOGLE_APPLICATION_CREDENTIALS)
+ */
+
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import {
+  getEventDay,
+  getEventEnd,
+  getEventStart,
+  getEventStartTime,
+  hasEventTime
+} from '../src/utils/eventDateUtils.js';
+
+const BATCH_SIZE = 400;
+const dryRun = process.argv.includes('--dry-run');
+
+if (process.argv.includes('--emulator')) {
+  process.env.FIRESTORE_EMULATOR_HOST = '127.0.0.1:8080';
+}
+
+const app = initializeApp({
+  projectId: 'paragrutarally-1188c'
+});
+
+const db = getFirestore(app);
+
+function buildUpdate(event) {
+  const startsAt = getEventStart(event);
+  if (!startsAt) return null;
+
+  if (!hasEventTime(event)) {
+    return { date: getEventDay(event) };
+  }
+
+  return {
+    startsAt: Timestamp.fromDate(startsAt),
+    endsAt: Timestamp.fromDate(getEventEnd(event)),
+    date: getEventDay(event),
+    time: getEventStartTime(event)
+  };
+}
+
+async function migrateEventDates() {
+  console.log(`\n🗓️  Migrating event dates${dryRun ? ' (dry run)' : ''}...\n`);
+  if (process.env.FIRESTORE_EMULATOR_HOST) {
+    console.log(`Connecting to the Firestore emulator: ${process.env.FIRESTORE_EMULATOR_HOST}\n`);
+  }
+
+  const snapshot = await db.collection('events').get();
+  const updates = [];
+  const skipped = [];
+  let alreadyMigrated = 0;
+  let allDay = 0;
+
+  for (const eventDoc of snapshot.docs) {
+    const event = eventDoc.data();
+    const label = `${eventDoc.id} (${event.name || 'unnamed'})`;
+    if (event.startsAt) {
+      alreadyMigrated++;
+      continue;
+    }
+
+    const update = buildUpdate(event);
+    if (!update) {
+      skipped.push(`${label}: no date`);
+      continue;
+    }
+
+    if (!update.startsAt) {
+      allDay++;
+      if (update.date === event.date) continue;
+      console.log(`  ${label}: all-day event, ${event.date || event.eventDate} → ${update.date}`);
+    } else {
+      console.log(`  ${label}: ${event.date || event.eventDate} ${event.time || ''} → ${update.startsAt.toDate().toISOString()}`);
+    }
+    updates.push({ ref: eventDoc.ref, update });
+  }
+
+  if (!dryRun) {
+    for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      updates.slice(i, i + BATCH_SIZE).forEach(({ ref, update }) => batch.update(ref, update));
+      await batch.commit();
+    }
+  }
+
+  console.log('\n📋 Summary:\n');
+  console.log(`  Events:            ${snapshot.size}`);
+  console.log(`  ${`${dryRun ? 'To migrate' : 'Migrated'}:`.padEnd(19)}${updates.length}`);
+  console.log(`  Already migrated:  ${alreadyMigrated}`);
+  console.log(`  All-day (no time): ${allDay}`);
+  console.log(`  Without a date:    ${skipped.length}`);
+  for (const line of skipped) {
+    console.log(`    - ${line}`);
+  }
+
+  console.log('\n✨ Done!\n');
+}
+
+migrateEventDates().catch((error) => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
@@ -5,6 +5,7 @@ import { AuthProvider } from './contexts/AuthContext';
 import { ThemeProvider } from './contexts/ThemeContext';
 import { LanguageProvider } from './contexts/LanguageContext';
 import { PermissionProvider } from './hooks/usePermissions.jsx';
+import { SeasonProvider } from './contexts/SeasonContext';
 import ErrorBoundary from './components/layout/ErrorBoundary';
 
 // Import the role redirect handler
@@ -22,6 +23,7 @@ import ProtectedRoute, {
 
 // Import pages
 import Login from './components/auth/Login';
+import SetPasswordPage from './pages/auth/SetPasswordPage';
 
 // Admin pages
 import AdminDashboardPage from './pages/admin/AdminDashboardPage';
@@ -35,6 +37,19 @@ import FormSubmissionsPage from './pages/admin/FormSubmissionsPage';
 import BackupSyncPage from './pages/admin/BackupSyncPage';
 import ExportPage from './pages/admin/ExportPage.jsx';
 import AnalyticsDashboardPage from './pages/admin/AnalyticsDashboardPage';
+import SeasonsManagementPage from './pages/admin/SeasonsManagementPage';
+import VenuesManagementPage from './pages/admin/VenuesManagementPage';
+import KidDuplicatesPage from './pages/admin/KidDuplicatesPage';
+import EventRegistrationsPage from './pages/admin/EventRegistrationsPage';
+import HeatSchedulePage from './pages/admin/HeatSchedulePage';
+import RaceResultsPage from './pages/admin/RaceResultsPage';
+import EventCheckInPage from './pages/admin/EventCheckInPage';
+import EventVolunteersPage from './pages/admin/EventVolunteersPage';
+import EventPaymentsPage from './pages/admin/EventPaymentsPage';
+import EventShirtsPage from './pages/admin/EventShirtsPage';
+import PaymentBalancesPage from './pages/admin/PaymentBalancesPage';
+import SeasonStandingsPage from './pages/admin/SeasonStandingsPage';
+import KidMedicalProfilePage from './pages/admin/KidMedicalProfilePage';
 
 // Admin Kids Management
 import KidsManagementPage from './pages/admin/KidsManagementPage';
@@ -94,6 +109,7 @@ function App() {
                 <ThemeProvider>
                     <AuthProvider>
                         <PermissionProvider>
+                            <SeasonProvider>
                             <Router>
                                 <RoleRedirectHandler>
                                     <div className="App">
@@ -103,6 +119,7 @@ function App() {
                                                ======================================== */}
                                             <Route path="/login" element={<Login />} />
                                             <Route path="/forgot-password" element={<Login />} />
+                                            <Route path="/set-password" element={<SetPasswordPage />} />
                                             <Route path="/privacy-policy" element={<PrivacyPolicyPage />} />
                                             <Route path="/terms-of-service" element={<TermsOfServicePage />} />
 
@@ -151,6 +168,62 @@ function App() {
                                                     </RequireAdmin>
                                                 }
                                             />
+                                            <Route
+                                                path="/admin/events/registrations/:eventId"
+                                                element={
+                                                    <RequireAdmin>
+                                                        <EventRegistrationsPage />
+                                                    </RequireAdmin>
+                                                }
+                                            />
+                                            <Route
+                                                path="/admin/events/heats/:eventId"
+                                                element={
+                                                    <RequireAdmin>
+                                                        <HeatSchedulePage />
+                                                    </RequireAdmin>
+                                                }
+                                            />
+                                            <Route
+                                                path="/admin/events/results/:eventId"
+                                                element={
+                                                    <RequireAdmin>
+                                                        <RaceResultsPage />
+                                                    </RequireAdmin>
+                                                }
+                                            />
+                                            <Route
+                                                path="/admin/events/checkin/:eventId"
+                                                element={
+                                                    <RequireAdmin>
+                                                        <EventCheckInPage />
+                                                    </RequireAdmin>
+                                                }
+                                            />
+                                            <Route
+                                                path="/admin/events/volunteers/:eventId"
+                                                element={
+                                                    <RequireAdmin>
+                                                        <EventVolunteersPage />
+                                                    </RequireAdmin>
+                                                }
+                                            />
+                                            <Route
+                                                path="/admin/events/payments/:eventId"
+                                                element={
+                                                    <RequireAdmin>
+                                                        <EventPaymentsPage />
+                                                    </RequireAdmin>
+                                                }
+                                            />
+                                            <Route
+                                                path="/admin/events/shirts/:eventId"
+                                                element={
+                                                    <RequireAdmin>
+                                                        <EventShirtsPage />
+                                                    </RequireAdmin>
+                                                }
+                                            />
 
                                             {/* Admin Users Management */}
                                             <Route
@@ -195,6 +268,22 @@ function App() {
                                                     </RequireAdmin>
                                                 }
                                             />
+                                            <Route
+                                                path="/admin/kids/medical/:id"
+                                                element={
+                                                    <RequireAdmin>
+                                                        <KidMedicalProfilePage />
+                                                    </RequireAdmin>
+                                                }
+                                            />
+                                            <Route
+                                                path="/admin/kids/duplicates"
+                                                element={
+                                                    <RequireAdmin>
+                                                        <KidDuplicatesPage />
+                                                    </RequireAdmin>
+                                                }
+                                            />
 
                                             {/* Admin Teams Management */}
                                             <Route
@@ -317,6 +406,38 @@ function App() {
                                                     </RequireAdmin>
                                                 }
                                             />
+                                            <Route
+                                                path="/admin/seasons"
+                                                element={
+                                                    <RequireAdmin>
+                                                        <SeasonsManagementPage />
+                                                    </RequireAdmin>
+                                                }
+                                            />
+                                            <Route
+                                                path="/admin/venues"
+                                                element={
+                                                    <RequireAdmin>
+                                                        <VenuesManagementPage />
+                                                    </RequireAdmin>
+                                                }
+                                            />
+                                            <Route
+                                                path="/admin/seasons/:seasonId/standings"
+                                                element={
+                                                    <RequireAdmin>
+                                                        <SeasonStandingsPage />
+                                                    </RequireAdmin>
+                                                }
+                                            />
+                                            <Route
+                                                path="/admin/payments"
+                                                element={
+                                                    <RequireAdmin>
+                                                        <PaymentBalancesPage />
+                                                    </RequireAdmin>
+                                                }
+                                            />
 
                                             {/* ========================================
                                                INSTRUCTOR ROUTES
@@ -375,6 +496,14 @@ function App() {
                                                     </RequireInstructorOnly>
                                                 }
                                             />
+                                            <Route
+                                                path="/instructor/kids/medical/:id"
+                                                element={
+                                                    <RequireInstructorOnly>
+                                                        <KidMedicalProfilePage />
+                                                    </RequireInstructorOnly>
+                                                }
+                                            />
 
                                             {/* Instructor Teams Management */}
                                             <Route
@@ -588,6 +717,7 @@ function App() {
                                     </div>
                                 </RoleRedirectHandler>
                             </Router>
+                            </SeasonProvider>
                         </PermissionProvider>
                     </AuthProvider>
                 </ThemeProvider>
@@ -0,0 +1,125 @@
+// src/components/audit/AuditHistory.jsx - Change history of one document from the audit log
+import React, { useState, useEffect } from 'react';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { getAuditHistory } from '../../services/auditService';
+import './AuditHistory.css';
+
+const formatAuditValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (Array.isArray(value)) return value.length > 0 ? value.map(formatAuditValue).join(', ') : '—';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+const AuditHistory = ({ collectionName, docId }) => {
+    const { t, isRTL } = useLanguage();
+    const [entries, setEntries] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let isCurrent = true;
+
+        const loadHistory = async () => {
+            try {
+                setIsLoading(true);
+                setError(null);
+                const history = await getAuditHistory(collectionName, docId);
+                if (isCurrent) setEntries(history);
+            } catch (err) {
+                console.error('Error loading history:', err);
+                if (isCurrent) setError(t('history.loadError', 'Failed to load the change history.'));
+            } finally {
+                if (isCurrent) setIsLoading(false);
+            }
+        };
+
+        loadHistory();
+        return () => {
+            isCurrent = false;
+        };
+    }, [collectionName, docId, t]);
+
+    const getActionLabel = (action) => {
+        switch (action) {
+            case 'create':
+                return t('history.actionCreate', 'Created');
+            case 'delete':
+                return t('history.actionDelete', 'Deleted');
+            default:
+                return t('history.actionUpdate', 'Updated');
+        }
+    };
+
+    const getActorName = (actor) => {
+        if (!actor || actor.type === 'system') return t('history.system', 'System');
+        return actor.name || actor.uid || t('history.unknownUser', 'Unknown user');
+    };
+
+    if (isLoading) {
+        return (
+            <div className="audit-history">
+                <p className="audit-history-status">{t('history.loading', 'Loading history...')}</p>
+            </div>
+        );
+    }
+
+    if (error) {
+        return (
+            <div className="audit-history">
+                <p className="audit-history-status error" role="alert">{error}</p>
+            </div>
+        );
+    }
+
+    if (entries.length === 0) {
+        return (
+            <div className="audit-history">
+                <p className="audit-history-status">{t('history.empty', 'No changes have been recorded yet.')}</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="audit-history" dir={isRTL ? 'rtl' : 'ltr'}>
+            <ol className="audit-history-list">
+                {entries.map(entry => (
+                    <li key={entry.id} className={`audit-entry audit-entry-${entry.action}`}>
+                        <div className="audit-entry-header">
+                            <span className={`audit-action-badge ${entry.action}`}>{getActionLabel(entry.action)}</span>
+                            <span className="audit-actor">
+                                {t('history.byActor', 'by {name}', { name: getActorName(entry.actor) })}
+                            </span>
+                            <span className="audit-time">
+                                {entry.timestamp ? entry.timestamp.toLocaleString(isRTL ? 'he-IL' : 'en-US') : ''}
+                            </span>
+                        </div>
+
+                        {entry.changes.length > 0 && (
+                            <table className="audit-changes">
+                                <thead>
+                                    <tr>
+                                        <th>{t('history.field', 'Field')}</th>
+                                        <th>{t('history.before', 'Before')}</th>
+                                        <th>{t('history.after', 'After')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {entry.changes.map(change => (
+                                        <tr key={change.field}>
+                                            <td className="audit-field">{change.field}</td>
+                                            <td className="audit-before">{formatAuditValue(change.before)}</td>
+                                            <td className="audit-after">{formatAuditValue(change.after)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </li>
+                ))}
+            </ol>
+        </div>
+    );
+};
+
+export default AuditHistory;
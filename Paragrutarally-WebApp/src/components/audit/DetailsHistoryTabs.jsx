@@ -0,0 +1,32 @@
+// src/components/audit/DetailsHistoryTabs.jsx - Switch a view page between its details and change history
+import React from 'react';
+import { useLanguage } from '../../contexts/LanguageContext';
+import './AuditHistory.css';
+
+const DetailsHistoryTabs = ({ activeTab, onChange }) => {
+    const { t } = useLanguage();
+
+    const tabs = [
+        { id: 'details', label: t('history.detailsTab', 'Details') },
+        { id: 'history', label: t('history.historyTab', 'History') }
+    ];
+
+    return (
+        <div className="details-history-tabs" role="tablist">
+            {tabs.map(tab => (
+                <button
+                    key={tab.id}
+                    type="button"
+                    role="tab"
+                    aria-selected={activeTab === tab.id}
+                    className={`details-history-tab ${activeTab === tab.id ? 'active' : ''}`}
+                    onClick={() => onChange(tab.id)}
+                >
+                    {tab.label}
+                </button>
+            ))}
+        </div>
+    );
+};
+
+export default DetailsHistoryTabs;
@@ -0,0 +1,99 @@
+// src/components/checkin/QrScanner.jsx - Read QR codes with the phone's back camera
+import React, { useState, useEffect, useRef } from 'react';
+import jsQR from 'jsqr';
+import { useLanguage } from '../../contexts/LanguageContext';
+
+const SCAN_INTERVAL_MS = 250;
+// The same code is reported once, not on every frame while it stays in view
+const REPEAT_AFTER_MS = 3000;
+
+/**
+ * @param {Object} props - { onScan(text) }
+ */
+const QrScanner = ({ onScan }) => {
+    const { t } = useLanguage();
+    const videoRef = useRef(null);
+    const canvasRef = useRef(null);
+    const lastScanRef = useRef({ text: '', at: 0 });
+    const onScanRef = useRef(onScan);
+    // Kept as 'unsupported' or 'camera' and translated when shown, so the camera does not
+    // restart when the language changes
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        onScanRef.current = onScan;
+    }, [onScan]);
+
+    useEffect(() => {
+        let stream = null;
+        let timer = null;
+        let stopped = false;
+
+        const scanFrame = () => {
+            const video = videoRef.current;
+            const canvas = canvasRef.current;
+            if (video && canvas && video.readyState === video.HAVE_ENOUGH_DATA) {
+                canvas.width = video.videoWidth;
+                canvas.height = video.videoHeight;
+                const context = canvas.getContext('2d', { willReadFrequently: true });
+                context.drawImage(video, 0, 0, canvas.width, canvas.height);
+                const image = context.getImageData(0, 0, canvas.width, canvas.height);
+                const code = jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' });
+                const now = Date.now();
+                if (code?.data && (code.data !== lastScanRef.current.text || now - lastScanRef.current.at > REPEAT_AFTER_MS)) {
+                    lastScanRef.current = { text: code.data, at: now };
+                    onScanRef.current(code.data);
+                }
+            }
+            timer = setTimeout(scanFrame, SCAN_INTERVAL_MS);
+        };
+
+        const start = async () => {
+            try {
+                stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+                if (stopped) {
+                    stream.getTracks().forEach(track => track.stop());
+                    return;
+                }
+                videoRef.current.srcObject = stream;
+                await videoRef.current.play();
+                scanFrame();
+            } catch (cameraError) {
+                console.error('Error starting camera:', cameraError);
+                setError('camera');
+            }
+        };
+
+        if (navigator.mediaDevices?.getUserMedia) {
+            start();
+        } else {
+            setError('unsupported');
+        }
+
+        return () => {
+            stopped = true;
+            clearTimeout(timer);
+            stream?.getTracks().forEach(track => track.stop());
+        };
+    }, []);
+
+    return (
+        <div className="qr-scanner">
+            {error ? (
+                <p className="qr-scanner-error">
+                    {error === 'unsupported'
+                        ? t('checkIn.cameraUnsupported', 'This browser cannot use the camera. Find the kid in the list below.')
+                        : t('checkIn.cameraError', 'The camera could not be opened. Allow camera access, or find the kid in the list below.')}
+                </p>
+            ) : (
+                <>
+                    <video ref={videoRef} className="qr-scanner-video" muted playsInline />
+                    <div className="qr-scanner-frame" />
+                </>
+            )}
+            <canvas ref={canvasRef} hidden />
+        </div>
+    );
+};
+
+export default QrScanner;
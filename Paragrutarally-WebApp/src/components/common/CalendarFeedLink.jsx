@@ -0,0 +1,93 @@
+// src/components/common/CalendarFeedLink.jsx - Create a link that adds the user's events to their phone calendar
+import React, { useState } from 'react';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { createCalendarFeedLink } from '../../services/calendarService';
+import {
+    IconCalendarPlus as CalendarPlus,
+    IconCopy as Copy,
+    IconRefresh as RefreshCw
+} from '@tabler/icons-react';
+
+const copyToClipboard = async (text) => {
+    try {
+        await navigator.clipboard.writeText(text);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const CalendarFeedLink = () => {
+    const { t } = useLanguage();
+    const [feed, setFeed] = useState(null);
+    const [isCreating, setIsCreating] = useState(false);
+    const [message, setMessage] = useState('');
+
+    const handleCreate = async () => {
+        if (feed && !window.confirm(t('calendarFeed.confirmReplace', 'Calendars subscribed with the current link will stop updating. Create a new link?'))) {
+            return;
+        }
+        setIsCreating(true);
+        setMessage('');
+        try {
+            setFeed(await createCalendarFeedLink());
+        } catch (error) {
+            setMessage(error.message);
+        } finally {
+            setIsCreating(false);
+        }
+    };
+
+    const handleCopy = async () => {
+        const copied = await copyToClipboard(feed.url);
+        setMessage(copied
+            ? t('calendarFeed.copied', 'Link copied')
+            : t('calendarFeed.copyFailed', 'Could not copy, select the link and copy it by hand'));
+    };
+
+    return (
+        <div className="calendar-feed">
+            <h3>
+                <CalendarPlus size={22} />
+                {t('calendarFeed.title', 'Events Calendar')}
+            </h3>
+            <p>
+                {t('calendarFeed.description', 'Subscribe to your events in Google Calendar, Apple Calendar or Outlook. Changed and cancelled events update by themselves. Keep the link private: anyone who has it can see your events.')}
+            </p>
+            {feed && (
+                <div className="form-group">
+                    <label>{t('calendarFeed.linkLabel', 'Your calendar link (shown only now)')}</label>
+                    <input type="text" readOnly value={feed.url} onFocus={(e) => e.target.select()} />
+                </div>
+            )}
+            <div className="calendar-feed-actions">
+                {feed ? (
+                    <>
+                        <a className="btn btn-primary" href={feed.webcalUrl}>
+                            <CalendarPlus size={18} />
+                            {t('calendarFeed.subscribe', 'Add to My Calendar')}
+                        </a>
+                        <button type="button" className="btn btn-secondary" onClick={handleCopy}>
+                            <Copy size={18} />
+                            {t('calendarFeed.copy', 'Copy Link')}
+                        </button>
+                        <button type="button" className="btn btn-secondary" onClick={handleCreate} disabled={isCreating}>
+                            <RefreshCw size={18} />
+                            {t('calendarFeed.replace', 'New Link')}
+                        </button>
+                    </>
+                ) : (
+                    <button type="button" className="btn btn-primary" onClick={handleCreate} disabled={isCreating}>
+                        <CalendarPlus size={18} />
+                        {isCreating ? t('calendarFeed.creating', 'Creating...') : t('calendarFeed.create', 'Create Calendar Link')}
+                    </button>
+                )}
+            </div>
+            <p className="calendar-feed-hint">
+                {message || t('calendarFeed.replaceHint', 'Creating a link again stops the previous one from working.')}
+            </p>
+        </div>
+    );
+};
+
+export default CalendarFeedLink;
@@ -0,0 +1,25 @@
+// src/components/common/QrCode.jsx - A QR code image of a text
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+
+/**
+ * @param {Object} props - { value, size, alt, className }
+ */
+const QrCode = ({ value, size = 160, alt = '', className = '' }) => {
+    const [src, setSrc] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        QRCode.toDataURL(value, { width: size, margin: 1, errorCorrectionLevel: 'M' })
+            .then(url => !cancelled && setSrc(url))
+            .catch(error => console.error('Error drawing QR code:', error));
+        return () => {
+            cancelled = true;
+        };
+    }, [value, size]);
+
+    if (!src) return null;
+    return <img src={src} alt={alt} width={size} height={size} className={className} />;
+};
+
+export default QrCode;
@@ -0,0 +1,35 @@
+// src/components/common/SeasonSelector.jsx
+import React from 'react';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { useSeason } from '../../hooks/useSeason';
+import { ALL_SEASONS, SEASON_STATUS } from '../../schemas/seasonSchema';
+import './SeasonSelector.css';
+
+const SeasonSelector = ({ className = '' }) => {
+    const { t } = useLanguage();
+    const { seasons, selectedSeasonId, setSelectedSeasonId } = useSeason();
+
+    // Nothing to choose from until the first season is created
+    if (seasons.length === 0) return null;
+
+    return (
+        <div className={`season-selector ${className}`}>
+            <select
+                value={selectedSeasonId}
+                onChange={(e) => setSelectedSeasonId(e.target.value)}
+                className="season-select"
+                title={t('seasons.selectSeason', 'Select Season')}
+            >
+                <option value={ALL_SEASONS}>{t('seasons.allSeasons', 'All Seasons')}</option>
+                {seasons.map((season) => (
+                    <option key={season.id} value={season.id}>
+                        {season.name}
+                        {season.status === SEASON_STATUS.ACTIVE ? ` (${t('seasons.status.active', 'Active')})` : ''}
+                    </option>
+                ))}
+            </select>
+        </div>
+    );
+};
+
+export default SeasonSelector;
@@ -0,0 +1,92 @@
+// src/components/common/UserNotifications.jsx - Unread in-app notifications of the signed-in user
+import React, { useState, useEffect } from 'react';
+import { useLanguage } from '../../contexts/LanguageContext';
+import {
+    NOTIFICATION_TYPES,
+    getUnreadNotifications,
+    markNotificationRead
+} from '../../services/notificationService';
+import {
+    IconBell as Bell,
+    IconCheck as Check
+} from '@tabler/icons-react';
+
+/**
+ * @param {Object} props - { userId }
+ */
+const UserNotifications = ({ userId }) => {
+    const { t } = useLanguage();
+    const [notifications, setNotifications] = useState([]);
+    const [dismissing, setDismissing] = useState({});
+
+    useEffect(() => {
+        if (!userId) return;
+        getUnreadNotifications(userId)
+            .then(setNotifications)
+            .catch(error => console.error('Error loading notifications:', error));
+    }, [userId]);
+
+    const dismiss = async (notificationId) => {
+        setDismissing(prev => ({ ...prev, [notificationId]: true }));
+        try {
+            await markNotificationRead(notificationId);
+            setNotifications(prev => prev.filter(notification => notification.id !== notificationId));
+        } catch (error) {
+            console.error('Error dismissing notification:', error);
+        } finally {
+            setDismissing(prev => ({ ...prev, [notificationId]: false }));
+        }
+    };
+
+    const messageFor = (notification) => {
+        switch (notification.type) {
+            case NOTIFICATION_TYPES.WAITLIST_PROMOTED:
+                return t('notifications.waitlistPromoted', 'A place opened up: {kidName} is now registered for {eventName}.', {
+                    kidName: notification.kidName,
+                    eventName: notification.eventName
+                });
+            case NOTIFICATION_TYPES.EVENT_CANCELLED:
+                return notification.kidNames
+                    ? t('notifications.eventCancelledForKids', '{eventName} is cancelled, so {kidNames} will not race: {reason}', {
+                        eventName: notification.eventName,
+                        kidNames: notification.kidNames,
+                        reason: notification.reason
+                    })
+                    : t('notifications.eventCancelled', '{eventName} is cancelled and your volunteer shift is released: {reason}', {
+                        eventName: notification.eventName,
+                        reason: notification.reason
+                    });
+            default:
+                return notification.message || notification.type;
+        }
+    };
+
+    if (notifications.length === 0) return null;
+
+    return (
+        <div className="alert info-alert" style={{ flexDirection: 'column', alignItems: 'stretch', gap: '12px' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                <Bell size={20} />
+                <strong>{t('notifications.title', 'Notifications')}</strong>
+            </div>
+            {notifications.map(notification => (
+                <div
+                    key={notification.id}
+                    style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', flexWrap: 'wrap' }}
+                >
+                    <span>{messageFor(notification)}</span>
+                    <button
+                        className="btn btn-secondary"
+                        onClick={() => dismiss(notification.id)}
+                        disabled={dismissing[notification.id]}
+                    >
+                        <Check size={16} />
+                        {t('notifications.dismiss', 'Got it')}
+                    </button>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default UserNotifications;
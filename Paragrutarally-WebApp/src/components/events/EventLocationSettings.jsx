@@ -0,0 +1,84 @@
+// src/components/events/EventLocationSettings.jsx - Location section of the create/edit event forms
+import React from 'react';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { getEventVenueFields } from '../../schemas/venueSchema';
+import { IconMapPin as MapPin } from '@tabler/icons-react';
+
+/**
+ * Controlled section: the page keeps the event form and its errors
+ * Picking a venue copies its name and address into location and address; without one they are typed in.
+ * @param {Object} props - { settings, venues, errors, onChange(field, value) }
+ */
+const EventLocationSettings = ({ settings, venues = [], errors = {}, onChange }) => {
+    const { t } = useLanguage();
+    const venue = venues.find(item => item.id === settings.venueId) || null;
+    const capacity = Number(settings.maxParticipants) || 0;
+
+    const handleVenueChange = (venueId) => {
+        const fields = getEventVenueFields(venues.find(item => item.id === venueId) || null);
+        Object.entries(fields).forEach(([field, value]) => onChange(field, value));
+    };
+
+    return (
+        <div className="form-section event-location-section">
+            <div className="section-header">
+                <MapPin className="section-icon" size={24} />
+                <h3>📍 {t('events.locationDetails', 'Location Details')}</h3>
+            </div>
+
+            <div className="form-group">
+                <label className="form-label">{t('venues.venue', 'Venue')}</label>
+                <select
+                    className="form-select"
+                    value={settings.venueId || ''}
+                    onChange={(e) => handleVenueChange(e.target.value)}
+                >
+                    <option value="">{t('venues.otherLocation', 'Other location (type it in)')}</option>
+                    {venues.map(item => (
+                        <option key={item.id} value={item.id}>{item.name}</option>
+                    ))}
+                </select>
+                {venue?.capacity && capacity > venue.capacity && (
+                    <small className="field-hint">
+                        {t('venues.overCapacity', '{name} has room for {capacity} kids, fewer than the event\'s {max}', {
+                            name: venue.name,
+                            capacity: venue.capacity,
+                            max: capacity
+                        })}
+                    </small>
+                )}
+            </div>
+
+            <div className="form-group">
+                <label className="form-label">{t('events.locationName', 'Location Name')} *</label>
+                <input
+                    type="text"
+                    className={`form-input ${errors.location ? 'error' : ''}`}
+                    placeholder={t('events.locationPlaceholder', 'e.g., Jerusalem Racing Park')}
+                    value={settings.location}
+                    readOnly={Boolean(venue)}
+                    onChange={(e) => onChange('location', e.target.value)}
+                />
+                {errors.location && <div className="field-error">{t('events.requiredField', '*Required field')}</div>}
+            </div>
+
+            <div className="form-group">
+                <label className="form-label">{t('events.fullAddress', 'Full Address')} *</label>
+                <input
+                    type="text"
+                    className={`form-input ${errors.address ? 'error' : ''}`}
+                    placeholder={t('events.addressPlaceholder', 'Complete address of the event')}
+                    value={settings.address}
+                    readOnly={Boolean(venue)}
+                    onChange={(e) => onChange('address', e.target.value)}
+                />
+                {errors.address && <div className="field-error">{t('events.requiredField', '*Required field')}</div>}
+                {venue && (
+                    <small className="field-hint">{t('venues.fromVenueHint', 'Taken from the venue; edit it on the Venues page.')}</small>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default EventLocationSettings;
@@ -0,0 +1,71 @@
+// src/components/events/EventPaymentSettings.jsx - Fee section of the create/edit event forms
+import React from 'react';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { CURRENCIES } from '../../schemas/paymentSchema';
+import { IconCash as Cash } from '@tabler/icons-react';
+
+/**
+ * Controlled section: the page keeps the event form and its errors
+ * @param {Object} props - { settings, errors, onChange(field, value) }
+ */
+const EventPaymentSettings = ({ settings, errors = {}, onChange }) => {
+    const { t } = useLanguage();
+
+    return (
+        <div className="form-section event-payment-section">
+            <div className="section-header">
+                <Cash className="section-icon" size={24} />
+                <h3>💳 {t('payments.settings.title', 'Fee')}</h3>
+            </div>
+
+            <div className="datetime-group">
+                <div className="form-group">
+                    <label className="form-label">{t('payments.settings.price', 'Price per Kid')}</label>
+                    <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        className={`form-input ${errors.price ? 'error' : ''}`}
+                        placeholder={t('payments.settings.free', 'Free')}
+                        value={settings.price ?? ''}
+                        onChange={(e) => onChange('price', e.target.value)}
+                    />
+                    {errors.price && <div className="field-error">{errors.price}</div>}
+                </div>
+
+                <div className="form-group">
+                    <label className="form-label">{t('payments.settings.currency', 'Currency')}</label>
+                    <select
+                        className={`form-select ${errors.currency ? 'error' : ''}`}
+                        value={settings.currency || ''}
+                        onChange={(e) => onChange('currency', e.target.value)}
+                    >
+                        {CURRENCIES.map(currency => (
+                            <option key={currency} value={currency}>{currency}</option>
+                        ))}
+                    </select>
+                    {errors.currency && <div className="field-error">{errors.currency}</div>}
+                </div>
+            </div>
+
+            <div className="form-group">
+                <label className="form-label">{t('payments.settings.siblingDiscount', 'Sibling Discount (%)')}</label>
+                <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    className={`form-input ${errors.siblingDiscountPercent ? 'error' : ''}`}
+                    placeholder="0"
+                    value={settings.siblingDiscountPercent ?? ''}
+                    onChange={(e) => onChange('siblingDiscountPercent', e.target.value)}
+                />
+                <small className="field-hint">
+                    {t('payments.settings.siblingDiscountHint', 'Off the second and later kids of a family. Hardship discounts are set per kid on the event\'s payments page.')}
+                </small>
+                {errors.siblingDiscountPercent && <div className="field-error">{errors.siblingDiscountPercent}</div>}
+            </div>
+        </div>
+    );
+};
+
+export default EventPaymentSettings;
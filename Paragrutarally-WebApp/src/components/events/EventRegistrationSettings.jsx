@@ -0,0 +1,159 @@
+// src/components/events/EventRegistrationSettings.jsx - Registration section of the create/edit event forms
+import React from 'react';
+import { useLanguage } from '../../contexts/LanguageContext';
+import {
+    IconClipboardCheck as ClipboardCheck,
+    IconMinus as Minus,
+    IconPlus as Plus
+} from '@tabler/icons-react';
+
+const MAX_CAPACITY = 500;
+
+/**
+ * Controlled section: the page keeps the event form and its errors
+ * @param {Object} props - { settings, errors, onChange(field, value) }
+ */
+const EventRegistrationSettings = ({ settings, errors = {}, onChange }) => {
+    const { t } = useLanguage();
+    const capacity = Number(settings.maxParticipants) || 0;
+
+    const adjustCapacity = (increment) => {
+        const next = capacity + increment;
+        if (next >= 1 && next <= MAX_CAPACITY) {
+            onChange('maxParticipants', next);
+        }
+    };
+
+    const renderCheckbox = (field, title, description) => (
+        <div className="checkbox-group">
+            <label className="checkbox-label">
+                <input
+                    type="checkbox"
+                    checked={settings[field] !== false}
+                    onChange={(e) => onChange(field, e.target.checked)}
+                    className="checkbox-input"
+                />
+                <span className="checkbox-custom"></span>
+                <div className="checkbox-content">
+                    <div className="checkbox-title">{title}</div>
+                    <div className="checkbox-description">{description}</div>
+                </div>
+            </label>
+        </div>
+    );
+
+    return (
+        <div className="form-section event-registration-section">
+            <div className="section-header">
+                <ClipboardCheck className="section-icon" size={24} />
+                <h3>📝 {t('registration.settings.title', 'Registration')}</h3>
+            </div>
+
+            <div className="form-group">
+                {renderCheckbox(
+                    'registrationOpen',
+                    t('registration.settings.open', 'Registration open'),
+                    t('registration.settings.openDescription', 'Parents and instructors can register kids until the deadline or until the event is full.')
+                )}
+            </div>
+
+            <div className="datetime-group">
+                <div className="form-group">
+                    <label className="form-label">{t('registration.settings.deadline', 'Registration Deadline')}</label>
+                    <input
+                        type="date"
+                        className={`date-input ${errors.registrationDeadline ? 'error' : ''}`}
+                        value={settings.registrationDeadline || ''}
+                        onChange={(e) => onChange('registrationDeadline', e.target.value)}
+                        max={settings.date || undefined}
+                    />
+                    {errors.registrationDeadline && <div className="field-error">{errors.registrationDeadline}</div>}
+                </div>
+
+                <div className="form-group">
+                    <label className="form-label">{t('registration.settings.capacity', 'Capacity (kids)')} *</label>
+                    <div className="capacity-controls">
+                        <button
+                            type="button"
+                            className="capacity-button"
+                            onClick={() => adjustCapacity(-1)}
+                            disabled={capacity <= 1}
+                        >
+                            <Minus size={16} />
+                        </button>
+                        <span className="capacity-display">{capacity}</span>
+                        <button
+                            type="button"
+                            className="capacity-button"
+                            onClick={() => adjustCapacity(1)}
+                            disabled={capacity >= MAX_CAPACITY}
+                        >
+                            <Plus size={16} />
+                        </button>
+                    </div>
+                    {errors.maxParticipants && <div className="field-error">{errors.maxParticipants}</div>}
+                </div>
+            </div>
+
+            <div className="datetime-group">
+                <div className="form-group">
+                    <label className="form-label">{t('registration.settings.minAge', 'Minimum Age')}</label>
+                    <input
+                        type="number"
+                        min="0"
+                        className={`form-input ${errors.minAge ? 'error' : ''}`}
+                        placeholder={t('registration.settings.noLimit', 'No limit')}
+                        value={settings.minAge ?? ''}
+                        onChange={(e) => onChange('minAge', e.target.value)}
+                    />
+                    {errors.minAge && <div className="field-error">{errors.minAge}</div>}
+                </div>
+
+                <div className="form-group">
+                    <label className="form-label">{t('registration.settings.maxAge', 'Maximum Age')}</label>
+                    <input
+                        type="number"
+                        min="0"
+                        className={`form-input ${errors.maxAge ? 'error' : ''}`}
+                        placeholder={t('registration.settings.noLimit', 'No limit')}
+                        value={settings.maxAge ?? ''}
+                        onChange={(e) => onChange('maxAge', e.target.value)}
+                    />
+                    {errors.maxAge && <div className="field-error">{errors.maxAge}</div>}
+                </div>
+            </div>
+
+            <div className="form-group">
+                {renderCheckbox(
+                    'requireSignedDeclaration',
+                    t('registration.settings.requireDeclaration', 'Signed declaration required'),
+                    t('registration.settings.requireDeclarationDescription', 'Only kids with a signed declaration can be registered. Age is checked on the event date; kids must also belong to a participating team when teams are assigned.')
+                )}
+            </div>
+
+            <div className="form-group">
+                {renderCheckbox(
+                    'waitlistEnabled',
+                    t('registration.settings.waitlist', 'Waitlist when full'),
+                    t('registration.settings.waitlistDescription', 'Eligible kids join a waitlist once the event is full. When a place frees up, the first kid on the waitlist is registered and their parents are notified.')
+                )}
+            </div>
+
+            {settings.waitlistEnabled !== false && (
+                <div className="form-group">
+                    <label className="form-label">{t('registration.settings.waitlistCutoff', 'Stop Waitlist Promotions (hours before the event)')}</label>
+                    <input
+                        type="number"
+                        min="0"
+                        className={`form-input ${errors.waitlistCutoffHours ? 'error' : ''}`}
+                        value={settings.waitlistCutoffHours ?? ''}
+                        onChange={(e) => onChange('waitlistCutoffHours', e.target.value)}
+                    />
+                    {errors.waitlistCutoffHours && <div className="field-error">{errors.waitlistCutoffHours}</div>}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default EventRegistrationSettings;
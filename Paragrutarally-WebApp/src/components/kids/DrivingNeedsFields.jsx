@@ -0,0 +1,69 @@
+// src/components/kids/DrivingNeedsFields.jsx - Driving needs section of the add/edit kid forms
+import React from 'react';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { getSeatingSupportOptions, getSteeringAbilityOptions } from '../../schemas/kidSchema';
+import { IconSteeringWheel as Steering } from '@tabler/icons-react';
+
+/**
+ * Controlled section: the page keeps the kid and its errors
+ * @param {Object} props - { needs, errors, onChange(path, value) }
+ */
+const DrivingNeedsFields = ({ needs = {}, errors = {}, onChange }) => {
+    const { t } = useLanguage();
+
+    return (
+        <div className="form-section needs-section">
+            <div className="section-header">
+                <Steering className="section-icon" size={24} />
+                <h2>{t('needs.title', '♿ Driving Needs')}</h2>
+            </div>
+            <div className="form-grid">
+                <div className="form-group">
+                    <label className="form-label">{t('needs.steeringAbility', 'Steering Ability')}</label>
+                    <select
+                        value={needs.steeringAbility || ''}
+                        onChange={(e) => onChange('needs.steeringAbility', e.target.value)}
+                        className="form-select"
+                    >
+                        <option value="">{t('needs.notAssessed', 'Not assessed')}</option>
+                        {getSteeringAbilityOptions(t).map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                    {errors['needs.steeringAbility'] && <span className="error-text">{errors['needs.steeringAbility']}</span>}
+                </div>
+
+                <div className="form-group">
+                    <label className="form-label">{t('needs.seatingSupport', 'Seating Support')}</label>
+                    <select
+                        value={needs.seatingSupport || ''}
+                        onChange={(e) => onChange('needs.seatingSupport', e.target.value)}
+                        className="form-select"
+                    >
+                        <option value="">{t('needs.notAssessed', 'Not assessed')}</option>
+                        {getSeatingSupportOptions(t).map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                    {errors['needs.seatingSupport'] && <span className="error-text">{errors['needs.seatingSupport']}</span>}
+                </div>
+
+                <div className="form-group full-width">
+                    <label className="form-label checkbox-label">
+                        <input
+                            type="checkbox"
+                            checked={Boolean(needs.remoteOverrideRequired)}
+                            onChange={(e) => onChange('needs.remoteOverrideRequired', e.target.checked)}
+                        />
+                        {t('needs.remoteOverrideRequired', 'An adult must be able to take over with the remote control')}
+                    </label>
+                    <small className="field-hint">
+                        {t('needs.hint', 'Used to recommend a suitable vehicle when the kid is assigned one in the team.')}
+                    </small>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default DrivingNeedsFields;
@@ -0,0 +1,186 @@
+// src/components/kids/EmergencyCard.jsx - One-page medical and emergency card of a kid, printable
+import React from 'react';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { getKidAge, getKidFullName } from '../../schemas/kidSchema';
+import {
+    ALLERGY_SEVERITY,
+    TRANSFER_ASSISTANCE,
+    getAllergySeverityOptions,
+    getMobilityAidOptions,
+    getTransferAssistanceOptions
+} from '../../schemas/medicalProfileSchema';
+import {
+    IconAlertTriangle as Alert,
+    IconPhone as Phone,
+    IconPill as Pill,
+    IconBrain as Seizure,
+    IconWheelchair as Wheelchair
+} from '@tabler/icons-react';
+import './EmergencyCard.css';
+
+const labelFor = (options, value) => options.find(option => option.value === value)?.label || value;
+
+const EmergencyCard = ({ kid, team, profile }) => {
+    const { t, isRTL } = useLanguage();
+    const seizure = profile.seizureProtocol || {};
+    const severeAllergies = profile.allergies.filter(allergy => allergy.severity === ALLERGY_SEVERITY.SEVERE);
+    const mobilityAids = profile.mobilityAids.map(aid => labelFor(getMobilityAidOptions(t), aid));
+    const needsTransferHelp = profile.transferNeeds.assistance !== TRANSFER_ASSISTANCE.NONE;
+
+    return (
+        <div className="emergency-card" dir={isRTL ? 'rtl' : 'ltr'}>
+            <div className="emergency-card-header">
+                {kid.personalInfo?.photo && (
+                    <img src={kid.personalInfo.photo} alt={getKidFullName(kid, t)} className="emergency-card-photo" />
+                )}
+                <div>
+                    <h2>{getKidFullName(kid, t)}</h2>
+                    <div className="emergency-card-meta">
+                        {kid.participantNumber && <span>#{kid.participantNumber}</span>}
+                        {kid.personalInfo?.dateOfBirth && (
+                            <span>{kid.personalInfo.dateOfBirth} ({t('viewKid.ageLabel', 'Age: {age}', { age: getKidAge(kid) })})</span>
+                        )}
+                        {team && <span>{t('viewKid.teamLabel', 'Team: {teamName}', { teamName: team.name })}</span>}
+                    </div>
+                </div>
+                <div className="emergency-card-title">{t('medicalProfile.cardTitle', 'Emergency Card')}</div>
+            </div>
+
+            {(severeAllergies.length > 0 || seizure.hasSeizures) && (
+                <div className="emergency-card-warning">
+                    <Alert size={20} />
+                    <span>
+                        {[
+                            severeAllergies.length > 0 && t('medicalProfile.severeAllergyWarning', 'Severe allergy: {allergens}', {
+                                allergens: severeAllergies.map(allergy => allergy.allergen).join(', ')
+                            }),
+                            seizure.hasSeizures && t('medicalProfile.seizureWarning', 'Has seizures - see protocol')
+                        ].filter(Boolean).join(' · ')}
+                    </span>
+                </div>
+            )}
+
+            <section className="emergency-card-section">
+                <h3><Phone size={18} /> {t('medicalProfile.emergencyContacts', 'Emergency Contacts')}</h3>
+                {profile.emergencyContacts.length === 0 ? (
+                    <p className="emergency-card-empty">{t('medicalProfile.noContacts', 'No emergency contacts recorded')}</p>
+                ) : (
+                    <ol className="emergency-card-contacts">
+                        {profile.emergencyContacts.map((contact, index) => (
+                            <li key={index}>
+                                <strong>{contact.name}</strong>
+                                {contact.relationship && <span> ({contact.relationship})</span>}
+                                <span className="emergency-card-phone" dir="ltr">{contact.phone}</span>
+                            </li>
+                        ))}
+                    </ol>
+                )}
+            </section>
+
+            <section className="emergency-card-section">
+                <h3><Alert size={18} /> {t('medicalProfile.allergies', 'Allergies')}</h3>
+                {profile.allergies.length === 0 ? (
+                    <p className="emergency-card-empty">{t('medicalProfile.noAllergies', 'No known allergies')}</p>
+                ) : (
+                    <ul>
+                        {profile.allergies.map((allergy, index) => (
+                            <li key={index}>
+                                <strong>{allergy.allergen}</strong>
+                                <span className={`severity-badge ${allergy.severity}`}>
+                                    {labelFor(getAllergySeverityOptions(t), allergy.severity)}
+                                </span>
+                                {allergy.reaction && <span> - {allergy.reaction}</span>}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </section>
+
+            <section className="emergency-card-section">
+                <h3><Pill size={18} /> {t('medicalProfile.medications', 'Medications')}</h3>
+                {profile.medications.length === 0 ? (
+                    <p className="emergency-card-empty">{t('medicalProfile.noMedications', 'No regular medications')}</p>
+                ) : (
+                    <ul>
+                        {profile.medications.map((medication, index) => (
+                            <li key={index}>
+                                <strong>{medication.name}</strong>
+                                {[medication.dosage, medication.schedule].filter(Boolean).length > 0 && (
+                                    <span> - {[medication.dosage, medication.schedule].filter(Boolean).join(', ')}</span>
+                                )}
+                                {medication.notes && <div className="emergency-card-note">{medication.notes}</div>}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </section>
+
+            {seizure.hasSeizures && (
+                <section className="emergency-card-section">
+                    <h3><Seizure size={18} /> {t('medicalProfile.seizureProtocol', 'Seizure Protocol')}</h3>
+                    <dl>
+                        {seizure.description && (
+                            <>
+                                <dt>{t('medicalProfile.seizureDescription', 'What it looks like')}</dt>
+                                <dd>{seizure.description}</dd>
+                            </>
+                        )}
+                        {seizure.triggers && (
+                            <>
+                                <dt>{t('medicalProfile.seizureTriggers', 'Known triggers')}</dt>
+                                <dd>{seizure.triggers}</dd>
+                            </>
+                        )}
+                        <dt>{t('medicalProfile.seizureActions', 'What to do')}</dt>
+                        <dd className="emergency-card-steps">{seizure.actions}</dd>
+                        {seizure.rescueMedication && (
+                            <>
+                                <dt>{t('medicalProfile.rescueMedication', 'Rescue medication')}</dt>
+                                <dd>{seizure.rescueMedication}</dd>
+                            </>
+                        )}
+                        {seizure.callAmbulanceAfterMinutes && (
+                            <>
+                                <dt>{t('medicalProfile.callAmbulance', 'Call an ambulance (101)')}</dt>
+                                <dd>{t('medicalProfile.callAmbulanceAfter', 'If the seizure lasts more than {minutes} minutes', { minutes: seizure.callAmbulanceAfterMinutes })}</dd>
+                            </>
+                        )}
+                    </dl>
+                </section>
+            )}
+
+            <section className="emergency-card-section">
+                <h3><Wheelchair size={18} /> {t('medicalProfile.mobilityAndTransfer', 'Mobility & Transfer')}</h3>
+                <dl>
+                    <dt>{t('medicalProfile.mobilityAids', 'Mobility aids')}</dt>
+                    <dd>{mobilityAids.length > 0 ? mobilityAids.join(', ') : t('common.none', 'None')}</dd>
+                    {profile.mobilityNotes && (
+                        <>
+                            <dt>{t('medicalProfile.mobilityNotes', 'Mobility notes')}</dt>
+                            <dd>{profile.mobilityNotes}</dd>
+                        </>
+                    )}
+                    <dt>{t('medicalProfile.transferAssistance', 'Getting in and out of the car')}</dt>
+                    <dd className={needsTransferHelp ? 'emergency-card-highlight' : ''}>
+                        {labelFor(getTransferAssistanceOptions(t), profile.transferNeeds.assistance)}
+                    </dd>
+                    {profile.transferNeeds.notes && (
+                        <>
+                            <dt>{t('medicalProfile.transferNotes', 'Transfer notes')}</dt>
+                            <dd>{profile.transferNeeds.notes}</dd>
+                        </>
+                    )}
+                </dl>
+            </section>
+
+            {profile.additionalNotes && (
+                <section className="emergency-card-section">
+                    <h3>{t('medicalProfile.additionalNotes', 'Other Medical Notes')}</h3>
+                    <p>{profile.additionalNotes}</p>
+                </section>
+            )}
+        </div>
+    );
+};
+
+export default EmergencyCard;
@@ -0,0 +1,79 @@
+// src/components/kids/KidResultsHistory.jsx - A kid's race results, newest race first
+import React, { useState, useEffect } from 'react';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { formatLapTime, getBestLap } from '../../schemas/raceResultSchema';
+import { getEventById } from '../../services/eventService';
+import { getKidResults } from '../../services/raceResultService';
+
+/**
+ * @param {Object} props - { kidId }
+ */
+const KidResultsHistory = ({ kidId }) => {
+    const { t } = useLanguage();
+    const [rows, setRows] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        if (!kidId) return;
+        const loadHistory = async () => {
+            setIsLoading(true);
+            try {
+                const results = await getKidResults(kidId);
+                const events = await Promise.all(
+                    [...new Set(results.map(result => result.eventId))].map(eventId => getEventById(eventId))
+                );
+                const eventsById = Object.fromEntries(events.filter(Boolean).map(event => [event.id, event]));
+
+                setRows(results
+                    .map(result => ({ ...result, event: eventsById[result.eventId] }))
+                    .sort((a, b) => (b.event?.date || '').localeCompare(a.event?.date || '')));
+            } catch (error) {
+                console.error('Error loading results history:', error);
+                setRows([]);
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadHistory();
+    }, [kidId]);
+
+    if (isLoading) {
+        return <p>{t('results.loading', 'Loading results...')}</p>;
+    }
+
+    if (rows.length === 0) {
+        return <p>{t('results.noKidResults', 'No race results yet.')}</p>;
+    }
+
+    return (
+        <div className="table-container">
+            <table className="data-table">
+                <thead>
+                    <tr>
+                        <th>{t('results.event', 'Event')}</th>
+                        <th>{t('results.date', 'Date')}</th>
+                        <th>{t('heats.heat', 'Heat')}</th>
+                        <th>{t('results.finishPosition', 'Finish Position')}</th>
+                        <th>{t('results.bestLap', 'Best Lap')}</th>
+                        <th>{t('results.awardsTitle', 'Awards')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map(row => (
+                        <tr key={row.id}>
+                            <td>{row.event?.name || t('results.unknownEvent', 'Removed event')}</td>
+                            <td>{row.event?.date || '—'}</td>
+                            <td>{row.heatNumber || '—'}</td>
+                            <td>{row.didNotFinish ? t('results.dnf', 'DNF') : row.finishPosition || '—'}</td>
+                            <td>{formatLapTime(getBestLap(row))}</td>
+                            <td>{row.awards?.length > 0 ? row.awards.join(', ') : '—'}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default KidResultsHistory;
@@ -0,0 +1,283 @@
+// src/components/kids/MedicalProfileForm.jsx - Edit form for a kid's medical and emergency profile
+import React from 'react';
+import { useLanguage } from '../../contexts/LanguageContext';
+import {
+    MAX_EMERGENCY_CONTACTS,
+    createEmptyAllergy,
+    createEmptyEmergencyContact,
+    createEmptyMedication,
+    getAllergySeverityOptions,
+    getMobilityAidOptions,
+    getTransferAssistanceOptions
+} from '../../schemas/medicalProfileSchema';
+import {
+    IconArrowUp as ArrowUp,
+    IconArrowDown as ArrowDown,
+    IconPlus as Plus,
+    IconX as Remove
+} from '@tabler/icons-react';
+
+/**
+ * Controlled form: the page keeps the profile and validation errors
+ * @param {Object} props - { profile, errors, onChange(profile), disabled }
+ */
+const MedicalProfileForm = ({ profile, errors = {}, onChange, disabled = false }) => {
+    const { t } = useLanguage();
+
+    const setField = (key, value) => onChange({ ...profile, [key]: value });
+    const setNested = (key, field, value) => onChange({ ...profile, [key]: { ...profile[key], [field]: value } });
+
+    const updateRow = (listKey, index, field, value) =>
+        setField(listKey, profile[listKey].map((row, rowIndex) => (rowIndex === index ? { ...row, [field]: value } : row)));
+    const addRow = (listKey, row) => setField(listKey, [...profile[listKey], row]);
+    const removeRow = (listKey, index) => setField(listKey, profile[listKey].filter((_, rowIndex) => rowIndex !== index));
+    const moveRow = (listKey, index, offset) => {
+        const rows = [...profile[listKey]];
+        [rows[index], rows[index + offset]] = [rows[index + offset], rows[index]];
+        setField(listKey, rows);
+    };
+
+    const toggleAid = (aid) => setField('mobilityAids', profile.mobilityAids.includes(aid)
+        ? profile.mobilityAids.filter(value => value !== aid)
+        : [...profile.mobilityAids, aid]);
+
+    const error = (path) => errors[path] && <span className="error-text">{errors[path]}</span>;
+
+    const textInput = (listKey, index, field, label, required = false) => (
+        <div className="form-group">
+            <label>{label}{required && ' *'}</label>
+            <input
+                type="text"
+                value={profile[listKey][index][field]}
+                onChange={(e) => updateRow(listKey, index, field, e.target.value)}
+                disabled={disabled}
+            />
+            {error(`${listKey}.${index}.${field}`)}
+        </div>
+    );
+
+    const removeButton = (listKey, index) => (
+        <button
+            type="button"
+            className="btn-action delete"
+            onClick={() => removeRow(listKey, index)}
+            disabled={disabled}
+            title={t('medicalProfile.remove', 'Remove')}
+        >
+            <Remove size={16} />
+        </button>
+    );
+
+    return (
+        <div className="medical-profile-form">
+            <fieldset className="medical-form-section">
+                <legend>{t('medicalProfile.emergencyContacts', 'Emergency Contacts')}</legend>
+                <p className="medical-hint">{t('medicalProfile.contactsHint', 'In the order they should be called.')}</p>
+                {profile.emergencyContacts.map((contact, index) => (
+                    <div key={index} className="medical-row">
+                        <span className="medical-row-number">{index + 1}</span>
+                        {textInput('emergencyContacts', index, 'name', t('medicalProfile.contactName', 'Name'), true)}
+                        {textInput('emergencyContacts', index, 'relationship', t('medicalProfile.relationship', 'Relationship'))}
+                        {textInput('emergencyContacts', index, 'phone', t('medicalProfile.phone', 'Phone'), true)}
+                        <div className="medical-row-actions">
+                            <button
+                                type="button"
+                                className="btn-action"
+                                onClick={() => moveRow('emergencyContacts', index, -1)}
+                                disabled={disabled || index === 0}
+                                title={t('medicalProfile.moveUp', 'Call earlier')}
+                            >
+                                <ArrowUp size={16} />
+                            </button>
+                            <button
+                                type="button"
+                                className="btn-action"
+                                onClick={() => moveRow('emergencyContacts', index, 1)}
+                                disabled={disabled || index === profile.emergencyContacts.length - 1}
+                                title={t('medicalProfile.moveDown', 'Call later')}
+                            >
+                                <ArrowDown size={16} />
+                            </button>
+                            {removeButton('emergencyContacts', index)}
+                        </div>
+                    </div>
+                ))}
+                {error('emergencyContacts')}
+                <button
+                    type="button"
+                    className="btn-secondary"
+                    onClick={() => addRow('emergencyContacts', createEmptyEmergencyContact())}
+                    disabled={disabled || profile.emergencyContacts.length >= MAX_EMERGENCY_CONTACTS}
+                >
+                    <Plus className="btn-icon" size={16} />
+                    {t('medicalProfile.addContact', 'Add Contact')}
+                </button>
+            </fieldset>
+
+            <fieldset className="medical-form-section">
+                <legend>{t('medicalProfile.allergies', 'Allergies')}</legend>
+                {profile.allergies.map((allergy, index) => (
+                    <div key={index} className="medical-row">
+                        {textInput('allergies', index, 'allergen', t('medicalProfile.allergen', 'Allergic to'), true)}
+                        <div className="form-group">
+                            <label>{t('medicalProfile.severityLabel', 'Severity')}</label>
+                            <select
+                                value={allergy.severity}
+                                onChange={(e) => updateRow('allergies', index, 'severity', e.target.value)}
+                                disabled={disabled}
+                            >
+                                {getAllergySeverityOptions(t).map(option => (
+                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
+                            </select>
+                            {error(`allergies.${index}.severity`)}
+                        </div>
+                        {textInput('allergies', index, 'reaction', t('medicalProfile.reaction', 'Reaction and treatment'))}
+                        <div className="medical-row-actions">{removeButton('allergies', index)}</div>
+                    </div>
+                ))}
+                <button type="button" className="btn-secondary" onClick={() => addRow('allergies', createEmptyAllergy())} disabled={disabled}>
+                    <Plus className="btn-icon" size={16} />
+                    {t('medicalProfile.addAllergy', 'Add Allergy')}
+                </button>
+            </fieldset>
+
+            <fieldset className="medical-form-section">
+                <legend>{t('medicalProfile.medications', 'Medications')}</legend>
+                {profile.medications.map((medication, index) => (
+                    <div key={index} className="medical-row">
+                        {textInput('medications', index, 'name', t('medicalProfile.medicationName', 'Medication'), true)}
+                        {textInput('medications', index, 'dosage', t('medicalProfile.dosage', 'Dosage'))}
+                        {textInput('medications', index, 'schedule', t('medicalProfile.schedule', 'When'))}
+                        {textInput('medications', index, 'notes', t('medicalProfile.medicationNotes', 'Notes'))}
+                        <div className="medical-row-actions">{removeButton('medications', index)}</div>
+                    </div>
+                ))}
+                <button type="button" className="btn-secondary" onClick={() => addRow('medications', createEmptyMedication())} disabled={disabled}>
+                    <Plus className="btn-icon" size={16} />
+                    {t('medicalProfile.addMedication', 'Add Medication')}
+                </button>
+            </fieldset>
+
+            <fieldset className="medical-form-section">
+                <legend>{t('medicalProfile.seizureProtocol', 'Seizure Protocol')}</legend>
+                <label className="medical-checkbox">
+                    <input
+                        type="checkbox"
+                        checked={profile.seizureProtocol.hasSeizures}
+                        onChange={(e) => setNested('seizureProtocol', 'hasSeizures', e.target.checked)}
+                        disabled={disabled}
+                    />
+                    {t('medicalProfile.hasSeizures', 'This kid may have seizures')}
+                </label>
+                {profile.seizureProtocol.hasSeizures && (
+                    <div className="form-grid">
+                        {[
+                            ['description', t('medicalProfile.seizureDescription', 'What it looks like')],
+                            ['triggers', t('medicalProfile.seizureTriggers', 'Known triggers')],
+                            ['actions', `${t('medicalProfile.seizureActions', 'What to do')} *`]
+                        ].map(([field, label]) => (
+                            <div key={field} className="form-group full-width">
+                                <label>{label}</label>
+                                <textarea
+                                    rows={3}
+                                    value={profile.seizureProtocol[field]}
+                                    onChange={(e) => setNested('seizureProtocol', field, e.target.value)}
+                                    disabled={disabled}
+                                />
+                                {error(`seizureProtocol.${field}`)}
+                            </div>
+                        ))}
+                        <div className="form-group">
+                            <label>{t('medicalProfile.rescueMedication', 'Rescue medication')}</label>
+                            <input
+                                type="text"
+                                value={profile.seizureProtocol.rescueMedication}
+                                onChange={(e) => setNested('seizureProtocol', 'rescueMedication', e.target.value)}
+                                disabled={disabled}
+                            />
+                            {error('seizureProtocol.rescueMedication')}
+                        </div>
+                        <div className="form-group">
+                            <label>{t('medicalProfile.callAmbulanceAfterLabel', 'Call an ambulance after (minutes)')}</label>
+                            <input
+                                type="number"
+                                min="1"
+                                value={profile.seizureProtocol.callAmbulanceAfterMinutes}
+                                onChange={(e) => setNested('seizureProtocol', 'callAmbulanceAfterMinutes', e.target.value)}
+                                disabled={disabled}
+                            />
+                            {error('seizureProtocol.callAmbulanceAfterMinutes')}
+                        </div>
+                    </div>
+                )}
+            </fieldset>
+
+            <fieldset className="medical-form-section">
+                <legend>{t('medicalProfile.mobilityAndTransfer', 'Mobility & Transfer')}</legend>
+                <div className="medical-checkboxes">
+                    {getMobilityAidOptions(t).map(option => (
+                        <label key={option.value} className="medical-checkbox">
+                            <input
+                                type="checkbox"
+                                checked={profile.mobilityAids.includes(option.value)}
+                                onChange={() => toggleAid(option.value)}
+                                disabled={disabled}
+                            />
+                            {option.label}
+                        </label>
+                    ))}
+                </div>
+                {error('mobilityAids')}
+                <div className="form-grid">
+                    <div className="form-group full-width">
+                        <label>{t('medicalProfile.mobilityNotes', 'Mobility notes')}</label>
+                        <textarea
+                            rows={2}
+                            value={profile.mobilityNotes}
+                            onChange={(e) => setField('mobilityNotes', e.target.value)}
+                            disabled={disabled}
+                        />
+                        {error('mobilityNotes')}
+                    </div>
+                    <div className="form-group">
+                        <label>{t('medicalProfile.transferAssistance', 'Getting in and out of the car')}</label>
+                        <select
+                            value={profile.transferNeeds.assistance}
+                            onChange={(e) => setNested('transferNeeds', 'assistance', e.target.value)}
+                            disabled={disabled}
+                        >
+                            {getTransferAssistanceOptions(t).map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                        {error('transferNeeds.assistance')}
+                    </div>
+                    <div className="form-group full-width">
+                        <label>{t('medicalProfile.transferNotes', 'Transfer notes')}</label>
+                        <textarea
+                            rows={2}
+                            value={profile.transferNeeds.notes}
+                            onChange={(e) => setNested('transferNeeds', 'notes', e.target.value)}
+                            disabled={disabled}
+                        />
+                        {error('transferNeeds.notes')}
+                    </div>
+                </div>
+            </fieldset>
+
+            <fieldset className="medical-form-section">
+                <legend>{t('medicalProfile.additionalNotes', 'Other Medical Notes')}</legend>
+                <textarea
+                    rows={3}
+                    value={profile.additionalNotes}
+                    onChange={(e) => setField('additionalNotes', e.target.value)}
+                    disabled={disabled}
+                />
+                {error('additionalNotes')}
+            </fieldset>
+        </div>
+    );
+};
+
+export default MedicalProfileForm;
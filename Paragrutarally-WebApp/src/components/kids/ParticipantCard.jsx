@@ -0,0 +1,34 @@
+// src/components/kids/ParticipantCard.jsx - Participant card with the kid's check-in QR code, printable
+import React from 'react';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { getKidFullName } from '../../schemas/kidSchema';
+import { getCheckInCode } from '../../utils/checkInUtils';
+import QrCode from '../common/QrCode';
+import './ParticipantCard.css';
+
+/**
+ * @param {Object} props - { kid, team }
+ */
+const ParticipantCard = ({ kid, team }) => {
+    const { t, isRTL } = useLanguage();
+
+    return (
+        <div className="participant-card" dir={isRTL ? 'rtl' : 'ltr'}>
+            <div className="participant-card-details">
+                <div className="participant-card-brand">{t('participantCard.title', 'Paragrutarally Participant')}</div>
+                {kid.participantNumber && <div className="participant-card-number">#{kid.participantNumber}</div>}
+                <div className="participant-card-name">{getKidFullName(kid, t)}</div>
+                {team && <div className="participant-card-team">{team.name}</div>}
+                <div className="participant-card-hint">{t('participantCard.hint', 'Show this code at check-in')}</div>
+            </div>
+            <QrCode
+                value={getCheckInCode(kid.id)}
+                size={140}
+                alt={t('participantCard.qrAlt', 'Check-in code')}
+                className="participant-card-qr"
+            />
+        </div>
+    );
+};
+
+export default ParticipantCard;
@@ -6,6 +6,7 @@ import { useTheme } from '../../contexts/ThemeContext.jsx';
 import { useLanguage } from '../../contexts/LanguageContext.jsx';
 import DarkModeToggle from '../common/DarkModeToggle.jsx';
 import LanguageSelector from '../common/LanguageSelector.jsx';
+import SeasonSelector from '../common/SeasonSelector.jsx';
 import logoImage from '../../assets/images/PGR Logo.png';
 import './Navbar.css';
 
@@ -45,6 +46,7 @@ const Navbar = ({ userRole }) => {
                 {currentUser && (
                     <>
                         <Link to="/my-account">{t('nav.myAccount', 'My Account')}</Link>
+                        <SeasonSelector />
                         <LanguageSelector />
                         <DarkModeToggle className="navbar-theme-toggle" />
                         <button onClick={handleSignOut} className="sign-out-btn">
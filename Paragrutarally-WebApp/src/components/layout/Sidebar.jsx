@@ -12,7 +12,10 @@ import {
     IconRefresh as RefreshCw,
     IconDownload as Download,
     IconPhoto as Photo,
-    IconChartBar as Analytics
+    IconChartBar as Analytics,
+    IconCalendarStats as Seasons,
+    IconBuildingStadium as Venues,
+    IconCash as Cash
 } from '@tabler/icons-react';
 import {useLanguage} from '../../contexts/LanguageContext';
 import LegalTrigger from '../ui/LegalTrigger';
@@ -77,6 +80,27 @@ const Sidebar = ({userRole}) => {
                             <FileText className="sidebar-icon" size={20}/>
                             {t('nav.forms', 'Forms')}
                         </NavLink>
+                        <NavLink
+                            to="/admin/seasons"
+                            className={({isActive}) => isActive ? 'active' : ''}
+                        >
+                            <Seasons className="sidebar-icon" size={20}/>
+                            {t('nav.seasons', 'Seasons')}
+                        </NavLink>
+                        <NavLink
+                            to="/admin/venues"
+                            className={({isActive}) => isActive ? 'active' : ''}
+                        >
+                            <Venues className="sidebar-icon" size={20}/>
+                            {t('nav.venues', 'Venues')}
+                        </NavLink>
+                        <NavLink
+                            to="/admin/payments"
+                            className={({isActive}) => isActive ? 'active' : ''}
+                        >
+                            <Cash className="sidebar-icon" size={20}/>
+                            {t('nav.payments', 'Payments')}
+                        </NavLink>
                         <NavLink
                             to="/admin/backup"
                             className={({isActive}) => isActive ? 'active' : ''}
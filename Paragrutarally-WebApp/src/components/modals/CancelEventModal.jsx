@@ -0,0 +1,135 @@
+// src/components/modals/CancelEventModal.jsx - Cancel an event with a reason that is sent to everyone taking part
+import React, { useState, useEffect } from 'react';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { MAX_CANCELLATION_REASON_LENGTH, validateCancellationReason } from '../../schemas/eventSchema';
+import { cancelEvent } from '../../services/eventService';
+import {
+    IconX as X,
+    IconCalendarOff as CalendarOff,
+    IconAlertTriangle as AlertTriangle
+} from '@tabler/icons-react';
+import './FormCreationModal.css';
+import './CancelEventModal.css';
+
+/**
+ * @param {Object} props - { isOpen, event: { id, name }, onClose, onCancelled(result) }
+ */
+const CancelEventModal = ({ isOpen, event, onClose, onCancelled }) => {
+    const { t, isRTL } = useLanguage();
+    const [reason, setReason] = useState('');
+    const [touched, setTouched] = useState(false);
+    const [isCancelling, setIsCancelling] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!isOpen) {
+            setReason('');
+            setTouched(false);
+            setError(null);
+        }
+    }, [isOpen]);
+
+    if (!isOpen || !event) {
+        return null;
+    }
+
+    const validation = validateCancellationReason(reason, t);
+
+    const handleConfirm = async () => {
+        setTouched(true);
+        if (!validation.isValid) return;
+
+        setIsCancelling(true);
+        setError(null);
+        try {
+            const result = await cancelEvent(event.id, reason);
+            onCancelled?.(result);
+        } catch (err) {
+            console.error('Error cancelling event:', err);
+            setError(t('events.cancel.error', 'Failed to cancel the event: {error}', { error: err.message }));
+        } finally {
+            setIsCancelling(false);
+        }
+    };
+
+    return (
+        <div className="form-creation-modal-overlay" dir={isRTL ? 'rtl' : 'ltr'}>
+            <div
+                className="form-creation-modal-content cancel-event-modal"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="cancel-event-modal-title"
+            >
+                <div className="form-creation-modal-header">
+                    <h3 id="cancel-event-modal-title">
+                        <CalendarOff size={24} />
+                        {t('events.cancel.title', 'Cancel Event')}
+                    </h3>
+                    <button
+                        className="form-creation-modal-close"
+                        onClick={onClose}
+                        disabled={isCancelling}
+                        type="button"
+                        aria-label={t('common.close', 'Close')}
+                    >
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="form-creation-modal-body">
+                    {error && <div className="cancel-event-alert" role="alert">{error}</div>}
+
+                    <div className="form-section">
+                        <p className="cancel-event-intro">
+                            <AlertTriangle size={18} />
+                            {t('events.cancel.intro', 'Cancelling "{eventName}" cannot be undone. It will:', { eventName: event.name })}
+                        </p>
+                        <ul className="cancel-event-effects">
+                            <li>{t('events.cancel.effectRegistrations', 'Cancel every registration and clear the waitlist')}</li>
+                            <li>{t('events.cancel.effectVehicles', 'Release the vehicles and remove the heat schedule')}</li>
+                            <li>{t('events.cancel.effectVolunteers', 'Free all volunteer slots')}</li>
+                            <li>{t('events.cancel.effectNotify', 'Notify the registered families and the volunteers with your reason')}</li>
+                        </ul>
+                    </div>
+
+                    <div className="form-section">
+                        <div className="form-group">
+                            <label htmlFor="cancellationReason">{t('events.cancel.reason', 'Reason')} *</label>
+                            <textarea
+                                id="cancellationReason"
+                                className="form-textarea"
+                                rows={4}
+                                maxLength={MAX_CANCELLATION_REASON_LENGTH}
+                                value={reason}
+                                placeholder={t('events.cancel.reasonPlaceholder', 'e.g. The track is flooded after the storm')}
+                                onChange={(e) => setReason(e.target.value)}
+                                onBlur={() => setTouched(true)}
+                                disabled={isCancelling}
+                            />
+                            {touched && validation.errors.reason && (
+                                <span className="error-text">{validation.errors.reason}</span>
+                            )}
+                        </div>
+                    </div>
+                </div>
+
+                <div className="form-creation-modal-footer">
+                    <button type="button" className="btn btn-secondary" onClick={onClose} disabled={isCancelling}>
+                        {t('events.cancel.keep', 'Keep Event')}
+                    </button>
+                    <button
+                        type="button"
+                        className="btn btn-danger"
+                        onClick={handleConfirm}
+                        disabled={isCancelling}
+                    >
+                        <CalendarOff size={16} />
+                        {isCancelling ? t('events.cancel.cancelling', 'Cancelling...') : t('events.cancel.confirm', 'Cancel Event')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CancelEventModal;
@@ -1,10 +1,6 @@
 // src/components/modals/CreateUserModal.jsx - UPDATED WITH CLEAN MODAL STRUCTURE
 import React, { useState } from 'react';
-import { createUserWithEmailAndPassword } from 'firebase/auth';
-import { doc, setDoc, serverTimestamp, getDoc } from 'firebase/firestore';
-import { initializeApp, deleteApp } from 'firebase/app';
-import { getAuth } from 'firebase/auth';
-import { db } from '@/firebase/config.js';
+import { createUserAsAdmin } from '@/services/adminUserService.jsx';
 import { useLanguage } from '../../contexts/LanguageContext';
 import {
     createEmptyUser,
@@ -22,10 +18,17 @@ import {
     IconShield as Shield,
     IconDeviceFloppy as Save,
     IconUserPlus as UserPlus,
-    IconKey as Key
+    IconSend as Send
 } from '@tabler/icons-react';
 
-
+const copyToClipboard = async (text) => {
+    try {
+        await navigator.clipboard.writeText(text);
+        return true;
+    } catch {
+        return false;
+    }
+};
 
 const CreateUserModal = ({ isOpen, onClose, onUserCreated }) => {
     const { t, isRTL } = useLanguage();
@@ -78,96 +81,43 @@ const CreateUserModal = ({ isOpen, onClose, onUserCreated }) => {
         setErrors({}); // Clear any previous errors
 
         try {
+            // Account, role claim and profile are created server-side; the user
+            // chooses their own password through the invite link.
+            const userDoc = prepareUserForFirestore(formData, false);
+            const result = await createUserAsAdmin(userDoc);
 
-            // Get Firebase config from environment variables
-            const firebaseConfig = {
-                apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
-                authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
-                projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
-                storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
-                messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
-                appId: import.meta.env.VITE_FIREBASE_APP_ID
-            };
-
-            // Create secondary app instance with unique name
-            const timestamp = Date.now();
-            const secondaryApp = initializeApp(firebaseConfig, `CreateUser_${timestamp}`);
-            const secondaryAuth = getAuth(secondaryApp);
-
-
-
-            try {
-                // Create user with secondary auth instance
-                const userCredential = await createUserWithEmailAndPassword(
-                    secondaryAuth,
-                    formData.email,
-                    '123456' // Default password - consider making this configurable
-                );
-
-                const uid = userCredential.user.uid;
-
-                // Prepare user data for Firestore using schema
-                const userDoc = prepareUserForFirestore(formData, false);
-
-                // Create the document using the UID from Firebase Auth
-                await setDoc(doc(db, 'users', uid), userDoc);
-
-                // Verification: Read back the document
-                const verificationDoc = await getDoc(doc(db, 'users', uid));
-                if (verificationDoc.exists()) {
-                    const verificationData = verificationDoc.data();
-                } else {
-                    console.error('❌ VERIFICATION: Document was not created properly');
-                    throw new Error('User document verification failed');
-                }
-
-                // Clean up secondary app
-                await deleteApp(secondaryApp);
-
-                // Reset form
-                setFormData(createEmptyUser());
-                setErrors({});
-
-                // Show success message with translations
-                alert(
-                    `✅ ${t('users.createSuccess', 'SUCCESS!')}\n\n` +
-                    `${t('users.userCreated', 'User has been created successfully!')}\n\n` +
-                    `📧 ${t('users.email', 'Email')}: ${formData.email}\n` +
-                    `👤 ${t('users.role', 'Role')}: ${t(`users.${formData.role}`, formData.role)}\n` +
-                    `🆔 ${t('users.userId', 'User ID')}: ${uid}\n\n` +
-                    `${t('users.defaultPassword', 'Default password')}: 123456`
-                );
-
-                // Notify parent component
-                if (onUserCreated) {
-                    onUserCreated();
-                }
-                onClose();
-
-            } catch (userCreationError) {
-                // Clean up secondary app on error
-                try {
-                    await deleteApp(secondaryApp);
-                } catch (cleanupError) {
-                    console.warn('Error cleaning up secondary app:', cleanupError);
-                }
-                throw userCreationError;
+            // Reset form
+            setFormData(createEmptyUser());
+            setErrors({});
+
+            const copied = await copyToClipboard(result.inviteLink);
+
+            // Show success message with translations
+            alert(
+                `✅ ${t('users.createSuccess', 'SUCCESS!')}\n\n` +
+                `${t('users.userCreated', 'User has been created successfully!')}\n\n` +
+                `📧 ${t('users.email', 'Email')}: ${userDoc.email}\n` +
+                `👤 ${t('users.role', 'Role')}: ${t(`users.${formData.role}`, formData.role)}\n` +
+                `🆔 ${t('users.userId', 'User ID')}: ${result.uid}\n\n` +
+                `${t('users.inviteLink', 'Invite link')}: ${result.inviteLink}\n` +
+                `${t('users.inviteExpires', 'Expires')}: ${result.expiresAt.toLocaleDateString(isRTL ? 'he-IL' : 'en-US')}\n` +
+                (copied ? `\n${t('users.inviteLinkCopied', 'The link was copied to your clipboard.')}` : '')
+            );
+
+            // Notify parent component
+            if (onUserCreated) {
+                onUserCreated();
             }
+            onClose();
 
         } catch (error) {
             console.error('Error creating user:', error);
 
-            // Handle specific Firebase errors with proper translations
-            if (error.code === 'auth/email-already-in-use') {
+            // Handle specific errors with proper translations
+            if (error.message === 'This email is already registered') {
                 setErrors({ email: t('users.emailInUse', 'This email is already registered') });
-            } else if (error.code === 'auth/invalid-email') {
+            } else if (error.message === 'Invalid email address' || error.message === 'A valid email address is required.') {
                 setErrors({ email: t('users.emailInvalid', 'Invalid email address') });
-            } else if (error.code === 'auth/weak-password') {
-                setErrors({ general: t('users.weakPassword', 'Password is too weak') });
-            } else if (error.code === 'app/duplicate-app') {
-                setErrors({
-                    general: t('users.tryAgain', 'Please wait a moment and try again.')
-                });
             } else {
                 setErrors({
                     general: t('users.createError', 'Failed to create user. Please try again.')
@@ -316,22 +266,11 @@ const CreateUserModal = ({ isOpen, onClose, onUserCreated }) => {
 
                             <div className="form-group">
                                 <label>
-                                    <Key size={16} />
-                                    {t('users.defaultPassword', 'Default Password')}
+                                    <Send size={16} />
+                                    {t('users.invitation', 'Invitation')}
                                 </label>
-                                <input
-                                    type="text"
-                                    value="123456"
-                                    disabled={true}
-                                    className="form-input"
-                                    style={{
-                                        backgroundColor: 'var(--input-disabled-bg)',
-                                        cursor: 'not-allowed',
-                                        opacity: 0.6
-                                    }}
-                                />
                                 <small className="field-hint">
-                                    {t('users.passwordHint', 'User can change this password after first login')}
+                                    {t('users.inviteHint', 'An invite link will be created. The user sets their own password when they open it (valid for 7 days).')}
                                 </small>
                             </div>
                         </div>
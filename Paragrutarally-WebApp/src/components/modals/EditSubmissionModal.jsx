@@ -1,6 +1,7 @@
 // src/components/modals/EditSubmissionModal.jsx
 import React, { useState, useEffect } from 'react';
 import { useLanguage } from '../../contexts/LanguageContext';
+import { formatEventDate as formatDateInIsrael } from '../../utils/eventDateUtils';
 import { usePermissions } from '../../hooks/usePermissions';
 import {
     updateFormSubmission,
@@ -8,6 +9,7 @@ import {
 } from '@/services/formService.js';
 import { getUserData, getUserKids } from '@/services/userService.js';
 import { getKidsByParent } from '@/services/kidService.js';
+import { SHIRT_SIZES } from '@/schemas/shirtSchema.js';
 import {
     IconX as X,
     IconUser as User,
@@ -56,9 +58,6 @@ const EditSubmissionModal = ({
     const [kidsWithoutDeclaration, setKidsWithoutDeclaration] = useState([]);
     const [showDeclarationWarning, setShowDeclarationWarning] = useState(false);
 
-    // Shirt size options
-    const shirtSizes = ['2', '4', '6', '8', '10', '12', '14', '16', '18', 'S', 'M', 'L', 'XL', 'XXL', 'XXXL', 'XXXXL'];
-
     // Load user's complete data and kids if parent
     useEffect(() => {
         if (isOpen && user?.uid) {
@@ -341,12 +340,7 @@ const EditSubmissionModal = ({
             return form.eventDetails.dayAndDate;
         }
 
-        if (form.eventDetails?.eventDate) {
-            const date = new Date(form.eventDetails.eventDate);
-            return date.toLocaleDateString();
-        }
-
-        return '';
+        return formatDateInIsrael({ date: form.eventDetails?.eventDate, time: form.eventDetails?.startTime });
     };
 
     const requiredExtraAttendees = Math.max(0, formData.attendeesCount - 1 - formData.kidIds.length);
@@ -617,7 +611,7 @@ const EditSubmissionModal = ({
                                                         onChange={(e) => handleShirtChange(index, e.target.value)}
                                                     >
                                                         <option value="">{t('forms.selectSize', 'Select Size')}</option>
-                                                        {shirtSizes.map(size => (
+                                                        {SHIRT_SIZES.map(size => (
                                                             <option key={size} value={size}>{size}</option>
                                                         ))}
                                                     </select>
@@ -637,7 +631,7 @@ const EditSubmissionModal = ({
                                                         onChange={(e) => handleShirtChange(index, e.target.value, true)}
                                                     >
                                                         <option value="">{t('forms.selectSize', 'Select Size')}</option>
-                                                        {shirtSizes.map(size => (
+                                                        {SHIRT_SIZES.map(size => (
                                                             <option key={size} value={size}>{size}</option>
                                                         ))}
                                                     </select>
@@ -4,6 +4,8 @@ import { collection, getDocs, query, where, orderBy } from 'firebase/firestore';
 import { db } from '../../firebase/config';
 import { useLanguage } from '../../contexts/LanguageContext';
 import { usePermissions } from '../../hooks/usePermissions';
+import { downloadExcel, jsonToExcel } from '../../utils/excelUtils';
+import { KID_ID_COLUMN } from '../../utils/kidImportUtils';
 import {
     IconX as X,
     IconDownload as Download,
@@ -24,7 +26,8 @@ const ExportKidsModal = ({ isOpen, onClose }) => {
         includeParentInfo: true,
         includeTeamInfo: true,
         includeTimestamps: true,
-        includeInstructorInfo: false
+        includeInstructorInfo: false,
+        format: 'xlsx'
     });
     const [isExporting, setIsExporting] = useState(false);
 
@@ -105,9 +108,15 @@ const ExportKidsModal = ({ isOpen, onClose }) => {
             }
         }
 
+        // Lets a re-import match rows back to their kids (hidden in Excel files)
+        headers.push(KID_ID_COLUMN);
+
         return headers;
     };
 
+    // Quote a CSV cell, doubling any quotes inside it
+    const toCsvCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
     // Helper function to format CSV for RTL
     const formatCsvForRTL = (csvContent) => {
         if (currentLanguage !== 'he') return csvContent;
@@ -179,6 +188,7 @@ const ExportKidsModal = ({ isOpen, onClose }) => {
                 }
 
                 const kid = {
+                    id: doc.id,
                     participantNumber: kidData.participantNumber || '',
                     status: kidData.signedFormStatus || 'pending'
                 };
@@ -250,85 +260,86 @@ const ExportKidsModal = ({ isOpen, onClose }) => {
                 kids.push(kid);
             });
 
-            // Create CSV content with proper headers
+            // Build the rows in header order
             const headers = getHeaders();
-            let csvContent = headers.join(',') + '\n';
-
-            kids.forEach(kid => {
-                const row = [
-                    `"${kid.participantNumber}"`,
-                    `"${kid.status}"`
-                ];
+            const rows = kids.map(kid => {
+                const row = [kid.participantNumber, kid.status];
 
                 if (exportOptions.includePersonalInfo) {
                     row.push(
-                        `"${kid.firstName || ''}"`,
-                        `"${kid.lastName || ''}"`,
-                        `"${kid.age || ''}"`,
-                        `"${kid.dateOfBirth || ''}"`,
-                        `"${kid.address || ''}"`,
-                        `"${kid.capabilities || ''}"`,
-                        `"${kid.announcersNotes || ''}"`
+                        kid.firstName || '',
+                        kid.lastName || '',
+                        kid.age || '',
+                        kid.dateOfBirth || '',
+                        kid.address || '',
+                        kid.capabilities || '',
+                        kid.announcersNotes || ''
                     );
                 }
 
                 if (exportOptions.includeParentInfo) {
                     row.push(
-                        `"${kid.parentName || ''}"`,
-                        `"${kid.parentEmail || ''}"`,
-                        `"${kid.parentPhone || ''}"`,
-                        `"${kid.grandparentsNames || ''}"`,
-                        `"${kid.grandparentsPhone || ''}"`
+                        kid.parentName || '',
+                        kid.parentEmail || '',
+                        kid.parentPhone || '',
+                        kid.grandparentsNames || '',
+                        kid.grandparentsPhone || ''
                     );
                 }
 
                 if (exportOptions.includeTeamInfo) {
-                    row.push(
-                        `"${kid.teamName || ''}"`,
-                        `"${kid.teamDescription || ''}"`
-                    );
+                    row.push(kid.teamName || '', kid.teamDescription || '');
                 }
 
                 if (exportOptions.includeInstructorInfo) {
-                    row.push(
-                        `"${kid.instructorName || ''}"`,
-                        `"${kid.instructorEmail || ''}"`
-                    );
+                    row.push(kid.instructorName || '', kid.instructorEmail || '');
                 }
 
-                row.push(
-                    `"${kid.signedDeclaration}"`,
-                    `"${kid.additionalComments || ''}"`
-                );
+                row.push(kid.signedDeclaration, kid.additionalComments || '');
 
                 if (exportOptions.includeTimestamps) {
-                    row.push(`"${kid.createdAt || ''}"`, `"${kid.updatedAt || ''}"`);
+                    row.push(kid.createdAt || '', kid.updatedAt || '');
                 }
 
-                csvContent += row.join(',') + '\n';
+                row.push(kid.id);
+                return row;
             });
 
-            // Format for RTL if Hebrew
-            csvContent = formatCsvForRTL(csvContent);
-
             // Generate filename
             const timestamp = new Date().toISOString().split('T')[0];
             const statusFilter = exportOptions.statusFilter === 'all' ? 'all' : exportOptions.statusFilter;
             const teamFilter = exportOptions.teamFilter === 'all' ? 'all' : exportOptions.teamFilter;
             const rolePrefix = userRole === 'instructor' ? 'instructor_' : userRole === 'parent' ? 'parent_' : '';
             const langSuffix = currentLanguage === 'he' ? '_he' : '';
-            const filename = `${rolePrefix}kids_export_${statusFilter}_${teamFilter}_${timestamp}${langSuffix}.csv`;
-
-            // Create and download file
-            const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-            const url = window.URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = filename;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            window.URL.revokeObjectURL(url);
+            const baseName = `${rolePrefix}kids_export_${statusFilter}_${teamFilter}_${timestamp}${langSuffix}`;
+
+            if (exportOptions.format === 'xlsx') {
+                const sheetRows = rows.map(row => Object.fromEntries(headers.map((header, index) => [header, row[index]])));
+                const blob = await jsonToExcel(sheetRows, 'Kids', {
+                    hiddenColumns: [KID_ID_COLUMN],
+                    rightToLeft: currentLanguage === 'he'
+                });
+                downloadExcel(blob, baseName);
+            } else {
+                let csvContent = headers.map(toCsvCell).join(',') + '\n';
+                rows.forEach(row => {
+                    csvContent += row.map(toCsvCell).join(',') + '\n';
+                });
+
+                // Format for RTL if Hebrew
+                csvContent = formatCsvForRTL(csvContent);
+
+                // Create and download file
+                const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+                const url = window.URL.createObjectURL(blob);
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = `${baseName}.csv`;
+                document.body.appendChild(link);
+                link.click();
+                document.body.removeChild(link);
+                window.URL.revokeObjectURL(url);
+            }
 
             onClose();
         } catch (error) {
@@ -348,7 +359,8 @@ const ExportKidsModal = ({ isOpen, onClose }) => {
                 includeParentInfo: true,
                 includeTeamInfo: true,
                 includeTimestamps: true,
-                includeInstructorInfo: false
+                includeInstructorInfo: false,
+                format: 'xlsx'
             });
             onClose();
         }
@@ -430,6 +442,25 @@ const ExportKidsModal = ({ isOpen, onClose }) => {
                                     <option value="with-team">{t('kids.kidsWithTeams', 'Kids with Teams')}</option>
                                 </select>
                             </div>
+
+                            <div className="form-group">
+                                <label htmlFor="exportFormat">
+                                    {t('exportKids.fileFormat', 'File Format')}
+                                </label>
+                                <select
+                                    id="exportFormat"
+                                    value={exportOptions.format}
+                                    onChange={(e) => setExportOptions(prev => ({
+                                        ...prev,
+                                        format: e.target.value
+                                    }))}
+                                    disabled={isExporting}
+                                    className="form-select"
+                                >
+                                    <option value="xlsx">{t('exportKids.formatExcel', 'Excel (.xlsx)')}</option>
+                                    <option value="csv">{t('exportKids.formatCsv', 'CSV')}</option>
+                                </select>
+                            </div>
                         </div>
                     </div>
 
@@ -530,6 +561,12 @@ const ExportKidsModal = ({ isOpen, onClose }) => {
                             </div>
                         )}
 
+                        {userRole === 'admin' && (
+                            <div className="info-alert">
+                                🔁 {t('exportKids.roundTripNotice', 'Edit the file and bring it back with Import Kids to update these kids. Keep the Kid ID column, it links each row to its kid.')}
+                            </div>
+                        )}
+
                         {currentLanguage === 'he' && (
                             <div className="info-alert">
                                 🌐 {t('export.hebrewNotice', 'הקובץ יוצא עם כותרות בעברית ותמיכה ב-RTL')}
@@ -561,7 +598,9 @@ const ExportKidsModal = ({ isOpen, onClose }) => {
                         ) : (
                             <>
                                 <Download size={16} />
-                                {t('users.exportToCsv', 'Export to CSV')}
+                                {exportOptions.format === 'xlsx'
+                                    ? t('exportKids.exportToExcel', 'Export to Excel')
+                                    : t('users.exportToCsv', 'Export to CSV')}
                             </>
                         )}
                     </button>
@@ -3,6 +3,7 @@ import React, { useState, useEffect } from 'react';
 import { createForm } from '@/services/formService.js';
 import { useLanguage } from '../../contexts/LanguageContext';
 import { usePermissions } from '../../hooks/usePermissions';
+import { formatEventDate, getEventDay, getEventEndTime, getEventStartTime } from '../../utils/eventDateUtils';
 import {
     IconX as X,
     IconCheck as Check,
@@ -114,25 +115,12 @@ const FormCreationModal = ({
         // Find selected event and populate fields
         const selectedEvent = events.find(event => event.id === eventId);
         if (selectedEvent) {
-            // Parse the date from the event
-            let eventDate = '';
-            if (selectedEvent.date && selectedEvent.date !== 'Date TBD') {
-                try {
-                    const date = new Date(selectedEvent.date);
-                    if (!isNaN(date.getTime())) {
-                        eventDate = date.toISOString().split('T')[0]; // YYYY-MM-DD format
-                    }
-                } catch (error) {
-                    console.warn('Could not parse event date:', selectedEvent.date);
-                }
-            }
-
             setFormData(prev => ({
                 ...prev,
                 title: `${t('forms.registrationFor', 'Registration for')} ${selectedEvent.name}`,
-                eventDate: eventDate,
-                startTime: '', // Events don't seem to have separate start/end times
-                endTime: '',
+                eventDate: getEventDay(selectedEvent),
+                startTime: getEventStartTime(selectedEvent),
+                endTime: getEventEndTime(selectedEvent),
                 location: selectedEvent.location || '',
                 notes: selectedEvent.description || selectedEvent.notes || ''
             }));
@@ -187,13 +175,9 @@ const FormCreationModal = ({
     const formatDateTime = () => {
         if (!formData.eventDate) return '';
 
-        const date = new Date(formData.eventDate);
-        const dayName = date.toLocaleDateString(isRTL ? 'he-IL' : 'en-US', { weekday: 'long' });
-        const dateStr = date.toLocaleDateString(isRTL ? 'he-IL' : 'en-US', {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
-        });
+        const day = { date: formData.eventDate };
+        const dayName = formatEventDate(day, isRTL ? 'he-IL' : 'en-US', { weekday: 'long' });
+        const dateStr = formatEventDate(day, isRTL ? 'he-IL' : 'en-US');
 
         let timeStr = '';
         if (formData.startTime) {
@@ -3,6 +3,7 @@ import React, { useState, useEffect } from 'react';
 import { updateForm } from '@/services/formService.js';
 import { useLanguage } from '../../contexts/LanguageContext';
 import { usePermissions } from '../../hooks/usePermissions';
+import { formatEventDate, getEventDay } from '../../utils/eventDateUtils';
 import {
     IconX as X,
     IconPlus as Plus,
@@ -53,7 +54,7 @@ const FormEditModal = ({
             let endTime = '';
 
             if (form.eventDetails?.eventDate) {
-                eventDate = form.eventDetails.eventDate;
+                eventDate = getEventDay({ date: form.eventDetails.eventDate });
             }
             if (form.eventDetails?.startTime) {
                 startTime = form.eventDetails.startTime;
@@ -130,15 +131,11 @@ const FormEditModal = ({
     const formatDateTime = () => {
         if (!formData.eventDate) return '';
 
-        const date = new Date(formData.eventDate);
+        const day = { date: formData.eventDate };
         const locale = isRTL ? 'he-IL' : 'en-US';
 
-        const dayName = date.toLocaleDateString(locale, { weekday: 'long' });
-        const dateStr = date.toLocaleDateString(locale, {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
-        });
+        const dayName = formatEventDate(day, locale, { weekday: 'long' });
+        const dateStr = formatEventDate(day, locale);
 
         let timeStr = '';
         if (formData.startTime) {
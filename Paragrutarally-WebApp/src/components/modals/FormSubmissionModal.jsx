@@ -1,10 +1,19 @@
 // src/components/modals/FormSubmissionModal.jsx - Fixed UI Issues
 import React, { useState, useEffect } from 'react';
 import { useLanguage } from '../../contexts/LanguageContext';
+import { formatEventDate as formatDateInIsrael } from '../../utils/eventDateUtils';
 import { usePermissions } from '../../hooks/usePermissions';
 import { createFormSubmission, uploadDeclarationFile } from '../../services/formService';
 import { getUserData, getUserKids } from '../../services/userService';
 import { getKidsByParent } from '../../services/kidService';
+import { getEventById } from '../../services/eventService';
+import { registerKidsForEvent } from '../../services/eventRegistrationService';
+import { SHIRT_SIZES } from '../../schemas/shirtSchema';
+import {
+    getKidEligibilityIssues,
+    getRegistrationIssueText,
+    getRegistrationWindowIssue
+} from '../../schemas/eventRegistrationSchema';
 import ViewSubmissionModal from './ViewSubmissionModal';
 import EditSubmissionModal from './EditSubmissionModal';
 import {
@@ -53,9 +62,8 @@ const FormSubmissionModal = ({
     const [isLoadingUserData, setIsLoadingUserData] = useState(false);
     const [kidsWithoutDeclaration, setKidsWithoutDeclaration] = useState([]);
     const [showDeclarationWarning, setShowDeclarationWarning] = useState(false);
-
-    // Shirt size options
-    const shirtSizes = ['2', '4', '6', '8', '10', '12', '14', '16', '18', 'S', 'M', 'L', 'XL', 'XXL', 'XXXL', 'XXXXL'];
+    // Event the form was created from; attending kids are registered for it
+    const [linkedEvent, setLinkedEvent] = useState(null);
 
     // Load user's complete data and kids if parent
     useEffect(() => {
@@ -64,6 +72,16 @@ const FormSubmissionModal = ({
         }
     }, [isOpen, user]);
 
+    useEffect(() => {
+        const eventId = form?.eventDetails?.selectedEventId;
+        setLinkedEvent(null);
+        if (isOpen && eventId) {
+            getEventById(eventId)
+                .then(setLinkedEvent)
+                .catch(error => console.warn('⚠️ Could not load the form\'s event:', error));
+        }
+    }, [isOpen, form]);
+
     // Reset form when modal opens/closes
     useEffect(() => {
         if (isOpen) {
@@ -221,6 +239,8 @@ const FormSubmissionModal = ({
         }
     };
 
+    const registrationWindowIssue = linkedEvent ? getRegistrationWindowIssue(linkedEvent) : null;
+
     const validateForm = () => {
         if (formData.confirmationStatus === 'attending') {
             if (formData.attendeesCount < 1) {
@@ -233,6 +253,11 @@ const FormSubmissionModal = ({
                 return false;
             }
 
+            if (registrationWindowIssue && formData.kidIds.length > 0) {
+                alert(getRegistrationIssueText(registrationWindowIssue, t));
+                return false;
+            }
+
             // Validate extra attendees
             const requiredExtraAttendees = Math.max(0, formData.attendeesCount - 1 - formData.kidIds.length);
             for (let i = 0; i < requiredExtraAttendees; i++) {
@@ -248,6 +273,38 @@ const FormSubmissionModal = ({
         return true;
     };
 
+    /**
+     * Register the selected kids for the linked event
+     * Runs after the submission is saved, since a declaration uploaded with it counts for the
+     * kids; the function marks the submission when none of them get in.
+     * @returns {Promise<string|null>} Notice for the parent when not every kid was registered
+     */
+    const registerAttendingKids = async (submissionId) => {
+        if (!linkedEvent || formData.confirmationStatus !== 'attending' || formData.kidIds.length === 0) {
+            return null;
+        }
+
+        try {
+            const { waitlisted = [], rejected } = await registerKidsForEvent(linkedEvent.id, formData.kidIds, submissionId);
+            const kidName = (kidId) => userKids.find(userKid => userKid.id === kidId)?.personalInfo?.firstName || kidId;
+            const notices = [];
+            if (waitlisted.length > 0) {
+                notices.push(t('registration.waitlistedNotice', 'The event is full, so these kids are on the waitlist: {kidNames}. We will let you know if a place frees up.', {
+                    kidNames: waitlisted.map(kidName).join(', ')
+                }));
+            }
+            if (rejected.length > 0) {
+                const lines = rejected.map(({ kidId, reasons }) =>
+                    `${kidName(kidId)}: ${reasons.map(reason => getRegistrationIssueText(reason, t)).join(', ')}`);
+                notices.push([t('registration.notRegistered', 'These kids were not registered for the event:'), ...lines].join('\n'));
+            }
+            return notices.length > 0 ? notices.join('\n\n') : null;
+        } catch (error) {
+            console.error('❌ Error registering kids for the event:', error);
+            return t('registration.registrationFailed', 'Your answer was saved, but the kids could not be registered for the event. Please contact the organizers.');
+        }
+    };
+
     const handleSubmit = async () => {
         if (!validateForm()) return;
 
@@ -302,8 +359,11 @@ const FormSubmissionModal = ({
             const submissionId = await createFormSubmission(submissionData);
             console.log('✅ Form submitted successfully:', submissionId);
 
+// Register the attending kids for the form's event
+            const registrationNotice = await registerAttendingKids(submissionId);
+
 // Show success message
-            alert(t('forms.success.submitted', 'Form submitted successfully!'));
+            alert([t('forms.success.submitted', 'Form submitted successfully!'), registrationNotice].filter(Boolean).join('\n\n'));
 
 // Call success callback
             if (onSubmit && typeof onSubmit === 'function') {
@@ -351,14 +411,13 @@ const FormSubmissionModal = ({
             return form.eventDetails.dayAndDate;
         }
 
-        if (form.eventDetails?.eventDate) {
-            const date = new Date(form.eventDetails.eventDate);
-            return date.toLocaleDateString();
-        }
-
-        return '';
+        return formatDateInIsrael({ date: form.eventDetails?.eventDate, time: form.eventDetails?.startTime });
     };
 
+    const getKidRegistrationIssues = (kid) => (linkedEvent
+        ? getKidEligibilityIssues(kid, linkedEvent, { declarationUploaded: Boolean(formData.declarationFile) })
+        : []);
+
     // Calculate required extra attendees
     const requiredExtraAttendees = Math.max(0, formData.attendeesCount - 1 - formData.kidIds.length);
 
@@ -556,6 +615,13 @@ const FormSubmissionModal = ({
                                         {t('forms.selectKids', 'Select Kids to Attend')}
                                     </h4>
 
+                                    {registrationWindowIssue && (
+                                        <div className="registration-closed-notice">
+                                            <AlertTriangle size={16} />
+                                            <span>{getRegistrationIssueText(registrationWindowIssue, t)}</span>
+                                        </div>
+                                    )}
+
                                     <div className="kids-selection">
                                         {isLoadingUserData ? (
                                             <div className="loading-kids">
@@ -569,6 +635,7 @@ const FormSubmissionModal = ({
                                                     kid.firstName ||
                                                     kid.name?.split(' ')[0] ||
                                                     `Kid ${kid.participantNumber || kid.id?.slice(-4)}`;
+                                                const registrationIssues = getKidRegistrationIssues(kid);
 
                                                 return (
                                                     <label key={kid.id} className="checkbox-option">
@@ -584,6 +651,11 @@ const FormSubmissionModal = ({
                                                                 <AlertTriangle size={14} className="warning-icon" />
                                                             )}
                                                         </span>
+                                                        {registrationIssues.length > 0 && (
+                                                            <small className="registration-issues">
+                                                                {registrationIssues.map(issue => getRegistrationIssueText(issue, t)).join(' · ')}
+                                                            </small>
+                                                        )}
                                                     </label>
                                                 );
                                             })
@@ -685,7 +757,7 @@ const FormSubmissionModal = ({
                                                         onChange={(e) => handleShirtChange(index, e.target.value)}
                                                     >
                                                         <option value="">{t('forms.selectSize', 'Select Size')}</option>
-                                                        {shirtSizes.map(size => (
+                                                        {SHIRT_SIZES.map(size => (
                                                             <option key={size} value={size}>{size}</option>
                                                         ))}
                                                     </select>
@@ -705,7 +777,7 @@ const FormSubmissionModal = ({
                                                         onChange={(e) => handleShirtChange(index, e.target.value, true)}
                                                     >
                                                         <option value="">{t('forms.selectSize', 'Select Size')}</option>
-                                                        {shirtSizes.map(size => (
+                                                        {SHIRT_SIZES.map(size => (
                                                             <option key={size} value={size}>{size}</option>
                                                         ))}
                                                     </select>
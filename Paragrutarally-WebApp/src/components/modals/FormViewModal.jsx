@@ -1,6 +1,7 @@
 // src/components/modals/FormViewModal.jsx - Fixed Version (Hide Stats for Parents)
 import React from 'react';
 import { useLanguage } from '../../contexts/LanguageContext';
+import { EVENT_TIME_ZONE, getEventStart } from '../../utils/eventDateUtils';
 import { usePermissions } from '../../hooks/usePermissions';
 import {
     IconX as X,
@@ -48,21 +49,20 @@ const FormViewModal = ({
             return form.eventDetails.dayAndDate;
         }
 
-        if (!form.eventDetails?.eventDate) return '';
-
-        const date = new Date(form.eventDetails.eventDate);
-        return formatLocalizedDate(date);
+        const date = getEventStart({ date: form.eventDetails?.eventDate });
+        return date ? formatLocalizedDate(date) : '';
     };
 
     // Helper function to format date with proper localization
     const formatLocalizedDate = (date) => {
         const locale = isRTL ? 'he-IL' : 'en-US';
 
-        const dayName = date.toLocaleDateString(locale, { weekday: 'long' });
+        const dayName = date.toLocaleDateString(locale, { weekday: 'long', timeZone: EVENT_TIME_ZONE });
         const dateStr = date.toLocaleDateString(locale, {
             year: 'numeric',
             month: 'long',
-            day: 'numeric'
+            day: 'numeric',
+            timeZone: EVENT_TIME_ZONE
         });
 
         let timeStr = '';
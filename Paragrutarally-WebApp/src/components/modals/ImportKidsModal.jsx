@@ -0,0 +1,436 @@
+// src/components/modals/ImportKidsModal.jsx - Excel import wizard for kids: upload, map columns, dry run, commit
+import React, { useState } from 'react';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { usePermissions } from '../../hooks/usePermissions';
+import { parseExcelFile } from '../../utils/excelUtils';
+import { KID_IMPORT_FIELDS, guessColumnMapping, planKidImport } from '../../utils/kidImportUtils';
+import { kidValidationRules } from '../../schemas/kidSchema';
+import { commitKidImport, loadKidImportContext } from '../../services/kidImportService';
+import {
+    IconX as X,
+    IconUpload as Upload,
+    IconColumns as Columns,
+    IconListCheck as ListCheck,
+    IconAlertTriangle as AlertTriangle,
+    IconCheck as Check
+} from '@tabler/icons-react';
+import './FormCreationModal.css';
+import './ImportKidsModal.css';
+
+const STEPS = {
+    UPLOAD: 'upload',
+    MAPPING: 'mapping',
+    REVIEW: 'review',
+    DONE: 'done'
+};
+
+const ImportKidsModal = ({ isOpen, onClose, onImported }) => {
+    const { t, isRTL } = useLanguage();
+    const { user } = usePermissions();
+    const [step, setStep] = useState(STEPS.UPLOAD);
+    const [file, setFile] = useState(null);
+    const [sheet, setSheet] = useState({ headers: [], rows: [] });
+    const [mapping, setMapping] = useState({});
+    const [context, setContext] = useState({ existingKids: [], teams: [] });
+    const [plan, setPlan] = useState(null);
+    const [rejectedRows, setRejectedRows] = useState(() => new Set());
+    const [result, setResult] = useState(null);
+    const [progress, setProgress] = useState(null);
+    const [isBusy, setIsBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    if (!isOpen) return null;
+
+    const reset = () => {
+        setStep(STEPS.UPLOAD);
+        setFile(null);
+        setSheet({ headers: [], rows: [] });
+        setMapping({});
+        setPlan(null);
+        setRejectedRows(new Set());
+        setResult(null);
+        setProgress(null);
+        setError(null);
+    };
+
+    const handleClose = () => {
+        if (isBusy) return;
+        if (result && (result.created > 0 || result.updated > 0) && onImported) {
+            onImported(result);
+        }
+        reset();
+        onClose();
+    };
+
+    const handleFileSelected = async (event) => {
+        const selectedFile = event.target.files?.[0];
+        if (!selectedFile) return;
+
+        try {
+            setIsBusy(true);
+            setError(null);
+            const [parsed, importContext] = await Promise.all([
+                parseExcelFile(selectedFile),
+                loadKidImportContext()
+            ]);
+            const headers = parsed.headers.filter(Boolean).map(String);
+            if (parsed.data.length === 0) {
+                setError(t('kidImport.emptySheet', 'The first sheet has no rows to import.'));
+                return;
+            }
+
+            setFile(selectedFile);
+            setSheet({ headers, rows: parsed.data });
+            setMapping(guessColumnMapping(headers));
+            setContext(importContext);
+            setStep(STEPS.MAPPING);
+        } catch (err) {
+            console.error('Error reading import file:', err);
+            setError(t('kidImport.readError', 'Could not read the file: {error}', { error: err.message }));
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleDryRun = () => {
+        setError(null);
+        setPlan(planKidImport(sheet.rows, mapping, { ...context, t }));
+        setRejectedRows(new Set());
+        setStep(STEPS.REVIEW);
+    };
+
+    const toggleUpdate = (rowNumber) => {
+        setRejectedRows(prev => {
+            const next = new Set(prev);
+            if (next.has(rowNumber)) {
+                next.delete(rowNumber);
+            } else {
+                next.add(rowNumber);
+            }
+            return next;
+        });
+    };
+
+    // Only the updates the admin kept ticked are written
+    const acceptedUpdates = plan ? plan.updates.filter(entry => !rejectedRows.has(entry.rowNumber)) : [];
+
+    const handleCommit = async () => {
+        const count = plan.creates.length + acceptedUpdates.length;
+        if (!window.confirm(t('kidImport.commitConfirm', 'Add {creates} kids and update {updates} kids? Rows with errors are skipped.', {
+            creates: plan.creates.length,
+            updates: acceptedUpdates.length
+        }))) {
+            return;
+        }
+
+        try {
+            setIsBusy(true);
+            setError(null);
+            setProgress({ done: 0, total: count });
+            const importResult = await commitKidImport({ ...plan, updates: acceptedUpdates }, {
+                file,
+                userId: user?.uid,
+                onProgress: (done, total) => setProgress({ done, total })
+            });
+            setResult(importResult);
+            setStep(STEPS.DONE);
+        } catch (err) {
+            console.error('Error importing kids:', err);
+            setError(t('kidImport.commitError', 'Import failed: {error}', { error: err.message }));
+        } finally {
+            setIsBusy(false);
+            setProgress(null);
+        }
+    };
+
+    const getFieldLabel = (path) => {
+        const field = KID_IMPORT_FIELDS.find(f => f.path === path);
+        return field ? t(field.labelKey, field.label) : path;
+    };
+
+    const formatChangeValue = (field, value) => {
+        if (field === 'teamId') {
+            return context.teams.find(team => team.id === value)?.name || t('kids.noTeam', 'No Team');
+        }
+        if (typeof value === 'boolean') {
+            return value ? t('exportKids.yes', 'Yes') : t('exportKids.no', 'No');
+        }
+        return value === '' || value === null || value === undefined ? '—' : String(value);
+    };
+
+    const missingRequired = KID_IMPORT_FIELDS
+        .filter(field => kidValidationRules.required.includes(field.path) && field.path !== 'participantNumber')
+        .filter(field => !mapping[field.path]);
+
+    const renderUpload = () => (
+        <div className="form-section">
+            <h4>
+                <Upload size={18} />
+                {t('kidImport.uploadTitle', 'Choose a Sheet')}
+            </h4>
+            <p className="import-hint">
+                {t('kidImport.uploadHint', 'The first sheet is read. Its first row must hold the column titles. Rows are matched to existing kids by the Kid ID column of an export, or else by race number; other rows are added as new kids.')}
+            </p>
+            <input
+                type="file"
+                accept=".xlsx,.xls,.csv"
+                onChange={handleFileSelected}
+                disabled={isBusy}
+                aria-label={t('kidImport.chooseFile', 'Choose file')}
+            />
+            {isBusy && <p className="import-hint">{t('kidImport.reading', 'Reading file...')}</p>}
+        </div>
+    );
+
+    const renderMapping = () => (
+        <div className="form-section">
+            <h4>
+                <Columns size={18} />
+                {t('kidImport.mappingTitle', 'Match Columns')}
+            </h4>
+            <p className="import-hint">
+                {t('kidImport.mappingHint', '{rows} rows in {file}. Pick the column that holds each field, or leave it out.', {
+                    rows: sheet.rows.length,
+                    file: file?.name
+                })}
+            </p>
+            <div className="import-mapping-grid">
+                {KID_IMPORT_FIELDS.map(field => (
+                    <div className="form-group" key={field.path}>
+                        <label htmlFor={`import-map-${field.path}`}>
+                            {t(field.labelKey, field.label)}
+                            {kidValidationRules.required.includes(field.path) && ' *'}
+                        </label>
+                        <select
+                            id={`import-map-${field.path}`}
+                            className="form-select"
+                            value={mapping[field.path] || ''}
+                            onChange={(e) => setMapping(prev => ({ ...prev, [field.path]: e.target.value }))}
+                        >
+                            <option value="">{t('kidImport.notImported', '— Not imported —')}</option>
+                            {sheet.headers.map(header => (
+                                <option key={header} value={header}>{header}</option>
+                            ))}
+                        </select>
+                    </div>
+                ))}
+            </div>
+            {!mapping.participantNumber && !mapping.id && (
+                <div className="alert warning-alert">
+                    <AlertTriangle size={18} />
+                    {t('kidImport.noNumberColumn', 'Without a race number column every row is added as a new kid.')}
+                </div>
+            )}
+            {missingRequired.length > 0 && (
+                <div className="alert info-alert">
+                    {t('kidImport.missingRequired', 'New kids need these fields, so rows adding a kid will fail without them: {fields}', {
+                        fields: missingRequired.map(field => t(field.labelKey, field.label)).join(', ')
+                    })}
+                </div>
+            )}
+        </div>
+    );
+
+    const renderReview = () => (
+        <>
+            <div className="import-summary">
+                <div className="import-summary-item creates">
+                    <strong>{plan.creates.length}</strong>
+                    <span>{t('kidImport.creates', 'New kids')}</span>
+                </div>
+                <div className="import-summary-item updates">
+                    <strong>{plan.updates.length}</strong>
+                    <span>{t('kidImport.updates', 'Updates')}</span>
+                </div>
+                <div className="import-summary-item unchanged">
+                    <strong>{plan.unchanged.length}</strong>
+                    <span>{t('kidImport.unchanged', 'Unchanged')}</span>
+                </div>
+                <div className="import-summary-item errors">
+                    <strong>{plan.errors.length}</strong>
+                    <span>{t('kidImport.errorRows', 'Errors')}</span>
+                </div>
+            </div>
+
+            {plan.errors.length > 0 && (
+                <div className="form-section">
+                    <h4>
+                        <AlertTriangle size={18} />
+                        {t('kidImport.errorsTitle', 'Rows That Will Be Skipped')}
+                    </h4>
+                    <ul className="import-report-list">
+                        {plan.errors.map(entry => (
+                            <li key={entry.rowNumber} className="error">
+                                <strong>{t('kidImport.row', 'Row {row}', { row: entry.rowNumber })}</strong>
+                                {entry.name && ` · ${entry.name}`}
+                                {': '}
+                                {entry.messages.join('; ')}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            {plan.updates.length > 0 && (
+                <div className="form-section">
+                    <h4>
+                        <ListCheck size={18} />
+                        {t('kidImport.updatesTitle', 'Changes to Existing Kids')}
+                    </h4>
+                    <p className="import-hint">
+                        {t('kidImport.updatesHint', 'Untick a kid to leave it as it is.')}
+                    </p>
+                    <ul className="import-report-list">
+                        {plan.updates.map(entry => (
+                            <li key={entry.rowNumber} className={rejectedRows.has(entry.rowNumber) ? 'rejected' : ''}>
+                                <label className="checkbox-label">
+                                    <input
+                                        type="checkbox"
+                                        checked={!rejectedRows.has(entry.rowNumber)}
+                                        onChange={() => toggleUpdate(entry.rowNumber)}
+                                        disabled={isBusy}
+                                    />
+                                    <strong>#{entry.participantNumber} {entry.name}</strong>
+                                </label>
+                                <ul>
+                                    {entry.changes.map(change => (
+                                        <li key={change.field}>
+                                            {getFieldLabel(change.field)}: {formatChangeValue(change.field, change.from)} → {formatChangeValue(change.field, change.to)}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            {plan.creates.length > 0 && (
+                <div className="form-section">
+                    <h4>
+                        <Check size={18} />
+                        {t('kidImport.createsTitle', 'Kids to Add')}
+                    </h4>
+                    <ul className="import-report-list">
+                        {plan.creates.map(entry => (
+                            <li key={entry.rowNumber}>
+                                {entry.participantNumber ? `#${entry.participantNumber}` : t('kidImport.autoNumber', 'next free number')}
+                                {' · '}
+                                {entry.name}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            {progress && (
+                <p className="import-hint" role="status">
+                    {t('kidImport.progress', 'Importing {done} of {total}...', progress)}
+                </p>
+            )}
+        </>
+    );
+
+    const renderDone = () => (
+        <div className="form-section">
+            <h4>
+                <Check size={18} />
+                {t('kidImport.doneTitle', 'Import Finished')}
+            </h4>
+            <p>
+                {t('kidImport.doneSummary', 'Added {created} kids and updated {updated} kids.', {
+                    created: result.created,
+                    updated: result.updated
+                })}
+            </p>
+            {result.failed.length > 0 && (
+                <ul className="import-report-list">
+                    {result.failed.map(entry => (
+                        <li key={entry.rowNumber} className="error">
+                            <strong>{t('kidImport.row', 'Row {row}', { row: entry.rowNumber })}</strong>
+                            {entry.name && ` · ${entry.name}`}
+                            {': '}
+                            {entry.error}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+
+    const changeCount = plan ? plan.creates.length + acceptedUpdates.length : 0;
+
+    return (
+        <div className="form-creation-modal-overlay" dir={isRTL ? 'rtl' : 'ltr'}>
+            <div
+                className="form-creation-modal-content import-kids-modal"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="import-kids-modal-title"
+            >
+                <div className="form-creation-modal-header">
+                    <h3 id="import-kids-modal-title">
+                        <Upload size={24} />
+                        {t('kidImport.title', 'Import Kids')}
+                    </h3>
+                    <button
+                        className="form-creation-modal-close"
+                        onClick={handleClose}
+                        disabled={isBusy}
+                        type="button"
+                        aria-label={t('common.close', 'Close')}
+                    >
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="form-creation-modal-body">
+                    {error && <div className="alert warning-alert" role="alert">{error}</div>}
+                    {step === STEPS.UPLOAD && renderUpload()}
+                    {step === STEPS.MAPPING && renderMapping()}
+                    {step === STEPS.REVIEW && renderReview()}
+                    {step === STEPS.DONE && renderDone()}
+                </div>
+
+                <div className="form-creation-modal-footer">
+                    {step === STEPS.MAPPING && (
+                        <>
+                            <button type="button" className="btn btn-secondary" onClick={reset}>
+                                {t('kidImport.chooseAnother', 'Choose Another File')}
+                            </button>
+                            <button type="button" className="btn btn-primary" onClick={handleDryRun}>
+                                <ListCheck size={16} />
+                                {t('kidImport.dryRun', 'Check Rows')}
+                            </button>
+                        </>
+                    )}
+                    {step === STEPS.REVIEW && (
+                        <>
+                            <button type="button" className="btn btn-secondary" onClick={() => setStep(STEPS.MAPPING)} disabled={isBusy}>
+                                {t('kidImport.backToMapping', 'Back to Columns')}
+                            </button>
+                            <button
+                                type="button"
+                                className="btn btn-primary"
+                                onClick={handleCommit}
+                                disabled={isBusy || changeCount === 0}
+                            >
+                                <Upload size={16} />
+                                {isBusy
+                                    ? t('kidImport.importing', 'Importing...')
+                                    : t('kidImport.commit', 'Import {count} Rows', { count: changeCount })}
+                            </button>
+                        </>
+                    )}
+                    {(step === STEPS.UPLOAD || step === STEPS.DONE) && (
+                        <button type="button" className="btn btn-secondary" onClick={handleClose} disabled={isBusy}>
+                            {t('common.close', 'Close')}
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ImportKidsModal;
@@ -2,6 +2,7 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useLanguage } from '../../contexts/LanguageContext';
+import { formatEventDate } from '../../utils/eventDateUtils';
 import {
     IconX as X,
     IconCalendar as Calendar,
@@ -15,12 +16,14 @@ import {
     IconTrophy as Trophy,
     IconCheck as Check,
     IconPhoto as Photo,
-    IconExternalLink as ExternalLink
+    IconExternalLink as ExternalLink,
+    IconParking as Parking,
+    IconWheelchair as Wheelchair
 } from '@tabler/icons-react';
 import { getTeamById } from '../../services/teamService';
 import './ParentEventModal.css';
 
-const ParentEventModal = ({ event, isOpen, onClose }) => {
+const ParentEventModal = ({ event, venue = null, isOpen, onClose }) => {
     const { t, isRTL } = useLanguage();
     const navigate = useNavigate();
     const [teamNames, setTeamNames] = useState([]);
@@ -64,21 +67,12 @@ const ParentEventModal = ({ event, isOpen, onClose }) => {
     if (!isOpen || !event) return null;
 
     // Format date for display
-    const formatDate = (dateString) => {
-        if (!dateString || dateString === t('parentEvents.dateTBD', 'Date TBD')) return dateString;
-
-        try {
-            const date = new Date(dateString);
-            return date.toLocaleDateString(isRTL ? 'he-IL' : 'en-US', {
-                weekday: 'long',
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric'
-            });
-        } catch (error) {
-            return dateString;
-        }
-    };
+    const formatDate = (event) => formatEventDate(event, isRTL ? 'he-IL' : 'en-US', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    }) || event.date;
 
     // Format time for display
     const formatTime = (timeString) => {
@@ -194,7 +188,7 @@ const ParentEventModal = ({ event, isOpen, onClose }) => {
                             <div className="card-content">
                                 <div className="info-row">
                                     <span className="label">{t('parentEvents.date', 'Date')}:</span>
-                                    <span className="value">{formatDate(event.date)}</span>
+                                    <span className="value">{formatDate(event)}</span>
                                 </div>
                                 {event.time && (
                                     <div className="info-row">
@@ -222,6 +216,27 @@ const ParentEventModal = ({ event, isOpen, onClose }) => {
                                         <span className="value">{event.address}</span>
                                     </div>
                                 )}
+                                {venue?.parkingNotes && (
+                                    <div className="info-row contact-row">
+                                        <Parking size={16} />
+                                        <span className="value">{venue.parkingNotes}</span>
+                                    </div>
+                                )}
+                                {venue?.accessibilityNotes && (
+                                    <div className="info-row contact-row">
+                                        <Wheelchair size={16} />
+                                        <span className="value">{venue.accessibilityNotes}</span>
+                                    </div>
+                                )}
+                                {venue?.facilities?.length > 0 && (
+                                    <div className="teams-list">
+                                        {venue.facilities.map(facility => (
+                                            <span key={facility} className="team-tag">
+                                                {t(`venues.facilities.${facility}`, facility)}
+                                            </span>
+                                        ))}
+                                    </div>
+                                )}
                             </div>
                         </div>
 
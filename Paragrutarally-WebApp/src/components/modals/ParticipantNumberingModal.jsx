@@ -0,0 +1,370 @@
+// src/components/modals/ParticipantNumberingModal.jsx - Numbering settings and duplicate repair for participant numbers
+import React, { useState, useEffect } from 'react';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { getAllTeams } from '../../services/teamService';
+import {
+    getNumberingConfig,
+    saveNumberingConfig,
+    findParticipantNumberDuplicates,
+    repairParticipantNumbers
+} from '../../services/participantNumberService';
+import { getKidFullName } from '../../schemas/kidSchema';
+import {
+    DEFAULT_NUMBERING_CONFIG,
+    MAX_MIN_DIGITS,
+    formatParticipantNumber,
+    validateNumberingConfig
+} from '../../utils/participantNumberUtils';
+import {
+    IconX as X,
+    IconHash as Hash,
+    IconSettings as Settings,
+    IconPlus as Plus,
+    IconTrash as Trash,
+    IconSearch as Search,
+    IconTool as Tool,
+    IconDeviceFloppy as Save
+} from '@tabler/icons-react';
+import './FormCreationModal.css';
+import './ParticipantNumberingModal.css';
+
+const ParticipantNumberingModal = ({ isOpen, onClose, onRepaired }) => {
+    const { t, isRTL } = useLanguage();
+    const [config, setConfig] = useState(DEFAULT_NUMBERING_CONFIG);
+    const [teams, setTeams] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [isScanning, setIsScanning] = useState(false);
+    const [isRepairing, setIsRepairing] = useState(false);
+    const [error, setError] = useState(null);
+    const [message, setMessage] = useState(null);
+    const [duplicates, setDuplicates] = useState(null);
+    const [repairResult, setRepairResult] = useState(null);
+
+    useEffect(() => {
+        if (!isOpen) {
+            setError(null);
+            setMessage(null);
+            setDuplicates(null);
+            setRepairResult(null);
+            return;
+        }
+
+        const loadSettings = async () => {
+            try {
+                setIsLoading(true);
+                const [savedConfig, teamsData] = await Promise.all([getNumberingConfig(), getAllTeams()]);
+                setConfig(savedConfig);
+                setTeams(teamsData);
+            } catch (err) {
+                console.error('Error loading numbering settings:', err);
+                setError(t('numbering.loadError', 'Failed to load numbering settings: {error}', { error: err.message }));
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadSettings();
+    }, [isOpen, t]);
+
+    if (!isOpen) return null;
+
+    const isBusy = isLoading || isSaving || isScanning || isRepairing;
+    const validation = validateNumberingConfig(config);
+
+    const updateRange = (index, field, value) => {
+        setConfig(prev => ({
+            ...prev,
+            teamRanges: prev.teamRanges.map((range, i) => (i === index ? { ...range, [field]: value } : range))
+        }));
+    };
+
+    const addRange = () => {
+        setConfig(prev => ({
+            ...prev,
+            teamRanges: [...prev.teamRanges, { teamId: '', start: '', end: '' }]
+        }));
+    };
+
+    const removeRange = (index) => {
+        setConfig(prev => ({
+            ...prev,
+            teamRanges: prev.teamRanges.filter((_, i) => i !== index)
+        }));
+    };
+
+    const handleSave = async () => {
+        try {
+            setIsSaving(true);
+            setError(null);
+            setMessage(null);
+            const saved = await saveNumberingConfig({ ...config, minDigits: Number(config.minDigits) });
+            setConfig(saved);
+            setMessage(t('numbering.saved', 'Numbering settings saved.'));
+        } catch (err) {
+            console.error('Error saving numbering settings:', err);
+            setError(t('numbering.saveError', 'Failed to save numbering settings: {error}', { error: err.message }));
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleScan = async () => {
+        try {
+            setIsScanning(true);
+            setError(null);
+            setRepairResult(null);
+            setDuplicates(await findParticipantNumberDuplicates());
+        } catch (err) {
+            console.error('Error finding duplicates:', err);
+            setError(t('numbering.scanError', 'Failed to check for duplicates: {error}', { error: err.message }));
+        } finally {
+            setIsScanning(false);
+        }
+    };
+
+    const handleRepair = async () => {
+        if (!window.confirm(t('numbering.repairConfirm', 'Give every duplicate except the oldest kid a new race number?'))) {
+            return;
+        }
+
+        try {
+            setIsRepairing(true);
+            setError(null);
+            const result = await repairParticipantNumbers();
+            setRepairResult(result);
+            setDuplicates([]);
+            if (onRepaired) onRepaired(result);
+        } catch (err) {
+            console.error('Error repairing participant numbers:', err);
+            setError(t('numbering.repairError', 'Failed to repair race numbers: {error}', { error: err.message }));
+        } finally {
+            setIsRepairing(false);
+        }
+    };
+
+    return (
+        <div className="form-creation-modal-overlay" dir={isRTL ? 'rtl' : 'ltr'}>
+            <div
+                className="form-creation-modal-content participant-numbering-modal"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="participant-numbering-modal-title"
+            >
+                <div className="form-creation-modal-header">
+                    <h3 id="participant-numbering-modal-title">
+                        <Hash size={24} />
+                        {t('numbering.title', 'Race Numbers')}
+                    </h3>
+                    <button
+                        className="form-creation-modal-close"
+                        onClick={onClose}
+                        disabled={isBusy}
+                        type="button"
+                        aria-label={t('common.close', 'Close')}
+                    >
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="form-creation-modal-body">
+                    {error && <div className="numbering-alert error" role="alert">{error}</div>}
+                    {message && <div className="numbering-alert success">{message}</div>}
+
+                    {/* Numbering format */}
+                    <div className="form-section">
+                        <h4>
+                            <Settings size={18} />
+                            {t('numbering.formatTitle', 'Numbering Format')}
+                        </h4>
+
+                        <div className="form-grid">
+                            <div className="form-group">
+                                <label htmlFor="numberingPrefix">{t('numbering.prefix', 'Season prefix')}</label>
+                                <input
+                                    id="numberingPrefix"
+                                    type="text"
+                                    className="form-input"
+                                    value={config.prefix}
+                                    placeholder={t('numbering.prefixPlaceholder', 'e.g. S25-')}
+                                    onChange={(e) => setConfig(prev => ({ ...prev, prefix: e.target.value }))}
+                                    disabled={isBusy}
+                                />
+                                {validation.errors.prefix && <span className="error-text">{validation.errors.prefix}</span>}
+                            </div>
+
+                            <div className="form-group">
+                                <label htmlFor="numberingMinDigits">{t('numbering.minDigits', 'Minimum digits')}</label>
+                                <input
+                                    id="numberingMinDigits"
+                                    type="number"
+                                    min="1"
+                                    max={MAX_MIN_DIGITS}
+                                    className="form-input"
+                                    value={config.minDigits}
+                                    onChange={(e) => setConfig(prev => ({ ...prev, minDigits: e.target.value }))}
+                                    disabled={isBusy}
+                                />
+                                {validation.errors.minDigits && <span className="error-text">{validation.errors.minDigits}</span>}
+                            </div>
+                        </div>
+
+                        {validation.isValid && (
+                            <p className="numbering-hint">
+                                {t('numbering.example', 'Numbers will look like {example}', {
+                                    example: formatParticipantNumber(7, config)
+                                })}
+                            </p>
+                        )}
+                        <p className="numbering-hint">
+                            {t('numbering.prefixHint', 'Each prefix counts separately, so a new season prefix starts again from 1.')}
+                        </p>
+                    </div>
+
+                    {/* Team ranges */}
+                    <div className="form-section">
+                        <h4>
+                            <Hash size={18} />
+                            {t('numbering.teamRanges', 'Team Number Ranges')}
+                        </h4>
+
+                        {config.teamRanges.length === 0 && (
+                            <p className="numbering-hint">
+                                {t('numbering.noRanges', 'No reserved ranges. All kids share one sequence.')}
+                            </p>
+                        )}
+
+                        {config.teamRanges.map((range, index) => (
+                            <div className="numbering-range-row" key={index}>
+                                <select
+                                    className="form-select"
+                                    value={range.teamId}
+                                    onChange={(e) => updateRange(index, 'teamId', e.target.value)}
+                                    disabled={isBusy}
+                                    aria-label={t('numbering.team', 'Team')}
+                                >
+                                    <option value="">{t('numbering.selectTeam', 'Select team')}</option>
+                                    {teams.map(team => (
+                                        <option key={team.id} value={team.id}>{team.name}</option>
+                                    ))}
+                                </select>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    className="form-input"
+                                    value={range.start}
+                                    onChange={(e) => updateRange(index, 'start', e.target.value)}
+                                    disabled={isBusy}
+                                    aria-label={t('numbering.rangeStart', 'From')}
+                                    placeholder={t('numbering.rangeStart', 'From')}
+                                />
+                                <input
+                                    type="number"
+                                    min="1"
+                                    className="form-input"
+                                    value={range.end}
+                                    onChange={(e) => updateRange(index, 'end', e.target.value)}
+                                    disabled={isBusy}
+                                    aria-label={t('numbering.rangeEnd', 'To')}
+                                    placeholder={t('numbering.rangeEnd', 'To')}
+                                />
+                                <button
+                                    type="button"
+                                    className="btn btn-secondary"
+                                    onClick={() => removeRange(index)}
+                                    disabled={isBusy}
+                                    aria-label={t('numbering.removeRange', 'Remove range')}
+                                >
+                                    <Trash size={16} />
+                                </button>
+                            </div>
+                        ))}
+                        {validation.errors.teamRanges && <span className="error-text">{validation.errors.teamRanges}</span>}
+
+                        <button type="button" className="btn btn-secondary" onClick={addRange} disabled={isBusy}>
+                            <Plus size={16} />
+                            {t('numbering.addRange', 'Add Range')}
+                        </button>
+                    </div>
+
+                    {/* Duplicate repair */}
+                    <div className="form-section">
+                        <h4>
+                            <Tool size={18} />
+                            {t('numbering.duplicatesTitle', 'Duplicate Race Numbers')}
+                        </h4>
+
+                        <button type="button" className="btn btn-secondary" onClick={handleScan} disabled={isBusy}>
+                            <Search size={16} />
+                            {isScanning ? t('numbering.scanning', 'Checking...') : t('numbering.scan', 'Check for Duplicates')}
+                        </button>
+
+                        {duplicates && duplicates.length === 0 && !repairResult && (
+                            <p className="numbering-hint">{t('numbering.noDuplicates', 'Every kid has a unique race number.')}</p>
+                        )}
+
+                        {duplicates && duplicates.length > 0 && (
+                            <>
+                                <ul className="numbering-duplicates">
+                                    {duplicates.map(group => (
+                                        <li key={group.participantNumber}>
+                                            <strong>#{group.participantNumber}</strong>
+                                            {': '}
+                                            {group.kids.map((kid, index) => (
+                                                <span key={kid.id} className={index === 0 ? 'keeps-number' : 'gets-new-number'}>
+                                                    {index > 0 && ', '}
+                                                    {getKidFullName(kid) || kid.id}
+                                                    {index === 0 && ` (${t('numbering.keeps', 'keeps the number')})`}
+                                                </span>
+                                            ))}
+                                        </li>
+                                    ))}
+                                </ul>
+                                <button type="button" className="btn btn-primary" onClick={handleRepair} disabled={isBusy}>
+                                    <Tool size={16} />
+                                    {isRepairing ? t('numbering.repairing', 'Renumbering...') : t('numbering.repair', 'Renumber Duplicates')}
+                                </button>
+                            </>
+                        )}
+
+                        {repairResult && (
+                            <div className="numbering-repair-result">
+                                <p>
+                                    {t('numbering.repairSummary', 'Renumbered {count} kids.', {
+                                        count: repairResult.renumbered.length
+                                    })}
+                                </p>
+                                {repairResult.renumbered.length > 0 && (
+                                    <ul className="numbering-duplicates">
+                                        {repairResult.renumbered.map(item => (
+                                            <li key={item.kidId}>
+                                                {item.name || item.kidId}: #{item.from} → #{item.to}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                </div>
+
+                <div className="form-creation-modal-footer">
+                    <button type="button" className="btn btn-secondary" onClick={onClose} disabled={isBusy}>
+                        {t('general.cancel', 'Cancel')}
+                    </button>
+                    <button
+                        type="button"
+                        className="btn btn-primary"
+                        onClick={handleSave}
+                        disabled={isBusy || !validation.isValid}
+                    >
+                        <Save size={16} />
+                        {isSaving ? t('numbering.saving', 'Saving...') : t('numbering.save', 'Save Settings')}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ParticipantNumberingModal;
@@ -26,7 +26,8 @@ const UpdateUserModal = ({ isOpen, onClose, user, onUserUpdated }) => {
         displayName: '',
         name: '',
         phone: '',
-        role: USER_ROLES.PARENT
+        role: USER_ROLES.PARENT,
+        isVolunteer: false
     });
     const [errors, setErrors] = useState({});
     const [isLoading, setIsLoading] = useState(false);
@@ -39,7 +40,8 @@ const UpdateUserModal = ({ isOpen, onClose, user, onUserUpdated }) => {
                 displayName: user.displayName || '',
                 name: user.name || '',
                 phone: user.phone || '',
-                role: user.role || USER_ROLES.PARENT
+                role: user.role || USER_ROLES.PARENT,
+                isVolunteer: user.isVolunteer === true
             });
             setErrors({}); // Clear any previous errors
         }
@@ -321,6 +323,22 @@ const UpdateUserModal = ({ isOpen, onClose, user, onUserUpdated }) => {
                                     </div>
                                 )}
                             </div>
+
+                            <div className="form-group">
+                                <label className="checkbox-label">
+                                    <input
+                                        type="checkbox"
+                                        name="isVolunteer"
+                                        checked={formData.isVolunteer}
+                                        onChange={(e) => setFormData(prev => ({ ...prev, isVolunteer: e.target.checked }))}
+                                        disabled={isLoading || formData.role === USER_ROLES.PARENT}
+                                    />
+                                    {t('users.isVolunteer', 'Volunteer: can sign up for event shifts')}
+                                </label>
+                                <small className="field-hint">
+                                    {t('users.isVolunteerHint', 'Parents can always volunteer.')}
+                                </small>
+                            </div>
                         </div>
                     </div>
                 </div>
@@ -1,7 +1,9 @@
 // src/components/modals/ViewSubmissionModal.jsx - Fixed with kidService
 import React, { useState, useEffect } from 'react';
 import { useLanguage } from '../../contexts/LanguageContext';
+import { formatEventDate as formatDateInIsrael } from '../../utils/eventDateUtils';
 import { getKidById } from '../../services/kidService';
+import { getRegistrationIssueText } from '../../schemas/eventRegistrationSchema';
 import {
     IconX as X,
     IconUser as User,
@@ -107,12 +109,7 @@ const ViewSubmissionModal = ({
             return form.eventDetails.dayAndDate;
         }
 
-        if (form?.eventDetails?.eventDate) {
-            const date = new Date(form.eventDetails.eventDate);
-            return date.toLocaleDateString();
-        }
-
-        return '';
+        return formatDateInIsrael({ date: form?.eventDetails?.eventDate, time: form?.eventDetails?.startTime });
     };
 
     const statusInfo = getStatusInfo(submission.confirmationStatus);
@@ -242,6 +239,23 @@ const ViewSubmissionModal = ({
                                             </div>
                                         ))}
                                     </div>
+
+                                    {/* Set by the registration when none of the kids got into the event */}
+                                    {submission.rejectedKids?.length > 0 && (
+                                        <div className="warning-content">
+                                            <AlertTriangle size={24} className="warning-icon" />
+                                            <div>
+                                                <p>{t('registration.notRegistered', 'These kids were not registered for the event:')}</p>
+                                                <ul>
+                                                    {submission.rejectedKids.map(({ kidId, reasons }) => (
+                                                        <li key={kidId}>
+                                                            {getKidNameById(kidId)}: {reasons.map(reason => getRegistrationIssueText(reason, t)).join(', ')}
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            </div>
+                                        </div>
+                                    )}
                                 </div>
                             )}
 
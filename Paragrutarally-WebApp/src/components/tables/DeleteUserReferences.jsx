@@ -0,0 +1,124 @@
+// src/components/tables/DeleteUserReferences.jsx - Decide what happens to records linked to a user being deleted
+import React from 'react';
+import { useLanguage } from '../../contexts/LanguageContext';
+
+// Which users make sense as a new owner for each kind of record
+const REASSIGN_ROLES = {
+    kids: ['parent'],
+    teams: ['instructor'],
+    form_submissions: null,
+    form_assignments: null
+};
+
+const DeleteUserReferences = ({ references, users, userToDelete, resolutions, onChange, disabled }) => {
+    const { t } = useLanguage();
+
+    const getCollectionLabel = (collectionName) => {
+        switch (collectionName) {
+            case 'kids':
+                return t('users.referenceKid', 'Kid');
+            case 'teams':
+                return t('users.referenceTeam', 'Team');
+            case 'form_submissions':
+                return t('users.referenceFormSubmission', 'Form submission');
+            case 'form_assignments':
+                return t('users.referenceFormAssignment', 'Form assignment');
+            default:
+                return collectionName;
+        }
+    };
+
+    const getCandidates = (collectionName) => {
+        const roles = REASSIGN_ROLES[collectionName];
+        return (users || []).filter(user =>
+            user.id !== userToDelete.id && (!roles || roles.includes(user.role))
+        );
+    };
+
+    const updateResolution = (key, changes) => {
+        const next = { ...resolutions[key], ...changes };
+        if (next.action !== 'reassign') {
+            delete next.reassignTo;
+        }
+        onChange({ ...resolutions, [key]: next });
+    };
+
+    const applyToAll = (action) => {
+        if (!action) return;
+        const next = {};
+        references.forEach(({ key }) => {
+            next[key] = action === 'reassign' ? { ...resolutions[key], action } : { action };
+        });
+        onChange(next);
+    };
+
+    if (references.length === 0) {
+        return (
+            <p className="delete-references-empty">
+                {t('users.noLinkedRecords', 'No kids, teams or forms reference this user.')}
+            </p>
+        );
+    }
+
+    return (
+        <div className="delete-references">
+            <div className="delete-references-header">
+                <h4>{t('users.linkedRecords', 'Linked records ({count})', { count: references.length })}</h4>
+                <select
+                    value=""
+                    onChange={(e) => applyToAll(e.target.value)}
+                    disabled={disabled}
+                    aria-label={t('users.applyToAll', 'Apply to all')}
+                >
+                    <option value="">{t('users.applyToAll', 'Apply to all')}...</option>
+                    <option value="clear">{t('users.referenceActionClear', 'Leave empty')}</option>
+                    <option value="anonymize">{t('users.referenceActionAnonymize', 'Anonymize')}</option>
+                    <option value="reassign">{t('users.referenceActionReassign', 'Reassign to another user')}</option>
+                </select>
+            </div>
+
+            <ul className="delete-references-list">
+                {references.map((reference) => {
+                    const resolution = resolutions[reference.key] || {};
+                    return (
+                        <li key={reference.key} className="delete-reference-item">
+                            <div className="delete-reference-label">
+                                <span className="delete-reference-type">{getCollectionLabel(reference.collection)}</span>
+                                <strong>{reference.label}</strong>
+                            </div>
+                            <div className="delete-reference-controls">
+                                <select
+                                    value={resolution.action || ''}
+                                    onChange={(e) => updateResolution(reference.key, { action: e.target.value })}
+                                    disabled={disabled}
+                                    aria-label={t('users.referenceActionFor', 'Action for {label}', { label: reference.label })}
+                                >
+                                    <option value="clear">{t('users.referenceActionClear', 'Leave empty')}</option>
+                                    <option value="anonymize">{t('users.referenceActionAnonymize', 'Anonymize')}</option>
+                                    <option value="reassign">{t('users.referenceActionReassign', 'Reassign to another user')}</option>
+                                </select>
+                                {resolution.action === 'reassign' && (
+                                    <select
+                                        value={resolution.reassignTo || ''}
+                                        onChange={(e) => updateResolution(reference.key, { reassignTo: e.target.value })}
+                                        disabled={disabled}
+                                        aria-label={t('users.reassignTargetFor', 'Reassign {label} to', { label: reference.label })}
+                                    >
+                                        <option value="">{t('users.selectUser', 'Select user...')}</option>
+                                        {getCandidates(reference.collection).map(user => (
+                                            <option key={user.id} value={user.id}>
+                                                {user.displayName || user.name || user.email}
+                                            </option>
+                                        ))}
+                                    </select>
+                                )}
+                            </div>
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+};
+
+export default DeleteUserReferences;
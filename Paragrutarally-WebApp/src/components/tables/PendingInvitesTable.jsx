@@ -0,0 +1,143 @@
+// src/components/tables/PendingInvitesTable.jsx - Invites that were sent but not redeemed yet
+import React, { useState } from 'react';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { resendInvite, revokeInvite } from '@/services/adminUserService.jsx';
+import {
+    IconSend as Send,
+    IconBan as Ban,
+    IconMailForward as MailForward
+} from '@tabler/icons-react';
+
+const PendingInvitesTable = ({ invites, onInvitesChanged }) => {
+    const { t, isRTL } = useLanguage();
+    const [busyInviteId, setBusyInviteId] = useState(null);
+
+    const formatDate = (date) => {
+        if (!date) return t('common.notAvailable', 'N/A');
+        return date.toLocaleDateString(isRTL ? 'he-IL' : 'en-US');
+    };
+
+    const handleResend = async (invite) => {
+        setBusyInviteId(invite.id);
+        try {
+            const result = await resendInvite(invite.id);
+
+            let copied = false;
+            try {
+                await navigator.clipboard.writeText(result.inviteLink);
+                copied = true;
+            } catch {
+                copied = false;
+            }
+
+            alert(
+                `✅ ${t('users.inviteResent', 'A new invite link was created. The previous link no longer works.')}\n\n` +
+                `📧 ${t('users.email', 'Email')}: ${invite.email}\n` +
+                `${t('users.inviteLink', 'Invite link')}: ${result.inviteLink}\n` +
+                `${t('users.inviteExpires', 'Expires')}: ${formatDate(result.expiresAt)}\n` +
+                (copied ? `\n${t('users.inviteLinkCopied', 'The link was copied to your clipboard.')}` : '')
+            );
+
+            if (onInvitesChanged) {
+                onInvitesChanged();
+            }
+        } catch (error) {
+            alert(`❌ ${t('users.inviteResendError', 'Failed to resend invite.')}\n\n${error.message}`);
+        } finally {
+            setBusyInviteId(null);
+        }
+    };
+
+    const handleRevoke = async (invite) => {
+        if (!window.confirm(t('users.inviteRevokeConfirm', 'Revoke the invite for {email}? Their account will be disabled.', { email: invite.email }))) {
+            return;
+        }
+
+        setBusyInviteId(invite.id);
+        try {
+            await revokeInvite(invite.id);
+            if (onInvitesChanged) {
+                onInvitesChanged();
+            }
+        } catch (error) {
+            alert(`❌ ${t('users.inviteRevokeError', 'Failed to revoke invite.')}\n\n${error.message}`);
+        } finally {
+            setBusyInviteId(null);
+        }
+    };
+
+    if (!invites || invites.length === 0) {
+        return null;
+    }
+
+    return (
+        <section className="pending-invites-section" aria-labelledby="pending-invites-title" dir={isRTL ? 'rtl' : 'ltr'}>
+            <h2 id="pending-invites-title" className="pending-invites-title">
+                <MailForward size={20} />
+                {t('users.pendingInvites', 'Pending Invites')} ({invites.length})
+            </h2>
+
+            <div className="table-container">
+                <table className="users-table" aria-label={t('users.pendingInvites', 'Pending Invites')}>
+                    <thead>
+                    <tr>
+                        <th>{t('users.displayName', 'Display Name')}</th>
+                        <th>{t('users.email', 'Email')}</th>
+                        <th>{t('users.role', 'Role')}</th>
+                        <th>{t('users.inviteLastSent', 'Last Sent')}</th>
+                        <th>{t('users.inviteExpires', 'Expires')}</th>
+                        <th>{t('users.actions', 'Actions')}</th>
+                    </tr>
+                    </thead>
+                    <tbody>
+                    {invites.map((invite) => (
+                        <tr key={invite.id}>
+                            <td>{invite.displayName || t('common.notAvailable', 'N/A')}</td>
+                            <td>{invite.email}</td>
+                            <td>
+                                <span className={`role-badge ${invite.role || ''}`}>
+                                    {t(`users.${invite.role}`, invite.role)}
+                                </span>
+                            </td>
+                            <td>{formatDate(invite.lastSentAt)}</td>
+                            <td>
+                                {invite.isExpired ? (
+                                    <span className="invite-expired">{t('users.inviteExpired', 'Expired')}</span>
+                                ) : (
+                                    formatDate(invite.expiresAt)
+                                )}
+                            </td>
+                            <td>
+                                <div className="actions-cell">
+                                    <div className="action-buttons">
+                                        <button
+                                            className="btn-update"
+                                            onClick={() => handleResend(invite)}
+                                            disabled={busyInviteId === invite.id}
+                                            aria-label={t('users.inviteResendFor', 'Resend invite to {email}', { email: invite.email })}
+                                        >
+                                            <Send size={14} />
+                                            {t('users.inviteResend', 'Resend')}
+                                        </button>
+                                        <button
+                                            className="btn-delete"
+                                            onClick={() => handleRevoke(invite)}
+                                            disabled={busyInviteId === invite.id}
+                                            aria-label={t('users.inviteRevokeFor', 'Revoke invite for {email}', { email: invite.email })}
+                                        >
+                                            <Ban size={14} />
+                                            {t('users.inviteRevoke', 'Revoke')}
+                                        </button>
+                                    </div>
+                                </div>
+                            </td>
+                        </tr>
+                    ))}
+                    </tbody>
+                </table>
+            </div>
+        </section>
+    );
+};
+
+export default PendingInvitesTable;
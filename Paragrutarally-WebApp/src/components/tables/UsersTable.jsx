@@ -1,13 +1,26 @@
 // src/components/tables/UsersTable.jsx - Updated with Proper User Deletion
 import React, { useState, useMemo } from 'react';
 import { useLanguage } from '../../contexts/LanguageContext';
-import { deleteUserCompletely } from '@/services/userService.js';
+import { deleteUserCompletely, previewUserDeletion } from '@/services/userService.js';
+import DeleteUserReferences from './DeleteUserReferences';
 import {
     IconEdit as Edit,
     IconTrash as Trash,
     IconAlertTriangle as AlertTriangle
 } from '@tabler/icons-react';
 
+/**
+ * True when every reference has a usable decision
+ * @param {Array} references - References returned by previewUserDeletion
+ * @param {Object} resolutions - Per reference key: { action, reassignTo }
+ * @returns {boolean}
+ */
+const areResolutionsComplete = (references, resolutions) =>
+    references.every(({ key }) => {
+        const resolution = resolutions[key];
+        return resolution && (resolution.action !== 'reassign' || Boolean(resolution.reassignTo));
+    });
+
 const UsersTable = ({ users, isLoading, onUpdateUser, onUserDeleted }) => {
     const { t, isRTL } = useLanguage();
     const [sortConfig, setSortConfig] = useState({
@@ -17,6 +30,10 @@ const UsersTable = ({ users, isLoading, onUpdateUser, onUserDeleted }) => {
     const [deletingUser, setDeletingUser] = useState(null);
     const [showDeleteModal, setShowDeleteModal] = useState(false);
     const [userToDelete, setUserToDelete] = useState(null);
+    const [references, setReferences] = useState([]);
+    const [referencesLoading, setReferencesLoading] = useState(false);
+    const [referencesError, setReferencesError] = useState('');
+    const [resolutions, setResolutions] = useState({});
 
     const formatDate = (timestamp) => {
         if (!timestamp || !timestamp.toDate) return t('common.notAvailable', 'N/A');
@@ -117,9 +134,24 @@ const UsersTable = ({ users, isLoading, onUpdateUser, onUserDeleted }) => {
     };
 
     // Delete functionality with Cloud Function integration
-    const handleDeleteClick = (user) => {
+    const handleDeleteClick = async (user) => {
         setUserToDelete(user);
         setShowDeleteModal(true);
+        setReferences([]);
+        setResolutions({});
+        setReferencesError('');
+        setReferencesLoading(true);
+
+        try {
+            const linked = await previewUserDeletion(user.id);
+            setReferences(linked);
+            setResolutions(Object.fromEntries(linked.map(reference => [reference.key, { action: 'clear' }])));
+        } catch (error) {
+            console.error('❌ Error loading linked records:', error);
+            setReferencesError(error.message);
+        } finally {
+            setReferencesLoading(false);
+        }
     };
 
     const handleDeleteConfirm = async () => {
@@ -130,7 +162,8 @@ const UsersTable = ({ users, isLoading, onUpdateUser, onUserDeleted }) => {
         try {
 
             // Use the new userService function for complete deletion
-            const result = await deleteUserCompletely(userToDelete.id);
+            const result = await deleteUserCompletely(userToDelete.id, resolutions);
+            const summary = result.summary || { reassign: 0, clear: 0, anonymize: 0 };
 
 
             // Show success message
@@ -140,7 +173,8 @@ const UsersTable = ({ users, isLoading, onUpdateUser, onUserDeleted }) => {
                 `📧 ${t('users.email', 'Email')}: ${userToDelete.email}\n` +
                 `👤 ${t('users.name', 'Name')}: ${userToDelete.displayName}\n\n` +
                 `🔐 ${t('users.authDeleted', 'Authentication account deleted')}\n` +
-                `🗄️ ${t('users.databaseDeleted', 'Database record deleted')}`
+                `🗄️ ${t('users.databaseDeleted', 'Database record deleted')}\n` +
+                `🔗 ${t('users.linkedRecordsSummary', 'Linked records: {reassign} reassigned, {clear} left empty, {anonymize} anonymized', summary)}`
             );
 
             // Notify parent component
@@ -178,8 +212,12 @@ const UsersTable = ({ users, isLoading, onUpdateUser, onUserDeleted }) => {
     const handleDeleteCancel = () => {
         setShowDeleteModal(false);
         setUserToDelete(null);
+        setReferences([]);
+        setResolutions({});
     };
 
+    const canConfirmDelete = !referencesLoading && !referencesError && areResolutionsComplete(references, resolutions);
+
     if (isLoading) {
         return (
             <div className="loading-container" dir={isRTL ? 'rtl' : 'ltr'}>
@@ -387,6 +425,25 @@ const UsersTable = ({ users, isLoading, onUpdateUser, onUserDeleted }) => {
                                 </ul>
                             </div>
 
+                            <div className="delete-linked-records">
+                                {referencesLoading ? (
+                                    <p>{t('users.loadingLinkedRecords', 'Checking linked records...')}</p>
+                                ) : referencesError ? (
+                                    <p className="error-message" role="alert">
+                                        {t('users.linkedRecordsError', 'Could not load the records linked to this user.')} {referencesError}
+                                    </p>
+                                ) : (
+                                    <DeleteUserReferences
+                                        references={references}
+                                        users={users}
+                                        userToDelete={userToDelete}
+                                        resolutions={resolutions}
+                                        onChange={setResolutions}
+                                        disabled={deletingUser === userToDelete.id}
+                                    />
+                                )}
+                            </div>
+
                             <div className="enhanced-warning" style={{
                                 marginTop: '20px',
                                 padding: '15px',
@@ -435,7 +492,7 @@ const UsersTable = ({ users, isLoading, onUpdateUser, onUserDeleted }) => {
                                 type="button"
                                 className="btn-danger"
                                 onClick={handleDeleteConfirm}
-                                disabled={deletingUser === userToDelete.id}
+                                disabled={deletingUser === userToDelete.id || !canConfirmDelete}
                             >
                                 {deletingUser === userToDelete.id ? (
                                     <>
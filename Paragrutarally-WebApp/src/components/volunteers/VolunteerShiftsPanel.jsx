@@ -0,0 +1,192 @@
+// src/components/volunteers/VolunteerShiftsPanel.jsx - A volunteer's own shifts and the open shifts of upcoming events
+import React, { useState, useEffect } from 'react';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { usePermissions } from '../../hooks/usePermissions.jsx';
+import {
+    getOpenSlots,
+    getShiftName,
+    isVolunteeringOpen,
+    shiftsOverlap,
+    sortShifts
+} from '../../schemas/volunteerShiftSchema';
+import { getAllEvents } from '../../services/eventService';
+import { compareEventStarts, formatEventDate } from '../../utils/eventDateUtils';
+import { claimShift, getShiftsForEvents, releaseShift } from '../../services/volunteerShiftService';
+import {
+    IconHeartHandshake as HeartHandshake,
+    IconCheck as Check,
+    IconX as X
+} from '@tabler/icons-react';
+import './VolunteerShiftsPanel.css';
+
+const VolunteerShiftsPanel = () => {
+    const { t, isRTL } = useLanguage();
+    const { user } = usePermissions();
+
+    const [events, setEvents] = useState([]);
+    const [shifts, setShifts] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [busyShiftId, setBusyShiftId] = useState(null);
+    const [message, setMessage] = useState(null);
+
+    const loadShifts = async () => {
+        setIsLoading(true);
+        try {
+            const openEvents = (await getAllEvents()).filter(event => isVolunteeringOpen(event)).sort(compareEventStarts);
+            setEvents(openEvents);
+            setShifts(openEvents.length > 0 ? await getShiftsForEvents(openEvents.map(event => event.id)) : []);
+        } catch (error) {
+            console.error('Error loading volunteer shifts:', error);
+            setMessage({ type: 'error', text: error.message });
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        if (user?.uid) loadShifts();
+    }, [user?.uid]);
+
+    const eventsById = Object.fromEntries(events.map(event => [event.id, event]));
+    const myShifts = shifts.filter(shift => shift.volunteerIds.includes(user?.uid));
+    const eventsWithShifts = events
+        .map(event => ({ event, shifts: sortShifts(shifts.filter(shift => shift.eventId === event.id)) }))
+        .filter(({ shifts: eventShifts }) => eventShifts.length > 0);
+
+    const formatShiftTime = (shift) => `${shift.startTime}–${shift.endTime}`;
+    const formatDate = (event) => formatEventDate(event, isRTL ? 'he-IL' : 'en-US');
+
+    const updateShift = (shiftId, volunteerIds) => {
+        setShifts(prev => prev.map(shift => (shift.id === shiftId ? { ...shift, volunteerIds } : shift)));
+    };
+
+    const handleClaim = async (shift) => {
+        const clash = myShifts.find(mine => shiftsOverlap(mine, shift));
+        if (clash && !window.confirm(t('volunteers.confirmOverlap', 'This overlaps your {shiftName} shift. Sign up anyway?', { shiftName: getShiftName(clash, t) }))) {
+            return;
+        }
+
+        setBusyShiftId(shift.id);
+        try {
+            await claimShift(shift.id, user.uid, t);
+            updateShift(shift.id, [...shift.volunteerIds, user.uid]);
+            setMessage({ type: 'success', text: t('volunteers.signedUp', 'Thanks! You are signed up for {shiftName}.', { shiftName: getShiftName(shift, t) }) });
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+            await loadShifts();
+        } finally {
+            setBusyShiftId(null);
+        }
+    };
+
+    const handleRelease = async (shift) => {
+        if (!window.confirm(t('volunteers.confirmRelease', 'Give up your slot in {shiftName}?', { shiftName: getShiftName(shift, t) }))) {
+            return;
+        }
+
+        setBusyShiftId(shift.id);
+        try {
+            await releaseShift(shift.id, user.uid);
+            updateShift(shift.id, shift.volunteerIds.filter(volunteerId => volunteerId !== user.uid));
+            setMessage(null);
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        } finally {
+            setBusyShiftId(null);
+        }
+    };
+
+    const renderShift = (shift, showEvent = false) => {
+        const isMine = shift.volunteerIds.includes(user?.uid);
+        const openSlots = getOpenSlots(shift);
+        const event = eventsById[shift.eventId];
+
+        return (
+            <li key={shift.id} className={`volunteer-shift ${isMine ? 'mine' : ''}`}>
+                <div className="volunteer-shift-details">
+                    <strong>{getShiftName(shift, t)}</strong>
+                    <span>
+                        {showEvent && event && `${event.name} · ${formatDate(event)} · `}
+                        {formatShiftTime(shift)}
+                    </span>
+                    {shift.notes && <span className="volunteer-shift-notes">{shift.notes}</span>}
+                </div>
+                <div className="volunteer-shift-actions">
+                    {!showEvent && (
+                        <span className={`volunteer-slots ${openSlots === 0 ? 'full' : ''}`}>
+                            {openSlots === 0
+                                ? t('volunteers.full', 'Full')
+                                : t('volunteers.slotsOpen', '{open} of {slots} open', { open: openSlots, slots: shift.slots })}
+                        </span>
+                    )}
+                    {isMine ? (
+                        <button
+                            type="button"
+                            className="btn btn-secondary"
+                            onClick={() => handleRelease(shift)}
+                            disabled={busyShiftId === shift.id}
+                        >
+                            <X size={16} />
+                            {t('volunteers.cancelShift', 'Cancel')}
+                        </button>
+                    ) : (
+                        <button
+                            type="button"
+                            className="btn btn-primary"
+                            onClick={() => handleClaim(shift)}
+                            disabled={openSlots === 0 || busyShiftId === shift.id}
+                        >
+                            <Check size={16} />
+                            {t('volunteers.signUp', 'Sign Up')}
+                        </button>
+                    )}
+                </div>
+            </li>
+        );
+    };
+
+    return (
+        <div className="volunteer-shifts-panel">
+            <h3>
+                <HeartHandshake size={22} />
+                {t('volunteers.panelTitle', 'Volunteer')}
+            </h3>
+
+            {message && <div className={`volunteer-alert ${message.type}`}>{message.text}</div>}
+
+            {isLoading ? (
+                <p className="volunteer-hint">{t('volunteers.loading', 'Loading shifts...')}</p>
+            ) : (
+                <>
+                    <h4>{t('volunteers.myShifts', 'My Shifts')}</h4>
+                    {myShifts.length === 0 ? (
+                        <p className="volunteer-hint">{t('volunteers.noMyShifts', 'You have not signed up for any shifts yet.')}</p>
+                    ) : (
+                        <ul className="volunteer-shift-list">
+                            {sortShifts(myShifts)
+                                .sort((a, b) => compareEventStarts(eventsById[a.eventId] || {}, eventsById[b.eventId] || {}))
+                                .map(shift => renderShift(shift, true))}
+                        </ul>
+                    )}
+
+                    <h4>{t('volunteers.openShifts', 'Shifts of Upcoming Events')}</h4>
+                    {eventsWithShifts.length === 0 ? (
+                        <p className="volunteer-hint">{t('volunteers.noOpenShifts', 'No volunteer shifts have been posted yet.')}</p>
+                    ) : eventsWithShifts.map(({ event, shifts: eventShifts }) => (
+                        <div key={event.id} className="volunteer-event">
+                            <div className="volunteer-event-name">
+                                {event.name}
+                                {formatDate(event) && <span> · {formatDate(event)}</span>}
+                            </div>
+                            <ul className="volunteer-shift-list">
+                                {eventShifts.map(shift => renderShift(shift))}
+                            </ul>
+                        </div>
+                    ))}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default VolunteerShiftsPanel;
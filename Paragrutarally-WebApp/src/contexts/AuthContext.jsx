@@ -11,6 +11,7 @@ import {
 } from 'firebase/auth';
 import { doc, getDoc, setDoc, serverTimestamp, collection, query, where, getDocs } from 'firebase/firestore';
 import { auth, db } from '../firebase/config';
+import { ALL_USER_ROLES } from '../schemas/userSchema';
 
 // Create the authentication context
 const AuthContext = createContext();
@@ -72,6 +73,20 @@ const retryFirestoreRead = async (docRef, maxRetries = 3, baseDelay = 1000) => {
     return { exists: false, data: null };
 };
 
+// Helper function to force a token refresh when the role claim lags behind the user doc
+const refreshRoleClaim = async (user, role) => {
+    if (typeof user?.getIdTokenResult !== 'function') return;
+    try {
+        const { claims } = await user.getIdTokenResult();
+        if (claims.role !== role) {
+            await user.getIdToken(true);
+        }
+    } catch (error) {
+        // Not fatal: the token refreshes on its own within the hour
+        console.warn('Could not refresh role claim:', error);
+    }
+};
+
 // Get appropriate dashboard for role
 const getDashboardForRole = (role) => {
     return ROLE_REDIRECTS[role] || '/admin/dashboard';
@@ -352,13 +367,11 @@ export function AuthProvider({ children }) {
                         userRole = userRole.trim();
                     }
 
-                    const allowedRoles = ['admin', 'instructor', 'parent', 'host'];
-
                     // Enhanced validation
                     const isRoleValid = userRole &&
                         typeof userRole === 'string' &&
                         userRole.trim().length > 0 &&
-                        allowedRoles.includes(userRole.trim());
+                        ALL_USER_ROLES.includes(userRole.trim());
 
 
                     if (!isRoleValid) {
@@ -390,6 +403,10 @@ export function AuthProvider({ children }) {
                     }
 
 
+                    // Firestore rules read the role from the token claim. If the role changed
+                    // since this token was issued, pick up the claim synced by the server.
+                    await refreshRoleClaim(user, userRole);
+
                     // Create clean user data
                     const cleanUserData = {
                         displayName: firestoreData.displayName || user.displayName || '',
@@ -150,6 +150,8 @@ export const LANGUAGES = {
         // Form fields
         'addKid.raceNumber': '🏁 Race Number',
         'addKid.raceNumberPlaceholder': '001',
+        'addKid.numberLoadError': 'Could not get the next race number: {error}. Type one in or try again.',
+        'addKid.participantNumberTaken': 'Race number {number} is already used by another kid',
         'addKid.firstName': '👤 First Name',
         'addKid.firstNamePlaceholder': 'Future champion\'s first name',
         'addKid.lastName': '👨‍👩‍👧‍👦 Last Name',
@@ -2963,7 +2965,909 @@ export const LANGUAGES = {
         'teams.noVehicleInUse': 'No vehicle currently in use by this team',
         'teams.someKidsNeedVehicles': 'Some kids in this team still need vehicles assigned to them.',
         'teams.teamCreatedSuccess': 'Team "{teamname}" is ready! Let\'s get racing! 🏎️',
-        'teams.vehicleAssigned': 'Assigned'
+        'teams.vehicleAssigned': 'Assigned',
+
+        // User invites
+        'users.invitation': 'Invitation',
+        'users.inviteHint': 'An invite link will be created. The user sets their own password when they open it (valid for 7 days).',
+        'users.inviteLink': 'Invite link',
+        'users.inviteExpires': 'Expires',
+        'users.inviteExpired': 'Expired',
+        'users.inviteLastSent': 'Last Sent',
+        'users.inviteLinkCopied': 'The link was copied to your clipboard.',
+        'users.pendingInvites': 'Pending Invites',
+        'users.inviteResend': 'Resend',
+        'users.inviteResendFor': 'Resend invite to {email}',
+        'users.inviteResent': 'A new invite link was created. The previous link no longer works.',
+        'users.inviteResendError': 'Failed to resend invite.',
+        'users.inviteRevoke': 'Revoke',
+        'users.inviteRevokeFor': 'Revoke invite for {email}',
+        'users.inviteRevokeConfirm': 'Revoke the invite for {email}? Their account will be disabled.',
+        'users.inviteRevokeError': 'Failed to revoke invite.',
+        'setPassword.title': 'Set Your Password',
+        'setPassword.description': 'Choose a password to activate your account.',
+        'setPassword.confirmPassword': 'Confirm Password',
+        'setPassword.passwordsDoNotMatch': 'Passwords do not match',
+        'setPassword.submit': 'Activate Account',
+        'setPassword.activating': 'Activating...',
+        'setPassword.error': 'Failed to activate your account. Please try again.',
+        'setPassword.invalidLink': 'This invite link is invalid. Please ask an administrator to send you a new one.',
+        'setPassword.backToLogin': 'Back to Login',
+
+        // User deletion - linked records
+        'users.linkedRecords': 'Linked records ({count})',
+        'users.noLinkedRecords': 'No kids, teams or forms reference this user.',
+        'users.loadingLinkedRecords': 'Checking linked records...',
+        'users.linkedRecordsError': 'Could not load the records linked to this user.',
+        'users.applyToAll': 'Apply to all',
+        'users.referenceKid': 'Kid',
+        'users.referenceTeam': 'Team',
+        'users.referenceFormSubmission': 'Form submission',
+        'users.referenceFormAssignment': 'Form assignment',
+        'users.referenceActionClear': 'Leave empty',
+        'users.referenceActionAnonymize': 'Anonymize',
+        'users.referenceActionReassign': 'Reassign to another user',
+        'users.referenceActionFor': 'Action for {label}',
+        'users.reassignTargetFor': 'Reassign {label} to',
+        'users.selectUser': 'Select user...',
+        'users.linkedRecordsSummary': 'Linked records: {reassign} reassigned, {clear} left empty, {anonymize} anonymized',
+
+        // Change history (audit log)
+        'history.detailsTab': 'Details',
+        'history.historyTab': 'History',
+        'history.loading': 'Loading history...',
+        'history.loadError': 'Failed to load the change history.',
+        'history.empty': 'No changes have been recorded yet.',
+        'history.actionCreate': 'Created',
+        'history.actionUpdate': 'Updated',
+        'history.actionDelete': 'Deleted',
+        'history.byActor': 'by {name}',
+        'history.system': 'System',
+        'history.unknownUser': 'Unknown user',
+        'history.field': 'Field',
+        'history.before': 'Before',
+        'history.after': 'After',
+        'dashboard.wasDeleted': 'was deleted',
+        'dashboard.byActor': 'by {name}',
+
+        // Participant numbering
+        'numbering.openButton': 'Race Numbers',
+        'numbering.title': 'Race Numbers',
+        'numbering.loadError': 'Failed to load numbering settings: {error}',
+        'numbering.saved': 'Numbering settings saved.',
+        'numbering.saveError': 'Failed to save numbering settings: {error}',
+        'numbering.scanError': 'Failed to check for duplicates: {error}',
+        'numbering.repairConfirm': 'Give every duplicate except the oldest kid a new race number?',
+        'numbering.repairError': 'Failed to repair race numbers: {error}',
+        'numbering.formatTitle': 'Numbering Format',
+        'numbering.prefix': 'Season prefix',
+        'numbering.prefixPlaceholder': 'e.g. S25-',
+        'numbering.minDigits': 'Minimum digits',
+        'numbering.example': 'Numbers will look like {example}',
+        'numbering.prefixHint': 'Each prefix counts separately, so a new season prefix starts again from 1.',
+        'numbering.teamRanges': 'Team Number Ranges',
+        'numbering.noRanges': 'No reserved ranges. All kids share one sequence.',
+        'numbering.team': 'Team',
+        'numbering.selectTeam': 'Select team',
+        'numbering.rangeStart': 'From',
+        'numbering.rangeEnd': 'To',
+        'numbering.removeRange': 'Remove range',
+        'numbering.addRange': 'Add Range',
+        'numbering.duplicatesTitle': 'Duplicate Race Numbers',
+        'numbering.scan': 'Check for Duplicates',
+        'numbering.scanning': 'Checking...',
+        'numbering.noDuplicates': 'Every kid has a unique race number.',
+        'numbering.keeps': 'keeps the number',
+        'numbering.repair': 'Renumber Duplicates',
+        'numbering.repairing': 'Renumbering...',
+        'numbering.repairSummary': 'Renumbered {count} kids.',
+        'numbering.save': 'Save Settings',
+        'numbering.saving': 'Saving...',
+        'editKid.participantNumberTaken': 'Race number {number} is already used by another kid',
+
+        // Seasons
+        'nav.seasons': 'Seasons',
+        'seasons.title': 'Seasons',
+        'seasons.selectSeason': 'Select Season',
+        'seasons.allSeasons': 'All Seasons',
+        'seasons.allSeasonsTitle': 'All Seasons',
+        'seasons.status.planning': 'Planning',
+        'seasons.status.active': 'Active',
+        'seasons.status.archived': 'Archived',
+        'seasons.statusLabel': 'Status',
+        'seasons.name': 'Name',
+        'seasons.namePlaceholder': 'e.g. 2025-2026',
+        'seasons.dates': 'Dates',
+        'seasons.startDate': 'Start Date',
+        'seasons.endDate': 'End Date',
+        'seasons.prefix': 'Race Number Prefix',
+        'seasons.prefixPlaceholder': 'e.g. S26-',
+        'seasons.enrolledKids': 'Enrolled Kids',
+        'seasons.invitedKids': 'Awaiting Reply',
+        'seasons.teams': 'Teams',
+        'seasons.events': 'Events',
+        'seasons.actions': 'Actions',
+        'seasons.activate': 'Make Active',
+        'seasons.activated': '{name} is now the active season',
+        'seasons.confirmActivate': 'Make {name} the active season? The current active season will be archived.',
+        'seasons.enrollUnassigned': 'Enroll Unassigned',
+        'seasons.enrollUnassignedHint': 'Enroll records created before seasons existed',
+        'seasons.confirmEnrollUnassigned': 'Enroll every kid, team, event and form without a season into {name}?',
+        'seasons.enrolledUnassigned': 'Enrolled {kids} kids, {teams} teams, {events} events and {forms} forms',
+        'seasons.refresh': 'Refresh',
+        'seasons.noSeasons': 'No seasons yet. Create the first one below.',
+        'seasons.rolloverTitle': 'Roll Over to a New Season',
+        'seasons.rolloverHint': 'Teams carry over right away. Kids are invited to re-enroll and join the new season once a parent accepts.',
+        'seasons.rolloverFrom': 'From Season',
+        'seasons.rolloverTo': 'To Season',
+        'seasons.chooseSeason': 'Choose a season',
+        'seasons.includeTeams': 'Carry teams over',
+        'seasons.inviteKids': 'Invite kids to re-enroll',
+        'seasons.rollover': 'Roll Over',
+        'seasons.rolledOver': '{teams} teams carried over, {kids} kids invited to re-enroll',
+        'seasons.createTitle': 'Create Season',
+        'seasons.create': 'Create Season',
+        'seasons.created': 'Season created',
+        'seasons.validation.nameRequired': 'Season name is required',
+        'seasons.validation.nameTooLong': 'Season name must be less than 50 characters',
+        'seasons.validation.startRequired': 'Start date is required',
+        'seasons.validation.endRequired': 'End date is required',
+        'seasons.validation.endBeforeStart': 'End date must be after the start date',
+        'seasons.validation.prefixInvalid': 'Prefix may contain up to 10 letters, digits, dashes or underscores',
+        'parent.reenrollTitle': 'Re-enrollment for {season} is open',
+        'parent.reenrollQuestion': 'Will {name} take part this season?',
+        'parent.reenrollAccept': 'Enroll',
+        'parent.reenrollDecline': 'Not this season',
+        'parent.reenrollError': 'Failed to save your answer. Please try again.',
+        'analytics.seasonScope': 'Season',
+        'analytics.tabs.seasons': 'Seasons',
+        'analytics.tabs.seasonsDesc': 'Compare seasons',
+        'analytics.loadingSeasons': 'Loading season comparison...',
+        'analytics.seasons.title': '📅 Season Comparison',
+        'analytics.seasons.noSeasons': 'No seasons yet. Create one under Seasons to compare enrollment year over year.',
+        'analytics.seasons.season': 'Season',
+        'analytics.seasons.enrolled': 'Enrolled Kids',
+        'analytics.seasons.invited': 'Awaiting Reply',
+        'analytics.seasons.declined': 'Declined',
+        'analytics.seasons.completedForms': 'Completed Forms',
+        'analytics.seasons.teams': 'Teams',
+        'analytics.seasons.events': 'Events',
+        'analytics.seasons.participations': 'Participations',
+        'analytics.seasons.retention': 'Retention',
+        'analytics.tooltip.retention.title': 'Retention',
+        'analytics.tooltip.retention.description': 'Share of the previous season\'s kids who are enrolled again in this season.',
+        'analytics.tooltip.retention.action': 'Follow up on open re-enrollment invitations before the season starts.',
+
+        // Kid archiving (alumni)
+        'kids.alumni': 'Alumni',
+        'kids.archive': 'Archive',
+        'kids.archiveKid': 'Archive Kid',
+        'kids.onlyAdminsCanArchive': 'Only administrators can archive kids.',
+        'kids.archiveConfirm': 'Archive {kidName}? They will leave their team and vehicle and move to the alumni list, keeping their history and race number.',
+        'kids.archiveSuccess': '{kidName} has been moved to the alumni list.',
+        'kids.archiveFailed': 'Failed to archive kid. Please try again.',
+        'kids.restore': 'Restore',
+        'kids.restoreKid': 'Restore Kid',
+        'kids.restoreSuccess': '{kidName} has been restored.',
+        'kids.restoreFailed': 'Failed to restore kid. Please try again.',
+        'kids.restoreNumberTaken': 'Race number {number} now belongs to another kid. Give one of them a new number, then restore again.',
+        'kids.purge': 'Erase',
+        'kids.purgeKid': 'Erase Permanently',
+        'kids.purgeConfirm': 'Permanently erase {kidName}? Their record, photo, event registrations, race results, charges and history will be deleted. This action cannot be undone.',
+        'kids.purgeSuccess': '{kidName} has been erased.',
+        'kids.purgeFailed': 'Failed to erase kid: {error}',
+        'viewKid.archivePermissionDenied': 'You do not have permission to archive this kid.',
+        'viewKid.archivedNotice': 'This kid is in the alumni list. Restoring puts them back on their last team with the same race number.',
+
+        // Kids Excel import
+        'kidImport.openButton': 'Import Kids',
+        'kidImport.title': 'Import Kids',
+        'kidImport.uploadTitle': 'Choose a Sheet',
+        'kidImport.uploadHint': 'The first sheet is read. Its first row must hold the column titles. Rows are matched to existing kids by the Kid ID column of an export, or else by race number; other rows are added as new kids.',
+        'kidImport.chooseFile': 'Choose file',
+        'kidImport.reading': 'Reading file...',
+        'kidImport.readError': 'Could not read the file: {error}',
+        'kidImport.emptySheet': 'The first sheet has no rows to import.',
+        'kidImport.mappingTitle': 'Match Columns',
+        'kidImport.mappingHint': '{rows} rows in {file}. Pick the column that holds each field, or leave it out.',
+        'kidImport.notImported': '— Not imported —',
+        'kidImport.noNumberColumn': 'Without a race number column every row is added as a new kid.',
+        'kidImport.missingRequired': 'New kids need these fields, so rows adding a kid will fail without them: {fields}',
+        'kidImport.chooseAnother': 'Choose Another File',
+        'kidImport.dryRun': 'Check Rows',
+        'kidImport.creates': 'New kids',
+        'kidImport.updates': 'Updates',
+        'kidImport.unchanged': 'Unchanged',
+        'kidImport.errorRows': 'Errors',
+        'kidImport.errorsTitle': 'Rows That Will Be Skipped',
+        'kidImport.updatesTitle': 'Changes to Existing Kids',
+        'kidImport.createsTitle': 'Kids to Add',
+        'kidImport.row': 'Row {row}',
+        'kidImport.autoNumber': 'next free number',
+        'kidImport.backToMapping': 'Back to Columns',
+        'kidImport.commit': 'Import {count} Rows',
+        'kidImport.commitConfirm': 'Add {creates} kids and update {updates} kids? Rows with errors are skipped.',
+        'kidImport.commitError': 'Import failed: {error}',
+        'kidImport.importing': 'Importing...',
+        'kidImport.progress': 'Importing {done} of {total}...',
+        'kidImport.doneTitle': 'Import Finished',
+        'kidImport.doneSummary': 'Added {created} kids and updated {updated} kids.',
+        'kidImport.errors.unknownTeam': 'No team named "{team}"',
+        'kidImport.errors.declaration': 'Signed declaration must be yes or no',
+        'kidImport.errors.date': 'Date of birth must look like 31/12/2015 or 2015-12-31',
+        'kidImport.errors.duplicateNumber': 'Race number {number} is also used on row {row}',
+
+        // Kids Excel round-trip
+        'kidImport.kidId': 'Kid ID',
+        'kidImport.updatesHint': 'Untick a kid to leave it as it is.',
+        'kidImport.errors.unknownKid': 'No kid with ID {id}. It may have been erased.',
+        'kidImport.errors.duplicateKid': 'This kid is also on row {row}',
+        'kidImport.errors.numberTaken': 'Race number {number} belongs to {name}',
+        'exportKids.fileFormat': 'File Format',
+        'exportKids.formatExcel': 'Excel (.xlsx)',
+        'exportKids.formatCsv': 'CSV',
+        'exportKids.exportToExcel': 'Export to Excel',
+        'exportKids.roundTripNotice': 'Edit the file and bring it back with Import Kids to update these kids. Keep the Kid ID column, it links each row to its kid.',
+
+        // Duplicate kids
+        'kidDuplicates.openButton': 'Find Duplicates',
+        'kidDuplicates.title': 'Duplicate Kids',
+        'kidDuplicates.backToKids': 'Back to Kids',
+        'kidDuplicates.candidatesTitle': 'Possible Duplicates',
+        'kidDuplicates.hint': 'Kids with a similar name (in Hebrew or English) and the same date of birth, parent email or parent phone.',
+        'kidDuplicates.searching': 'Looking for duplicates...',
+        'kidDuplicates.none': 'No likely duplicates found.',
+        'kidDuplicates.firstKid': 'Registered First',
+        'kidDuplicates.secondKid': 'Registered Later',
+        'kidDuplicates.matches': 'Matches',
+        'kidDuplicates.review': 'Review & Merge',
+        'kidDuplicates.reasons.name': 'Similar name',
+        'kidDuplicates.reasons.dateOfBirth': 'Same date of birth',
+        'kidDuplicates.reasons.parentEmail': 'Same parent email',
+        'kidDuplicates.reasons.parentPhone': 'Same parent phone',
+        'kidDuplicates.mergeTitle': 'Merge Kids',
+        'kidDuplicates.back': 'Back to List',
+        'kidDuplicates.swap': 'Keep the Other Kid',
+        'kidDuplicates.mergeHint': 'Pick the value to keep for each field. Instructor notes ({notes}), comments, parent accounts, seasons, form submissions and event registrations of both kids are kept.',
+        'kidDuplicates.field': 'Field',
+        'kidDuplicates.keeps': 'Stays',
+        'kidDuplicates.removed': 'Merged in and deleted',
+        'kidDuplicates.photo': 'Photo',
+        'kidDuplicates.instructor': 'Instructor',
+        'kidDuplicates.teamAndVehicle': 'Team and Vehicle',
+        'kidDuplicates.merge': 'Merge',
+        'kidDuplicates.merging': 'Merging...',
+        'kidDuplicates.confirmMerge': 'Merge {duplicate} into {survivor}? {duplicate} will be deleted. This cannot be undone.',
+        'kidDuplicates.merged': '{duplicate} was merged into {survivor}',
+
+        // Kid medical and emergency profile
+        'medicalProfile.title': 'Medical & Emergency',
+        'medicalProfile.titleFor': 'Medical & Emergency: {kidName}',
+        'medicalProfile.cardTitle': 'Emergency Card',
+        'medicalProfile.back': 'Back',
+        'medicalProfile.loading': 'Loading medical profile...',
+        'medicalProfile.noPermission': 'Only admins and the instructors of this kid\'s team can see the medical profile.',
+        'medicalProfile.none': 'No medical profile has been filled in for {kidName} yet.',
+        'medicalProfile.print': 'Print Emergency Card',
+        'medicalProfile.edit': 'Edit Profile',
+        'medicalProfile.create': 'Fill In Profile',
+        'medicalProfile.save': 'Save Profile',
+        'medicalProfile.saving': 'Saving...',
+        'medicalProfile.saved': 'Medical profile saved',
+        'medicalProfile.fixErrors': 'Please fix the highlighted fields.',
+        'medicalProfile.parent': 'Parent',
+        'medicalProfile.remove': 'Remove',
+        'medicalProfile.emergencyContacts': 'Emergency Contacts',
+        'medicalProfile.contactsHint': 'In the order they should be called.',
+        'medicalProfile.contactName': 'Name',
+        'medicalProfile.relationship': 'Relationship',
+        'medicalProfile.phone': 'Phone',
+        'medicalProfile.moveUp': 'Call earlier',
+        'medicalProfile.moveDown': 'Call later',
+        'medicalProfile.addContact': 'Add Contact',
+        'medicalProfile.noContacts': 'No emergency contacts recorded',
+        'medicalProfile.allergies': 'Allergies',
+        'medicalProfile.allergen': 'Allergic to',
+        'medicalProfile.severityLabel': 'Severity',
+        'medicalProfile.severity.mild': 'Mild',
+        'medicalProfile.severity.moderate': 'Moderate',
+        'medicalProfile.severity.severe': 'Severe (anaphylaxis)',
+        'medicalProfile.reaction': 'Reaction and treatment',
+        'medicalProfile.addAllergy': 'Add Allergy',
+        'medicalProfile.noAllergies': 'No known allergies',
+        'medicalProfile.severeAllergyWarning': 'Severe allergy: {allergens}',
+        'medicalProfile.medications': 'Medications',
+        'medicalProfile.medicationName': 'Medication',
+        'medicalProfile.dosage': 'Dosage',
+        'medicalProfile.schedule': 'When',
+        'medicalProfile.medicationNotes': 'Notes',
+        'medicalProfile.addMedication': 'Add Medication',
+        'medicalProfile.noMedications': 'No regular medications',
+        'medicalProfile.seizureProtocol': 'Seizure Protocol',
+        'medicalProfile.hasSeizures': 'This kid may have seizures',
+        'medicalProfile.seizureWarning': 'Has seizures - see protocol',
+        'medicalProfile.seizureDescription': 'What it looks like',
+        'medicalProfile.seizureTriggers': 'Known triggers',
+        'medicalProfile.seizureActions': 'What to do',
+        'medicalProfile.rescueMedication': 'Rescue medication',
+        'medicalProfile.callAmbulance': 'Call an ambulance (101)',
+        'medicalProfile.callAmbulanceAfter': 'If the seizure lasts more than {minutes} minutes',
+        'medicalProfile.callAmbulanceAfterLabel': 'Call an ambulance after (minutes)',
+        'medicalProfile.mobilityAndTransfer': 'Mobility & Transfer',
+        'medicalProfile.mobilityAids': 'Mobility aids',
+        'medicalProfile.aids.manual_wheelchair': 'Manual wheelchair',
+        'medicalProfile.aids.power_wheelchair': 'Power wheelchair',
+        'medicalProfile.aids.walker': 'Walker',
+        'medicalProfile.aids.crutches': 'Crutches',
+        'medicalProfile.aids.orthoses': 'Orthoses',
+        'medicalProfile.aids.prosthesis': 'Prosthesis',
+        'medicalProfile.aids.other': 'Other',
+        'medicalProfile.mobilityNotes': 'Mobility notes',
+        'medicalProfile.transferAssistance': 'Getting in and out of the car',
+        'medicalProfile.assistance.none': 'Gets in and out alone',
+        'medicalProfile.assistance.standby': 'Needs someone standing by',
+        'medicalProfile.assistance.one_person': 'One-person lift',
+        'medicalProfile.assistance.two_person': 'Two-person lift',
+        'medicalProfile.assistance.hoist': 'Hoist',
+        'medicalProfile.transferNotes': 'Transfer notes',
+        'medicalProfile.additionalNotes': 'Other Medical Notes',
+        'medicalProfile.validation.tooLong': 'Must be no more than {max} characters',
+        'medicalProfile.validation.allergenRequired': 'Enter what the kid is allergic to',
+        'medicalProfile.validation.severityInvalid': 'Choose a severity',
+        'medicalProfile.validation.medicationRequired': 'Enter the medication name',
+        'medicalProfile.validation.seizureActionsRequired': 'Describe what to do during a seizure',
+        'medicalProfile.validation.minutesInvalid': 'Enter a whole number of minutes',
+        'medicalProfile.validation.mobilityAidInvalid': 'Unknown mobility aid',
+        'medicalProfile.validation.assistanceInvalid': 'Choose the transfer assistance needed',
+        'medicalProfile.validation.contactRequired': 'Add at least one emergency contact',
+        'medicalProfile.validation.tooManyContacts': 'Add no more than {max} emergency contacts',
+        'medicalProfile.validation.contactNameRequired': 'Enter the contact name',
+        'medicalProfile.validation.contactPhoneRequired': 'Enter the contact phone',
+        'medicalProfile.validation.phoneInvalid': 'Enter a valid phone number',
+
+        // Driving needs and vehicle matching
+        'needs.title': '♿ Driving Needs',
+        'needs.steeringAbility': 'Steering Ability',
+        'needs.seatingSupport': 'Seating Support',
+        'needs.notAssessed': 'Not assessed',
+        'needs.remoteOverrideRequired': 'An adult must be able to take over with the remote control',
+        'needs.hint': 'Used to recommend a suitable vehicle when the kid is assigned one in the team.',
+        'needs.steering.independent': 'Steers independently',
+        'needs.steering.limited': 'Steers with a light wheel only',
+        'needs.steering.none': 'Cannot steer',
+        'needs.seating.standard': 'Standard seat',
+        'needs.seating.lateral': 'Side supports or harness',
+        'needs.seating.full': 'Full postural support',
+        'validation.steeringAbilityInvalid': 'Choose a steering ability from the list',
+        'validation.seatingSupportInvalid': 'Choose a seating support level from the list',
+        'addVehicle.seatingSupport': 'Seating Support',
+        'addVehicle.selectSeatingSupport': 'Select Seating Support',
+        'addVehicle.remoteOverride': '🎮 Remote-Control Override',
+        'editVehicle.seatingSupport': 'Seating Support',
+        'editVehicle.selectSeatingSupport': 'Select Seating Support',
+        'editVehicle.remoteOverride': '🎮 Remote-Control Override',
+        'viewVehicle.seatingSupport': 'Seating Support',
+        'viewVehicle.remoteOverride': 'Remote-Control Override',
+        'vehicleMatch.recommended': 'Recommended',
+        'vehicleMatch.notSuitable': 'Not suitable',
+        'vehicleMatch.recommendation': '⭐ Best fit: {vehicle}',
+        'vehicleMatch.confirmIncompatible': '{vehicle} is not suitable for {kidName}:\n{reasons}\n\nAssign it anyway?',
+        'vehicleMatch.issues.inactive': 'The vehicle is out of service',
+        'vehicleMatch.issues.remoteOverrideMissing': 'The kid needs a remote-control override, and this vehicle has none',
+        'vehicleMatch.issues.cannotSteer': 'The kid cannot steer, and this vehicle has no remote-control override',
+        'vehicleMatch.issues.manualSteering': 'Manual steering may be too heavy for this kid',
+        'vehicleMatch.issues.steeringUnknown': 'The steering type of this vehicle is not recorded',
+        'vehicleMatch.issues.seatingInsufficient': 'The seat does not give the support this kid needs',
+        'vehicleMatch.issues.seatingUnknown': 'The seating support of this vehicle is not recorded',
+
+        // Driving needs summary
+        'needs.remoteOverrideShort': 'Needs remote-control override',
+
+        // Event registrations
+        'registration.title': 'Registrations',
+        'registration.titleFor': 'Registrations: {eventName}',
+        'registration.viewRegistrations': 'Registrations',
+        'registration.backToEvent': 'Back to Event',
+        'registration.loading': 'Loading registrations...',
+        'registration.addKid': 'Register a Kid',
+        'registration.addHint': 'Only kids who meet the event\'s eligibility rules are listed. Admins can register kids after registration has closed, but not beyond capacity; once the event is full, kids join the waitlist.',
+        'registration.chooseKid': 'Choose a kid...',
+        'registration.register': 'Register',
+        'registration.registered': '{kidName} is registered',
+        'registration.listTitle': 'Registered Kids',
+        'registration.showCancelled': 'Show cancelled',
+        'registration.none': 'No kids are registered for this event yet.',
+        'registration.kid': 'Kid',
+        'registration.team': 'Team',
+        'registration.statusLabel': 'Status',
+        'registration.registeredAt': 'Registered',
+        'registration.registeredBy': 'Registered By',
+        'registration.eligibility': 'Eligibility',
+        'registration.status.registered': 'Registered',
+        'registration.status.cancelled': 'Cancelled',
+        'registration.cancel': 'Cancel Registration',
+        'registration.confirmCancel': 'Cancel the registration of {kidName}?',
+        'registration.cancelled': 'Registration of {kidName} cancelled',
+        'registration.registeredCount': 'Registered',
+        'registration.placesLeft': 'Places left',
+        'registration.open': 'Open',
+        'registration.closed': 'Closed',
+        'registration.openUntil': 'Open until {date}',
+        'registration.capacityOf': 'Capacity {count}',
+        'registration.deadlineOn': 'Deadline {date}',
+        'registration.noDeadline': 'No deadline',
+        'registration.notRegistered': 'These kids were not registered for the event:',
+        'registration.registrationFailed': 'Your answer was saved, but the kids could not be registered for the event. Please contact the organizers.',
+        'registration.settings.title': 'Registration',
+        'registration.settings.open': 'Registration open',
+        'registration.settings.openDescription': 'Parents and instructors can register kids until the deadline or until the event is full.',
+        'registration.settings.deadline': 'Registration Deadline',
+        'registration.settings.capacity': 'Capacity (kids)',
+        'registration.settings.minAge': 'Minimum Age',
+        'registration.settings.maxAge': 'Maximum Age',
+        'registration.settings.noLimit': 'No limit',
+        'registration.settings.requireDeclaration': 'Signed declaration required',
+        'registration.settings.requireDeclarationDescription': 'Only kids with a signed declaration can be registered. Age is checked on the event date; kids must also belong to a participating team when teams are assigned.',
+        'registration.validation.capacityInvalid': 'Capacity must be a whole number of at least 1',
+        'registration.validation.ageInvalid': 'Age must be a whole number',
+        'registration.validation.ageRangeInvalid': 'Maximum age must not be below the minimum age',
+        'registration.validation.deadlineInvalid': 'Enter a valid date',
+        'registration.validation.deadlineAfterEvent': 'The deadline must not be after the event date',
+        'registration.issues.registrationClosed': 'Registration for this event is closed',
+        'registration.issues.deadlinePassed': 'The registration deadline has passed',
+        'registration.issues.eventFull': 'The event is full',
+        'registration.issues.declarationMissing': 'The kid has no signed declaration',
+        'registration.issues.tooYoung': 'The kid is below the minimum age for this event',
+        'registration.issues.tooOld': 'The kid is above the maximum age for this event',
+        'registration.issues.ageUnknown': 'The kid\'s date of birth is missing, so the age limit cannot be checked',
+        'registration.issues.teamNotParticipating': 'The kid\'s team does not take part in this event',
+        'registration.issues.alreadyRegistered': 'The kid is already registered',
+        'registration.issues.kidArchived': 'The kid is archived',
+
+        // Event waitlist and notifications
+        'registration.issues.alreadyWaitlisted': 'The kid is already on the waitlist',
+        'registration.validation.cutoffInvalid': 'The cutoff must be a whole number of hours',
+        'registration.settings.waitlist': 'Waitlist when full',
+        'registration.settings.waitlistDescription': 'Eligible kids join a waitlist once the event is full. When a place frees up, the first kid on the waitlist is registered and their parents are notified.',
+        'registration.settings.waitlistCutoff': 'Stop Waitlist Promotions (hours before the event)',
+        'registration.status.waitlisted': 'Waitlisted',
+        'registration.promoted': '{kidNames} moved up from the waitlist',
+        'registration.waitlisted': '{kidName} is on the waitlist',
+        'registration.waitlistOff': 'Waitlist off',
+        'registration.promotionsUntil': 'On the waitlist · promotions until {date}',
+        'registration.onWaitlist': 'On the waitlist',
+        'registration.promotionsStopped': 'On the waitlist · promotions have stopped',
+        'registration.joinedAt': 'Joined',
+        'registration.moveUp': 'Move up',
+        'registration.moveDown': 'Move down',
+        'registration.removeFromWaitlist': 'Remove',
+        'registration.addToWaitlist': 'Add to Waitlist',
+        'registration.waitlistTitle': 'Waitlist',
+        'registration.waitlistHint': 'When a place frees up, the first eligible kid is registered and their parents are notified. Use the arrows to change the order.',
+        'registration.manage': 'Registrations & Waitlist',
+        'registration.waitlistedNotice': 'The event is full, so these kids are on the waitlist: {kidNames}. We will let you know if a place frees up.',
+        'notifications.title': 'Notifications',
+        'notifications.waitlistPromoted': 'A place opened up: {kidName} is now registered for {eventName}.',
+        'notifications.dismiss': 'Got it',
+
+        // Heat schedule
+        'heats.title': 'Heat Schedule',
+        'heats.titleFor': 'Heat Schedule: {eventName}',
+        'heats.viewSchedule': 'Heat Schedule',
+        'heats.backToRegistrations': 'Back to Registrations',
+        'heats.loading': 'Loading heat schedule...',
+        'heats.noRegistrations': 'No kids are registered for this event yet.',
+        'heats.heatSize': 'Kids per Heat',
+        'heats.heatDuration': 'Heat Length (minutes)',
+        'heats.changeover': 'Changeover (minutes)',
+        'heats.startTime': 'First Heat Starts',
+        'heats.generateHint': 'Registered kids run in participant-number order, with siblings side by side where possible. A vehicle shared by several kids never runs in two heats in a row.',
+        'heats.generate': 'Generate Heats',
+        'heats.confirmRegenerate': 'Replace the current heats, including any changes made by hand?',
+        'heats.generated': '{count} heats created',
+        'heats.save': 'Save Schedule',
+        'heats.saving': 'Saving...',
+        'heats.saved': 'Heat schedule saved',
+        'heats.savedAt': 'Saved {date}',
+        'heats.unsaved': 'Unsaved changes',
+        'heats.printRunSheet': 'Print Run Sheet',
+        'heats.heatNumber': 'Heat {number}',
+        'heats.removeHeat': 'Remove heat',
+        'heats.emptyHeat': 'Break — no kids in this heat',
+        'heats.addHeat': 'Add Heat',
+        'heats.unscheduled': 'Not in a Heat',
+        'heats.allScheduled': 'Every registered kid is in a heat. Drop a kid here to take them out.',
+        'heats.noVehicle': 'No vehicle',
+        'heats.conflictsWarning': '{count} problems in the schedule, see the heats marked in red',
+        'heats.runSheetTitle': 'Run Sheet: {eventName}',
+        'heats.heat': 'Heat',
+        'heats.time': 'Time',
+        'heats.vehicle': 'Vehicle',
+        'heats.break': 'Break',
+        'heats.issues.noVehicle': 'No vehicle assigned',
+        'heats.issues.vehicleTwiceInHeat': 'The vehicle is used twice in this heat',
+        'heats.issues.vehicleConsecutive': 'The vehicle also runs in the heat before',
+        'heats.issues.heatOverSize': 'The heat has more kids than the heat size',
+        'heats.validation.heatSize': 'Heat size must be a whole number of at least 1',
+        'heats.validation.duration': 'Heat length must be at least 1 minute',
+        'heats.validation.changeover': 'Changeover must be a whole number of minutes',
+        'heats.validation.startTime': 'Enter a start time (HH:MM)',
+
+        // Race results, leaderboards and season standings
+        'parent.raceResults': 'Race Results',
+        'viewKid.raceResults': '🏆 {firstName}\'s Race Results',
+        'results.title': 'Race Results',
+        'results.titleFor': 'Results: {eventName}',
+        'results.viewResults': 'Results',
+        'results.backToEvent': 'Back to Event',
+        'results.backToSeasons': 'Back to Seasons',
+        'results.loading': 'Loading results...',
+        'results.entry': 'Enter Results',
+        'results.leaderboard': 'Leaderboard',
+        'results.seasonStandings': 'Season Standings',
+        'results.allKids': 'All Kids',
+        'results.finishPosition': 'Finish Position',
+        'results.dnf': 'DNF',
+        'results.lapTimes': 'Lap Times',
+        'results.lapPlaceholder': 'e.g. 65.3 or 1:05.3',
+        'results.addLap': 'Add Lap',
+        'results.invalidLap': 'Type a lap time like 65.3 or 1:05.3',
+        'results.awardsTitle': 'Awards',
+        'results.customAward': 'Another award...',
+        'results.addAward': 'Add',
+        'results.awards.bestSmile': 'Best Smile',
+        'results.awards.mostImproved': 'Most Improved',
+        'results.awards.sportsmanship': 'Great Sportsmanship',
+        'results.awards.teamSpirit': 'Team Spirit',
+        'results.awards.bravestDriver': 'Bravest Driver',
+        'results.save': 'Save Result',
+        'results.saving': 'Saving...',
+        'results.saved': 'Result saved for {kidName}',
+        'results.fastestLaps': 'Fastest Laps',
+        'results.noLapTimes': 'No lap times yet.',
+        'results.noHeat': 'No Heat',
+        'results.noResults': 'No results have been entered for this event yet.',
+        'results.standingsTitle': 'Season Standings: {seasonName}',
+        'results.pointsHint': 'Points per heat: {points} for places 1 to {places}, {participation} for every other kid who raced.',
+        'results.raceCount': '{count} race events this season.',
+        'results.noStandings': 'No results have been entered for this season\'s races yet.',
+        'results.points': 'Points',
+        'results.races': 'Races',
+        'results.wins': 'Wins',
+        'results.podiums': 'Podiums',
+        'results.bestLap': 'Best Lap',
+        'results.event': 'Event',
+        'results.date': 'Date',
+        'results.unknownEvent': 'Removed event',
+        'results.noKidResults': 'No race results yet.',
+        'results.validation.position': 'Position must be 1 or more',
+        'results.validation.heat': 'Heat must be 1 or more',
+        'results.validation.lapTimes': 'Lap times must be positive numbers of seconds',
+        'results.validation.awards': 'Awards must be 1 to 60 characters',
+
+        // Calendar downloads and feed
+        'events.addToCalendar': 'Add to Calendar',
+        'calendarFeed.title': 'Events Calendar',
+        'calendarFeed.description': 'Subscribe to your events in Google Calendar, Apple Calendar or Outlook. Changed and cancelled events update by themselves. Keep the link private: anyone who has it can see your events.',
+        'calendarFeed.linkLabel': 'Your calendar link (shown only now)',
+        'calendarFeed.subscribe': 'Add to My Calendar',
+        'calendarFeed.copy': 'Copy Link',
+        'calendarFeed.copied': 'Link copied',
+        'calendarFeed.copyFailed': 'Could not copy, select the link and copy it by hand',
+        'calendarFeed.replace': 'New Link',
+        'calendarFeed.create': 'Create Calendar Link',
+        'calendarFeed.creating': 'Creating...',
+        'calendarFeed.confirmReplace': 'Calendars subscribed with the current link will stop updating. Create a new link?',
+        'calendarFeed.replaceHint': 'Creating a link again stops the previous one from working.',
+
+        // Race-day check-in
+        'checkIn.title': 'Check-in',
+        'checkIn.titleFor': 'Check-in: {eventName}',
+        'checkIn.loading': 'Loading check-in...',
+        'checkIn.scan': 'Scan Cards',
+        'checkIn.stopScanning': 'Stop Scanning',
+        'checkIn.cameraError': 'The camera could not be opened. Allow camera access, or find the kid in the list below.',
+        'checkIn.cameraUnsupported': 'This browser cannot use the camera. Find the kid in the list below.',
+        'checkIn.unknownCode': 'This is not a participant card',
+        'checkIn.checkIn': 'Check In',
+        'checkIn.checkedIn': '{kidName} checked in',
+        'checkIn.undo': 'Undo Check-in',
+        'checkIn.confirmUndo': 'Undo the check-in of {kidName}?',
+        'checkIn.arrivedAt': 'Arrived {time}',
+        'checkIn.arrivedCount': '{arrived} of {total} arrived',
+        'checkIn.notArrived': 'Not arrived',
+        'checkIn.offline': 'Offline',
+        'checkIn.pendingCount': '{count} waiting to sync',
+        'checkIn.pendingSync': 'Waiting to sync',
+        'checkIn.search': 'Search by name or number...',
+        'checkIn.noRegistrations': 'No kids are registered for this event.',
+        'checkIn.vehicle': 'Vehicle',
+        'checkIn.noVehicle': 'None assigned',
+        'checkIn.emergencyNotes': 'Emergency Notes',
+        'checkIn.noEmergencyNotes': 'Nothing recorded',
+        'checkIn.severeAllergies': 'Severe allergies',
+        'checkIn.allergies': 'Allergies',
+        'checkIn.seizures': 'Has a seizure protocol',
+        'checkIn.medications': 'Medications',
+        'checkIn.issues.notRegistered': 'Not registered for this event',
+        'checkIn.issues.waitlisted': 'On the waitlist, not registered',
+        'checkIn.issues.alreadyCheckedIn': 'Already checked in',
+        'checkIn.issues.declarationMissing': 'No signed declaration',
+        'checkIn.issues.formNotCompleted': 'Registration form not completed',
+        'participantCard.title': 'Paragrutarally Participant',
+        'participantCard.hint': 'Show this code at check-in',
+        'participantCard.qrAlt': 'Check-in code',
+        'participantCard.print': 'Print Card',
+        'participantCard.printAll': 'Print Participant Cards',
+        'parent.checkInCode': 'Check-in Code',
+        'parent.checkInCodeHint': 'Show this code at the gate on race day, on your phone or printed.',
+
+        // Volunteer shifts
+        'users.isVolunteer': 'Volunteer: can sign up for event shifts',
+        'users.isVolunteerHint': 'Parents can always volunteer.',
+        'volunteers.title': 'Volunteers',
+        'volunteers.titleFor': 'Volunteers: {eventName}',
+        'volunteers.manage': 'Volunteer Shifts',
+        'volunteers.panelTitle': 'Volunteer',
+        'volunteers.loading': 'Loading shifts...',
+        'volunteers.myShifts': 'My Shifts',
+        'volunteers.noMyShifts': 'You have not signed up for any shifts yet.',
+        'volunteers.openShifts': 'Shifts of Upcoming Events',
+        'volunteers.noOpenShifts': 'No volunteer shifts have been posted yet.',
+        'volunteers.full': 'Full',
+        'volunteers.slotsOpen': '{open} of {slots} open',
+        'volunteers.cancelShift': 'Cancel',
+        'volunteers.signUp': 'Sign Up',
+        'volunteers.signedUp': 'Thanks! You are signed up for {shiftName}.',
+        'volunteers.confirmOverlap': 'This overlaps your {shiftName} shift. Sign up anyway?',
+        'volunteers.confirmRelease': 'Give up your slot in {shiftName}?',
+        'volunteers.shiftGone': 'This shift no longer exists',
+        'volunteers.shiftFull': 'This shift is already full',
+        'volunteers.addShift': 'Add a Shift',
+        'volunteers.editShift': 'Edit Shift',
+        'volunteers.saveShift': 'Save Shift',
+        'volunteers.shiftAdded': 'Shift added',
+        'volunteers.shiftUpdated': 'Shift updated',
+        'volunteers.role': 'Role',
+        'volunteers.shiftTitle': 'Title (optional)',
+        'volunteers.shiftTitlePlaceholder': 'e.g. Marshal, turn 3',
+        'volunteers.startTime': 'Start',
+        'volunteers.endTime': 'End',
+        'volunteers.slots': 'Volunteers needed',
+        'volunteers.notes': 'Notes for volunteers',
+        'volunteers.shift': 'Shift',
+        'volunteers.shifts': 'Shifts',
+        'volunteers.time': 'Time',
+        'volunteers.filled': 'Filled',
+        'volunteers.slotsFilled': 'Slots filled',
+        'volunteers.openSlots': 'Open slots',
+        'volunteers.openIn': 'Open slots, in {shifts}',
+        'volunteers.openSlotsCount': '{count} open slots',
+        'volunteers.covered': 'All shifts covered',
+        'volunteers.noShifts': 'No shifts yet. Add the first one above.',
+        'volunteers.removeVolunteer': 'Take off the shift',
+        'volunteers.confirmRemove': 'Take {name} off {shiftName}?',
+        'volunteers.confirmDelete': 'Delete {shiftName}?',
+        'volunteers.confirmDeleteTaken': 'Delete {shiftName}? {count} volunteers have signed up for it.',
+        'volunteers.roles.trackMarshal': 'Track Marshal',
+        'volunteers.roles.parking': 'Parking',
+        'volunteers.roles.kidBuddy': 'Kid Buddy',
+        'volunteers.roles.setup': 'Setup & Cleanup',
+        'volunteers.roles.firstAid': 'First Aid',
+        'volunteers.roles.other': 'Other',
+        'volunteers.validation.role': 'Choose a role',
+        'volunteers.validation.title': 'The title must be 60 characters or less',
+        'volunteers.validation.startTime': 'Enter a start time',
+        'volunteers.validation.endTime': 'Enter an end time',
+        'volunteers.validation.endAfterStart': 'The shift must end after it starts',
+        'volunteers.validation.slots': 'Slots must be between 1 and {max}',
+        'volunteers.validation.slotsTaken': 'More volunteers have already signed up',
+
+        // Event payments ledger
+        'nav.payments': 'Payments',
+        'payments.title': 'Payments',
+        'payments.titleFor': 'Payments: {eventName}',
+        'payments.balancesTitle': 'Family Balances',
+        'payments.loading': 'Loading payments...',
+        'payments.freeEvent': 'This event has no price. Set one on the event\'s edit page to charge for it.',
+        'payments.totalDue': 'Total due',
+        'payments.totalPaid': 'Paid',
+        'payments.outstandingFamilies': 'Outstanding, {count} families',
+        'payments.dues': 'Dues per Kid',
+        'payments.updateDues': 'Update Dues ({count})',
+        'payments.duesChanged': 'Registrations or discounts changed since the dues were last saved. Balances use the saved dues until you update them.',
+        'payments.duesSaved': 'Dues updated',
+        'payments.noRegistrations': 'No kids are registered for this event yet.',
+        'payments.kid': 'Kid',
+        'payments.kids': 'Kids',
+        'payments.family': 'Family',
+        'payments.price': 'Price',
+        'payments.siblingDiscount': 'Sibling discount',
+        'payments.hardshipDiscount': 'Hardship discount',
+        'payments.hardshipPercent': 'Hardship (%)',
+        'payments.amountDue': 'Due',
+        'payments.paid': 'Paid',
+        'payments.balance': 'Balance',
+        'payments.familyBalances': 'Family Balances',
+        'payments.noBalances': 'No dues have been saved for this event yet.',
+        'payments.recordFor': 'Record Payment',
+        'payments.recordPayment': 'Record a Payment',
+        'payments.takePayment': 'Take Payment',
+        'payments.chooseFamily': 'Choose a family',
+        'payments.amount': 'Amount ({currency})',
+        'payments.method': 'Method',
+        'payments.receiptNumber': 'Receipt Number',
+        'payments.paidOn': 'Paid On',
+        'payments.note': 'Note',
+        'payments.recorded': 'Payment of {amount} recorded',
+        'payments.payments': 'Payments',
+        'payments.noPayments': 'No payments recorded yet.',
+        'payments.void': 'Void',
+        'payments.voided': 'Voided',
+        'payments.confirmVoid': 'Void the payment of {amount} by {family}? It stays in the ledger but no longer counts.',
+        'payments.declined': 'The payment was declined',
+        'payments.exportXlsx': 'Export for Treasurer (XLSX)',
+        'payments.nothingToExport': 'There is nothing to export yet',
+        'payments.onlyOwing': 'Only families with an outstanding balance',
+        'payments.noOutstanding': 'No family owes anything.',
+        'payments.owedFor': 'Owed for',
+        'payments.export.sheet': 'Ledger',
+        'payments.export.balancesSheet': 'Balances',
+        'payments.export.type': 'Entry',
+        'payments.export.charge': 'Charge',
+        'payments.export.payment': 'Payment',
+        'payments.export.date': 'Date',
+        'payments.export.family': 'Family',
+        'payments.export.kid': 'Kid',
+        'payments.export.kids': 'Kids',
+        'payments.export.due': 'Due',
+        'payments.export.paid': 'Paid',
+        'payments.export.balance': 'Balance',
+        'payments.export.currency': 'Currency',
+        'payments.export.method': 'Method',
+        'payments.export.receipt': 'Receipt',
+        'payments.export.note': 'Note',
+        'payments.export.events': 'Events owed',
+        'payments.methods.cash': 'Cash',
+        'payments.methods.bankTransfer': 'Bank Transfer',
+        'payments.methods.bit': 'Bit',
+        'payments.methods.online': 'Online',
+        'payments.settings.title': 'Fee',
+        'payments.settings.price': 'Price per Kid',
+        'payments.settings.free': 'Free',
+        'payments.settings.currency': 'Currency',
+        'payments.settings.siblingDiscount': 'Sibling Discount (%)',
+        'payments.settings.siblingDiscountHint': 'Off the second and later kids of a family. Hardship discounts are set per kid on the event\'s payments page.',
+        'payments.validation.priceInvalid': 'The price must be a positive amount',
+        'payments.validation.currencyInvalid': 'Choose a currency',
+        'payments.validation.percentInvalid': 'Enter a percentage between 0 and 100',
+        'payments.validation.family': 'Choose a family',
+        'payments.validation.amount': 'Enter an amount above zero',
+        'payments.validation.method': 'Choose how it was paid',
+        'payments.validation.receiptNumber': 'Enter the receipt number',
+        'payments.validation.paidOn': 'Enter the payment date',
+
+        // Event lifecycle and cancellation
+        'events.ongoing': 'Ongoing',
+        'events.startNow': 'Start Now',
+        'events.markCompleted': 'Mark Completed',
+        'events.statusScheduleHint': 'Events become ongoing at their start time and completed when they end.',
+        'events.cancel.title': 'Cancel Event',
+        'events.cancel.intro': 'Cancelling "{eventName}" cannot be undone. It will:',
+        'events.cancel.effectRegistrations': 'Cancel every registration and clear the waitlist',
+        'events.cancel.effectVehicles': 'Release the vehicles and remove the heat schedule',
+        'events.cancel.effectVolunteers': 'Free all volunteer slots',
+        'events.cancel.effectNotify': 'Notify the registered families and the volunteers with your reason',
+        'events.cancel.reason': 'Reason',
+        'events.cancel.reasonPlaceholder': 'e.g. The track is flooded after the storm',
+        'events.cancel.reasonRequired': 'Enter the reason for cancelling',
+        'events.cancel.reasonTooLong': 'Keep the reason under 500 characters',
+        'events.cancel.keep': 'Keep Event',
+        'events.cancel.cancelling': 'Cancelling...',
+        'events.cancel.confirm': 'Cancel Event',
+        'events.cancel.error': 'Failed to cancel the event: {error}',
+        'events.cancel.done': 'Event cancelled. {registrations} registrations cancelled, {volunteers} volunteer slots freed, {notified} people notified.',
+        'notifications.eventCancelledForKids': '{eventName} is cancelled, so {kidNames} will not race: {reason}',
+        'notifications.eventCancelled': '{eventName} is cancelled and your volunteer shift is released: {reason}',
+
+        // Event end time
+        'events.create.endTime': 'End Time',
+        'events.create.endTimeError': '*The event must end after it starts',
+        'events.create.endTimeHint': 'Leave empty for 3 hours',
+
+        // Shirts
+        'shirts.title': 'Shirts',
+        'shirts.titleFor': 'Shirts: {eventName}',
+        'shirts.loading': 'Loading shirts...',
+        'shirts.none': 'No attending family has asked for shirts on this event\'s registration forms yet.',
+        'shirts.requested': 'Shirts requested by {count} families',
+        'shirts.kidsAndExtra': 'Kids / extra attendees',
+        'shirts.toOrder': 'To order',
+        'shirts.bySize': 'By Size',
+        'shirts.byTeam': 'By Team',
+        'shirts.size': 'Size',
+        'shirts.forKids': 'Kids',
+        'shirts.extra': 'Extra attendees',
+        'shirts.total': 'Total',
+        'shirts.handedOut': 'Handed out earlier',
+        'shirts.handedOutOf': 'Size {size} handed out earlier',
+        'shirts.handedOutHint': 'Enter the shirts families already have from earlier seasons; they are left out of the order.',
+        'shirts.saveHandedOut': 'Save Handed Out',
+        'shirts.handedOutSaved': 'Shirts from earlier seasons saved',
+        'shirts.team': 'Team',
+        'shirts.noTeam': 'No team',
+        'shirts.checklist': 'Distribution Checklist',
+        'shirts.family': 'Family',
+        'shirts.kids': 'Kids',
+        'shirts.kidShirts': 'Kids\' shirts',
+        'shirts.extraShirts': 'Extra shirts',
+        'shirts.received': 'Received',
+        'shirts.exportOrder': 'Export Supplier Order (XLSX)',
+        'shirts.printChecklist': 'Print Checklist',
+        'shirts.nothingToOrder': 'There are no shirts to order',
+        'shirts.quantity': 'Quantity',
+        'shirts.export.sheet': 'Order',
+        'shirts.validation.countInvalid': 'Enter a whole number of shirts',
+
+        // Venues
+        'nav.venues': 'Venues',
+        'venues.title': 'Venues',
+        'venues.venue': 'Venue',
+        'venues.allVenuesTitle': 'All Venues',
+        'venues.loading': 'Loading venues...',
+        'venues.noVenues': 'No venues yet. Add the first one below.',
+        'venues.name': 'Name',
+        'venues.namePlaceholder': 'e.g. Jerusalem Racing Park',
+        'venues.address': 'Address',
+        'venues.capacity': 'Capacity',
+        'venues.capacityPlaceholder': 'Kids the venue can host',
+        'venues.facilitiesLabel': 'Facilities',
+        'venues.contact': 'Contact',
+        'venues.contactPerson': 'Contact Person',
+        'venues.contactName': 'Name',
+        'venues.contactPhone': 'Phone',
+        'venues.contactEmail': 'Email',
+        'venues.actions': 'Actions',
+        'venues.edit': 'Edit',
+        'venues.delete': 'Delete',
+        'venues.confirmDelete': 'Delete {name}?',
+        'venues.deleted': 'Venue deleted',
+        'venues.created': 'Venue created',
+        'venues.updated': 'Venue saved; {count} upcoming events updated',
+        'venues.createTitle': 'Add Venue',
+        'venues.editTitle': 'Edit {name}',
+        'venues.cancelEdit': 'Cancel',
+        'venues.create': 'Add Venue',
+        'venues.save': 'Save Venue',
+        'venues.parkingNotes': 'Parking',
+        'venues.parkingPlaceholder': 'Where families can park, and anything to know about it',
+        'venues.accessibilityNotes': 'Accessibility',
+        'venues.accessibilityPlaceholder': 'Ramps, step-free routes, accessible parking...',
+        'venues.historyTitle': 'Events at This Venue',
+        'venues.loadingEvents': 'Loading events...',
+        'venues.upcomingEvents': 'Upcoming',
+        'venues.pastEvents': 'Past Events',
+        'venues.noUpcomingEvents': 'No upcoming events here.',
+        'venues.noPastEvents': 'No events have been held here yet.',
+        'venues.noDate': 'No date',
+        'venues.otherLocation': 'Other location (type it in)',
+        'venues.fromVenueHint': 'Taken from the venue; edit it on the Venues page.',
+        'venues.overCapacity': '{name} has room for {capacity} kids, fewer than the event\'s {max}',
+        'venues.facilities.toilets': 'Toilets',
+        'venues.facilities.accessibleToilets': 'Accessible toilets',
+        'venues.facilities.drinkingWater': 'Drinking water',
+        'venues.facilities.shade': 'Shade',
+        'venues.facilities.indoorSpace': 'Indoor space',
+        'venues.facilities.electricity': 'Electricity',
+        'venues.facilities.firstAidRoom': 'First aid room',
+        'venues.facilities.kitchen': 'Kitchen',
+        'venues.validation.nameRequired': 'Venue name is required',
+        'venues.validation.nameTooLong': 'Venue name must be less than 100 characters',
+        'venues.validation.addressRequired': 'Address is required',
+        'venues.validation.capacityInvalid': 'Capacity must be a whole number above 0',
+        'venues.validation.facilityInvalid': 'Unknown facility',
+        'venues.validation.phoneInvalid': 'Enter a valid phone number',
+        'venues.validation.emailInvalid': 'Enter a valid email address'
 
     },
 
@@ -3535,6 +4439,8 @@ export const LANGUAGES = {
         // Form fields
         'addKid.raceNumber': 'מספר ילד במערכת 🏁',
         'addKid.raceNumberPlaceholder': '001',
+        'addKid.numberLoadError': 'לא ניתן לקבל את מספר המרוץ הבא: {error}. הקלידו מספר או נסו שוב.',
+        'addKid.participantNumberTaken': 'המספר {number} כבר בשימוש אצל ילד אחר',
         'addKid.firstName': 'שם פרטי 👤',
         'addKid.firstNamePlaceholder': 'שם פרטי של הילד',
         'addKid.lastName': 'שם משפחה 👨‍👩‍👧‍👦',
@@ -6059,6 +6965,908 @@ export const LANGUAGES = {
         'viewVehicle.viewProfile': 'צפה בפרופיל',
         'viewVehicle.notAssignedToRacers': 'רכב זה כרגע לא מוקצה לאף ילד',
         'viewVehicle.assignmentNote': 'ניתן להקצות ילדים לרכב זה דרך ממשק ניהול הקבוצה.',
+
+        // User invites
+        'users.invitation': 'הזמנה',
+        'users.inviteHint': 'ייווצר קישור הזמנה. המשתמש יבחר סיסמה בעצמו כשיפתח אותו (בתוקף ל-7 ימים).',
+        'users.inviteLink': 'קישור הזמנה',
+        'users.inviteExpires': 'תוקף עד',
+        'users.inviteExpired': 'פג תוקף',
+        'users.inviteLastSent': 'נשלח לאחרונה',
+        'users.inviteLinkCopied': 'הקישור הועתק ללוח.',
+        'users.pendingInvites': 'הזמנות ממתינות',
+        'users.inviteResend': 'שלח שוב',
+        'users.inviteResendFor': 'שלח שוב הזמנה ל-{email}',
+        'users.inviteResent': 'נוצר קישור הזמנה חדש. הקישור הקודם אינו פעיל עוד.',
+        'users.inviteResendError': 'שליחת ההזמנה מחדש נכשלה.',
+        'users.inviteRevoke': 'בטל',
+        'users.inviteRevokeFor': 'בטל הזמנה עבור {email}',
+        'users.inviteRevokeConfirm': 'לבטל את ההזמנה עבור {email}? החשבון שלו יושבת.',
+        'users.inviteRevokeError': 'ביטול ההזמנה נכשל.',
+        'setPassword.title': 'הגדרת סיסמה',
+        'setPassword.description': 'בחרו סיסמה כדי להפעיל את החשבון.',
+        'setPassword.confirmPassword': 'אימות סיסמה',
+        'setPassword.passwordsDoNotMatch': 'הסיסמאות אינן תואמות',
+        'setPassword.submit': 'הפעלת חשבון',
+        'setPassword.activating': 'מפעיל...',
+        'setPassword.error': 'הפעלת החשבון נכשלה. נסו שוב.',
+        'setPassword.invalidLink': 'קישור ההזמנה אינו תקין. בקשו ממנהל לשלוח לכם קישור חדש.',
+        'setPassword.backToLogin': 'חזרה להתחברות',
+
+        // User deletion - linked records
+        'users.linkedRecords': 'רשומות מקושרות ({count})',
+        'users.noLinkedRecords': 'אין ילדים, קבוצות או טפסים המקושרים למשתמש זה.',
+        'users.loadingLinkedRecords': 'בודק רשומות מקושרות...',
+        'users.linkedRecordsError': 'לא ניתן לטעון את הרשומות המקושרות למשתמש זה.',
+        'users.applyToAll': 'החל על הכל',
+        'users.referenceKid': 'ילד',
+        'users.referenceTeam': 'קבוצה',
+        'users.referenceFormSubmission': 'הגשת טופס',
+        'users.referenceFormAssignment': 'שיוך טופס',
+        'users.referenceActionClear': 'השאר ריק',
+        'users.referenceActionAnonymize': 'הפוך לאנונימי',
+        'users.referenceActionReassign': 'העבר למשתמש אחר',
+        'users.referenceActionFor': 'פעולה עבור {label}',
+        'users.reassignTargetFor': 'העבר את {label} אל',
+        'users.selectUser': 'בחר משתמש...',
+        'users.linkedRecordsSummary': 'רשומות מקושרות: {reassign} הועברו, {clear} הושארו ריקות, {anonymize} הפכו לאנונימיות',
+
+        // Change history (audit log)
+        'history.detailsTab': 'פרטים',
+        'history.historyTab': 'היסטוריה',
+        'history.loading': 'טוען היסטוריה...',
+        'history.loadError': 'טעינת היסטוריית השינויים נכשלה.',
+        'history.empty': 'עדיין לא נרשמו שינויים.',
+        'history.actionCreate': 'נוצר',
+        'history.actionUpdate': 'עודכן',
+        'history.actionDelete': 'נמחק',
+        'history.byActor': 'על ידי {name}',
+        'history.system': 'מערכת',
+        'history.unknownUser': 'משתמש לא ידוע',
+        'history.field': 'שדה',
+        'history.before': 'לפני',
+        'history.after': 'אחרי',
+        'dashboard.wasDeleted': 'נמחק',
+        'dashboard.byActor': 'על ידי {name}',
+
+        // Participant numbering
+        'numbering.openButton': 'מספרי ילדים',
+        'numbering.title': 'מספרי ילדים',
+        'numbering.loadError': 'כשל בטעינת הגדרות המספור: {error}',
+        'numbering.saved': 'הגדרות המספור נשמרו.',
+        'numbering.saveError': 'כשל בשמירת הגדרות המספור: {error}',
+        'numbering.scanError': 'כשל בבדיקת כפילויות: {error}',
+        'numbering.repairConfirm': 'לתת מספר חדש לכל הכפילויות מלבד הילד הוותיק ביותר?',
+        'numbering.repairError': 'כשל בתיקון המספרים: {error}',
+        'numbering.formatTitle': 'תבנית מספור',
+        'numbering.prefix': 'קידומת עונה',
+        'numbering.prefixPlaceholder': 'לדוגמה S25-',
+        'numbering.minDigits': 'מספר ספרות מינימלי',
+        'numbering.example': 'המספרים ייראו כך: {example}',
+        'numbering.prefixHint': 'כל קידומת נספרת בנפרד, כך שקידומת של עונה חדשה מתחילה שוב מ-1.',
+        'numbering.teamRanges': 'טווחי מספרים לקבוצות',
+        'numbering.noRanges': 'אין טווחים שמורים. כל הילדים חולקים רצף אחד.',
+        'numbering.team': 'קבוצה',
+        'numbering.selectTeam': 'בחר קבוצה',
+        'numbering.rangeStart': 'מ-',
+        'numbering.rangeEnd': 'עד',
+        'numbering.removeRange': 'הסר טווח',
+        'numbering.addRange': 'הוסף טווח',
+        'numbering.duplicatesTitle': 'מספרים כפולים',
+        'numbering.scan': 'בדוק כפילויות',
+        'numbering.scanning': 'בודק...',
+        'numbering.noDuplicates': 'לכל ילד יש מספר ייחודי.',
+        'numbering.keeps': 'שומר על המספר',
+        'numbering.repair': 'מספר מחדש את הכפילויות',
+        'numbering.repairing': 'ממספר מחדש...',
+        'numbering.repairSummary': '{count} ילדים קיבלו מספר חדש.',
+        'numbering.save': 'שמור הגדרות',
+        'numbering.saving': 'שומר...',
+        'editKid.participantNumberTaken': 'המספר {number} כבר בשימוש אצל ילד אחר',
+
+        // Seasons
+        'nav.seasons': 'עונות',
+        'seasons.title': 'עונות',
+        'seasons.selectSeason': 'בחירת עונה',
+        'seasons.allSeasons': 'כל העונות',
+        'seasons.allSeasonsTitle': 'כל העונות',
+        'seasons.status.planning': 'בתכנון',
+        'seasons.status.active': 'פעילה',
+        'seasons.status.archived': 'בארכיון',
+        'seasons.statusLabel': 'סטטוס',
+        'seasons.name': 'שם',
+        'seasons.namePlaceholder': 'לדוגמה 2025-2026',
+        'seasons.dates': 'תאריכים',
+        'seasons.startDate': 'תאריך התחלה',
+        'seasons.endDate': 'תאריך סיום',
+        'seasons.prefix': 'קידומת למספרי מרוץ',
+        'seasons.prefixPlaceholder': 'לדוגמה S26-',
+        'seasons.enrolledKids': 'ילדים רשומים',
+        'seasons.invitedKids': 'ממתינים לתשובה',
+        'seasons.teams': 'קבוצות',
+        'seasons.events': 'אירועים',
+        'seasons.actions': 'פעולות',
+        'seasons.activate': 'הפוך לפעילה',
+        'seasons.activated': '{name} היא כעת העונה הפעילה',
+        'seasons.confirmActivate': 'להפוך את {name} לעונה הפעילה? העונה הפעילה הנוכחית תועבר לארכיון.',
+        'seasons.enrollUnassigned': 'שיוך רשומות ללא עונה',
+        'seasons.enrollUnassignedHint': 'שיוך רשומות שנוצרו לפני שהוגדרו עונות',
+        'seasons.confirmEnrollUnassigned': 'לשייך ל-{name} את כל הילדים, הקבוצות, האירועים והטפסים ללא עונה?',
+        'seasons.enrolledUnassigned': 'שויכו {kids} ילדים, {teams} קבוצות, {events} אירועים ו-{forms} טפסים',
+        'seasons.refresh': 'רענון',
+        'seasons.noSeasons': 'אין עדיין עונות. צרו את הראשונה למטה.',
+        'seasons.rolloverTitle': 'מעבר לעונה חדשה',
+        'seasons.rolloverHint': 'הקבוצות עוברות מיד. הילדים מוזמנים להירשם מחדש ומצטרפים לעונה החדשה לאחר אישור ההורה.',
+        'seasons.rolloverFrom': 'מעונה',
+        'seasons.rolloverTo': 'לעונה',
+        'seasons.chooseSeason': 'בחרו עונה',
+        'seasons.includeTeams': 'העברת הקבוצות',
+        'seasons.inviteKids': 'הזמנת הילדים להירשם מחדש',
+        'seasons.rollover': 'מעבר עונה',
+        'seasons.rolledOver': '{teams} קבוצות הועברו, {kids} ילדים הוזמנו להירשם מחדש',
+        'seasons.createTitle': 'יצירת עונה',
+        'seasons.create': 'יצירת עונה',
+        'seasons.created': 'העונה נוצרה',
+        'seasons.validation.nameRequired': 'שם העונה נדרש',
+        'seasons.validation.nameTooLong': 'שם העונה חייב להיות קצר מ-50 תווים',
+        'seasons.validation.startRequired': 'תאריך התחלה נדרש',
+        'seasons.validation.endRequired': 'תאריך סיום נדרש',
+        'seasons.validation.endBeforeStart': 'תאריך הסיום חייב להיות אחרי תאריך ההתחלה',
+        'seasons.validation.prefixInvalid': 'הקידומת יכולה להכיל עד 10 אותיות, ספרות, מקפים או קווים תחתונים',
+        'parent.reenrollTitle': 'ההרשמה מחדש לעונת {season} פתוחה',
+        'parent.reenrollQuestion': 'האם {name} ישתתף/תשתתף בעונה הזו?',
+        'parent.reenrollAccept': 'רישום',
+        'parent.reenrollDecline': 'לא בעונה הזו',
+        'parent.reenrollError': 'שמירת התשובה נכשלה. נסו שוב.',
+        'analytics.seasonScope': 'עונה',
+        'analytics.tabs.seasons': 'עונות',
+        'analytics.tabs.seasonsDesc': 'השוואת עונות',
+        'analytics.loadingSeasons': 'טוען השוואת עונות...',
+        'analytics.seasons.title': '📅 השוואת עונות',
+        'analytics.seasons.noSeasons': 'אין עדיין עונות. צרו עונה בעמוד העונות כדי להשוות רישום משנה לשנה.',
+        'analytics.seasons.season': 'עונה',
+        'analytics.seasons.enrolled': 'ילדים רשומים',
+        'analytics.seasons.invited': 'ממתינים לתשובה',
+        'analytics.seasons.declined': 'סירבו',
+        'analytics.seasons.completedForms': 'טפסים שהושלמו',
+        'analytics.seasons.teams': 'קבוצות',
+        'analytics.seasons.events': 'אירועים',
+        'analytics.seasons.participations': 'השתתפויות',
+        'analytics.seasons.retention': 'שימור',
+        'analytics.tooltip.retention.title': 'שימור',
+        'analytics.tooltip.retention.description': 'שיעור הילדים מהעונה הקודמת שנרשמו שוב לעונה זו.',
+        'analytics.tooltip.retention.action': 'עקבו אחר הזמנות פתוחות להרשמה מחדש לפני תחילת העונה.',
+
+        // Kid archiving (alumni)
+        'kids.alumni': 'בוגרים',
+        'kids.archive': 'העבר לארכיון',
+        'kids.archiveKid': 'העבר ילד לארכיון',
+        'kids.onlyAdminsCanArchive': 'רק מנהלים יכולים להעביר ילדים לארכיון.',
+        'kids.archiveConfirm': 'להעביר את {kidName} לארכיון? הילד יוסר מהצוות ומהרכב ויעבור לרשימת הבוגרים, תוך שמירה על ההיסטוריה ומספר המרוץ.',
+        'kids.archiveSuccess': '{kidName} הועבר לרשימת הבוגרים.',
+        'kids.archiveFailed': 'העברת הילד לארכיון נכשלה. נסה שוב.',
+        'kids.restore': 'שחזר',
+        'kids.restoreKid': 'שחזר ילד',
+        'kids.restoreSuccess': '{kidName} שוחזר.',
+        'kids.restoreFailed': 'שחזור הילד נכשל. נסה שוב.',
+        'kids.restoreNumberTaken': 'מספר המרוץ {number} שייך כעת לילד אחר. הקצה לאחד מהם מספר חדש ונסה לשחזר שוב.',
+        'kids.purge': 'מחק לצמיתות',
+        'kids.purgeKid': 'מחק לצמיתות',
+        'kids.purgeConfirm': 'למחוק את {kidName} לצמיתות? הרשומה, התמונה, ההרשמות לאירועים, תוצאות המרוצים, החיובים וההיסטוריה יימחקו. לא ניתן לבטל פעולה זו.',
+        'kids.purgeSuccess': '{kidName} נמחק.',
+        'kids.purgeFailed': 'מחיקת הילד נכשלה: {error}',
+        'viewKid.archivePermissionDenied': 'אין לך הרשאה להעביר ילד זה לארכיון.',
+        'viewKid.archivedNotice': 'ילד זה נמצא ברשימת הבוגרים. שחזור יחזיר אותו לצוות האחרון שלו עם אותו מספר מרוץ.',
+
+        // Kids Excel import
+        'kidImport.openButton': 'ייבוא ילדים',
+        'kidImport.title': 'ייבוא ילדים',
+        'kidImport.uploadTitle': 'בחירת גיליון',
+        'kidImport.uploadHint': 'נקרא הגיליון הראשון. השורה הראשונה שלו חייבת להכיל את כותרות העמודות. שורות מותאמות לילדים קיימים לפי עמודת מזהה הילד של קובץ ייצוא, ואחרת לפי מספר משתתף; שאר השורות נוספות כילדים חדשים.',
+        'kidImport.chooseFile': 'בחירת קובץ',
+        'kidImport.reading': 'קורא את הקובץ...',
+        'kidImport.readError': 'לא ניתן לקרוא את הקובץ: {error}',
+        'kidImport.emptySheet': 'אין בגיליון הראשון שורות לייבוא.',
+        'kidImport.mappingTitle': 'התאמת עמודות',
+        'kidImport.mappingHint': '{rows} שורות בקובץ {file}. בחרו את העמודה של כל שדה, או השאירו אותו מחוץ לייבוא.',
+        'kidImport.notImported': '— לא מיובא —',
+        'kidImport.noNumberColumn': 'ללא עמודת מספר משתתף כל שורה תתווסף כילד חדש.',
+        'kidImport.missingRequired': 'ילדים חדשים חייבים את השדות האלה, ולכן שורות שמוסיפות ילד ייכשלו בלעדיהם: {fields}',
+        'kidImport.chooseAnother': 'בחירת קובץ אחר',
+        'kidImport.dryRun': 'בדיקת שורות',
+        'kidImport.creates': 'ילדים חדשים',
+        'kidImport.updates': 'עדכונים',
+        'kidImport.unchanged': 'ללא שינוי',
+        'kidImport.errorRows': 'שגיאות',
+        'kidImport.errorsTitle': 'שורות שידלגו עליהן',
+        'kidImport.updatesTitle': 'שינויים בילדים קיימים',
+        'kidImport.createsTitle': 'ילדים להוספה',
+        'kidImport.row': 'שורה {row}',
+        'kidImport.autoNumber': 'המספר הפנוי הבא',
+        'kidImport.backToMapping': 'חזרה לעמודות',
+        'kidImport.commit': 'ייבוא {count} שורות',
+        'kidImport.commitConfirm': 'להוסיף {creates} ילדים ולעדכן {updates} ילדים? שורות עם שגיאות ידולגו.',
+        'kidImport.commitError': 'הייבוא נכשל: {error}',
+        'kidImport.importing': 'מייבא...',
+        'kidImport.progress': 'מייבא {done} מתוך {total}...',
+        'kidImport.doneTitle': 'הייבוא הסתיים',
+        'kidImport.doneSummary': 'נוספו {created} ילדים ועודכנו {updated} ילדים.',
+        'kidImport.errors.unknownTeam': 'אין צוות בשם "{team}"',
+        'kidImport.errors.declaration': 'הצהרה חתומה חייבת להיות כן או לא',
+        'kidImport.errors.date': 'תאריך הלידה צריך להיראות כמו 31/12/2015 או 2015-12-31',
+        'kidImport.errors.duplicateNumber': 'מספר המשתתף {number} מופיע גם בשורה {row}',
+
+        // Kids Excel round-trip
+        'kidImport.kidId': 'מזהה ילד',
+        'kidImport.updatesHint': 'בטלו את הסימון של ילד כדי להשאיר אותו ללא שינוי.',
+        'kidImport.errors.unknownKid': 'אין ילד עם המזהה {id}. ייתכן שנמחק.',
+        'kidImport.errors.duplicateKid': 'הילד הזה מופיע גם בשורה {row}',
+        'kidImport.errors.numberTaken': 'מספר המשתתף {number} שייך ל{name}',
+        'exportKids.fileFormat': 'סוג קובץ',
+        'exportKids.formatExcel': 'Excel (.xlsx)',
+        'exportKids.formatCsv': 'CSV',
+        'exportKids.exportToExcel': 'ייצוא ל-Excel',
+        'exportKids.roundTripNotice': 'אפשר לערוך את הקובץ ולהחזיר אותו דרך ייבוא ילדים כדי לעדכן את הילדים. השאירו את עמודת מזהה הילד, היא מקשרת כל שורה לילד שלה.',
+
+        // Duplicate kids
+        'kidDuplicates.openButton': 'איתור כפילויות',
+        'kidDuplicates.title': 'ילדים כפולים',
+        'kidDuplicates.backToKids': 'חזרה לילדים',
+        'kidDuplicates.candidatesTitle': 'כפילויות אפשריות',
+        'kidDuplicates.hint': 'ילדים עם שם דומה (בעברית או באנגלית) ואותו תאריך לידה, אימייל הורה או טלפון הורה.',
+        'kidDuplicates.searching': 'מחפש כפילויות...',
+        'kidDuplicates.none': 'לא נמצאו כפילויות סבירות.',
+        'kidDuplicates.firstKid': 'נרשם ראשון',
+        'kidDuplicates.secondKid': 'נרשם מאוחר יותר',
+        'kidDuplicates.matches': 'התאמות',
+        'kidDuplicates.review': 'בדיקה ומיזוג',
+        'kidDuplicates.reasons.name': 'שם דומה',
+        'kidDuplicates.reasons.dateOfBirth': 'אותו תאריך לידה',
+        'kidDuplicates.reasons.parentEmail': 'אותו אימייל הורה',
+        'kidDuplicates.reasons.parentPhone': 'אותו טלפון הורה',
+        'kidDuplicates.mergeTitle': 'מיזוג ילדים',
+        'kidDuplicates.back': 'חזרה לרשימה',
+        'kidDuplicates.swap': 'השארת הילד השני',
+        'kidDuplicates.mergeHint': 'בחרו את הערך שיישמר בכל שדה. הערות המדריכים ({notes}), ההערות, חשבונות ההורים, העונות, הגשות הטפסים וההרשמות לאירועים של שני הילדים נשמרים.',
+        'kidDuplicates.field': 'שדה',
+        'kidDuplicates.keeps': 'נשאר',
+        'kidDuplicates.removed': 'ממוזג ונמחק',
+        'kidDuplicates.photo': 'תמונה',
+        'kidDuplicates.instructor': 'מדריך',
+        'kidDuplicates.teamAndVehicle': 'צוות ורכב',
+        'kidDuplicates.merge': 'מיזוג',
+        'kidDuplicates.merging': 'ממזג...',
+        'kidDuplicates.confirmMerge': 'למזג את {duplicate} לתוך {survivor}? {duplicate} יימחק. לא ניתן לבטל פעולה זו.',
+        'kidDuplicates.merged': '{duplicate} מוזג לתוך {survivor}',
+
+        // Kid medical and emergency profile
+        'medicalProfile.title': 'רפואי וחירום',
+        'medicalProfile.titleFor': 'רפואי וחירום: {kidName}',
+        'medicalProfile.cardTitle': 'כרטיס חירום',
+        'medicalProfile.back': 'חזרה',
+        'medicalProfile.loading': 'טוען פרופיל רפואי...',
+        'medicalProfile.noPermission': 'רק מנהלים ומדריכי הצוות של הילד יכולים לראות את הפרופיל הרפואי.',
+        'medicalProfile.none': 'עדיין לא מולא פרופיל רפואי עבור {kidName}.',
+        'medicalProfile.print': 'הדפסת כרטיס חירום',
+        'medicalProfile.edit': 'עריכת פרופיל',
+        'medicalProfile.create': 'מילוי פרופיל',
+        'medicalProfile.save': 'שמירת פרופיל',
+        'medicalProfile.saving': 'שומר...',
+        'medicalProfile.saved': 'הפרופיל הרפואי נשמר',
+        'medicalProfile.fixErrors': 'יש לתקן את השדות המסומנים.',
+        'medicalProfile.parent': 'הורה',
+        'medicalProfile.remove': 'הסרה',
+        'medicalProfile.emergencyContacts': 'אנשי קשר לחירום',
+        'medicalProfile.contactsHint': 'לפי הסדר שבו יש להתקשר אליהם.',
+        'medicalProfile.contactName': 'שם',
+        'medicalProfile.relationship': 'קרבה',
+        'medicalProfile.phone': 'טלפון',
+        'medicalProfile.moveUp': 'להתקשר קודם',
+        'medicalProfile.moveDown': 'להתקשר אחר כך',
+        'medicalProfile.addContact': 'הוספת איש קשר',
+        'medicalProfile.noContacts': 'לא נרשמו אנשי קשר לחירום',
+        'medicalProfile.allergies': 'אלרגיות',
+        'medicalProfile.allergen': 'אלרגיה ל',
+        'medicalProfile.severityLabel': 'חומרה',
+        'medicalProfile.severity.mild': 'קלה',
+        'medicalProfile.severity.moderate': 'בינונית',
+        'medicalProfile.severity.severe': 'חמורה (אנפילקסיס)',
+        'medicalProfile.reaction': 'תגובה וטיפול',
+        'medicalProfile.addAllergy': 'הוספת אלרגיה',
+        'medicalProfile.noAllergies': 'אין אלרגיות ידועות',
+        'medicalProfile.severeAllergyWarning': 'אלרגיה חמורה: {allergens}',
+        'medicalProfile.medications': 'תרופות',
+        'medicalProfile.medicationName': 'תרופה',
+        'medicalProfile.dosage': 'מינון',
+        'medicalProfile.schedule': 'מתי',
+        'medicalProfile.medicationNotes': 'הערות',
+        'medicalProfile.addMedication': 'הוספת תרופה',
+        'medicalProfile.noMedications': 'אין תרופות קבועות',
+        'medicalProfile.seizureProtocol': 'פרוטוקול פרכוסים',
+        'medicalProfile.hasSeizures': 'הילד עלול לפרכס',
+        'medicalProfile.seizureWarning': 'עלול לפרכס - ראו פרוטוקול',
+        'medicalProfile.seizureDescription': 'איך זה נראה',
+        'medicalProfile.seizureTriggers': 'גורמים ידועים',
+        'medicalProfile.seizureActions': 'מה לעשות',
+        'medicalProfile.rescueMedication': 'תרופת הצלה',
+        'medicalProfile.callAmbulance': 'הזמנת אמבולנס (101)',
+        'medicalProfile.callAmbulanceAfter': 'אם הפרכוס נמשך יותר מ-{minutes} דקות',
+        'medicalProfile.callAmbulanceAfterLabel': 'הזמנת אמבולנס אחרי (דקות)',
+        'medicalProfile.mobilityAndTransfer': 'ניידות והעברה',
+        'medicalProfile.mobilityAids': 'עזרי ניידות',
+        'medicalProfile.aids.manual_wheelchair': 'כיסא גלגלים ידני',
+        'medicalProfile.aids.power_wheelchair': 'כיסא גלגלים ממונע',
+        'medicalProfile.aids.walker': 'הליכון',
+        'medicalProfile.aids.crutches': 'קביים',
+        'medicalProfile.aids.orthoses': 'מכשירים אורתופדיים',
+        'medicalProfile.aids.prosthesis': 'תותב',
+        'medicalProfile.aids.other': 'אחר',
+        'medicalProfile.mobilityNotes': 'הערות ניידות',
+        'medicalProfile.transferAssistance': 'כניסה ויציאה מהמכונית',
+        'medicalProfile.assistance.none': 'נכנס ויוצא לבד',
+        'medicalProfile.assistance.standby': 'צריך מישהו לידו',
+        'medicalProfile.assistance.one_person': 'הרמה על ידי אדם אחד',
+        'medicalProfile.assistance.two_person': 'הרמה על ידי שני אנשים',
+        'medicalProfile.assistance.hoist': 'מנוף הרמה',
+        'medicalProfile.transferNotes': 'הערות העברה',
+        'medicalProfile.additionalNotes': 'הערות רפואיות נוספות',
+        'medicalProfile.validation.tooLong': 'עד {max} תווים',
+        'medicalProfile.validation.allergenRequired': 'יש לציין למה הילד אלרגי',
+        'medicalProfile.validation.severityInvalid': 'יש לבחור חומרה',
+        'medicalProfile.validation.medicationRequired': 'יש להזין את שם התרופה',
+        'medicalProfile.validation.seizureActionsRequired': 'יש לתאר מה לעשות בזמן פרכוס',
+        'medicalProfile.validation.minutesInvalid': 'יש להזין מספר שלם של דקות',
+        'medicalProfile.validation.mobilityAidInvalid': 'עזר ניידות לא מוכר',
+        'medicalProfile.validation.assistanceInvalid': 'יש לבחור את העזרה הנדרשת בהעברה',
+        'medicalProfile.validation.contactRequired': 'יש להוסיף לפחות איש קשר אחד לחירום',
+        'medicalProfile.validation.tooManyContacts': 'ניתן להוסיף עד {max} אנשי קשר לחירום',
+        'medicalProfile.validation.contactNameRequired': 'יש להזין את שם איש הקשר',
+        'medicalProfile.validation.contactPhoneRequired': 'יש להזין את הטלפון של איש הקשר',
+        'medicalProfile.validation.phoneInvalid': 'יש להזין מספר טלפון תקין',
+
+        // Driving needs and vehicle matching
+        'needs.title': '♿ צרכי נהיגה',
+        'needs.steeringAbility': 'יכולת היגוי',
+        'needs.seatingSupport': 'תמיכת ישיבה',
+        'needs.notAssessed': 'לא הוערך',
+        'needs.remoteOverrideRequired': 'מבוגר חייב להיות מסוגל להשתלט עם השלט הרחוק',
+        'needs.hint': 'משמש להמלצה על רכב מתאים כשמשבצים לילד רכב בקבוצה.',
+        'needs.steering.independent': 'מהגה באופן עצמאי',
+        'needs.steering.limited': 'מהגה רק בהגה קל',
+        'needs.steering.none': 'לא יכול להגות',
+        'needs.seating.standard': 'מושב רגיל',
+        'needs.seating.lateral': 'תמיכות צד או רתמה',
+        'needs.seating.full': 'תמיכה יציבתית מלאה',
+        'validation.steeringAbilityInvalid': 'יש לבחור יכולת היגוי מהרשימה',
+        'validation.seatingSupportInvalid': 'יש לבחור רמת תמיכת ישיבה מהרשימה',
+        'addVehicle.seatingSupport': 'תמיכת ישיבה',
+        'addVehicle.selectSeatingSupport': 'בחר תמיכת ישיבה',
+        'addVehicle.remoteOverride': '🎮 שליטה מרחוק',
+        'editVehicle.seatingSupport': 'תמיכת ישיבה',
+        'editVehicle.selectSeatingSupport': 'בחר תמיכת ישיבה',
+        'editVehicle.remoteOverride': '🎮 שליטה מרחוק',
+        'viewVehicle.seatingSupport': 'תמיכת ישיבה',
+        'viewVehicle.remoteOverride': 'שליטה מרחוק',
+        'vehicleMatch.recommended': 'מומלץ',
+        'vehicleMatch.notSuitable': 'לא מתאים',
+        'vehicleMatch.recommendation': '⭐ ההתאמה הטובה ביותר: {vehicle}',
+        'vehicleMatch.confirmIncompatible': '{vehicle} לא מתאים ל{kidName}:\n{reasons}\n\nלשבץ בכל זאת?',
+        'vehicleMatch.issues.inactive': 'הרכב מושבת',
+        'vehicleMatch.issues.remoteOverrideMissing': 'הילד זקוק לשליטה מרחוק, ולרכב הזה אין',
+        'vehicleMatch.issues.cannotSteer': 'הילד לא יכול להגות, ולרכב הזה אין שליטה מרחוק',
+        'vehicleMatch.issues.manualSteering': 'היגוי ידני עלול להיות כבד מדי לילד הזה',
+        'vehicleMatch.issues.steeringUnknown': 'סוג ההיגוי של הרכב לא נרשם',
+        'vehicleMatch.issues.seatingInsufficient': 'המושב לא נותן את התמיכה שהילד צריך',
+        'vehicleMatch.issues.seatingUnknown': 'תמיכת הישיבה של הרכב לא נרשמה',
+
+        // Driving needs summary
+        'needs.remoteOverrideShort': 'זקוק לשליטה מרחוק',
+
+        // Event registrations
+        'registration.title': 'הרשמות',
+        'registration.titleFor': 'הרשמות: {eventName}',
+        'registration.viewRegistrations': 'הרשמות',
+        'registration.backToEvent': 'חזרה לאירוע',
+        'registration.loading': 'טוען הרשמות...',
+        'registration.addKid': 'רישום ילד',
+        'registration.addHint': 'מוצגים רק ילדים שעומדים בתנאי הזכאות של האירוע. מנהלים יכולים לרשום ילדים גם אחרי סגירת ההרשמה, אך לא מעבר לתפוסה; כשהאירוע מלא, הילדים נכנסים לרשימת ההמתנה.',
+        'registration.chooseKid': 'בחרו ילד...',
+        'registration.register': 'רישום',
+        'registration.registered': '{kidName} נרשם/ה',
+        'registration.listTitle': 'ילדים רשומים',
+        'registration.showCancelled': 'הצג הרשמות שבוטלו',
+        'registration.none': 'עדיין לא נרשמו ילדים לאירוע זה.',
+        'registration.kid': 'ילד',
+        'registration.team': 'צוות',
+        'registration.statusLabel': 'סטטוס',
+        'registration.registeredAt': 'נרשם',
+        'registration.registeredBy': 'נרשם על ידי',
+        'registration.eligibility': 'זכאות',
+        'registration.status.registered': 'רשום',
+        'registration.status.cancelled': 'בוטל',
+        'registration.cancel': 'ביטול הרשמה',
+        'registration.confirmCancel': 'לבטל את ההרשמה של {kidName}?',
+        'registration.cancelled': 'ההרשמה של {kidName} בוטלה',
+        'registration.registeredCount': 'רשומים',
+        'registration.placesLeft': 'מקומות פנויים',
+        'registration.open': 'פתוחה',
+        'registration.closed': 'סגורה',
+        'registration.openUntil': 'פתוחה עד {date}',
+        'registration.capacityOf': 'תפוסה {count}',
+        'registration.deadlineOn': 'מועד אחרון {date}',
+        'registration.noDeadline': 'ללא מועד אחרון',
+        'registration.notRegistered': 'הילדים הבאים לא נרשמו לאירוע:',
+        'registration.registrationFailed': 'התשובה שלכם נשמרה, אך לא ניתן היה לרשום את הילדים לאירוע. אנא פנו למארגנים.',
+        'registration.settings.title': 'הרשמה',
+        'registration.settings.open': 'ההרשמה פתוחה',
+        'registration.settings.openDescription': 'הורים ומדריכים יכולים לרשום ילדים עד המועד האחרון או עד שהאירוע מתמלא.',
+        'registration.settings.deadline': 'מועד אחרון להרשמה',
+        'registration.settings.capacity': 'תפוסה (ילדים)',
+        'registration.settings.minAge': 'גיל מינימלי',
+        'registration.settings.maxAge': 'גיל מקסימלי',
+        'registration.settings.noLimit': 'ללא הגבלה',
+        'registration.settings.requireDeclaration': 'נדרשת הצהרה חתומה',
+        'registration.settings.requireDeclarationDescription': 'רק ילדים עם הצהרה חתומה יכולים להירשם. הגיל נבדק לפי תאריך האירוע; כאשר הוגדרו צוותים, הילד חייב להשתייך לאחד הצוותים המשתתפים.',
+        'registration.validation.capacityInvalid': 'התפוסה חייבת להיות מספר שלם של 1 לפחות',
+        'registration.validation.ageInvalid': 'הגיל חייב להיות מספר שלם',
+        'registration.validation.ageRangeInvalid': 'הגיל המקסימלי לא יכול להיות נמוך מהגיל המינימלי',
+        'registration.validation.deadlineInvalid': 'הזינו תאריך תקין',
+        'registration.validation.deadlineAfterEvent': 'המועד האחרון לא יכול להיות אחרי תאריך האירוע',
+        'registration.issues.registrationClosed': 'ההרשמה לאירוע זה סגורה',
+        'registration.issues.deadlinePassed': 'המועד האחרון להרשמה עבר',
+        'registration.issues.eventFull': 'האירוע מלא',
+        'registration.issues.declarationMissing': 'לילד אין הצהרה חתומה',
+        'registration.issues.tooYoung': 'הילד מתחת לגיל המינימלי לאירוע זה',
+        'registration.issues.tooOld': 'הילד מעל הגיל המקסימלי לאירוע זה',
+        'registration.issues.ageUnknown': 'תאריך הלידה של הילד חסר, ולכן לא ניתן לבדוק את מגבלת הגיל',
+        'registration.issues.teamNotParticipating': 'הצוות של הילד אינו משתתף באירוע זה',
+        'registration.issues.alreadyRegistered': 'הילד כבר רשום',
+        'registration.issues.kidArchived': 'הילד בארכיון',
+
+        // Event waitlist and notifications
+        'registration.issues.alreadyWaitlisted': 'הילד/ה כבר ברשימת ההמתנה',
+        'registration.validation.cutoffInvalid': 'יש להזין מספר שעות שלם',
+        'registration.settings.waitlist': 'רשימת המתנה כשהאירוע מלא',
+        'registration.settings.waitlistDescription': 'כשהאירוע מלא, ילדים שעומדים בתנאים נכנסים לרשימת המתנה. כשמתפנה מקום, הילד/ה הראשון/ה ברשימה נרשם/ת וההורים מקבלים הודעה.',
+        'registration.settings.waitlistCutoff': 'עצירת קידום מרשימת ההמתנה (שעות לפני האירוע)',
+        'registration.status.waitlisted': 'ברשימת המתנה',
+        'registration.promoted': '{kidNames} עלו מרשימת ההמתנה',
+        'registration.waitlisted': '{kidName} ברשימת ההמתנה',
+        'registration.waitlistOff': 'רשימת המתנה כבויה',
+        'registration.promotionsUntil': 'ברשימת ההמתנה · קידום עד {date}',
+        'registration.onWaitlist': 'ברשימת ההמתנה',
+        'registration.promotionsStopped': 'ברשימת ההמתנה · הקידום הופסק',
+        'registration.joinedAt': 'הצטרפות',
+        'registration.moveUp': 'הזזה למעלה',
+        'registration.moveDown': 'הזזה למטה',
+        'registration.removeFromWaitlist': 'הסרה',
+        'registration.addToWaitlist': 'הוספה לרשימת ההמתנה',
+        'registration.waitlistTitle': 'רשימת המתנה',
+        'registration.waitlistHint': 'כשמתפנה מקום, הילד/ה הראשון/ה שעומד/ת בתנאים נרשם/ת וההורים מקבלים הודעה. ניתן לשנות את הסדר בעזרת החצים.',
+        'registration.manage': 'הרשמות ורשימת המתנה',
+        'registration.waitlistedNotice': 'האירוע מלא ולכן הילדים הבאים ברשימת ההמתנה: {kidNames}. נעדכן אתכם אם יתפנה מקום.',
+        'notifications.title': 'התראות',
+        'notifications.waitlistPromoted': 'התפנה מקום: {kidName} רשום/ה כעת ל{eventName}.',
+        'notifications.dismiss': 'הבנתי',
+
+        // Heat schedule
+        'heats.title': 'לוח מקצים',
+        'heats.titleFor': 'לוח מקצים: {eventName}',
+        'heats.viewSchedule': 'לוח מקצים',
+        'heats.backToRegistrations': 'חזרה להרשמות',
+        'heats.loading': 'טוען לוח מקצים...',
+        'heats.noRegistrations': 'עדיין אין ילדים רשומים לאירוע.',
+        'heats.heatSize': 'ילדים במקצה',
+        'heats.heatDuration': 'אורך מקצה (דקות)',
+        'heats.changeover': 'זמן החלפה (דקות)',
+        'heats.startTime': 'תחילת המקצה הראשון',
+        'heats.generateHint': 'הילדים הרשומים משובצים לפי מספר משתתף, ואחים ככל האפשר זה לצד זה. רכב משותף לכמה ילדים לעולם לא ישתתף בשני מקצים ברצף.',
+        'heats.generate': 'יצירת מקצים',
+        'heats.confirmRegenerate': 'להחליף את המקצים הנוכחיים, כולל שינויים ידניים?',
+        'heats.generated': 'נוצרו {count} מקצים',
+        'heats.save': 'שמירת הלוח',
+        'heats.saving': 'שומר...',
+        'heats.saved': 'לוח המקצים נשמר',
+        'heats.savedAt': 'נשמר {date}',
+        'heats.unsaved': 'שינויים שלא נשמרו',
+        'heats.printRunSheet': 'הדפסת דף מקצים',
+        'heats.heatNumber': 'מקצה {number}',
+        'heats.removeHeat': 'הסרת מקצה',
+        'heats.emptyHeat': 'הפסקה — אין ילדים במקצה זה',
+        'heats.addHeat': 'הוספת מקצה',
+        'heats.unscheduled': 'לא משובצים',
+        'heats.allScheduled': 'כל הילדים הרשומים משובצים. גררו ילד/ה לכאן כדי להוציא אותם מהמקצה.',
+        'heats.noVehicle': 'ללא רכב',
+        'heats.conflictsWarning': '{count} בעיות בלוח, ראו את המקצים המסומנים באדום',
+        'heats.runSheetTitle': 'דף מקצים: {eventName}',
+        'heats.heat': 'מקצה',
+        'heats.time': 'שעה',
+        'heats.vehicle': 'רכב',
+        'heats.break': 'הפסקה',
+        'heats.issues.noVehicle': 'לא שובץ רכב',
+        'heats.issues.vehicleTwiceInHeat': 'הרכב משובץ פעמיים במקצה זה',
+        'heats.issues.vehicleConsecutive': 'הרכב משתתף גם במקצה הקודם',
+        'heats.issues.heatOverSize': 'במקצה יותר ילדים מהמותר',
+        'heats.validation.heatSize': 'גודל המקצה חייב להיות מספר שלם, 1 לפחות',
+        'heats.validation.duration': 'אורך המקצה חייב להיות דקה אחת לפחות',
+        'heats.validation.changeover': 'זמן ההחלפה חייב להיות מספר שלם של דקות',
+        'heats.validation.startTime': 'יש להזין שעת התחלה (HH:MM)',
+
+        // Race results, leaderboards and season standings
+        'parent.raceResults': 'תוצאות מרוצים',
+        'viewKid.raceResults': '🏆 תוצאות המרוצים של {firstName}',
+        'results.title': 'תוצאות מרוץ',
+        'results.titleFor': 'תוצאות: {eventName}',
+        'results.viewResults': 'תוצאות',
+        'results.backToEvent': 'חזרה לאירוע',
+        'results.backToSeasons': 'חזרה לעונות',
+        'results.loading': 'טוען תוצאות...',
+        'results.entry': 'הזנת תוצאות',
+        'results.leaderboard': 'טבלת מובילים',
+        'results.seasonStandings': 'דירוג העונה',
+        'results.allKids': 'כל הילדים',
+        'results.finishPosition': 'מקום בסיום',
+        'results.dnf': 'לא סיים',
+        'results.lapTimes': 'זמני הקפה',
+        'results.lapPlaceholder': 'לדוגמה 65.3 או 1:05.3',
+        'results.addLap': 'הוספת הקפה',
+        'results.invalidLap': 'יש להקליד זמן הקפה כמו 65.3 או 1:05.3',
+        'results.awardsTitle': 'פרסים',
+        'results.customAward': 'פרס אחר...',
+        'results.addAward': 'הוספה',
+        'results.awards.bestSmile': 'החיוך הכי יפה',
+        'results.awards.mostImproved': 'השתפרות הכי גדולה',
+        'results.awards.sportsmanship': 'רוח ספורטיבית',
+        'results.awards.teamSpirit': 'רוח צוות',
+        'results.awards.bravestDriver': 'הנהג/ת האמיץ/ה',
+        'results.save': 'שמירת תוצאה',
+        'results.saving': 'שומר...',
+        'results.saved': 'התוצאה של {kidName} נשמרה',
+        'results.fastestLaps': 'ההקפות המהירות',
+        'results.noLapTimes': 'אין עדיין זמני הקפה.',
+        'results.noHeat': 'ללא מקצה',
+        'results.noResults': 'עדיין לא הוזנו תוצאות לאירוע זה.',
+        'results.standingsTitle': 'דירוג העונה: {seasonName}',
+        'results.pointsHint': 'נקודות לכל מקצה: {points} למקומות 1 עד {places}, ו-{participation} לכל ילד אחר שהשתתף.',
+        'results.raceCount': '{count} מרוצים בעונה זו.',
+        'results.noStandings': 'עדיין לא הוזנו תוצאות למרוצי העונה.',
+        'results.points': 'נקודות',
+        'results.races': 'מרוצים',
+        'results.wins': 'ניצחונות',
+        'results.podiums': 'פודיומים',
+        'results.bestLap': 'הקפה הטובה ביותר',
+        'results.event': 'אירוע',
+        'results.date': 'תאריך',
+        'results.unknownEvent': 'אירוע שנמחק',
+        'results.noKidResults': 'אין עדיין תוצאות מרוצים.',
+        'results.validation.position': 'המקום חייב להיות 1 ומעלה',
+        'results.validation.heat': 'מספר המקצה חייב להיות 1 ומעלה',
+        'results.validation.lapTimes': 'זמני ההקפה חייבים להיות מספר חיובי של שניות',
+        'results.validation.awards': 'שם פרס חייב להיות באורך 1 עד 60 תווים',
+
+        // Calendar downloads and feed
+        'events.addToCalendar': 'הוספה ליומן',
+        'calendarFeed.title': 'יומן אירועים',
+        'calendarFeed.description': 'הירשמו לאירועים שלכם ב-Google Calendar, ביומן של Apple או ב-Outlook. אירועים שמשתנים או מבוטלים מתעדכנים מעצמם. שמרו את הקישור לעצמכם: כל מי שיש לו את הקישור יכול לראות את האירועים שלכם.',
+        'calendarFeed.linkLabel': 'קישור היומן שלכם (מוצג רק עכשיו)',
+        'calendarFeed.subscribe': 'הוספה ליומן שלי',
+        'calendarFeed.copy': 'העתקת קישור',
+        'calendarFeed.copied': 'הקישור הועתק',
+        'calendarFeed.copyFailed': 'ההעתקה נכשלה, סמנו את הקישור והעתיקו אותו ידנית',
+        'calendarFeed.replace': 'קישור חדש',
+        'calendarFeed.create': 'יצירת קישור ליומן',
+        'calendarFeed.creating': 'יוצר...',
+        'calendarFeed.confirmReplace': 'יומנים שנרשמו עם הקישור הנוכחי יפסיקו להתעדכן. ליצור קישור חדש?',
+        'calendarFeed.replaceHint': 'יצירת קישור חדש מבטלת את הקישור הקודם.',
+
+        // Race-day check-in
+        'checkIn.title': 'צ\'ק-אין',
+        'checkIn.titleFor': 'צ\'ק-אין: {eventName}',
+        'checkIn.loading': 'טוען צ\'ק-אין...',
+        'checkIn.scan': 'סריקת כרטיסים',
+        'checkIn.stopScanning': 'עצירת סריקה',
+        'checkIn.cameraError': 'לא ניתן לפתוח את המצלמה. יש לאשר גישה למצלמה, או למצוא את הילד ברשימה למטה.',
+        'checkIn.cameraUnsupported': 'דפדפן זה אינו יכול להשתמש במצלמה. יש למצוא את הילד ברשימה למטה.',
+        'checkIn.unknownCode': 'זה אינו כרטיס משתתף',
+        'checkIn.checkIn': 'צ\'ק-אין',
+        'checkIn.checkedIn': '{kidName} הגיע/ה',
+        'checkIn.undo': 'ביטול צ\'ק-אין',
+        'checkIn.confirmUndo': 'לבטל את הצ\'ק-אין של {kidName}?',
+        'checkIn.arrivedAt': 'הגיע/ה ב-{time}',
+        'checkIn.arrivedCount': '{arrived} מתוך {total} הגיעו',
+        'checkIn.notArrived': 'טרם הגיע/ה',
+        'checkIn.offline': 'לא מקוון',
+        'checkIn.pendingCount': '{count} ממתינים לסנכרון',
+        'checkIn.pendingSync': 'ממתין לסנכרון',
+        'checkIn.search': 'חיפוש לפי שם או מספר...',
+        'checkIn.noRegistrations': 'אין ילדים רשומים לאירוע זה.',
+        'checkIn.vehicle': 'רכב',
+        'checkIn.noVehicle': 'לא שובץ',
+        'checkIn.emergencyNotes': 'הערות חירום',
+        'checkIn.noEmergencyNotes': 'לא נרשם דבר',
+        'checkIn.severeAllergies': 'אלרגיות חמורות',
+        'checkIn.allergies': 'אלרגיות',
+        'checkIn.seizures': 'קיים פרוטוקול פרכוסים',
+        'checkIn.medications': 'תרופות',
+        'checkIn.issues.notRegistered': 'לא רשום/ה לאירוע זה',
+        'checkIn.issues.waitlisted': 'ברשימת המתנה, לא רשום/ה',
+        'checkIn.issues.alreadyCheckedIn': 'כבר עשה/תה צ\'ק-אין',
+        'checkIn.issues.declarationMissing': 'אין הצהרה חתומה',
+        'checkIn.issues.formNotCompleted': 'טופס ההרשמה לא הושלם',
+        'participantCard.title': 'משתתף/ת פראגרוטרלי',
+        'participantCard.hint': 'יש להציג קוד זה בצ\'ק-אין',
+        'participantCard.qrAlt': 'קוד צ\'ק-אין',
+        'participantCard.print': 'הדפסת כרטיס',
+        'participantCard.printAll': 'הדפסת כרטיסי משתתפים',
+        'parent.checkInCode': 'קוד צ\'ק-אין',
+        'parent.checkInCodeHint': 'ביום המרוץ יש להציג קוד זה בכניסה, בטלפון או מודפס.',
+
+        // Volunteer shifts
+        'users.isVolunteer': 'מתנדב/ת: יכול/ה להירשם למשמרות באירועים',
+        'users.isVolunteerHint': 'הורים יכולים תמיד להתנדב.',
+        'volunteers.title': 'מתנדבים',
+        'volunteers.titleFor': 'מתנדבים: {eventName}',
+        'volunteers.manage': 'משמרות מתנדבים',
+        'volunteers.panelTitle': 'התנדבות',
+        'volunteers.loading': 'טוען משמרות...',
+        'volunteers.myShifts': 'המשמרות שלי',
+        'volunteers.noMyShifts': 'עדיין לא נרשמת לאף משמרת.',
+        'volunteers.openShifts': 'משמרות באירועים הקרובים',
+        'volunteers.noOpenShifts': 'עדיין לא פורסמו משמרות התנדבות.',
+        'volunteers.full': 'מלא',
+        'volunteers.slotsOpen': '{open} מתוך {slots} פנויים',
+        'volunteers.cancelShift': 'ביטול',
+        'volunteers.signUp': 'הרשמה',
+        'volunteers.signedUp': 'תודה! נרשמת למשמרת {shiftName}.',
+        'volunteers.confirmOverlap': 'המשמרת חופפת למשמרת {shiftName} שלך. להירשם בכל זאת?',
+        'volunteers.confirmRelease': 'לוותר על המקום שלך במשמרת {shiftName}?',
+        'volunteers.shiftGone': 'המשמרת הזו כבר לא קיימת',
+        'volunteers.shiftFull': 'המשמרת הזו כבר מלאה',
+        'volunteers.addShift': 'הוספת משמרת',
+        'volunteers.editShift': 'עריכת משמרת',
+        'volunteers.saveShift': 'שמירת משמרת',
+        'volunteers.shiftAdded': 'המשמרת נוספה',
+        'volunteers.shiftUpdated': 'המשמרת עודכנה',
+        'volunteers.role': 'תפקיד',
+        'volunteers.shiftTitle': 'כותרת (לא חובה)',
+        'volunteers.shiftTitlePlaceholder': 'למשל: סדרן, פנייה 3',
+        'volunteers.startTime': 'התחלה',
+        'volunteers.endTime': 'סיום',
+        'volunteers.slots': 'מספר מתנדבים נדרש',
+        'volunteers.notes': 'הערות למתנדבים',
+        'volunteers.shift': 'משמרת',
+        'volunteers.shifts': 'משמרות',
+        'volunteers.time': 'שעות',
+        'volunteers.filled': 'מאויש',
+        'volunteers.slotsFilled': 'מקומות מאוישים',
+        'volunteers.openSlots': 'מקומות פנויים',
+        'volunteers.openIn': 'מקומות פנויים, ב: {shifts}',
+        'volunteers.openSlotsCount': '{count} מקומות פנויים',
+        'volunteers.covered': 'כל המשמרות מאוישות',
+        'volunteers.noShifts': 'אין עדיין משמרות. הוסיפו את הראשונה למעלה.',
+        'volunteers.removeVolunteer': 'הסרה מהמשמרת',
+        'volunteers.confirmRemove': 'להסיר את {name} מהמשמרת {shiftName}?',
+        'volunteers.confirmDelete': 'למחוק את {shiftName}?',
+        'volunteers.confirmDeleteTaken': 'למחוק את {shiftName}? {count} מתנדבים כבר נרשמו אליה.',
+        'volunteers.roles.trackMarshal': 'סדרן מסלול',
+        'volunteers.roles.parking': 'חניה',
+        'volunteers.roles.kidBuddy': 'מלווה ילדים',
+        'volunteers.roles.setup': 'הקמה ופירוק',
+        'volunteers.roles.firstAid': 'עזרה ראשונה',
+        'volunteers.roles.other': 'אחר',
+        'volunteers.validation.role': 'יש לבחור תפקיד',
+        'volunteers.validation.title': 'הכותרת יכולה להכיל עד 60 תווים',
+        'volunteers.validation.startTime': 'יש להזין שעת התחלה',
+        'volunteers.validation.endTime': 'יש להזין שעת סיום',
+        'volunteers.validation.endAfterStart': 'המשמרת חייבת להסתיים אחרי שהיא מתחילה',
+        'volunteers.validation.slots': 'מספר המקומות חייב להיות בין 1 ל-{max}',
+        'volunteers.validation.slotsTaken': 'כבר נרשמו יותר מתנדבים',
+
+        // Event payments ledger
+        'nav.payments': 'תשלומים',
+        'payments.title': 'תשלומים',
+        'payments.titleFor': 'תשלומים: {eventName}',
+        'payments.balancesTitle': 'יתרות משפחות',
+        'payments.loading': 'טוען תשלומים...',
+        'payments.freeEvent': 'לאירוע הזה אין מחיר. כדי לגבות עליו יש להגדיר מחיר בעריכת האירוע.',
+        'payments.totalDue': 'סך לתשלום',
+        'payments.totalPaid': 'שולם',
+        'payments.outstandingFamilies': 'יתרה פתוחה, {count} משפחות',
+        'payments.dues': 'חיוב לכל ילד',
+        'payments.updateDues': 'עדכון חיובים ({count})',
+        'payments.duesChanged': 'ההרשמות או ההנחות השתנו מאז שהחיובים נשמרו. היתרות מחושבות לפי החיובים השמורים עד שתעדכנו אותם.',
+        'payments.duesSaved': 'החיובים עודכנו',
+        'payments.noRegistrations': 'עדיין אין ילדים רשומים לאירוע.',
+        'payments.kid': 'ילד/ה',
+        'payments.kids': 'ילדים',
+        'payments.family': 'משפחה',
+        'payments.price': 'מחיר',
+        'payments.siblingDiscount': 'הנחת אחים',
+        'payments.hardshipDiscount': 'הנחה מיוחדת',
+        'payments.hardshipPercent': 'הנחה מיוחדת (%)',
+        'payments.amountDue': 'לתשלום',
+        'payments.paid': 'שולם',
+        'payments.balance': 'יתרה',
+        'payments.familyBalances': 'יתרות משפחות',
+        'payments.noBalances': 'עדיין לא נשמרו חיובים לאירוע.',
+        'payments.recordFor': 'רישום תשלום',
+        'payments.recordPayment': 'רישום תשלום',
+        'payments.takePayment': 'גביית תשלום',
+        'payments.chooseFamily': 'בחירת משפחה',
+        'payments.amount': 'סכום ({currency})',
+        'payments.method': 'אמצעי תשלום',
+        'payments.receiptNumber': 'מספר קבלה',
+        'payments.paidOn': 'תאריך תשלום',
+        'payments.note': 'הערה',
+        'payments.recorded': 'נרשם תשלום של {amount}',
+        'payments.payments': 'תשלומים',
+        'payments.noPayments': 'עדיין לא נרשמו תשלומים.',
+        'payments.void': 'ביטול',
+        'payments.voided': 'בוטל',
+        'payments.confirmVoid': 'לבטל את התשלום של {amount} מ{family}? התשלום יישאר ביומן אך לא ייספר.',
+        'payments.declined': 'התשלום נדחה',
+        'payments.exportXlsx': 'ייצוא לגזבר (XLSX)',
+        'payments.nothingToExport': 'אין עדיין מה לייצא',
+        'payments.onlyOwing': 'רק משפחות עם יתרה פתוחה',
+        'payments.noOutstanding': 'אף משפחה אינה חייבת דבר.',
+        'payments.owedFor': 'חוב עבור',
+        'payments.export.sheet': 'יומן',
+        'payments.export.balancesSheet': 'יתרות',
+        'payments.export.type': 'רשומה',
+        'payments.export.charge': 'חיוב',
+        'payments.export.payment': 'תשלום',
+        'payments.export.date': 'תאריך',
+        'payments.export.family': 'משפחה',
+        'payments.export.kid': 'ילד/ה',
+        'payments.export.kids': 'ילדים',
+        'payments.export.due': 'לתשלום',
+        'payments.export.paid': 'שולם',
+        'payments.export.balance': 'יתרה',
+        'payments.export.currency': 'מטבע',
+        'payments.export.method': 'אמצעי תשלום',
+        'payments.export.receipt': 'קבלה',
+        'payments.export.note': 'הערה',
+        'payments.export.events': 'אירועים בחוב',
+        'payments.methods.cash': 'מזומן',
+        'payments.methods.bankTransfer': 'העברה בנקאית',
+        'payments.methods.bit': 'ביט',
+        'payments.methods.online': 'מקוון',
+        'payments.settings.title': 'דמי השתתפות',
+        'payments.settings.price': 'מחיר לילד',
+        'payments.settings.free': 'ללא תשלום',
+        'payments.settings.currency': 'מטבע',
+        'payments.settings.siblingDiscount': 'הנחת אחים (%)',
+        'payments.settings.siblingDiscountHint': 'לילד השני ואילך באותה משפחה. הנחות מיוחדות נקבעות לכל ילד בדף התשלומים של האירוע.',
+        'payments.validation.priceInvalid': 'המחיר חייב להיות סכום חיובי',
+        'payments.validation.currencyInvalid': 'יש לבחור מטבע',
+        'payments.validation.percentInvalid': 'יש להזין אחוז בין 0 ל-100',
+        'payments.validation.family': 'יש לבחור משפחה',
+        'payments.validation.amount': 'יש להזין סכום גדול מאפס',
+        'payments.validation.method': 'יש לבחור אמצעי תשלום',
+        'payments.validation.receiptNumber': 'יש להזין מספר קבלה',
+        'payments.validation.paidOn': 'יש להזין תאריך תשלום',
+
+        // Event lifecycle and cancellation
+        'events.ongoing': 'מתקיים',
+        'events.startNow': 'התחל עכשיו',
+        'events.markCompleted': 'סמן כהסתיים',
+        'events.statusScheduleHint': 'אירועים עוברים ל"מתקיים" בשעת ההתחלה ול"הסתיים" בשעת הסיום.',
+        'events.cancel.title': 'ביטול אירוע',
+        'events.cancel.intro': 'לא ניתן לבטל את ביטול "{eventName}". הביטול:',
+        'events.cancel.effectRegistrations': 'יבטל את כל ההרשמות וינקה את רשימת ההמתנה',
+        'events.cancel.effectVehicles': 'ישחרר את הרכבים וימחק את לוח המקצים',
+        'events.cancel.effectVolunteers': 'יפנה את כל משמרות המתנדבים',
+        'events.cancel.effectNotify': 'ישלח הודעה עם הסיבה למשפחות הרשומות ולמתנדבים',
+        'events.cancel.reason': 'סיבה',
+        'events.cancel.reasonPlaceholder': 'לדוגמה: המסלול הוצף אחרי הסערה',
+        'events.cancel.reasonRequired': 'יש להזין את סיבת הביטול',
+        'events.cancel.reasonTooLong': 'הסיבה צריכה להיות קצרה מ-500 תווים',
+        'events.cancel.keep': 'השאר את האירוע',
+        'events.cancel.cancelling': 'מבטל...',
+        'events.cancel.confirm': 'בטל אירוע',
+        'events.cancel.error': 'ביטול האירוע נכשל: {error}',
+        'events.cancel.done': 'האירוע בוטל. {registrations} הרשמות בוטלו, {volunteers} משמרות מתנדבים התפנו, {notified} אנשים קיבלו הודעה.',
+        'notifications.eventCancelledForKids': '{eventName} בוטל, ולכן {kidNames} לא יתחרו: {reason}',
+        'notifications.eventCancelled': '{eventName} בוטל והמשמרת שלך שוחררה: {reason}',
+
+        // Event end time
+        'events.create.endTime': 'שעת סיום',
+        'events.create.endTimeError': '*האירוע חייב להסתיים אחרי שהוא מתחיל',
+        'events.create.endTimeHint': 'השאירו ריק לאירוע של 3 שעות',
+
+        // Shirts
+        'shirts.title': 'חולצות',
+        'shirts.titleFor': 'חולצות: {eventName}',
+        'shirts.loading': 'טוען חולצות...',
+        'shirts.none': 'אף משפחה מגיעה עדיין לא ביקשה חולצות בטפסי ההרשמה של האירוע.',
+        'shirts.requested': 'חולצות שהוזמנו על ידי {count} משפחות',
+        'shirts.kidsAndExtra': 'ילדים / מלווים נוספים',
+        'shirts.toOrder': 'להזמנה',
+        'shirts.bySize': 'לפי מידה',
+        'shirts.byTeam': 'לפי קבוצה',
+        'shirts.size': 'מידה',
+        'shirts.forKids': 'ילדים',
+        'shirts.extra': 'מלווים נוספים',
+        'shirts.total': 'סה"כ',
+        'shirts.handedOut': 'חולקו בעבר',
+        'shirts.handedOutOf': 'מידה {size} שחולקה בעבר',
+        'shirts.handedOutHint': 'הזינו את החולצות שכבר יש למשפחות מעונות קודמות; הן לא ייכללו בהזמנה.',
+        'shirts.saveHandedOut': 'שמור חולצות שחולקו',
+        'shirts.handedOutSaved': 'החולצות מעונות קודמות נשמרו',
+        'shirts.team': 'קבוצה',
+        'shirts.noTeam': 'ללא קבוצה',
+        'shirts.checklist': 'רשימת חלוקה',
+        'shirts.family': 'משפחה',
+        'shirts.kids': 'ילדים',
+        'shirts.kidShirts': 'חולצות ילדים',
+        'shirts.extraShirts': 'חולצות נוספות',
+        'shirts.received': 'התקבל',
+        'shirts.exportOrder': 'ייצוא הזמנה לספק (XLSX)',
+        'shirts.printChecklist': 'הדפס רשימת חלוקה',
+        'shirts.nothingToOrder': 'אין חולצות להזמנה',
+        'shirts.quantity': 'כמות',
+        'shirts.export.sheet': 'הזמנה',
+        'shirts.validation.countInvalid': 'הזינו מספר שלם של חולצות',
+
+        // Venues
+        'nav.venues': 'מקומות',
+        'venues.title': 'מקומות',
+        'venues.venue': 'מקום',
+        'venues.allVenuesTitle': 'כל המקומות',
+        'venues.loading': 'טוען מקומות...',
+        'venues.noVenues': 'אין עדיין מקומות. הוסיפו את הראשון למטה.',
+        'venues.name': 'שם',
+        'venues.namePlaceholder': 'לדוגמה, פארק מירוצים ירושלים',
+        'venues.address': 'כתובת',
+        'venues.capacity': 'קיבולת',
+        'venues.capacityPlaceholder': 'מספר הילדים שהמקום יכול לארח',
+        'venues.facilitiesLabel': 'מתקנים',
+        'venues.contact': 'איש קשר',
+        'venues.contactPerson': 'איש קשר',
+        'venues.contactName': 'שם',
+        'venues.contactPhone': 'טלפון',
+        'venues.contactEmail': 'אימייל',
+        'venues.actions': 'פעולות',
+        'venues.edit': 'עריכה',
+        'venues.delete': 'מחיקה',
+        'venues.confirmDelete': 'למחוק את {name}?',
+        'venues.deleted': 'המקום נמחק',
+        'venues.created': 'המקום נוסף',
+        'venues.updated': 'המקום נשמר; {count} אירועים קרובים עודכנו',
+        'venues.createTitle': 'הוספת מקום',
+        'venues.editTitle': 'עריכת {name}',
+        'venues.cancelEdit': 'ביטול',
+        'venues.create': 'הוסף מקום',
+        'venues.save': 'שמור מקום',
+        'venues.parkingNotes': 'חניה',
+        'venues.parkingPlaceholder': 'איפה משפחות יכולות לחנות ומה חשוב לדעת',
+        'venues.accessibilityNotes': 'נגישות',
+        'venues.accessibilityPlaceholder': 'רמפות, מעברים ללא מדרגות, חניית נכים...',
+        'venues.historyTitle': 'אירועים במקום הזה',
+        'venues.loadingEvents': 'טוען אירועים...',
+        'venues.upcomingEvents': 'קרובים',
+        'venues.pastEvents': 'אירועים שהתקיימו',
+        'venues.noUpcomingEvents': 'אין כאן אירועים קרובים.',
+        'venues.noPastEvents': 'עדיין לא התקיימו כאן אירועים.',
+        'venues.noDate': 'ללא תאריך',
+        'venues.otherLocation': 'מקום אחר (הקלדה חופשית)',
+        'venues.fromVenueHint': 'נלקח מהמקום; אפשר לערוך אותו בעמוד המקומות.',
+        'venues.overCapacity': 'ב{name} יש מקום ל-{capacity} ילדים, פחות מ-{max} של האירוע',
+        'venues.facilities.toilets': 'שירותים',
+        'venues.facilities.accessibleToilets': 'שירותי נכים',
+        'venues.facilities.drinkingWater': 'מי שתייה',
+        'venues.facilities.shade': 'הצללה',
+        'venues.facilities.indoorSpace': 'חלל מקורה',
+        'venues.facilities.electricity': 'חשמל',
+        'venues.facilities.firstAidRoom': 'חדר עזרה ראשונה',
+        'venues.facilities.kitchen': 'מטבח',
+        'venues.validation.nameRequired': 'שם המקום הוא שדה חובה',
+        'venues.validation.nameTooLong': 'שם המקום חייב להיות קצר מ-100 תווים',
+        'venues.validation.addressRequired': 'כתובת היא שדה חובה',
+        'venues.validation.capacityInvalid': 'הקיבולת חייבת להיות מספר שלם גדול מ-0',
+        'venues.validation.facilityInvalid': 'מתקן לא מוכר',
+        'venues.validation.phoneInvalid': 'הזינו מספר טלפון תקין',
+        'venues.validation.emailInvalid': 'הזינו כתובת אימייל תקינה',
             }
         };
 
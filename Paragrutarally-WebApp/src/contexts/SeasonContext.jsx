@@ -0,0 +1,63 @@
+// src/contexts/SeasonContext.jsx - Seasons and the season selected in the navbar
+import React, { useCallback, useEffect, useState } from 'react';
+import { useAuth } from './AuthContext';
+import { SeasonContext } from '../hooks/useSeason';
+import { getAllSeasons } from '../services/seasonService';
+import { ALL_SEASONS, getActiveSeason } from '../schemas/seasonSchema';
+
+const STORAGE_KEY = 'pgr-selected-season';
+
+export const SeasonProvider = ({ children }) => {
+    const { currentUser } = useAuth();
+    const [seasons, setSeasons] = useState([]);
+    const [selection, setSelection] = useState(() => localStorage.getItem(STORAGE_KEY));
+    const [isLoading, setIsLoading] = useState(false);
+
+    const refreshSeasons = useCallback(async () => {
+        try {
+            setIsLoading(true);
+            setSeasons(await getAllSeasons());
+        } catch (error) {
+            console.error('Error loading seasons:', error);
+            setSeasons([]);
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        if (currentUser) {
+            refreshSeasons();
+        } else {
+            setSeasons([]);
+        }
+    }, [currentUser, refreshSeasons]);
+
+    const setSelectedSeasonId = (seasonId) => {
+        localStorage.setItem(STORAGE_KEY, seasonId);
+        setSelection(seasonId);
+    };
+
+    const activeSeason = getActiveSeason(seasons);
+
+    // Default to the active season; a stored choice wins while that season still exists
+    const selectedSeasonId = selection === ALL_SEASONS || seasons.some(season => season.id === selection)
+        ? selection
+        : activeSeason?.id || ALL_SEASONS;
+
+    const value = {
+        seasons,
+        activeSeason,
+        selectedSeasonId,
+        selectedSeason: seasons.find(season => season.id === selectedSeasonId) || null,
+        setSelectedSeasonId,
+        refreshSeasons,
+        isLoading
+    };
+
+    return (
+        <SeasonContext.Provider value={value}>
+            {children}
+        </SeasonContext.Provider>
+    );
+};
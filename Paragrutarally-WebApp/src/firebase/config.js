@@ -1,8 +1,14 @@
 // src/firebase/config.js
 import { initializeApp } from 'firebase/app';
-import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+import {
+    initializeFirestore,
+    connectFirestoreEmulator,
+    persistentLocalCache,
+    persistentMultipleTabManager
+} from 'firebase/firestore';
 import { getAuth, connectAuthEmulator } from 'firebase/auth';
 import { getStorage } from 'firebase/storage';
+import { getFunctions, connectFunctionsEmulator } from 'firebase/functions';
 
 function readEnv(key) {
     // In Vitest/Node, `import.meta.env` may be present but not include the values.
@@ -23,14 +29,21 @@ const firebaseConfig = {
 
 // Initialize Firebase
 const app = initializeApp(firebaseConfig);
-const db = getFirestore(app);
+// Cache Firestore in IndexedDB so screens used at the track (check-in) keep working with no
+// reception: reads come from the cache and writes queue until the connection returns.
+// Node (Vitest) has no IndexedDB and keeps the default memory cache.
+const db = initializeFirestore(app, typeof indexedDB === 'undefined' ? {} : {
+    localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+});
 const auth = getAuth(app);
 const storage = getStorage(app);
+const functions = getFunctions(app, 'us-central1');
 
 
 if (readEnv('VITE_USE_FIREBASE_EMULATORS') === 'true') {
     connectAuthEmulator(auth, "http://127.0.0.1:9099");
     connectFirestoreEmulator(db, '127.0.0.1', 8080);
+    connectFunctionsEmulator(functions, '127.0.0.1', 5001);
 }
 
-export {db, auth, storage};
+export {db, auth, storage, functions};
@@ -3,170 +3,36 @@ import { useState, useEffect, useContext, createContext, useCallback } from 'rea
 import { doc, getDoc } from 'firebase/firestore';
 import { db } from '../firebase/config';
 import { useAuth } from '../contexts/AuthContext';
+import { normalizeUserRole } from '../schemas/userSchema';
+import {
+    PERMISSION_COLLECTIONS,
+    canRoleEditField,
+    canRoleViewField,
+    getFieldPermissions
+} from '../schemas/permissionManifest';
 
 const PermissionContext = createContext();
 
-// FIELD-LEVEL PERMISSIONS CONFIGURATION
-const FIELD_PERMISSIONS = {
-    admin: {
-        // Admins can see and edit most fields
-        visible: [
-            'participantNumber',
-            'personalInfo.firstName',
-            'personalInfo.lastName',
-            'personalInfo.dateOfBirth',
-            'personalInfo.address',
-            'personalInfo.capabilities',
-            'personalInfo.announcersNotes',
-            'personalInfo.photo',
-            'parentInfo.name',
-            'parentInfo.email',
-            'parentInfo.phone',
-            'parentInfo.parentId',
-            'parentInfo.grandparentsInfo.names',
-            'parentInfo.grandparentsInfo.phone',
-            'teamId',
-            'instructorId',
-            'vehicleIds',
-            'signedDeclaration',
-            'signedFormStatus',
-            'additionalComments',
-            'comments.organization',
-            'comments.teamLeader',
-            'comments.parent',
-            'comments.familyContact',
-            'createdAt',
-            'updatedAt'
-        ],
-        editable: [
-            'participantNumber',
-            'personalInfo.address',
-            'personalInfo.capabilities',
-            'personalInfo.announcersNotes',
-            'personalInfo.photo',
-            'parentInfo.name',
-            'parentInfo.phone',
-            'parentInfo.parentId',
-            'parentInfo.grandparentsInfo.names',
-            'parentInfo.grandparentsInfo.phone',
-            'teamId',
-            'instructorId',
-            'vehicleIds',
-            'signedDeclaration',
-            'signedFormStatus',
-            'additionalComments',
-            'comments.organization'
-        ],
-        hidden: [] // Admins can see everything
-    },
-
-    instructor: {
-        // Team leaders can see kids assigned to them, edit purple fields
-        visible: [
-            'participantNumber',
-            'personalInfo.firstName',
-            'personalInfo.lastName',
-            'personalInfo.dateOfBirth',
-            'personalInfo.capabilities',
-            'personalInfo.announcersNotes',
-            'parentInfo.name',
-            'parentInfo.phone', // Can see parent contact for their kids
-            'teamId',
-            'instructorId',
-            'vehicleIds',
-            'signedFormStatus',
-            'additionalComments',
-            'comments.teamLeader',
-            'comments.organization',
-            'instructorsComments'
-        ],
-        editable: [
-            'personalInfo.capabilities',
-            'personalInfo.announcersNotes',
-            'comments.teamLeader',
-            'instructorsComments',
-            'vehicleIds'
-        ],
-        hidden: [
-            'parentInfo.email', // Red field - hidden from instructors
-            'parentInfo.parentId',
-            'parentInfo.grandparentsInfo',
-            'comments.parent',
-            'comments.familyContact',
-            'personalInfo.address' // Restricted access
-        ]
-    },
-
-    parent: {
-        // Parents can see ALL details of their own kids only
-        visible: [
-            'participantNumber',
-            'personalInfo.firstName',
-            'personalInfo.lastName',
-            'personalInfo.dateOfBirth',
-            'personalInfo.address',
-            'personalInfo.capabilities',
-            'personalInfo.announcersNotes',
-            'personalInfo.photo',
-            'parentInfo.name',
-            'parentInfo.email',
-            'parentInfo.phone',
-            'parentInfo.grandparentsInfo.names',
-            'parentInfo.grandparentsInfo.phone',
-            'teamId',
-            'signedDeclaration',
-            'signedFormStatus',
-            'additionalComments',
-            'comments.parent'
-        ],
-        editable: [
-            'comments.parent' // Parents can only edit their own comments
-        ],
-        hidden: [
-            'parentInfo.parentId', // System field
-            'comments.organization', // Red field for parents
-            'comments.teamLeader',   // Red field for parents
-            'comments.familyContact', // Red field for parents
-            'instructorId',
-            'instructorsComments'
-        ]
-    },
-
-    guest: {
-        // Temporary guests (kibbutz hosts) - can see only kids registered for events
-        visible: [
-            'participantNumber',
-            'personalInfo.firstName',
-            'personalInfo.lastName',
-            'personalInfo.capabilities',
-            'personalInfo.announcersNotes',
-            'teamId',
-            'signedFormStatus',
-            'additionalComments',
-            'comments.organization'
-        ],
-        editable: [
-            'comments.organization' // Guests can edit organization comments
-        ],
-        hidden: [
-            'personalInfo.dateOfBirth', // Red field for guests
-            'personalInfo.address',     // Red field for guests
-            'personalInfo.photo',       // Red field for guests
-            'parentInfo',              // Red field - all parent info hidden
-            'instructorId',
-            'vehicleIds',
-            'signedDeclaration',
-            'comments.parent',
-            'comments.teamLeader',
-            'comments.familyContact',
-            'instructorsComments'
-        ]
-    }
+// Parents are linked through parentIds; parentId is kept for older kid documents
+const isKidParent = (kid, user) => {
+    const parentInfo = kid?.parentInfo || {};
+    return Boolean(user?.uid) && (
+        (Array.isArray(parentInfo.parentIds) && parentInfo.parentIds.includes(user.uid)) ||
+        parentInfo.parentId === user.uid
+    );
 };
 
+// Team instructors are listed by uid in teams/{teamId}.instructorIds
+const isKidTeamInstructor = (kid, team, user) => Boolean(
+    user?.uid && kid?.teamId && team?.id === kid.teamId &&
+    Array.isArray(team.instructorIds) && team.instructorIds.includes(user.uid)
+);
+
 // ENHANCED ROLE-BASED PERMISSIONS WITH FIELD-LEVEL SUPPORT
 const createRolePermissions = (userRole = 'guest') => {
-    const permissions = FIELD_PERMISSIONS[userRole] || FIELD_PERMISSIONS.guest;
+    // Field lists live in the permission manifest; unknown roles get the host view
+    const manifestRole = normalizeUserRole(userRole) || userRole;
+    const permissions = getFieldPermissions(manifestRole);
 
     // Helper function to check if user can access kid
     const canViewKid = (kid, userData, user) => {
@@ -174,7 +40,7 @@ const createRolePermissions = (userRole = 'guest') => {
             case 'admin':
                 return true;
             case 'parent':
-                return kid?.parentInfo?.parentId === user?.uid;
+                return isKidParent(kid, user);
             case 'instructor':
                 return kid?.instructorId === userData?.instructorId;
             case 'host':
@@ -194,14 +60,30 @@ const createRolePermissions = (userRole = 'guest') => {
                 return kid?.instructorId === userData?.instructorId;
             case 'host':
             case 'guest':
-                return true; // Hosts can edit specific fields defined in FIELD_PERMISSIONS
+                return true; // Hosts can edit the fields the permission manifest allows
             case 'parent':
-                return kid?.parentInfo?.parentId === user?.uid;
+                return isKidParent(kid, user);
+            default:
+                return false;
+        }
+    };
+
+    // Medical profiles are for admins and the instructors of the kid's current team only
+    const canViewMedicalProfile = (kid, team, user) => {
+        switch (userRole) {
+            case 'admin':
+                return true;
+            case 'instructor':
+                return isKidTeamInstructor(kid, team, user);
             default:
                 return false;
         }
     };
 
+    const canEditMedicalProfile = (kid, team, user) =>
+        canViewMedicalProfile(kid, team, user) &&
+        canRoleEditField(manifestRole, 'emergencyContacts', 'kidMedicalProfiles');
+
     return {
         // Basic permissions
         canCreate: userRole === 'admin',
@@ -212,30 +94,26 @@ const createRolePermissions = (userRole = 'guest') => {
         // Kid-level permissions
         canViewKid,
         canEditKid,
+        canViewMedicalProfile,
+        canEditMedicalProfile,
 
         // Field-level permissions - THIS IS WHAT PROTECTEDFIELD EXPECTS
         canViewField: (fieldPath, context = {}) => {
-            const { kidData, vehicleData } = context;
-
-            // First check if field is explicitly hidden
-            if (permissions.hidden.includes(fieldPath)) {
-                return false;
-            }
+            const { kidData } = context;
 
             // Check if user can access this kid first
             if (kidData && !canViewKid(kidData, context.userData, context.user)) {
                 return false;
             }
 
-            // Check if field is in visible list
-            return permissions.visible.includes(fieldPath);
+            return canRoleViewField(manifestRole, fieldPath);
         },
 
         canEditField: (fieldPath, context = {}) => {
-            const { kidData, vehicleData } = context;
+            const { kidData } = context;
 
             // Must be able to view field first
-            if (!permissions.visible.includes(fieldPath)) {
+            if (!canRoleViewField(manifestRole, fieldPath)) {
                 return false;
             }
 
@@ -244,14 +122,13 @@ const createRolePermissions = (userRole = 'guest') => {
                 return false;
             }
 
-            // Check if field is in editable list
-            return permissions.editable.includes(fieldPath);
+            return canRoleEditField(manifestRole, fieldPath);
         },
 
         // Utility functions
-        getVisibleFields: () => permissions.visible,
-        getEditableFields: () => permissions.editable,
-        getHiddenFields: () => permissions.hidden,
+        getVisibleFields: () => permissions.view,
+        getEditableFields: () => permissions.edit,
+        getHiddenFields: () => PERMISSION_COLLECTIONS.kids.filter(field => !canRoleViewField(manifestRole, field)),
 
         role: userRole
     };
@@ -393,7 +270,7 @@ export const canUserAccessKid = (userRole, kid, userData, user) => {
             return true;
 
         case 'parent':
-            return kid.parentInfo?.parentId === user?.uid;
+            return isKidParent(kid, user);
 
         case 'instructor':
             return kid.instructorId === userData?.instructorId;
@@ -0,0 +1,17 @@
+// src/hooks/useSeason.js - The seasons and the season selected in the navbar
+import { createContext, useContext } from 'react';
+import { ALL_SEASONS } from '../schemas/seasonSchema';
+
+// Provided by SeasonProvider. Outside a provider (and before any season exists) nothing is
+// filtered by season.
+export const SeasonContext = createContext({
+    seasons: [],
+    activeSeason: null,
+    selectedSeasonId: ALL_SEASONS,
+    selectedSeason: null,
+    setSelectedSeasonId: () => {},
+    refreshSeasons: async () => {},
+    isLoading: false
+});
+
+export const useSeason = () => useContext(SeasonContext);
@@ -2,10 +2,12 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Dashboard from '../../components/layout/Dashboard';
+import DrivingNeedsFields from '../../components/kids/DrivingNeedsFields';
 import CreateUserModal from '../../components/modals/CreateUserModal';
 import { useTheme } from '../../contexts/ThemeContext';
 import { usePermissions } from '../../hooks/usePermissions.jsx';
 import { addKid, getNextParticipantNumber } from '../../services/kidService';
+import { PARTICIPANT_NUMBER_TAKEN } from '@/services/participantNumberService.js';
 import { getAllInstructors } from '../../services/teamService';
 import { uploadKidPhoto, validatePhotoFile, resizeImage, getKidPhotoInfo } from '@/services/kidPhotoService.js';
 import { createEmptyKid, validateKid, getFormStatusOptions } from '@/schemas/kidSchema.js';
@@ -55,6 +57,7 @@ const AddKidPage = () => {
     const [loadingError, setLoadingError] = useState(null);
     const [selectedTeamInstructor, setSelectedTeamInstructor] = useState('');
     const [loadingTeamInstructor, setLoadingTeamInstructor] = useState(false);
+    const [suggestedNumber, setSuggestedNumber] = useState('');
 
     // Parent selection state
     const [selectedParentId, setSelectedParentId] = useState('');
@@ -71,9 +74,37 @@ const AddKidPage = () => {
         loadInitialData();
     }, []);
 
+    // Without a suggestion the admin types the number in; addKid still checks it is free
+    const showNumberLoadError = (error) => {
+        setErrors(prev => ({
+            ...prev,
+            participantNumber: t('addKid.numberLoadError', 'Could not get the next race number: {error}. Type one in or try again.', { error: error.message })
+        }));
+        setFieldErrors(prev => ({ ...prev, participantNumber: true }));
+    };
+
+    // Teams can have their own number range, so refresh the suggestion unless it was typed over
+    const refreshSuggestedNumber = async (teamId) => {
+        if (formData.participantNumber !== suggestedNumber) return;
+
+        let nextNumber;
+        try {
+            nextNumber = await getNextParticipantNumber(teamId || null);
+        } catch (error) {
+            showNumberLoadError(error);
+            return;
+        }
+        setSuggestedNumber(nextNumber);
+        setFormData(prev => ({
+            ...prev,
+            participantNumber: prev.participantNumber === suggestedNumber ? nextNumber : prev.participantNumber
+        }));
+    };
+
     const handleTeamSelection = async (teamId) => {
         // Update the form data
         handleInputChange('teamId', teamId);
+        refreshSuggestedNumber(teamId);
 
         // Clear instructor info if no team selected
         if (!teamId) {
@@ -139,16 +170,14 @@ const AddKidPage = () => {
             // Load participant number first
             try {
                 const nextNumber = await getNextParticipantNumber();
+                setSuggestedNumber(nextNumber);
                 setFormData(prev => ({
                     ...prev,
                     participantNumber: nextNumber
                 }));
             } catch (error) {
                 console.error('Error loading participant number:', error);
-                setFormData(prev => ({
-                    ...prev,
-                    participantNumber: '001'
-                }));
+                showNumberLoadError(error);
             }
 
             // Load teams with better error handling
@@ -389,6 +418,13 @@ const AddKidPage = () => {
 
         } catch (error) {
             console.error('❌ Error adding kid:', error);
+            if (error.code === PARTICIPANT_NUMBER_TAKEN) {
+                setErrors({
+                    participantNumber: t('addKid.participantNumberTaken', 'Race number {number} is already used by another kid', { number: String(formData.participantNumber).trim() })
+                });
+                setFieldErrors({ participantNumber: true });
+                return;
+            }
             setErrors({ general: error.message || t('addKid.generalError', 'Failed to add kid. Please try again.') });
         } finally {
             setIsSubmitting(false);
@@ -679,6 +715,13 @@ const AddKidPage = () => {
                             </div>
                         </div>
 
+                        {/* Driving Needs */}
+                        <DrivingNeedsFields
+                            needs={formData.needs}
+                            errors={errors}
+                            onChange={handleInputChange}
+                        />
+
                         {/* Parent Information */}
                         <div className="form-section parent-section">
                             <div className="section-header">
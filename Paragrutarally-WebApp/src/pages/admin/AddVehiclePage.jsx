@@ -5,6 +5,7 @@ import Dashboard from '../../components/layout/Dashboard';
 import { useTheme } from '../../contexts/ThemeContext';
 import { usePermissions } from '../../hooks/usePermissions.jsx';
 import { useLanguage } from '../../contexts/LanguageContext';
+import { getSeatingSupportOptions } from '../../schemas/kidSchema';
 import { addVehicle, updateVehicle } from '../../services/vehicleService';
 import { getAllTeams } from '../../services/teamService';
 import { uploadVehiclePhoto } from '../../services/vehiclePhotoService';
@@ -17,6 +18,7 @@ import {
     IconBattery as Battery,
     IconEngine as Engine,
     IconSteeringWheel as Steering,
+    IconArmchair as Seat,
     IconUsers as Users,
     IconCalendar as Calendar,
     IconPhoto as Photo,
@@ -45,6 +47,8 @@ const AddVehiclePage = () => {
         steeringType: '',
         batteryType: '',
         batteryDate: '',
+        seatingSupport: '',
+        remoteOverride: false,
         modifications: '',
         notes: '',
         photo: '',
@@ -565,6 +569,34 @@ const AddVehiclePage = () => {
                                         onChange={(e) => handleInputChange('batteryDate', e.target.value)}
                                     />
                                 </div>
+
+                                <div className="form-group">
+                                    <label className="form-label">
+                                        <Seat className="label-icon" size={16} />
+                                        {t('addVehicle.seatingSupport', 'Seating Support')}
+                                    </label>
+                                    <select
+                                        value={formData.seatingSupport || ''}
+                                        onChange={(e) => handleInputChange('seatingSupport', e.target.value)}
+                                        className="form-select"
+                                    >
+                                        <option value="">{t('addVehicle.selectSeatingSupport', 'Select Seating Support')}</option>
+                                        {getSeatingSupportOptions(t).map(option => (
+                                            <option key={option.value} value={option.value}>{option.label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+
+                                <div className="form-group">
+                                    <label className="form-label checkbox-label">
+                                        <input
+                                            type="checkbox"
+                                            checked={Boolean(formData.remoteOverride)}
+                                            onChange={(e) => handleInputChange('remoteOverride', e.target.checked)}
+                                        />
+                                        {t('addVehicle.remoteOverride', '🎮 Remote-Control Override')}
+                                    </label>
+                                </div>
                             </div>
                         </div>
 
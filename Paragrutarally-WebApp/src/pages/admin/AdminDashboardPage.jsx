@@ -7,6 +7,8 @@ import Dashboard from '../../components/layout/Dashboard';
 import { useTheme } from '../../contexts/ThemeContext';
 import { useLanguage } from '../../contexts/LanguageContext';
 import { getVehicleStats } from '../../services/vehicleService';
+import { getRecentActivities } from '../../services/dashboardService';
+import { compareEventStarts, formatEventDate as formatDateInIsrael, getEventStart } from '../../utils/eventDateUtils';
 import {
     IconUsers as Users,
     IconCalendarEvent as Calendar,
@@ -89,19 +91,35 @@ const AdminDashboardPage = () => {
     };
 
     // Format event date utility
-    const formatEventDate = (dateString) => {
-        if (!dateString || dateString === 'Date TBD') return t('events.dateTBD', 'Date TBD');
+    const formatEventDate = (event) => formatDateInIsrael(event, isRTL ? 'he-IL' : 'en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric'
+    }) || t('events.dateTBD', 'Date TBD');
+
+    // Audit entries name the record; the sentence around it is translated here
+    const describeActivity = (activity) => {
+        const entityLabels = {
+            kids: t('dashboard.kid', 'Kid'),
+            teams: t('dashboard.team', 'Team'),
+            vehicles: t('dashboard.vehicle', 'Vehicle'),
+            events: t('dashboard.event', 'Event'),
+            users: t('dashboard.user', 'User')
+        };
+        const verbs = {
+            create: t('dashboard.wasCreated', 'was created'),
+            update: t('dashboard.wasUpdated', 'was updated'),
+            delete: t('dashboard.wasDeleted', 'was deleted')
+        };
+        const actorName = activity.actor?.name;
 
-        try {
-            const date = new Date(dateString);
-            return date.toLocaleDateString(isRTL ? 'he-IL' : 'en-US', {
-                month: 'short',
-                day: 'numeric',
-                year: 'numeric'
-            });
-        } catch (error) {
-            return dateString;
-        }
+        return (
+            <span>
+                {entityLabels[activity.collection] || activity.collection} <strong>{activity.label || activity.docId}</strong>{' '}
+                {verbs[activity.action] || verbs.update}
+                {actorName && ` ${t('dashboard.byActor', 'by {name}', { name: actorName })}`}.
+            </span>
+        );
     };
 
     // Fetch dashboard data from Firestore
@@ -122,9 +140,6 @@ const AdminDashboardPage = () => {
                 recentActivities: []
             };
 
-            // Array to collect all recent activities
-            const allActivities = [];
-
             // Fetch events
             const eventsQuery = query(
                 collection(db, 'events'),
@@ -141,48 +156,24 @@ const AdminDashboardPage = () => {
                     description: eventData.description || t('events.noDescription', 'No description available'),
                     location: eventData.location || t('events.locationTBD', 'Location TBD'),
                     date: eventData.date || t('events.dateTBD', 'Date TBD'),
+                    startsAt: getEventStart(eventData),
                     participants: eventData.attendees || 0,
                     status: eventData.status || 'upcoming',
                     createdAt: eventData.createdAt,
                     updatedAt: eventData.updatedAt
                 };
                 allEvents.push(event);
-
-                // Add event creation activity
-                if (eventData.createdAt) {
-                    allActivities.push({
-                        timestamp: eventData.createdAt,
-                        icon: '📅',
-                        description: t('dashboard.event', 'Event') + ` <strong>${event.name}</strong> ` + t('dashboard.wasCreated', 'was created') + '.',
-                        type: 'event_created'
-                    });
-                }
-
-                // Add event update activity if it was updated recently
-                if (eventData.updatedAt && eventData.updatedAt !== eventData.createdAt) {
-                    allActivities.push({
-                        timestamp: eventData.updatedAt,
-                        icon: '📝',
-                        description: t('dashboard.event', 'Event') + ` <strong>${event.name}</strong> ` + t('dashboard.wasUpdated', 'was updated') + '.',
-                        type: 'event_updated'
-                    });
-                }
             });
 
-            // Filter upcoming events
-            const now = new Date();
-            const upcomingEvents = allEvents.filter(event => {
-                if (event.status === 'upcoming' && event.date !== t('events.dateTBD', 'Date TBD')) {
-                    const eventDate = new Date(event.date);
-                    return eventDate >= now;
-                }
-                return event.status === 'upcoming';
-            });
+            // Filter upcoming events; the schedule moves them on once they start
+            const upcomingEvents = allEvents
+                .filter(event => event.status === 'upcoming')
+                .sort(compareEventStarts);
 
             data.stats.upcomingEventsCount = upcomingEvents.length;
             data.upcomingEvents = upcomingEvents.slice(0, 5);
 
-            // Fetch users with recent activity tracking
+            // Fetch users
             try {
                 const usersQuery = query(
                     collection(db, 'users'),
@@ -190,37 +181,12 @@ const AdminDashboardPage = () => {
                 );
                 const usersSnapshot = await getDocs(usersQuery);
                 data.stats.totalUsers = usersSnapshot.size;
-
-                // Add user activities
-                usersSnapshot.forEach((doc) => {
-                    const userData = doc.data();
-
-                    // User creation activity
-                    if (userData.createdAt) {
-                        allActivities.push({
-                            timestamp: userData.createdAt,
-                            icon: '👤',
-                            description: t('dashboard.newUser', 'New user') + ` <strong>${userData.displayName || userData.email || 'Unknown'}</strong> ` + t('dashboard.wasAdded', 'was added') + '.',
-                            type: 'user_created'
-                        });
-                    }
-
-                    // User update activity
-                    if (userData.updatedAt && userData.updatedAt !== userData.createdAt) {
-                        allActivities.push({
-                            timestamp: userData.updatedAt,
-                            icon: '👤',
-                            description: t('dashboard.user', 'User') + ` <strong>${userData.displayName || userData.email || 'Unknown'}</strong> ` + t('dashboard.wasUpdated', 'was updated') + '.',
-                            type: 'user_updated'
-                        });
-                    }
-                });
             } catch (userError) {
                 console.warn('Could not fetch users:', userError);
                 data.stats.totalUsers = 5;
             }
 
-            // Fetch kids with recent activity tracking
+            // Fetch kids
             try {
                 const kidsQuery = query(
                     collection(db, 'kids'),
@@ -228,37 +194,12 @@ const AdminDashboardPage = () => {
                 );
                 const kidsSnapshot = await getDocs(kidsQuery);
                 data.stats.totalKids = kidsSnapshot.size;
-
-                // Add kid activities
-                kidsSnapshot.forEach((doc) => {
-                    const kidData = doc.data();
-
-                    // Kid creation activity
-                    if (kidData.createdAt) {
-                        allActivities.push({
-                            timestamp: kidData.createdAt,
-                            icon: '👶',
-                            description: t('dashboard.newKid', 'New kid') + ` <strong>${kidData.personalInfo.firstName || 'Unknown'} ${kidData.personalInfo.lastName || ''}</strong> ` + t('dashboard.wasAdded', 'was added') + '.',
-                            type: 'kid_created'
-                        });
-                    }
-
-                    // Kid update activity
-                    if (kidData.updatedAt && kidData.updatedAt !== kidData.createdAt) {
-                        allActivities.push({
-                            timestamp: kidData.updatedAt,
-                            icon: '👶',
-                            description: t('dashboard.kid', 'Kid') + ` <strong>${kidData.personalInfo.firstName || 'Unknown'} ${kidData.personalInfo.lastName || ''}</strong> ` + t('dashboard.wasUpdated', 'was updated') + '.',
-                            type: 'kid_updated'
-                        });
-                    }
-                });
             } catch (kidError) {
                 console.warn('Could not fetch kids:', kidError);
                 data.stats.totalKids = 1;
             }
 
-            // Fetch teams with recent activity tracking
+            // Fetch teams
             try {
                 const teamsQuery = query(
                     collection(db, 'teams'),
@@ -266,90 +207,19 @@ const AdminDashboardPage = () => {
                 );
                 const teamsSnapshot = await getDocs(teamsQuery);
                 data.stats.activeTeams = teamsSnapshot.size;
-
-                // Add team activities
-                teamsSnapshot.forEach((doc) => {
-                    const teamData = doc.data();
-
-                    // Team creation activity
-                    if (teamData.createdAt) {
-                        allActivities.push({
-                            timestamp: teamData.createdAt,
-                            icon: '👥',
-                            description: t('dashboard.teamCreated', 'Team <strong>{teamName}</strong> was created.', {
-                                teamName: teamData.name || 'Unknown Team'
-                            }),
-                            type: 'team_created'
-                        });
-                    }
-
-                    // Team update activity
-                    if (teamData.updatedAt && teamData.updatedAt !== teamData.createdAt) {
-                        allActivities.push({
-                            timestamp: teamData.updatedAt,
-                            icon: '👥',
-                            description: t('dashboard.team', 'Team') + ` <strong>${teamData.name || 'Unknown Team'}</strong> ` + t('dashboard.wasUpdated', 'was updated') + '.',
-                            type: 'team_updated'
-                        });
-                    }
-                });
             } catch (teamError) {
                 console.warn('Could not fetch teams:', teamError);
                 data.stats.activeTeams = 2;
             }
 
-            // Fetch vehicles with recent activity tracking
+            // Fetch vehicle stats
             try {
-                const vehiclesQuery = query(
-                    collection(db, 'vehicles'),
-                    orderBy('createdAt', 'desc')
-                );
-                const vehiclesSnapshot = await getDocs(vehiclesQuery);
-
-                // Get vehicle stats
                 const vehicleStats = await getVehicleStats();
 
                 data.stats.totalVehicles = vehicleStats.total;
                 data.stats.activeVehicles = vehicleStats.active;
                 data.stats.vehiclesInUse = vehicleStats.inUse;
                 data.stats.availableVehicles = vehicleStats.available;
-
-                // Add vehicle activities
-                vehiclesSnapshot.forEach((doc) => {
-                    const vehicleData = doc.data();
-
-                    // Vehicle creation activity
-                    if (vehicleData.createdAt) {
-                        allActivities.push({
-                            timestamp: vehicleData.createdAt,
-                            icon: '🏎️',
-                            description: t('dashboard.newVehicle', 'New vehicle') + ` <strong>${vehicleData.name || vehicleData.model || 'Unknown Vehicle'}</strong> ` + t('dashboard.wasAdded', 'was added') + '.',
-                            type: 'vehicle_created'
-                        });
-                    }
-
-                    // Vehicle update activity
-                    if (vehicleData.updatedAt && vehicleData.updatedAt !== vehicleData.createdAt) {
-                        allActivities.push({
-                            timestamp: vehicleData.updatedAt,
-                            icon: '🏎️',
-                            description: t('dashboard.vehicle', 'Vehicle') + ` <strong>${vehicleData.name || vehicleData.model || 'Unknown Vehicle'}</strong> ` + t('dashboard.wasUpdated', 'was updated') + '.',
-                            type: 'vehicle_updated'
-                        });
-                    }
-
-                    // Vehicle status change activities
-                    if (vehicleData.statusChangedAt) {
-                        const statusIcon = vehicleData.status === 'active' ? '✅' : vehicleData.status === 'maintenance' ? '🔧' : '❌';
-                        allActivities.push({
-                            timestamp: vehicleData.statusChangedAt,
-                            icon: statusIcon,
-                            description: t('dashboard.vehicle', 'Vehicle') + ` <strong>${vehicleData.name || vehicleData.model || 'Unknown Vehicle'}</strong> ` +
-                                t('dashboard.statusChanged', 'status changed to') + ` <strong>${vehicleData.status}</strong>.`,
-                            type: 'vehicle_status_changed'
-                        });
-                    }
-                });
             } catch (vehicleError) {
                 console.warn('Could not fetch vehicles:', vehicleError);
                 data.stats.totalVehicles = 0;
@@ -358,21 +228,12 @@ const AdminDashboardPage = () => {
                 data.stats.availableVehicles = 0;
             }
 
-            // Sort all activities by timestamp (most recent first)
-            allActivities.sort((a, b) => {
-                const timeA = a.timestamp.toDate ? a.timestamp.toDate() : new Date(a.timestamp);
-                const timeB = b.timestamp.toDate ? b.timestamp.toDate() : new Date(b.timestamp);
-                return timeB - timeA;
-            });
-
-            // Filter activities from the last 30 days and take top 10
-            const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-            const recentActivities = allActivities.filter(activity => {
-                const activityTime = activity.timestamp.toDate ? activity.timestamp.toDate() : new Date(activity.timestamp);
-                return activityTime >= thirtyDaysAgo;
-            }).slice(0, 10);
-
-            data.recentActivities = recentActivities;
+            // Recent activities come from the audit log written by the audit triggers
+            const recentActivities = await getRecentActivities(10);
+            data.recentActivities = recentActivities.map(activity => ({
+                ...activity,
+                summary: describeActivity(activity)
+            }));
 
             // If no recent activities, add some helpful mock data
             if (data.recentActivities.length === 0) {
@@ -596,7 +457,7 @@ const AdminDashboardPage = () => {
                                             </div>
                                             <div className="activity-description">
                                                 <span className="activity-icon">{activity.icon}</span>
-                                                <span dangerouslySetInnerHTML={{__html: activity.description}}/>
+                                                {activity.summary || <span dangerouslySetInnerHTML={{__html: activity.description}}/>}
                                             </div>
                                         </div>
                                     ))
@@ -639,7 +500,7 @@ const AdminDashboardPage = () => {
                                         {dashboardData.upcomingEvents.slice(0, 5).map((event) => (
                                             <div key={event.id} className="event-item">
                                                 <div className="event-date">
-                                                    {formatEventDate(event.date)}
+                                                    {formatEventDate(event)}
                                                 </div>
                                                 <div className="event-name">
                                                     {event.name}
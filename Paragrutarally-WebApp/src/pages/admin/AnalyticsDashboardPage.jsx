@@ -5,12 +5,14 @@ import Dashboard from '../../components/layout/Dashboard';
 import { useTheme } from '../../contexts/ThemeContext';
 import { useLanguage } from '../../contexts/LanguageContext';
 import { usePermissions } from '../../hooks/usePermissions.jsx';
+import { useSeason } from '../../hooks/useSeason';
 import {
     getSystemOverview,
     getVehicleAnalytics,
     getTeamAnalytics,
     getParticipationAnalytics,
-    getPerformanceMetrics
+    getPerformanceMetrics,
+    getSeasonComparison
 } from '../../services/analyticsService';
 import {
     IconChartBar as Analytics,
@@ -30,7 +32,8 @@ import {
     IconFlag as Flag,
     IconTarget as Target,
     IconGauge as Gauge,
-    IconActivity as Activity
+    IconActivity as Activity,
+    IconCalendarStats as Seasons
 } from '@tabler/icons-react';
 import './AnalyticsDashboardPage.css';
 
@@ -82,6 +85,7 @@ const AnalyticsDashboardPage = () => {
     const { appliedTheme } = useTheme();
     const { userRole } = usePermissions();
     const { t } = useLanguage();
+    const { seasons, selectedSeasonId, selectedSeason } = useSeason();
 
     const [activeTab, setActiveTab] = useState('overview');
     const [isLoading, setIsLoading] = useState(true);
@@ -93,27 +97,31 @@ const AnalyticsDashboardPage = () => {
         vehicles: null,
         teams: null,
         participation: null,
-        performance: null
+        performance: null,
+        seasons: null
     });
 
     useEffect(() => {
         loadAnalyticsData();
-    }, []);
+    }, [selectedSeasonId, seasons]);
 
     const loadAnalyticsData = async () => {
         try {
             setIsLoading(true);
             setError(null);
 
-            const [overview, vehicles, teams, participation, performance] = await Promise.all([
-                getSystemOverview(),
+            // Everything but vehicles follows the season chosen in the navbar
+            const seasonOptions = { seasonId: selectedSeasonId };
+            const [overview, vehicles, teams, participation, performance, seasonComparison] = await Promise.all([
+                getSystemOverview(seasonOptions),
                 getVehicleAnalytics(),
-                getTeamAnalytics(),
-                getParticipationAnalytics(),
-                getPerformanceMetrics()
+                getTeamAnalytics(seasonOptions),
+                getParticipationAnalytics(seasonOptions),
+                getPerformanceMetrics(seasonOptions),
+                seasons.length > 0 ? getSeasonComparison(seasons) : []
             ]);
 
-            setAnalyticsData({ overview, vehicles, teams, participation, performance });
+            setAnalyticsData({ overview, vehicles, teams, participation, performance, seasons: seasonComparison });
             setLastUpdated(new Date());
         } catch (error) {
             console.error('Error loading analytics:', error);
@@ -128,7 +136,8 @@ const AnalyticsDashboardPage = () => {
         { id: 'vehicles', label: t('analytics.tabs.vehicles', 'Vehicles'), icon: Vehicle, description: t('analytics.tabs.vehiclesDesc', 'Usage & maintenance') },
         { id: 'teams', label: t('analytics.tabs.teams', 'Teams'), icon: Team, description: t('analytics.tabs.teamsDesc', 'Performance & capacity') },
         { id: 'participation', label: t('analytics.tabs.participation', 'Events'), icon: Participation, description: t('analytics.tabs.participationDesc', 'Participation & engagement') },
-        { id: 'maintenance', label: t('analytics.tabs.maintenance', 'Maintenance'), icon: Maintenance, description: t('analytics.tabs.maintenanceDesc', 'Alerts & recommendations') }
+        { id: 'maintenance', label: t('analytics.tabs.maintenance', 'Maintenance'), icon: Maintenance, description: t('analytics.tabs.maintenanceDesc', 'Alerts & recommendations') },
+        { id: 'seasons', label: t('analytics.tabs.seasons', 'Seasons'), icon: Seasons, description: t('analytics.tabs.seasonsDesc', 'Compare seasons') }
     ];
 
     if (isLoading) {
@@ -158,6 +167,9 @@ const AnalyticsDashboardPage = () => {
                         <div className="header-info">
                             <h2>{t('analytics.raceControlTitle', '🏁 Race Control Analytics')}</h2>
                             <p>{t('analytics.subtitle', 'Comprehensive data insights for your racing program')}</p>
+                            <small>
+                                {t('analytics.seasonScope', 'Season')}: {selectedSeason?.name || t('seasons.allSeasons', 'All Seasons')}
+                            </small>
                             {lastUpdated && (
                                 <small>{t('analytics.lastUpdated', 'Last updated')}: {lastUpdated.toLocaleTimeString()}</small>
                             )}
@@ -196,6 +208,7 @@ const AnalyticsDashboardPage = () => {
                             {activeTab === 'teams' && <TeamsTab data={analyticsData.teams} />}
                             {activeTab === 'participation' && <ParticipationTab data={analyticsData.participation} />}
                             {activeTab === 'maintenance' && <MaintenanceTab vehicles={analyticsData.vehicles} performance={analyticsData.performance} />}
+                            {activeTab === 'seasons' && <SeasonsTab data={analyticsData.seasons} />}
                         </div>
                     </div>
                 </div>
@@ -731,6 +744,80 @@ const ParticipationTab = ({ data }) => {
     );
 };
 
+// Seasons Tab Component
+const SeasonsTab = ({ data }) => {
+    const { t } = useLanguage();
+
+    if (!data) {
+        return (
+            <div className="loading-placeholder">
+                <div className="loading-spinner"></div>
+                {t('analytics.loadingSeasons', 'Loading season comparison...')}
+            </div>
+        );
+    }
+
+    if (data.length === 0) {
+        return (
+            <div className="tab-panel seasons-panel">
+                <div className="analytics-section">
+                    <p>{t('analytics.seasons.noSeasons', 'No seasons yet. Create one under Seasons to compare enrollment year over year.')}</p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="tab-panel seasons-panel">
+            <div className="analytics-section">
+                <h3>
+                    {t('analytics.seasons.title', '📅 Season Comparison')}
+                    <InfoTooltip
+                        title={t('analytics.tooltip.retention.title', 'Retention')}
+                        description={t('analytics.tooltip.retention.description', 'Share of the previous season\'s kids who are enrolled again in this season.')}
+                        action={t('analytics.tooltip.retention.action', 'Follow up on open re-enrollment invitations before the season starts.')}
+                    />
+                </h3>
+                <div className="table-container">
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>{t('analytics.seasons.season', 'Season')}</th>
+                                <th>{t('analytics.seasons.enrolled', 'Enrolled Kids')}</th>
+                                <th>{t('analytics.seasons.invited', 'Awaiting Reply')}</th>
+                                <th>{t('analytics.seasons.declined', 'Declined')}</th>
+                                <th>{t('analytics.seasons.completedForms', 'Completed Forms')}</th>
+                                <th>{t('analytics.seasons.teams', 'Teams')}</th>
+                                <th>{t('analytics.seasons.events', 'Events')}</th>
+                                <th>{t('analytics.seasons.participations', 'Participations')}</th>
+                                <th>{t('analytics.seasons.retention', 'Retention')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {data.map((season) => (
+                                <tr key={season.seasonId}>
+                                    <td>
+                                        {season.name}
+                                        {season.status === 'active' && ` (${t('seasons.status.active', 'Active')})`}
+                                    </td>
+                                    <td>{season.enrolledKids}</td>
+                                    <td>{season.invitedKids}</td>
+                                    <td>{season.declinedKids}</td>
+                                    <td>{season.completedForms}</td>
+                                    <td>{season.teams}</td>
+                                    <td>{season.events}</td>
+                                    <td>{season.participations}</td>
+                                    <td>{season.retentionRate === null ? '—' : `${season.retentionRate}%`}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+};
+
 // Maintenance Tab Component
 const MaintenanceTab = ({ vehicles, performance }) => {
     const { t } = useLanguage();
@@ -8,11 +8,27 @@ import Dashboard from '../../components/layout/Dashboard';
 import { useTheme } from '../../contexts/ThemeContext';
 import { usePermissions } from '../../hooks/usePermissions.jsx';
 import TeamAssignmentModal from '../../components/modals/TeamAssignmentModal'; // Import the NEW modal
+import EventRegistrationSettings from '../../components/events/EventRegistrationSettings';
+import EventPaymentSettings from '../../components/events/EventPaymentSettings';
+import EventLocationSettings from '../../components/events/EventLocationSettings';
 import { useLanguage } from '../../contexts/LanguageContext.jsx';
 import { getAllTeams } from '../../services/teamService';
+import { getAllVenues } from '../../services/venueService';
+import {
+    cleanRegistrationSettings,
+    createDefaultRegistrationSettings,
+    validateRegistrationSettings
+} from '../../schemas/eventRegistrationSchema';
+import {
+    cleanPaymentSettings,
+    createDefaultPaymentSettings,
+    validatePaymentSettings
+} from '../../schemas/paymentSchema';
+import { withActiveSeason } from '../../services/seasonService';
+import { calculateEventDuration } from '../../schemas/eventSchema';
+import { buildEventDates, formatEventDate as formatDateInIsrael, fromIsraelDateTime } from '../../utils/eventDateUtils';
 import {
     IconCalendarEvent as Calendar,
-    IconMapPin as MapPin,
     IconClock as Clock,
     IconUsers as Users,
     IconPhoto as Upload,
@@ -48,9 +64,12 @@ const CreateEventPage = () => {
         type: 'race',
         date: '',
         time: '',
+        endTime: '',
+        venueId: null,
         location: '',
         address: '',
-        maxParticipants: 50,
+        ...createDefaultRegistrationSettings(),
+        ...createDefaultPaymentSettings(),
         image: null,
         organizer: '',
         requirements: '',
@@ -69,6 +88,9 @@ const CreateEventPage = () => {
     const [teamsData, setTeamsData] = useState({});
     const [loadingTeams, setLoadingTeams] = useState(false);
 
+    // Venues to pick the location from
+    const [venues, setVenues] = useState([]);
+
     const eventTypes = [
         {
             id: 'race',
@@ -104,6 +126,12 @@ const CreateEventPage = () => {
         }
     }, [permissions, navigate, loading]);
 
+    useEffect(() => {
+        getAllVenues()
+            .then(setVenues)
+            .catch(error => console.error('Error loading venues:', error));
+    }, []);
+
     // Load teams data for participating teams display
     useEffect(() => {
         if (formData.participatingTeams.length > 0) {
@@ -169,13 +197,6 @@ const CreateEventPage = () => {
         setImagePreview(null);
     };
 
-    const adjustCapacity = (increment) => {
-        const newValue = formData.maxParticipants + increment;
-        if (newValue >= 1 && newValue <= 500) {
-            handleInputChange('maxParticipants', newValue);
-        }
-    };
-
     const validateForm = () => {
         const errors = {};
 
@@ -186,13 +207,17 @@ const CreateEventPage = () => {
         if (!formData.location.trim()) errors.location = true;
         if (!formData.address.trim()) errors.address = true;
         if (!formData.organizer.trim()) errors.organizer = true;
-        if (formData.maxParticipants < 1) errors.maxParticipants = true;
+        Object.assign(errors, validateRegistrationSettings(formData, formData.date, t).errors);
+        Object.assign(errors, validatePaymentSettings(formData, t).errors);
 
         // Check if date is in the future
-        const eventDateTime = new Date(`${formData.date}T${formData.time}`);
-        if (formData.date && formData.time && eventDateTime <= new Date()) {
+        const eventDateTime = fromIsraelDateTime(formData.date, formData.time);
+        if (eventDateTime && eventDateTime <= new Date()) {
             errors.dateTime = true;
         }
+        if (formData.time && formData.endTime && !calculateEventDuration(formData.time, formData.endTime).valid) {
+            errors.endTime = true;
+        }
 
         setFieldErrors(errors);
         return Object.keys(errors).length === 0;
@@ -343,15 +368,16 @@ const CreateEventPage = () => {
             const eventDoc = {
                 name: formData.name,
                 description: formData.description,
+                venueId: formData.venueId || null,
                 location: formData.location,
                 address: formData.address, // FIXED: Add address field
-                date: formData.date,
-                time: formData.time, // FIXED: Add time field
+                ...buildEventDates(formData), // date, time, startsAt and endsAt
                 organizer: formData.organizer, // FIXED: Add organizer field
                 notes: formData.requirements || t('events.create.defaultNotes', 'Additional notes about the event'),
                 status: "upcoming", // Default status for new events
                 attendees: 0, // Start with 0 attendees
-                maxParticipants: formData.maxParticipants, // Add max participants
+                ...cleanRegistrationSettings(formData),
+                ...cleanPaymentSettings(formData),
                 participatingTeams: formData.participatingTeams, // Add participating teams
                 image: imageUrl, // Add the uploaded image URL
                 hasGalleryFolder: formData.createGalleryFolder, // Track if gallery folder was created
@@ -361,7 +387,7 @@ const CreateEventPage = () => {
             };
 
             // Add document to Firestore
-            const docRef = await addDoc(collection(db, 'events'), eventDoc);
+            const docRef = await addDoc(collection(db, 'events'), await withActiveSeason(eventDoc, 'events'));
 
             // Extract the document ID
             const eventId = docRef.id;
@@ -447,18 +473,13 @@ const CreateEventPage = () => {
     // Format date for display
     const formatEventDate = () => {
         if (!formData.date) return t('events.create.dateNotSet', 'Not set');
-        const date = new Date(formData.date);
-        return date.toLocaleDateString(isRTL ? 'he-IL' : 'en-US', {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
-        });
+        return formatDateInIsrael({ date: formData.date }, isRTL ? 'he-IL' : 'en-US');
     };
 
     // Format time for display
     const formatEventTime = () => {
         if (!formData.time) return t('events.create.timeNotSet', 'Not set');
-        return formData.time;
+        return formData.endTime ? `${formData.time} - ${formData.endTime}` : formData.time;
     };
 
     return (
@@ -599,41 +620,30 @@ const CreateEventPage = () => {
                                     />
                                     {fieldErrors.time && <div className="field-error">{t('forms.requiredField', '*Required field')}</div>}
                                 </div>
+
+                                <div className="form-group">
+                                    <label className="form-label">{t('events.create.endTime', 'End Time')}</label>
+                                    <input
+                                        type="time"
+                                        className={`time-input ${fieldErrors.endTime ? 'error' : ''}`}
+                                        value={formData.endTime}
+                                        onChange={(e) => handleInputChange('endTime', e.target.value)}
+                                    />
+                                    {fieldErrors.endTime
+                                        ? <div className="field-error">{t('events.create.endTimeError', '*The event must end after it starts')}</div>
+                                        : <small className="field-hint">{t('events.create.endTimeHint', 'Leave empty for 3 hours')}</small>}
+                                </div>
                             </div>
                             {fieldErrors.dateTime && <div className="field-error">{t('events.create.futureDateTimeError', '*Event date and time must be in the future')}</div>}
                         </div>
 
                         {/* Location */}
-                        <div className="form-section event-location-section">
-                            <div className="section-header">
-                                <MapPin className="section-icon" size={24} />
-                                <h3>📍 {t('events.create.locationDetails', 'Location Details')}</h3>
-                            </div>
-
-                            <div className="form-group">
-                                <label className="form-label">{t('events.create.locationName', 'Location Name')} *</label>
-                                <input
-                                    type="text"
-                                    className={`form-input ${fieldErrors.location ? 'error' : ''}`}
-                                    placeholder={t('events.create.locationPlaceholder', 'e.g., Jerusalem Racing Park')}
-                                    value={formData.location}
-                                    onChange={(e) => handleInputChange('location', e.target.value)}
-                                />
-                                {fieldErrors.location && <div className="field-error">{t('forms.requiredField', '*Required field')}</div>}
-                            </div>
-
-                            <div className="form-group">
-                                <label className="form-label">{t('events.create.fullAddress', 'Full Address')} *</label>
-                                <input
-                                    type="text"
-                                    className={`form-input ${fieldErrors.address ? 'error' : ''}`}
-                                    placeholder={t('events.create.addressPlaceholder', 'Complete address of the event')}
-                                    value={formData.address}
-                                    onChange={(e) => handleInputChange('address', e.target.value)}
-                                />
-                                {fieldErrors.address && <div className="field-error">{t('forms.requiredField', '*Required field')}</div>}
-                            </div>
-                        </div>
+                        <EventLocationSettings
+                            settings={formData}
+                            venues={venues}
+                            errors={fieldErrors}
+                            onChange={handleInputChange}
+                        />
 
                         {/* Teams Section */}
                         <div className="form-section event-teams-section">
@@ -688,6 +698,18 @@ const CreateEventPage = () => {
                             </div>
                         </div>
 
+                        <EventRegistrationSettings
+                            settings={formData}
+                            errors={fieldErrors}
+                            onChange={handleInputChange}
+                        />
+
+                        <EventPaymentSettings
+                            settings={formData}
+                            errors={fieldErrors}
+                            onChange={handleInputChange}
+                        />
+
                         {/* Gallery & Media Section */}
                         <div className="form-section event-gallery-section">
                             <div className="section-header">
@@ -9,10 +9,31 @@ import { useTheme } from '../../contexts/ThemeContext';
 import { useLanguage } from '../../contexts/LanguageContext';
 import { usePermissions } from '../../hooks/usePermissions.jsx';
 import TeamAssignmentModal from '../../components/modals/TeamAssignmentModal';
+import EventRegistrationSettings from '../../components/events/EventRegistrationSettings';
+import EventPaymentSettings from '../../components/events/EventPaymentSettings';
+import EventLocationSettings from '../../components/events/EventLocationSettings';
 import { getAllTeams } from '../../services/teamService';
+import { getAllVenues } from '../../services/venueService';
+import { calculateEventDuration } from '../../schemas/eventSchema';
+import {
+    buildEventDates,
+    fromIsraelDateTime,
+    getEventDay,
+    getEventEndTime,
+    getEventStartTime
+} from '../../utils/eventDateUtils';
+import {
+    cleanRegistrationSettings,
+    createDefaultRegistrationSettings,
+    validateRegistrationSettings
+} from '../../schemas/eventRegistrationSchema';
+import {
+    cleanPaymentSettings,
+    createDefaultPaymentSettings,
+    validatePaymentSettings
+} from '../../schemas/paymentSchema';
 import {
     IconCalendarEvent as Calendar,
-    IconMapPin as MapPin,
     IconClock as Clock,
     IconUsers as Users,
     IconPhoto as Upload,
@@ -48,11 +69,15 @@ const EditEventPage = () => {
         type: 'race',
         date: '',
         time: '',
+        endTime: '',
+        venueId: null,
         location: '',
         address: '',
         organizer: '',
         requirements: '',
-        participatingTeams: []
+        participatingTeams: [],
+        ...createDefaultRegistrationSettings(),
+        ...createDefaultPaymentSettings()
     });
 
     const [originalImageUrl, setOriginalImageUrl] = useState(null);
@@ -69,6 +94,9 @@ const EditEventPage = () => {
     const [teamsData, setTeamsData] = useState({});
     const [loadingTeams, setLoadingTeams] = useState(false);
 
+    // Venues to pick the location from
+    const [venues, setVenues] = useState([]);
+
     const eventTypes = [
         {
             id: 'race',
@@ -104,6 +132,12 @@ const EditEventPage = () => {
         }
     }, [eventId]);
 
+    useEffect(() => {
+        getAllVenues()
+            .then(setVenues)
+            .catch(error => console.error('Error loading venues:', error));
+    }, []);
+
     // Load teams data for participating teams display
     useEffect(() => {
         if (formData.participatingTeams.length > 0) {
@@ -125,13 +159,26 @@ const EditEventPage = () => {
                     name: eventData.name || '',
                     description: eventData.description || '',
                     type: eventData.type || 'race',
-                    date: eventData.date || '',
-                    time: eventData.time || '',
+                    date: getEventDay(eventData),
+                    time: getEventStartTime(eventData),
+                    endTime: getEventEndTime(eventData),
+                    venueId: eventData.venueId || null,
                     location: eventData.location || '',
                     address: eventData.address || '',
                     organizer: eventData.organizer || '',
                     requirements: eventData.notes || '',
-                    participatingTeams: eventData.participatingTeams || []
+                    participatingTeams: eventData.participatingTeams || [],
+                    registrationOpen: eventData.registrationOpen !== false,
+                    registrationDeadline: eventData.registrationDeadline || '',
+                    maxParticipants: eventData.maxParticipants ?? createDefaultRegistrationSettings().maxParticipants,
+                    minAge: eventData.minAge ?? '',
+                    maxAge: eventData.maxAge ?? '',
+                    requireSignedDeclaration: eventData.requireSignedDeclaration !== false,
+                    waitlistEnabled: eventData.waitlistEnabled !== false,
+                    waitlistCutoffHours: eventData.waitlistCutoffHours ?? createDefaultRegistrationSettings().waitlistCutoffHours,
+                    price: eventData.price ?? '',
+                    currency: eventData.currency || createDefaultPaymentSettings().currency,
+                    siblingDiscountPercent: eventData.siblingDiscountPercent || ''
                 });
 
                 if (eventData.image && !eventData.image.includes('unsplash.com')) {
@@ -206,12 +253,17 @@ const EditEventPage = () => {
         if (!formData.location.trim()) errors.location = true;
         if (!formData.address.trim()) errors.address = true;
         if (!formData.organizer.trim()) errors.organizer = true;
+        Object.assign(errors, validateRegistrationSettings(formData, formData.date, t).errors);
+        Object.assign(errors, validatePaymentSettings(formData, t).errors);
 
         // Check if date is in the future (only for upcoming events)
-        const eventDateTime = new Date(`${formData.date}T${formData.time}`);
-        if (formData.date && formData.time && eventDateTime <= new Date()) {
+        const eventDateTime = fromIsraelDateTime(formData.date, formData.time);
+        if (eventDateTime && eventDateTime <= new Date()) {
             errors.dateTime = true;
         }
+        if (formData.time && formData.endTime && !calculateEventDuration(formData.time, formData.endTime).valid) {
+            errors.endTime = true;
+        }
 
         setFieldErrors(errors);
         return Object.keys(errors).length === 0;
@@ -297,13 +349,15 @@ const EditEventPage = () => {
             const eventDoc = {
                 name: formData.name,
                 description: formData.description,
+                venueId: formData.venueId || null,
                 location: formData.location,
                 address: formData.address,
-                date: formData.date,
-                time: formData.time,
+                ...buildEventDates(formData),
                 organizer: formData.organizer,
                 notes: formData.requirements || t('events.additionalNotesDefault', 'Additional notes about the event'),
                 participatingTeams: formData.participatingTeams,
+                ...cleanRegistrationSettings(formData),
+                ...cleanPaymentSettings(formData),
                 image: newImageUrl,
                 updatedAt: serverTimestamp()
             };
@@ -489,41 +543,30 @@ const EditEventPage = () => {
                                     />
                                     {fieldErrors.time && <div className="field-error">{t('events.requiredField', '*Required field')}</div>}
                                 </div>
+
+                                <div className="form-group">
+                                    <label className="form-label">{t('events.create.endTime', 'End Time')}</label>
+                                    <input
+                                        type="time"
+                                        className={`time-input ${fieldErrors.endTime ? 'error' : ''}`}
+                                        value={formData.endTime}
+                                        onChange={(e) => handleInputChange('endTime', e.target.value)}
+                                    />
+                                    {fieldErrors.endTime
+                                        ? <div className="field-error">{t('events.create.endTimeError', '*The event must end after it starts')}</div>
+                                        : <small className="field-hint">{t('events.create.endTimeHint', 'Leave empty for 3 hours')}</small>}
+                                </div>
                             </div>
                             {fieldErrors.dateTime && <div className="field-error">{t('events.futureDateTime', '*Event date and time must be in the future')}</div>}
                         </div>
 
                         {/* Location */}
-                        <div className="form-section event-location-section">
-                            <div className="section-header">
-                                <MapPin className="section-icon" size={24} />
-                                <h3>📍 {t('events.locationDetails', 'Location Details')}</h3>
-                            </div>
-
-                            <div className="form-group">
-                                <label className="form-label">{t('events.locationName', 'Location Name')} *</label>
-                                <input
-                                    type="text"
-                                    className={`form-input ${fieldErrors.location ? 'error' : ''}`}
-                                    placeholder={t('events.locationPlaceholder', 'e.g., Jerusalem Racing Park')}
-                                    value={formData.location}
-                                    onChange={(e) => handleInputChange('location', e.target.value)}
-                                />
-                                {fieldErrors.location && <div className="field-error">{t('events.requiredField', '*Required field')}</div>}
-                            </div>
-
-                            <div className="form-group">
-                                <label className="form-label">{t('events.fullAddress', 'Full Address')} *</label>
-                                <input
-                                    type="text"
-                                    className={`form-input ${fieldErrors.address ? 'error' : ''}`}
-                                    placeholder={t('events.addressPlaceholder', 'Complete address of the event')}
-                                    value={formData.address}
-                                    onChange={(e) => handleInputChange('address', e.target.value)}
-                                />
-                                {fieldErrors.address && <div className="field-error">{t('events.requiredField', '*Required field')}</div>}
-                            </div>
-                        </div>
+                        <EventLocationSettings
+                            settings={formData}
+                            venues={venues}
+                            errors={fieldErrors}
+                            onChange={handleInputChange}
+                        />
 
                         {/* Teams Section */}
                         <div className="form-section event-teams-section">
@@ -581,6 +624,18 @@ const EditEventPage = () => {
                             </div>
                         </div>
 
+                        <EventRegistrationSettings
+                            settings={formData}
+                            errors={fieldErrors}
+                            onChange={handleInputChange}
+                        />
+
+                        <EventPaymentSettings
+                            settings={formData}
+                            errors={fieldErrors}
+                            onChange={handleInputChange}
+                        />
+
                         {/* Gallery & Media Section */}
                         <div className="form-section event-gallery-section">
                             <div className="section-header">
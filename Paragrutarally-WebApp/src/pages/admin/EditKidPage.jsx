@@ -1,11 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams, useLocation } from 'react-router-dom';
 import Dashboard from '../../components/layout/Dashboard';
+import DrivingNeedsFields from '../../components/kids/DrivingNeedsFields';
 import CreateUserModal from '../../components/modals/CreateUserModal';
 import { useTheme } from '../../contexts/ThemeContext';
 import { useLanguage } from '../../contexts/LanguageContext';
 import { usePermissions } from '../../hooks/usePermissions.jsx';
 import { getKidById, updateKid } from '@/services/kidService.js';
+import { isParticipantNumberInUse, PARTICIPANT_NUMBER_TAKEN } from '@/services/participantNumberService.js';
 import { uploadKidPhoto, deleteKidPhoto, getKidPhotoInfo } from '@/services/kidPhotoService.js';
 import { getAllTeams, getAllInstructors, updateKidTeam } from '@/services/teamService.js';
 import {validateKid, getFormStatusInfo, getFormStatusOptions} from '@/schemas/kidSchema.js';
@@ -312,6 +314,13 @@ const EditKidPage = () => {
         return validation.isValid;
     };
 
+    const showParticipantNumberTaken = (participantNumber) => {
+        setErrors({
+            participantNumber: t('editKid.participantNumberTaken', 'Race number {number} is already used by another kid', { number: participantNumber })
+        });
+        setFieldErrors({ participantNumber: true });
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
 
@@ -324,6 +333,14 @@ const EditKidPage = () => {
         let finalFormData = { ...formData };
 
         try {
+            // Check the race number before touching the photo or team
+            const newNumber = String(formData.participantNumber).trim();
+            if (newNumber !== String(originalData?.participantNumber ?? '').trim()
+                && await isParticipantNumberInUse(newNumber, id)) {
+                showParticipantNumberTaken(newNumber);
+                return;
+            }
+
             // Upload photo if one was selected
             if (selectedPhoto) {
                 try {
@@ -387,6 +404,10 @@ const EditKidPage = () => {
             });
         } catch (error) {
             console.error('Error updating kid:', error);
+            if (error.code === PARTICIPANT_NUMBER_TAKEN) {
+                showParticipantNumberTaken(String(formData.participantNumber).trim());
+                return;
+            }
             setErrors({ general: t('editKid.updateError', 'Failed to update kid: {error}', { error: error.message }) });
             alert(t('editKid.updateError', 'Failed to update kid: {error}', { error: error.message }));
         } finally {
@@ -706,6 +727,13 @@ const EditKidPage = () => {
                             </div>
                         </div>
 
+                        {/* Driving Needs */}
+                        <DrivingNeedsFields
+                            needs={formData.needs}
+                            errors={errors}
+                            onChange={handleInputChange}
+                        />
+
                         {/* Parent Information - LOCKED */}
                         <div className="form-section parent-section">
                             <div className="section-header">
@@ -9,6 +9,7 @@ import { getTeamById, updateTeam, getAllInstructors, getAllTeams } from '@/servi
 import { getAllKids } from '@/services/kidService.js';
 import { getAllVehicles, getAvailableVehicles } from '@/services/vehicleService.js'; // NEW: Import vehicles
 import { validateTeam } from '@/schemas/teamSchema.js';
+import { getMatchIssueText, getVehicleMatch, rankVehiclesForKid } from '@/utils/vehicleMatchUtils.js';
 import {
     IconUsers as UsersGroup,
     IconDeviceFloppy as Save,
@@ -197,6 +198,20 @@ const EditTeamPage = () => {
 
 // Handle individual kid vehicle assignment
     const handleKidVehicleAssignment = async (kidId, vehicleId) => {
+        // Flag vehicles that do not fit the kid's driving needs before anything is saved
+        const kid = allKids.find(k => k.id === kidId);
+        const vehicle = allVehicles.find(v => v.id === vehicleId);
+        if (kid && vehicle) {
+            const match = getVehicleMatch(kid, vehicle);
+            if (!match.compatible && !window.confirm(t('vehicleMatch.confirmIncompatible', '{vehicle} is not suitable for {kidName}:\n{reasons}\n\nAssign it anyway?', {
+                vehicle: `${vehicle.make} ${vehicle.model}`,
+                kidName: `${kid.personalInfo?.firstName || ''} ${kid.personalInfo?.lastName || ''}`.trim(),
+                reasons: match.issues.filter(issue => issue.blocking).map(issue => `- ${getMatchIssueText(issue, t)}`).join('\n')
+            }))) {
+                return;
+            }
+        }
+
         try {
             // Get current kid data first
             const { getKidById } = await import('@/services/kidService.js');
@@ -718,6 +733,20 @@ const EditTeamPage = () => {
                                             return vehicle && kid.vehicleId === vId;
                                         });
 
+                                        // Rank the team's vehicles that no other kid in the team is using
+                                        const teamVehicles = formData.vehicleIds
+                                            .map(vehicleId => allVehicles.find(v => v.id === vehicleId))
+                                            .filter(Boolean);
+                                        const isAssignedToOther = (vehicleId) => formData.kidIds.some(otherKidId => {
+                                            if (otherKidId === kidId) return false;
+                                            const otherKid = allKids.find(k => k.id === otherKidId);
+                                            return otherKid?.vehicleId === vehicleId;
+                                        });
+                                        const rankedVehicles = rankVehiclesForKid(kid, teamVehicles.filter(v => !isAssignedToOther(v.id)));
+                                        const takenVehicles = teamVehicles.filter(v => isAssignedToOther(v.id));
+                                        const assignedMatch = rankedVehicles.find(match => match.vehicle.id === kid.vehicleId);
+                                        const recommendedMatch = rankedVehicles.find(match => match.recommended);
+
                                         return (
                                             <div key={kidId} className="kid-vehicle-assignment">
                                                 <div className="kid-info">
@@ -733,30 +762,39 @@ const EditTeamPage = () => {
                                                         className="vehicle-select"
                                                     >
                                                         <option value="">{t('teams.noVehicleAssigned', '🚫 No Vehicle Assigned')}</option>
-                                                        {formData.vehicleIds.map(vehicleId => {
-                                                            const vehicle = allVehicles.find(v => v.id === vehicleId);
-                                                            if (!vehicle) return null;
-
-                                                            // Check if vehicle is already assigned to another kid in this team
-                                                            const isAssignedToOther = formData.kidIds.some(otherKidId => {
-                                                                if (otherKidId === kidId) return false;
-                                                                const otherKid = allKids.find(k => k.id === otherKidId);
-                                                                return otherKid?.vehicleId === vehicleId;
-                                                            });
-
-                                                            return (
-                                                                <option
-                                                                    key={vehicleId}
-                                                                    value={vehicleId}
-                                                                    disabled={isAssignedToOther}
-                                                                >
-                                                                    {isAssignedToOther ? '🚫 ' : '🏎️ '}
-                                                                    {vehicle.make} {vehicle.model} ({vehicle.licensePlate})
-                                                                    {isAssignedToOther ? ' - Assigned' : ''}
-                                                                </option>
-                                                            );
-                                                        })}
+                                                        {rankedVehicles.map(({ vehicle, compatible, recommended }) => (
+                                                            <option key={vehicle.id} value={vehicle.id}>
+                                                                {recommended ? '⭐ ' : compatible ? '🏎️ ' : '⚠️ '}
+                                                                {vehicle.make} {vehicle.model} ({vehicle.licensePlate})
+                                                                {recommended && ` - ${t('vehicleMatch.recommended', 'Recommended')}`}
+                                                                {!compatible && ` - ${t('vehicleMatch.notSuitable', 'Not suitable')}`}
+                                                            </option>
+                                                        ))}
+                                                        {/* Vehicles already assigned to another kid in this team */}
+                                                        {takenVehicles.map(vehicle => (
+                                                            <option key={vehicle.id} value={vehicle.id} disabled>
+                                                                🚫 {vehicle.make} {vehicle.model} ({vehicle.licensePlate}) - Assigned
+                                                            </option>
+                                                        ))}
                                                     </select>
+
+                                                    {assignedMatch?.issues.length > 0 && (
+                                                        <ul className={`vehicle-match-issues ${assignedMatch.compatible ? 'warning' : 'blocking'}`}>
+                                                            {assignedMatch.issues.map(issue => (
+                                                                <li key={issue.code}>
+                                                                    <AlertTriangle size={14} />
+                                                                    {getMatchIssueText(issue, t)}
+                                                                </li>
+                                                            ))}
+                                                        </ul>
+                                                    )}
+                                                    {recommendedMatch && recommendedMatch.vehicle.id !== kid.vehicleId && (
+                                                        <div className="vehicle-match-recommendation">
+                                                            {t('vehicleMatch.recommendation', '⭐ Best fit: {vehicle}', {
+                                                                vehicle: `${recommendedMatch.vehicle.make} ${recommendedMatch.vehicle.model}`
+                                                            })}
+                                                        </div>
+                                                    )}
                                                 </div>
 
                                                 {assignedVehicle && (
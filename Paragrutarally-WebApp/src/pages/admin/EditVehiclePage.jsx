@@ -4,6 +4,7 @@ import { useNavigate, useParams } from 'react-router-dom';
 import Dashboard from '../../components/layout/Dashboard';
 import { useTheme } from '../../contexts/ThemeContext';
 import { useLanguage } from '../../contexts/LanguageContext';
+import { getSeatingSupportOptions } from '../../schemas/kidSchema';
 import { usePermissions } from '../../hooks/usePermissions.jsx';
 import { getVehicleById, updateVehicle } from '../../services/vehicleService';
 import { uploadVehiclePhoto, deleteVehiclePhoto } from '../../services/vehiclePhotoService';
@@ -16,6 +17,7 @@ import {
     IconBattery as Battery,
     IconEngine as Engine,
     IconSteeringWheel as Steering,
+    IconArmchair as Seat,
     IconUsers as Users,
     IconCalendar as Calendar,
     IconPhoto as Photo,
@@ -48,6 +50,8 @@ const EditVehiclePage = () => {
         steeringType: '',
         batteryType: '',
         batteryDate: '',
+        seatingSupport: '',
+        remoteOverride: false,
         modifications: '',
         notes: '',
         photo: '',
@@ -102,6 +106,8 @@ const EditVehiclePage = () => {
                     (typeof vehicleData.batteryDate === 'string' ?
                         vehicleData.batteryDate :
                         vehicleData.batteryDate.toISOString?.()?.split('T')[0] || '') : '',
+                seatingSupport: vehicleData.seatingSupport || '',
+                remoteOverride: Boolean(vehicleData.remoteOverride),
                 modifications: vehicleData.modifications || '',
                 notes: vehicleData.notes || '',
                 photo: vehicleData.photo || '',
@@ -272,6 +278,8 @@ const EditVehiclePage = () => {
             steeringType: formData.steeringType || '',
             batteryType: formData.batteryType || '',
             batteryDate: formData.batteryDate || '',
+            seatingSupport: formData.seatingSupport || '',
+            remoteOverride: Boolean(formData.remoteOverride),
             modifications: formData.modifications || '',
             notes: formData.notes || '',
             photo: formData.photo || '',
@@ -649,6 +657,34 @@ const EditVehiclePage = () => {
                                         onChange={(e) => handleInputChange('batteryDate', e.target.value)}
                                     />
                                 </div>
+
+                                <div className="form-group">
+                                    <label className="form-label">
+                                        <Seat className="label-icon" size={16} />
+                                        {t('editVehicle.seatingSupport', 'Seating Support')}
+                                    </label>
+                                    <select
+                                        value={formData.seatingSupport || ''}
+                                        onChange={(e) => handleInputChange('seatingSupport', e.target.value)}
+                                        className="form-select"
+                                    >
+                                        <option value="">{t('editVehicle.selectSeatingSupport', 'Select Seating Support')}</option>
+                                        {getSeatingSupportOptions(t).map(option => (
+                                            <option key={option.value} value={option.value}>{option.label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+
+                                <div className="form-group">
+                                    <label className="form-label checkbox-label">
+                                        <input
+                                            type="checkbox"
+                                            checked={Boolean(formData.remoteOverride)}
+                                            onChange={(e) => handleInputChange('remoteOverride', e.target.checked)}
+                                        />
+                                        {t('editVehicle.remoteOverride', '🎮 Remote-Control Override')}
+                                    </label>
+                                </div>
                             </div>
                         </div>
 
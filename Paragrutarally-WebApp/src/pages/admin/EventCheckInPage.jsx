@@ -0,0 +1,392 @@
+// src/pages/admin/EventCheckInPage.jsx - Race-day check-in: scan participant cards, see who has arrived, works offline
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import Dashboard from '../../components/layout/Dashboard';
+import QrScanner from '../../components/checkin/QrScanner';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { usePermissions } from '../../hooks/usePermissions.jsx';
+import { getKidFullName } from '../../schemas/kidSchema';
+import { getRegistrationId, isActiveRegistration } from '../../schemas/eventRegistrationSchema';
+import { getEventById } from '../../services/eventService';
+import {
+    checkInRegistration,
+    getEventRegistrations,
+    subscribeToEventRegistrations,
+    undoCheckIn
+} from '../../services/eventRegistrationService';
+import { getAllKids } from '../../services/kidService';
+import { getAllTeams } from '../../services/teamService';
+import { getAllVehicles } from '../../services/vehicleService';
+import { getMedicalProfile } from '../../services/medicalProfileService';
+import { getKidVehicleMap } from '../../utils/heatScheduleUtils';
+import {
+    canCheckIn,
+    getCheckInIssueText,
+    getCheckInIssues,
+    getEmergencyNotes,
+    parseCheckInCode
+} from '../../utils/checkInUtils';
+import {
+    IconQrcode as Qrcode,
+    IconArrowLeft as ArrowLeft,
+    IconCamera as Camera,
+    IconCameraOff as CameraOff,
+    IconCheck as Check,
+    IconAlertTriangle as AlertTriangle,
+    IconArrowBackUp as ArrowBackUp,
+    IconCloudOff as CloudOff,
+    IconSearch as Search
+} from '@tabler/icons-react';
+import './EventCheckInPage.css';
+
+const byId = (items) => Object.fromEntries(items.map(item => [item.id, item]));
+
+const formatArrival = (date) => (date instanceof Date
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : '');
+
+const EventCheckInPage = () => {
+    const navigate = useNavigate();
+    const { eventId } = useParams();
+    const { appliedTheme } = useTheme();
+    const { t } = useLanguage();
+    const { user } = usePermissions();
+
+    const [event, setEvent] = useState(null);
+    const [kids, setKids] = useState({});
+    const [teams, setTeams] = useState({});
+    const [vehicles, setVehicles] = useState({});
+    const [vehicleOf, setVehicleOf] = useState(new Map());
+    const [registrations, setRegistrations] = useState([]);
+    const [profiles, setProfiles] = useState({});
+    const [selectedKidId, setSelectedKidId] = useState(null);
+    const [isScanning, setIsScanning] = useState(false);
+    const [searchTerm, setSearchTerm] = useState('');
+    const [isOnline, setIsOnline] = useState(navigator.onLine);
+    const [isLoading, setIsLoading] = useState(true);
+    const [message, setMessage] = useState(null);
+
+    useEffect(() => {
+        let unsubscribe = null;
+        let cancelled = false;
+
+        const loadCheckIn = async () => {
+            setIsLoading(true);
+            try {
+                const [eventData, registrationData, kidData, teamData, vehicleData] = await Promise.all([
+                    getEventById(eventId),
+                    getEventRegistrations(eventId),
+                    getAllKids(),
+                    getAllTeams(),
+                    getAllVehicles()
+                ]);
+                if (cancelled) return;
+                if (!eventData) {
+                    setMessage({ type: 'error', text: t('events.eventNotFound', 'Event not found') });
+                    return;
+                }
+
+                setEvent(eventData);
+                setKids(byId(kidData));
+                setTeams(byId(teamData));
+                setVehicles(byId(vehicleData));
+                setVehicleOf(getKidVehicleMap(kidData, vehicleData));
+                setRegistrations(registrationData);
+
+                // Read every registered kid's medical profile now, so it is in the cache if the signal drops
+                const registeredKidIds = registrationData.filter(isActiveRegistration).map(registration => registration.kidId);
+                const profileEntries = await Promise.all(registeredKidIds.map(async (kidId) => {
+                    try {
+                        return [kidId, await getMedicalProfile(kidId)];
+                    } catch (error) {
+                        console.error('Error loading medical profile:', error);
+                        return [kidId, null];
+                    }
+                }));
+                if (cancelled) return;
+                setProfiles(Object.fromEntries(profileEntries));
+
+                unsubscribe = subscribeToEventRegistrations(
+                    eventId,
+                    setRegistrations,
+                    (error) => setMessage({ type: 'error', text: error.message })
+                );
+            } catch (error) {
+                console.error('Error loading check-in:', error);
+                setMessage({ type: 'error', text: error.message });
+            } finally {
+                if (!cancelled) setIsLoading(false);
+            }
+        };
+
+        loadCheckIn();
+        return () => {
+            cancelled = true;
+            if (unsubscribe) unsubscribe();
+        };
+    }, [eventId, t]);
+
+    useEffect(() => {
+        const handleOnline = () => setIsOnline(true);
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    const registrationOf = (kidId) => registrations.find(registration => registration.kidId === kidId) || null;
+    const registeredKidIds = registrations
+        .filter(registration => isActiveRegistration(registration) && kids[registration.kidId])
+        .map(registration => registration.kidId);
+    const arrivedCount = registeredKidIds.filter(kidId => registrationOf(kidId)?.checkedInAt).length;
+    const pendingCount = registrations.filter(registration => registration.pendingSync).length;
+
+    const kidName = (kidId) => (kids[kidId] ? getKidFullName(kids[kidId], t) : kidId);
+
+    const handleCheckIn = (kidId) => {
+        // Not awaited: offline, the write waits in the local queue and the snapshot shows it straight away
+        checkInRegistration(getRegistrationId(eventId, kidId), user?.uid).catch(error => {
+            setMessage({ type: 'error', text: error.message });
+        });
+        setMessage({
+            type: 'success',
+            text: t('checkIn.checkedIn', '{kidName} checked in', { kidName: kidName(kidId) })
+        });
+    };
+
+    const handleUndo = (kidId) => {
+        if (!window.confirm(t('checkIn.confirmUndo', 'Undo the check-in of {kidName}?', { kidName: kidName(kidId) }))) {
+            return;
+        }
+        undoCheckIn(getRegistrationId(eventId, kidId)).catch(error => {
+            setMessage({ type: 'error', text: error.message });
+        });
+        setMessage(null);
+    };
+
+    const handleScan = (text) => {
+        const kidId = parseCheckInCode(text);
+        if (!kidId || !kids[kidId]) {
+            setMessage({ type: 'error', text: t('checkIn.unknownCode', 'This is not a participant card') });
+            return;
+        }
+
+        setSelectedKidId(kidId);
+        const issues = getCheckInIssues(kids[kidId], registrationOf(kidId), event);
+        if (canCheckIn(issues)) {
+            handleCheckIn(kidId);
+        } else {
+            setMessage({ type: 'error', text: getCheckInIssueText(issues[0], t) });
+        }
+    };
+
+    const renderSelectedKid = () => {
+        const kid = kids[selectedKidId];
+        if (!kid) return null;
+
+        const registration = registrationOf(kid.id);
+        const issues = getCheckInIssues(kid, registration, event);
+        const notes = getEmergencyNotes(profiles[kid.id]);
+        const vehicle = vehicles[vehicleOf.get(kid.id)];
+        const hasEmergencyNotes = notes.severeAllergies.length > 0 || notes.otherAllergies.length > 0
+            || notes.hasSeizures || notes.medications.length > 0 || notes.notes;
+
+        return (
+            <div className={`checkin-kid ${registration?.checkedInAt ? 'arrived' : ''}`}>
+                <div className="checkin-kid-header">
+                    {kid.personalInfo?.photo ? (
+                        <img src={kid.personalInfo.photo} alt={getKidFullName(kid, t)} className="checkin-kid-photo" />
+                    ) : (
+                        <div className="checkin-kid-photo placeholder">{getKidFullName(kid, t).charAt(0)}</div>
+                    )}
+                    <div className="checkin-kid-details">
+                        <strong className="checkin-kid-name">{getKidFullName(kid, t)}</strong>
+                        {kid.participantNumber && <span>#{kid.participantNumber}</span>}
+                        <span>{t('registration.team', 'Team')}: {teams[kid.teamId]?.name || '—'}</span>
+                        <span>
+                            {t('checkIn.vehicle', 'Vehicle')}: {vehicle ? `${vehicle.make} ${vehicle.model}` : t('checkIn.noVehicle', 'None assigned')}
+                        </span>
+                    </div>
+                </div>
+
+                {issues.length > 0 && (
+                    <ul className="checkin-issues">
+                        {issues.map(issue => (
+                            <li key={issue}>
+                                <AlertTriangle size={16} />
+                                {getCheckInIssueText(issue, t)}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                <div className="checkin-emergency">
+                    <div className="checkin-label">{t('checkIn.emergencyNotes', 'Emergency Notes')}</div>
+                    {!hasEmergencyNotes ? (
+                        <p className="checkin-hint">{t('checkIn.noEmergencyNotes', 'Nothing recorded')}</p>
+                    ) : (
+                        <ul>
+                            {notes.severeAllergies.length > 0 && (
+                                <li className="severe">
+                                    {t('checkIn.severeAllergies', 'Severe allergies')}: {notes.severeAllergies.join(', ')}
+                                </li>
+                            )}
+                            {notes.otherAllergies.length > 0 && (
+                                <li>{t('checkIn.allergies', 'Allergies')}: {notes.otherAllergies.join(', ')}</li>
+                            )}
+                            {notes.hasSeizures && (
+                                <li className="severe">{t('checkIn.seizures', 'Has a seizure protocol')}</li>
+                            )}
+                            {notes.medications.length > 0 && (
+                                <li>{t('checkIn.medications', 'Medications')}: {notes.medications.join(', ')}</li>
+                            )}
+                            {notes.notes && <li>{notes.notes}</li>}
+                        </ul>
+                    )}
+                </div>
+
+                <div className="checkin-actions">
+                    {registration?.checkedInAt ? (
+                        <>
+                            <span className="checkin-arrived">
+                                <Check size={18} />
+                                {t('checkIn.arrivedAt', 'Arrived {time}', { time: formatArrival(registration.checkedInAt) })}
+                            </span>
+                            <button type="button" className="btn-secondary" onClick={() => handleUndo(kid.id)}>
+                                <ArrowBackUp className="btn-icon" size={18} />
+                                {t('checkIn.undo', 'Undo Check-in')}
+                            </button>
+                        </>
+                    ) : (
+                        <button
+                            type="button"
+                            className="btn-primary"
+                            disabled={!canCheckIn(issues)}
+                            onClick={() => handleCheckIn(kid.id)}
+                        >
+                            <Check className="btn-icon" size={18} />
+                            {t('checkIn.checkIn', 'Check In')}
+                        </button>
+                    )}
+                </div>
+            </div>
+        );
+    };
+
+    const term = searchTerm.trim().toLowerCase();
+    const listedKidIds = registeredKidIds
+        .filter(kidId => !term
+            || kidName(kidId).toLowerCase().includes(term)
+            || String(kids[kidId].participantNumber || '').includes(term))
+        .sort((a, b) => kidName(a).localeCompare(kidName(b)));
+
+    return (
+        <Dashboard requiredRole="admin">
+            <div className={`event-checkin-page ${appliedTheme}-mode`}>
+                <button className="back-button" onClick={() => navigate(`/admin/events/view/${eventId}`)}>
+                    <ArrowLeft size={18} />
+                    {t('results.backToEvent', 'Back to Event')}
+                </button>
+                <h1 className="page-title">
+                    <Qrcode size={32} className="page-title-icon" />
+                    {event
+                        ? t('checkIn.titleFor', 'Check-in: {eventName}', { eventName: event.name })
+                        : t('checkIn.title', 'Check-in')}
+                </h1>
+
+                {message && (
+                    <div className={`checkin-alert ${message.type}`}>{message.text}</div>
+                )}
+
+                {isLoading && !event ? (
+                    <p className="checkin-hint">{t('checkIn.loading', 'Loading check-in...')}</p>
+                ) : event && (
+                    <>
+                        <div className="checkin-status">
+                            <span className="checkin-count">
+                                {t('checkIn.arrivedCount', '{arrived} of {total} arrived', {
+                                    arrived: arrivedCount,
+                                    total: registeredKidIds.length
+                                })}
+                            </span>
+                            {!isOnline && (
+                                <span className="checkin-badge offline">
+                                    <CloudOff size={16} />
+                                    {t('checkIn.offline', 'Offline')}
+                                </span>
+                            )}
+                            {pendingCount > 0 && (
+                                <span className="checkin-badge pending">
+                                    {t('checkIn.pendingCount', '{count} waiting to sync', { count: pendingCount })}
+                                </span>
+                            )}
+                        </div>
+
+                        <button
+                            type="button"
+                            className={isScanning ? 'btn-secondary' : 'btn-primary'}
+                            onClick={() => setIsScanning(prev => !prev)}
+                        >
+                            {isScanning ? <CameraOff className="btn-icon" size={18} /> : <Camera className="btn-icon" size={18} />}
+                            {isScanning ? t('checkIn.stopScanning', 'Stop Scanning') : t('checkIn.scan', 'Scan Cards')}
+                        </button>
+                        {isScanning && <QrScanner onScan={handleScan} />}
+
+                        {renderSelectedKid()}
+
+                        <div className="checkin-search">
+                            <Search size={18} />
+                            <input
+                                type="text"
+                                className="form-input"
+                                placeholder={t('checkIn.search', 'Search by name or number...')}
+                                value={searchTerm}
+                                onChange={(e) => setSearchTerm(e.target.value)}
+                            />
+                        </div>
+
+                        {registeredKidIds.length === 0 ? (
+                            <p className="checkin-hint">{t('checkIn.noRegistrations', 'No kids are registered for this event.')}</p>
+                        ) : (
+                            <ul className="checkin-list">
+                                {listedKidIds.map(kidId => {
+                                    const registration = registrationOf(kidId);
+                                    return (
+                                        <li key={kidId}>
+                                            <button
+                                                type="button"
+                                                className={`checkin-row ${selectedKidId === kidId ? 'selected' : ''}`}
+                                                onClick={() => setSelectedKidId(kidId)}
+                                            >
+                                                <span className="checkin-row-name">
+                                                    {kids[kidId].participantNumber && `#${kids[kidId].participantNumber} `}
+                                                    {kidName(kidId)}
+                                                </span>
+                                                {registration?.checkedInAt ? (
+                                                    <span className={`checkin-row-status arrived ${registration.pendingSync ? 'pending' : ''}`}>
+                                                        <Check size={16} />
+                                                        {registration.pendingSync
+                                                            ? t('checkIn.pendingSync', 'Waiting to sync')
+                                                            : formatArrival(registration.checkedInAt)}
+                                                    </span>
+                                                ) : (
+                                                    <span className="checkin-row-status">{t('checkIn.notArrived', 'Not arrived')}</span>
+                                                )}
+                                            </button>
+                                        </li>
+                                    );
+                                })}
+                            </ul>
+                        )}
+                    </>
+                )}
+            </div>
+        </Dashboard>
+    );
+};
+
+export default EventCheckInPage;
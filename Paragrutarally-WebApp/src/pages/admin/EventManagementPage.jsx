@@ -9,7 +9,12 @@ import DeleteEventModal from '../../components/modals/DeleteEventModal';
 import ExportEventsModal from '../../components/modals/ExportEventsModal'; // Import the Export Modal
 import { useTheme } from '../../contexts/ThemeContext.jsx';
 import { useLanguage } from '../../contexts/LanguageContext.jsx';
+import { formatEventDate } from '../../utils/eventDateUtils';
 import { usePermissions } from '../../hooks/usePermissions.jsx';
+import { useSeason } from '../../hooks/useSeason';
+import { isInSeason } from '../../schemas/seasonSchema';
+import { getShiftCoverage } from '../../schemas/volunteerShiftSchema';
+import { getShiftsForEvents } from '../../services/volunteerShiftService';
 import {
     IconPlus as Plus,
     IconRefresh as RefreshCw,
@@ -30,7 +35,9 @@ import {
     IconMapPin as MapPin,
     IconUsers as Users,
     IconPhoto as Photo,
-    IconFolder as Folder
+    IconFolder as Folder,
+    IconClipboardCheck as ClipboardCheck,
+    IconHeartHandshake as HeartHandshake
 } from '@tabler/icons-react';
 import './EventManagementPage.css';
 
@@ -39,6 +46,7 @@ const EventManagementPage = () => {
     const { isDarkMode, appliedTheme } = useTheme();
     const { t, isRTL } = useLanguage();
     const { permissions } = usePermissions();
+    const { selectedSeasonId } = useSeason();
 
     // State for handling events and pagination
     const [events, setEvents] = useState([]);
@@ -50,6 +58,7 @@ const EventManagementPage = () => {
     const [isLoading, setIsLoading] = useState(true);
     const [selectedEvent, setSelectedEvent] = useState(null);
     const [error, setError] = useState(null);
+    const [shiftsByEvent, setShiftsByEvent] = useState({});
 
     // Delete modal state
     const [deleteModalOpen, setDeleteModalOpen] = useState(false);
@@ -79,6 +88,8 @@ const EventManagementPage = () => {
 
             querySnapshot.forEach((doc) => {
                 const data = doc.data();
+                if (!isInSeason(data, selectedSeasonId, 'events')) return;
+
                 eventsData.push({
                     id: doc.id,
                     name: data.name || t('events.unnamedEvent', 'Unnamed Event'),
@@ -86,11 +97,12 @@ const EventManagementPage = () => {
                     location: data.location || t('events.locationTBD', 'Location TBD'),
                     date: data.date || t('events.dateTBD', 'Date TBD'),
                     participants: data.attendees || 0,
-                    status: data.status || t('events.upcoming','upcoming'),
+                    status: data.status || 'upcoming',
                     notes: data.notes || '',
                     participatingTeams: data.participatingTeams || [],
                     hasGalleryFolder: data.hasGalleryFolder || false,
                     galleryFolderPath: data.galleryFolderPath || null,
+                    seasonId: data.seasonId || null,
                     createdAt: data.createdAt,
                     updatedAt: data.updatedAt,
                     image: data.image || 'https://images.unsplash.com/photo-1571019613454-1cb2f99b2d8b?w=400'
@@ -99,6 +111,7 @@ const EventManagementPage = () => {
 
             setEvents(eventsData);
             setFilteredEvents(eventsData);
+            loadShiftCoverage(eventsData.map(event => event.id));
 
         } catch (error) {
             console.error('Error fetching events:', error);
@@ -108,10 +121,24 @@ const EventManagementPage = () => {
         }
     };
 
+    // Volunteer shifts of the listed events; the coverage column stays empty if they fail to load
+    const loadShiftCoverage = async (eventIds) => {
+        try {
+            const shifts = eventIds.length > 0 ? await getShiftsForEvents(eventIds) : [];
+            const grouped = {};
+            shifts.forEach(shift => {
+                (grouped[shift.eventId] = grouped[shift.eventId] || []).push(shift);
+            });
+            setShiftsByEvent(grouped);
+        } catch (error) {
+            console.error('Error loading volunteer coverage:', error);
+        }
+    };
+
     // Load events on component mount
     useEffect(() => {
         fetchEvents();
-    }, [t]);
+    }, [t, selectedSeasonId]);
 
     // Get unique locations from events for the filter dropdown
     const getUniqueLocations = () => {
@@ -133,10 +160,7 @@ const EventManagementPage = () => {
                 event.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
                 event.location.toLowerCase().includes(searchTerm.toLowerCase());
 
-            const matchesStatus =
-                statusFilter === 'all' ||
-                (statusFilter === 'upcoming' && event.status === t('events.upcoming', 'upcoming')) ||
-                (statusFilter === 'completed' && event.status === t('events.completed', 'completed'));
+            const matchesStatus = statusFilter === 'all' || event.status === statusFilter;
 
             const matchesLocation =
                 locationFilter === 'all' ||
@@ -194,6 +218,16 @@ const EventManagementPage = () => {
         navigate(`/admin/events/edit/${eventId}`);
     };
 
+    // Handle registrations and waitlist of an event
+    const handleViewRegistrations = (eventId) => {
+        navigate(`/admin/events/registrations/${eventId}`);
+    };
+
+    // Handle volunteer shifts of an event
+    const handleViewVolunteers = (eventId) => {
+        navigate(`/admin/events/volunteers/${eventId}`);
+    };
+
     // Handle view gallery
     const handleViewGallery = (event) => {
         if (event.hasGalleryFolder) {
@@ -392,19 +426,29 @@ const EventManagementPage = () => {
     };
 
     // Format date for display
-    const formatDate = (dateString) => {
-        if (!dateString || dateString === t('events.dateTBD', 'Date TBD')) return dateString;
-
-        try {
-            const date = new Date(dateString);
-            return date.toLocaleDateString(isRTL ? 'he-IL' : 'en-US', {
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric'
-            });
-        } catch (error) {
-            return dateString;
-        }
+    const formatDate = (event) => formatEventDate(event, isRTL ? 'he-IL' : 'en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    }) || event.date;
+
+    // Filled/total volunteer slots of an event, flagged when shifts still have open slots
+    const renderCoverage = (eventId) => {
+        const shifts = shiftsByEvent[eventId] || [];
+        if (shifts.length === 0) return '—';
+
+        const coverage = getShiftCoverage(shifts);
+        return (
+            <span
+                className={`volunteer-coverage ${coverage.open > 0 ? 'gap' : 'covered'}`}
+                title={coverage.open > 0
+                    ? t('volunteers.openSlotsCount', '{count} open slots', { count: coverage.open })
+                    : t('volunteers.covered', 'All shifts covered')}
+            >
+                {coverage.filled}/{coverage.slots}
+                {coverage.open > 0 && <AlertTriangle size={14} />}
+            </span>
+        );
     };
 
     // Generate page numbers
@@ -444,8 +488,12 @@ const EventManagementPage = () => {
         switch (status) {
             case 'upcoming':
                 return t('events.upcoming', 'Upcoming Events');
+            case 'ongoing':
+                return t('events.ongoing', 'Ongoing');
             case 'completed':
                 return t('events.completed', 'Completed Events');
+            case 'cancelled':
+                return t('events.cancelled', 'Cancelled');
             case 'all':
                 return t('events.allEvents', 'All Events');
             default:
@@ -565,7 +613,9 @@ const EventManagementPage = () => {
                             >
                                 <option value="all">🌈 {t('events.allEvents', 'All Events')}</option>
                                 <option value="upcoming">🏁 {t('events.upcoming', 'Upcoming')}</option>
+                                <option value="ongoing">🏎️ {t('events.ongoing', 'Ongoing')}</option>
                                 <option value="completed">✅ {t('events.completed', 'Completed')}</option>
+                                <option value="cancelled">🚫 {t('events.cancelled', 'Cancelled')}</option>
                             </select>
                         </div>
 
@@ -615,13 +665,14 @@ const EventManagementPage = () => {
                                 <th><MapPin size={16} style={{ marginRight: '8px' }} />{t('events.location', 'Location')}</th>
                                 <th>👥 {t('events.participants', 'Participants')}</th>
                                 <th>📊 {t('events.status', 'Status')}</th>
+                                <th><HeartHandshake size={16} style={{ marginRight: '8px' }} />{t('volunteers.title', 'Volunteers')}</th>
                                 <th>⚡ {t('events.actions', 'Actions')}</th>
                             </tr>
                             </thead>
                             <tbody>
                             {isLoading ? (
                                 <tr>
-                                    <td colSpan="6" className="loading-cell">
+                                    <td colSpan="7" className="loading-cell">
                                         <div className="loading-content">
                                             <Clock className="loading-spinner" size={30} />
                                             {t('events.loading', 'Loading events...')}
@@ -630,7 +681,7 @@ const EventManagementPage = () => {
                                 </tr>
                             ) : filteredEvents.length === 0 ? (
                                 <tr>
-                                    <td colSpan="6">
+                                    <td colSpan="7">
                                         <div className="empty-state">
                                             <Calendar className="empty-icon" size={60} />
                                             <h3>{t('events.noEvents', 'No events found')}</h3>
@@ -669,16 +720,17 @@ const EventManagementPage = () => {
                                                 </div>
                                             </div>
                                         </td>
-                                        <td>{formatDate(event.date)}</td>
+                                        <td>{formatDate(event)}</td>
                                         <td>{event.location}</td>
                                         <td>{event.participants}</td>
                                         <td>
                                             <span className={`status-badge status-${event.status}`}>
                                                 {event.status === 'upcoming' && <Trophy size={14} style={{ marginRight: '4px' }} />}
                                                 {event.status === 'completed' && <Check size={14} style={{ marginRight: '4px' }} />}
-                                                {event.status === 'upcoming' ? t('events.upcoming', 'Upcoming') : t('events.completed', 'Completed')}
+                                                {getTranslatedStatusLabel(event.status)}
                                             </span>
                                         </td>
+                                        <td>{renderCoverage(event.id)}</td>
                                         <td>
                                             <div className="action-buttons-enhanced">
                                                 <button
@@ -695,6 +747,20 @@ const EventManagementPage = () => {
                                                 >
                                                     <Edit size={16} />
                                                 </button>
+                                                <button
+                                                    className="btn-action registrations"
+                                                    onClick={() => handleViewRegistrations(event.id)}
+                                                    title={t('registration.manage', 'Registrations & Waitlist')}
+                                                >
+                                                    <ClipboardCheck size={16} />
+                                                </button>
+                                                <button
+                                                    className="btn-action volunteers"
+                                                    onClick={() => handleViewVolunteers(event.id)}
+                                                    title={t('volunteers.manage', 'Volunteer Shifts')}
+                                                >
+                                                    <HeartHandshake size={16} />
+                                                </button>
                                                 {event.hasGalleryFolder && (
                                                     <button
                                                         className="btn-action gallery"
@@ -777,7 +843,7 @@ const EventManagementPage = () => {
                                     <div className="event-detail-item">
                                         <strong>{t('events.status', 'Status')}:</strong>
                                         <span className={`status-badge status-${selectedEvent.status}`}>
-                                            {selectedEvent.status === 'upcoming' ? t('events.upcoming', 'Upcoming') : t('events.completed', 'Completed')}
+                                            {getTranslatedStatusLabel(selectedEvent.status)}
                                         </span>
                                     </div>
                                     <div className="event-detail-item">
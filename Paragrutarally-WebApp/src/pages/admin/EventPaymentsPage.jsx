@@ -0,0 +1,565 @@
+// src/pages/admin/EventPaymentsPage.jsx - Fees of one event: what each registration owes, payments and family balances
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import Dashboard from '../../components/layout/Dashboard';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { usePermissions } from '../../hooks/usePermissions.jsx';
+import { getKidFullName } from '../../schemas/kidSchema';
+import {
+    MANUAL_PAYMENT_METHODS,
+    PAYMENT_METHODS,
+    buildEventCharges,
+    getFamilyBalances,
+    getPaymentMethodLabel,
+    isChargeChanged,
+    isPaidEvent,
+    validatePayment
+} from '../../schemas/paymentSchema';
+import { getEventById } from '../../services/eventService';
+import { getEventRegistrations } from '../../services/eventRegistrationService';
+import { getAllKids } from '../../services/kidService';
+import { getPaymentProvider } from '../../services/paymentProviders';
+import {
+    collectOnlinePayment,
+    getEventCharges,
+    getEventPayments,
+    recordPayment,
+    saveEventCharges,
+    voidPayment
+} from '../../services/paymentService';
+import { formatCurrency } from '../../utils/formatUtils';
+import { downloadExcel, jsonToExcel } from '../../utils/excelUtils';
+import {
+    IconCash as Cash,
+    IconArrowLeft as ArrowLeft,
+    IconDownload as Download,
+    IconRefresh as RefreshCw,
+    IconReceipt as Receipt
+} from '@tabler/icons-react';
+import './EventPaymentsPage.css';
+
+const pad = (value) => String(value).padStart(2, '0');
+const todayString = () => {
+    const now = new Date();
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+const createEmptyPayment = () => ({
+    familyId: '',
+    amount: '',
+    method: PAYMENT_METHODS.CASH,
+    receiptNumber: '',
+    paidOn: todayString(),
+    note: ''
+});
+
+const EventPaymentsPage = () => {
+    const navigate = useNavigate();
+    const { eventId } = useParams();
+    const { appliedTheme } = useTheme();
+    const { t, isRTL, currentLanguage } = useLanguage();
+    const { user } = usePermissions();
+    const [provider] = useState(() => getPaymentProvider());
+
+    const [event, setEvent] = useState(null);
+    const [registrations, setRegistrations] = useState([]);
+    const [kids, setKids] = useState({});
+    const [charges, setCharges] = useState([]);
+    const [payments, setPayments] = useState([]);
+    const [hardshipEdits, setHardshipEdits] = useState({});
+    const [form, setForm] = useState(createEmptyPayment());
+    const [errors, setErrors] = useState({});
+    const [isLoading, setIsLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const loadLedger = useCallback(async () => {
+        setIsLoading(true);
+        try {
+            const [eventData, registrationData, kidData, chargeData, paymentData] = await Promise.all([
+                getEventById(eventId),
+                getEventRegistrations(eventId),
+                getAllKids({ includeArchived: true }),
+                getEventCharges(eventId),
+                getEventPayments(eventId)
+            ]);
+            if (!eventData) {
+                setMessage({ type: 'error', text: t('events.eventNotFound', 'Event not found') });
+                return;
+            }
+            setEvent(eventData);
+            setRegistrations(registrationData);
+            setKids(Object.fromEntries(kidData.map(kid => [kid.id, kid])));
+            setCharges(chargeData);
+            setPayments(paymentData);
+            setHardshipEdits({});
+        } catch (error) {
+            console.error('Error loading event payments:', error);
+            setMessage({ type: 'error', text: error.message });
+        } finally {
+            setIsLoading(false);
+        }
+    }, [eventId, t]);
+
+    useEffect(() => {
+        loadLedger();
+    }, [loadLedger]);
+
+    const currency = event?.currency || 'ILS';
+    const locale = isRTL ? 'he-IL' : 'en-US';
+    const money = (amount, code = currency) => formatCurrency(amount, code, locale);
+    const kidName = (kidId) => (kids[kidId] ? getKidFullName(kids[kidId], t) : kidId);
+
+    // Dues as they would be now: stored charges with the admin's hardship edits, redone from the registrations
+    const storedById = Object.fromEntries(charges.map(charge => [charge.id, charge]));
+    const withEdits = [
+        ...charges.map(charge => (charge.id in hardshipEdits ? { ...charge, hardshipPercent: hardshipEdits[charge.id] } : charge)),
+        ...Object.entries(hardshipEdits)
+            .filter(([id]) => !storedById[id])
+            .map(([id, hardshipPercent]) => ({ id, hardshipPercent }))
+    ];
+    const calculated = event
+        ? buildEventCharges(event, registrations, kids, withEdits)
+        : [];
+    const changedCharges = calculated.filter(charge => isChargeChanged(charge, storedById[charge.id]));
+    const balances = getFamilyBalances(charges, payments);
+    const totals = balances.reduce((sum, balance) => ({
+        due: sum.due + balance.due,
+        paid: sum.paid + balance.paid,
+        owing: sum.owing + (balance.balance > 0 ? 1 : 0)
+    }), { due: 0, paid: 0, owing: 0 });
+
+    const familyLabel = (entry) =>
+        entry.familyName || (entry.kidIds || [entry.kidId]).filter(Boolean).map(kidName).join(', ') || entry.familyId;
+    const families = Object.values(Object.fromEntries(
+        [...calculated, ...balances].map(entry => [entry.familyId, { familyId: entry.familyId, label: familyLabel(entry) }])
+    )).sort((a, b) => a.label.localeCompare(b.label));
+
+    const methods = provider ? Object.values(PAYMENT_METHODS) : MANUAL_PAYMENT_METHODS;
+
+    const handleHardshipChange = (chargeId, value) => {
+        const percent = Math.min(100, Math.max(0, Number(value) || 0));
+        setHardshipEdits(prev => ({ ...prev, [chargeId]: percent }));
+    };
+
+    const handleSaveCharges = async () => {
+        setIsSaving(true);
+        try {
+            await saveEventCharges(changedCharges, user.uid);
+            setMessage({ type: 'success', text: t('payments.duesSaved', 'Dues updated') });
+            await loadLedger();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const updateForm = (changes) => {
+        setForm(prev => ({ ...prev, ...changes }));
+        setErrors({});
+    };
+
+    const handlePayFor = (balance) => {
+        updateForm({ familyId: balance.familyId, amount: balance.balance > 0 ? String(balance.balance) : '' });
+    };
+
+    const handleRecordPayment = async () => {
+        const family = families.find(item => item.familyId === form.familyId);
+        const payment = { ...form, familyName: family?.label || '', currency };
+        const validation = validatePayment(payment, t);
+        if (!validation.isValid) {
+            setErrors(validation.errors);
+            return;
+        }
+
+        setIsSaving(true);
+        try {
+            const saved = form.method === PAYMENT_METHODS.ONLINE
+                ? await collectOnlinePayment(provider, eventId, payment, user.uid, t)
+                : await recordPayment(eventId, payment, user.uid, t);
+            setPayments(prev => [...prev, saved]);
+            setForm(createEmptyPayment());
+            setMessage({ type: 'success', text: t('payments.recorded', 'Payment of {amount} recorded', { amount: money(saved.amount) }) });
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleVoid = async (payment) => {
+        if (!window.confirm(t('payments.confirmVoid', 'Void the payment of {amount} by {family}? It stays in the ledger but no longer counts.', {
+            amount: money(payment.amount, payment.currency),
+            family: familyLabel(payment)
+        }))) {
+            return;
+        }
+
+        try {
+            await voidPayment(payment.id, user.uid);
+            setPayments(prev => prev.map(item => (item.id === payment.id ? { ...item, voided: true, voidedBy: user.uid } : item)));
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const handleExport = async () => {
+        const columns = {
+            type: t('payments.export.type', 'Entry'),
+            date: t('payments.export.date', 'Date'),
+            family: t('payments.export.family', 'Family'),
+            kid: t('payments.export.kid', 'Kid'),
+            due: t('payments.export.due', 'Due'),
+            paid: t('payments.export.paid', 'Paid'),
+            currency: t('payments.export.currency', 'Currency'),
+            method: t('payments.export.method', 'Method'),
+            receipt: t('payments.export.receipt', 'Receipt'),
+            note: t('payments.export.note', 'Note')
+        };
+        const row = (values) => Object.fromEntries(Object.entries(columns).map(([key, header]) => [header, values[key] ?? '']));
+
+        const rows = [
+            ...charges.filter(charge => charge.amountDue > 0).map(charge => row({
+                type: t('payments.export.charge', 'Charge'),
+                date: event.date || '',
+                family: familyLabel(charge),
+                kid: kidName(charge.kidId),
+                due: charge.amountDue,
+                currency: charge.currency,
+                note: [
+                    charge.siblingDiscount > 0 ? t('payments.siblingDiscount', 'Sibling discount') : '',
+                    charge.hardshipDiscount > 0 ? t('payments.hardshipDiscount', 'Hardship discount') : ''
+                ].filter(Boolean).join(', ')
+            })),
+            ...payments.filter(payment => !payment.voided).map(payment => row({
+                type: t('payments.export.payment', 'Payment'),
+                date: payment.paidOn,
+                family: familyLabel(payment),
+                paid: payment.amount,
+                currency: payment.currency,
+                method: getPaymentMethodLabel(payment.method, t),
+                receipt: payment.receiptNumber,
+                note: payment.note
+            }))
+        ];
+        if (rows.length === 0) {
+            setMessage({ type: 'error', text: t('payments.nothingToExport', 'There is nothing to export yet') });
+            return;
+        }
+
+        try {
+            const blob = await jsonToExcel(rows, t('payments.export.sheet', 'Ledger'), { rightToLeft: currentLanguage === 'he' });
+            downloadExcel(blob, `payments_${event.name}_${todayString()}`);
+        } catch (error) {
+            console.error('Error exporting payments:', error);
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const renderCharges = () => (
+        <div className="payments-section">
+            <div className="payments-section-header">
+                <h2>{t('payments.dues', 'Dues per Kid')}</h2>
+                {changedCharges.length > 0 && (
+                    <button type="button" className="btn-primary" onClick={handleSaveCharges} disabled={isSaving}>
+                        <RefreshCw className="btn-icon" size={18} />
+                        {t('payments.updateDues', 'Update Dues ({count})', { count: changedCharges.length })}
+                    </button>
+                )}
+            </div>
+            {changedCharges.length > 0 && (
+                <p className="payments-hint">
+                    {t('payments.duesChanged', 'Registrations or discounts changed since the dues were last saved. Balances use the saved dues until you update them.')}
+                </p>
+            )}
+            {calculated.length === 0 ? (
+                <p className="payments-hint">{t('payments.noRegistrations', 'No kids are registered for this event yet.')}</p>
+            ) : (
+                <div className="table-container">
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>{t('payments.kid', 'Kid')}</th>
+                                <th>{t('payments.family', 'Family')}</th>
+                                <th>{t('payments.price', 'Price')}</th>
+                                <th>{t('payments.siblingDiscount', 'Sibling discount')}</th>
+                                <th>{t('payments.hardshipPercent', 'Hardship (%)')}</th>
+                                <th>{t('payments.amountDue', 'Due')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {calculated.map(charge => (
+                                <tr key={charge.id} className={isChargeChanged(charge, storedById[charge.id]) ? 'payments-changed' : ''}>
+                                    <td>{kidName(charge.kidId)}</td>
+                                    <td>{familyLabel(charge)}</td>
+                                    <td>{money(charge.basePrice)}</td>
+                                    <td>{charge.siblingDiscount > 0 ? `−${money(charge.siblingDiscount)}` : '—'}</td>
+                                    <td>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            max="100"
+                                            className="form-input payments-percent"
+                                            value={charge.hardshipPercent || ''}
+                                            placeholder="0"
+                                            disabled={charge.basePrice === 0}
+                                            onChange={(e) => handleHardshipChange(charge.id, e.target.value)}
+                                        />
+                                    </td>
+                                    <td><strong>{money(charge.amountDue)}</strong></td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+
+    const renderBalances = () => (
+        <div className="payments-section">
+            <h2>{t('payments.familyBalances', 'Family Balances')}</h2>
+            {balances.length === 0 ? (
+                <p className="payments-hint">{t('payments.noBalances', 'No dues have been saved for this event yet.')}</p>
+            ) : (
+                <div className="table-container">
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>{t('payments.family', 'Family')}</th>
+                                <th>{t('payments.amountDue', 'Due')}</th>
+                                <th>{t('payments.paid', 'Paid')}</th>
+                                <th>{t('payments.balance', 'Balance')}</th>
+                                <th>{t('events.actions', 'Actions')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {balances.map(balance => (
+                                <tr key={`${balance.familyId}-${balance.currency}`}>
+                                    <td>{familyLabel(balance)}</td>
+                                    <td>{money(balance.due, balance.currency)}</td>
+                                    <td>{money(balance.paid, balance.currency)}</td>
+                                    <td>
+                                        <span className={`payments-balance ${balance.balance > 0 ? 'owing' : 'settled'}`}>
+                                            {money(balance.balance, balance.currency)}
+                                        </span>
+                                    </td>
+                                    <td>
+                                        {balance.balance > 0 && (
+                                            <button type="button" className="btn-secondary" onClick={() => handlePayFor(balance)}>
+                                                <Receipt className="btn-icon" size={16} />
+                                                {t('payments.recordFor', 'Record Payment')}
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+
+    const renderPaymentForm = () => (
+        <div className="payments-section">
+            <h2>{t('payments.recordPayment', 'Record a Payment')}</h2>
+            <div className="payments-form">
+                <div className="form-group">
+                    <label htmlFor="payment-family">{t('payments.family', 'Family')}</label>
+                    <select
+                        id="payment-family"
+                        className="form-select"
+                        value={form.familyId}
+                        onChange={(e) => updateForm({ familyId: e.target.value })}
+                    >
+                        <option value="">{t('payments.chooseFamily', 'Choose a family')}</option>
+                        {families.map(family => (
+                            <option key={family.familyId} value={family.familyId}>{family.label}</option>
+                        ))}
+                    </select>
+                    {errors.familyId && <span className="error-text">{errors.familyId}</span>}
+                </div>
+                <div className="form-group">
+                    <label htmlFor="payment-amount">{t('payments.amount', 'Amount ({currency})', { currency })}</label>
+                    <input
+                        id="payment-amount"
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        className="form-input"
+                        value={form.amount}
+                        onChange={(e) => updateForm({ amount: e.target.value })}
+                    />
+                    {errors.amount && <span className="error-text">{errors.amount}</span>}
+                </div>
+                <div className="form-group">
+                    <label htmlFor="payment-method">{t('payments.method', 'Method')}</label>
+                    <select
+                        id="payment-method"
+                        className="form-select"
+                        value={form.method}
+                        onChange={(e) => updateForm({ method: e.target.value })}
+                    >
+                        {methods.map(method => (
+                            <option key={method} value={method}>{getPaymentMethodLabel(method, t)}</option>
+                        ))}
+                    </select>
+                    {errors.method && <span className="error-text">{errors.method}</span>}
+                </div>
+                {form.method !== PAYMENT_METHODS.ONLINE && (
+                    <div className="form-group">
+                        <label htmlFor="payment-receipt">{t('payments.receiptNumber', 'Receipt Number')}</label>
+                        <input
+                            id="payment-receipt"
+                            type="text"
+                            className="form-input"
+                            value={form.receiptNumber}
+                            onChange={(e) => updateForm({ receiptNumber: e.target.value })}
+                        />
+                        {errors.receiptNumber && <span className="error-text">{errors.receiptNumber}</span>}
+                    </div>
+                )}
+                <div className="form-group">
+                    <label htmlFor="payment-date">{t('payments.paidOn', 'Paid On')}</label>
+                    <input
+                        id="payment-date"
+                        type="date"
+                        className="form-input"
+                        value={form.paidOn}
+                        onChange={(e) => updateForm({ paidOn: e.target.value })}
+                    />
+                    {errors.paidOn && <span className="error-text">{errors.paidOn}</span>}
+                </div>
+                <div className="form-group payments-form-note">
+                    <label htmlFor="payment-note">{t('payments.note', 'Note')}</label>
+                    <input
+                        id="payment-note"
+                        type="text"
+                        className="form-input"
+                        value={form.note}
+                        onChange={(e) => updateForm({ note: e.target.value })}
+                    />
+                </div>
+            </div>
+            <button type="button" className="btn-primary payments-submit" onClick={handleRecordPayment} disabled={isSaving}>
+                <Receipt className="btn-icon" size={18} />
+                {form.method === PAYMENT_METHODS.ONLINE
+                    ? t('payments.takePayment', 'Take Payment')
+                    : t('payments.recordPayment', 'Record a Payment')}
+            </button>
+        </div>
+    );
+
+    const renderPayments = () => (
+        <div className="payments-section">
+            <h2>{t('payments.payments', 'Payments')}</h2>
+            {payments.length === 0 ? (
+                <p className="payments-hint">{t('payments.noPayments', 'No payments recorded yet.')}</p>
+            ) : (
+                <div className="table-container">
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>{t('payments.paidOn', 'Paid On')}</th>
+                                <th>{t('payments.family', 'Family')}</th>
+                                <th>{t('payments.paid', 'Paid')}</th>
+                                <th>{t('payments.method', 'Method')}</th>
+                                <th>{t('payments.receiptNumber', 'Receipt Number')}</th>
+                                <th>{t('events.actions', 'Actions')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {[...payments].sort((a, b) => (b.paidOn || '').localeCompare(a.paidOn || '')).map(payment => (
+                                <tr key={payment.id} className={payment.voided ? 'payments-voided' : ''}>
+                                    <td>{payment.paidOn}</td>
+                                    <td>
+                                        {familyLabel(payment)}
+                                        {payment.note && <div className="payments-hint">{payment.note}</div>}
+                                    </td>
+                                    <td>{money(payment.amount, payment.currency)}</td>
+                                    <td>{getPaymentMethodLabel(payment.method, t)}</td>
+                                    <td>{payment.receiptNumber || '—'}</td>
+                                    <td>
+                                        {payment.voided ? t('payments.voided', 'Voided') : (
+                                            <button type="button" className="btn-secondary" onClick={() => handleVoid(payment)}>
+                                                {t('payments.void', 'Void')}
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+
+    return (
+        <Dashboard requiredRole="admin">
+            <div className={`event-payments-page ${appliedTheme}-mode`}>
+                <button className="back-button" onClick={() => navigate(`/admin/events/view/${eventId}`)}>
+                    <ArrowLeft size={18} />
+                    {t('results.backToEvent', 'Back to Event')}
+                </button>
+                <div className="payments-title-row">
+                    <h1 className="page-title">
+                        <Cash size={32} className="page-title-icon" />
+                        {event
+                            ? t('payments.titleFor', 'Payments: {eventName}', { eventName: event.name })
+                            : t('payments.title', 'Payments')}
+                    </h1>
+                    {event && (
+                        <button type="button" className="btn-secondary" onClick={handleExport}>
+                            <Download className="btn-icon" size={18} />
+                            {t('payments.exportXlsx', 'Export for Treasurer (XLSX)')}
+                        </button>
+                    )}
+                </div>
+
+                {message && <div className={`payments-alert ${message.type}`}>{message.text}</div>}
+
+                {isLoading && !event ? (
+                    <p className="payments-hint">{t('payments.loading', 'Loading payments...')}</p>
+                ) : event && (
+                    <>
+                        {!isPaidEvent(event) && (
+                            <p className="payments-hint">
+                                {t('payments.freeEvent', 'This event has no price. Set one on the event\'s edit page to charge for it.')}
+                            </p>
+                        )}
+
+                        <div className="payments-summary">
+                            <div className="payments-stat">
+                                <span className="payments-stat-value">{money(totals.due)}</span>
+                                <span className="payments-stat-label">{t('payments.totalDue', 'Total due')}</span>
+                            </div>
+                            <div className="payments-stat">
+                                <span className="payments-stat-value">{money(totals.paid)}</span>
+                                <span className="payments-stat-label">{t('payments.totalPaid', 'Paid')}</span>
+                            </div>
+                            <div className="payments-stat">
+                                <span className={`payments-stat-value ${totals.due - totals.paid > 0 ? 'owing' : ''}`}>
+                                    {money(totals.due - totals.paid)}
+                                </span>
+                                <span className="payments-stat-label">
+                                    {t('payments.outstandingFamilies', 'Outstanding, {count} families', { count: totals.owing })}
+                                </span>
+                            </div>
+                        </div>
+
+                        {renderCharges()}
+                        {renderBalances()}
+                        {renderPaymentForm()}
+                        {renderPayments()}
+                    </>
+                )}
+            </div>
+        </Dashboard>
+    );
+};
+
+export default EventPaymentsPage;
@@ -0,0 +1,480 @@
+// src/pages/admin/EventRegistrationsPage.jsx - Registrations of one event, with capacity, eligibility and the waitlist
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import Dashboard from '../../components/layout/Dashboard';
+import ParticipantCard from '../../components/kids/ParticipantCard';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { getKidFullName } from '../../schemas/kidSchema';
+import {
+    REGISTRATION_STATUS,
+    getKidEligibilityIssues,
+    getRegistrationIssueText,
+    getRegistrationWindowIssue,
+    getRemainingCapacity,
+    getWaitlist,
+    getWaitlistCutoff,
+    isActiveRegistration,
+    isWaitlistPromotionOpen,
+    isWaitlistedRegistration
+} from '../../schemas/eventRegistrationSchema';
+import { getEventById } from '../../services/eventService';
+import {
+    cancelEventRegistration,
+    getEventRegistrations,
+    registerKidsForEvent,
+    reorderWaitlist
+} from '../../services/eventRegistrationService';
+import { getAllKids } from '../../services/kidService';
+import { getAllTeams } from '../../services/teamService';
+import {
+    IconClipboardCheck as ClipboardCheck,
+    IconFlag as Flag,
+    IconPrinter as Printer,
+    IconQrcode as Qrcode,
+    IconArrowLeft as ArrowLeft,
+    IconArrowDown as ArrowDown,
+    IconArrowUp as ArrowUp,
+    IconRefresh as RefreshCw,
+    IconUserPlus as UserPlus,
+    IconX as X
+} from '@tabler/icons-react';
+import './EventRegistrationsPage.css';
+
+const EventRegistrationsPage = () => {
+    const navigate = useNavigate();
+    const { eventId } = useParams();
+    const { appliedTheme } = useTheme();
+    const { t } = useLanguage();
+
+    const [event, setEvent] = useState(null);
+    const [registrations, setRegistrations] = useState([]);
+    const [kids, setKids] = useState({});
+    const [teams, setTeams] = useState({});
+    const [showCancelled, setShowCancelled] = useState(false);
+    const [kidToAdd, setKidToAdd] = useState('');
+    const [isLoading, setIsLoading] = useState(true);
+    const [busyKidId, setBusyKidId] = useState(null);
+    const [message, setMessage] = useState(null);
+
+    const loadRegistrations = useCallback(async () => {
+        setIsLoading(true);
+        try {
+            const [eventData, registrationData, kidData, teamData] = await Promise.all([
+                getEventById(eventId),
+                getEventRegistrations(eventId),
+                getAllKids({ includeArchived: true }),
+                getAllTeams()
+            ]);
+            if (!eventData) {
+                setMessage({ type: 'error', text: t('events.eventNotFound', 'Event not found') });
+                return;
+            }
+            const byId = (items) => Object.fromEntries(items.map(item => [item.id, item]));
+            setEvent(eventData);
+            setRegistrations(registrationData);
+            setKids(byId(kidData));
+            setTeams(byId(teamData));
+        } catch (error) {
+            console.error('Error loading event registrations:', error);
+            setMessage({ type: 'error', text: error.message });
+        } finally {
+            setIsLoading(false);
+        }
+    }, [eventId, t]);
+
+    useEffect(() => {
+        loadRegistrations();
+    }, [loadRegistrations]);
+
+    const kidName = (kidId) => (kids[kidId] ? getKidFullName(kids[kidId], t) : kidId);
+
+    const activeRegistrations = registrations.filter(isActiveRegistration);
+    const waitlist = getWaitlist(registrations);
+    const registeredKidIds = new Set([...activeRegistrations, ...waitlist].map(registration => registration.kidId));
+    const remaining = event ? getRemainingCapacity(event, activeRegistrations.length) : 0;
+    const windowIssue = event ? getRegistrationWindowIssue(event) : null;
+    const waitlistOpen = event ? isWaitlistPromotionOpen(event) : false;
+    const waitlistCutoff = event ? getWaitlistCutoff(event) : null;
+
+    const visibleRegistrations = registrations
+        .filter(registration => !isWaitlistedRegistration(registration))
+        .filter(registration => showCancelled || isActiveRegistration(registration))
+        .sort((a, b) => kidName(a.kidId).localeCompare(kidName(b.kidId)));
+
+    // Admins may register after the deadline, so only eligibility limits who can be added
+    const addableKids = event
+        ? Object.values(kids)
+            .filter(kid => !registeredKidIds.has(kid.id) && getKidEligibilityIssues(kid, event).length === 0)
+            .sort((a, b) => getKidFullName(a, t).localeCompare(getKidFullName(b, t)))
+        : [];
+
+    // One printable card per registered kid, in name order
+    const cardKids = activeRegistrations
+        .map(registration => kids[registration.kidId])
+        .filter(Boolean)
+        .sort((a, b) => getKidFullName(a, t).localeCompare(getKidFullName(b, t)));
+
+    const handleCancel = async (registration) => {
+        if (!window.confirm(t('registration.confirmCancel', 'Cancel the registration of {kidName}?', { kidName: kidName(registration.kidId) }))) {
+            return;
+        }
+
+        setBusyKidId(registration.kidId);
+        try {
+            const { promoted = [] } = await cancelEventRegistration(eventId, registration.kidId);
+            const cancelledText = t('registration.cancelled', 'Registration of {kidName} cancelled', { kidName: kidName(registration.kidId) });
+            setMessage({
+                type: 'success',
+                text: promoted.length > 0
+                    ? `${cancelledText}. ${t('registration.promoted', '{kidNames} moved up from the waitlist', { kidNames: promoted.map(kidName).join(', ') })}`
+                    : cancelledText
+            });
+            await loadRegistrations();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        } finally {
+            setBusyKidId(null);
+        }
+    };
+
+    const handleAdd = async () => {
+        if (!kidToAdd) return;
+
+        setBusyKidId(kidToAdd);
+        try {
+            const { waitlisted = [], rejected } = await registerKidsForEvent(eventId, [kidToAdd]);
+            if (rejected.length > 0) {
+                setMessage({
+                    type: 'error',
+                    text: rejected[0].reasons.map(reason => getRegistrationIssueText(reason, t)).join(', ')
+                });
+            } else if (waitlisted.length > 0) {
+                setMessage({ type: 'success', text: t('registration.waitlisted', '{kidName} is on the waitlist', { kidName: kidName(kidToAdd) }) });
+                setKidToAdd('');
+            } else {
+                setMessage({ type: 'success', text: t('registration.registered', '{kidName} is registered', { kidName: kidName(kidToAdd) }) });
+                setKidToAdd('');
+            }
+            await loadRegistrations();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        } finally {
+            setBusyKidId(null);
+        }
+    };
+
+    const handleMove = async (index, offset) => {
+        const reordered = [...waitlist];
+        const [moved] = reordered.splice(index, 1);
+        reordered.splice(index + offset, 0, moved);
+
+        setBusyKidId(moved.kidId);
+        try {
+            await reorderWaitlist(reordered.map(registration => registration.id));
+            // Renumber locally rather than reloading the whole page for every step
+            setRegistrations(current => current.map(registration => {
+                const position = reordered.findIndex(waiting => waiting.id === registration.id);
+                return position === -1 ? registration : { ...registration, waitlistPosition: position + 1 };
+            }));
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        } finally {
+            setBusyKidId(null);
+        }
+    };
+
+    const formatDate = (date) => (date ? new Date(date).toLocaleString() : '—');
+
+    const statusLabel = (status) => {
+        switch (status) {
+            case REGISTRATION_STATUS.CANCELLED:
+                return t('registration.status.cancelled', 'Cancelled');
+            case REGISTRATION_STATUS.WAITLISTED:
+                return t('registration.status.waitlisted', 'Waitlisted');
+            default:
+                return t('registration.status.registered', 'Registered');
+        }
+    };
+
+    const roleLabel = (role) => (role ? t(`users.${role}`, role) : '—');
+
+    const renderSummary = () => (
+        <div className="registrations-summary">
+            <div className="registrations-stat">
+                <span className="registrations-stat-value">
+                    {activeRegistrations.length}{event.maxParticipants ? ` / ${event.maxParticipants}` : ''}
+                </span>
+                <span className="registrations-stat-label">{t('registration.registeredCount', 'Registered')}</span>
+            </div>
+            <div className="registrations-stat">
+                <span className="registrations-stat-value">{remaining === Infinity ? '∞' : remaining}</span>
+                <span className="registrations-stat-label">{t('registration.placesLeft', 'Places left')}</span>
+            </div>
+            <div className="registrations-stat">
+                <span className={`registrations-window ${windowIssue ? 'closed' : 'open'}`}>
+                    {windowIssue ? getRegistrationIssueText(windowIssue, t) : t('registration.open', 'Open')}
+                </span>
+                <span className="registrations-stat-label">
+                    {event.registrationDeadline
+                        ? t('registration.deadlineOn', 'Deadline {date}', { date: event.registrationDeadline })
+                        : t('registration.noDeadline', 'No deadline')}
+                </span>
+            </div>
+            <div className="registrations-stat">
+                <span className="registrations-stat-value">{waitlist.length}</span>
+                <span className="registrations-stat-label">
+                    {event.waitlistEnabled === false
+                        ? t('registration.waitlistOff', 'Waitlist off')
+                        : waitlistOpen
+                            ? waitlistCutoff
+                                ? t('registration.promotionsUntil', 'On the waitlist · promotions until {date}', { date: waitlistCutoff.toLocaleString() })
+                                : t('registration.onWaitlist', 'On the waitlist')
+                            : t('registration.promotionsStopped', 'On the waitlist · promotions have stopped')}
+                </span>
+            </div>
+        </div>
+    );
+
+    const eligibilityCell = (issues) => (issues.length === 0 ? '✓' : (
+        <ul className="registration-issues">
+            {issues.map(issue => <li key={issue}>{getRegistrationIssueText(issue, t)}</li>)}
+        </ul>
+    ));
+
+    const renderWaitlist = () => (
+        <div className="table-container">
+            <table className="data-table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>{t('registration.kid', 'Kid')}</th>
+                        <th>{t('registration.team', 'Team')}</th>
+                        <th>{t('registration.joinedAt', 'Joined')}</th>
+                        <th>{t('registration.eligibility', 'Eligibility')}</th>
+                        <th>{t('kids.actions', 'Actions')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {waitlist.map((registration, index) => {
+                        const kid = kids[registration.kidId];
+                        // Kids that are no longer eligible are skipped when places free up
+                        const issues = kid ? getKidEligibilityIssues(kid, event, { declarationUploaded: registration.declarationUploaded }) : [];
+
+                        return (
+                            <tr key={registration.id}>
+                                <td>{index + 1}</td>
+                                <td>{kidName(registration.kidId)}</td>
+                                <td>{teams[kid?.teamId || registration.teamId]?.name || t('teams.noTeam', 'No Team')}</td>
+                                <td>{formatDate(registration.registeredAt)}</td>
+                                <td>{eligibilityCell(issues)}</td>
+                                <td>
+                                    <div className="waitlist-actions">
+                                        <button
+                                            className="btn-secondary"
+                                            onClick={() => handleMove(index, -1)}
+                                            disabled={index === 0 || Boolean(busyKidId)}
+                                            title={t('registration.moveUp', 'Move up')}
+                                        >
+                                            <ArrowUp size={16} />
+                                        </button>
+                                        <button
+                                            className="btn-secondary"
+                                            onClick={() => handleMove(index, 1)}
+                                            disabled={index === waitlist.length - 1 || Boolean(busyKidId)}
+                                            title={t('registration.moveDown', 'Move down')}
+                                        >
+                                            <ArrowDown size={16} />
+                                        </button>
+                                        <button
+                                            className="btn-secondary"
+                                            onClick={() => handleCancel(registration)}
+                                            disabled={Boolean(busyKidId)}
+                                        >
+                                            <X className="btn-icon" size={16} />
+                                            {t('registration.removeFromWaitlist', 'Remove')}
+                                        </button>
+                                    </div>
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </div>
+    );
+
+    const renderTable = () => (
+        <div className="table-container">
+            <table className="data-table">
+                <thead>
+                    <tr>
+                        <th>{t('registration.kid', 'Kid')}</th>
+                        <th>{t('registration.team', 'Team')}</th>
+                        <th>{t('registration.statusLabel', 'Status')}</th>
+                        <th>{t('registration.registeredAt', 'Registered')}</th>
+                        <th>{t('registration.registeredBy', 'Registered By')}</th>
+                        <th>{t('registration.eligibility', 'Eligibility')}</th>
+                        <th>{t('kids.actions', 'Actions')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {visibleRegistrations.map(registration => {
+                        const kid = kids[registration.kidId];
+                        const active = isActiveRegistration(registration);
+                        // Rules are checked at registration; the kid may have changed since
+                        const issues = kid && active ? getKidEligibilityIssues(kid, event) : [];
+
+                        return (
+                            <tr key={registration.id} className={active ? '' : 'registration-cancelled'}>
+                                <td>
+                                    {kid?.participantNumber ? `#${kid.participantNumber} · ` : ''}
+                                    {kidName(registration.kidId)}
+                                </td>
+                                <td>{teams[kid?.teamId || registration.teamId]?.name || t('teams.noTeam', 'No Team')}</td>
+                                <td>
+                                    <span className={`registration-status ${registration.status || REGISTRATION_STATUS.REGISTERED}`}>
+                                        {statusLabel(registration.status)}
+                                    </span>
+                                </td>
+                                <td>{formatDate(active ? registration.registeredAt : registration.cancelledAt)}</td>
+                                <td>{roleLabel(registration.registeredByRole)}</td>
+                                <td>{eligibilityCell(issues)}</td>
+                                <td>
+                                    {active && (
+                                        <button
+                                            className="btn-secondary"
+                                            onClick={() => handleCancel(registration)}
+                                            disabled={busyKidId === registration.kidId}
+                                        >
+                                            <X className="btn-icon" size={16} />
+                                            {t('registration.cancel', 'Cancel Registration')}
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </div>
+    );
+
+    return (
+        <Dashboard requiredRole="admin">
+            <div className={`event-registrations-page ${appliedTheme}-mode`}>
+                <button className="back-button" onClick={() => navigate(`/admin/events/view/${eventId}`)}>
+                    <ArrowLeft size={18} />
+                    {t('registration.backToEvent', 'Back to Event')}
+                </button>
+                <h1 className="page-title">
+                    <ClipboardCheck size={32} className="page-title-icon" />
+                    {event
+                        ? t('registration.titleFor', 'Registrations: {eventName}', { eventName: event.name })
+                        : t('registration.title', 'Registrations')}
+                </h1>
+
+                {message && (
+                    <div className={`registrations-alert ${message.type}`}>{message.text}</div>
+                )}
+
+                {isLoading && !event ? (
+                    <p className="registrations-empty">{t('registration.loading', 'Loading registrations...')}</p>
+                ) : event && (
+                    <>
+                        {renderSummary()}
+
+                        <div className="registrations-section">
+                            <div className="registrations-section-header">
+                                <h2>{t('registration.addKid', 'Register a Kid')}</h2>
+                            </div>
+                            <p className="registrations-hint">
+                                {t('registration.addHint', 'Only kids who meet the event\'s eligibility rules are listed. Admins can register kids after registration has closed, but not beyond capacity; once the event is full, kids join the waitlist.')}
+                            </p>
+                            <div className="registrations-add">
+                                <select
+                                    className="form-select"
+                                    value={kidToAdd}
+                                    onChange={(e) => setKidToAdd(e.target.value)}
+                                    disabled={Boolean(busyKidId)}
+                                >
+                                    <option value="">{t('registration.chooseKid', 'Choose a kid...')}</option>
+                                    {addableKids.map(kid => (
+                                        <option key={kid.id} value={kid.id}>
+                                            {kid.participantNumber ? `#${kid.participantNumber} · ` : ''}{getKidFullName(kid, t)}
+                                        </option>
+                                    ))}
+                                </select>
+                                <button
+                                    className="btn-primary"
+                                    onClick={handleAdd}
+                                    disabled={!kidToAdd || Boolean(busyKidId) || (remaining <= 0 && !waitlistOpen)}
+                                >
+                                    <UserPlus className="btn-icon" size={18} />
+                                    {remaining <= 0
+                                        ? t('registration.addToWaitlist', 'Add to Waitlist')
+                                        : t('registration.register', 'Register')}
+                                </button>
+                            </div>
+                        </div>
+
+                        <div className="registrations-section">
+                            <div className="registrations-section-header">
+                                <h2>{t('registration.listTitle', 'Registered Kids')}</h2>
+                                <div className="registrations-actions">
+                                    <label className="checkbox-label">
+                                        <input
+                                            type="checkbox"
+                                            checked={showCancelled}
+                                            onChange={(e) => setShowCancelled(e.target.checked)}
+                                        />
+                                        {t('registration.showCancelled', 'Show cancelled')}
+                                    </label>
+                                    <button className="btn-secondary" onClick={loadRegistrations} disabled={isLoading}>
+                                        <RefreshCw className="btn-icon" size={18} />
+                                        {t('kids.refresh', 'Refresh')}
+                                    </button>
+                                    <button className="btn-secondary" onClick={() => navigate(`/admin/events/heats/${eventId}`)}>
+                                        <Flag className="btn-icon" size={18} />
+                                        {t('heats.viewSchedule', 'Heat Schedule')}
+                                    </button>
+                                    <button className="btn-secondary" onClick={() => navigate(`/admin/events/checkin/${eventId}`)}>
+                                        <Qrcode className="btn-icon" size={18} />
+                                        {t('checkIn.title', 'Check-in')}
+                                    </button>
+                                    <button className="btn-secondary" onClick={() => window.print()} disabled={cardKids.length === 0}>
+                                        <Printer className="btn-icon" size={18} />
+                                        {t('participantCard.printAll', 'Print Participant Cards')}
+                                    </button>
+                                </div>
+                            </div>
+                            {visibleRegistrations.length === 0 ? (
+                                <p className="registrations-empty">{t('registration.none', 'No kids are registered for this event yet.')}</p>
+                            ) : renderTable()}
+                        </div>
+
+                        {waitlist.length > 0 && (
+                            <div className="registrations-section">
+                                <div className="registrations-section-header">
+                                    <h2>{t('registration.waitlistTitle', 'Waitlist')}</h2>
+                                </div>
+                                <p className="registrations-hint">
+                                    {t('registration.waitlistHint', 'When a place frees up, the first eligible kid is registered and their parents are notified. Use the arrows to change the order.')}
+                                </p>
+                                {renderWaitlist()}
+                            </div>
+                        )}
+
+                        <div className="participant-cards print-only">
+                            {cardKids.map(kid => (
+                                <ParticipantCard key={kid.id} kid={kid} team={teams[kid.teamId]} />
+                            ))}
+                        </div>
+                    </>
+                )}
+            </div>
+        </Dashboard>
+    );
+};
+
+export default EventRegistrationsPage;
@@ -0,0 +1,325 @@
+// src/pages/admin/EventShirtsPage.jsx - Shirts of one event: counts per size and team, the supplier order and the distribution checklist
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import Dashboard from '../../components/layout/Dashboard';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { SHIRT_SIZES, buildShirtReport, validateShirtsHandedOut } from '../../schemas/shirtSchema';
+import { getEventById } from '../../services/eventService';
+import { getAllKids } from '../../services/kidService';
+import { getAllTeams } from '../../services/teamService';
+import { getEventShirtSubmissions, saveShirtsHandedOut } from '../../services/shirtService';
+import { formatEventDate } from '../../utils/eventDateUtils';
+import { downloadExcel, jsonToExcel } from '../../utils/excelUtils';
+import {
+    IconShirt as Shirt,
+    IconArrowLeft as ArrowLeft,
+    IconDownload as Download,
+    IconPrinter as Printer,
+    IconDeviceFloppy as Save
+} from '@tabler/icons-react';
+import './EventPaymentsPage.css';
+import './EventShirtsPage.css';
+
+const EventShirtsPage = () => {
+    const navigate = useNavigate();
+    const { eventId } = useParams();
+    const { appliedTheme } = useTheme();
+    const { t, isRTL, currentLanguage } = useLanguage();
+
+    const [event, setEvent] = useState(null);
+    const [submissions, setSubmissions] = useState([]);
+    const [kids, setKids] = useState({});
+    const [teams, setTeams] = useState({});
+    const [handedOutEdits, setHandedOutEdits] = useState(null);
+    const [errors, setErrors] = useState({});
+    const [isLoading, setIsLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const loadReport = useCallback(async () => {
+        setIsLoading(true);
+        try {
+            const [eventData, submissionData, kidData, teamData] = await Promise.all([
+                getEventById(eventId),
+                getEventShirtSubmissions(eventId),
+                getAllKids({ includeArchived: true }),
+                getAllTeams()
+            ]);
+            if (!eventData) {
+                setMessage({ type: 'error', text: t('events.eventNotFound', 'Event not found') });
+                return;
+            }
+            setEvent(eventData);
+            setSubmissions(submissionData);
+            setKids(Object.fromEntries(kidData.map(kid => [kid.id, kid])));
+            setTeams(Object.fromEntries(teamData.map(team => [team.id, team])));
+            setHandedOutEdits(null);
+        } catch (error) {
+            console.error('Error loading the shirt report:', error);
+            setMessage({ type: 'error', text: error.message });
+        } finally {
+            setIsLoading(false);
+        }
+    }, [eventId, t]);
+
+    useEffect(() => {
+        loadReport();
+    }, [loadReport]);
+
+    const handedOut = handedOutEdits || event?.shirtsHandedOut || {};
+    const report = buildShirtReport(submissions, kids, teams, handedOut);
+    // Every size someone asked for or has from an earlier season, and the rest to mark as handed out
+    const reportSizes = report.sizes.map(row => row.size);
+    const editableSizes = [...reportSizes, ...SHIRT_SIZES.filter(size => !reportSizes.includes(size))];
+    const sizeRows = editableSizes.map(size => report.sizes.find(row => row.size === size)
+        || { size, kids: 0, extra: 0, total: 0, handedOut: Number(handedOut[size]) || 0, toOrder: 0 });
+    const teamSizes = reportSizes.filter(size => report.teams.some(team => team.counts[size]));
+    const sizeList = (sizes) => sizes.join(', ') || '—';
+
+    const handleHandedOutChange = (size, value) => {
+        setHandedOutEdits({ ...handedOut, [size]: value });
+        setErrors({});
+    };
+
+    const handleSaveHandedOut = async () => {
+        const validation = validateShirtsHandedOut(handedOut, t);
+        if (!validation.isValid) {
+            setErrors(validation.errors);
+            return;
+        }
+
+        setIsSaving(true);
+        try {
+            const shirtsHandedOut = await saveShirtsHandedOut(eventId, handedOut, t);
+            setEvent(prev => ({ ...prev, shirtsHandedOut }));
+            setHandedOutEdits(null);
+            setMessage({ type: 'success', text: t('shirts.handedOutSaved', 'Shirts from earlier seasons saved') });
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleExportOrder = async () => {
+        if (report.totals.toOrder === 0) {
+            setMessage({ type: 'error', text: t('shirts.nothingToOrder', 'There are no shirts to order') });
+            return;
+        }
+
+        const rows = [
+            ...report.sizes.filter(row => row.toOrder > 0).map(row => ({
+                [t('shirts.size', 'Size')]: row.size,
+                [t('shirts.quantity', 'Quantity')]: row.toOrder
+            })),
+            {
+                [t('shirts.size', 'Size')]: t('shirts.total', 'Total'),
+                [t('shirts.quantity', 'Quantity')]: report.totals.toOrder
+            }
+        ];
+
+        try {
+            const blob = await jsonToExcel(rows, t('shirts.export.sheet', 'Order'), { rightToLeft: currentLanguage === 'he' });
+            downloadExcel(blob, `shirts_${event.name}_${event.date || ''}`);
+        } catch (error) {
+            console.error('Error exporting the shirt order:', error);
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const renderSizes = () => (
+        <div className="payments-section">
+            <div className="payments-section-header">
+                <h2>{t('shirts.bySize', 'By Size')}</h2>
+                {handedOutEdits && (
+                    <button type="button" className="btn-primary" onClick={handleSaveHandedOut} disabled={isSaving}>
+                        <Save className="btn-icon" size={18} />
+                        {t('shirts.saveHandedOut', 'Save Handed Out')}
+                    </button>
+                )}
+            </div>
+            <p className="payments-hint">
+                {t('shirts.handedOutHint', 'Enter the shirts families already have from earlier seasons; they are left out of the order.')}
+            </p>
+            <div className="table-container">
+                <table className="data-table shirts-table">
+                    <thead>
+                        <tr>
+                            <th>{t('shirts.size', 'Size')}</th>
+                            <th>{t('shirts.forKids', 'Kids')}</th>
+                            <th>{t('shirts.extra', 'Extra attendees')}</th>
+                            <th>{t('shirts.total', 'Total')}</th>
+                            <th>{t('shirts.handedOut', 'Handed out earlier')}</th>
+                            <th>{t('shirts.toOrder', 'To order')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {sizeRows.map(row => (
+                            <tr key={row.size} className={row.total === 0 ? 'shirts-unused' : ''}>
+                                <td><strong>{row.size}</strong></td>
+                                <td>{row.kids}</td>
+                                <td>{row.extra}</td>
+                                <td>{row.total}</td>
+                                <td>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="1"
+                                        className="form-input shirts-count"
+                                        aria-label={t('shirts.handedOutOf', 'Size {size} handed out earlier', { size: row.size })}
+                                        value={handedOut[row.size] ?? ''}
+                                        placeholder="0"
+                                        onChange={(e) => handleHandedOutChange(row.size, e.target.value)}
+                                    />
+                                    {errors[row.size] && <span className="error-text">{errors[row.size]}</span>}
+                                </td>
+                                <td><strong>{row.toOrder}</strong></td>
+                            </tr>
+                        ))}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <th>{t('shirts.total', 'Total')}</th>
+                            <th>{report.totals.kids}</th>
+                            <th>{report.totals.extra}</th>
+                            <th>{report.totals.total}</th>
+                            <th>{report.totals.handedOut}</th>
+                            <th>{report.totals.toOrder}</th>
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+        </div>
+    );
+
+    const renderTeams = () => (
+        <div className="payments-section">
+            <h2>{t('shirts.byTeam', 'By Team')}</h2>
+            <div className="table-container">
+                <table className="data-table shirts-table">
+                    <thead>
+                        <tr>
+                            <th>{t('shirts.team', 'Team')}</th>
+                            {teamSizes.map(size => <th key={size}>{size}</th>)}
+                            <th>{t('shirts.total', 'Total')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {report.teams.map(team => (
+                            <tr key={team.teamId || 'none'}>
+                                <td>{team.teamName || t('shirts.noTeam', 'No team')}</td>
+                                {teamSizes.map(size => <td key={size}>{team.counts[size] || '—'}</td>)}
+                                <td><strong>{team.total}</strong></td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+
+    // Shown on the page and printed on its own for the venue
+    const renderChecklist = () => (
+        <div className="payments-section shirt-checklist">
+            <h2>{t('shirts.checklist', 'Distribution Checklist')}</h2>
+            <p className="shirt-checklist-event">
+                {event.name} · {formatEventDate(event, isRTL ? 'he-IL' : 'en-US')}
+            </p>
+            <div className="table-container">
+                <table className="data-table shirts-table">
+                    <thead>
+                        <tr>
+                            <th>{t('shirts.family', 'Family')}</th>
+                            <th>{t('shirts.kids', 'Kids')}</th>
+                            <th>{t('shirts.team', 'Team')}</th>
+                            <th>{t('shirts.kidShirts', 'Kids\' shirts')}</th>
+                            <th>{t('shirts.extraShirts', 'Extra shirts')}</th>
+                            <th>{t('shirts.received', 'Received')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {report.families.map(family => (
+                            <tr key={family.submissionId}>
+                                <td>{family.familyName || '—'}</td>
+                                <td>{family.kidNames.join(', ') || '—'}</td>
+                                <td>{family.teamNames.join(', ') || '—'}</td>
+                                <td>{sizeList(family.shirts)}</td>
+                                <td>{sizeList(family.extraShirts)}</td>
+                                <td><span className="shirt-checkbox" aria-hidden="true" /></td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+
+    return (
+        <Dashboard requiredRole="admin">
+            <div className={`event-shirts-page ${appliedTheme}-mode`}>
+                <button className="back-button" onClick={() => navigate(`/admin/events/view/${eventId}`)}>
+                    <ArrowLeft size={18} />
+                    {t('results.backToEvent', 'Back to Event')}
+                </button>
+                <div className="payments-title-row">
+                    <h1 className="page-title">
+                        <Shirt size={32} className="page-title-icon" />
+                        {event
+                            ? t('shirts.titleFor', 'Shirts: {eventName}', { eventName: event.name })
+                            : t('shirts.title', 'Shirts')}
+                    </h1>
+                    {event && report.families.length > 0 && (
+                        <div className="shirts-actions">
+                            <button type="button" className="btn-secondary" onClick={handleExportOrder}>
+                                <Download className="btn-icon" size={18} />
+                                {t('shirts.exportOrder', 'Export Supplier Order (XLSX)')}
+                            </button>
+                            <button type="button" className="btn-secondary" onClick={() => window.print()}>
+                                <Printer className="btn-icon" size={18} />
+                                {t('shirts.printChecklist', 'Print Checklist')}
+                            </button>
+                        </div>
+                    )}
+                </div>
+
+                {message && <div className={`payments-alert ${message.type}`}>{message.text}</div>}
+
+                {isLoading && !event ? (
+                    <p className="payments-hint">{t('shirts.loading', 'Loading shirts...')}</p>
+                ) : event && (
+                    report.families.length === 0 ? (
+                        <p className="payments-hint">
+                            {t('shirts.none', 'No attending family has asked for shirts on this event\'s registration forms yet.')}
+                        </p>
+                    ) : (
+                        <>
+                            <div className="payments-summary">
+                                <div className="payments-stat">
+                                    <span className="payments-stat-value">{report.totals.total}</span>
+                                    <span className="payments-stat-label">
+                                        {t('shirts.requested', 'Shirts requested by {count} families', { count: report.families.length })}
+                                    </span>
+                                </div>
+                                <div className="payments-stat">
+                                    <span className="payments-stat-value">{report.totals.kids} / {report.totals.extra}</span>
+                                    <span className="payments-stat-label">{t('shirts.kidsAndExtra', 'Kids / extra attendees')}</span>
+                                </div>
+                                <div className="payments-stat">
+                                    <span className="payments-stat-value">{report.totals.toOrder}</span>
+                                    <span className="payments-stat-label">{t('shirts.toOrder', 'To order')}</span>
+                                </div>
+                            </div>
+
+                            {renderSizes()}
+                            {renderTeams()}
+                            {renderChecklist()}
+                        </>
+                    )
+                )}
+            </div>
+        </Dashboard>
+    );
+};
+
+export default EventShirtsPage;
@@ -0,0 +1,375 @@
+// src/pages/admin/EventVolunteersPage.jsx - Volunteer shifts of one event: define them, see who signed up and where the gaps are
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import Dashboard from '../../components/layout/Dashboard';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { getUserDisplayName, formatPhoneNumber } from '../../schemas/userSchema';
+import {
+    MAX_SHIFT_SLOTS,
+    VOLUNTEER_ROLES,
+    createEmptyShift,
+    getOpenSlots,
+    getShiftCoverage,
+    getShiftName,
+    getVolunteerRoleLabel,
+    sortShifts,
+    validateShift
+} from '../../schemas/volunteerShiftSchema';
+import { getEventById } from '../../services/eventService';
+import { getUserData } from '../../services/userService';
+import {
+    createShift,
+    deleteShift,
+    getEventShifts,
+    releaseShift,
+    updateShift
+} from '../../services/volunteerShiftService';
+import {
+    IconHeartHandshake as HeartHandshake,
+    IconArrowLeft as ArrowLeft,
+    IconDeviceFloppy as Save,
+    IconEdit as Edit,
+    IconPlus as Plus,
+    IconTrash as Trash2,
+    IconX as X
+} from '@tabler/icons-react';
+import './EventVolunteersPage.css';
+
+const EventVolunteersPage = () => {
+    const navigate = useNavigate();
+    const { eventId } = useParams();
+    const { appliedTheme } = useTheme();
+    const { t } = useLanguage();
+
+    const [event, setEvent] = useState(null);
+    const [shifts, setShifts] = useState([]);
+    const [volunteers, setVolunteers] = useState({});
+    const [form, setForm] = useState(createEmptyShift());
+    const [editingShift, setEditingShift] = useState(null);
+    const [errors, setErrors] = useState({});
+    const [isLoading, setIsLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const loadVolunteers = useCallback(async () => {
+        setIsLoading(true);
+        try {
+            const [eventData, shiftData] = await Promise.all([getEventById(eventId), getEventShifts(eventId)]);
+            if (!eventData) {
+                setMessage({ type: 'error', text: t('events.eventNotFound', 'Event not found') });
+                return;
+            }
+
+            const volunteerIds = [...new Set(shiftData.flatMap(shift => shift.volunteerIds))];
+            const users = await Promise.all(volunteerIds.map(userId => getUserData(userId).catch(() => null)));
+
+            setEvent(eventData);
+            setShifts(shiftData);
+            setVolunteers(Object.fromEntries(users.filter(Boolean).map(user => [user.id, user])));
+        } catch (error) {
+            console.error('Error loading volunteer shifts:', error);
+            setMessage({ type: 'error', text: error.message });
+        } finally {
+            setIsLoading(false);
+        }
+    }, [eventId, t]);
+
+    useEffect(() => {
+        loadVolunteers();
+    }, [loadVolunteers]);
+
+    const coverage = getShiftCoverage(shifts);
+
+    const updateForm = (changes) => {
+        setForm(prev => ({ ...prev, ...changes }));
+        setErrors({});
+    };
+
+    const resetForm = () => {
+        setForm(createEmptyShift());
+        setEditingShift(null);
+        setErrors({});
+    };
+
+    const handleEdit = (shift) => {
+        setEditingShift(shift);
+        setForm({
+            role: shift.role,
+            title: shift.title || '',
+            startTime: shift.startTime,
+            endTime: shift.endTime,
+            slots: shift.slots,
+            notes: shift.notes || ''
+        });
+        setErrors({});
+    };
+
+    const handleSave = async () => {
+        const validation = validateShift({ ...form, volunteerIds: editingShift?.volunteerIds }, t);
+        if (!validation.isValid) {
+            setErrors(validation.errors);
+            return;
+        }
+
+        setIsSaving(true);
+        try {
+            if (editingShift) {
+                await updateShift(editingShift, form, t);
+                setMessage({ type: 'success', text: t('volunteers.shiftUpdated', 'Shift updated') });
+            } else {
+                await createShift(eventId, form, t);
+                setMessage({ type: 'success', text: t('volunteers.shiftAdded', 'Shift added') });
+            }
+            resetForm();
+            await loadVolunteers();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleDelete = async (shift) => {
+        const confirmText = shift.volunteerIds.length > 0
+            ? t('volunteers.confirmDeleteTaken', 'Delete {shiftName}? {count} volunteers have signed up for it.', { shiftName: getShiftName(shift, t), count: shift.volunteerIds.length })
+            : t('volunteers.confirmDelete', 'Delete {shiftName}?', { shiftName: getShiftName(shift, t) });
+        if (!window.confirm(confirmText)) return;
+
+        try {
+            await deleteShift(shift.id);
+            if (editingShift?.id === shift.id) resetForm();
+            setShifts(prev => prev.filter(item => item.id !== shift.id));
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const handleRemoveVolunteer = async (shift, userId) => {
+        const name = volunteers[userId] ? getUserDisplayName(volunteers[userId]) : userId;
+        if (!window.confirm(t('volunteers.confirmRemove', 'Take {name} off {shiftName}?', { name, shiftName: getShiftName(shift, t) }))) {
+            return;
+        }
+
+        try {
+            await releaseShift(shift.id, userId);
+            setShifts(prev => prev.map(item => (item.id === shift.id
+                ? { ...item, volunteerIds: item.volunteerIds.filter(volunteerId => volunteerId !== userId) }
+                : item)));
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const renderForm = () => (
+        <div className="volunteers-section">
+            <h2>{editingShift ? t('volunteers.editShift', 'Edit Shift') : t('volunteers.addShift', 'Add a Shift')}</h2>
+            <div className="volunteers-form">
+                <div className="form-group">
+                    <label htmlFor="shift-role">{t('volunteers.role', 'Role')}</label>
+                    <select
+                        id="shift-role"
+                        className="form-select"
+                        value={form.role}
+                        onChange={(e) => updateForm({ role: e.target.value })}
+                    >
+                        {Object.values(VOLUNTEER_ROLES).map(role => (
+                            <option key={role} value={role}>{getVolunteerRoleLabel(role, t)}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="form-group">
+                    <label htmlFor="shift-title">{t('volunteers.shiftTitle', 'Title (optional)')}</label>
+                    <input
+                        id="shift-title"
+                        type="text"
+                        className="form-input"
+                        maxLength={60}
+                        placeholder={t('volunteers.shiftTitlePlaceholder', 'e.g. Marshal, turn 3')}
+                        value={form.title}
+                        onChange={(e) => updateForm({ title: e.target.value })}
+                    />
+                    {errors.title && <span className="error-text">{errors.title}</span>}
+                </div>
+                <div className="form-group">
+                    <label htmlFor="shift-start">{t('volunteers.startTime', 'Start')}</label>
+                    <input
+                        id="shift-start"
+                        type="time"
+                        className="form-input"
+                        value={form.startTime}
+                        onChange={(e) => updateForm({ startTime: e.target.value })}
+                    />
+                    {errors.startTime && <span className="error-text">{errors.startTime}</span>}
+                </div>
+                <div className="form-group">
+                    <label htmlFor="shift-end">{t('volunteers.endTime', 'End')}</label>
+                    <input
+                        id="shift-end"
+                        type="time"
+                        className="form-input"
+                        value={form.endTime}
+                        onChange={(e) => updateForm({ endTime: e.target.value })}
+                    />
+                    {errors.endTime && <span className="error-text">{errors.endTime}</span>}
+                </div>
+                <div className="form-group">
+                    <label htmlFor="shift-slots">{t('volunteers.slots', 'Volunteers needed')}</label>
+                    <input
+                        id="shift-slots"
+                        type="number"
+                        min="1"
+                        max={MAX_SHIFT_SLOTS}
+                        className="form-input"
+                        value={form.slots}
+                        onChange={(e) => updateForm({ slots: e.target.value })}
+                    />
+                    {errors.slots && <span className="error-text">{errors.slots}</span>}
+                </div>
+                <div className="form-group volunteers-form-notes">
+                    <label htmlFor="shift-notes">{t('volunteers.notes', 'Notes for volunteers')}</label>
+                    <input
+                        id="shift-notes"
+                        type="text"
+                        className="form-input"
+                        value={form.notes}
+                        onChange={(e) => updateForm({ notes: e.target.value })}
+                    />
+                </div>
+            </div>
+            <div className="volunteers-form-actions">
+                <button type="button" className="btn-primary" onClick={handleSave} disabled={isSaving}>
+                    {editingShift ? <Save className="btn-icon" size={18} /> : <Plus className="btn-icon" size={18} />}
+                    {editingShift ? t('volunteers.saveShift', 'Save Shift') : t('volunteers.addShift', 'Add a Shift')}
+                </button>
+                {editingShift && (
+                    <button type="button" className="btn-secondary" onClick={resetForm}>
+                        {t('general.cancel', 'Cancel')}
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+
+    const renderShifts = () => (
+        <div className="table-container">
+            <table className="data-table">
+                <thead>
+                    <tr>
+                        <th>{t('volunteers.shift', 'Shift')}</th>
+                        <th>{t('volunteers.time', 'Time')}</th>
+                        <th>{t('volunteers.filled', 'Filled')}</th>
+                        <th>{t('volunteers.title', 'Volunteers')}</th>
+                        <th>{t('events.actions', 'Actions')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {sortShifts(shifts).map(shift => (
+                        <tr key={shift.id} className={getOpenSlots(shift) > 0 ? 'volunteers-gap' : ''}>
+                            <td>
+                                <strong>{getShiftName(shift, t)}</strong>
+                                {shift.title && <div className="volunteers-muted">{getVolunteerRoleLabel(shift.role, t)}</div>}
+                                {shift.notes && <div className="volunteers-muted">{shift.notes}</div>}
+                            </td>
+                            <td>{shift.startTime}–{shift.endTime}</td>
+                            <td>
+                                <span className={`volunteers-fill ${getOpenSlots(shift) > 0 ? 'open' : 'full'}`}>
+                                    {shift.volunteerIds.length} / {shift.slots}
+                                </span>
+                            </td>
+                            <td>
+                                {shift.volunteerIds.length === 0 ? '—' : (
+                                    <ul className="volunteers-names">
+                                        {shift.volunteerIds.map(userId => (
+                                            <li key={userId}>
+                                                <span>
+                                                    {volunteers[userId] ? getUserDisplayName(volunteers[userId]) : userId}
+                                                    {volunteers[userId]?.phone && (
+                                                        <span className="volunteers-muted"> · {formatPhoneNumber(volunteers[userId].phone)}</span>
+                                                    )}
+                                                </span>
+                                                <button
+                                                    type="button"
+                                                    className="volunteers-remove"
+                                                    onClick={() => handleRemoveVolunteer(shift, userId)}
+                                                    title={t('volunteers.removeVolunteer', 'Take off the shift')}
+                                                >
+                                                    <X size={14} />
+                                                </button>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </td>
+                            <td>
+                                <div className="volunteers-row-actions">
+                                    <button type="button" className="btn-secondary" onClick={() => handleEdit(shift)}>
+                                        <Edit className="btn-icon" size={16} />
+                                        {t('general.edit', 'Edit')}
+                                    </button>
+                                    <button type="button" className="btn-secondary" onClick={() => handleDelete(shift)}>
+                                        <Trash2 className="btn-icon" size={16} />
+                                        {t('general.delete', 'Delete')}
+                                    </button>
+                                </div>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+
+    return (
+        <Dashboard requiredRole="admin">
+            <div className={`event-volunteers-page ${appliedTheme}-mode`}>
+                <button className="back-button" onClick={() => navigate(`/admin/events/view/${eventId}`)}>
+                    <ArrowLeft size={18} />
+                    {t('results.backToEvent', 'Back to Event')}
+                </button>
+                <h1 className="page-title">
+                    <HeartHandshake size={32} className="page-title-icon" />
+                    {event
+                        ? t('volunteers.titleFor', 'Volunteers: {eventName}', { eventName: event.name })
+                        : t('volunteers.title', 'Volunteers')}
+                </h1>
+
+                {message && (
+                    <div className={`volunteers-alert ${message.type}`}>{message.text}</div>
+                )}
+
+                {isLoading && !event ? (
+                    <p className="volunteers-muted">{t('volunteers.loading', 'Loading shifts...')}</p>
+                ) : event && (
+                    <>
+                        <div className="volunteers-summary">
+                            <div className="volunteers-stat">
+                                <span className="volunteers-stat-value">{coverage.filled} / {coverage.slots}</span>
+                                <span className="volunteers-stat-label">{t('volunteers.slotsFilled', 'Slots filled')}</span>
+                            </div>
+                            <div className="volunteers-stat">
+                                <span className={`volunteers-stat-value ${coverage.open > 0 ? 'gap' : ''}`}>{coverage.open}</span>
+                                <span className="volunteers-stat-label">
+                                    {coverage.gaps.length > 0
+                                        ? t('volunteers.openIn', 'Open slots, in {shifts}', { shifts: coverage.gaps.map(shift => getShiftName(shift, t)).join(', ') })
+                                        : t('volunteers.openSlots', 'Open slots')}
+                                </span>
+                            </div>
+                        </div>
+
+                        {renderForm()}
+
+                        <div className="volunteers-section">
+                            <h2>{t('volunteers.shifts', 'Shifts')}</h2>
+                            {shifts.length === 0
+                                ? <p className="volunteers-muted">{t('volunteers.noShifts', 'No shifts yet. Add the first one above.')}</p>
+                                : renderShifts()}
+                        </div>
+                    </>
+                )}
+            </div>
+        </Dashboard>
+    );
+};
+
+export default EventVolunteersPage;
@@ -7,6 +7,8 @@ import FormViewModal from '../../components/modals/FormViewModal';
 import { useTheme } from '../../contexts/ThemeContext';
 import { useLanguage } from '../../contexts/LanguageContext';
 import { usePermissions } from '../../hooks/usePermissions.jsx';
+import { useSeason } from '../../hooks/useSeason';
+import { ALL_SEASONS, filterBySeason } from '../../schemas/seasonSchema';
 import {
     getAllForms,
     getAllSubmissionsWithDetails,
@@ -39,6 +41,7 @@ const FormsManagementPage = () => {
     const { isDarkMode, appliedTheme } = useTheme();
     const { t } = useLanguage();
     const { permissions, userRole, userData, user } = usePermissions();
+    const { selectedSeasonId } = useSeason();
 
     // State management
     const [forms, setForms] = useState([]);
@@ -73,7 +76,7 @@ const FormsManagementPage = () => {
         if (userRole !== 'admin') return;
         loadFormsData();
         // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [permissions, userRole]);
+    }, [permissions, userRole, selectedSeasonId]);
 
     const loadFormsData = async () => {
         setIsLoading(true);
@@ -81,8 +84,10 @@ const FormsManagementPage = () => {
 
         try {
             // Load forms and submissions with error handling
-            const formsData = await getAllForms();
-            const submissionsData = await getAllSubmissionsWithDetails();
+            const formsData = filterBySeason(await getAllForms() || [], selectedSeasonId, 'forms');
+            const seasonFormIds = new Set(formsData.map(form => form.id));
+            const submissionsData = (await getAllSubmissionsWithDetails() || [])
+                .filter(submission => selectedSeasonId === ALL_SEASONS || seasonFormIds.has(submission.formId));
 
             setForms(formsData || []);
             setSubmissions(submissionsData || []);
@@ -0,0 +1,434 @@
+// src/pages/admin/HeatSchedulePage.jsx - Race-day heats of an event, generated then adjusted by dragging, with a printable run sheet
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import Dashboard from '../../components/layout/Dashboard';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { usePermissions } from '../../hooks/usePermissions.jsx';
+import { getKidFullName } from '../../schemas/kidSchema';
+import { isActiveRegistration } from '../../schemas/eventRegistrationSchema';
+import {
+    SCHEDULE_ISSUES,
+    createDefaultHeatSettings,
+    findScheduleConflicts,
+    generateHeatSchedule,
+    getHeatTimes,
+    getKidVehicleMap,
+    getScheduleIssueText,
+    moveKidInSchedule,
+    validateHeatSettings
+} from '../../utils/heatScheduleUtils';
+import { getEventById } from '../../services/eventService';
+import { getEventRegistrations } from '../../services/eventRegistrationService';
+import { getHeatSchedule, saveHeatSchedule } from '../../services/heatScheduleService';
+import { getAllKids } from '../../services/kidService';
+import { getAllTeams } from '../../services/teamService';
+import { getAllVehicles } from '../../services/vehicleService';
+import {
+    IconFlag as Flag,
+    IconArrowLeft as ArrowLeft,
+    IconPlus as Plus,
+    IconPrinter as Printer,
+    IconRefresh as RefreshCw,
+    IconDeviceFloppy as Save,
+    IconTrash as Trash2
+} from '@tabler/icons-react';
+import './HeatSchedulePage.css';
+
+const byId = (items) => Object.fromEntries(items.map(item => [item.id, item]));
+
+// Run order: participant number, then name
+const compareKids = (a, b) =>
+    (Number(a.participantNumber) || Infinity) - (Number(b.participantNumber) || Infinity) ||
+    getKidFullName(a).localeCompare(getKidFullName(b));
+
+const HeatSchedulePage = () => {
+    const navigate = useNavigate();
+    const { eventId } = useParams();
+    const { appliedTheme } = useTheme();
+    const { t } = useLanguage();
+    const { user } = usePermissions();
+
+    const [event, setEvent] = useState(null);
+    const [kids, setKids] = useState({});
+    const [teams, setTeams] = useState({});
+    const [vehicles, setVehicles] = useState({});
+    const [vehicleOf, setVehicleOf] = useState(new Map());
+    const [registeredKidIds, setRegisteredKidIds] = useState([]);
+    const [settings, setSettings] = useState(createDefaultHeatSettings());
+    const [settingsErrors, setSettingsErrors] = useState({});
+    const [heats, setHeats] = useState([]);
+    const [savedAt, setSavedAt] = useState(null);
+    const [isDirty, setIsDirty] = useState(false);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [dropTarget, setDropTarget] = useState(null);
+    const [message, setMessage] = useState(null);
+
+    const loadSchedule = useCallback(async () => {
+        setIsLoading(true);
+        try {
+            const [eventData, registrationData, kidData, teamData, vehicleData, schedule] = await Promise.all([
+                getEventById(eventId),
+                getEventRegistrations(eventId),
+                getAllKids(),
+                getAllTeams(),
+                getAllVehicles(),
+                getHeatSchedule(eventId)
+            ]);
+            if (!eventData) {
+                setMessage({ type: 'error', text: t('events.eventNotFound', 'Event not found') });
+                return;
+            }
+
+            const kidsById = byId(kidData);
+            const registered = registrationData
+                .filter(isActiveRegistration)
+                .map(registration => kidsById[registration.kidId])
+                .filter(Boolean)
+                .sort(compareKids)
+                .map(kid => kid.id);
+
+            setEvent(eventData);
+            setKids(kidsById);
+            setTeams(byId(teamData));
+            setVehicles(byId(vehicleData));
+            setVehicleOf(getKidVehicleMap(kidData, vehicleData));
+            setRegisteredKidIds(registered);
+
+            // Kids whose registration was cancelled since the schedule was saved drop out of it
+            const stillRegistered = new Set(registered);
+            setSettings(schedule?.settings || createDefaultHeatSettings(eventData));
+            setHeats((schedule?.heats || []).map(heat => ({ kidIds: heat.kidIds.filter(kidId => stillRegistered.has(kidId)) })));
+            setSavedAt(schedule?.updatedAt || null);
+            setIsDirty(false);
+        } catch (error) {
+            console.error('Error loading heat schedule:', error);
+            setMessage({ type: 'error', text: error.message });
+        } finally {
+            setIsLoading(false);
+        }
+    }, [eventId, t]);
+
+    useEffect(() => {
+        loadSchedule();
+    }, [loadSchedule]);
+
+    const scheduledKidIds = new Set(heats.flatMap(heat => heat.kidIds));
+    const unscheduledKidIds = registeredKidIds.filter(kidId => !scheduledKidIds.has(kidId));
+    const settingsValid = validateHeatSettings(settings).isValid;
+    const times = settingsValid ? getHeatTimes(heats.length, settings) : [];
+    const conflicts = findScheduleConflicts(heats, vehicleOf, settings.heatSize);
+    const conflictKidIds = new Set(conflicts.map(conflict => conflict.kidId).filter(Boolean));
+
+    const kidName = (kidId) => (kids[kidId] ? getKidFullName(kids[kidId], t) : kidId);
+
+    const vehicleName = (kidId) => {
+        const vehicle = vehicles[vehicleOf.get(kidId)];
+        if (!vehicle) return t('heats.noVehicle', 'No vehicle');
+        return [vehicle.make, vehicle.model].filter(Boolean).join(' ') + (vehicle.licensePlate ? ` (${vehicle.licensePlate})` : '');
+    };
+
+    const teamName = (kidId) => teams[kids[kidId]?.teamId]?.name || t('teams.noTeam', 'No Team');
+
+    const updateHeats = (next) => {
+        setHeats(next);
+        setIsDirty(true);
+    };
+
+    const handleSettingChange = (field, value) => {
+        setSettings(prev => ({ ...prev, [field]: value }));
+        setSettingsErrors(prev => ({ ...prev, [field]: undefined }));
+        setIsDirty(true);
+    };
+
+    const handleGenerate = () => {
+        const validation = validateHeatSettings(settings, t);
+        setSettingsErrors(validation.errors);
+        if (!validation.isValid) return;
+        if (heats.length > 0 && !window.confirm(t('heats.confirmRegenerate', 'Replace the current heats, including any changes made by hand?'))) {
+            return;
+        }
+
+        const schedule = generateHeatSchedule(registeredKidIds.map(kidId => kids[kidId]), vehicleOf, settings);
+        updateHeats(schedule.heats);
+        setMessage({
+            type: 'success',
+            text: t('heats.generated', '{count} heats created', { count: schedule.heats.length })
+        });
+    };
+
+    const handleSave = async () => {
+        const validation = validateHeatSettings(settings, t);
+        setSettingsErrors(validation.errors);
+        if (!validation.isValid) return;
+
+        setIsSaving(true);
+        try {
+            await saveHeatSchedule(eventId, { settings, heats, unscheduledKidIds }, user?.uid);
+            setSavedAt(new Date());
+            setIsDirty(false);
+            setMessage({ type: 'success', text: t('heats.saved', 'Heat schedule saved') });
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleAddHeat = () => updateHeats([...heats, { kidIds: [] }]);
+
+    const handleRemoveHeat = (index) => updateHeats(heats.filter((_, heatIndex) => heatIndex !== index));
+
+    // Drag and drop: a kid can be dropped on a heat (at the end), on another kid (before them)
+    // or back on the unscheduled list
+    const handleDragStart = (e, kidId) => {
+        e.dataTransfer.setData('text/plain', kidId);
+        e.dataTransfer.effectAllowed = 'move';
+    };
+
+    const allowDrop = (e, target) => {
+        e.preventDefault();
+        e.stopPropagation();
+        setDropTarget(target);
+    };
+
+    const handleDrop = (e, heatIndex, position) => {
+        e.preventDefault();
+        e.stopPropagation();
+        setDropTarget(null);
+        const kidId = e.dataTransfer.getData('text/plain');
+        if (!kidId) return;
+
+        if (heatIndex === null) {
+            updateHeats(heats.map(heat => ({ ...heat, kidIds: heat.kidIds.filter(id => id !== kidId) })));
+        } else {
+            updateHeats(moveKidInSchedule(heats, kidId, heatIndex, position));
+        }
+    };
+
+    const renderKid = (kidId, heatIndex, position) => (
+        <li
+            key={kidId}
+            className={`heat-kid ${conflictKidIds.has(kidId) ? 'conflict' : ''} ${dropTarget === `${heatIndex}:${position}` ? 'drop-before' : ''}`}
+            draggable
+            onDragStart={(e) => handleDragStart(e, kidId)}
+            onDragOver={(e) => allowDrop(e, `${heatIndex}:${position}`)}
+            onDrop={(e) => handleDrop(e, heatIndex, position)}
+        >
+            <span className="heat-kid-number">{kids[kidId]?.participantNumber ? `#${kids[kidId].participantNumber}` : '—'}</span>
+            <span className="heat-kid-name">{kidName(kidId)}</span>
+            <span className="heat-kid-vehicle">{vehicleName(kidId)}</span>
+        </li>
+    );
+
+    const renderSettings = () => {
+        const field = (name, label, type = 'number', min = 0) => (
+            <div className="form-group">
+                <label className="form-label">{label}</label>
+                <input
+                    type={type}
+                    min={type === 'number' ? min : undefined}
+                    className={`form-input ${settingsErrors[name] ? 'error' : ''}`}
+                    value={settings[name] ?? ''}
+                    onChange={(e) => handleSettingChange(name, e.target.value)}
+                />
+                {settingsErrors[name] && <div className="field-error">{settingsErrors[name]}</div>}
+            </div>
+        );
+
+        return (
+            <div className="heats-section no-print">
+                <div className="heats-settings">
+                    {field('heatSize', t('heats.heatSize', 'Kids per Heat'), 'number', 1)}
+                    {field('heatDurationMinutes', t('heats.heatDuration', 'Heat Length (minutes)'), 'number', 1)}
+                    {field('changeoverMinutes', t('heats.changeover', 'Changeover (minutes)'))}
+                    {field('startTime', t('heats.startTime', 'First Heat Starts'), 'time')}
+                </div>
+                <p className="heats-hint">
+                    {t('heats.generateHint', 'Registered kids run in participant-number order, with siblings side by side where possible. A vehicle shared by several kids never runs in two heats in a row.')}
+                </p>
+                <div className="heats-actions">
+                    <button className="btn-primary" onClick={handleGenerate} disabled={registeredKidIds.length === 0}>
+                        <RefreshCw className="btn-icon" size={18} />
+                        {t('heats.generate', 'Generate Heats')}
+                    </button>
+                    <button className="btn-secondary" onClick={handleSave} disabled={isSaving || !isDirty}>
+                        <Save className="btn-icon" size={18} />
+                        {isSaving ? t('heats.saving', 'Saving...') : t('heats.save', 'Save Schedule')}
+                    </button>
+                    <button className="btn-secondary" onClick={() => window.print()} disabled={heats.length === 0}>
+                        <Printer className="btn-icon" size={18} />
+                        {t('heats.printRunSheet', 'Print Run Sheet')}
+                    </button>
+                    <span className="heats-saved">
+                        {isDirty
+                            ? t('heats.unsaved', 'Unsaved changes')
+                            : savedAt ? t('heats.savedAt', 'Saved {date}', { date: savedAt.toLocaleString() }) : ''}
+                    </span>
+                </div>
+            </div>
+        );
+    };
+
+    const renderHeats = () => (
+        <div className="heats-grid no-print">
+            {heats.map((heat, index) => {
+                const heatConflicts = conflicts.filter(conflict => conflict.heat === index);
+                return (
+                    <div
+                        key={index}
+                        className={`heat-card ${dropTarget === `${index}:end` ? 'drop-target' : ''}`}
+                        onDragOver={(e) => allowDrop(e, `${index}:end`)}
+                        onDragLeave={() => setDropTarget(null)}
+                        onDrop={(e) => handleDrop(e, index)}
+                    >
+                        <div className="heat-card-header">
+                            <strong>{t('heats.heatNumber', 'Heat {number}', { number: index + 1 })}</strong>
+                            <span>{times[index] ? `${times[index].start}–${times[index].end}` : ''}</span>
+                            {heat.kidIds.length === 0 && (
+                                <button
+                                    className="heat-remove"
+                                    onClick={() => handleRemoveHeat(index)}
+                                    title={t('heats.removeHeat', 'Remove heat')}
+                                >
+                                    <Trash2 size={14} />
+                                </button>
+                            )}
+                        </div>
+                        {heat.kidIds.length === 0 ? (
+                            <p className="heats-hint">{t('heats.emptyHeat', 'Break — no kids in this heat')}</p>
+                        ) : (
+                            <ol className="heat-kids">
+                                {heat.kidIds.map((kidId, position) => renderKid(kidId, index, position))}
+                            </ol>
+                        )}
+                        {heatConflicts.length > 0 && (
+                            <ul className="heat-conflicts">
+                                {heatConflicts.map((conflict, conflictIndex) => (
+                                    <li key={conflictIndex}>
+                                        {conflict.kidId ? `${kidName(conflict.kidId)}: ` : ''}{getScheduleIssueText(conflict.code, t)}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                );
+            })}
+            <button className="heat-add" onClick={handleAddHeat}>
+                <Plus size={18} />
+                {t('heats.addHeat', 'Add Heat')}
+            </button>
+        </div>
+    );
+
+    const renderUnscheduled = () => (
+        <div
+            className={`heats-section heats-unscheduled no-print ${dropTarget === 'unscheduled' ? 'drop-target' : ''}`}
+            onDragOver={(e) => allowDrop(e, 'unscheduled')}
+            onDragLeave={() => setDropTarget(null)}
+            onDrop={(e) => handleDrop(e, null)}
+        >
+            <h2>{t('heats.unscheduled', 'Not in a Heat')} ({unscheduledKidIds.length})</h2>
+            {unscheduledKidIds.length === 0 ? (
+                <p className="heats-hint">{t('heats.allScheduled', 'Every registered kid is in a heat. Drop a kid here to take them out.')}</p>
+            ) : (
+                <ul className="heat-kids">
+                    {unscheduledKidIds.map(kidId => (
+                        <li key={kidId} className="heat-kid" draggable onDragStart={(e) => handleDragStart(e, kidId)}>
+                            <span className="heat-kid-number">{kids[kidId]?.participantNumber ? `#${kids[kidId].participantNumber}` : '—'}</span>
+                            <span className="heat-kid-name">{kidName(kidId)}</span>
+                            <span className="heat-kid-vehicle">
+                                {vehicleOf.get(kidId) ? vehicleName(kidId) : getScheduleIssueText(SCHEDULE_ISSUES.NO_VEHICLE, t)}
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+
+    const renderRunSheet = () => (
+        <div className="run-sheet">
+            <h2>{t('heats.runSheetTitle', 'Run Sheet: {eventName}', { eventName: event.name })}</h2>
+            <p>{[event.date, event.location].filter(Boolean).join(' · ')}</p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>{t('heats.heat', 'Heat')}</th>
+                        <th>{t('heats.time', 'Time')}</th>
+                        <th>#</th>
+                        <th>{t('registration.kid', 'Kid')}</th>
+                        <th>{t('heats.vehicle', 'Vehicle')}</th>
+                        <th>{t('registration.team', 'Team')}</th>
+                        <th>✓</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {heats.map((heat, index) => (heat.kidIds.length === 0 ? (
+                        <tr key={index} className="run-sheet-heat-start">
+                            <td>{index + 1}</td>
+                            <td>{times[index]?.start}</td>
+                            <td colSpan={5}>{t('heats.break', 'Break')}</td>
+                        </tr>
+                    ) : heat.kidIds.map((kidId, position) => (
+                        <tr key={kidId} className={position === 0 ? 'run-sheet-heat-start' : ''}>
+                            <td>{position === 0 ? index + 1 : ''}</td>
+                            <td>{position === 0 ? times[index]?.start : ''}</td>
+                            <td>{kids[kidId]?.participantNumber || ''}</td>
+                            <td>{kidName(kidId)}</td>
+                            <td>{vehicleName(kidId)}</td>
+                            <td>{teamName(kidId)}</td>
+                            <td></td>
+                        </tr>
+                    ))))}
+                </tbody>
+            </table>
+        </div>
+    );
+
+    return (
+        <Dashboard requiredRole="admin">
+            <div className={`heat-schedule-page ${appliedTheme}-mode`}>
+                <button className="back-button no-print" onClick={() => navigate(`/admin/events/registrations/${eventId}`)}>
+                    <ArrowLeft size={18} />
+                    {t('heats.backToRegistrations', 'Back to Registrations')}
+                </button>
+                <h1 className="page-title no-print">
+                    <Flag size={32} className="page-title-icon" />
+                    {event
+                        ? t('heats.titleFor', 'Heat Schedule: {eventName}', { eventName: event.name })
+                        : t('heats.title', 'Heat Schedule')}
+                </h1>
+
+                {message && (
+                    <div className={`heats-alert no-print ${message.type}`}>{message.text}</div>
+                )}
+
+                {isLoading && !event ? (
+                    <p className="heats-hint">{t('heats.loading', 'Loading heat schedule...')}</p>
+                ) : event && (
+                    <>
+                        {renderSettings()}
+                        {conflicts.length > 0 && (
+                            <div className="heats-alert error no-print">
+                                {t('heats.conflictsWarning', '{count} problems in the schedule, see the heats marked in red', { count: conflicts.length })}
+                            </div>
+                        )}
+                        {registeredKidIds.length === 0 ? (
+                            <p className="heats-hint">{t('heats.noRegistrations', 'No kids are registered for this event yet.')}</p>
+                        ) : (
+                            <>
+                                {renderHeats()}
+                                {renderUnscheduled()}
+                            </>
+                        )}
+                        {heats.length > 0 && renderRunSheet()}
+                    </>
+                )}
+            </div>
+        </Dashboard>
+    );
+};
+
+export default HeatSchedulePage;
@@ -0,0 +1,272 @@
+// src/pages/admin/KidDuplicatesPage.jsx - Find kids registered twice and merge them
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Dashboard from '../../components/layout/Dashboard';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { getKidFullName } from '../../schemas/kidSchema';
+import { getAllKids, mergeKids } from '../../services/kidService';
+import { getAllTeams, getAllInstructors } from '../../services/teamService';
+import { getAllVehicles } from '../../services/vehicleService';
+import {
+    KID_MERGE_FIELDS,
+    MERGE_SOURCE,
+    findDuplicateKids,
+    getDefaultMergeChoices,
+    getKidFieldValue
+} from '../../utils/kidDuplicateUtils';
+import {
+    IconCopy as Duplicates,
+    IconArrowLeft as ArrowLeft,
+    IconArrowsExchange as Swap,
+    IconGitMerge as Merge,
+    IconRefresh as RefreshCw
+} from '@tabler/icons-react';
+import './KidDuplicatesPage.css';
+
+const KidDuplicatesPage = () => {
+    const navigate = useNavigate();
+    const { appliedTheme } = useTheme();
+    const { t } = useLanguage();
+
+    const [pairs, setPairs] = useState([]);
+    const [lookups, setLookups] = useState({ teams: {}, vehicles: {}, instructors: {} });
+    const [selected, setSelected] = useState(null);
+    const [choices, setChoices] = useState({});
+    const [isLoading, setIsLoading] = useState(true);
+    const [isMerging, setIsMerging] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const loadDuplicates = async () => {
+        setIsLoading(true);
+        try {
+            const [kids, teams, vehicles, instructors] = await Promise.all([
+                getAllKids({ includeArchived: true }),
+                getAllTeams(),
+                getAllVehicles(),
+                getAllInstructors()
+            ]);
+            const byId = (items) => Object.fromEntries(items.map(item => [item.id, item]));
+            setLookups({ teams: byId(teams), vehicles: byId(vehicles), instructors: byId(instructors) });
+            setPairs(findDuplicateKids(kids));
+        } catch (error) {
+            console.error('Error finding duplicate kids:', error);
+            setMessage({ type: 'error', text: error.message });
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        loadDuplicates();
+    }, []);
+
+    const selectPair = (survivor, duplicate) => {
+        setSelected({ survivor, duplicate });
+        setChoices(getDefaultMergeChoices(survivor, duplicate));
+        setMessage(null);
+    };
+
+    const handleMerge = async () => {
+        const { survivor, duplicate } = selected;
+        if (!window.confirm(t('kidDuplicates.confirmMerge', 'Merge {duplicate} into {survivor}? {duplicate} will be deleted. This cannot be undone.', {
+            survivor: getKidFullName(survivor, t),
+            duplicate: getKidFullName(duplicate, t)
+        }))) {
+            return;
+        }
+
+        setIsMerging(true);
+        try {
+            await mergeKids(survivor.id, duplicate.id, choices);
+            setMessage({
+                type: 'success',
+                text: t('kidDuplicates.merged', '{duplicate} was merged into {survivor}', {
+                    survivor: getKidFullName(survivor, t),
+                    duplicate: getKidFullName(duplicate, t)
+                })
+            });
+            setSelected(null);
+            await loadDuplicates();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        } finally {
+            setIsMerging(false);
+        }
+    };
+
+    const reasonLabel = (reason) => ({
+        name: t('kidDuplicates.reasons.name', 'Similar name'),
+        dateOfBirth: t('kidDuplicates.reasons.dateOfBirth', 'Same date of birth'),
+        parentEmail: t('kidDuplicates.reasons.parentEmail', 'Same parent email'),
+        parentPhone: t('kidDuplicates.reasons.parentPhone', 'Same parent phone')
+    }[reason]);
+
+    const describeKid = (kid) => [
+        kid.participantNumber && `#${kid.participantNumber}`,
+        getKidFullName(kid, t),
+        kid.archived && t('kids.alumni', 'Alumni')
+    ].filter(Boolean).join(' · ');
+
+    const formatValue = (kid, path) => {
+        const value = getKidFieldValue(kid, path);
+        if (path === 'teamId') {
+            const team = lookups.teams[kid.teamId]?.name || t('teams.noTeam', 'No Team');
+            const vehicle = lookups.vehicles[kid.vehicleId];
+            return vehicle ? `${team} · ${[vehicle.make, vehicle.model, vehicle.licensePlate].filter(Boolean).join(' ')}` : team;
+        }
+        if (path === 'instructorId') {
+            return lookups.instructors[value]?.name || (value ? value : '—');
+        }
+        if (path === 'personalInfo.photo') {
+            return value
+                ? <img src={value} alt={getKidFullName(kid, t)} className="duplicate-photo" />
+                : '—';
+        }
+        if (typeof value === 'boolean') {
+            return value ? t('exportKids.yes', 'Yes') : t('exportKids.no', 'No');
+        }
+        return value === undefined || value === null || value === '' ? '—' : String(value);
+    };
+
+    const renderMergePanel = () => {
+        const { survivor, duplicate } = selected;
+        const notesCount = (survivor.instructorsComments?.length || 0) + (duplicate.instructorsComments?.length || 0);
+
+        return (
+            <div className="duplicates-section">
+                <div className="duplicates-section-header">
+                    <h2>{t('kidDuplicates.mergeTitle', 'Merge Kids')}</h2>
+                    <div className="duplicates-actions">
+                        <button className="btn-secondary" onClick={() => setSelected(null)} disabled={isMerging}>
+                            <ArrowLeft className="btn-icon" size={18} />
+                            {t('kidDuplicates.back', 'Back to List')}
+                        </button>
+                        <button className="btn-secondary" onClick={() => selectPair(duplicate, survivor)} disabled={isMerging}>
+                            <Swap className="btn-icon" size={18} />
+                            {t('kidDuplicates.swap', 'Keep the Other Kid')}
+                        </button>
+                    </div>
+                </div>
+                <p className="duplicates-hint">
+                    {t('kidDuplicates.mergeHint', 'Pick the value to keep for each field. Instructor notes ({notes}), comments, parent accounts, seasons, form submissions and event registrations of both kids are kept.', { notes: notesCount })}
+                </p>
+
+                <div className="table-container">
+                    <table className="data-table merge-table">
+                        <thead>
+                            <tr>
+                                <th>{t('kidDuplicates.field', 'Field')}</th>
+                                <th>{t('kidDuplicates.keeps', 'Stays')}: {describeKid(survivor)}</th>
+                                <th>{t('kidDuplicates.removed', 'Merged in and deleted')}: {describeKid(duplicate)}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {KID_MERGE_FIELDS.map(field => (
+                                <tr key={field.path}>
+                                    <td>{t(field.labelKey, field.label)}</td>
+                                    {[MERGE_SOURCE.SURVIVOR, MERGE_SOURCE.DUPLICATE].map(source => (
+                                        <td key={source} className={choices[field.path] === source ? 'chosen' : ''}>
+                                            <label className="merge-choice">
+                                                <input
+                                                    type="radio"
+                                                    name={`merge-${field.path}`}
+                                                    checked={choices[field.path] === source}
+                                                    onChange={() => setChoices(prev => ({ ...prev, [field.path]: source }))}
+                                                    disabled={isMerging}
+                                                />
+                                                <span>{formatValue(source === MERGE_SOURCE.SURVIVOR ? survivor : duplicate, field.path)}</span>
+                                            </label>
+                                        </td>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+
+                <button className="btn-primary" onClick={handleMerge} disabled={isMerging}>
+                    <Merge className="btn-icon" size={18} />
+                    {isMerging ? t('kidDuplicates.merging', 'Merging...') : t('kidDuplicates.merge', 'Merge')}
+                </button>
+            </div>
+        );
+    };
+
+    const renderPairs = () => (
+        <div className="duplicates-section">
+            <div className="duplicates-section-header">
+                <h2>{t('kidDuplicates.candidatesTitle', 'Possible Duplicates')}</h2>
+                <button className="btn-secondary" onClick={loadDuplicates} disabled={isLoading}>
+                    <RefreshCw className="btn-icon" size={18} />
+                    {t('kids.refresh', 'Refresh')}
+                </button>
+            </div>
+            <p className="duplicates-hint">
+                {t('kidDuplicates.hint', 'Kids with a similar name (in Hebrew or English) and the same date of birth, parent email or parent phone.')}
+            </p>
+
+            {isLoading ? (
+                <p className="duplicates-empty">{t('kidDuplicates.searching', 'Looking for duplicates...')}</p>
+            ) : pairs.length === 0 ? (
+                <p className="duplicates-empty">{t('kidDuplicates.none', 'No likely duplicates found.')}</p>
+            ) : (
+                <div className="table-container">
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>{t('kidDuplicates.firstKid', 'Registered First')}</th>
+                                <th>{t('kidDuplicates.secondKid', 'Registered Later')}</th>
+                                <th>{t('kidDuplicates.matches', 'Matches')}</th>
+                                <th>{t('kids.actions', 'Actions')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {pairs.map(pair => (
+                                <tr key={`${pair.survivor.id}-${pair.duplicate.id}`}>
+                                    <td>{describeKid(pair.survivor)}</td>
+                                    <td>{describeKid(pair.duplicate)}</td>
+                                    <td>
+                                        <div className="duplicate-reasons">
+                                            {pair.reasons.map(reason => (
+                                                <span key={reason} className="duplicate-reason">{reasonLabel(reason)}</span>
+                                            ))}
+                                        </div>
+                                    </td>
+                                    <td>
+                                        <button className="btn-primary" onClick={() => selectPair(pair.survivor, pair.duplicate)}>
+                                            <Merge className="btn-icon" size={16} />
+                                            {t('kidDuplicates.review', 'Review & Merge')}
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+
+    return (
+        <Dashboard requiredRole="admin">
+            <div className={`kid-duplicates-page ${appliedTheme}-mode`}>
+                <button className="back-button" onClick={() => navigate('/admin/kids')}>
+                    <ArrowLeft size={18} />
+                    {t('kidDuplicates.backToKids', 'Back to Kids')}
+                </button>
+                <h1 className="page-title">
+                    <Duplicates size={32} className="page-title-icon" /> {t('kidDuplicates.title', 'Duplicate Kids')}
+                </h1>
+
+                {message && (
+                    <div className={`duplicates-alert ${message.type}`}>{message.text}</div>
+                )}
+
+                {selected ? renderMergePanel() : renderPairs()}
+            </div>
+        </Dashboard>
+    );
+};
+
+export default KidDuplicatesPage;
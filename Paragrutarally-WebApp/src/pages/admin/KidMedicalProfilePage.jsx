@@ -0,0 +1,203 @@
+// src/pages/admin/KidMedicalProfilePage.jsx - Medical and emergency profile of a kid, with a printable card
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import Dashboard from '../../components/layout/Dashboard';
+import EmergencyCard from '../../components/kids/EmergencyCard';
+import MedicalProfileForm from '../../components/kids/MedicalProfileForm';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { usePermissions } from '../../hooks/usePermissions.jsx';
+import { getKidFullName } from '../../schemas/kidSchema';
+import {
+    cleanMedicalProfile,
+    createEmptyEmergencyContact,
+    createEmptyMedicalProfile,
+    validateMedicalProfile
+} from '../../schemas/medicalProfileSchema';
+import { getKidById } from '../../services/kidService';
+import { getTeamById } from '../../services/teamService';
+import { getMedicalProfile, saveMedicalProfile } from '../../services/medicalProfileService';
+import {
+    IconFirstAidKit as Medical,
+    IconArrowLeft as ArrowLeft,
+    IconEdit as Edit,
+    IconPrinter as Printer,
+    IconDeviceFloppy as Save
+} from '@tabler/icons-react';
+import './KidMedicalProfilePage.css';
+
+const KidMedicalProfilePage = () => {
+    const navigate = useNavigate();
+    const { id } = useParams();
+    const { appliedTheme } = useTheme();
+    const { t } = useLanguage();
+    const { permissions, userRole, user } = usePermissions();
+
+    const [kid, setKid] = useState(null);
+    const [team, setTeam] = useState(null);
+    const [profile, setProfile] = useState(null);
+    const [draft, setDraft] = useState(null);
+    const [formErrors, setFormErrors] = useState({});
+    const [isLoading, setIsLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [message, setMessage] = useState(null);
+
+    const canEdit = kid ? permissions.canEditMedicalProfile(kid, team, user) : false;
+
+    // Runs again once the role is known, so the permission check does not stay on the guest view
+    const loadProfile = useCallback(async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const kidData = await getKidById(id);
+            if (!kidData) {
+                setError(t('viewKid.kidNotFound', 'Kid not found!'));
+                return;
+            }
+            const teamData = kidData.teamId ? await getTeamById(kidData.teamId) : null;
+
+            if (!permissions.canViewMedicalProfile(kidData, teamData, user)) {
+                setError(t('medicalProfile.noPermission', 'Only admins and the instructors of this kid\'s team can see the medical profile.'));
+                return;
+            }
+
+            setKid(kidData);
+            setTeam(teamData);
+            setProfile(await getMedicalProfile(id));
+        } catch (loadError) {
+            console.error('Error loading medical profile:', loadError);
+            setError(loadError.message);
+        } finally {
+            setIsLoading(false);
+        }
+    }, [id, permissions, user, t]);
+
+    useEffect(() => {
+        loadProfile();
+    }, [loadProfile]);
+
+    const startEditing = () => {
+        const base = profile || createEmptyMedicalProfile();
+        setDraft({
+            ...base,
+            // A new profile starts with the parent as the first contact to call
+            emergencyContacts: base.emergencyContacts.length > 0 ? base.emergencyContacts : [{
+                ...createEmptyEmergencyContact(),
+                name: kid.parentInfo?.name || '',
+                relationship: t('medicalProfile.parent', 'Parent'),
+                phone: kid.parentInfo?.phone || ''
+            }]
+        });
+        setFormErrors({});
+        setMessage(null);
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+
+        // Error keys use row indexes, so the form shows the cleaned rows they refer to
+        const cleaned = cleanMedicalProfile(draft);
+        const validation = validateMedicalProfile(cleaned, t);
+        setDraft({ ...draft, ...cleaned });
+        setFormErrors(validation.errors);
+        if (!validation.isValid) {
+            setMessage({ type: 'error', text: t('medicalProfile.fixErrors', 'Please fix the highlighted fields.') });
+            return;
+        }
+
+        setIsSaving(true);
+        try {
+            const saved = await saveMedicalProfile(id, cleaned, user?.uid, t);
+            setProfile({ ...createEmptyMedicalProfile(), ...saved });
+            setDraft(null);
+            setMessage({ type: 'success', text: t('medicalProfile.saved', 'Medical profile saved') });
+        } catch (saveError) {
+            setMessage({ type: 'error', text: saveError.message });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleBack = () => {
+        navigate(userRole === 'admin' ? `/admin/kids/view/${id}` : '/instructor/kids');
+    };
+
+    const renderContent = () => {
+        if (isLoading) {
+            return <p className="medical-empty">{t('medicalProfile.loading', 'Loading medical profile...')}</p>;
+        }
+        if (error) {
+            return <div className="medical-alert error">{error}</div>;
+        }
+        if (draft) {
+            return (
+                <form className="medical-section" onSubmit={handleSave} noValidate>
+                    <MedicalProfileForm profile={draft} errors={formErrors} onChange={setDraft} disabled={isSaving} />
+                    <div className="medical-actions">
+                        <button type="button" className="btn-secondary" onClick={() => setDraft(null)} disabled={isSaving}>
+                            {t('general.cancel', 'Cancel')}
+                        </button>
+                        <button type="submit" className="btn-primary" disabled={isSaving}>
+                            <Save className="btn-icon" size={18} />
+                            {isSaving ? t('medicalProfile.saving', 'Saving...') : t('medicalProfile.save', 'Save Profile')}
+                        </button>
+                    </div>
+                </form>
+            );
+        }
+        if (!profile) {
+            return (
+                <div className="medical-section">
+                    <p className="medical-empty">
+                        {t('medicalProfile.none', 'No medical profile has been filled in for {kidName} yet.', { kidName: getKidFullName(kid, t) })}
+                    </p>
+                </div>
+            );
+        }
+        return <EmergencyCard kid={kid} team={team} profile={profile} />;
+    };
+
+    return (
+        <Dashboard requiredRole={userRole}>
+            <div className={`kid-medical-page ${appliedTheme}-mode`}>
+                <button className="back-button no-print" onClick={handleBack}>
+                    <ArrowLeft size={18} />
+                    {t('medicalProfile.back', 'Back')}
+                </button>
+                <div className="medical-header no-print">
+                    <h1 className="page-title">
+                        <Medical size={32} className="page-title-icon" />
+                        {kid
+                            ? t('medicalProfile.titleFor', 'Medical & Emergency: {kidName}', { kidName: getKidFullName(kid, t) })
+                            : t('medicalProfile.title', 'Medical & Emergency')}
+                    </h1>
+                    {kid && !draft && (
+                        <div className="medical-actions">
+                            {profile && (
+                                <button className="btn-secondary" onClick={() => window.print()}>
+                                    <Printer className="btn-icon" size={18} />
+                                    {t('medicalProfile.print', 'Print Emergency Card')}
+                                </button>
+                            )}
+                            {canEdit && (
+                                <button className="btn-primary" onClick={startEditing}>
+                                    <Edit className="btn-icon" size={18} />
+                                    {profile ? t('medicalProfile.edit', 'Edit Profile') : t('medicalProfile.create', 'Fill In Profile')}
+                                </button>
+                            )}
+                        </div>
+                    )}
+                </div>
+
+                {message && (
+                    <div className={`medical-alert no-print ${message.type}`}>{message.text}</div>
+                )}
+
+                {renderContent()}
+            </div>
+        </Dashboard>
+    );
+};
+
+export default KidMedicalProfilePage;
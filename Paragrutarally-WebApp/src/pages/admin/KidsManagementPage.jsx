@@ -6,13 +6,21 @@ import TeamChangeModal from '../../components/modals/TeamChangeModal.jsx';
 import { useTheme } from '../../contexts/ThemeContext';
 import { useLanguage } from '../../contexts/LanguageContext';
 import { usePermissions, canUserAccessKid } from '../../hooks/usePermissions.jsx';
+import { useSeason } from '../../hooks/useSeason';
+import { filterBySeason } from '../../schemas/seasonSchema';
+import { isKidArchived } from '../../schemas/kidSchema';
 import ExportKidsModal from '../../components/modals/ExportKidsModal';
+import ImportKidsModal from '../../components/modals/ImportKidsModal';
+import ParticipantNumberingModal from '../../components/modals/ParticipantNumberingModal';
 import {
     getAllKids,
     getKidsByInstructor,
     getKidsByParent,
-    deleteKid
+    archiveKid,
+    restoreKid,
+    purgeKid
 } from '@/services/kidService.js';
+import { PARTICIPANT_NUMBER_TAKEN } from '@/services/participantNumberService.js';
 import { getAllTeams } from '@/services/teamService.js';
 import { getKidPhotoInfo } from '@/services/kidPhotoService.js';
 import {
@@ -35,7 +43,12 @@ import {
     IconTrash as Trash2,
     IconClock as Clock,
     IconCircleX as XCircle,
-    IconCamera as Camera
+    IconCamera as Camera,
+    IconHash as Hash,
+    IconArchive as Archive,
+    IconRestore as Restore,
+    IconUpload as Upload,
+    IconCopy as Duplicates
 } from '@tabler/icons-react';
 import './KidsManagementPage.css';
 
@@ -44,6 +57,7 @@ const KidsManagementPage = () => {
     const { appliedTheme } = useTheme();
     const { t } = useLanguage();
     const { permissions, userRole, userData, user, loading: permissionsLoading, error: permissionsError } = usePermissions();
+    const { selectedSeasonId } = useSeason();
 
     const [kids, setKids] = useState([]);
     const [teams, setTeams] = useState([]);
@@ -55,6 +69,8 @@ const KidsManagementPage = () => {
     const [statusFilter, setStatusFilter] = useState('all');
     const [showingKidsWithoutTeams, setShowingKidsWithoutTeams] = useState(false);
     const [exportModalOpen, setExportModalOpen] = useState(false);
+    const [importModalOpen, setImportModalOpen] = useState(false);
+    const [numberingModalOpen, setNumberingModalOpen] = useState(false);
     const [activeCardFilter, setActiveCardFilter] = useState('total'); // NEW: Track active card
 
     // TEAM CHANGE MODAL STATE
@@ -66,7 +82,7 @@ const KidsManagementPage = () => {
         if (!permissionsLoading && permissions) {
             loadTeamsAndKids();
         }
-    }, [userRole, userData, permissions, permissionsLoading]);
+    }, [userRole, userData, permissions, permissionsLoading, selectedSeasonId]);
 
     // Filter kids when search term or filters change
     useEffect(() => {
@@ -127,7 +143,8 @@ const KidsManagementPage = () => {
 
             switch (userRole) {
                 case 'admin':
-                    kidsData = await getAllKids();
+                    // Alumni are loaded too, so they can be searched for and restored
+                    kidsData = await getAllKids({ includeArchived: true });
                     break;
                 case 'instructor':
                     if (userData?.instructorId) {
@@ -148,7 +165,7 @@ const KidsManagementPage = () => {
 
 
             // Filter and transform based on role-based access
-            const accessibleKids = kidsData
+            const accessibleKids = filterBySeason(kidsData, selectedSeasonId, 'kids')
                 .filter(kid => canUserAccessKid(userRole, kid, userData, user))
                 .map(kid => {
                     const photoInfo = getKidPhotoInfo(kid);
@@ -172,6 +189,7 @@ const KidsManagementPage = () => {
                         team: teamName,
                         teamId: kid.teamId,
                         status: kid.signedFormStatus?.toLowerCase() || 'pending',
+                        archived: isKidArchived(kid),
                         participantNumber: kid.participantNumber,
                         // Add photo information
                         photoUrl: photoInfo.url,
@@ -215,11 +233,16 @@ const KidsManagementPage = () => {
                 (teamFilter === 'with-team' && kid.team !== t('kids.noTeam', 'No Team'));
 
             // FIXED: Active kids should check for 'completed' status
-            const matchesStatus = statusFilter === 'all' ||
+            const matchesStatus = statusFilter === 'all' || statusFilter === 'archived' ||
                 (statusFilter === 'active' && kid.status === 'completed') ||
                 (statusFilter !== 'active' && kid.status === statusFilter);
 
-            return matchesSearch && matchesTeam && matchesStatus;
+            // Alumni only show up when asked for or searched for
+            const matchesArchive = statusFilter === 'archived'
+                ? kid.archived
+                : !kid.archived || Boolean(searchTerm);
+
+            return matchesSearch && matchesTeam && matchesStatus && matchesArchive;
         });
         setFilteredKids(filtered);
     };
@@ -263,24 +286,53 @@ const KidsManagementPage = () => {
         setActiveCardFilter('total'); // NEW: Reset to total
     };
 
-    const handleDeleteKid = async (kid) => {
+    const handleArchiveKid = async (kid) => {
         if (userRole !== 'admin') {
-            alert(t('kids.onlyAdminsCanDelete', 'Only administrators can delete kids.'));
+            alert(t('kids.onlyAdminsCanArchive', 'Only administrators can archive kids.'));
             return;
         }
 
-        if (window.confirm(t('kids.deleteConfirm', 'Are you sure you want to delete {kidName}? This action cannot be undone.', { kidName: kid.name }))) {
+        if (window.confirm(t('kids.archiveConfirm', 'Archive {kidName}? They will leave their team and vehicle and move to the alumni list, keeping their history and race number.', { kidName: kid.name }))) {
             try {
-                await deleteKid(kid.id);
-                setKids(kids.filter(k => k.id !== kid.id));
-                alert(t('kids.deleteSuccess', '{kidName} has been deleted successfully!', { kidName: kid.name }));
+                await archiveKid(kid.id, user?.uid);
+                await loadTeamsAndKids();
+                alert(t('kids.archiveSuccess', '{kidName} has been moved to the alumni list.', { kidName: kid.name }));
             } catch (err) {
-                console.error('Error deleting kid:', err);
-                alert(t('kids.deleteFailed', 'Failed to delete kid. Please try again.'));
+                console.error('Error archiving kid:', err);
+                alert(t('kids.archiveFailed', 'Failed to archive kid. Please try again.'));
             }
         }
     };
 
+    const handleRestoreKid = async (kid) => {
+        try {
+            await restoreKid(kid.id);
+            await loadTeamsAndKids();
+            alert(t('kids.restoreSuccess', '{kidName} has been restored.', { kidName: kid.name }));
+        } catch (err) {
+            console.error('Error restoring kid:', err);
+            alert(err.code === PARTICIPANT_NUMBER_TAKEN
+                ? t('kids.restoreNumberTaken', 'Race number {number} now belongs to another kid. Give one of them a new number, then restore again.', { number: kid.participantNumber })
+                : t('kids.restoreFailed', 'Failed to restore kid. Please try again.'));
+        }
+    };
+
+    // Hard delete is the privacy-erasure path and only exists for archived kids
+    const handlePurgeKid = async (kid) => {
+        if (!window.confirm(t('kids.purgeConfirm', 'Permanently erase {kidName}? Their record, photo, event registrations and history will be deleted. This action cannot be undone.', { kidName: kid.name }))) {
+            return;
+        }
+
+        try {
+            await purgeKid(kid.id);
+            setKids(kids.filter(k => k.id !== kid.id));
+            alert(t('kids.purgeSuccess', '{kidName} has been erased.', { kidName: kid.name }));
+        } catch (err) {
+            console.error('Error erasing kid:', err);
+            alert(t('kids.purgeFailed', 'Failed to erase kid: {error}', { error: err.message }));
+        }
+    };
+
     const handleViewKid = (kid) => {
         navigate(`/admin/kids/view/${kid.id}`);
     };
@@ -417,11 +469,12 @@ const KidsManagementPage = () => {
         navigate('/admin/kids/add');
     };
 
+    const currentKids = kids.filter(k => !k.archived);
     const stats = {
-        kidsWithoutTeams: kids.filter(k => k.team === t('kids.noTeam', 'No Team')).length,
-        totalKids: kids.length,
-        activeKids: kids.filter(k => k.status === 'completed').length, // FIXED: Active = completed status
-        kidsWithTeams: kids.filter(k => k.team !== t('kids.noTeam', 'No Team')).length
+        kidsWithoutTeams: currentKids.filter(k => k.team === t('kids.noTeam', 'No Team')).length,
+        totalKids: currentKids.length,
+        activeKids: currentKids.filter(k => k.status === 'completed').length, // FIXED: Active = completed status
+        kidsWithTeams: currentKids.filter(k => k.team !== t('kids.noTeam', 'No Team')).length
     };
 
     if (permissionsLoading) {
@@ -495,6 +548,24 @@ const KidsManagementPage = () => {
                                 <RefreshCw className="btn-icon" size={18} />
                                 {t('kids.refresh', 'Refresh')}
                             </button>
+                            {userRole === 'admin' && (
+                                <button className="btn-secondary" onClick={() => setNumberingModalOpen(true)}>
+                                    <Hash className="btn-icon" size={18} />
+                                    {t('numbering.openButton', 'Race Numbers')}
+                                </button>
+                            )}
+                            {userRole === 'admin' && (
+                                <button className="btn-secondary" onClick={() => setImportModalOpen(true)}>
+                                    <Upload className="btn-icon" size={18} />
+                                    {t('kidImport.openButton', 'Import Kids')}
+                                </button>
+                            )}
+                            {userRole === 'admin' && (
+                                <button className="btn-secondary" onClick={() => navigate('/admin/kids/duplicates')}>
+                                    <Duplicates className="btn-icon" size={18} />
+                                    {t('kidDuplicates.openButton', 'Find Duplicates')}
+                                </button>
+                            )}
                             {(userRole === 'admin' || userRole === 'instructor') && (
                                 <button className="btn-export" onClick={handleExportKids}>
                                     <Download className="btn-icon" size={18} />
@@ -609,6 +680,9 @@ const KidsManagementPage = () => {
                                 <option value="pending">⏳ {t('status.pending', 'Pending')}</option>
                                 <option value="completed">🏁 {t('status.completed', 'Completed')}</option>
                                 <option value="cancelled">❌ {t('status.cancelled', 'Cancelled')}</option>
+                                {userRole === 'admin' && (
+                                    <option value="archived">🎓 {t('kids.alumni', 'Alumni')}</option>
+                                )}
                             </select>
                         </div>
 
@@ -622,7 +696,7 @@ const KidsManagementPage = () => {
                     <div className="results-info">
                         <div className="results-content">
                             <FileSpreadsheet className="results-icon" size={18} />
-                            {t('kids.showing', 'Showing')} {filteredKids.length} {t('kids.of', 'of')} {kids.length} {t('kids.kids', 'kids')}
+                            {t('kids.showing', 'Showing')} {filteredKids.length} {t('kids.of', 'of')} {statusFilter === 'archived' ? kids.length - currentKids.length : currentKids.length} {t('kids.kids', 'kids')}
                             {showingKidsWithoutTeams && <span className="priority-filter"> • 🚨 {t('kids.priorityFilter', 'PRIORITY: Kids without teams')}</span>}
                             {teamFilter !== 'all' && !showingKidsWithoutTeams && <span className="filter-applied"> • {t('kids.status', 'Status')}: {teamFilter === 'with-team' ? t('kids.withTeam', 'With Team') : teamFilter === 'no-team' ? t('kids.noTeam', 'No Team') : teamFilter}</span>}
                             {statusFilter !== 'all' && (
@@ -630,7 +704,9 @@ const KidsManagementPage = () => {
                                     • {t('kids.status', 'Status')}: {
                                         statusFilter === 'active'
                                             ? t('kids.active', 'Active')
-                                            : t(`status.${statusFilter}`, statusFilter.charAt(0).toUpperCase() + statusFilter.slice(1))
+                                            : statusFilter === 'archived'
+                                                ? t('kids.alumni', 'Alumni')
+                                                : t(`status.${statusFilter}`, statusFilter.charAt(0).toUpperCase() + statusFilter.slice(1))
                                     }
                                 </span>
                             )}
@@ -693,7 +769,7 @@ const KidsManagementPage = () => {
                                     filteredKids.map(kid => (
                                         <tr
                                             key={kid.id}
-                                            className={`${kid.team === t('kids.noTeam', 'No Team') ? 'priority-row' : ''} clickable-row`}
+                                            className={`${kid.archived ? 'archived-row' : kid.team === t('kids.noTeam', 'No Team') ? 'priority-row' : ''} clickable-row`}
                                             onClick={(e) => handleRowClick(kid, e)}
                                             style={{ cursor: 'pointer' }}
                                             title={t('kids.clickToView', 'Click to view details')}
@@ -701,7 +777,7 @@ const KidsManagementPage = () => {
                                             <td>
                                                 <div className="kid-info">
                                                     <div className="kid-name">
-                                                        {kid.team === t('kids.noTeam', 'No Team') && <AlertTriangle className="priority-indicator" size={16} />}
+                                                        {!kid.archived && kid.team === t('kids.noTeam', 'No Team') && <AlertTriangle className="priority-indicator" size={16} />}
                                                         {kid.name}
                                                     </div>
                                                     <div className="parent-name">👨‍👩‍👧‍👦 {kid.parentName}</div>
@@ -739,13 +815,20 @@ const KidsManagementPage = () => {
                                                 </span>
                                             </td>
                                             <td>
-                                                <span className={`status-badge status-${kid.status}`}>
-                                                    {kid.status === 'active' && <Check size={14} style={{ marginRight: '4px' }} />}
-                                                    {kid.status === 'completed' && <Check size={14} style={{ marginRight: '4px' }} />}
-                                                    {kid.status === 'cancelled' && <XCircle size={14} style={{ marginRight: '4px' }} />}
-                                                    {kid.status === 'pending' && <Clock size={14} style={{ marginRight: '4px' }} />}
-                                                    {t(`status.${kid.status}`, kid.status.charAt(0).toUpperCase() + kid.status.slice(1))}
-                                                </span>
+                                                {kid.archived ? (
+                                                    <span className="status-badge status-archived">
+                                                        <Archive size={14} style={{ marginRight: '4px' }} />
+                                                        {t('kids.alumni', 'Alumni')}
+                                                    </span>
+                                                ) : (
+                                                    <span className={`status-badge status-${kid.status}`}>
+                                                        {kid.status === 'active' && <Check size={14} style={{ marginRight: '4px' }} />}
+                                                        {kid.status === 'completed' && <Check size={14} style={{ marginRight: '4px' }} />}
+                                                        {kid.status === 'cancelled' && <XCircle size={14} style={{ marginRight: '4px' }} />}
+                                                        {kid.status === 'pending' && <Clock size={14} style={{ marginRight: '4px' }} />}
+                                                        {t(`status.${kid.status}`, kid.status.charAt(0).toUpperCase() + kid.status.slice(1))}
+                                                    </span>
+                                                )}
                                             </td>
                                             <td>
                                                 <div className="action-buttons-enhanced">
@@ -760,7 +843,7 @@ const KidsManagementPage = () => {
                                                         <Eye size={16} />
                                                     </button>
 
-                                                    {(userRole === 'admin' || userRole === 'instructor') && (
+                                                    {!kid.archived && (userRole === 'admin' || userRole === 'instructor') && (
                                                         <button
                                                             className={`btn-action ${kid.team === t('kids.noTeam', 'No Team') ? 'assign-team priority' : 'change-team'}`}
                                                             onClick={(e) => {
@@ -786,18 +869,43 @@ const KidsManagementPage = () => {
                                                         </button>
                                                     )}
 
-                                                    {userRole === 'admin' && (
+                                                    {userRole === 'admin' && !kid.archived && (
                                                         <button
                                                             className="btn-action delete"
                                                             onClick={(e) => {
                                                                 e.stopPropagation();
-                                                                handleDeleteKid(kid);
+                                                                handleArchiveKid(kid);
                                                             }}
-                                                            title={t('kids.deleteKid', 'Delete Kid')}
+                                                            title={t('kids.archiveKid', 'Archive Kid')}
                                                         >
-                                                            <Trash2 size={16} />
+                                                            <Archive size={16} />
                                                         </button>
                                                     )}
+
+                                                    {userRole === 'admin' && kid.archived && (
+                                                        <>
+                                                            <button
+                                                                className="btn-action edit"
+                                                                onClick={(e) => {
+                                                                    e.stopPropagation();
+                                                                    handleRestoreKid(kid);
+                                                                }}
+                                                                title={t('kids.restoreKid', 'Restore Kid')}
+                                                            >
+                                                                <Restore size={16} />
+                                                            </button>
+                                                            <button
+                                                                className="btn-action delete"
+                                                                onClick={(e) => {
+                                                                    e.stopPropagation();
+                                                                    handlePurgeKid(kid);
+                                                                }}
+                                                                title={t('kids.purgeKid', 'Erase Permanently')}
+                                                            >
+                                                                <Trash2 size={16} />
+                                                            </button>
+                                                        </>
+                                                    )}
                                                 </div>
                                             </td>
                                         </tr>
@@ -823,6 +931,26 @@ const KidsManagementPage = () => {
                     isOpen={exportModalOpen}
                     onClose={handleCloseExportModal}
                 />
+
+                {/* Excel import wizard */}
+                {userRole === 'admin' && (
+                    <ImportKidsModal
+                        isOpen={importModalOpen}
+                        onClose={() => setImportModalOpen(false)}
+                        onImported={() => loadTeamsAndKids()}
+                    />
+                )}
+
+                {/* Race number settings and duplicate repair */}
+                {userRole === 'admin' && (
+                    <ParticipantNumberingModal
+                        isOpen={numberingModalOpen}
+                        onClose={() => setNumberingModalOpen(false)}
+                        onRepaired={(result) => {
+                            if (result.renumbered.length > 0) loadTeamsAndKids();
+                        }}
+                    />
+                )}
             </div>
         </Dashboard>
     );
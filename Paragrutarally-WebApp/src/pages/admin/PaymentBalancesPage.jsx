@@ -0,0 +1,201 @@
+// src/pages/admin/PaymentBalancesPage.jsx - Outstanding balance of each family across the season's events
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Dashboard from '../../components/layout/Dashboard';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { useSeason } from '../../hooks/useSeason';
+import { getKidFullName } from '../../schemas/kidSchema';
+import { getFamilyBalances } from '../../schemas/paymentSchema';
+import { isInSeason } from '../../schemas/seasonSchema';
+import { getAllEvents } from '../../services/eventService';
+import { getAllKids } from '../../services/kidService';
+import { getLedger } from '../../services/paymentService';
+import { formatCurrency } from '../../utils/formatUtils';
+import { downloadExcel, jsonToExcel } from '../../utils/excelUtils';
+import {
+    IconCash as Cash,
+    IconDownload as Download
+} from '@tabler/icons-react';
+import './EventPaymentsPage.css';
+
+const PaymentBalancesPage = () => {
+    const navigate = useNavigate();
+    const { appliedTheme } = useTheme();
+    const { t, isRTL, currentLanguage } = useLanguage();
+    const { selectedSeasonId } = useSeason();
+
+    const [events, setEvents] = useState([]);
+    const [ledger, setLedger] = useState({ charges: [], payments: [] });
+    const [kids, setKids] = useState({});
+    const [onlyOwing, setOnlyOwing] = useState(true);
+    const [isLoading, setIsLoading] = useState(true);
+    const [message, setMessage] = useState(null);
+
+    useEffect(() => {
+        const loadBalances = async () => {
+            setIsLoading(true);
+            try {
+                const [eventData, ledgerData, kidData] = await Promise.all([
+                    getAllEvents(),
+                    getLedger(),
+                    getAllKids({ includeArchived: true })
+                ]);
+                setEvents(eventData);
+                setLedger(ledgerData);
+                setKids(Object.fromEntries(kidData.map(kid => [kid.id, kid])));
+            } catch (error) {
+                console.error('Error loading family balances:', error);
+                setMessage({ type: 'error', text: error.message });
+            } finally {
+                setIsLoading(false);
+            }
+        };
+        loadBalances();
+    }, []);
+
+    const seasonEventIds = new Set(events.filter(event => isInSeason(event, selectedSeasonId, 'events')).map(event => event.id));
+    const inSeason = (entry) => seasonEventIds.has(entry.eventId);
+    const charges = ledger.charges.filter(inSeason);
+    const payments = ledger.payments.filter(inSeason);
+    const allBalances = getFamilyBalances(charges, payments);
+    const balances = onlyOwing ? allBalances.filter(balance => balance.balance > 0) : allBalances;
+
+    // Events a family still owes for, so the admin can go straight to them
+    const owingEventIds = (familyId) => [...new Set(charges
+        .filter(charge => charge.familyId === familyId && charge.amountDue > 0)
+        .map(charge => charge.eventId))]
+        .filter(eventId => getFamilyBalances(
+            charges.filter(charge => charge.eventId === eventId && charge.familyId === familyId),
+            payments.filter(payment => payment.eventId === eventId && payment.familyId === familyId)
+        ).some(balance => balance.balance > 0));
+
+    const eventsById = Object.fromEntries(events.map(event => [event.id, event]));
+    const locale = isRTL ? 'he-IL' : 'en-US';
+    const kidNames = (balance) => balance.kidIds.map(kidId => (kids[kidId] ? getKidFullName(kids[kidId], t) : kidId)).join(', ');
+    const familyLabel = (balance) => balance.familyName || kidNames(balance) || balance.familyId;
+    const totalOwed = allBalances.reduce((sum, balance) => sum + Math.max(0, balance.balance), 0);
+
+    const handleExport = async () => {
+        if (balances.length === 0) {
+            setMessage({ type: 'error', text: t('payments.nothingToExport', 'There is nothing to export yet') });
+            return;
+        }
+
+        const rows = balances.map(balance => ({
+            [t('payments.export.family', 'Family')]: familyLabel(balance),
+            [t('payments.export.kids', 'Kids')]: kidNames(balance),
+            [t('payments.export.currency', 'Currency')]: balance.currency,
+            [t('payments.export.due', 'Due')]: balance.due,
+            [t('payments.export.paid', 'Paid')]: balance.paid,
+            [t('payments.export.balance', 'Balance')]: balance.balance,
+            [t('payments.export.events', 'Events owed')]: owingEventIds(balance.familyId)
+                .map(eventId => eventsById[eventId]?.name || eventId).join(', ')
+        }));
+
+        try {
+            const blob = await jsonToExcel(rows, t('payments.export.balancesSheet', 'Balances'), { rightToLeft: currentLanguage === 'he' });
+            downloadExcel(blob, `family_balances_${new Date().toISOString().split('T')[0]}`);
+        } catch (error) {
+            console.error('Error exporting balances:', error);
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    return (
+        <Dashboard requiredRole="admin">
+            <div className={`payment-balances-page ${appliedTheme}-mode`}>
+                <div className="payments-title-row">
+                    <h1 className="page-title">
+                        <Cash size={32} className="page-title-icon" />
+                        {t('payments.balancesTitle', 'Family Balances')}
+                    </h1>
+                    <button type="button" className="btn-secondary" onClick={handleExport} disabled={isLoading}>
+                        <Download className="btn-icon" size={18} />
+                        {t('payments.exportXlsx', 'Export for Treasurer (XLSX)')}
+                    </button>
+                </div>
+
+                {message && <div className={`payments-alert ${message.type}`}>{message.text}</div>}
+
+                {isLoading ? (
+                    <p className="payments-hint">{t('payments.loading', 'Loading payments...')}</p>
+                ) : (
+                    <>
+                        <div className="payments-summary">
+                            <div className="payments-stat">
+                                <span className={`payments-stat-value ${totalOwed > 0 ? 'owing' : ''}`}>
+                                    {formatCurrency(totalOwed, allBalances[0]?.currency || 'ILS', locale)}
+                                </span>
+                                <span className="payments-stat-label">
+                                    {t('payments.outstandingFamilies', 'Outstanding, {count} families', {
+                                        count: allBalances.filter(balance => balance.balance > 0).length
+                                    })}
+                                </span>
+                            </div>
+                        </div>
+
+                        <div className="payments-section">
+                            <label className="payments-filter">
+                                <input
+                                    type="checkbox"
+                                    checked={onlyOwing}
+                                    onChange={(e) => setOnlyOwing(e.target.checked)}
+                                />
+                                {t('payments.onlyOwing', 'Only families with an outstanding balance')}
+                            </label>
+
+                            {balances.length === 0 ? (
+                                <p className="payments-hint">{t('payments.noOutstanding', 'No family owes anything.')}</p>
+                            ) : (
+                                <div className="table-container">
+                                    <table className="data-table">
+                                        <thead>
+                                            <tr>
+                                                <th>{t('payments.family', 'Family')}</th>
+                                                <th>{t('payments.kids', 'Kids')}</th>
+                                                <th>{t('payments.amountDue', 'Due')}</th>
+                                                <th>{t('payments.paid', 'Paid')}</th>
+                                                <th>{t('payments.balance', 'Balance')}</th>
+                                                <th>{t('payments.owedFor', 'Owed for')}</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {balances.map(balance => (
+                                                <tr key={`${balance.familyId}-${balance.currency}`}>
+                                                    <td>{familyLabel(balance)}</td>
+                                                    <td>{kidNames(balance) || '—'}</td>
+                                                    <td>{formatCurrency(balance.due, balance.currency, locale)}</td>
+                                                    <td>{formatCurrency(balance.paid, balance.currency, locale)}</td>
+                                                    <td>
+                                                        <span className={`payments-balance ${balance.balance > 0 ? 'owing' : 'settled'}`}>
+                                                            {formatCurrency(balance.balance, balance.currency, locale)}
+                                                        </span>
+                                                    </td>
+                                                    <td>
+                                                        {owingEventIds(balance.familyId).map(eventId => (
+                                                            <button
+                                                                key={eventId}
+                                                                type="button"
+                                                                className="btn-secondary"
+                                                                onClick={() => navigate(`/admin/events/payments/${eventId}`)}
+                                                            >
+                                                                {eventsById[eventId]?.name || eventId}
+                                                            </button>
+                                                        ))}
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+                        </div>
+                    </>
+                )}
+            </div>
+        </Dashboard>
+    );
+};
+
+export default PaymentBalancesPage;
@@ -0,0 +1,443 @@
+// src/pages/admin/RaceResultsPage.jsx - Results entry at the track (heat by heat, phone-first) and the event leaderboard
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import Dashboard from '../../components/layout/Dashboard';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { usePermissions } from '../../hooks/usePermissions.jsx';
+import { getKidFullName } from '../../schemas/kidSchema';
+import { isActiveRegistration } from '../../schemas/eventRegistrationSchema';
+import {
+    buildLapLeaderboard,
+    cleanRaceResult,
+    createEmptyRaceResult,
+    formatLapTime,
+    getBestLap,
+    getAwardSuggestions,
+    groupResultsByHeat,
+    parseLapTime
+} from '../../schemas/raceResultSchema';
+import { getEventById } from '../../services/eventService';
+import { getEventRegistrations } from '../../services/eventRegistrationService';
+import { getHeatSchedule } from '../../services/heatScheduleService';
+import { getAllKids } from '../../services/kidService';
+import { getEventResults, saveRaceResult } from '../../services/raceResultService';
+import {
+    IconTrophy as Trophy,
+    IconArrowLeft as ArrowLeft,
+    IconCheck as Check,
+    IconDeviceFloppy as Save,
+    IconFlag as Flag,
+    IconListNumbers as ListNumbers,
+    IconPlus as Plus,
+    IconX as X
+} from '@tabler/icons-react';
+import './RaceResultsPage.css';
+
+const byId = (items) => Object.fromEntries(items.map(item => [item.id, item]));
+
+const ALL_KIDS = 'all';
+// Position buttons shown when entering results for all kids rather than one heat
+const MAX_POSITIONS = 10;
+
+const RaceResultsPage = () => {
+    const navigate = useNavigate();
+    const { eventId } = useParams();
+    const { appliedTheme } = useTheme();
+    const { t } = useLanguage();
+    const { user } = usePermissions();
+
+    const [event, setEvent] = useState(null);
+    const [kids, setKids] = useState({});
+    const [registeredKidIds, setRegisteredKidIds] = useState([]);
+    const [heats, setHeats] = useState([]);
+    const [results, setResults] = useState({});
+    const [drafts, setDrafts] = useState({});
+    const [lapInputs, setLapInputs] = useState({});
+    const [awardInputs, setAwardInputs] = useState({});
+    const [selectedHeat, setSelectedHeat] = useState(ALL_KIDS);
+    const [view, setView] = useState('entry');
+    const [isLoading, setIsLoading] = useState(true);
+    const [savingKidId, setSavingKidId] = useState(null);
+    const [message, setMessage] = useState(null);
+
+    const loadResults = useCallback(async () => {
+        setIsLoading(true);
+        try {
+            const [eventData, registrationData, kidData, schedule, resultData] = await Promise.all([
+                getEventById(eventId),
+                getEventRegistrations(eventId),
+                getAllKids(),
+                getHeatSchedule(eventId),
+                getEventResults(eventId)
+            ]);
+            if (!eventData) {
+                setMessage({ type: 'error', text: t('events.eventNotFound', 'Event not found') });
+                return;
+            }
+
+            const kidsById = byId(kidData);
+            const registered = registrationData
+                .filter(isActiveRegistration)
+                .map(registration => registration.kidId)
+                .filter(kidId => kidsById[kidId]);
+            // Heats keep their schedule numbers; breaks (empty heats) get no tab
+            const scheduledHeats = schedule?.heats || [];
+            const firstHeat = scheduledHeats.findIndex(heat => heat.kidIds.length > 0);
+
+            setEvent(eventData);
+            setKids(kidsById);
+            setRegisteredKidIds(registered);
+            setHeats(scheduledHeats);
+            setResults(Object.fromEntries(resultData.map(result => [result.kidId, result])));
+            setDrafts({});
+            setSelectedHeat(firstHeat === -1 ? ALL_KIDS : firstHeat);
+        } catch (error) {
+            console.error('Error loading race results:', error);
+            setMessage({ type: 'error', text: error.message });
+        } finally {
+            setIsLoading(false);
+        }
+    }, [eventId, t]);
+
+    useEffect(() => {
+        loadResults();
+    }, [loadResults]);
+
+    const kidName = (kidId) => (kids[kidId] ? getKidFullName(kids[kidId], t) : kidId);
+
+    const heatNumberOf = (kidId) => {
+        const index = heats.findIndex(heat => heat.kidIds.includes(kidId));
+        return index === -1 ? null : index + 1;
+    };
+
+    // The form a kid's card edits: unsaved changes, else the saved result, else an empty one in the kid's heat
+    const resultFor = (kidId) => drafts[kidId]
+        || (results[kidId] && cleanRaceResult(results[kidId]))
+        || { ...createEmptyRaceResult(), heatNumber: heatNumberOf(kidId) };
+
+    const updateDraft = (kidId, changes) => {
+        setDrafts(prev => ({ ...prev, [kidId]: { ...resultFor(kidId), ...changes } }));
+    };
+
+    const handlePosition = (kidId, position) => {
+        const current = resultFor(kidId);
+        updateDraft(kidId, {
+            finishPosition: current.finishPosition === position ? null : position,
+            didNotFinish: false
+        });
+    };
+
+    const handleAddLap = (kidId) => {
+        const lap = parseLapTime(lapInputs[kidId]);
+        if (lap === null) {
+            setMessage({ type: 'error', text: t('results.invalidLap', 'Type a lap time like 65.3 or 1:05.3') });
+            return;
+        }
+        updateDraft(kidId, { lapTimes: [...resultFor(kidId).lapTimes, lap] });
+        setLapInputs(prev => ({ ...prev, [kidId]: '' }));
+        setMessage(null);
+    };
+
+    const handleRemoveLap = (kidId, lapIndex) => {
+        updateDraft(kidId, { lapTimes: resultFor(kidId).lapTimes.filter((_, index) => index !== lapIndex) });
+    };
+
+    const handleToggleAward = (kidId, award) => {
+        const { awards } = resultFor(kidId);
+        updateDraft(kidId, {
+            awards: awards.includes(award) ? awards.filter(existing => existing !== award) : [...awards, award]
+        });
+    };
+
+    const handleAddAward = (kidId) => {
+        const award = (awardInputs[kidId] || '').trim();
+        if (!award) return;
+        const { awards } = resultFor(kidId);
+        if (!awards.includes(award)) updateDraft(kidId, { awards: [...awards, award] });
+        setAwardInputs(prev => ({ ...prev, [kidId]: '' }));
+    };
+
+    const handleSave = async (kidId) => {
+        setSavingKidId(kidId);
+        try {
+            const saved = await saveRaceResult(event, kidId, resultFor(kidId), user?.uid, t);
+            setResults(prev => ({ ...prev, [kidId]: saved }));
+            setDrafts(prev => {
+                const next = { ...prev };
+                delete next[kidId];
+                return next;
+            });
+            setMessage({ type: 'success', text: t('results.saved', 'Result saved for {kidName}', { kidName: kidName(kidId) }) });
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        } finally {
+            setSavingKidId(null);
+        }
+    };
+
+    const visibleKidIds = selectedHeat === ALL_KIDS
+        ? registeredKidIds
+        : (heats[selectedHeat]?.kidIds || []).filter(kidId => kids[kidId]);
+    const positionCount = Math.min(Math.max(visibleKidIds.length, 1), selectedHeat === ALL_KIDS ? MAX_POSITIONS : Infinity);
+    const awardSuggestions = getAwardSuggestions(t);
+
+    const renderKidCard = (kidId) => {
+        const result = resultFor(kidId);
+        const isDirty = Boolean(drafts[kidId]);
+        const isSaved = Boolean(results[kidId]) && !isDirty;
+        const customAwards = result.awards.filter(award => !awardSuggestions.includes(award));
+
+        return (
+            <div key={kidId} className={`result-card ${isDirty ? 'dirty' : ''}`}>
+                <div className="result-card-header">
+                    <span className="result-kid-number">{kids[kidId]?.participantNumber ? `#${kids[kidId].participantNumber}` : '—'}</span>
+                    <strong>{kidName(kidId)}</strong>
+                    {isSaved && <Check size={18} className="result-saved-icon" />}
+                </div>
+
+                <div className="result-label">{t('results.finishPosition', 'Finish Position')}</div>
+                <div className="result-positions">
+                    {Array.from({ length: positionCount }, (_, index) => index + 1).map(position => (
+                        <button
+                            key={position}
+                            type="button"
+                            className={`result-position ${result.finishPosition === position ? 'selected' : ''}`}
+                            onClick={() => handlePosition(kidId, position)}
+                        >
+                            {position}
+                        </button>
+                    ))}
+                    <button
+                        type="button"
+                        className={`result-position dnf ${result.didNotFinish ? 'selected' : ''}`}
+                        onClick={() => updateDraft(kidId, { didNotFinish: !result.didNotFinish, finishPosition: null })}
+                    >
+                        {t('results.dnf', 'DNF')}
+                    </button>
+                </div>
+
+                <div className="result-label">{t('results.lapTimes', 'Lap Times')}</div>
+                <div className="result-laps">
+                    {result.lapTimes.map((lap, index) => (
+                        <button key={index} type="button" className="result-chip" onClick={() => handleRemoveLap(kidId, index)}>
+                            {formatLapTime(lap)}
+                            <X size={14} />
+                        </button>
+                    ))}
+                </div>
+                <div className="result-inline-form">
+                    <input
+                        type="text"
+                        inputMode="decimal"
+                        className="form-input"
+                        placeholder={t('results.lapPlaceholder', 'e.g. 65.3 or 1:05.3')}
+                        value={lapInputs[kidId] || ''}
+                        onChange={(e) => setLapInputs(prev => ({ ...prev, [kidId]: e.target.value }))}
+                        onKeyDown={(e) => e.key === 'Enter' && handleAddLap(kidId)}
+                    />
+                    <button type="button" className="btn-secondary" onClick={() => handleAddLap(kidId)}>
+                        <Plus className="btn-icon" size={18} />
+                        {t('results.addLap', 'Add Lap')}
+                    </button>
+                </div>
+
+                <div className="result-label">{t('results.awardsTitle', 'Awards')}</div>
+                <div className="result-awards">
+                    {[...awardSuggestions, ...customAwards].map(award => (
+                        <button
+                            key={award}
+                            type="button"
+                            className={`result-chip ${result.awards.includes(award) ? 'selected' : ''}`}
+                            onClick={() => handleToggleAward(kidId, award)}
+                        >
+                            {award}
+                        </button>
+                    ))}
+                </div>
+                <div className="result-inline-form">
+                    <input
+                        type="text"
+                        className="form-input"
+                        maxLength={60}
+                        placeholder={t('results.customAward', 'Another award...')}
+                        value={awardInputs[kidId] || ''}
+                        onChange={(e) => setAwardInputs(prev => ({ ...prev, [kidId]: e.target.value }))}
+                        onKeyDown={(e) => e.key === 'Enter' && handleAddAward(kidId)}
+                    />
+                    <button type="button" className="btn-secondary" onClick={() => handleAddAward(kidId)}>
+                        <Plus className="btn-icon" size={18} />
+                        {t('results.addAward', 'Add')}
+                    </button>
+                </div>
+
+                <button
+                    type="button"
+                    className="btn-primary result-save"
+                    onClick={() => handleSave(kidId)}
+                    disabled={!isDirty || savingKidId === kidId}
+                >
+                    <Save className="btn-icon" size={18} />
+                    {savingKidId === kidId ? t('results.saving', 'Saving...') : t('results.save', 'Save Result')}
+                </button>
+            </div>
+        );
+    };
+
+    const renderEntry = () => (
+        <>
+            {heats.some(heat => heat.kidIds.length > 0) && (
+                <div className="results-heat-tabs">
+                    {heats.map((heat, index) => heat.kidIds.length > 0 && (
+                        <button
+                            key={index}
+                            type="button"
+                            className={`results-tab ${selectedHeat === index ? 'active' : ''}`}
+                            onClick={() => setSelectedHeat(index)}
+                        >
+                            {t('heats.heatNumber', 'Heat {number}', { number: index + 1 })}
+                        </button>
+                    ))}
+                    <button
+                        type="button"
+                        className={`results-tab ${selectedHeat === ALL_KIDS ? 'active' : ''}`}
+                        onClick={() => setSelectedHeat(ALL_KIDS)}
+                    >
+                        {t('results.allKids', 'All Kids')}
+                    </button>
+                </div>
+            )}
+            {visibleKidIds.length === 0 ? (
+                <p className="results-hint">{t('heats.noRegistrations', 'No kids are registered for this event yet.')}</p>
+            ) : (
+                <div className="results-grid">{visibleKidIds.map(renderKidCard)}</div>
+            )}
+        </>
+    );
+
+    const renderLeaderboard = () => {
+        const saved = Object.values(results);
+        const fastest = buildLapLeaderboard(saved);
+        const byHeat = groupResultsByHeat(saved);
+        const awarded = saved.filter(result => result.awards?.length > 0);
+
+        if (saved.length === 0) {
+            return <p className="results-hint">{t('results.noResults', 'No results have been entered for this event yet.')}</p>;
+        }
+
+        return (
+            <div className="results-leaderboard">
+                <div className="results-section">
+                    <h2>{t('results.fastestLaps', 'Fastest Laps')}</h2>
+                    {fastest.length === 0 ? (
+                        <p className="results-hint">{t('results.noLapTimes', 'No lap times yet.')}</p>
+                    ) : (
+                        <ol className="results-list">
+                            {fastest.map(result => (
+                                <li key={result.kidId}>
+                                    <span>{kidName(result.kidId)}</span>
+                                    <strong>{formatLapTime(result.bestLap)}</strong>
+                                </li>
+                            ))}
+                        </ol>
+                    )}
+                </div>
+
+                {byHeat.map(({ heatNumber, results: heatResults }) => (
+                    <div key={heatNumber ?? 'none'} className="results-section">
+                        <h2>
+                            {heatNumber
+                                ? t('heats.heatNumber', 'Heat {number}', { number: heatNumber })
+                                : t('results.noHeat', 'No Heat')}
+                        </h2>
+                        <ol className="results-list">
+                            {heatResults.map(result => (
+                                <li key={result.kidId}>
+                                    <span>
+                                        {result.didNotFinish ? t('results.dnf', 'DNF') : result.finishPosition || '—'}
+                                        {' · '}
+                                        {kidName(result.kidId)}
+                                    </span>
+                                    <strong>{formatLapTime(getBestLap(result))}</strong>
+                                </li>
+                            ))}
+                        </ol>
+                    </div>
+                ))}
+
+                {awarded.length > 0 && (
+                    <div className="results-section">
+                        <h2>{t('results.awardsTitle', 'Awards')}</h2>
+                        <ul className="results-list">
+                            {awarded.map(result => (
+                                <li key={result.kidId}>
+                                    <span>{kidName(result.kidId)}</span>
+                                    <strong>{result.awards.join(', ')}</strong>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+            </div>
+        );
+    };
+
+    return (
+        <Dashboard requiredRole="admin">
+            <div className={`race-results-page ${appliedTheme}-mode`}>
+                <button className="back-button" onClick={() => navigate(`/admin/events/view/${eventId}`)}>
+                    <ArrowLeft size={18} />
+                    {t('results.backToEvent', 'Back to Event')}
+                </button>
+                <h1 className="page-title">
+                    <Trophy size={32} className="page-title-icon" />
+                    {event
+                        ? t('results.titleFor', 'Results: {eventName}', { eventName: event.name })
+                        : t('results.title', 'Race Results')}
+                </h1>
+
+                {message && (
+                    <div className={`results-alert ${message.type}`}>{message.text}</div>
+                )}
+
+                {isLoading && !event ? (
+                    <p className="results-hint">{t('results.loading', 'Loading results...')}</p>
+                ) : event && (
+                    <>
+                        <div className="results-view-tabs">
+                            <button
+                                type="button"
+                                className={`results-tab ${view === 'entry' ? 'active' : ''}`}
+                                onClick={() => setView('entry')}
+                            >
+                                <Flag size={18} />
+                                {t('results.entry', 'Enter Results')}
+                            </button>
+                            <button
+                                type="button"
+                                className={`results-tab ${view === 'leaderboard' ? 'active' : ''}`}
+                                onClick={() => setView('leaderboard')}
+                            >
+                                <ListNumbers size={18} />
+                                {t('results.leaderboard', 'Leaderboard')}
+                            </button>
+                            {event.seasonId && (
+                                <button
+                                    type="button"
+                                    className="results-tab"
+                                    onClick={() => navigate(`/admin/seasons/${event.seasonId}/standings`)}
+                                >
+                                    <Trophy size={18} />
+                                    {t('results.seasonStandings', 'Season Standings')}
+                                </button>
+                            )}
+                        </div>
+                        {view === 'entry' ? renderEntry() : renderLeaderboard()}
+                    </>
+                )}
+            </div>
+        </Dashboard>
+    );
+};
+
+export default RaceResultsPage;
@@ -0,0 +1,140 @@
+// src/pages/admin/SeasonStandingsPage.jsx - Points table across the race events of a season
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import Dashboard from '../../components/layout/Dashboard';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { useSeason } from '../../hooks/useSeason';
+import { getKidFullName } from '../../schemas/kidSchema';
+import { POINTS_BY_POSITION, PARTICIPATION_POINTS, buildSeasonStandings, formatLapTime } from '../../schemas/raceResultSchema';
+import { getAllEvents } from '../../services/eventService';
+import { getAllKids } from '../../services/kidService';
+import { getResultsForEvents } from '../../services/raceResultService';
+import {
+    IconTrophy as Trophy,
+    IconArrowLeft as ArrowLeft
+} from '@tabler/icons-react';
+import './RaceResultsPage.css';
+
+const SeasonStandingsPage = () => {
+    const navigate = useNavigate();
+    const { seasonId } = useParams();
+    const { appliedTheme } = useTheme();
+    const { t } = useLanguage();
+    const { seasons } = useSeason();
+
+    const [kids, setKids] = useState({});
+    const [raceCount, setRaceCount] = useState(0);
+    const [standings, setStandings] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [message, setMessage] = useState(null);
+
+    const season = seasons.find(item => item.id === seasonId);
+
+    useEffect(() => {
+        const loadStandings = async () => {
+            setIsLoading(true);
+            try {
+                const [events, kidData] = await Promise.all([getAllEvents(), getAllKids()]);
+                // Events without a type predate event types and were all races
+                const races = events.filter(event => event.seasonId === seasonId && (event.type || 'race') === 'race');
+                const results = races.length > 0 ? await getResultsForEvents(races.map(event => event.id)) : [];
+
+                setKids(Object.fromEntries(kidData.map(kid => [kid.id, kid])));
+                setRaceCount(races.length);
+                setStandings(buildSeasonStandings(results));
+                setMessage(null);
+            } catch (error) {
+                console.error('Error loading season standings:', error);
+                setMessage({ type: 'error', text: error.message });
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadStandings();
+    }, [seasonId]);
+
+    const kidName = (kidId) => (kids[kidId] ? getKidFullName(kids[kidId], t) : kidId);
+
+    return (
+        <Dashboard requiredRole="admin">
+            <div className={`race-results-page ${appliedTheme}-mode`}>
+                <button className="back-button" onClick={() => navigate('/admin/seasons')}>
+                    <ArrowLeft size={18} />
+                    {t('results.backToSeasons', 'Back to Seasons')}
+                </button>
+                <h1 className="page-title">
+                    <Trophy size={32} className="page-title-icon" />
+                    {t('results.standingsTitle', 'Season Standings: {seasonName}', { seasonName: season?.name || '' })}
+                </h1>
+
+                {message && (
+                    <div className={`results-alert ${message.type}`}>{message.text}</div>
+                )}
+
+                <div className="results-view-tabs">
+                    {seasons.map(item => (
+                        <button
+                            key={item.id}
+                            type="button"
+                            className={`results-tab ${item.id === seasonId ? 'active' : ''}`}
+                            onClick={() => navigate(`/admin/seasons/${item.id}/standings`)}
+                        >
+                            {item.name}
+                        </button>
+                    ))}
+                </div>
+
+                <p className="results-hint">
+                    {t('results.pointsHint', 'Points per heat: {points} for places 1 to {places}, {participation} for every other kid who raced.', {
+                        points: POINTS_BY_POSITION.join(', '),
+                        places: POINTS_BY_POSITION.length,
+                        participation: PARTICIPATION_POINTS
+                    })}
+                    {' '}
+                    {t('results.raceCount', '{count} race events this season.', { count: raceCount })}
+                </p>
+
+                {isLoading ? (
+                    <p className="results-hint">{t('results.loading', 'Loading results...')}</p>
+                ) : standings.length === 0 ? (
+                    <p className="results-hint">{t('results.noStandings', 'No results have been entered for this season\'s races yet.')}</p>
+                ) : (
+                    <div className="table-container">
+                        <table className="data-table">
+                            <thead>
+                                <tr>
+                                    <th>#</th>
+                                    <th>{t('registration.kid', 'Kid')}</th>
+                                    <th>{t('results.points', 'Points')}</th>
+                                    <th>{t('results.races', 'Races')}</th>
+                                    <th>{t('results.wins', 'Wins')}</th>
+                                    <th>{t('results.podiums', 'Podiums')}</th>
+                                    <th>{t('results.bestLap', 'Best Lap')}</th>
+                                    <th>{t('results.awardsTitle', 'Awards')}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {standings.map((entry, index) => (
+                                    <tr key={entry.kidId}>
+                                        <td>{index + 1}</td>
+                                        <td>{kidName(entry.kidId)}</td>
+                                        <td><strong>{entry.points}</strong></td>
+                                        <td>{entry.races}</td>
+                                        <td>{entry.wins}</td>
+                                        <td>{entry.podiums}</td>
+                                        <td>{formatLapTime(entry.bestLap)}</td>
+                                        <td>{entry.awards.join(', ') || '—'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </Dashboard>
+    );
+};
+
+export default SeasonStandingsPage;
@@ -0,0 +1,340 @@
+// src/pages/admin/SeasonsManagementPage.jsx - Create seasons, switch the active season and roll kids over
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Dashboard from '../../components/layout/Dashboard';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { useSeason } from '../../hooks/useSeason';
+import {
+    createSeason,
+    setActiveSeason,
+    rolloverSeason,
+    enrollUnassignedRecords
+} from '../../services/seasonService';
+import { getSeasonComparison } from '../../services/analyticsService';
+import { SEASON_STATUS, createEmptySeason, validateSeason } from '../../schemas/seasonSchema';
+import {
+    IconCalendarStats as Seasons,
+    IconPlus as Plus,
+    IconPlayerPlay as Activate,
+    IconArrowForward as Rollover,
+    IconDatabaseImport as Enroll,
+    IconRefresh as RefreshCw,
+    IconTrophy as Trophy
+} from '@tabler/icons-react';
+import './SeasonsManagementPage.css';
+
+const SeasonsManagementPage = () => {
+    const navigate = useNavigate();
+    const { appliedTheme } = useTheme();
+    const { t } = useLanguage();
+    const { seasons, activeSeason, refreshSeasons, isLoading } = useSeason();
+
+    const [newSeason, setNewSeason] = useState(createEmptySeason());
+    const [formErrors, setFormErrors] = useState({});
+    const [stats, setStats] = useState({});
+    const [rollover, setRollover] = useState({ from: '', to: '', includeTeams: true, inviteKids: true });
+    const [isWorking, setIsWorking] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    useEffect(() => {
+        const loadStats = async () => {
+            if (seasons.length === 0) return;
+            try {
+                const comparison = await getSeasonComparison(seasons);
+                setStats(Object.fromEntries(comparison.map(row => [row.seasonId, row])));
+            } catch (error) {
+                console.error('Error loading season stats:', error);
+            }
+        };
+        loadStats();
+    }, [seasons]);
+
+    // Suggest rolling the active season over into the newest season being planned
+    useEffect(() => {
+        const planned = seasons.find(season => season.status === SEASON_STATUS.PLANNING);
+        setRollover(prev => ({
+            ...prev,
+            from: prev.from || activeSeason?.id || '',
+            to: prev.to || planned?.id || ''
+        }));
+    }, [seasons, activeSeason]);
+
+    const runAction = async (action, successMessage) => {
+        setIsWorking(true);
+        setMessage(null);
+        try {
+            const result = await action();
+            await refreshSeasons();
+            setMessage({ type: 'success', text: successMessage(result) });
+            return true;
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+            return false;
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        const validation = validateSeason(newSeason, t);
+        setFormErrors(validation.errors);
+        if (!validation.isValid) return;
+
+        const created = await runAction(
+            () => createSeason(newSeason, t),
+            () => t('seasons.created', 'Season created')
+        );
+        if (created) {
+            setNewSeason(createEmptySeason());
+        }
+    };
+
+    const handleActivate = (season) => {
+        if (!window.confirm(t('seasons.confirmActivate', 'Make {name} the active season? The current active season will be archived.', { name: season.name }))) {
+            return;
+        }
+        runAction(
+            () => setActiveSeason(season.id),
+            () => t('seasons.activated', '{name} is now the active season', { name: season.name })
+        );
+    };
+
+    const handleRollover = () => runAction(
+        () => rolloverSeason(rollover.from, rollover.to, rollover),
+        (result) => t('seasons.rolledOver', '{teams} teams carried over, {kids} kids invited to re-enroll', {
+            teams: result.teams,
+            kids: result.invitedKids
+        })
+    );
+
+    const handleEnrollUnassigned = (season) => {
+        if (!window.confirm(t('seasons.confirmEnrollUnassigned', 'Enroll every kid, team, event and form without a season into {name}?', { name: season.name }))) {
+            return;
+        }
+        runAction(
+            () => enrollUnassignedRecords(season.id),
+            (counts) => t('seasons.enrolledUnassigned', 'Enrolled {kids} kids, {teams} teams, {events} events and {forms} forms', counts)
+        );
+    };
+
+    const updateField = (field, value) => {
+        setNewSeason(prev => ({ ...prev, [field]: value }));
+        setFormErrors(prev => ({ ...prev, [field]: undefined }));
+    };
+
+    const statusLabel = (status) => t(`seasons.status.${status}`, status);
+
+    return (
+        <Dashboard requiredRole="admin">
+            <div className={`seasons-management-page ${appliedTheme}-mode`}>
+                <h1 className="page-title">
+                    <Seasons size={32} className="page-title-icon" /> {t('seasons.title', 'Seasons')}
+                </h1>
+
+                {message && (
+                    <div className={`seasons-alert ${message.type}`}>{message.text}</div>
+                )}
+
+                <div className="seasons-section">
+                    <div className="seasons-section-header">
+                        <h2>{t('seasons.allSeasonsTitle', 'All Seasons')}</h2>
+                        <button className="btn-secondary" onClick={refreshSeasons} disabled={isLoading || isWorking}>
+                            <RefreshCw className="btn-icon" size={18} />
+                            {t('seasons.refresh', 'Refresh')}
+                        </button>
+                    </div>
+
+                    {seasons.length === 0 ? (
+                        <p className="seasons-empty">{t('seasons.noSeasons', 'No seasons yet. Create the first one below.')}</p>
+                    ) : (
+                        <div className="table-container">
+                            <table className="data-table">
+                                <thead>
+                                    <tr>
+                                        <th>{t('seasons.name', 'Name')}</th>
+                                        <th>{t('seasons.dates', 'Dates')}</th>
+                                        <th>{t('seasons.statusLabel', 'Status')}</th>
+                                        <th>{t('seasons.enrolledKids', 'Enrolled Kids')}</th>
+                                        <th>{t('seasons.invitedKids', 'Awaiting Reply')}</th>
+                                        <th>{t('seasons.teams', 'Teams')}</th>
+                                        <th>{t('seasons.events', 'Events')}</th>
+                                        <th>{t('seasons.actions', 'Actions')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {seasons.map(season => (
+                                        <tr key={season.id}>
+                                            <td>
+                                                {season.name}
+                                                {season.participantNumberPrefix && (
+                                                    <span className="season-prefix">{season.participantNumberPrefix}</span>
+                                                )}
+                                            </td>
+                                            <td>{season.startDate} – {season.endDate}</td>
+                                            <td>
+                                                <span className={`season-status ${season.status}`}>{statusLabel(season.status)}</span>
+                                            </td>
+                                            <td>{stats[season.id]?.enrolledKids ?? '—'}</td>
+                                            <td>{stats[season.id]?.invitedKids ?? '—'}</td>
+                                            <td>{stats[season.id]?.teams ?? '—'}</td>
+                                            <td>{stats[season.id]?.events ?? '—'}</td>
+                                            <td className="season-actions">
+                                                {season.status !== SEASON_STATUS.ACTIVE && (
+                                                    <button
+                                                        className="btn-primary"
+                                                        onClick={() => handleActivate(season)}
+                                                        disabled={isWorking}
+                                                    >
+                                                        <Activate className="btn-icon" size={16} />
+                                                        {t('seasons.activate', 'Make Active')}
+                                                    </button>
+                                                )}
+                                                <button
+                                                    className="btn-secondary"
+                                                    onClick={() => handleEnrollUnassigned(season)}
+                                                    disabled={isWorking}
+                                                    title={t('seasons.enrollUnassignedHint', 'Enroll records created before seasons existed')}
+                                                >
+                                                    <Enroll className="btn-icon" size={16} />
+                                                    {t('seasons.enrollUnassigned', 'Enroll Unassigned')}
+                                                </button>
+                                                <button
+                                                    className="btn-secondary"
+                                                    onClick={() => navigate(`/admin/seasons/${season.id}/standings`)}
+                                                >
+                                                    <Trophy className="btn-icon" size={16} />
+                                                    {t('results.seasonStandings', 'Season Standings')}
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+
+                {seasons.length > 1 && (
+                    <div className="seasons-section">
+                        <h2>{t('seasons.rolloverTitle', 'Roll Over to a New Season')}</h2>
+                        <p className="seasons-hint">
+                            {t('seasons.rolloverHint', 'Teams carry over right away. Kids are invited to re-enroll and join the new season once a parent accepts.')}
+                        </p>
+                        <div className="form-grid">
+                            <div className="form-group">
+                                <label htmlFor="rollover-from">{t('seasons.rolloverFrom', 'From Season')}</label>
+                                <select
+                                    id="rollover-from"
+                                    value={rollover.from}
+                                    onChange={(e) => setRollover(prev => ({ ...prev, from: e.target.value }))}
+                                >
+                                    <option value="">{t('seasons.chooseSeason', 'Choose a season')}</option>
+                                    {seasons.map(season => (
+                                        <option key={season.id} value={season.id}>{season.name}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="rollover-to">{t('seasons.rolloverTo', 'To Season')}</label>
+                                <select
+                                    id="rollover-to"
+                                    value={rollover.to}
+                                    onChange={(e) => setRollover(prev => ({ ...prev, to: e.target.value }))}
+                                >
+                                    <option value="">{t('seasons.chooseSeason', 'Choose a season')}</option>
+                                    {seasons.map(season => (
+                                        <option key={season.id} value={season.id}>{season.name}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        </div>
+                        <div className="seasons-checkboxes">
+                            <label>
+                                <input
+                                    type="checkbox"
+                                    checked={rollover.includeTeams}
+                                    onChange={(e) => setRollover(prev => ({ ...prev, includeTeams: e.target.checked }))}
+                                />
+                                {t('seasons.includeTeams', 'Carry teams over')}
+                            </label>
+                            <label>
+                                <input
+                                    type="checkbox"
+                                    checked={rollover.inviteKids}
+                                    onChange={(e) => setRollover(prev => ({ ...prev, inviteKids: e.target.checked }))}
+                                />
+                                {t('seasons.inviteKids', 'Invite kids to re-enroll')}
+                            </label>
+                        </div>
+                        <button
+                            className="btn-primary"
+                            onClick={handleRollover}
+                            disabled={isWorking || !rollover.from || !rollover.to || rollover.from === rollover.to}
+                        >
+                            <Rollover className="btn-icon" size={18} />
+                            {t('seasons.rollover', 'Roll Over')}
+                        </button>
+                    </div>
+                )}
+
+                <form className="seasons-section" onSubmit={handleCreate} noValidate>
+                    <h2>{t('seasons.createTitle', 'Create Season')}</h2>
+                    <div className="form-grid">
+                        <div className="form-group">
+                            <label htmlFor="season-name">{t('seasons.name', 'Name')} *</label>
+                            <input
+                                id="season-name"
+                                type="text"
+                                value={newSeason.name}
+                                placeholder={t('seasons.namePlaceholder', 'e.g. 2025-2026')}
+                                onChange={(e) => updateField('name', e.target.value)}
+                            />
+                            {formErrors.name && <span className="error-text">{formErrors.name}</span>}
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="season-prefix">{t('seasons.prefix', 'Race Number Prefix')}</label>
+                            <input
+                                id="season-prefix"
+                                type="text"
+                                value={newSeason.participantNumberPrefix}
+                                placeholder={t('seasons.prefixPlaceholder', 'e.g. S26-')}
+                                onChange={(e) => updateField('participantNumberPrefix', e.target.value)}
+                            />
+                            {formErrors.participantNumberPrefix && (
+                                <span className="error-text">{formErrors.participantNumberPrefix}</span>
+                            )}
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="season-start">{t('seasons.startDate', 'Start Date')} *</label>
+                            <input
+                                id="season-start"
+                                type="date"
+                                value={newSeason.startDate}
+                                onChange={(e) => updateField('startDate', e.target.value)}
+                            />
+                            {formErrors.startDate && <span className="error-text">{formErrors.startDate}</span>}
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="season-end">{t('seasons.endDate', 'End Date')} *</label>
+                            <input
+                                id="season-end"
+                                type="date"
+                                value={newSeason.endDate}
+                                onChange={(e) => updateField('endDate', e.target.value)}
+                            />
+                            {formErrors.endDate && <span className="error-text">{formErrors.endDate}</span>}
+                        </div>
+                    </div>
+                    <button type="submit" className="btn-primary" disabled={isWorking}>
+                        <Plus className="btn-icon" size={18} />
+                        {t('seasons.create', 'Create Season')}
+                    </button>
+                </form>
+            </div>
+        </Dashboard>
+    );
+};
+
+export default SeasonsManagementPage;
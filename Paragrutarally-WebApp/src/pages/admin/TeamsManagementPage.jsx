@@ -5,6 +5,8 @@ import Dashboard from '../../components/layout/Dashboard';
 import { useTheme } from '../../contexts/ThemeContext';
 import { useLanguage } from '../../contexts/LanguageContext';
 import { usePermissions } from '../../hooks/usePermissions.jsx';
+import { useSeason } from '../../hooks/useSeason';
+import { filterBySeason } from '../../schemas/seasonSchema';
 import { getAllTeams, deleteTeam, getAllInstructors } from '../../services/teamService';
 import { getAllKids } from '../../services/kidService';
 import ExportTeamsModal from '../../components/modals/ExportTeamsModal';
@@ -37,6 +39,7 @@ const TeamsManagementPage = () => {
     const { appliedTheme } = useTheme();
     const { t } = useLanguage();
     const { permissions, userRole, loading: permissionsLoading, error: permissionsError } = usePermissions();
+    const { selectedSeasonId } = useSeason();
 
     const [teams, setTeams] = useState([]);
     const [filteredTeams, setFilteredTeams] = useState([]);
@@ -58,7 +61,7 @@ const TeamsManagementPage = () => {
         if (!permissionsLoading && permissions) {
             loadTeams();
         }
-    }, [permissionsLoading, permissions]);
+    }, [permissionsLoading, permissions, selectedSeasonId]);
 
     // Filter teams when search term or filters change
     useEffect(() => {
@@ -94,7 +97,7 @@ const TeamsManagementPage = () => {
             setKidsMap(kidsLookup);
 
             // Transform teams data for display with proper lookups
-            const processedTeams = teamsData.map(team => {
+            const processedTeams = filterBySeason(teamsData, selectedSeasonId, 'teams').map(team => {
 
                 // Get instructor information
                 let instructorName = t('teams.noInstructor', 'No Instructor');
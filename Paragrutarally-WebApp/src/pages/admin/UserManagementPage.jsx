@@ -8,6 +8,8 @@ import CreateUserModal from '../../components/modals/CreateUserModal';
 import ExportUsersModal from '../../components/modals/ExportUsersModal';
 import UpdateUserModal from '../../components/modals/UpdateUserModal';
 import UsersTable from '../../components/tables/UsersTable';
+import PendingInvitesTable from '../../components/tables/PendingInvitesTable';
+import { getPendingInvites } from '@/services/adminUserService.jsx';
 import { db } from '@/firebase/config.js';
 import {
     IconUsers as Users,
@@ -38,6 +40,7 @@ const UserManagementPage = () => {
     const [roleFilter, setRoleFilter] = useState('all');
     const [searchTerm, setSearchTerm] = useState('');
     const [activeCardFilter, setActiveCardFilter] = useState('total'); // NEW: Track active card
+    const [pendingInvites, setPendingInvites] = useState([]);
 
     // Fetch users from the Firestore
     const fetchUsers = async () => {
@@ -68,6 +71,16 @@ const UserManagementPage = () => {
         }
     };
 
+    // Fetch invites that haven't been redeemed yet
+    const fetchPendingInvites = async () => {
+        try {
+            setPendingInvites(await getPendingInvites());
+        } catch (error) {
+            console.error('Error fetching pending invites:', error);
+            setPendingInvites([]);
+        }
+    };
+
     // Filter users by role and search
     const filterUsers = useCallback(() => {
         let filtered = users;
@@ -143,6 +156,12 @@ const UserManagementPage = () => {
 
     const handleUserCreated = () => {
         fetchUsers();
+        fetchPendingInvites();
+    };
+
+    const handleInvitesChanged = () => {
+        fetchUsers();
+        fetchPendingInvites();
     };
 
     const handleUserUpdated = () => {
@@ -176,6 +195,7 @@ const UserManagementPage = () => {
     // Load users on component mount
     useEffect(() => {
         fetchUsers();
+        fetchPendingInvites();
     }, []);
 
     // Re-filter when filters change
@@ -379,6 +399,11 @@ const UserManagementPage = () => {
                         onUpdateUser={handleUpdateUser}
                         onUserDeleted={handleUserDeleted}
                     />
+
+                    <PendingInvitesTable
+                        invites={pendingInvites}
+                        onInvitesChanged={handleInvitesChanged}
+                    />
                 </div>
             </div>
 
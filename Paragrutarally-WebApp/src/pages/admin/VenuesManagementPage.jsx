@@ -0,0 +1,384 @@
+// src/pages/admin/VenuesManagementPage.jsx - Venues events are held at, and the events held at each
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Dashboard from '../../components/layout/Dashboard';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { createVenue, deleteVenue, getAllVenues, updateVenue } from '../../services/venueService';
+import { getEventsAtVenue } from '../../services/eventService';
+import { VENUE_FACILITIES, createEmptyVenue, splitVenueEvents, validateVenue } from '../../schemas/venueSchema';
+import { formatEventDate } from '../../utils/eventDateUtils';
+import {
+    IconBuildingStadium as Venues,
+    IconPlus as Plus,
+    IconEdit as Edit,
+    IconTrash as Trash,
+    IconDeviceFloppy as Save,
+    IconX as X
+} from '@tabler/icons-react';
+import './VenuesManagementPage.css';
+
+const VenuesManagementPage = () => {
+    const navigate = useNavigate();
+    const { appliedTheme } = useTheme();
+    const { t, isRTL } = useLanguage();
+
+    const [venues, setVenues] = useState([]);
+    const [editingId, setEditingId] = useState(null);
+    const [venueForm, setVenueForm] = useState(createEmptyVenue());
+    const [formErrors, setFormErrors] = useState({});
+    const [venueEvents, setVenueEvents] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isWorking, setIsWorking] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const loadVenues = async () => {
+        setIsLoading(true);
+        try {
+            setVenues(await getAllVenues());
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        loadVenues();
+    }, []);
+
+    // The events held and planned at the venue being edited
+    useEffect(() => {
+        if (!editingId) {
+            setVenueEvents(null);
+            return;
+        }
+        let cancelled = false;
+        getEventsAtVenue(editingId)
+            .then(events => !cancelled && setVenueEvents(splitVenueEvents(events)))
+            .catch(error => !cancelled && setMessage({ type: 'error', text: error.message }));
+        return () => {
+            cancelled = true;
+        };
+    }, [editingId]);
+
+    const startEditing = (venue) => {
+        setEditingId(venue.id);
+        setVenueForm({
+            ...createEmptyVenue(),
+            ...venue,
+            capacity: venue.capacity ?? '',
+            facilities: venue.facilities || [],
+            contact: { ...createEmptyVenue().contact, ...venue.contact }
+        });
+        setFormErrors({});
+        setMessage(null);
+    };
+
+    const resetForm = () => {
+        setEditingId(null);
+        setVenueForm(createEmptyVenue());
+        setFormErrors({});
+    };
+
+    const updateField = (field, value) => {
+        setVenueForm(prev => ({ ...prev, [field]: value }));
+        setFormErrors(prev => ({ ...prev, [field]: undefined }));
+    };
+
+    const updateContact = (field, value) => {
+        setVenueForm(prev => ({ ...prev, contact: { ...prev.contact, [field]: value } }));
+        const errorField = `contact${field.charAt(0).toUpperCase()}${field.slice(1)}`;
+        setFormErrors(prev => ({ ...prev, [errorField]: undefined }));
+    };
+
+    const toggleFacility = (facility) => {
+        setVenueForm(prev => ({
+            ...prev,
+            facilities: prev.facilities.includes(facility)
+                ? prev.facilities.filter(item => item !== facility)
+                : [...prev.facilities, facility]
+        }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const validation = validateVenue(venueForm, t);
+        setFormErrors(validation.errors);
+        if (!validation.isValid) return;
+
+        setIsWorking(true);
+        setMessage(null);
+        try {
+            if (editingId) {
+                const updatedEvents = await updateVenue(editingId, venueForm, t);
+                setMessage({
+                    type: 'success',
+                    text: t('venues.updated', 'Venue saved; {count} upcoming events updated', { count: updatedEvents })
+                });
+            } else {
+                await createVenue(venueForm, t);
+                setMessage({ type: 'success', text: t('venues.created', 'Venue created') });
+                resetForm();
+            }
+            await loadVenues();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const handleDelete = async (venue) => {
+        if (!window.confirm(t('venues.confirmDelete', 'Delete {name}?', { name: venue.name }))) {
+            return;
+        }
+
+        setIsWorking(true);
+        setMessage(null);
+        try {
+            await deleteVenue(venue.id);
+            if (editingId === venue.id) resetForm();
+            setMessage({ type: 'success', text: t('venues.deleted', 'Venue deleted') });
+            await loadVenues();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const facilityLabel = (facility) => t(`venues.facilities.${facility}`, facility);
+    const locale = isRTL ? 'he-IL' : 'en-US';
+
+    const renderEventList = (events, emptyText) => (
+        events.length === 0 ? (
+            <p className="venues-empty">{emptyText}</p>
+        ) : (
+            <ul className="venue-events">
+                {events.map(event => (
+                    <li key={event.id}>
+                        <button type="button" className="venue-event-link" onClick={() => navigate(`/admin/events/view/${event.id}`)}>
+                            {event.name}
+                        </button>
+                        <span className="venue-event-date">{formatEventDate(event, locale) || t('venues.noDate', 'No date')}</span>
+                        {event.status === 'cancelled' && (
+                            <span className="venue-event-cancelled">{t('events.cancelled', 'Cancelled')}</span>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        )
+    );
+
+    return (
+        <Dashboard requiredRole="admin">
+            <div className={`venues-management-page ${appliedTheme}-mode`}>
+                <h1 className="page-title">
+                    <Venues size={32} className="page-title-icon" /> {t('venues.title', 'Venues')}
+                </h1>
+
+                {message && (
+                    <div className={`venues-alert ${message.type}`}>{message.text}</div>
+                )}
+
+                <div className="venues-section">
+                    <h2>{t('venues.allVenuesTitle', 'All Venues')}</h2>
+                    {isLoading ? (
+                        <p className="venues-empty">{t('venues.loading', 'Loading venues...')}</p>
+                    ) : venues.length === 0 ? (
+                        <p className="venues-empty">{t('venues.noVenues', 'No venues yet. Add the first one below.')}</p>
+                    ) : (
+                        <div className="table-container">
+                            <table className="data-table">
+                                <thead>
+                                    <tr>
+                                        <th>{t('venues.name', 'Name')}</th>
+                                        <th>{t('venues.address', 'Address')}</th>
+                                        <th>{t('venues.capacity', 'Capacity')}</th>
+                                        <th>{t('venues.facilitiesLabel', 'Facilities')}</th>
+                                        <th>{t('venues.contact', 'Contact')}</th>
+                                        <th>{t('venues.actions', 'Actions')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {venues.map(venue => (
+                                        <tr key={venue.id} className={venue.id === editingId ? 'venue-selected' : ''}>
+                                            <td><strong>{venue.name}</strong></td>
+                                            <td>{venue.address}</td>
+                                            <td>{venue.capacity ?? '—'}</td>
+                                            <td>{(venue.facilities || []).map(facilityLabel).join(', ') || '—'}</td>
+                                            <td>{venue.contact?.name || venue.contact?.phone || '—'}</td>
+                                            <td className="venue-actions">
+                                                <button
+                                                    className="btn-secondary"
+                                                    onClick={() => startEditing(venue)}
+                                                    disabled={isWorking}
+                                                >
+                                                    <Edit className="btn-icon" size={16} />
+                                                    {t('venues.edit', 'Edit')}
+                                                </button>
+                                                <button
+                                                    className="btn-secondary"
+                                                    onClick={() => handleDelete(venue)}
+                                                    disabled={isWorking}
+                                                >
+                                                    <Trash className="btn-icon" size={16} />
+                                                    {t('venues.delete', 'Delete')}
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+
+                <form className="venues-section" onSubmit={handleSubmit} noValidate>
+                    <div className="venues-section-header">
+                        <h2>
+                            {editingId
+                                ? t('venues.editTitle', 'Edit {name}', { name: venues.find(venue => venue.id === editingId)?.name || '' })
+                                : t('venues.createTitle', 'Add Venue')}
+                        </h2>
+                        {editingId && (
+                            <button type="button" className="btn-secondary" onClick={resetForm}>
+                                <X className="btn-icon" size={18} />
+                                {t('venues.cancelEdit', 'Cancel')}
+                            </button>
+                        )}
+                    </div>
+                    <div className="form-grid">
+                        <div className="form-group">
+                            <label htmlFor="venue-name">{t('venues.name', 'Name')} *</label>
+                            <input
+                                id="venue-name"
+                                type="text"
+                                value={venueForm.name}
+                                placeholder={t('venues.namePlaceholder', 'e.g. Jerusalem Racing Park')}
+                                onChange={(e) => updateField('name', e.target.value)}
+                            />
+                            {formErrors.name && <span className="error-text">{formErrors.name}</span>}
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="venue-address">{t('venues.address', 'Address')} *</label>
+                            <input
+                                id="venue-address"
+                                type="text"
+                                value={venueForm.address}
+                                onChange={(e) => updateField('address', e.target.value)}
+                            />
+                            {formErrors.address && <span className="error-text">{formErrors.address}</span>}
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="venue-capacity">{t('venues.capacity', 'Capacity')}</label>
+                            <input
+                                id="venue-capacity"
+                                type="number"
+                                min="1"
+                                value={venueForm.capacity}
+                                placeholder={t('venues.capacityPlaceholder', 'Kids the venue can host')}
+                                onChange={(e) => updateField('capacity', e.target.value)}
+                            />
+                            {formErrors.capacity && <span className="error-text">{formErrors.capacity}</span>}
+                        </div>
+                    </div>
+
+                    <div className="form-grid">
+                        <div className="form-group">
+                            <label htmlFor="venue-parking">{t('venues.parkingNotes', 'Parking')}</label>
+                            <textarea
+                                id="venue-parking"
+                                rows={3}
+                                value={venueForm.parkingNotes}
+                                placeholder={t('venues.parkingPlaceholder', 'Where families can park, and anything to know about it')}
+                                onChange={(e) => updateField('parkingNotes', e.target.value)}
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="venue-accessibility">{t('venues.accessibilityNotes', 'Accessibility')}</label>
+                            <textarea
+                                id="venue-accessibility"
+                                rows={3}
+                                value={venueForm.accessibilityNotes}
+                                placeholder={t('venues.accessibilityPlaceholder', 'Ramps, step-free routes, accessible parking...')}
+                                onChange={(e) => updateField('accessibilityNotes', e.target.value)}
+                            />
+                        </div>
+                    </div>
+
+                    <h3 className="venues-subtitle">{t('venues.facilitiesLabel', 'Facilities')}</h3>
+                    <div className="venue-facilities">
+                        {VENUE_FACILITIES.map(facility => (
+                            <label key={facility}>
+                                <input
+                                    type="checkbox"
+                                    checked={venueForm.facilities.includes(facility)}
+                                    onChange={() => toggleFacility(facility)}
+                                />
+                                {facilityLabel(facility)}
+                            </label>
+                        ))}
+                    </div>
+
+                    <h3 className="venues-subtitle">{t('venues.contactPerson', 'Contact Person')}</h3>
+                    <div className="form-grid">
+                        <div className="form-group">
+                            <label htmlFor="venue-contact-name">{t('venues.contactName', 'Name')}</label>
+                            <input
+                                id="venue-contact-name"
+                                type="text"
+                                value={venueForm.contact.name}
+                                onChange={(e) => updateContact('name', e.target.value)}
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="venue-contact-phone">{t('venues.contactPhone', 'Phone')}</label>
+                            <input
+                                id="venue-contact-phone"
+                                type="tel"
+                                value={venueForm.contact.phone}
+                                onChange={(e) => updateContact('phone', e.target.value)}
+                            />
+                            {formErrors.contactPhone && <span className="error-text">{formErrors.contactPhone}</span>}
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="venue-contact-email">{t('venues.contactEmail', 'Email')}</label>
+                            <input
+                                id="venue-contact-email"
+                                type="email"
+                                value={venueForm.contact.email}
+                                onChange={(e) => updateContact('email', e.target.value)}
+                            />
+                            {formErrors.contactEmail && <span className="error-text">{formErrors.contactEmail}</span>}
+                        </div>
+                    </div>
+
+                    <button type="submit" className="btn-primary" disabled={isWorking}>
+                        {editingId ? <Save className="btn-icon" size={18} /> : <Plus className="btn-icon" size={18} />}
+                        {editingId ? t('venues.save', 'Save Venue') : t('venues.create', 'Add Venue')}
+                    </button>
+                </form>
+
+                {editingId && (
+                    <div className="venues-section">
+                        <h2>{t('venues.historyTitle', 'Events at This Venue')}</h2>
+                        {!venueEvents ? (
+                            <p className="venues-empty">{t('venues.loadingEvents', 'Loading events...')}</p>
+                        ) : (
+                            <>
+                                <h3 className="venues-subtitle">{t('venues.upcomingEvents', 'Upcoming')}</h3>
+                                {renderEventList(venueEvents.upcoming, t('venues.noUpcomingEvents', 'No upcoming events here.'))}
+                                <h3 className="venues-subtitle">{t('venues.pastEvents', 'Past Events')}</h3>
+                                {renderEventList(venueEvents.past, t('venues.noPastEvents', 'No events have been held here yet.'))}
+                            </>
+                        )}
+                    </div>
+                )}
+            </div>
+        </Dashboard>
+    );
+};
+
+export default VenuesManagementPage;
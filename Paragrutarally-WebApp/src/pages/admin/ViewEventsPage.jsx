@@ -4,10 +4,16 @@ import { useNavigate, useParams } from 'react-router-dom';
 import { doc, getDoc } from 'firebase/firestore';
 import { db } from '../../firebase/config';
 import Dashboard from '../../components/layout/Dashboard';
+import AuditHistory from '../../components/audit/AuditHistory';
+import CancelEventModal from '../../components/modals/CancelEventModal';
+import DetailsHistoryTabs from '../../components/audit/DetailsHistoryTabs';
 import { useTheme } from '../../contexts/ThemeContext';
 import { useLanguage } from '../../contexts/LanguageContext';
+import { formatEventDate } from '../../utils/eventDateUtils';
 import { usePermissions } from '../../hooks/usePermissions.jsx';
 import { getAllTeams } from '../../services/teamService';
+import { updateEventStatus } from '../../services/eventService';
+import { EVENT_STATUS, canChangeEventStatus } from '../../schemas/eventSchema';
 import {
     IconCalendarEvent as Calendar,
     IconEye as Eye,
@@ -32,8 +38,17 @@ import {
     IconFolder as Folder,
     IconArrowLeft as ArrowLeft,
     IconCheck as Check,
-    IconFlag as Flag, IconArrowRight as ArrowRight
+    IconFlag as Flag, IconArrowRight as ArrowRight,
+    IconClipboardCheck as ClipboardCheck,
+    IconCalendarPlus as CalendarPlus,
+    IconQrcode as Qrcode,
+    IconHeartHandshake as HeartHandshake,
+    IconCash as Cash,
+    IconShirt as Shirt,
+    IconCalendarOff as CalendarOff,
+    IconPlayerPlay as PlayerPlay
 } from '@tabler/icons-react';
+import { downloadEventIcs, hasCalendarDate } from '../../utils/icsUtils';
 import './ViewEventsPage.css';
 
 const ViewEventsPage = () => {
@@ -48,6 +63,10 @@ const ViewEventsPage = () => {
     const [error, setError] = useState(null);
     const [teamsData, setTeamsData] = useState({});
     const [loadingTeams, setLoadingTeams] = useState(false);
+    const [activeTab, setActiveTab] = useState('details');
+    const [showCancelModal, setShowCancelModal] = useState(false);
+    const [isChangingStatus, setIsChangingStatus] = useState(false);
+    const [statusMessage, setStatusMessage] = useState(null);
 
     // Load event data on mount
     useEffect(() => {
@@ -83,13 +102,19 @@ const ViewEventsPage = () => {
                     organizer: eventData.organizer || t('events.organizerTBD', 'TBD'),
                     participants: eventData.attendees || 0,
                     status: eventData.status || 'upcoming',
+                    cancellationReason: eventData.cancellationReason || '',
                     notes: eventData.notes || '',
                     participatingTeams: eventData.participatingTeams || [],
+                    registrationOpen: eventData.registrationOpen !== false,
+                    registrationDeadline: eventData.registrationDeadline || '',
+                    maxParticipants: eventData.maxParticipants ?? null,
                     hasGalleryFolder: eventData.hasGalleryFolder || false,
                     galleryFolderPath: eventData.galleryFolderPath || null,
                     createdAt: eventData.createdAt,
                     updatedAt: eventData.updatedAt,
-                    image: eventData.image || 'https://images.unsplash.com/photo-1571019613454-1cb2f99b2d8b?w=400'
+                    image: eventData.image || 'https://images.unsplash.com/photo-1571019613454-1cb2f99b2d8b?w=400',
+                    // As stored, without the "TBD" placeholders, for the .ics download
+                    calendarEvent: { id: eventDoc.id, ...eventData }
                 });
             } else {
                 setError(t('events.eventNotFound', 'Event not found'));
@@ -130,6 +155,34 @@ const ViewEventsPage = () => {
         }
     };
 
+    // Admins can start or complete an event ahead of the schedule; cancelling has its own dialog
+    const handleStatusChange = async (status) => {
+        setIsChangingStatus(true);
+        setStatusMessage(null);
+        try {
+            await updateEventStatus(eventId, status);
+            setEvent(prev => ({ ...prev, status }));
+        } catch (error) {
+            console.error('Error changing event status:', error);
+            setStatusMessage({ type: 'error', text: error.message });
+        } finally {
+            setIsChangingStatus(false);
+        }
+    };
+
+    const handleEventCancelled = (result) => {
+        setShowCancelModal(false);
+        setStatusMessage({
+            type: 'success',
+            text: t('events.cancel.done', 'Event cancelled. {registrations} registrations cancelled, {volunteers} volunteer slots freed, {notified} people notified.', {
+                registrations: result.registrationsCancelled,
+                volunteers: result.volunteersReleased,
+                notified: result.notified
+            })
+        });
+        loadEventData();
+    };
+
     const handleBackToEvents = () => {
         navigate('/admin/events');
     };
@@ -166,6 +219,8 @@ const ViewEventsPage = () => {
         switch (status) {
             case 'upcoming':
                 return 'status-upcoming';
+            case 'ongoing':
+                return 'status-ongoing';
             case 'completed':
                 return 'status-completed';
             case 'cancelled':
@@ -179,6 +234,8 @@ const ViewEventsPage = () => {
         switch (status) {
             case 'upcoming':
                 return t('events.upcoming', 'Upcoming');
+            case 'ongoing':
+                return t('events.ongoing', 'Ongoing');
             case 'completed':
                 return t('events.completed', 'Completed');
             case 'cancelled':
@@ -264,6 +321,78 @@ const ViewEventsPage = () => {
                             <p className="subtitle">{t('events.eventInformationSubtitle', 'Event information and details')} 🏁</p>
                         </div>
                         <div className="header-actions">
+                            {hasCalendarDate(event.calendarEvent) && (
+                                <button
+                                    onClick={() => downloadEventIcs(event.calendarEvent)}
+                                    className="edit-button"
+                                >
+                                    <CalendarPlus className="btn-icon" size={18} />
+                                    {t('events.addToCalendar', 'Add to Calendar')}
+                                </button>
+                            )}
+                            {userRole === 'admin' && (
+                                <button
+                                    onClick={() => navigate(`/admin/events/registrations/${eventId}`)}
+                                    className="edit-button"
+                                >
+                                    <ClipboardCheck className="btn-icon" size={18} />
+                                    {t('registration.viewRegistrations', 'Registrations')}
+                                </button>
+                            )}
+                            {userRole === 'admin' && (
+                                <button
+                                    onClick={() => navigate(`/admin/events/heats/${eventId}`)}
+                                    className="edit-button"
+                                >
+                                    <Flag className="btn-icon" size={18} />
+                                    {t('heats.viewSchedule', 'Heat Schedule')}
+                                </button>
+                            )}
+                            {userRole === 'admin' && (
+                                <button
+                                    onClick={() => navigate(`/admin/events/results/${eventId}`)}
+                                    className="edit-button"
+                                >
+                                    <Trophy className="btn-icon" size={18} />
+                                    {t('results.viewResults', 'Results')}
+                                </button>
+                            )}
+                            {userRole === 'admin' && (
+                                <button
+                                    onClick={() => navigate(`/admin/events/checkin/${eventId}`)}
+                                    className="edit-button"
+                                >
+                                    <Qrcode className="btn-icon" size={18} />
+                                    {t('checkIn.title', 'Check-in')}
+                                </button>
+                            )}
+                            {userRole === 'admin' && (
+                                <button
+                                    onClick={() => navigate(`/admin/events/volunteers/${eventId}`)}
+                                    className="edit-button"
+                                >
+                                    <HeartHandshake className="btn-icon" size={18} />
+                                    {t('volunteers.title', 'Volunteers')}
+                                </button>
+                            )}
+                            {userRole === 'admin' && (
+                                <button
+                                    onClick={() => navigate(`/admin/events/payments/${eventId}`)}
+                                    className="edit-button"
+                                >
+                                    <Cash className="btn-icon" size={18} />
+                                    {t('payments.title', 'Payments')}
+                                </button>
+                            )}
+                            {userRole === 'admin' && (
+                                <button
+                                    onClick={() => navigate(`/admin/events/shirts/${eventId}`)}
+                                    className="edit-button"
+                                >
+                                    <Shirt className="btn-icon" size={18} />
+                                    {t('shirts.title', 'Shirts')}
+                                </button>
+                            )}
                             {permissions?.canEdit && (
                                 <button
                                     onClick={handleEditEvent}
@@ -277,7 +406,15 @@ const ViewEventsPage = () => {
                     </div>
                 </div>
 
-                <div className="view-event-container">
+                {userRole === 'admin' && (
+                    <DetailsHistoryTabs activeTab={activeTab} onChange={setActiveTab} />
+                )}
+
+                {activeTab === 'history' && (
+                    <AuditHistory collectionName="events" docId={eventId} />
+                )}
+
+                <div className="view-event-container" style={activeTab === 'history' ? { display: 'none' } : undefined}>
                     {/* Hero Section */}
                     <div className="hero-section">
                         <div className="hero-content">
@@ -299,7 +436,7 @@ const ViewEventsPage = () => {
                                 <div className="hero-stats">
                                     <div className="stat-item">
                                         <Calendar className="stat-icon" size={16} />
-                                        <span>{formatDate(event.date)}</span>
+                                        <span>{formatEventDate(event, isRTL ? 'he-IL' : 'en-US') || event.date}</span>
                                     </div>
                                     <div className="stat-item">
                                         <Clock className="stat-icon" size={16} />
@@ -346,12 +483,64 @@ const ViewEventsPage = () => {
                                             {event.status === 'completed' && <Check size={14} style={{ marginRight: '4px' }} />}
                                             {getStatusText(event.status)}
                                         </span>
+                                        {userRole === 'admin' && (
+                                            <div className="status-actions">
+                                                {canChangeEventStatus(event.status, EVENT_STATUS.ONGOING) && (
+                                                    <button
+                                                        type="button"
+                                                        className="btn-secondary"
+                                                        onClick={() => handleStatusChange(EVENT_STATUS.ONGOING)}
+                                                        disabled={isChangingStatus}
+                                                    >
+                                                        <PlayerPlay size={14} />
+                                                        {t('events.startNow', 'Start Now')}
+                                                    </button>
+                                                )}
+                                                {canChangeEventStatus(event.status, EVENT_STATUS.COMPLETED) && (
+                                                    <button
+                                                        type="button"
+                                                        className="btn-secondary"
+                                                        onClick={() => handleStatusChange(EVENT_STATUS.COMPLETED)}
+                                                        disabled={isChangingStatus}
+                                                    >
+                                                        <Check size={14} />
+                                                        {t('events.markCompleted', 'Mark Completed')}
+                                                    </button>
+                                                )}
+                                                {canChangeEventStatus(event.status, EVENT_STATUS.CANCELLED) && (
+                                                    <button
+                                                        type="button"
+                                                        className="btn-danger"
+                                                        onClick={() => setShowCancelModal(true)}
+                                                        disabled={isChangingStatus}
+                                                    >
+                                                        <CalendarOff size={14} />
+                                                        {t('events.cancel.title', 'Cancel Event')}
+                                                    </button>
+                                                )}
+                                            </div>
+                                        )}
+                                        {statusMessage && (
+                                            <div className={`status-message ${statusMessage.type}`}>{statusMessage.text}</div>
+                                        )}
+                                        {userRole === 'admin' && (
+                                            <small className="field-hint">
+                                                {t('events.statusScheduleHint', 'Events become ongoing at their start time and completed when they end.')}
+                                            </small>
+                                        )}
                                     </div>
                                 </div>
 
+                                {event.status === EVENT_STATUS.CANCELLED && event.cancellationReason && (
+                                    <div className="info-item">
+                                        <label>🚫 {t('events.cancel.reason', 'Reason')}</label>
+                                        <div className="info-value">{event.cancellationReason}</div>
+                                    </div>
+                                )}
+
                                 <div className="info-item">
                                     <label>📅 {t('events.date', 'Date')}</label>
-                                    <div className="info-value">{formatDate(event.date)}</div>
+                                    <div className="info-value">{formatEventDate(event, isRTL ? 'he-IL' : 'en-US') || event.date}</div>
                                 </div>
 
                                 <div className="info-item">
@@ -369,6 +558,18 @@ const ViewEventsPage = () => {
                                     <div className="info-value">{event.participants}</div>
                                 </div>
 
+                                <div className="info-item">
+                                    <label>📝 {t('registration.settings.title', 'Registration')}</label>
+                                    <div className="info-value">
+                                        {event.registrationOpen
+                                            ? (event.registrationDeadline
+                                                ? t('registration.openUntil', 'Open until {date}', { date: formatDate(event.registrationDeadline) })
+                                                : t('registration.open', 'Open'))
+                                            : t('registration.closed', 'Closed')}
+                                        {event.maxParticipants ? ` · ${t('registration.capacityOf', 'Capacity {count}', { count: event.maxParticipants })}` : ''}
+                                    </div>
+                                </div>
+
                                 <div className="info-item">
                                     <label>👨‍💼 {t('events.organizer', 'Organizer')}</label>
                                     <div className="info-value">{event.organizer}</div>
@@ -474,6 +675,13 @@ const ViewEventsPage = () => {
                         )}
                     </div>
                 </div>
+
+                <CancelEventModal
+                    isOpen={showCancelModal}
+                    event={event}
+                    onClose={() => setShowCancelModal(false)}
+                    onCancelled={handleEventCancelled}
+                />
             </div>
         </Dashboard>
     );
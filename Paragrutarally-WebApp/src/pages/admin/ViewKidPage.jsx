@@ -2,10 +2,15 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams, useLocation } from 'react-router-dom';
 import Dashboard from '../../components/layout/Dashboard';
+import AuditHistory from '../../components/audit/AuditHistory';
+import KidResultsHistory from '../../components/kids/KidResultsHistory';
+import DetailsHistoryTabs from '../../components/audit/DetailsHistoryTabs';
 import { useTheme } from '../../contexts/ThemeContext';
 import { useLanguage } from '../../contexts/LanguageContext';
 import { usePermissions } from '../../hooks/usePermissions.jsx';
-import { getKidById, deleteKid } from '@/services/kidService.js';
+import { getKidById, archiveKid, restoreKid, purgeKid } from '@/services/kidService.js';
+import { PARTICIPANT_NUMBER_TAKEN } from '@/services/participantNumberService.js';
+import { isKidArchived, getSeatingSupportOptions, getSteeringAbilityOptions } from '../../schemas/kidSchema';
 import { getTeamById } from '@/services/teamService.js';
 import { getKidPhotoInfo } from '@/services/kidPhotoService.js';
 import { getVehicleById } from '@/services/vehicleService.js'; // Still needed for team vehicle display
@@ -28,7 +33,10 @@ import {
     IconSettings as Settings,
     IconBattery as Battery,
     IconArrowRight as ArrowRight,
-    IconUsers as Users
+    IconUsers as Users,
+    IconArchive as Archive,
+    IconRestore as Restore,
+    IconFirstAidKit as Medical
 } from '@tabler/icons-react';
 import './ViewKidPage.css';
 
@@ -38,7 +46,7 @@ const ViewKidPage = () => {
     const location = useLocation();
     const { appliedTheme } = useTheme();
     const { t } = useLanguage();
-    const { userRole } = usePermissions();
+    const { userRole, user } = usePermissions();
     const {isHebrew, isRTL } = useLanguage();
     const [kidData, setKidData] = useState(null);
     const [teamData, setTeamData] = useState(null);
@@ -46,12 +54,14 @@ const ViewKidPage = () => {
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(null);
     const [successMessage, setSuccessMessage] = useState('');
+    const [activeTab, setActiveTab] = useState('details');
 
     // COLLAPSIBLE SECTIONS STATE
     const [collapsedSections, setCollapsedSections] = useState({
         personal: false,
         family: false,
         team: false,
+        results: false,
         comments: false
     });
 
@@ -123,29 +133,64 @@ const ViewKidPage = () => {
         navigate(`/admin/kids/edit/${id}`);
     };
 
-    const handleDelete = async () => {
+    const getKidName = () => kidData.personalInfo?.firstName || kidData.participantNumber || 'this kid';
+
+    const handleArchive = async () => {
         if (userRole !== 'admin') {
-            alert(t('viewKid.deletePermissionDenied', 'You do not have permission to delete this kid.'));
+            alert(t('viewKid.archivePermissionDenied', 'You do not have permission to archive this kid.'));
             return;
         }
 
-        const kidName = kidData.personalInfo?.firstName || kidData.participantNumber || 'this kid';
-        if (window.confirm(t('viewKid.deleteConfirm', 'Are you sure you want to delete {kidName}? This action cannot be undone.', { kidName }))) {
+        const kidName = getKidName();
+        if (window.confirm(t('kids.archiveConfirm', 'Archive {kidName}? They will leave their team and vehicle and move to the alumni list, keeping their history and race number.', { kidName }))) {
             try {
-                await deleteKid(id);
-                navigate('/admin/kids', {
-                    state: {
-                        message: t('viewKid.deleteSuccess', '{kidName} has been removed from the racing program.', { kidName }),
-                        type: 'success'
-                    }
-                });
+                await archiveKid(id, user?.uid);
+                setTeamData(null);
+                setTeamVehicles([]);
+                await loadKidData();
+                setSuccessMessage(t('kids.archiveSuccess', '{kidName} has been moved to the alumni list.', { kidName }));
             } catch (error) {
-                console.error('Error deleting kid:', error);
-                alert(t('viewKid.deleteFailed', 'Failed to delete kid. Please try again.'));
+                console.error('Error archiving kid:', error);
+                alert(t('kids.archiveFailed', 'Failed to archive kid. Please try again.'));
             }
         }
     };
 
+    const handleRestore = async () => {
+        const kidName = getKidName();
+        try {
+            await restoreKid(id);
+            await loadKidData();
+            setSuccessMessage(t('kids.restoreSuccess', '{kidName} has been restored.', { kidName }));
+        } catch (error) {
+            console.error('Error restoring kid:', error);
+            alert(error.code === PARTICIPANT_NUMBER_TAKEN
+                ? t('kids.restoreNumberTaken', 'Race number {number} now belongs to another kid. Give one of them a new number, then restore again.', { number: kidData.participantNumber })
+                : t('kids.restoreFailed', 'Failed to restore kid. Please try again.'));
+        }
+    };
+
+    // Hard delete is the privacy-erasure path and only exists for archived kids
+    const handlePurge = async () => {
+        const kidName = getKidName();
+        if (!window.confirm(t('kids.purgeConfirm', 'Permanently erase {kidName}? Their record, photo, event registrations and history will be deleted. This action cannot be undone.', { kidName }))) {
+            return;
+        }
+
+        try {
+            await purgeKid(id);
+            navigate('/admin/kids', {
+                state: {
+                    message: t('kids.purgeSuccess', '{kidName} has been erased.', { kidName }),
+                    type: 'success'
+                }
+            });
+        } catch (error) {
+            console.error('Error erasing kid:', error);
+            alert(t('kids.purgeFailed', 'Failed to erase kid: {error}', { error: error.message }));
+        }
+    };
+
     const handleBack = () => {
         navigate('/admin/kids');
     };
@@ -386,11 +431,29 @@ const ViewKidPage = () => {
                                 </button>
                             )}
                             {userRole === 'admin' && (
-                                <button onClick={handleDelete} className="delete-button">
-                                    <Trash2 className="btn-icon" size={18} />
-                                    {t('general.delete', 'Delete')}
+                                <button onClick={() => navigate(`/admin/kids/medical/${id}`)} className="edit-button">
+                                    <Medical className="btn-icon" size={18} />
+                                    {t('medicalProfile.title', 'Medical & Emergency')}
+                                </button>
+                            )}
+                            {userRole === 'admin' && !isKidArchived(kidData) && (
+                                <button onClick={handleArchive} className="delete-button">
+                                    <Archive className="btn-icon" size={18} />
+                                    {t('kids.archive', 'Archive')}
                                 </button>
                             )}
+                            {userRole === 'admin' && isKidArchived(kidData) && (
+                                <>
+                                    <button onClick={handleRestore} className="edit-button">
+                                        <Restore className="btn-icon" size={18} />
+                                        {t('kids.restore', 'Restore')}
+                                    </button>
+                                    <button onClick={handlePurge} className="delete-button">
+                                        <Trash2 className="btn-icon" size={18} />
+                                        {t('kids.purge', 'Erase')}
+                                    </button>
+                                </>
+                            )}
                         </div>
                     </div>
                 </div>
@@ -402,7 +465,22 @@ const ViewKidPage = () => {
                     </div>
                 )}
 
-                <div className="view-kid-container">
+                {isKidArchived(kidData) && (
+                    <div className="alert warning-alert">
+                        <Archive size={20} />
+                        {t('viewKid.archivedNotice', 'This kid is in the alumni list. Restoring puts them back on their last team with the same race number.')}
+                    </div>
+                )}
+
+                {userRole === 'admin' && (
+                    <DetailsHistoryTabs activeTab={activeTab} onChange={setActiveTab} />
+                )}
+
+                {activeTab === 'history' && (
+                    <AuditHistory collectionName="kids" docId={id} />
+                )}
+
+                <div className="view-kid-container" style={activeTab === 'history' ? { display: 'none' } : undefined}>
                     <div className="hero-section">
                         <div className="hero-content">
                             {getPhotoDisplay()}
@@ -513,6 +591,17 @@ const ViewKidPage = () => {
                                             {kidData.personalInfo?.announcersNotes || 'N/A'}
                                         </div>
                                     </div>
+
+                                    <div className="info-item full-width">
+                                        <label>{t('needs.title', '♿ Driving Needs')}</label>
+                                        <div className="info-value">
+                                            {[
+                                                getSteeringAbilityOptions(t).find(option => option.value === kidData.needs?.steeringAbility)?.label,
+                                                getSeatingSupportOptions(t).find(option => option.value === kidData.needs?.seatingSupport)?.label,
+                                                kidData.needs?.remoteOverrideRequired && t('needs.remoteOverrideShort', 'Needs remote-control override')
+                                            ].filter(Boolean).join(' · ') || t('needs.notAssessed', 'Not assessed')}
+                                        </div>
+                                    </div>
                                 </div>
                             )}
                         </div>
@@ -642,6 +731,28 @@ const ViewKidPage = () => {
                             )}
                         </div>
 
+                        {/* Race results, newest first */}
+                        <div className="info-section results-section full-width">
+                            <div
+                                className="section-header clickable"
+                                onClick={() => toggleSection('results')}
+                                style={{ cursor: 'pointer', userSelect: 'none' }}
+                            >
+                                <div className="section-header-content">
+                                    <Trophy className="section-icon" size={24} />
+                                    <h3>{t('viewKid.raceResults', '🏆 {firstName}\'s Race Results', { firstName: firstName || 'Racer' })}</h3>
+                                </div>
+                                <div className="collapse-indicator">
+                                    {collapsedSections.results ?
+                                        <ChevronRight size={20} className="collapse-icon" /> :
+                                        <ChevronDown size={20} className="collapse-icon" />
+                                    }
+                                </div>
+                            </div>
+
+                            {!collapsedSections.results && <KidResultsHistory kidId={id} />}
+                        </div>
+
                         {/* COLLAPSIBLE Comments & Notes */}
                         <div className="info-section comments-section full-width">
                             <div
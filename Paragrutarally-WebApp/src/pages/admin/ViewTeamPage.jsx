@@ -2,6 +2,8 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams, useLocation } from 'react-router-dom';
 import Dashboard from '../../components/layout/Dashboard';
+import AuditHistory from '../../components/audit/AuditHistory';
+import DetailsHistoryTabs from '../../components/audit/DetailsHistoryTabs';
 import { useTheme } from '../../contexts/ThemeContext';
 import { useLanguage } from '../../contexts/LanguageContext';
 import { usePermissions } from '../../hooks/usePermissions.jsx';
@@ -47,6 +49,7 @@ const ViewTeamPage = () => {
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(null);
     const [successMessage, setSuccessMessage] = useState('');
+    const [activeTab, setActiveTab] = useState('details');
 
     const loadTeamData = React.useCallback(async () => {
         try {
@@ -288,7 +291,15 @@ const ViewTeamPage = () => {
                     </div>
                 )}
 
-                <div className="view-team-container">
+                {userRole === 'admin' && (
+                    <DetailsHistoryTabs activeTab={activeTab} onChange={setActiveTab} />
+                )}
+
+                {activeTab === 'history' && (
+                    <AuditHistory collectionName="teams" docId={id} />
+                )}
+
+                <div className="view-team-container" style={activeTab === 'history' ? { display: 'none' } : undefined}>
                     {/* Team Hero Section */}
                     <div className="hero-section">
                         <h1 className="team-name-display">{teamData.name}</h1>
@@ -2,8 +2,11 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams, useLocation } from 'react-router-dom';
 import Dashboard from '../../components/layout/Dashboard';
+import AuditHistory from '../../components/audit/AuditHistory';
+import DetailsHistoryTabs from '../../components/audit/DetailsHistoryTabs';
 import { useTheme } from '../../contexts/ThemeContext';
 import { useLanguage } from '../../contexts/LanguageContext';
+import { getSeatingSupportOptions } from '../../schemas/kidSchema';
 import { usePermissions } from '../../hooks/usePermissions.jsx';
 import { getVehicleById } from '../../services/vehicleService'; // UPDATED: Removed vehicle assignment imports
 import { getKidById } from '../../services/kidService';
@@ -16,6 +19,8 @@ import {
     IconBattery as Battery,
     IconEngine as Engine,
     IconSteeringWheel as Steering,
+    IconArmchair as Seat,
+    IconDeviceGamepad2 as Remote,
     IconUser as User,
     IconUsers as Users,
     IconCalendar as Calendar,
@@ -49,6 +54,7 @@ const ViewVehiclePage = () => {
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(null);
     const [successMessage, setSuccessMessage] = useState('');
+    const [activeTab, setActiveTab] = useState('details');
 
     useEffect(() => {
         if (location.state?.message) {
@@ -313,7 +319,15 @@ const ViewVehiclePage = () => {
                     </div>
                 </div>
 
-                <div className="admin-container">
+                {userRole === 'admin' && (
+                    <DetailsHistoryTabs activeTab={activeTab} onChange={setActiveTab} />
+                )}
+
+                {activeTab === 'history' && (
+                    <AuditHistory collectionName="vehicles" docId={id} />
+                )}
+
+                <div className="admin-container" style={activeTab === 'history' ? { display: 'none' } : undefined}>
                     {/* Header */}
                     <div className="racing-header">
                         <div className="header-content">
@@ -413,6 +427,23 @@ const ViewVehiclePage = () => {
                                     </label>
                                     <span>{formatDate(vehicle.batteryDate)}</span>
                                 </div>
+                                <div className="info-item">
+                                    <label>
+                                        <Seat size={16} />
+                                        {t('viewVehicle.seatingSupport', 'Seating Support')}
+                                    </label>
+                                    <span>
+                                        {getSeatingSupportOptions(t).find(option => option.value === vehicle.seatingSupport)?.label
+                                            || t('viewVehicle.notSpecified', 'Not specified')}
+                                    </span>
+                                </div>
+                                <div className="info-item">
+                                    <label>
+                                        <Remote size={16} />
+                                        {t('viewVehicle.remoteOverride', 'Remote-Control Override')}
+                                    </label>
+                                    <span>{vehicle.remoteOverride ? t('general.yes', 'Yes') : t('general.no', 'No')}</span>
+                                </div>
                             </div>
                         </div>
 
@@ -0,0 +1,144 @@
+// src/pages/auth/SetPasswordPage.jsx - Redeem an invite link by choosing a password
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { useTheme } from '../../contexts/ThemeContext.jsx';
+import { useLanguage } from '../../contexts/LanguageContext.jsx';
+import { redeemInvite } from '../../services/adminUserService.jsx';
+import DarkModeToggle from '../../components/common/DarkModeToggle.jsx';
+import LanguageSelector from '../../components/common/LanguageSelector.jsx';
+import '../../components/auth/Login.css';
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const SetPasswordPage = () => {
+    const [searchParams] = useSearchParams();
+    const inviteId = searchParams.get('invite');
+    const token = searchParams.get('token');
+
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [showPassword, setShowPassword] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const { signIn } = useAuth();
+    const { isDarkMode } = useTheme();
+    const { t } = useLanguage();
+    const navigate = useNavigate();
+
+    const hasInvite = Boolean(inviteId && token);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            setError(t('auth.passwordMinLength', 'Password must be at least 6 characters long'));
+            return;
+        }
+        if (password !== confirmPassword) {
+            setError(t('setPassword.passwordsDoNotMatch', 'Passwords do not match'));
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const { email } = await redeemInvite(inviteId, token, password);
+            await signIn(email, password);
+            // Login takes care of sending the user to their dashboard.
+            navigate('/login', { replace: true });
+        } catch (err) {
+            console.error('Set password error:', err);
+            setError(err.message || t('setPassword.error', 'Failed to activate your account. Please try again.'));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className={`login-page ${isDarkMode ? 'dark-mode' : 'light-mode'}`}>
+            <div className="top-controls-container">
+                <div className="theme-toggle-container">
+                    <DarkModeToggle />
+                </div>
+
+                <div className="login-language-selector">
+                    <LanguageSelector />
+                </div>
+            </div>
+
+            <div className="login-content">
+                <div className="app-title-container">
+                    <h1 className="app-title">{t('login.appTitle', 'Paragrutarally WebApp')}</h1>
+                </div>
+
+                <div className="login-form-box">
+                    <h2 className="login-heading">{t('setPassword.title', 'Set Your Password')}</h2>
+
+                    {!hasInvite ? (
+                        <div className="error-message" role="alert">
+                            {t('setPassword.invalidLink', 'This invite link is invalid. Please ask an administrator to send you a new one.')}
+                        </div>
+                    ) : (
+                        <>
+                            <p>{t('setPassword.description', 'Choose a password to activate your account.')}</p>
+
+                            {error && <div className="error-message" role="alert">{error}</div>}
+
+                            <form onSubmit={handleSubmit}>
+                                <div className="form-group">
+                                    <label htmlFor="new-password">{t('auth.newPassword', 'New Password')}:</label>
+                                    <div className="password-input-container">
+                                        <input
+                                            type={showPassword ? 'text' : 'password'}
+                                            id="new-password"
+                                            value={password}
+                                            onChange={(e) => setPassword(e.target.value)}
+                                            required
+                                            autoComplete="new-password"
+                                            disabled={loading}
+                                        />
+                                        <button
+                                            type="button"
+                                            className="toggle-password-btn"
+                                            onClick={() => setShowPassword(prev => !prev)}
+                                            disabled={loading}
+                                        >
+                                            {showPassword ? t('login.hide', 'Hide') : t('login.show', 'Show')}
+                                        </button>
+                                    </div>
+                                </div>
+
+                                <div className="form-group">
+                                    <label htmlFor="confirm-password">{t('setPassword.confirmPassword', 'Confirm Password')}:</label>
+                                    <input
+                                        type={showPassword ? 'text' : 'password'}
+                                        id="confirm-password"
+                                        value={confirmPassword}
+                                        onChange={(e) => setConfirmPassword(e.target.value)}
+                                        required
+                                        autoComplete="new-password"
+                                        disabled={loading}
+                                    />
+                                </div>
+
+                                <button type="submit" className="login-button" disabled={loading}>
+                                    {loading
+                                        ? t('setPassword.activating', 'Activating...')
+                                        : t('setPassword.submit', 'Activate Account')}
+                                </button>
+                            </form>
+                        </>
+                    )}
+
+                    <Link to="/login" className="forgot-password-link">
+                        {t('setPassword.backToLogin', 'Back to Login')}
+                    </Link>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SetPasswordPage;
@@ -14,6 +14,8 @@ import { db } from '../../firebase/config';
 import { usePermissions } from '../../hooks/usePermissions';
 import { useLanguage } from '../../contexts/LanguageContext';
 import Dashboard from '../../components/layout/Dashboard';
+import { isActiveRegistration } from '../../schemas/eventRegistrationSchema';
+import { compareEventStarts, isEventOver } from '../../utils/eventDateUtils';
 import {
     IconHome as Home,
     IconUsers as Users,
@@ -42,6 +44,8 @@ const HostDashboardPage = () => {
 
     const [events, setEvents] = useState([]);
     const [registeredKids, setRegisteredKids] = useState([]);
+    // kidId -> ids of the events the kid is registered for
+    const [kidEvents, setKidEvents] = useState({});
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
     const [searchTerm, setSearchTerm] = useState('');
@@ -62,13 +66,11 @@ const HostDashboardPage = () => {
             try {
                 setError('');
 
-                // Load upcoming events
-                const eventsQuery = query(
-                    collection(db, 'events'),
-                    orderBy('eventDate', 'desc')
-                );
-                const eventsSnapshot = await getDocs(eventsQuery);
-                const eventsData = eventsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+                // Load events, earliest first; ordering in the query would drop events stored without that field
+                const eventsSnapshot = await getDocs(collection(db, 'events'));
+                const eventsData = eventsSnapshot.docs
+                    .map(doc => ({ id: doc.id, ...doc.data() }))
+                    .sort(compareEventStarts);
 
                 // Load kids registered for events (guests can only see kids registered for events)
                 const kidsQuery = query(
@@ -78,11 +80,20 @@ const HostDashboardPage = () => {
                 const kidsSnapshot = await getDocs(kidsQuery);
                 const allKids = kidsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
 
-                // Filter kids that are registered for events (have teams assigned)
-                const registeredKids = allKids.filter(kid => kid.teamId);
+                // Guests only see kids with an active registration for an event
+                const registrationsSnapshot = await getDocs(collection(db, 'eventParticipants'));
+                const eventsByKid = {};
+                registrationsSnapshot.docs
+                    .map(doc => doc.data())
+                    .filter(isActiveRegistration)
+                    .forEach(registration => {
+                        eventsByKid[registration.kidId] = [...(eventsByKid[registration.kidId] || []), registration.eventId];
+                    });
+                const registeredKids = allKids.filter(kid => eventsByKid[kid.id]);
 
                 setEvents(eventsData);
                 setRegisteredKids(registeredKids);
+                setKidEvents(eventsByKid);
 
                 // Initialize comment texts
                 const initialComments = {};
@@ -134,10 +145,7 @@ const HostDashboardPage = () => {
 
         // Check if a specific event is selected for filtering
         if (eventFilter !== '') {
-            const selectedEvent = events.find(e => e.id === eventFilter);
-
-            // Check if the event exists AND if its list of participating teams includes the kid's team ID
-            matchesEvent = selectedEvent && selectedEvent.participatingTeams?.includes(kid.teamId);
+            matchesEvent = (kidEvents[kid.id] || []).includes(eventFilter);
         }
 
         return matchesSearch && matchesEvent;
@@ -193,8 +201,8 @@ const HostDashboardPage = () => {
     };
 
     // Get upcoming events
-    const upcomingEvents = events.filter(event => new Date(event.eventDate) >= new Date());
-    const pastEvents = events.filter(event => new Date(event.eventDate) < new Date());
+    const upcomingEvents = events.filter(event => !isEventOver(event));
+    const pastEvents = events.filter(event => isEventOver(event));
 
     if (loading) {
         return (
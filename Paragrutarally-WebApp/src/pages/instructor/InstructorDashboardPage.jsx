@@ -11,6 +11,14 @@ import {
 import { db } from '../../firebase/config';
 import { usePermissions } from '../../hooks/usePermissions';
 import { useLanguage } from '../../contexts/LanguageContext';
+import {
+    formatEventDate,
+    getEventDay,
+    getEventStart,
+    isEventOver,
+    toDate,
+    toIsraelDateTime
+} from '../../utils/eventDateUtils';
 import { useTheme } from '../../contexts/ThemeContext';
 import Dashboard from '../../components/layout/Dashboard';
 import ParentEventModal from '../../components/modals/ParentEventModal';
@@ -93,6 +101,8 @@ const InstructorEventsPage = () => {
                     address: data.address || '',
                     date: data.date || data.eventDate || t('events.dateTBD', 'Date TBD'), // Support both field names
                     time: data.time || '',
+                    startsAt: data.startsAt || null,
+                    endsAt: data.endsAt || null,
                     status: data.status || 'upcoming',
                     notes: data.notes || '',
                     organizer: data.organizer || '',
@@ -121,8 +131,8 @@ const InstructorEventsPage = () => {
 
             // Sort events by date in memory
             allEvents.sort((a, b) => {
-                const dateA = new Date(a.eventDate || a.date || a.createdAt || 0);
-                const dateB = new Date(b.eventDate || b.date || b.createdAt || 0);
+                const dateA = getEventStart(a) || toDate(a.createdAt) || new Date(0);
+                const dateB = getEventStart(b) || toDate(b.createdAt) || new Date(0);
                 return dateB - dateA; // Newest first
             });
 
@@ -158,14 +168,13 @@ const InstructorEventsPage = () => {
                 (statusFilter === 'completed' && event.status === 'completed') ||
                 (statusFilter === 'ongoing' && event.status === 'ongoing');
 
-            const now = new Date();
-            const eventDate = new Date(event.date || event.eventDate);
+            const eventDate = getEventStart(event);
             let matchesDate = true;
 
             if (dateFilter === 'upcoming') {
-                matchesDate = eventDate > now;
+                matchesDate = Boolean(eventDate) && eventDate > new Date();
             } else if (dateFilter === 'past') {
-                matchesDate = eventDate < now;
+                matchesDate = isEventOver(event);
             }
 
             // New: Filter by my team participation
@@ -202,29 +211,17 @@ const InstructorEventsPage = () => {
 
     // Get event status based on date
     const getEventStatus = (event) => {
-        const now = new Date();
-        const eventDate = new Date(event.date || event.eventDate);
-
-        if (eventDate < now) return 'past';
-        if (eventDate.toDateString() === now.toDateString()) return 'today';
+        if (isEventOver(event)) return 'past';
+        if (getEventDay(event) === toIsraelDateTime(new Date()).date) return 'today';
         return 'upcoming';
     };
 
     // Format date for display (same as ParentEventPage)
-    const formatDate = (dateString) => {
-        if (!dateString || dateString === t('events.dateTBD', 'Date TBD')) return dateString;
-
-        try {
-            const date = new Date(dateString);
-            return date.toLocaleDateString('en-US', {
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric'
-            });
-        } catch (error) {
-            return dateString;
-        }
-    };
+    const formatDate = (event) => formatEventDate(event, 'en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    }) || event.date;
 
     // Format time for display
     const formatTime = (timeString) => {
@@ -513,7 +510,7 @@ const InstructorEventsPage = () => {
                                             </td>
                                             <td>
                                                 <div className="date-time-info">
-                                                    <div className="event-date">{formatDate(event.date)}</div>
+                                                    <div className="event-date">{formatDate(event)}</div>
                                                     {event.time && (
                                                         <div className="event-time">{formatTime(event.time)}</div>
                                                     )}
@@ -18,7 +18,8 @@ import {
     IconSearch as Search,
     IconFilter as Filter,
     IconUsersGroup as Team,
-    IconUser as User
+    IconUser as User,
+    IconFirstAidKit as Medical
 } from '@tabler/icons-react';
 
 const InstructorKidsManagementPage = () => {
@@ -372,6 +373,15 @@ const InstructorKidsManagementPage = () => {
                                                 >
                                                     <Eye size={14} />
                                                 </Link>
+                                                {permissions.canViewMedicalProfile(kid, teams.find(team => team.id === kid.teamId), user) && (
+                                                    <Link
+                                                        to={`/instructor/kids/medical/${kid.id}`}
+                                                        className="btn-action view"
+                                                        title={t('medicalProfile.title', 'Medical & Emergency')}
+                                                    >
+                                                        <Medical size={14} />
+                                                    </Link>
+                                                )}
                                                 {canEditKid(kid) && (
                                                     <Link
                                                         to={`/instructor/kids/edit/${kid.id}`}
@@ -4,6 +4,7 @@ import FormSubmissionModal from '../../components/modals/FormSubmissionModal';
 import FormViewModal from '../../components/modals/FormViewModal';
 import { useTheme } from '../../contexts/ThemeContext';
 import { useLanguage } from '../../contexts/LanguageContext';
+import { formatEventDate as formatDateInIsrael } from '../../utils/eventDateUtils';
 import { usePermissions } from '../../hooks/usePermissions';
 import ViewSubmissionModal from '../../components/modals/ViewSubmissionModal';
 import EditSubmissionModal from '../../components/modals/EditSubmissionModal';
@@ -228,22 +229,10 @@ const MyFormsPage = () => {
             return eventDetails.dayAndDate;
         }
 
-        if (eventDetails?.eventDate) {
-            // If it's already a string, return it
-            if (typeof eventDetails.eventDate === 'string') {
-                return eventDetails.eventDate;
-            }
-            // If it's a Date object, format it
-            if (eventDetails.eventDate instanceof Date) {
-                return eventDetails.eventDate.toLocaleDateString();
-            }
-            // If it has a toDate method (Firestore Timestamp), use it
-            if (eventDetails.eventDate.toDate) {
-                return eventDetails.eventDate.toDate().toLocaleDateString();
-            }
-        }
-
-        return '';
+        return formatDateInIsrael(
+            { date: eventDetails?.eventDate, time: eventDetails?.startTime },
+            currentLanguage === 'he' ? 'he-IL' : 'en-US'
+        );
     };
 
     // State for kid names - similar to ViewSubmissionModal
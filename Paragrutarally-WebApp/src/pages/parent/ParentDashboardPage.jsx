@@ -12,8 +12,12 @@ import {
 import { db } from '../../firebase/config';
 import { usePermissions } from '../../hooks/usePermissions';
 import { useLanguage } from '../../contexts/LanguageContext';
+import { useSeason } from '../../hooks/useSeason';
+import { setKidSeasonEnrollment } from '../../services/seasonService';
+import { ENROLLMENT_STATUS, getEnrollmentStatus } from '../../schemas/seasonSchema';
 import Dashboard from '../../components/layout/Dashboard';
 import ParentKidEditModal from '../../components/modals/ParentKidEditModal';
+import UserNotifications from '../../components/common/UserNotifications';
 import {
     IconUser as User,
     IconUsers as Users,
@@ -28,12 +32,15 @@ import {
     IconMail as Mail,
     IconFileText as FileText,
     IconAlertTriangle as Alert,
-    IconCheck as Check
+    IconCheck as Check,
+    IconCalendarStats as Season
 } from '@tabler/icons-react';
+import './ParentDashboardPage.css';
 
 const ParentDashboardPage = () => {
     const { permissions, userRole, userData, user } = usePermissions();
     const { t } = useLanguage();
+    const { activeSeason } = useSeason();
 
     const [kids, setKids] = useState([]);
     const [loading, setLoading] = useState(true);
@@ -42,6 +49,7 @@ const ParentDashboardPage = () => {
     const [editingComments, setEditingComments] = useState({});
     const [commentTexts, setCommentTexts] = useState({});
     const [saving, setSaving] = useState({});
+    const [answeringEnrollment, setAnsweringEnrollment] = useState({});
 
     // Edit modal state
     const [editingKid, setEditingKid] = useState(null);
@@ -157,6 +165,21 @@ const ParentDashboardPage = () => {
         }
     };
 
+    // Answer a re-enrollment invitation for the active season
+    const answerEnrollment = async (kid, enroll) => {
+        setAnsweringEnrollment(prev => ({ ...prev, [kid.id]: true }));
+
+        try {
+            await setKidSeasonEnrollment(kid.id, activeSeason.id, enroll, user.uid);
+            await loadParentKids();
+        } catch (err) {
+            console.error('Error answering season enrollment:', err);
+            setError(t('parent.reenrollError', 'Failed to save your answer. Please try again.'));
+        } finally {
+            setAnsweringEnrollment(prev => ({ ...prev, [kid.id]: false }));
+        }
+    };
+
     // Handle edit modal
     const handleEditKid = (kid) => {
         setEditingKid(kid);
@@ -217,6 +240,9 @@ const ParentDashboardPage = () => {
     // Count kids by form status
     const completeKids = kids.filter(kid => getFormStatus(kid).status === 'complete').length;
     const pendingKids = kids.filter(kid => getFormStatus(kid).status !== 'complete').length;
+    const invitedKids = activeSeason
+        ? kids.filter(kid => getEnrollmentStatus(kid, activeSeason.id) === ENROLLMENT_STATUS.INVITED)
+        : [];
 
     return (
         <Dashboard userRole={userRole}>
@@ -289,6 +315,47 @@ const ParentDashboardPage = () => {
                         </div>
                     )}
 
+                    {/* Notifications, e.g. a kid promoted from an event waitlist */}
+                    <UserNotifications userId={user?.uid} />
+
+                    {/* Season re-enrollment */}
+                    {invitedKids.length > 0 && (
+                        <div className="alert info-alert reenroll-alert">
+                            <div className="reenroll-title">
+                                <Season size={20} />
+                                <strong>
+                                    {t('parent.reenrollTitle', 'Re-enrollment for {season} is open', { season: activeSeason.name })}
+                                </strong>
+                            </div>
+                            {invitedKids.map(kid => (
+                                <div key={kid.id} className="reenroll-kid">
+                                    <span>
+                                        {t('parent.reenrollQuestion', 'Will {name} take part this season?',
+                                            { name: `${kid.personalInfo?.firstName || ''} ${kid.personalInfo?.lastName || ''}`.trim() })}
+                                    </span>
+                                    <div className="reenroll-actions">
+                                        <button
+                                            className="btn btn-primary"
+                                            onClick={() => answerEnrollment(kid, true)}
+                                            disabled={answeringEnrollment[kid.id]}
+                                        >
+                                            <Check size={16} />
+                                            {t('parent.reenrollAccept', 'Enroll')}
+                                        </button>
+                                        <button
+                                            className="btn btn-secondary"
+                                            onClick={() => answerEnrollment(kid, false)}
+                                            disabled={answeringEnrollment[kid.id]}
+                                        >
+                                            <X size={16} />
+                                            {t('parent.reenrollDecline', 'Not this season')}
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
                     {/* Kids List */}
                     {kids.length === 0 ? (
                         <div className="empty-state">
@@ -5,8 +5,11 @@ import { collection, getDocs, query, orderBy } from 'firebase/firestore';
 import { db } from '../../firebase/config';
 import Dashboard from '../../components/layout/Dashboard';
 import ParentEventModal from '../../components/modals/ParentEventModal'; // Import the modal
+import VolunteerShiftsPanel from '../../components/volunteers/VolunteerShiftsPanel';
 import { useTheme } from '../../contexts/ThemeContext.jsx';
 import { useLanguage } from '../../contexts/LanguageContext.jsx';
+import { formatEventDate } from '../../utils/eventDateUtils';
+import { getAllVenues } from '../../services/venueService';
 import { usePermissions } from '../../hooks/usePermissions.jsx';
 import {
     IconRefresh as RefreshCw,
@@ -22,8 +25,10 @@ import {
     IconTrophy as Trophy,
     IconMapPin as MapPin,
     IconPhoto as Photo,
-    IconUsers as Users
+    IconUsers as Users,
+    IconCalendarPlus as CalendarPlus
 } from '@tabler/icons-react';
+import { downloadEventIcs, hasCalendarDate } from '../../utils/icsUtils';
 import './ParentEventPage.css';
 
 const ParentEventPage = () => {
@@ -46,6 +51,9 @@ const ParentEventPage = () => {
     const [selectedEvent, setSelectedEvent] = useState(null);
     const [isModalOpen, setIsModalOpen] = useState(false);
 
+    // Venue details for the events that picked a venue
+    const [venuesById, setVenuesById] = useState({});
+
     // Pagination settings
     const eventsPerPage = 6;
 
@@ -71,6 +79,7 @@ const ParentEventPage = () => {
                     description: data.description || t('parentEvents.noDescription', 'No description available'),
                     location: data.location || t('parentEvents.locationTBD', 'Location TBD'),
                     address: data.address || '',
+                    venueId: data.venueId || null,
                     date: data.date || t('parentEvents.dateTBD', 'Date TBD'),
                     time: data.time || '',
                     status: data.status || 'upcoming',
@@ -91,7 +100,9 @@ const ParentEventPage = () => {
                     backupPlan: data.backupPlan || '',
                     createdAt: data.createdAt,
                     updatedAt: data.updatedAt,
-                    image: data.image || 'https://images.unsplash.com/photo-1571019613454-1cb2f99b2d8b?w=400'
+                    image: data.image || 'https://images.unsplash.com/photo-1571019613454-1cb2f99b2d8b?w=400',
+                    // As stored, without the "TBD" placeholders, for the .ics download
+                    calendarEvent: { id: doc.id, ...data }
                 });
             });
 
@@ -110,6 +121,12 @@ const ParentEventPage = () => {
         fetchEvents();
     }, [t]);
 
+    useEffect(() => {
+        getAllVenues()
+            .then(venues => setVenuesById(Object.fromEntries(venues.map(venue => [venue.id, venue]))))
+            .catch(error => console.error('Error fetching venues:', error));
+    }, []);
+
     // Get unique locations from events for the filter dropdown
     const getUniqueLocations = () => {
         const locations = events
@@ -200,20 +217,11 @@ const ParentEventPage = () => {
     };
 
     // Format date for display
-    const formatDate = (dateString) => {
-        if (!dateString || dateString === t('parentEvents.dateTBD', 'Date TBD')) return dateString;
-
-        try {
-            const date = new Date(dateString);
-            return date.toLocaleDateString(isRTL ? 'he-IL' : 'en-US', {
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric'
-            });
-        } catch (error) {
-            return dateString;
-        }
-    };
+    const formatDate = (event) => formatEventDate(event, isRTL ? 'he-IL' : 'en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    }) || event.date;
 
     // Format time for display
     const formatTime = (timeString) => {
@@ -504,7 +512,7 @@ const ParentEventPage = () => {
                                         </td>
                                         <td>
                                             <div className="date-time-info">
-                                                <div className="event-date">{formatDate(event.date)}</div>
+                                                <div className="event-date">{formatDate(event)}</div>
                                                 {event.time && (
                                                     <div className="event-time">{formatTime(event.time)}</div>
                                                 )}
@@ -539,6 +547,15 @@ const ParentEventPage = () => {
                                                 >
                                                     <Eye size={16} />
                                                 </button>
+                                                {hasCalendarDate(event.calendarEvent) && (
+                                                    <button
+                                                        className="btn-action calendar"
+                                                        onClick={() => downloadEventIcs(event.calendarEvent)}
+                                                        title={t('events.addToCalendar', 'Add to Calendar')}
+                                                    >
+                                                        <CalendarPlus size={16} />
+                                                    </button>
+                                                )}
                                                 {event.hasGalleryFolder && (
                                                     <button
                                                         className="btn-action gallery"
@@ -589,11 +606,15 @@ const ParentEventPage = () => {
                             </button>
                         </div>
                     )}
+
+                    {/* Volunteer shifts */}
+                    <VolunteerShiftsPanel />
                 </div>
 
                 {/* Event Details Modal */}
                 <ParentEventModal
                     event={selectedEvent}
+                    venue={venuesById[selectedEvent?.venueId] || null}
                     isOpen={isModalOpen}
                     onClose={handleCloseModal}
                 />
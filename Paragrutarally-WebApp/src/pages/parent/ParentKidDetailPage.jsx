@@ -10,6 +10,8 @@ import { db } from '../../firebase/config';
 import { usePermissions } from '../../hooks/usePermissions';
 import { useLanguage } from '../../contexts/LanguageContext';
 import Dashboard from '../../components/layout/Dashboard';
+import KidResultsHistory from '../../components/kids/KidResultsHistory';
+import ParticipantCard from '../../components/kids/ParticipantCard';
 import { updateKid } from '../../services/kidService';
 import { validateKid, getKidFullName, getKidAge } from '../../schemas/kidSchema';
 import {
@@ -26,7 +28,10 @@ import {
     IconAlertTriangle as Alert,
     IconCheck as Check,
     IconCamera as Camera,
-    IconExclamationCircle as Warning
+    IconExclamationCircle as Warning,
+    IconTrophy as Trophy,
+    IconQrcode as Qrcode,
+    IconPrinter as Printer
 } from '@tabler/icons-react';
 
 const ParentKidDetailPage = () => {
@@ -617,6 +622,33 @@ const ParentKidDetailPage = () => {
                         </div>
                     )}
 
+                    {/* Check-in Code */}
+                    <div className="form-section">
+                        <div className="section-header">
+                            <Qrcode className="section-icon" size={24} />
+                            <h3>{t('parent.checkInCode', 'Check-in Code')}</h3>
+                        </div>
+                        <p>{t('parent.checkInCodeHint', 'Show this code at the gate on race day, on your phone or printed.')}</p>
+                        <div className="participant-cards">
+                            <ParticipantCard kid={kid} />
+                        </div>
+                        <div className="racing-actions">
+                            <button type="button" className="btn btn-secondary" onClick={() => window.print()}>
+                                <Printer size={18} />
+                                {t('participantCard.print', 'Print Card')}
+                            </button>
+                        </div>
+                    </div>
+
+                    {/* Race Results */}
+                    <div className="form-section">
+                        <div className="section-header">
+                            <Trophy className="section-icon" size={24} />
+                            <h3>{t('parent.raceResults', 'Race Results')}</h3>
+                        </div>
+                        <KidResultsHistory kidId={kidId} />
+                    </div>
+
                     {/* Photo Section */}
                     {getFieldValue('personalInfo.photo') && (
                         <div className="form-section">
@@ -1,7 +1,7 @@
 // src/pages/shared/GalleryPage.jsx - Full Translation Support
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { collection, getDocs, query, orderBy, doc, deleteDoc } from 'firebase/firestore';
+import { collection, getDocs, query, doc, deleteDoc } from 'firebase/firestore';
 import { ref, listAll, getDownloadURL, deleteObject, uploadBytes, getMetadata } from 'firebase/storage';
 import { db, storage } from '@/firebase/config.js';
 import Dashboard from '../../components/layout/Dashboard';
@@ -9,6 +9,8 @@ import { useAuth } from '../../contexts/AuthContext';
 import { useTheme } from '../../contexts/ThemeContext';
 import { useLanguage } from '../../contexts/LanguageContext';
 import { useStorage } from '@/hooks/useStorage.js';
+import { getAllEvents } from '../../services/eventService';
+import { compareEventStarts, formatEventDate } from '../../utils/eventDateUtils';
 import {
     IconPhoto as Photo,
     IconUpload as Upload,
@@ -31,7 +33,7 @@ import './GalleryPage.css';
 const GalleryPage = () => {
     const { userRole } = useAuth();
     const { isDarkMode } = useTheme();
-    const { t } = useLanguage();
+    const { t, isRTL } = useLanguage();
     const { eventId } = useParams(); // For event-specific galleries
     const navigate = useNavigate();
 
@@ -89,18 +91,18 @@ const GalleryPage = () => {
                 { id: 'general', name: t('gallery.generalPhotos', 'General Photos'), type: 'folder' }
             ];
 
-            // Load events from Firestore to create event albums
-            const eventsQuery = query(collection(db, 'events'), orderBy('createdAt', 'desc'));
-            const eventsSnapshot = await getDocs(eventsQuery);
+            // Event albums, the latest event first
+            const events = await getAllEvents();
+            events.sort((a, b) => compareEventStarts(b, a));
 
-            eventsSnapshot.forEach((doc) => {
-                const eventData = doc.data();
+            events.forEach((event) => {
                 albumsList.push({
-                    id: `event_${doc.id}`,
-                    name: t('gallery.eventAlbum', '{eventName} Album', { eventName: eventData.name }),
+                    id: `event_${event.id}`,
+                    name: t('gallery.eventAlbum', '{eventName} Album', { eventName: event.name }),
                     type: 'event',
-                    eventId: doc.id,
-                    eventName: eventData.name
+                    eventId: event.id,
+                    eventName: event.name,
+                    eventDate: formatEventDate(event, isRTL ? 'he-IL' : 'en-US', { year: 'numeric', month: 'short', day: 'numeric' })
                 });
             });
 
@@ -467,6 +469,7 @@ const GalleryPage = () => {
                                 {album.type === 'folder' && <Folder size={16} />}
                                 {album.type === 'event' && <Photo size={16} />}
                                 {album.name}
+                                {album.eventDate && <span className="album-date">{album.eventDate}</span>}
                                 {album.type === 'all' && (
                                     <span className="photo-count">({photos.length})</span>
                                 )}
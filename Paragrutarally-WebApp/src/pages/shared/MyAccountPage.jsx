@@ -1,22 +1,40 @@
 // src/pages/shared/MyAccountPage.jsx
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import Dashboard from '../../components/layout/Dashboard';
 import UserProfile from '../../components/auth/UserProfile';
+import CalendarFeedLink from '../../components/common/CalendarFeedLink';
+import UserNotifications from '../../components/common/UserNotifications';
+import VolunteerShiftsPanel from '../../components/volunteers/VolunteerShiftsPanel';
 import { useAuth } from '../../contexts/AuthContext';
 import { useTheme } from '../../contexts/ThemeContext';
 import { useLanguage } from '../../contexts/LanguageContext';
+import { canVolunteer } from '../../schemas/userSchema';
+import { getUserData } from '../../services/userService';
 import './MyAccountPage.css';
 
 const MyAccountPage = () => {
-    const { userRole } = useAuth();
+    const { userRole, currentUser } = useAuth();
     const { isDarkMode } = useTheme();
     const { t } = useLanguage();
+    const [isVolunteer, setIsVolunteer] = useState(false);
+
+    // Parents sign up on their events page; other users only once an admin marks them as volunteers
+    useEffect(() => {
+        if (!currentUser?.uid || userRole === 'parent' || userRole === 'admin') return;
+        getUserData(currentUser.uid)
+            .then(data => setIsVolunteer(canVolunteer(data)))
+            .catch(() => setIsVolunteer(false));
+    }, [currentUser?.uid, userRole]);
 
     return (
         <Dashboard requiredRole={userRole}>
             <div className={`my-account-page ${isDarkMode ? 'dark-mode' : 'light-mode'}`}>
                 <h1>{t('account.title')}</h1>
                 <UserProfile />
+                {['admin', 'parent', 'instructor'].includes(userRole) && <CalendarFeedLink />}
+                {/* Volunteers hear here when an event they signed up for is cancelled */}
+                {isVolunteer && <UserNotifications userId={currentUser.uid} />}
+                {isVolunteer && <VolunteerShiftsPanel />}
             </div>
         </Dashboard>
     );
@@ -0,0 +1,304 @@
+// src/schemas/eventRegistrationSchema.js - Per-kid event registrations and the rules for accepting them
+import { getEventDay, getEventStart } from '../utils/eventDateUtils';
+
+/**
+ * Event Registration Schema Definition
+ * One document per kid and event in eventParticipants, with the id from getRegistrationId.
+ * Registrations are written by the registerKidsForEvent and cancelEventRegistration functions,
+ * which check the same rules as below on the server. Keep the two in sync.
+ * Eligible kids that find the event full go on its waitlist, ordered by waitlistPosition; when a
+ * place frees up the first of them is promoted, until the promotion cutoff before the event.
+ */
+
+export const REGISTRATION_STATUS = {
+    REGISTERED: 'registered',
+    WAITLISTED: 'waitlisted',
+    CANCELLED: 'cancelled'
+};
+
+// Why a kid cannot be registered for an event
+export const REGISTRATION_ISSUES = {
+    REGISTRATION_CLOSED: 'registrationClosed',
+    DEADLINE_PASSED: 'deadlinePassed',
+    EVENT_FULL: 'eventFull',
+    DECLARATION_MISSING: 'declarationMissing',
+    TOO_YOUNG: 'tooYoung',
+    TOO_OLD: 'tooOld',
+    AGE_UNKNOWN: 'ageUnknown',
+    TEAM_NOT_PARTICIPATING: 'teamNotParticipating',
+    ALREADY_REGISTERED: 'alreadyRegistered',
+    ALREADY_WAITLISTED: 'alreadyWaitlisted',
+    KID_ARCHIVED: 'kidArchived'
+};
+
+// Events in these states take no more registrations
+const CLOSED_EVENT_STATUSES = ['completed', 'cancelled'];
+
+/**
+ * Registration document id; one registration per kid and event
+ * @param {string} eventId - Event ID
+ * @param {string} kidId - Kid ID
+ * @returns {string}
+ */
+export const getRegistrationId = (eventId, kidId) => `${eventId}_${kidId}`;
+
+// Default registration settings of a new event
+export const createDefaultRegistrationSettings = () => ({
+    registrationOpen: true,
+    registrationDeadline: '', // YYYY-MM-DD, registration closes at the end of this day
+    maxParticipants: 50,
+    minAge: '',
+    maxAge: '',
+    requireSignedDeclaration: true,
+    waitlistEnabled: true,
+    waitlistCutoffHours: 24 // no promotions from the waitlist this close to the event
+});
+
+const parseDateOnly = (value) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value || '');
+    return match ? { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) } : null;
+};
+
+const toDateOnly = (date) => ({ year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() });
+
+const hasValue = (value) => value !== '' && value !== null && value !== undefined;
+
+/**
+ * A kid's age in whole years on a given day
+ * @param {string} dateOfBirth - YYYY-MM-DD
+ * @param {string|Date} onDate - YYYY-MM-DD or a Date
+ * @returns {number|null} - null when the date of birth is missing or invalid
+ */
+export const getAgeOnDate = (dateOfBirth, onDate) => {
+    const birth = parseDateOnly(dateOfBirth);
+    const day = onDate instanceof Date ? toDateOnly(onDate) : parseDateOnly(onDate);
+    if (!birth || !day) return null;
+
+    let age = day.year - birth.year;
+    if (day.month < birth.month || (day.month === birth.month && day.day < birth.day)) {
+        age -= 1;
+    }
+    return age >= 0 ? age : null;
+};
+
+/**
+ * Whether the event currently takes registrations
+ * @param {Object} event - Event
+ * @param {Date} now - Current time
+ * @returns {string|null} - REGISTRATION_ISSUES code, or null when registration is open
+ */
+export const getRegistrationWindowIssue = (event, now = new Date()) => {
+    if (event.registrationOpen === false || CLOSED_EVENT_STATUSES.includes(event.status)) {
+        return REGISTRATION_ISSUES.REGISTRATION_CLOSED;
+    }
+    const deadline = parseDateOnly(event.registrationDeadline);
+    if (deadline) {
+        const today = toDateOnly(now);
+        const passed = today.year !== deadline.year ? today.year > deadline.year
+            : today.month !== deadline.month ? today.month > deadline.month
+                : today.day > deadline.day;
+        if (passed) return REGISTRATION_ISSUES.DEADLINE_PASSED;
+    }
+    return null;
+};
+
+/**
+ * Places left at the event
+ * @param {Object} event - Event
+ * @param {number} registeredCount - Active registrations
+ * @returns {number} - Infinity when the event has no capacity set
+ */
+export const getRemainingCapacity = (event, registeredCount) => {
+    if (!hasValue(event.maxParticipants)) return Infinity;
+    return Math.max(Number(event.maxParticipants) - registeredCount, 0);
+};
+
+/**
+ * Check a kid against the event's eligibility rules
+ * An event without participating teams is open to every team.
+ * @param {Object} kid - Kid
+ * @param {Object} event - Event
+ * @param {Object} options - { now: used for the age when the event has no date,
+ *   declarationUploaded: the parent uploads a declaration with this registration }
+ * @returns {Array} - REGISTRATION_ISSUES codes, empty when the kid is eligible
+ */
+export const getKidEligibilityIssues = (kid, event, options = {}) => {
+    const { now = new Date(), declarationUploaded = false } = options;
+    const issues = [];
+
+    if (kid.archived === true) {
+        issues.push(REGISTRATION_ISSUES.KID_ARCHIVED);
+    }
+
+    if (event.requireSignedDeclaration !== false && !kid.signedDeclaration && !declarationUploaded) {
+        issues.push(REGISTRATION_ISSUES.DECLARATION_MISSING);
+    }
+
+    if (hasValue(event.minAge) || hasValue(event.maxAge)) {
+        const age = getAgeOnDate(kid.personalInfo?.dateOfBirth, getEventDay(event) || now);
+        if (age === null) {
+            issues.push(REGISTRATION_ISSUES.AGE_UNKNOWN);
+        } else if (hasValue(event.minAge) && age < Number(event.minAge)) {
+            issues.push(REGISTRATION_ISSUES.TOO_YOUNG);
+        } else if (hasValue(event.maxAge) && age > Number(event.maxAge)) {
+            issues.push(REGISTRATION_ISSUES.TOO_OLD);
+        }
+    }
+
+    const teams = event.participatingTeams || [];
+    if (teams.length > 0 && !teams.includes(kid.teamId)) {
+        issues.push(REGISTRATION_ISSUES.TEAM_NOT_PARTICIPATING);
+    }
+
+    return issues;
+};
+
+/**
+ * Whether a registration counts towards the event
+ * @param {Object} registration - eventParticipants document
+ * @returns {boolean}
+ */
+export const isActiveRegistration = (registration) =>
+    (registration.status || REGISTRATION_STATUS.REGISTERED) === REGISTRATION_STATUS.REGISTERED;
+
+/**
+ * Whether a kid is waiting for a place at the event
+ * @param {Object} registration - eventParticipants document
+ * @returns {boolean}
+ */
+export const isWaitlistedRegistration = (registration) =>
+    registration.status === REGISTRATION_STATUS.WAITLISTED;
+
+/**
+ * The waitlisted registrations in promotion order
+ * @param {Array} registrations - Registrations of one event
+ * @returns {Array}
+ */
+export const getWaitlist = (registrations) => registrations
+    .filter(isWaitlistedRegistration)
+    .sort((a, b) => (a.waitlistPosition ?? Infinity) - (b.waitlistPosition ?? Infinity));
+
+/**
+ * When promotions from the waitlist stop: waitlistCutoffHours before the event starts
+ * (getEventStart; the start of its day in Israel when it has no start time)
+ * @param {Object} event - Event
+ * @returns {Date|null} - null when the event has no date
+ */
+export const getWaitlistCutoff = (event) => {
+    const start = getEventStart(event);
+    if (!start) return null;
+    const cutoffHours = hasValue(event.waitlistCutoffHours) ? Number(event.waitlistCutoffHours) : 0;
+    return new Date(start.getTime() - cutoffHours * 60 * 60 * 1000);
+};
+
+/**
+ * Whether a freed place still goes to the next kid on the waitlist
+ * @param {Object} event - Event
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export const isWaitlistPromotionOpen = (event, now = new Date()) => {
+    if (event.waitlistEnabled === false || CLOSED_EVENT_STATUSES.includes(event.status)) return false;
+    const cutoff = getWaitlistCutoff(event);
+    return !cutoff || now < cutoff;
+};
+
+/**
+ * Validate the registration settings of an event form
+ * @param {Object} settings - { registrationDeadline, maxParticipants, minAge, maxAge, waitlistCutoffHours }
+ * @param {string} eventDate - YYYY-MM-DD
+ * @param {Function} t - Translation function (optional)
+ * @returns {Object} - { isValid: boolean, errors: {} }
+ */
+export const validateRegistrationSettings = (settings, eventDate, t = null) => {
+    const translate = (key, fallback) => (t ? t(key, fallback) : fallback);
+    const errors = {};
+    const isWholeNumber = (value, min) => Number.isInteger(Number(value)) && Number(value) >= min;
+
+    if (!hasValue(settings.maxParticipants) || !isWholeNumber(settings.maxParticipants, 1)) {
+        errors.maxParticipants = translate('registration.validation.capacityInvalid', 'Capacity must be a whole number of at least 1');
+    }
+    if (hasValue(settings.minAge) && !isWholeNumber(settings.minAge, 0)) {
+        errors.minAge = translate('registration.validation.ageInvalid', 'Age must be a whole number');
+    }
+    if (hasValue(settings.maxAge) && !isWholeNumber(settings.maxAge, 0)) {
+        errors.maxAge = translate('registration.validation.ageInvalid', 'Age must be a whole number');
+    }
+    if (!errors.minAge && !errors.maxAge && hasValue(settings.minAge) && hasValue(settings.maxAge) &&
+        Number(settings.minAge) > Number(settings.maxAge)) {
+        errors.maxAge = translate('registration.validation.ageRangeInvalid', 'Maximum age must not be below the minimum age');
+    }
+    if (hasValue(settings.waitlistCutoffHours) && !isWholeNumber(settings.waitlistCutoffHours, 0)) {
+        errors.waitlistCutoffHours = translate('registration.validation.cutoffInvalid', 'The cutoff must be a whole number of hours');
+    }
+    if (settings.registrationDeadline) {
+        if (!parseDateOnly(settings.registrationDeadline)) {
+            errors.registrationDeadline = translate('registration.validation.deadlineInvalid', 'Enter a valid date');
+        } else if (eventDate && settings.registrationDeadline > eventDate) {
+            errors.registrationDeadline = translate('registration.validation.deadlineAfterEvent', 'The deadline must not be after the event date');
+        }
+    }
+
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+};
+
+/**
+ * Registration settings as stored on the event
+ * @param {Object} settings - Settings from the event form
+ * @returns {Object}
+ */
+export const cleanRegistrationSettings = (settings) => ({
+    registrationOpen: settings.registrationOpen !== false,
+    registrationDeadline: settings.registrationDeadline || '',
+    maxParticipants: Number(settings.maxParticipants),
+    minAge: hasValue(settings.minAge) ? Number(settings.minAge) : null,
+    maxAge: hasValue(settings.maxAge) ? Number(settings.maxAge) : null,
+    requireSignedDeclaration: settings.requireSignedDeclaration !== false,
+    waitlistEnabled: settings.waitlistEnabled !== false,
+    waitlistCutoffHours: hasValue(settings.waitlistCutoffHours) ? Number(settings.waitlistCutoffHours) : 0
+});
+
+/**
+ * Explain a registration issue to the user
+ * @param {string} code - REGISTRATION_ISSUES code
+ * @param {Function} t - Translation function
+ * @returns {string}
+ */
+export const getRegistrationIssueText = (code, t) => {
+    switch (code) {
+        case REGISTRATION_ISSUES.REGISTRATION_CLOSED:
+            return t('registration.issues.registrationClosed', 'Registration for this event is closed');
+        case REGISTRATION_ISSUES.DEADLINE_PASSED:
+            return t('registration.issues.deadlinePassed', 'The registration deadline has passed');
+        case REGISTRATION_ISSUES.EVENT_FULL:
+            return t('registration.issues.eventFull', 'The event is full');
+        case REGISTRATION_ISSUES.DECLARATION_MISSING:
+            return t('registration.issues.declarationMissing', 'The kid has no signed declaration');
+        case REGISTRATION_ISSUES.TOO_YOUNG:
+            return t('registration.issues.tooYoung', 'The kid is below the minimum age for this event');
+        case REGISTRATION_ISSUES.TOO_OLD:
+            return t('registration.issues.tooOld', 'The kid is above the maximum age for this event');
+        case REGISTRATION_ISSUES.AGE_UNKNOWN:
+            return t('registration.issues.ageUnknown', 'The kid\'s date of birth is missing, so the age limit cannot be checked');
+        case REGISTRATION_ISSUES.TEAM_NOT_PARTICIPATING:
+            return t('registration.issues.teamNotParticipating', 'The kid\'s team does not take part in this event');
+        case REGISTRATION_ISSUES.ALREADY_REGISTERED:
+            return t('registration.issues.alreadyRegistered', 'The kid is already registered');
+        case REGISTRATION_ISSUES.ALREADY_WAITLISTED:
+            return t('registration.issues.alreadyWaitlisted', 'The kid is already on the waitlist');
+        case REGISTRATION_ISSUES.KID_ARCHIVED:
+            return t('registration.issues.kidArchived', 'The kid is archived');
+        default:
+            return code;
+    }
+};
+
+export default {
+    getRegistrationId,
+    getKidEligibilityIssues,
+    getRegistrationWindowIssue,
+    validateRegistrationSettings
+};
@@ -1,6 +1,13 @@
 // src/schemas/eventSchema.js
 import { z } from 'zod';
 
+export const EVENT_STATUS = {
+    UPCOMING: 'upcoming',
+    ONGOING: 'ongoing',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled'
+};
+
 export const eventSchema = z.object({
     // Basic event information
     name: z.string()
@@ -34,6 +41,11 @@ export const eventSchema = z.object({
         .min(1, 'Event time is required')
         .regex(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format (HH:MM)'),
 
+    // When the event starts and ends; date and time are the same start in Israel.
+    // Build all four with buildEventDates in utils/eventDateUtils.js.
+    startsAt: z.any().optional(),
+    endsAt: z.any().optional(),
+
     // Location information
     location: z.string()
         .min(1, 'Event location is required')
@@ -45,6 +57,11 @@ export const eventSchema = z.object({
         .max(200, 'Address must be less than 200 characters')
         .trim(),
 
+    // The venue picked from the venues collection; location and address are copied from it
+    venueId: z.string()
+        .nullable()
+        .optional(),
+
     // Organizer information
     organizer: z.string()
         .min(1, 'Organizer name is required')
@@ -58,7 +75,7 @@ export const eventSchema = z.object({
     // REMOVED: attendees field - not needed
 
     // Event status
-    status: z.enum(['upcoming', 'ongoing', 'completed', 'cancelled'], {
+    status: z.enum(Object.values(EVENT_STATUS), {
         errorMap: () => ({ message: 'Invalid event status' })
     }).default('upcoming'),
 
@@ -101,6 +118,17 @@ export const eventSchema = z.object({
         .optional()
         .nullable(),
 
+    // Off the second and later kids of a family, see paymentSchema.js
+    siblingDiscountPercent: z.number()
+        .min(0, 'Discount cannot be negative')
+        .max(100, 'Discount cannot be above 100%')
+        .optional()
+        .nullable(),
+
+    // Shirts families already have from earlier seasons, per size (see shirtSchema.js)
+    shirtsHandedOut: z.record(z.number().int().min(0))
+        .optional(),
+
     // Registration settings
     registrationOpen: z.boolean()
         .default(true),
@@ -113,6 +141,39 @@ export const eventSchema = z.object({
             'Invalid registration deadline format'
         ),
 
+    // Capacity: how many kids can be registered (see eventRegistrationSchema)
+    maxParticipants: z.number()
+        .int('Capacity must be a whole number')
+        .min(1, 'Capacity must be at least 1')
+        .optional()
+        .nullable(),
+
+    // Eligibility checked when a kid is registered
+    minAge: z.number()
+        .int()
+        .min(0, 'Minimum age cannot be negative')
+        .optional()
+        .nullable(),
+
+    maxAge: z.number()
+        .int()
+        .min(0, 'Maximum age cannot be negative')
+        .optional()
+        .nullable(),
+
+    requireSignedDeclaration: z.boolean()
+        .default(true),
+
+    // Waitlist once the event is full; promotions stop this many hours before the start
+    waitlistEnabled: z.boolean()
+        .default(true),
+
+    waitlistCutoffHours: z.number()
+        .int()
+        .min(0, 'Waitlist cutoff cannot be negative')
+        .optional()
+        .nullable(),
+
     // Contact information
     contactEmail: z.string()
         .email('Invalid email format')
@@ -265,6 +326,49 @@ export const isEventInPast = (eventDate, eventTime) => {
     }
 };
 
+/**
+ * Where an event's status may move next. Completed and cancelled events stay that way.
+ * The updateEventStatuses function moves events to ongoing and completed on schedule, and
+ * firestore.rules and the cancelEvent function check the same moves. Keep the three in sync.
+ */
+export const EVENT_STATUS_TRANSITIONS = {
+    [EVENT_STATUS.UPCOMING]: [EVENT_STATUS.ONGOING, EVENT_STATUS.COMPLETED, EVENT_STATUS.CANCELLED],
+    [EVENT_STATUS.ONGOING]: [EVENT_STATUS.COMPLETED, EVENT_STATUS.CANCELLED],
+    [EVENT_STATUS.COMPLETED]: [],
+    [EVENT_STATUS.CANCELLED]: []
+};
+
+export const MAX_CANCELLATION_REASON_LENGTH = 500;
+
+/**
+ * Whether an event may move from one status to another; events without a status are upcoming
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @returns {boolean}
+ */
+export const canChangeEventStatus = (from, to) =>
+    (EVENT_STATUS_TRANSITIONS[from || EVENT_STATUS.UPCOMING] || []).includes(to);
+
+/**
+ * Validate the reason given for cancelling an event; it is sent to every registered family
+ * @param {string} reason - Cancellation reason
+ * @param {Function} t - Optional translation function
+ * @returns {Object} { isValid, errors }
+ */
+export const validateCancellationReason = (reason, t) => {
+    const translate = (key, fallback) => (t ? t(key, fallback) : fallback);
+    const errors = {};
+    const trimmed = (reason || '').trim();
+
+    if (!trimmed) {
+        errors.reason = translate('events.cancel.reasonRequired', 'Enter the reason for cancelling');
+    } else if (trimmed.length > MAX_CANCELLATION_REASON_LENGTH) {
+        errors.reason = translate('events.cancel.reasonTooLong', 'Keep the reason under 500 characters');
+    }
+
+    return { isValid: Object.keys(errors).length === 0, errors };
+};
+
 // Function to validate event scheduling conflicts
 export const checkEventConflicts = async (date, time, location, excludeEventId = null) => {
     try {
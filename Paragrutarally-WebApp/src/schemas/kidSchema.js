@@ -6,6 +6,34 @@ import { Timestamp } from 'firebase/firestore';
  * Updated to use single vehicle assignment (vehicleId) instead of array (vehicleIds)
  */
 
+// Driving needs, matched against vehicle characteristics by utils/vehicleMatchUtils.js
+export const STEERING_ABILITY = {
+    INDEPENDENT: 'independent',
+    LIMITED: 'limited', // Steers, but only a light (power-assisted) wheel
+    NONE: 'none' // Cannot steer; an adult drives with the remote control
+};
+
+// Ordered from least to most support, so a seat covers every level before its own
+export const SEATING_SUPPORT = {
+    STANDARD: 'standard',
+    LATERAL: 'lateral', // Side supports or a harness
+    FULL: 'full' // Moulded seat with head and trunk support
+};
+
+export const SEATING_SUPPORT_LEVELS = Object.values(SEATING_SUPPORT);
+
+export const getSteeringAbilityOptions = (t) => [
+    { value: STEERING_ABILITY.INDEPENDENT, label: t('needs.steering.independent', 'Steers independently') },
+    { value: STEERING_ABILITY.LIMITED, label: t('needs.steering.limited', 'Steers with a light wheel only') },
+    { value: STEERING_ABILITY.NONE, label: t('needs.steering.none', 'Cannot steer') }
+];
+
+export const getSeatingSupportOptions = (t) => [
+    { value: SEATING_SUPPORT.STANDARD, label: t('needs.seating.standard', 'Standard seat') },
+    { value: SEATING_SUPPORT.LATERAL, label: t('needs.seating.lateral', 'Side supports or harness') },
+    { value: SEATING_SUPPORT.FULL, label: t('needs.seating.full', 'Full postural support') }
+];
+
 // Default/empty kid object
 export const createEmptyKid = () => ({
     // Basic identifiers
@@ -49,6 +77,23 @@ export const createEmptyKid = () => ({
     teamId: '', // Reference to team document
     vehicleId: '', // Single vehicle assignment from team's available vehicles
 
+    // Driving needs ('' = not assessed yet)
+    needs: {
+        steeringAbility: '', // Values from STEERING_ABILITY
+        seatingSupport: '', // Values from SEATING_SUPPORT
+        remoteOverrideRequired: false // An adult must be able to take over with the remote control
+    },
+
+    // Seasons
+    seasonIds: [], // Seasons the kid is enrolled in
+    seasonEnrollments: {}, // { [seasonId]: { status: 'invited' | 'enrolled' | 'declined', ... } }
+
+    // Alumni - archived kids keep their record and race number but leave rosters and vehicles
+    archived: false,
+    archivedAt: null,
+    archivedBy: null,
+    archivedFrom: null, // { teamId, vehicleId } held when the kid was archived
+
     // Status and Forms
     signedDeclaration: false,
     signedFormStatus: 'pending', // 'pending', 'completed', 'needs_review', 'canceled'
@@ -205,6 +250,16 @@ export const validateKid = (kidData, t = null) => {
         }
     }
 
+    // Validate driving needs
+    const steeringAbility = kidData.needs?.steeringAbility;
+    if (steeringAbility && !Object.values(STEERING_ABILITY).includes(steeringAbility)) {
+        errors['needs.steeringAbility'] = translate('validation.steeringAbilityInvalid', 'Choose a steering ability from the list');
+    }
+    const seatingSupport = kidData.needs?.seatingSupport;
+    if (seatingSupport && !SEATING_SUPPORT_LEVELS.includes(seatingSupport)) {
+        errors['needs.seatingSupport'] = translate('validation.seatingSupportInvalid', 'Choose a seating support level from the list');
+    }
+
     // Validate max lengths - FIXED VERSION
     Object.entries(kidValidationRules.maxLength).forEach(([field, maxLength]) => {
         const value = getNestedValue(kidData, field);
@@ -314,6 +369,9 @@ export const convertFirestoreToKid = (doc) => {
     if (mergedData.updatedAt?.toDate) {
         mergedData.updatedAt = mergedData.updatedAt.toDate();
     }
+    if (mergedData.archivedAt?.toDate) {
+        mergedData.archivedAt = mergedData.archivedAt.toDate();
+    }
 
     return mergedData;
 };
@@ -342,6 +400,13 @@ export const getKidFullName = (kid, t = null) => {
     return 'Unnamed Kid';
 };
 
+/**
+ * Check whether a kid has been archived (alumni)
+ * @param {Object} kid - Kid object
+ * @returns {boolean}
+ */
+export const isKidArchived = (kid) => kid?.archived === true;
+
 /**
  * Get kid's age from date of birth
  * @param {Object} kid - Kid object
@@ -381,7 +446,10 @@ export default {
     convertFirestoreToKid,
     getKidFullName,
     getKidAge,
+    isKidArchived,
     getFormStatusInfo,
     getFormStatusOptions,
+    getSteeringAbilityOptions,
+    getSeatingSupportOptions,
     kidValidationRules
 };
\ No newline at end of file
@@ -0,0 +1,258 @@
+// src/schemas/medicalProfileSchema.js - Structured medical and emergency profile of a kid
+
+/**
+ * Medical Profile Schema Definition
+ * Stored in kidMedicalProfiles/{kidId} rather than on the kid document, because hosts can read
+ * kid documents and Firestore cannot hide single fields. Only admins and the instructors of the
+ * kid's team can read it (see canViewMedicalProfile in usePermissions and PermissionService).
+ */
+
+export const ALLERGY_SEVERITY = {
+    MILD: 'mild',
+    MODERATE: 'moderate',
+    SEVERE: 'severe'
+};
+
+export const TRANSFER_ASSISTANCE = {
+    NONE: 'none',
+    STANDBY: 'standby',
+    ONE_PERSON: 'one_person',
+    TWO_PERSON: 'two_person',
+    HOIST: 'hoist'
+};
+
+export const MOBILITY_AIDS = [
+    'manual_wheelchair',
+    'power_wheelchair',
+    'walker',
+    'crutches',
+    'orthoses',
+    'prosthesis',
+    'other'
+];
+
+export const MAX_EMERGENCY_CONTACTS = 5;
+
+export const getAllergySeverityOptions = (t) => [
+    { value: ALLERGY_SEVERITY.MILD, label: t('medicalProfile.severity.mild', 'Mild') },
+    { value: ALLERGY_SEVERITY.MODERATE, label: t('medicalProfile.severity.moderate', 'Moderate') },
+    { value: ALLERGY_SEVERITY.SEVERE, label: t('medicalProfile.severity.severe', 'Severe (anaphylaxis)') }
+];
+
+export const getTransferAssistanceOptions = (t) => [
+    { value: TRANSFER_ASSISTANCE.NONE, label: t('medicalProfile.assistance.none', 'Gets in and out alone') },
+    { value: TRANSFER_ASSISTANCE.STANDBY, label: t('medicalProfile.assistance.standby', 'Needs someone standing by') },
+    { value: TRANSFER_ASSISTANCE.ONE_PERSON, label: t('medicalProfile.assistance.one_person', 'One-person lift') },
+    { value: TRANSFER_ASSISTANCE.TWO_PERSON, label: t('medicalProfile.assistance.two_person', 'Two-person lift') },
+    { value: TRANSFER_ASSISTANCE.HOIST, label: t('medicalProfile.assistance.hoist', 'Hoist') }
+];
+
+export const getMobilityAidOptions = (t) => [
+    { value: 'manual_wheelchair', label: t('medicalProfile.aids.manual_wheelchair', 'Manual wheelchair') },
+    { value: 'power_wheelchair', label: t('medicalProfile.aids.power_wheelchair', 'Power wheelchair') },
+    { value: 'walker', label: t('medicalProfile.aids.walker', 'Walker') },
+    { value: 'crutches', label: t('medicalProfile.aids.crutches', 'Crutches') },
+    { value: 'orthoses', label: t('medicalProfile.aids.orthoses', 'Orthoses') },
+    { value: 'prosthesis', label: t('medicalProfile.aids.prosthesis', 'Prosthesis') },
+    { value: 'other', label: t('medicalProfile.aids.other', 'Other') }
+];
+
+export const createEmptyAllergy = () => ({
+    allergen: '',
+    reaction: '',
+    severity: ALLERGY_SEVERITY.MODERATE
+});
+
+export const createEmptyMedication = () => ({
+    name: '',
+    dosage: '',
+    schedule: '', // e.g. "08:00 and 20:00", "before driving"
+    notes: ''
+});
+
+// Emergency contacts are kept in the order they should be called
+export const createEmptyEmergencyContact = () => ({
+    name: '',
+    relationship: '',
+    phone: ''
+});
+
+// Default/empty medical profile
+export const createEmptyMedicalProfile = () => ({
+    allergies: [],
+    medications: [],
+
+    seizureProtocol: {
+        hasSeizures: false,
+        description: '', // What a seizure looks like for this kid
+        triggers: '',
+        actions: '', // What to do, step by step
+        rescueMedication: '',
+        callAmbulanceAfterMinutes: ''
+    },
+
+    mobilityAids: [], // Values from MOBILITY_AIDS
+    mobilityNotes: '',
+
+    transferNeeds: {
+        assistance: TRANSFER_ASSISTANCE.NONE,
+        notes: '' // How to move the kid in and out of the vehicle
+    },
+
+    emergencyContacts: [],
+
+    additionalNotes: '',
+
+    // Timestamps (auto-generated)
+    updatedAt: null,
+    updatedBy: null
+});
+
+const maxLengths = {
+    allergen: 100,
+    reaction: 200,
+    medicationName: 100,
+    dosage: 100,
+    schedule: 200,
+    medicationNotes: 300,
+    seizureText: 1000,
+    rescueMedication: 200,
+    mobilityNotes: 500,
+    transferNotes: 500,
+    contactName: 100,
+    relationship: 50,
+    additionalNotes: 1000
+};
+
+const trim = (value) => (typeof value === 'string' ? value.trim() : value ?? '');
+
+const isBlankRow = (row, keys) => keys.every(key => !trim(row?.[key]));
+
+/**
+ * Trim text and drop rows that were added but left empty
+ * @param {Object} profile - Profile as edited in the form
+ * @returns {Object} - Profile ready to validate and save
+ */
+export const cleanMedicalProfile = (profile = {}) => {
+    const empty = createEmptyMedicalProfile();
+    const trimRow = (row) => Object.fromEntries(Object.entries(row).map(([key, value]) => [key, trim(value)]));
+
+    return {
+        allergies: (profile.allergies || [])
+            .filter(row => !isBlankRow(row, ['allergen', 'reaction']))
+            .map(row => trimRow({ ...createEmptyAllergy(), ...row })),
+        medications: (profile.medications || [])
+            .filter(row => !isBlankRow(row, ['name', 'dosage', 'schedule', 'notes']))
+            .map(row => trimRow({ ...createEmptyMedication(), ...row })),
+        seizureProtocol: {
+            ...trimRow({ ...empty.seizureProtocol, ...profile.seizureProtocol }),
+            hasSeizures: profile.seizureProtocol?.hasSeizures === true
+        },
+        mobilityAids: [...new Set(profile.mobilityAids || [])],
+        mobilityNotes: trim(profile.mobilityNotes),
+        transferNeeds: trimRow({ ...empty.transferNeeds, ...profile.transferNeeds }),
+        emergencyContacts: (profile.emergencyContacts || [])
+            .filter(row => !isBlankRow(row, ['name', 'relationship', 'phone']))
+            .map(row => trimRow({ ...createEmptyEmergencyContact(), ...row })),
+        additionalNotes: trim(profile.additionalNotes)
+    };
+};
+
+/**
+ * Validate a medical profile
+ * Error keys are field paths, with the row index for list entries ('emergencyContacts.0.phone').
+ * @param {Object} profile - Profile from cleanMedicalProfile
+ * @param {Function} t - Translation function (optional)
+ * @returns {Object} - { isValid: boolean, errors: {} }
+ */
+export const validateMedicalProfile = (profile, t = null) => {
+    const translate = (key, fallback, interpolations = {}) => (t ? t(key, fallback, interpolations) : fallback);
+    const errors = {};
+
+    const checkLength = (path, value, max) => {
+        if (value && value.length > max) {
+            errors[path] = translate('medicalProfile.validation.tooLong', 'Must be no more than {max} characters', { max });
+        }
+    };
+
+    profile.allergies.forEach((allergy, index) => {
+        if (!allergy.allergen) {
+            errors[`allergies.${index}.allergen`] = translate('medicalProfile.validation.allergenRequired', 'Enter what the kid is allergic to');
+        }
+        if (!Object.values(ALLERGY_SEVERITY).includes(allergy.severity)) {
+            errors[`allergies.${index}.severity`] = translate('medicalProfile.validation.severityInvalid', 'Choose a severity');
+        }
+        checkLength(`allergies.${index}.allergen`, allergy.allergen, maxLengths.allergen);
+        checkLength(`allergies.${index}.reaction`, allergy.reaction, maxLengths.reaction);
+    });
+
+    profile.medications.forEach((medication, index) => {
+        if (!medication.name) {
+            errors[`medications.${index}.name`] = translate('medicalProfile.validation.medicationRequired', 'Enter the medication name');
+        }
+        checkLength(`medications.${index}.name`, medication.name, maxLengths.medicationName);
+        checkLength(`medications.${index}.dosage`, medication.dosage, maxLengths.dosage);
+        checkLength(`medications.${index}.schedule`, medication.schedule, maxLengths.schedule);
+        checkLength(`medications.${index}.notes`, medication.notes, maxLengths.medicationNotes);
+    });
+
+    const seizure = profile.seizureProtocol;
+    if (seizure.hasSeizures) {
+        if (!seizure.actions) {
+            errors['seizureProtocol.actions'] = translate('medicalProfile.validation.seizureActionsRequired', 'Describe what to do during a seizure');
+        }
+        const minutes = seizure.callAmbulanceAfterMinutes;
+        if (minutes !== '' && !(Number.isInteger(Number(minutes)) && Number(minutes) > 0)) {
+            errors['seizureProtocol.callAmbulanceAfterMinutes'] = translate('medicalProfile.validation.minutesInvalid', 'Enter a whole number of minutes');
+        }
+    }
+    ['description', 'triggers', 'actions'].forEach(key => {
+        checkLength(`seizureProtocol.${key}`, seizure[key], maxLengths.seizureText);
+    });
+    checkLength('seizureProtocol.rescueMedication', seizure.rescueMedication, maxLengths.rescueMedication);
+
+    if (profile.mobilityAids.some(aid => !MOBILITY_AIDS.includes(aid))) {
+        errors.mobilityAids = translate('medicalProfile.validation.mobilityAidInvalid', 'Unknown mobility aid');
+    }
+    checkLength('mobilityNotes', profile.mobilityNotes, maxLengths.mobilityNotes);
+
+    if (!Object.values(TRANSFER_ASSISTANCE).includes(profile.transferNeeds.assistance)) {
+        errors['transferNeeds.assistance'] = translate('medicalProfile.validation.assistanceInvalid', 'Choose the transfer assistance needed');
+    }
+    checkLength('transferNeeds.notes', profile.transferNeeds.notes, maxLengths.transferNotes);
+
+    if (profile.emergencyContacts.length === 0) {
+        errors.emergencyContacts = translate('medicalProfile.validation.contactRequired', 'Add at least one emergency contact');
+    } else if (profile.emergencyContacts.length > MAX_EMERGENCY_CONTACTS) {
+        errors.emergencyContacts = translate('medicalProfile.validation.tooManyContacts', 'Add no more than {max} emergency contacts', { max: MAX_EMERGENCY_CONTACTS });
+    }
+    profile.emergencyContacts.forEach((contact, index) => {
+        if (!contact.name) {
+            errors[`emergencyContacts.${index}.name`] = translate('medicalProfile.validation.contactNameRequired', 'Enter the contact name');
+        }
+        if (!contact.phone) {
+            errors[`emergencyContacts.${index}.phone`] = translate('medicalProfile.validation.contactPhoneRequired', 'Enter the contact phone');
+        } else {
+            // Emergency contacts may live abroad, so any 9 to 15 digit number is accepted
+            const digits = contact.phone.replace(/\D/g, '');
+            if (!/^\+?[\d\s\-()]+$/.test(contact.phone) || digits.length < 9 || digits.length > 15) {
+                errors[`emergencyContacts.${index}.phone`] = translate('medicalProfile.validation.phoneInvalid', 'Enter a valid phone number');
+            }
+        }
+        checkLength(`emergencyContacts.${index}.name`, contact.name, maxLengths.contactName);
+        checkLength(`emergencyContacts.${index}.relationship`, contact.relationship, maxLengths.relationship);
+    });
+
+    checkLength('additionalNotes', profile.additionalNotes, maxLengths.additionalNotes);
+
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+};
+
+export default {
+    createEmptyMedicalProfile,
+    cleanMedicalProfile,
+    validateMedicalProfile
+};
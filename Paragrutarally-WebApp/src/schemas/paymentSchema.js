@@ -0,0 +1,275 @@
+// src/schemas/paymentSchema.js - Event fees: what each registration owes, what families paid and their balances
+
+/**
+ * Payment Ledger Schema Definition
+ * eventCharges holds one document per registration (id from getRegistrationId) with the amount due,
+ * worked out from the event's price and currency, less the sibling and hardship discounts. The
+ * amounts are kept on the charge and only move when an admin updates the event's dues.
+ * eventPayments holds the payments, one document per payment by a family for an event. Payments are
+ * never deleted; a mistaken one is voided and no longer counts.
+ * A family is the kid's first parent account (getFamilyId), so siblings share a balance.
+ */
+
+import { REGISTRATION_STATUS } from './eventRegistrationSchema';
+
+export const PAYMENT_METHODS = {
+    CASH: 'cash',
+    BANK_TRANSFER: 'bankTransfer',
+    BIT: 'bit',
+    ONLINE: 'online' // taken by the payment provider, see services/paymentProviders.js
+};
+
+// Methods an admin records by hand, each with a receipt number
+export const MANUAL_PAYMENT_METHODS = [PAYMENT_METHODS.CASH, PAYMENT_METHODS.BANK_TRANSFER, PAYMENT_METHODS.BIT];
+
+export const CURRENCIES = ['ILS', 'USD', 'EUR'];
+export const DEFAULT_CURRENCY = 'ILS';
+
+const hasValue = (value) => value !== '' && value !== null && value !== undefined;
+
+/**
+ * Round to whole agorot/cents
+ * @param {number} amount - Amount
+ * @returns {number}
+ */
+export const roundAmount = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+// Default pricing of a new event; no price means the event is free
+export const createDefaultPaymentSettings = () => ({
+    price: '',
+    currency: DEFAULT_CURRENCY,
+    siblingDiscountPercent: '' // off the second and later kids of a family
+});
+
+/**
+ * Validate the pricing of an event
+ * @param {Object} settings - Pricing from the event form
+ * @param {Function} t - Translation function (optional)
+ * @returns {Object} - { isValid: boolean, errors: {} }
+ */
+export const validatePaymentSettings = (settings, t = null) => {
+    const translate = (key, fallback) => (t ? t(key, fallback) : fallback);
+    const errors = {};
+
+    if (hasValue(settings.price) && !(Number(settings.price) >= 0)) {
+        errors.price = translate('payments.validation.priceInvalid', 'The price must be a positive amount');
+    }
+    if (hasValue(settings.price) && !CURRENCIES.includes(settings.currency)) {
+        errors.currency = translate('payments.validation.currencyInvalid', 'Choose a currency');
+    }
+    if (hasValue(settings.siblingDiscountPercent)) {
+        const percent = Number(settings.siblingDiscountPercent);
+        if (!(percent >= 0 && percent <= 100)) {
+            errors.siblingDiscountPercent = translate('payments.validation.percentInvalid', 'Enter a percentage between 0 and 100');
+        }
+    }
+
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+};
+
+/**
+ * Pricing as stored on the event
+ * @param {Object} settings - Pricing from the event form
+ * @returns {Object}
+ */
+export const cleanPaymentSettings = (settings) => ({
+    price: hasValue(settings.price) ? roundAmount(settings.price) : null,
+    currency: hasValue(settings.price) ? settings.currency || DEFAULT_CURRENCY : null,
+    siblingDiscountPercent: hasValue(settings.siblingDiscountPercent) ? Number(settings.siblingDiscountPercent) : 0
+});
+
+/**
+ * Does the event charge a fee?
+ * @param {Object} event - Event
+ * @returns {boolean}
+ */
+export const isPaidEvent = (event) => Number(event?.price) > 0;
+
+/**
+ * The family that pays for a kid: the kid's first parent account, or the kid alone when it has none
+ * @param {Object} kid - Kid
+ * @returns {string}
+ */
+export const getFamilyId = (kid) => {
+    const parentInfo = kid?.parentInfo || {};
+    const parentId = (Array.isArray(parentInfo.parentIds) && parentInfo.parentIds[0]) || parentInfo.parentId;
+    return parentId || `kid-${kid?.id}`;
+};
+
+/**
+ * Amount due for one registration
+ * @param {number} price - Event price
+ * @param {Object} discounts - { siblingDiscountPercent, hardshipPercent }, sibling first, hardship off the rest
+ * @returns {Object} - { basePrice, siblingDiscount, hardshipDiscount, amountDue }
+ */
+export const calculateAmountDue = (price, { siblingDiscountPercent = 0, hardshipPercent = 0 } = {}) => {
+    const basePrice = roundAmount(price);
+    const siblingDiscount = roundAmount(basePrice * (Number(siblingDiscountPercent) || 0) / 100);
+    const hardshipDiscount = roundAmount((basePrice - siblingDiscount) * (Number(hardshipPercent) || 0) / 100);
+    return {
+        basePrice,
+        siblingDiscount,
+        hardshipDiscount,
+        amountDue: roundAmount(basePrice - siblingDiscount - hardshipDiscount)
+    };
+};
+
+const registeredAtMillis = (registration) => {
+    const value = registration.registeredAt;
+    return value?.getTime ? value.getTime() : 0;
+};
+
+/**
+ * Work out the charges of an event from its registered kids. The first kid of a family to register
+ * pays the full price and later siblings get the event's sibling discount; hardship discounts set
+ * by an admin carry over from the existing charges. Charges of kids that are no longer registered
+ * drop to zero but stay, as the family may already have paid.
+ * @param {Object} event - Event, with id, price, currency and siblingDiscountPercent
+ * @param {Array} registrations - The event's registrations, { id, kidId, status, registeredAt }
+ * @param {Object} kidsById - Kids by ID
+ * @param {Array} existingCharges - Charges already stored for the event
+ * @returns {Array} - Charges, one per registered kid plus the dropped ones
+ */
+export const buildEventCharges = (event, registrations, kidsById, existingCharges = []) => {
+    const existingById = Object.fromEntries(existingCharges.map(charge => [charge.id, charge]));
+    const currency = event.currency || DEFAULT_CURRENCY;
+    const siblingsSeen = {};
+
+    const charges = registrations
+        .filter(registration => registration.status === REGISTRATION_STATUS.REGISTERED)
+        .sort((a, b) => registeredAtMillis(a) - registeredAtMillis(b) || a.kidId.localeCompare(b.kidId))
+        .map(registration => {
+            const kid = kidsById[registration.kidId] || { id: registration.kidId };
+            const familyId = getFamilyId(kid);
+            const isSibling = Boolean(siblingsSeen[familyId]);
+            siblingsSeen[familyId] = true;
+
+            const hardshipPercent = existingById[registration.id]?.hardshipPercent || 0;
+            return {
+                id: registration.id,
+                eventId: event.id,
+                kidId: registration.kidId,
+                familyId,
+                familyName: kid.parentInfo?.name || '',
+                currency,
+                isSibling,
+                hardshipPercent,
+                ...calculateAmountDue(event.price, {
+                    siblingDiscountPercent: isSibling ? event.siblingDiscountPercent : 0,
+                    hardshipPercent
+                })
+            };
+        });
+
+    const chargedIds = new Set(charges.map(charge => charge.id));
+    const dropped = existingCharges
+        .filter(charge => !chargedIds.has(charge.id))
+        .map(charge => ({ ...charge, basePrice: 0, siblingDiscount: 0, hardshipDiscount: 0, amountDue: 0 }));
+
+    return [...charges, ...dropped];
+};
+
+const CHARGE_FIELDS = ['familyId', 'currency', 'isSibling', 'hardshipPercent', 'basePrice', 'siblingDiscount', 'hardshipDiscount', 'amountDue'];
+
+/**
+ * Has a charge changed from the stored one? Used to save only what moved.
+ * @param {Object} charge - Charge from buildEventCharges
+ * @param {Object} stored - Stored charge, if any
+ * @returns {boolean}
+ */
+export const isChargeChanged = (charge, stored) =>
+    !stored || CHARGE_FIELDS.some(field => charge[field] !== stored[field]);
+
+/**
+ * Validate a payment before recording it
+ * @param {Object} payment - Payment from the form
+ * @param {Function} t - Translation function (optional)
+ * @returns {Object} - { isValid: boolean, errors: {} }
+ */
+export const validatePayment = (payment, t = null) => {
+    const translate = (key, fallback) => (t ? t(key, fallback) : fallback);
+    const errors = {};
+
+    if (!payment.familyId) {
+        errors.familyId = translate('payments.validation.family', 'Choose a family');
+    }
+    if (!(Number(payment.amount) > 0)) {
+        errors.amount = translate('payments.validation.amount', 'Enter an amount above zero');
+    }
+    if (!Object.values(PAYMENT_METHODS).includes(payment.method)) {
+        errors.method = translate('payments.validation.method', 'Choose how it was paid');
+    }
+    if (MANUAL_PAYMENT_METHODS.includes(payment.method) && !(payment.receiptNumber || '').trim()) {
+        errors.receiptNumber = translate('payments.validation.receiptNumber', 'Enter the receipt number');
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(payment.paidOn || '')) {
+        errors.paidOn = translate('payments.validation.paidOn', 'Enter the payment date');
+    }
+
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+};
+
+/**
+ * Outstanding balance of each family: charges less the payments that were not voided.
+ * Amounts in different currencies are kept apart.
+ * @param {Array} charges - Charges
+ * @param {Array} payments - Payments
+ * @returns {Array} - { familyId, familyName, currency, kidIds, due, paid, balance }, largest balance first
+ */
+export const getFamilyBalances = (charges, payments) => {
+    const balances = {};
+    const balanceOf = (entry) => {
+        const currency = entry.currency || DEFAULT_CURRENCY;
+        const key = `${entry.familyId}|${currency}`;
+        if (!balances[key]) {
+            balances[key] = { familyId: entry.familyId, familyName: '', currency, kidIds: [], due: 0, paid: 0, balance: 0 };
+        }
+        if (entry.familyName && !balances[key].familyName) {
+            balances[key].familyName = entry.familyName;
+        }
+        return balances[key];
+    };
+
+    charges.forEach(charge => {
+        const balance = balanceOf(charge);
+        balance.due = roundAmount(balance.due + (Number(charge.amountDue) || 0));
+        if (charge.amountDue > 0 && !balance.kidIds.includes(charge.kidId)) {
+            balance.kidIds.push(charge.kidId);
+        }
+    });
+    payments.filter(payment => !payment.voided).forEach(payment => {
+        const balance = balanceOf(payment);
+        balance.paid = roundAmount(balance.paid + (Number(payment.amount) || 0));
+    });
+
+    return Object.values(balances)
+        .map(balance => ({ ...balance, balance: roundAmount(balance.due - balance.paid) }))
+        .sort((a, b) => b.balance - a.balance || a.familyName.localeCompare(b.familyName));
+};
+
+/**
+ * Display name of a payment method
+ * @param {string} method - PAYMENT_METHODS value
+ * @param {Function} t - Translation function
+ * @returns {string}
+ */
+export const getPaymentMethodLabel = (method, t) => {
+    switch (method) {
+        case PAYMENT_METHODS.CASH:
+            return t('payments.methods.cash', 'Cash');
+        case PAYMENT_METHODS.BANK_TRANSFER:
+            return t('payments.methods.bankTransfer', 'Bank Transfer');
+        case PAYMENT_METHODS.BIT:
+            return t('payments.methods.bit', 'Bit');
+        case PAYMENT_METHODS.ONLINE:
+            return t('payments.methods.online', 'Online');
+        default:
+            return method || '';
+    }
+};
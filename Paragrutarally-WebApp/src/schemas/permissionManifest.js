@@ -0,0 +1,303 @@
+// src/schemas/permissionManifest.js - Who may see and change which fields
+/**
+ * Permission Manifest
+ * The single source of field-level permissions. usePermissions (and through it ProtectedField),
+ * PermissionService and the generated section of firebase/firestore.rules all read from here.
+ *
+ * Shape: PERMISSION_MANIFEST[role][collection] = { view: [...], edit: [...], enforceInRules }
+ * - Paths use dot notation and cover everything below them
+ *   ('parentInfo.grandparentsInfo' also grants 'parentInfo.grandparentsInfo.phone').
+ * - Which documents a role may touch at all (own kids, own team) is decided by the callers.
+ * - enforceInRules: the rules only accept updates from this role that stay within `edit`.
+ *   Run `npm run rules:permissions` after changing an entry that has it set.
+ *
+ * Kept free of Firebase imports so node scripts can load it.
+ */
+
+const KID_FIELDS = [
+    'participantNumber',
+    'personalInfo.firstName',
+    'personalInfo.lastName',
+    'personalInfo.address',
+    'personalInfo.dateOfBirth',
+    'personalInfo.capabilities',
+    'personalInfo.announcersNotes',
+    'personalInfo.photo',
+    'parentInfo.name',
+    'parentInfo.email',
+    'parentInfo.phone',
+    'parentInfo.parentId',
+    'parentInfo.parentIds',
+    'parentInfo.grandparentsInfo',
+    'comments.parent',
+    'comments.organization',
+    'comments.teamLeader',
+    'comments.familyContact',
+    'instructorId',
+    'teamId',
+    'vehicleId',
+    'needs.steeringAbility',
+    'needs.seatingSupport',
+    'needs.remoteOverrideRequired',
+    'signedDeclaration',
+    'signedFormStatus',
+    'additionalComments',
+    'instructorsComments',
+    'seasonIds',
+    'seasonEnrollments',
+    'archived',
+    'archivedAt',
+    'archivedBy',
+    'archivedFrom',
+    'createdAt',
+    'updatedAt'
+];
+
+const VEHICLE_FIELDS = [
+    'make',
+    'model',
+    'licensePlate',
+    'teamId',
+    'driveType',
+    'steeringType',
+    'batteryType',
+    'batteryDate',
+    'seatingSupport',
+    'remoteOverride',
+    'currentKidIds',
+    'modifications',
+    'notes',
+    'photo',
+    'active',
+    'createdAt',
+    'updatedAt'
+];
+
+// kidMedicalProfiles/{kidId}; which kids a role may see it for is decided by canViewMedicalProfile
+const MEDICAL_PROFILE_FIELDS = [
+    'allergies',
+    'medications',
+    'seizureProtocol',
+    'mobilityAids',
+    'mobilityNotes',
+    'transferNeeds',
+    'emergencyContacts',
+    'additionalNotes',
+    'updatedAt',
+    'updatedBy'
+];
+
+const SYSTEM_FIELDS = ['createdAt', 'updatedAt', 'updatedBy'];
+
+export const PERMISSION_COLLECTIONS = {
+    kids: KID_FIELDS,
+    vehicles: VEHICLE_FIELDS,
+    kidMedicalProfiles: MEDICAL_PROFILE_FIELDS
+};
+
+export const PERMISSION_MANIFEST = {
+    admin: {
+        kids: {
+            view: KID_FIELDS,
+            edit: KID_FIELDS.filter(field => !SYSTEM_FIELDS.includes(field))
+        },
+        vehicles: {
+            view: VEHICLE_FIELDS,
+            edit: VEHICLE_FIELDS.filter(field => !SYSTEM_FIELDS.includes(field))
+        },
+        kidMedicalProfiles: {
+            view: MEDICAL_PROFILE_FIELDS,
+            edit: MEDICAL_PROFILE_FIELDS.filter(field => !SYSTEM_FIELDS.includes(field))
+        }
+    },
+
+    instructor: {
+        // Kids on the instructor's team
+        kids: {
+            view: [
+                'participantNumber',
+                'personalInfo.firstName',
+                'personalInfo.lastName',
+                'personalInfo.dateOfBirth',
+                'personalInfo.capabilities',
+                'personalInfo.announcersNotes',
+                'parentInfo.name',
+                'parentInfo.phone',
+                'instructorId',
+                'teamId',
+                'vehicleId',
+                'needs.steeringAbility',
+                'needs.seatingSupport',
+                'needs.remoteOverrideRequired',
+                'signedFormStatus',
+                'additionalComments',
+                'comments.organization',
+                'comments.teamLeader',
+                'instructorsComments',
+                'seasonIds',
+                'archived'
+            ],
+            edit: [
+                'personalInfo.capabilities',
+                'personalInfo.announcersNotes',
+                'comments.teamLeader',
+                'instructorsComments',
+                'vehicleId',
+                'needs.steeringAbility',
+                'needs.seatingSupport',
+                'needs.remoteOverrideRequired'
+            ]
+        },
+        vehicles: {
+            view: VEHICLE_FIELDS,
+            edit: ['driveType', 'steeringType', 'batteryType', 'batteryDate', 'seatingSupport', 'remoteOverride', 'modifications', 'notes']
+        },
+        // Read-only, for race day; admins keep it up to date
+        kidMedicalProfiles: {
+            view: MEDICAL_PROFILE_FIELDS,
+            edit: []
+        }
+    },
+
+    parent: {
+        // The parent's own kids. ParentKidEditModal saves whole documents, so the rules
+        // still check ownership only.
+        kids: {
+            view: [
+                'participantNumber',
+                'personalInfo.firstName',
+                'personalInfo.lastName',
+                'personalInfo.address',
+                'personalInfo.dateOfBirth',
+                'personalInfo.capabilities',
+                'personalInfo.announcersNotes',
+                'personalInfo.photo',
+                'parentInfo.name',
+                'parentInfo.email',
+                'parentInfo.phone',
+                'parentInfo.grandparentsInfo',
+                'comments.parent',
+                'teamId',
+                'signedDeclaration',
+                'signedFormStatus',
+                'additionalComments',
+                'seasonIds',
+                'seasonEnrollments',
+                'archived'
+            ],
+            edit: [
+                'personalInfo.address',
+                'personalInfo.announcersNotes',
+                'personalInfo.photo',
+                'parentInfo.phone',
+                'parentInfo.grandparentsInfo',
+                'comments.parent',
+                // Answering a season re-enrollment invitation
+                'seasonIds',
+                'seasonEnrollments'
+            ]
+        },
+        vehicles: {
+            view: ['make', 'model', 'licensePlate', 'photo'],
+            edit: []
+        },
+        kidMedicalProfiles: {
+            view: [],
+            edit: []
+        }
+    },
+
+    host: {
+        // Event hosts see the kids taking part and leave organization notes
+        kids: {
+            view: [
+                'participantNumber',
+                'personalInfo.firstName',
+                'personalInfo.lastName',
+                'personalInfo.capabilities',
+                'personalInfo.announcersNotes',
+                'comments.organization',
+                'teamId',
+                'signedFormStatus',
+                'additionalComments'
+            ],
+            edit: ['comments.organization'],
+            enforceInRules: true
+        },
+        vehicles: {
+            view: ['make', 'model'],
+            edit: []
+        },
+        kidMedicalProfiles: {
+            view: [],
+            edit: []
+        }
+    }
+};
+
+// Users without a known role get the most restricted view
+const FALLBACK_ROLE = 'host';
+
+// Older names for kid fields that some callers still use
+export const FIELD_ALIASES = {
+    firstName: 'personalInfo.firstName',
+    lastName: 'personalInfo.lastName',
+    address: 'personalInfo.address',
+    dateOfBirth: 'personalInfo.dateOfBirth',
+    guardianName: 'parentInfo.name',
+    email: 'parentInfo.email',
+    contactNumber: 'parentInfo.phone',
+    notes: 'comments.parent',
+    instructorComments: 'instructorsComments',
+    vehicleIds: 'vehicleId'
+};
+
+const VEHICLE_FIELD_PREFIX = 'vehicle.';
+
+/**
+ * Resolve a field path as used by the UI to the collection and path in the manifest.
+ * Kid-page paths of the form 'vehicle.make' refer to the assigned vehicle.
+ * @param {string} fieldPath
+ * @param {string} collection - Collection to use when the path has no prefix
+ * @returns {{collection: string, path: string}}
+ */
+export const resolveFieldPath = (fieldPath, collection = 'kids') => {
+    if (collection !== 'kids') {
+        return { collection, path: fieldPath };
+    }
+    if (fieldPath.startsWith(VEHICLE_FIELD_PREFIX)) {
+        return { collection: 'vehicles', path: fieldPath.slice(VEHICLE_FIELD_PREFIX.length) };
+    }
+    return { collection, path: FIELD_ALIASES[fieldPath] || fieldPath };
+};
+
+/**
+ * True when a granted path covers the requested one (itself or anything below it)
+ */
+export const pathCovers = (grantedPath, requestedPath) =>
+    requestedPath === grantedPath || requestedPath.startsWith(`${grantedPath}.`);
+
+/**
+ * Get the manifest entry for a role and collection
+ * @param {string} role
+ * @param {string} collection
+ * @returns {{view: string[], edit: string[], enforceInRules?: boolean}}
+ */
+export const getFieldPermissions = (role, collection = 'kids') => {
+    const roleEntry = PERMISSION_MANIFEST[role] || PERMISSION_MANIFEST[FALLBACK_ROLE];
+    return roleEntry[collection] || { view: [], edit: [] };
+};
+
+export const canRoleViewField = (role, fieldPath, collection = 'kids') => {
+    if (typeof fieldPath !== 'string') return false;
+    const resolved = resolveFieldPath(fieldPath, collection);
+    return getFieldPermissions(role, resolved.collection).view
+        .some(granted => pathCovers(granted, resolved.path));
+};
+
+export const canRoleEditField = (role, fieldPath, collection = 'kids') => {
+    if (typeof fieldPath !== 'string') return false;
+    const resolved = resolveFieldPath(fieldPath, collection);
+    return getFieldPermissions(role, resolved.collection).edit
+        .some(granted => pathCovers(granted, resolved.path));
+};
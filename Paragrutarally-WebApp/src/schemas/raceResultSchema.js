@@ -0,0 +1,211 @@
+// src/schemas/raceResultSchema.js - Race results per kid and event, leaderboards and season standings
+
+/**
+ * Race Result Schema Definition
+ * One document per kid and race in raceResults, with the id from getRaceResultId.
+ * A result holds the kid's heat, finish position in that heat and lap times, plus any
+ * awards, which are free-form categories ("Best smile") rather than a fixed list.
+ */
+
+// Season standings points by finish position in the heat; every other finisher gets PARTICIPATION_POINTS
+export const POINTS_BY_POSITION = [10, 8, 6, 5, 4, 3, 2, 1];
+export const PARTICIPATION_POINTS = 1;
+
+/**
+ * Result document id; one result per kid and event
+ * @param {string} eventId - Event ID
+ * @param {string} kidId - Kid ID
+ * @returns {string}
+ */
+export const getRaceResultId = (eventId, kidId) => `${eventId}_${kidId}`;
+
+// Default/empty result, as edited on the results page
+export const createEmptyRaceResult = () => ({
+    heatNumber: null,
+    finishPosition: null,
+    lapTimes: [], // seconds
+    didNotFinish: false,
+    awards: [],
+    notes: ''
+});
+
+/**
+ * Suggested award categories; staff can also type their own
+ * @param {Function} t - Translation function
+ * @returns {Array<string>}
+ */
+export const getAwardSuggestions = (t) => [
+    t('results.awards.bestSmile', 'Best Smile'),
+    t('results.awards.mostImproved', 'Most Improved'),
+    t('results.awards.sportsmanship', 'Great Sportsmanship'),
+    t('results.awards.teamSpirit', 'Team Spirit'),
+    t('results.awards.bravestDriver', 'Bravest Driver')
+];
+
+/**
+ * Read a lap time typed at the track
+ * @param {string} value - "1:05.3", "65.3" or "65"
+ * @returns {number|null} - Seconds, or null when it is not a time
+ */
+export const parseLapTime = (value) => {
+    const match = /^\s*(?:(\d+):)?(\d+(?:[.,]\d+)?)\s*$/.exec(String(value ?? ''));
+    if (!match) return null;
+    const minutes = match[1] ? Number(match[1]) : 0;
+    const seconds = Number(match[2].replace(',', '.'));
+    if (match[1] && seconds >= 60) return null;
+    const total = Math.round((minutes * 60 + seconds) * 1000) / 1000;
+    return total > 0 ? total : null;
+};
+
+/**
+ * Show a lap time
+ * @param {number} seconds - Lap time
+ * @returns {string} - m:ss.s, or ss.s under a minute
+ */
+export const formatLapTime = (seconds) => {
+    if (typeof seconds !== 'number' || !Number.isFinite(seconds)) return '—';
+    const minutes = Math.floor(seconds / 60);
+    const rest = (seconds - minutes * 60).toFixed(1);
+    return minutes > 0 ? `${minutes}:${rest.padStart(4, '0')}` : rest;
+};
+
+/**
+ * Fastest lap of a result
+ * @param {Object} result - Race result
+ * @returns {number|null}
+ */
+export const getBestLap = (result) => {
+    const laps = (result?.lapTimes || []).filter(lap => typeof lap === 'number' && lap > 0);
+    return laps.length > 0 ? Math.min(...laps) : null;
+};
+
+/**
+ * Standings points of one result
+ * @param {Object} result - Race result
+ * @returns {number}
+ */
+export const getResultPoints = (result) => {
+    if (result.didNotFinish || !result.finishPosition) return PARTICIPATION_POINTS;
+    return POINTS_BY_POSITION[result.finishPosition - 1] ?? PARTICIPATION_POINTS;
+};
+
+/**
+ * Validate a result before saving
+ * @param {Object} result - Race result
+ * @param {Function} t - Translation function (optional)
+ * @returns {Object} - { isValid: boolean, errors: {} }
+ */
+export const validateRaceResult = (result, t = null) => {
+    const translate = (key, fallback) => (t ? t(key, fallback) : fallback);
+    const errors = {};
+    const isPositiveWhole = (value) => Number.isInteger(Number(value)) && Number(value) >= 1;
+
+    if (result.finishPosition !== null && result.finishPosition !== '' && !isPositiveWhole(result.finishPosition)) {
+        errors.finishPosition = translate('results.validation.position', 'Position must be 1 or more');
+    }
+    if (result.heatNumber !== null && result.heatNumber !== '' && !isPositiveWhole(result.heatNumber)) {
+        errors.heatNumber = translate('results.validation.heat', 'Heat must be 1 or more');
+    }
+    if ((result.lapTimes || []).some(lap => typeof lap !== 'number' || !(lap > 0))) {
+        errors.lapTimes = translate('results.validation.lapTimes', 'Lap times must be positive numbers of seconds');
+    }
+    if ((result.awards || []).some(award => typeof award !== 'string' || !award.trim() || award.length > 60)) {
+        errors.awards = translate('results.validation.awards', 'Awards must be 1 to 60 characters');
+    }
+
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+};
+
+/**
+ * Result as stored: numbers or null, trimmed unique awards, no position after a DNF
+ * @param {Object} result - Race result from the form
+ * @returns {Object}
+ */
+export const cleanRaceResult = (result) => {
+    const toNumber = (value) => (value === null || value === '' || value === undefined ? null : Number(value));
+    return {
+        heatNumber: toNumber(result.heatNumber),
+        finishPosition: result.didNotFinish ? null : toNumber(result.finishPosition),
+        lapTimes: (result.lapTimes || []).map(Number),
+        didNotFinish: Boolean(result.didNotFinish),
+        awards: [...new Set((result.awards || []).map(award => award.trim()).filter(Boolean))],
+        notes: (result.notes || '').trim()
+    };
+};
+
+const compareBestLaps = (a, b) => (a ?? Infinity) - (b ?? Infinity);
+
+/**
+ * Fastest laps of an event, fastest first; kids without a lap time are left out
+ * @param {Array} results - Results of one event
+ * @returns {Array} - [{ ...result, bestLap }]
+ */
+export const buildLapLeaderboard = (results) => results
+    .map(result => ({ ...result, bestLap: getBestLap(result) }))
+    .filter(result => result.bestLap !== null)
+    .sort((a, b) => compareBestLaps(a.bestLap, b.bestLap));
+
+/**
+ * Finish order of each heat
+ * @param {Array} results - Results of one event
+ * @returns {Array} - [{ heatNumber, results }] by heat, finishers first, then DNFs
+ */
+export const groupResultsByHeat = (results) => {
+    const heats = new Map();
+    results.forEach(result => {
+        const heatNumber = result.heatNumber ?? null;
+        if (!heats.has(heatNumber)) heats.set(heatNumber, []);
+        heats.get(heatNumber).push(result);
+    });
+    const finishOrder = (result) => (result.didNotFinish || !result.finishPosition ? Infinity : result.finishPosition);
+
+    return [...heats.entries()]
+        .sort(([a], [b]) => (a ?? Infinity) - (b ?? Infinity))
+        .map(([heatNumber, heatResults]) => ({
+            heatNumber,
+            results: [...heatResults].sort((a, b) => finishOrder(a) - finishOrder(b))
+        }));
+};
+
+/**
+ * Season standings across race events
+ * @param {Array} results - Results of the season's races
+ * @returns {Array} - [{ kidId, races, points, wins, podiums, bestLap, awards }], leader first
+ */
+export const buildSeasonStandings = (results) => {
+    const standings = new Map();
+    results.forEach(result => {
+        const entry = standings.get(result.kidId) || {
+            kidId: result.kidId,
+            races: 0,
+            points: 0,
+            wins: 0,
+            podiums: 0,
+            bestLap: null,
+            awards: []
+        };
+        const bestLap = getBestLap(result);
+        const position = result.didNotFinish ? null : result.finishPosition;
+
+        entry.races += 1;
+        entry.points += getResultPoints(result);
+        if (position === 1) entry.wins += 1;
+        if (position && position <= 3) entry.podiums += 1;
+        if (bestLap !== null && (entry.bestLap === null || bestLap < entry.bestLap)) entry.bestLap = bestLap;
+        entry.awards.push(...(result.awards || []));
+        standings.set(result.kidId, entry);
+    });
+
+    return [...standings.values()].sort((a, b) =>
+        b.points - a.points || b.wins - a.wins || compareBestLaps(a.bestLap, b.bestLap));
+};
+
+export default {
+    getRaceResultId,
+    validateRaceResult,
+    cleanRaceResult,
+    buildSeasonStandings
+};
@@ -0,0 +1,143 @@
+// src/schemas/seasonSchema.js - Program seasons (school years) and season enrollment
+import { validateNumberingConfig } from '../utils/participantNumberUtils';
+
+/**
+ * Season Schema Definition
+ * Kids and teams carry over from season to season, so they keep a list of seasonIds.
+ * Events and forms belong to the one season they were created in (seasonId).
+ */
+
+// Selector value for "show every season"
+export const ALL_SEASONS = 'all';
+
+export const SEASON_STATUS = {
+    PLANNING: 'planning',
+    ACTIVE: 'active',
+    ARCHIVED: 'archived'
+};
+
+export const ENROLLMENT_STATUS = {
+    INVITED: 'invited',
+    ENROLLED: 'enrolled',
+    DECLINED: 'declined'
+};
+
+// Field that holds the season(s) of each season-scoped collection
+export const SEASON_FIELDS = {
+    kids: 'seasonIds',
+    teams: 'seasonIds',
+    events: 'seasonId',
+    forms: 'seasonId'
+};
+
+// Default/empty season object
+export const createEmptySeason = () => ({
+    name: '', // e.g. "2025-2026"
+    startDate: '', // ISO date string (YYYY-MM-DD)
+    endDate: '',
+    status: SEASON_STATUS.PLANNING,
+    participantNumberPrefix: '' // Applied to the race number format when the season is activated
+});
+
+/**
+ * Validate a season object
+ * @param {Object} seasonData - The season data to validate
+ * @param {Function} t - Translation function (optional)
+ * @returns {Object} - { isValid: boolean, errors: {} }
+ */
+export const validateSeason = (seasonData, t = null) => {
+    const translate = (key, fallback) => (t ? t(key, fallback) : fallback);
+    const errors = {};
+
+    if (!seasonData.name?.trim()) {
+        errors.name = translate('seasons.validation.nameRequired', 'Season name is required');
+    } else if (seasonData.name.trim().length > 50) {
+        errors.name = translate('seasons.validation.nameTooLong', 'Season name must be less than 50 characters');
+    }
+
+    if (!seasonData.startDate) {
+        errors.startDate = translate('seasons.validation.startRequired', 'Start date is required');
+    }
+    if (!seasonData.endDate) {
+        errors.endDate = translate('seasons.validation.endRequired', 'End date is required');
+    } else if (seasonData.startDate && seasonData.endDate <= seasonData.startDate) {
+        errors.endDate = translate('seasons.validation.endBeforeStart', 'End date must be after the start date');
+    }
+
+    if (seasonData.participantNumberPrefix) {
+        const { errors: numberingErrors } = validateNumberingConfig({
+            prefix: seasonData.participantNumberPrefix,
+            minDigits: 3,
+            teamRanges: []
+        });
+        if (numberingErrors.prefix) {
+            errors.participantNumberPrefix = translate('seasons.validation.prefixInvalid', numberingErrors.prefix);
+        }
+    }
+
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+};
+
+/**
+ * Get the seasons a record is enrolled in
+ * @param {Object} record - Kid, team, event or form
+ * @param {string} collectionName - Collection the record belongs to
+ * @returns {Array<string>} - Season IDs
+ */
+export const getRecordSeasonIds = (record, collectionName) => {
+    if (SEASON_FIELDS[collectionName] === 'seasonIds') {
+        return Array.isArray(record?.seasonIds) ? record.seasonIds : [];
+    }
+    return record?.seasonId ? [record.seasonId] : [];
+};
+
+/**
+ * Check whether a record belongs to a season
+ * @param {Object} record - Kid, team, event or form
+ * @param {string} seasonId - Season ID, or ALL_SEASONS
+ * @param {string} collectionName - Collection the record belongs to
+ * @returns {boolean}
+ */
+export const isInSeason = (record, seasonId, collectionName) =>
+    !seasonId || seasonId === ALL_SEASONS || getRecordSeasonIds(record, collectionName).includes(seasonId);
+
+/**
+ * Keep only the records of one season
+ * @param {Array} records - Kids, teams, events or forms
+ * @param {string} seasonId - Season ID, or ALL_SEASONS to keep everything
+ * @param {string} collectionName - Collection the records belong to
+ * @returns {Array}
+ */
+export const filterBySeason = (records, seasonId, collectionName) =>
+    records.filter(record => isInSeason(record, seasonId, collectionName));
+
+/**
+ * Get a kid's enrollment status for a season
+ * @param {Object} kid - Kid object
+ * @param {string} seasonId - Season ID
+ * @returns {string|null} - 'invited', 'enrolled', 'declined' or null
+ */
+export const getEnrollmentStatus = (kid, seasonId) => {
+    const status = kid?.seasonEnrollments?.[seasonId]?.status;
+    if (status) return status;
+    return kid?.seasonIds?.includes(seasonId) ? ENROLLMENT_STATUS.ENROLLED : null;
+};
+
+/**
+ * Get the season currently running
+ * @param {Array} seasons - All seasons
+ * @returns {Object|null}
+ */
+export const getActiveSeason = (seasons) =>
+    seasons.find(season => season.status === SEASON_STATUS.ACTIVE) || null;
+
+/**
+ * Sort seasons newest first
+ * @param {Array} seasons - Seasons
+ * @returns {Array}
+ */
+export const sortSeasons = (seasons) =>
+    [...seasons].sort((a, b) => (b.startDate || '').localeCompare(a.startDate || ''));
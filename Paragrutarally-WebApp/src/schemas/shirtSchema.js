@@ -0,0 +1,165 @@
+// src/schemas/shirtSchema.js - Shirt sizes families order when they register for an event, and the event's shirt report
+
+/**
+ * Shirt Report Schema Definition
+ * A family's submission of an event's registration form (form_submissions) lists shirt sizes:
+ * shirts for the family's kids and extraShirts for the other people coming with them. Only
+ * submissions that are attending count. Sizes are not tied to a kid, so the kids' shirts are
+ * put with the teams of the kids in the order they were picked and extra shirts with the
+ * family's first kid.
+ * shirtsHandedOut on the event counts, per size, the shirts families already have from earlier
+ * seasons; those are left out of the supplier order.
+ */
+
+import { getKidFullName } from './kidSchema';
+
+// Kids' sizes, then adults'
+export const SHIRT_SIZES = ['2', '4', '6', '8', '10', '12', '14', '16', '18', 'S', 'M', 'L', 'XL', 'XXL', 'XXXL', 'XXXXL'];
+
+export const ATTENDING_STATUS = 'attending';
+
+const hasValue = (value) => value !== '' && value !== null && value !== undefined;
+
+// Known sizes in SHIRT_SIZES order, then anything else by name
+const compareSizes = (a, b) => {
+    const indexA = SHIRT_SIZES.indexOf(a);
+    const indexB = SHIRT_SIZES.indexOf(b);
+    if (indexA === -1 && indexB === -1) return a.localeCompare(b);
+    if (indexA === -1) return 1;
+    if (indexB === -1) return -1;
+    return indexA - indexB;
+};
+
+const countSize = (counts, size) => {
+    counts[size] = (counts[size] || 0) + 1;
+};
+
+/**
+ * Work out an event's shirt report from its registration form submissions
+ * @param {Array} submissions - Submissions with shirts, extraShirts, kidIds and submitterName
+ * @param {Object} kidsById - Kids by ID, for names and teams
+ * @param {Object} teamsById - Teams by ID, for names
+ * @param {Object} handedOut - The event's shirtsHandedOut, counts per size
+ * @returns {Object} {
+ *   sizes: [{ size, kids, extra, total, handedOut, toOrder }] in size order,
+ *   teams: [{ teamId, teamName, counts: { size: count }, total }] by name, kids without a team last,
+ *   families: [{ submissionId, familyName, kidNames, teamNames, shirts, extraShirts }] by family name,
+ *   totals: { kids, extra, total, handedOut, toOrder }
+ * }
+ */
+export const buildShirtReport = (submissions, kidsById = {}, teamsById = {}, handedOut = {}) => {
+    const kidCounts = {};
+    const extraCounts = {};
+    const teamCounts = {};
+    const families = [];
+
+    const teamOf = (kidId) => kidsById[kidId]?.teamId || '';
+    const addToTeam = (teamId, size) => {
+        teamCounts[teamId] = teamCounts[teamId] || {};
+        countSize(teamCounts[teamId], size);
+    };
+
+    submissions
+        .filter(submission => submission.confirmationStatus === ATTENDING_STATUS)
+        .forEach(submission => {
+            const kidIds = submission.kidIds || [];
+            const shirts = (submission.shirts || []).filter(Boolean);
+            const extraShirts = (submission.extraShirts || []).filter(Boolean);
+            if (shirts.length === 0 && extraShirts.length === 0) return;
+
+            shirts.forEach((size, index) => {
+                countSize(kidCounts, size);
+                addToTeam(teamOf(kidIds[index] ?? kidIds[0]), size);
+            });
+            extraShirts.forEach(size => {
+                countSize(extraCounts, size);
+                addToTeam(teamOf(kidIds[0]), size);
+            });
+
+            const kidNames = kidIds.filter(kidId => kidsById[kidId]).map(kidId => getKidFullName(kidsById[kidId]));
+            const teamNames = [...new Set(kidIds.map(teamOf).filter(Boolean))]
+                .map(teamId => teamsById[teamId]?.name || teamId);
+
+            families.push({
+                submissionId: submission.id,
+                familyName: submission.submitterName || '',
+                kidNames,
+                teamNames,
+                shirts: [...shirts].sort(compareSizes),
+                extraShirts: [...extraShirts].sort(compareSizes)
+            });
+        });
+
+    const sizes = [...new Set([
+        ...Object.keys(kidCounts),
+        ...Object.keys(extraCounts),
+        ...Object.keys(handedOut).filter(size => Number(handedOut[size]) > 0)
+    ])]
+        .sort(compareSizes)
+        .map(size => {
+            const kids = kidCounts[size] || 0;
+            const extra = extraCounts[size] || 0;
+            const given = Number(handedOut[size]) || 0;
+            return { size, kids, extra, total: kids + extra, handedOut: given, toOrder: Math.max(0, kids + extra - given) };
+        });
+
+    const teams = Object.entries(teamCounts)
+        .map(([teamId, counts]) => ({
+            teamId,
+            teamName: teamId ? teamsById[teamId]?.name || teamId : '',
+            counts,
+            total: Object.values(counts).reduce((sum, count) => sum + count, 0)
+        }))
+        .sort((a, b) => {
+            if (!a.teamId || !b.teamId) return a.teamId ? -1 : 1;
+            return a.teamName.localeCompare(b.teamName);
+        });
+
+    const totals = sizes.reduce((sum, row) => ({
+        kids: sum.kids + row.kids,
+        extra: sum.extra + row.extra,
+        total: sum.total + row.total,
+        handedOut: sum.handedOut + row.handedOut,
+        toOrder: sum.toOrder + row.toOrder
+    }), { kids: 0, extra: 0, total: 0, handedOut: 0, toOrder: 0 });
+
+    return {
+        sizes,
+        teams,
+        families: families.sort((a, b) => a.familyName.localeCompare(b.familyName)),
+        totals
+    };
+};
+
+/**
+ * Validate the counts of shirts handed out in earlier seasons
+ * @param {Object} counts - { size: count } as entered
+ * @param {Function} t - Translation function (optional)
+ * @returns {Object} - { isValid: boolean, errors: { size: message } }
+ */
+export const validateShirtsHandedOut = (counts, t = null) => {
+    const translate = (key, fallback) => (t ? t(key, fallback) : fallback);
+    const errors = {};
+
+    Object.entries(counts).forEach(([size, count]) => {
+        if (hasValue(count) && !(Number.isInteger(Number(count)) && Number(count) >= 0)) {
+            errors[size] = translate('shirts.validation.countInvalid', 'Enter a whole number of shirts');
+        }
+    });
+
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+};
+
+/**
+ * Counts of shirts handed out in earlier seasons as stored on the event, without empty sizes
+ * @param {Object} counts - { size: count } as entered
+ * @returns {Object}
+ */
+export const cleanShirtsHandedOut = (counts) => Object.fromEntries(
+    Object.entries(counts)
+        .filter(([, count]) => Number(count) > 0)
+        .map(([size, count]) => [size, Number(count)])
+);
@@ -35,6 +35,10 @@ export const teamSchema = z.object({
     vehicleIds: z.array(z.string())
         .default([]),
 
+    // Seasons the team takes part in
+    seasonIds: z.array(z.string())
+        .default([]),
+
     // Team leader (optional - one of the instructors can be the leader)
     teamLeaderId: z.string()
         .optional()
@@ -80,6 +84,7 @@ export const createEmptyTeam = () => {
         instructorIds: [],
         kidIds: [],
         vehicleIds: [], // NEW: Empty array for vehicle assignments
+        seasonIds: [],
         teamLeaderId: '',
         notes: ''
     };
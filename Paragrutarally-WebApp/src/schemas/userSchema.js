@@ -14,6 +14,27 @@ export const USER_ROLES = {
     HOST: 'host'
 };
 
+// Every role a user can hold. The `role` auth claim written by syncUserRoleClaim
+// (firebase-functions/index.js) and the helpers in firebase/firestore.rules use the same set.
+export const ALL_USER_ROLES = Object.values(USER_ROLES);
+
+// Older accounts may still carry roles that were folded into the current set
+const LEGACY_ROLE_ALIASES = {
+    guest: USER_ROLES.HOST
+};
+
+/**
+ * Map a stored role onto the current role set
+ * @param {string} role - Role as stored in users/{uid}.role
+ * @returns {string|null} One of USER_ROLES, or null for a missing/unknown role
+ */
+export const normalizeUserRole = (role) => {
+    if (typeof role !== 'string') return null;
+    const trimmed = role.trim();
+    if (ALL_USER_ROLES.includes(trimmed)) return trimmed;
+    return LEGACY_ROLE_ALIASES[trimmed] || null;
+};
+
 // Default/empty user object
 export const createEmptyUser = () => ({
     // Basic identifiers
@@ -22,6 +43,8 @@ export const createEmptyUser = () => ({
     name: '',
     phone: '',
     role: USER_ROLES.PARENT,
+    // Lets a user who is not a parent sign up for volunteer shifts; set by admins only
+    isVolunteer: false,
 
     // Authentication info
     authProvider: 'email',
@@ -130,7 +153,7 @@ export const validateUser = (userData, options = {}, t) => {
     // Validate role
     userValidationRules.roles.forEach(field => {
         const value = getNestedValue(userData, field);
-        const validRoles = Object.values(USER_ROLES);
+        const validRoles = ALL_USER_ROLES;
 
         if (value && !validRoles.includes(value)) {
             errors[field] = t('users.roleInvalid', 'Please select a valid role');
@@ -388,6 +411,16 @@ export const userHasRole = (user, role) => {
     return user?.role === role;
 };
 
+/**
+ * Can this user claim volunteer shift slots? Parents always can, other users once an admin
+ * sets isVolunteer. Keep in step with canVolunteer() in firebase/firestore.rules.
+ * @param {Object} user - User object
+ * @returns {boolean} - True if user can volunteer
+ */
+export const canVolunteer = (user) => {
+    return userHasRole(user, USER_ROLES.ADMIN) || userHasRole(user, USER_ROLES.PARENT) || user?.isVolunteer === true;
+};
+
 /**
  * Check if user is admin
  * @param {Object} user - User object
@@ -411,5 +444,6 @@ export default {
     formatPhoneNumber,
     userHasRole,
     isUserAdmin,
+    canVolunteer,
     userValidationRules
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
 // src/schemas/vehicleSchema.js - Updated for Team-based Assignment
 import { z } from 'zod';
+import { SEATING_SUPPORT_LEVELS } from './kidSchema';
 
 export const vehicleSchema = z.object({
     // Basic vehicle information
@@ -45,6 +46,17 @@ export const vehicleSchema = z.object({
             'Invalid battery date format'
         ),
 
+    // Accessibility, matched against kid needs by utils/vehicleMatchUtils.js
+    seatingSupport: z.enum(SEATING_SUPPORT_LEVELS, {
+        errorMap: () => ({ message: 'Invalid seating support level' })
+    })
+        .optional()
+        .nullable()
+        .or(z.literal('')), // Allow empty string (not specified)
+
+    remoteOverride: z.boolean()
+        .default(false), // An adult can take over with a remote control
+
     // Current kid assignments within the team (multiple kids can use same vehicle)
     currentKidIds: z.array(z.string())
         .default([]),
@@ -0,0 +1,137 @@
+// src/schemas/venueSchema.js - Venues events are held at
+import { compareEventStarts, isEventOver } from '../utils/eventDateUtils';
+
+/**
+ * Venue Schema Definition
+ * Events pick a venue (venueId) and keep a copy of its name and address in location and
+ * address, so every page that shows an event's location keeps working and past events keep
+ * the address they were held at. Events without a venueId have a free-text location.
+ */
+
+// Facilities a venue can tick off; labels are venues.facilities.<key>
+export const VENUE_FACILITIES = [
+    'toilets',
+    'accessibleToilets',
+    'drinkingWater',
+    'shade',
+    'indoorSpace',
+    'electricity',
+    'firstAidRoom',
+    'kitchen'
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^[+\d][\d\s-]{6,}$/;
+
+// Default/empty venue object
+export const createEmptyVenue = () => ({
+    name: '',
+    address: '',
+    parkingNotes: '',
+    accessibilityNotes: '',
+    facilities: [],
+    capacity: '', // Kids the venue can host, empty when unknown
+    contact: {
+        name: '',
+        phone: '',
+        email: ''
+    }
+});
+
+/**
+ * Validate a venue object
+ * @param {Object} venueData - The venue data to validate
+ * @param {Function} t - Translation function (optional)
+ * @returns {Object} - { isValid: boolean, errors: {} }
+ */
+export const validateVenue = (venueData, t = null) => {
+    const translate = (key, fallback) => (t ? t(key, fallback) : fallback);
+    const errors = {};
+
+    if (!venueData.name?.trim()) {
+        errors.name = translate('venues.validation.nameRequired', 'Venue name is required');
+    } else if (venueData.name.trim().length > 100) {
+        errors.name = translate('venues.validation.nameTooLong', 'Venue name must be less than 100 characters');
+    }
+
+    if (!venueData.address?.trim()) {
+        errors.address = translate('venues.validation.addressRequired', 'Address is required');
+    }
+
+    const capacity = venueData.capacity;
+    if (capacity !== '' && capacity !== null && capacity !== undefined
+        && !(Number.isInteger(Number(capacity)) && Number(capacity) > 0)) {
+        errors.capacity = translate('venues.validation.capacityInvalid', 'Capacity must be a whole number above 0');
+    }
+
+    const unknownFacilities = (venueData.facilities || []).filter(facility => !VENUE_FACILITIES.includes(facility));
+    if (unknownFacilities.length > 0) {
+        errors.facilities = translate('venues.validation.facilityInvalid', 'Unknown facility');
+    }
+
+    const phone = venueData.contact?.phone?.trim();
+    if (phone && !PHONE_PATTERN.test(phone)) {
+        errors.contactPhone = translate('venues.validation.phoneInvalid', 'Enter a valid phone number');
+    }
+    const email = venueData.contact?.email?.trim();
+    if (email && !EMAIL_PATTERN.test(email)) {
+        errors.contactEmail = translate('venues.validation.emailInvalid', 'Enter a valid email address');
+    }
+
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+};
+
+/**
+ * Venue data as stored, trimmed and with capacity as a number
+ * @param {Object} venueData - Venue data from the form
+ * @returns {Object}
+ */
+export const cleanVenue = (venueData) => ({
+    name: venueData.name.trim(),
+    address: venueData.address.trim(),
+    parkingNotes: venueData.parkingNotes?.trim() || '',
+    accessibilityNotes: venueData.accessibilityNotes?.trim() || '',
+    facilities: VENUE_FACILITIES.filter(facility => venueData.facilities?.includes(facility)),
+    capacity: venueData.capacity === '' || venueData.capacity === null || venueData.capacity === undefined
+        ? null
+        : Number(venueData.capacity),
+    contact: {
+        name: venueData.contact?.name?.trim() || '',
+        phone: venueData.contact?.phone?.trim() || '',
+        email: venueData.contact?.email?.trim() || ''
+    }
+});
+
+/**
+ * The fields an event copies from its venue
+ * @param {Object|null} venue - Venue, or null for a free-text location
+ * @returns {Object} - { venueId, location, address }
+ */
+export const getEventVenueFields = (venue) => (venue
+    ? { venueId: venue.id, location: venue.name, address: venue.address }
+    : { venueId: null });
+
+/**
+ * Split a venue's events into the ones still to come and the ones already held
+ * @param {Array} events - Events at the venue
+ * @param {Date} now - Current time
+ * @returns {Object} - { upcoming: soonest first, past: latest first }
+ */
+export const splitVenueEvents = (events, now = new Date()) => {
+    const sorted = [...events].sort(compareEventStarts);
+    return {
+        upcoming: sorted.filter(event => !isEventOver(event, now)),
+        past: sorted.filter(event => isEventOver(event, now)).reverse()
+    };
+};
+
+/**
+ * Sort venues by name
+ * @param {Array} venues - Venues
+ * @returns {Array}
+ */
+export const sortVenues = (venues) =>
+    [...venues].sort((a, b) => (a.name || '').localeCompare(b.name || ''));
@@ -0,0 +1,166 @@
+// src/schemas/volunteerShiftSchema.js - Volunteer shifts of an event, their slots and coverage
+import { getEventDay, toIsraelDateTime } from '../utils/eventDateUtils';
+
+/**
+ * Volunteer Shift Schema Definition
+ * One document per shift in volunteerShifts. Admins define the role, the time and how many
+ * volunteers it needs (slots); volunteers claim a slot by adding their uid to volunteerIds.
+ * Who may claim is decided by canVolunteer (userSchema.js) and the volunteerShifts rules.
+ */
+
+export const VOLUNTEER_ROLES = {
+    TRACK_MARSHAL: 'trackMarshal',
+    PARKING: 'parking',
+    KID_BUDDY: 'kidBuddy',
+    SETUP: 'setup',
+    FIRST_AID: 'firstAid',
+    OTHER: 'other'
+};
+
+export const MAX_SHIFT_SLOTS = 50;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Default/empty shift, as edited on the volunteers page
+export const createEmptyShift = () => ({
+    role: VOLUNTEER_ROLES.TRACK_MARSHAL,
+    title: '',
+    startTime: '',
+    endTime: '',
+    slots: 2,
+    notes: ''
+});
+
+/**
+ * Display name of a volunteer role
+ * @param {string} role - VOLUNTEER_ROLES value
+ * @param {Function} t - Translation function
+ * @returns {string}
+ */
+export const getVolunteerRoleLabel = (role, t) => {
+    switch (role) {
+        case VOLUNTEER_ROLES.TRACK_MARSHAL:
+            return t('volunteers.roles.trackMarshal', 'Track Marshal');
+        case VOLUNTEER_ROLES.PARKING:
+            return t('volunteers.roles.parking', 'Parking');
+        case VOLUNTEER_ROLES.KID_BUDDY:
+            return t('volunteers.roles.kidBuddy', 'Kid Buddy');
+        case VOLUNTEER_ROLES.SETUP:
+            return t('volunteers.roles.setup', 'Setup & Cleanup');
+        case VOLUNTEER_ROLES.FIRST_AID:
+            return t('volunteers.roles.firstAid', 'First Aid');
+        default:
+            return t('volunteers.roles.other', 'Other');
+    }
+};
+
+/**
+ * Shift name: its title, else the role
+ * @param {Object} shift - Shift
+ * @param {Function} t - Translation function
+ * @returns {string}
+ */
+export const getShiftName = (shift, t) => shift.title || getVolunteerRoleLabel(shift.role, t);
+
+/**
+ * Validate a shift before saving
+ * @param {Object} shift - Shift from the form
+ * @param {Function} t - Translation function (optional)
+ * @returns {Object} - { isValid: boolean, errors: {} }
+ */
+export const validateShift = (shift, t = null) => {
+    const translate = (key, fallback, params) => (t ? t(key, fallback, params) : fallback);
+    const errors = {};
+    const slots = Number(shift.slots);
+
+    if (!Object.values(VOLUNTEER_ROLES).includes(shift.role)) {
+        errors.role = translate('volunteers.validation.role', 'Choose a role');
+    }
+    if ((shift.title || '').length > 60) {
+        errors.title = translate('volunteers.validation.title', 'The title must be 60 characters or less');
+    }
+    if (!TIME_PATTERN.test(shift.startTime || '')) {
+        errors.startTime = translate('volunteers.validation.startTime', 'Enter a start time');
+    }
+    if (!TIME_PATTERN.test(shift.endTime || '')) {
+        errors.endTime = translate('volunteers.validation.endTime', 'Enter an end time');
+    } else if (!errors.startTime && shift.endTime <= shift.startTime) {
+        errors.endTime = translate('volunteers.validation.endAfterStart', 'The shift must end after it starts');
+    }
+    if (!Number.isInteger(slots) || slots < 1 || slots > MAX_SHIFT_SLOTS) {
+        errors.slots = translate('volunteers.validation.slots', 'Slots must be between 1 and {max}', { max: MAX_SHIFT_SLOTS });
+    } else if (slots < (shift.volunteerIds || []).length) {
+        errors.slots = translate('volunteers.validation.slotsTaken', 'More volunteers have already signed up');
+    }
+
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+};
+
+/**
+ * Shift fields as stored; volunteerIds are only changed by claiming and releasing
+ * @param {Object} shift - Shift from the form
+ * @returns {Object}
+ */
+export const cleanShift = (shift) => ({
+    role: shift.role,
+    title: (shift.title || '').trim(),
+    startTime: shift.startTime,
+    endTime: shift.endTime,
+    slots: Number(shift.slots),
+    notes: (shift.notes || '').trim()
+});
+
+/**
+ * Free slots of a shift
+ * @param {Object} shift - Shift
+ * @returns {number}
+ */
+export const getOpenSlots = (shift) => Math.max(0, (Number(shift.slots) || 0) - (shift.volunteerIds || []).length);
+
+/**
+ * How well an event's shifts are covered
+ * @param {Array} shifts - Shifts of one event
+ * @returns {Object} - { slots, filled, open, gaps } where gaps are the shifts with free slots
+ */
+export const getShiftCoverage = (shifts) => {
+    const slots = shifts.reduce((sum, shift) => sum + (Number(shift.slots) || 0), 0);
+    const open = shifts.reduce((sum, shift) => sum + getOpenSlots(shift), 0);
+    return {
+        slots,
+        filled: slots - open,
+        open,
+        gaps: shifts.filter(shift => getOpenSlots(shift) > 0)
+    };
+};
+
+/**
+ * Shifts in the order of the day
+ * @param {Array} shifts - Shifts
+ * @returns {Array} - A sorted copy
+ */
+export const sortShifts = (shifts) => [...shifts].sort((a, b) =>
+    (a.startTime || '').localeCompare(b.startTime || '') || (a.endTime || '').localeCompare(b.endTime || ''));
+
+/**
+ * Do two shifts overlap in time? Used to warn a volunteer before a double booking.
+ * @param {Object} a - Shift
+ * @param {Object} b - Shift
+ * @returns {boolean}
+ */
+export const shiftsOverlap = (a, b) =>
+    a.eventId === b.eventId && a.startTime < b.endTime && b.startTime < a.endTime;
+
+/**
+ * Can volunteers still sign up for an event's shifts? Not once it is cancelled, completed or past.
+ * @param {Object} event - Event (status and its date, see getEventDay)
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export const isVolunteeringOpen = (event, now = new Date()) => {
+    if (event.status === 'cancelled' || event.status === 'completed') return false;
+    const day = getEventDay(event);
+    return !day || day >= toIsraelDateTime(now).date;
+};
@@ -1,8 +1,12 @@
+import { normalizeUserRole } from '../schemas/userSchema';
+import { PERMISSION_COLLECTIONS, canRoleEditField, canRoleViewField } from '../schemas/permissionManifest';
+
 export class PermissionService {
     constructor(user, userData) {
         this.user = user;
         this.userData = userData;
-        this.userRole = userData?.role || 'guest';
+        // Hosts (and users without a known role) get the read-only guest view
+        this.userRole = normalizeUserRole(userData?.role) || 'guest';
 
         // Add the properties that your components expect
         this.canCreate = this.canCreateContent();
@@ -24,6 +28,7 @@ export class PermissionService {
                 return true;
             case 'parent':
                 return false;
+            case 'host':
             case 'guest':
                 return false;
             default:
@@ -39,6 +44,7 @@ export class PermissionService {
                 return true;
             case 'parent':
                 return false;
+            case 'host':
             case 'guest':
                 return false;
             default:
@@ -54,6 +60,7 @@ export class PermissionService {
                 return false;
             case 'parent':
                 return false;
+            case 'host':
             case 'guest':
                 return false;
             default:
@@ -62,148 +69,93 @@ export class PermissionService {
     }
 
     canViewContent() {
-        return ['admin', 'instructor', 'parent', 'guest'].includes(this.userRole);
+        return ['admin', 'instructor', 'parent', 'host', 'guest'].includes(this.userRole);
     }
 
-    // Check if user can view specific field (your existing logic)
-    canViewField(field, context = {}) {
-        const { kidData, vehicleData } = context;
+    // Field lists come from the permission manifest; this only decides which kids the user may touch
+    isKidParent(kidData) {
+        const parentInfo = kidData?.parentInfo || {};
+        return Boolean((parentInfo.parentIds && parentInfo.parentIds.includes(this.user?.uid)) ||
+            (parentInfo.parentId && parentInfo.parentId === this.user?.uid));
+    }
+
+    // Team instructors are listed by uid in teams/{teamId}.instructorIds
+    isKidTeamInstructor(kidData, teamData) {
+        return Boolean(this.user?.uid && kidData?.teamId && teamData?.id === kidData.teamId
+            && Array.isArray(teamData.instructorIds) && teamData.instructorIds.includes(this.user.uid));
+    }
 
+    canAccessKidFields(kidData) {
         switch (this.userRole) {
             case 'admin':
                 return true;
-
             case 'parent':
-                {
-                    const parentInfo = kidData?.parentInfo || {};
-                    const isParent = (parentInfo.parentIds && parentInfo.parentIds.includes(this.user.uid)) ||
-                        (parentInfo.parentId === this.user.uid);
-
-                    if (!kidData || !isParent) {
-                        return false;
-                    }
-
-                    const parentCanView = [
-                        'participantNumber', 'firstName', 'lastName', 'fullName',
-                        'personalInfo.address', 'address', 'personalInfo.dateOfBirth',
-                        'dateOfBirth', 'personalInfo.capabilities', 'personalInfo.announcersNotes',
-                        'personalInfo.photo', 'parentInfo.name', 'guardianName',
-                        'parentInfo.email', 'email', 'parentInfo.phone', 'contactNumber',
-                        'parentInfo.grandparentsInfo', 'comments.parent', 'notes',
-                        'signedDeclaration', 'signedFormStatus',
-                        'vehicle.make', 'vehicle.model', 'vehicle.licensePlate', 'vehicle.photo'
-                    ];
-
-                    const parentCannotView = [
-                        'comments.organization', 'comments.teamLeader', 'comments.familyContact',
-                        'instructorComments', 'medicalNotes', 'emergencyContact', 'emergencyPhone',
-                        'vehicle.batteryType', 'vehicle.batteryDate', 'vehicle.driveType',
-                        'vehicle.steeringType', 'vehicle.notes', 'vehicle.modifications'
-                    ];
-
-                    if (parentCannotView.includes(field)) return false;
-                    return parentCanView.some(pattern =>
-                        field.startsWith(pattern.replace('.*', '')) || field === pattern
-                    );
-                }
-
+                return Boolean(kidData) && this.isKidParent(kidData);
             case 'instructor':
-                if (!kidData || kidData.instructorId !== this.userData.instructorId) {
-                    return false;
-                }
-                return true;
-
+                return Boolean(kidData) && kidData.instructorId === this.userData.instructorId;
+            case 'host':
             case 'guest':
-                {
-                    const guestCanView = [
-                        'firstName', 'lastName', 'personalInfo.address', 'address',
-                        'personalInfo.capabilities', 'personalInfo.announcersNotes',
-                        'parentInfo.name', 'guardianName', 'parentInfo.phone', 'contactNumber',
-                        'vehicle.make', 'vehicle.model', 'participantNumber'
-                    ];
-
-                    const guestCannotView = [
-                        'parentInfo.email', 'email', 'comments.parent', 'comments.familyContact',
-                        'parentInfo.grandparentsInfo', 'signedDeclaration', 'emergencyContact',
-                        'emergencyPhone'
-                    ];
-
-                    if (guestCannotView.includes(field)) return false;
-                    return guestCanView.includes(field);
-                }
-
+                return true;
             default:
                 return false;
         }
     }
 
-    // Check if user can edit specific field (your existing logic)
+    // Check if user can view specific field
+    canViewField(field, context = {}) {
+        const { kidData, collection = 'kids' } = context;
+        return this.canAccessKidFields(kidData) && canRoleViewField(this.userRole, field, collection);
+    }
+
+    // Check if user can edit specific field
     canEditField(field, context = {}) {
-        const { kidData, vehicleData } = context;
+        const { kidData, collection = 'kids' } = context;
+        return this.canAccessKidFields(kidData) && canRoleEditField(this.userRole, field, collection);
+    }
 
+    // Check if user can view this specific kid at all
+    canViewKid(kidData) {
         switch (this.userRole) {
             case 'admin':
                 return true;
-
             case 'parent':
-                const parentInfo = kidData?.parentInfo || {};
-                const isParent = (parentInfo.parentIds && parentInfo.parentIds.includes(this.user.uid)) ||
-                    (parentInfo.parentId === this.user.uid);
-
-                if (!kidData || !isParent) {
-                    return false;
-                }
-                return [
-                    'comments.parent', 'notes', 'personalInfo.photo',
-                    'parentInfo.phone', 'contactNumber', 'parentInfo.grandparentsInfo.names',
-                    'parentInfo.grandparentsInfo.phone'
-                ].includes(field);
-
+                return this.isKidParent(kidData);
             case 'instructor':
-                if (!kidData || kidData.instructorId !== this.userData.instructorId) {
-                    return false;
-                }
-                return [
-                    'comments.teamLeader', 'instructorComments', 'medicalNotes',
-                    'vehicle.batteryType', 'vehicle.batteryDate', 'vehicle.driveType',
-                    'vehicle.steeringType', 'vehicle.notes', 'vehicle.modifications'
-                ].includes(field);
-
+                return kidData.instructorId === this.userData.instructorId;
+            case 'host':
             case 'guest':
-                return ['comments.organization'].includes(field);
-
+                return true;
             default:
                 return false;
         }
     }
 
-    // Check if user can view this specific kid at all
-    canViewKid(kidData) {
+    // Medical profiles are for admins and the instructors of the kid's current team only
+    canViewMedicalProfile(kidData, teamData) {
         switch (this.userRole) {
             case 'admin':
                 return true;
-            case 'parent':
-                const parentInfo = kidData?.parentInfo || {};
-                return (parentInfo.parentIds && parentInfo.parentIds.includes(this.user.uid)) ||
-                    (parentInfo.parentId === this.user.uid);
             case 'instructor':
-                return kidData.instructorId === this.userData.instructorId;
-            case 'guest':
-                return true;
+                return this.isKidTeamInstructor(kidData, teamData);
             default:
                 return false;
         }
     }
 
+    canEditMedicalProfile(kidData, teamData) {
+        return this.canViewMedicalProfile(kidData, teamData)
+            && canRoleEditField(this.userRole, 'emergencyContacts', 'kidMedicalProfiles');
+    }
+
     // Filter entire data object based on permissions
     filterData(data, type = 'kid') {
         if (this.userRole === 'admin') return data;
 
         const filtered = { ...data };
-        const fieldsToCheck = type === 'kid' ? this.getKidFields() : this.getVehicleFields();
+        const collection = type === 'kid' ? 'kids' : 'vehicles';
 
-        fieldsToCheck.forEach(field => {
-            if (!this.canViewField(field, { kidData: data, vehicleData: data })) {
+        PERMISSION_COLLECTIONS[collection].forEach(field => {
+            if (!this.canViewField(field, { kidData: data, vehicleData: data, collection })) {
                 this.removeNestedField(filtered, field);
             }
         });
@@ -212,21 +164,11 @@ export class PermissionService {
     }
 
     getKidFields() {
-        return [
-            'participantNumber', 'personalInfo.address', 'personalInfo.dateOfBirth',
-            'personalInfo.capabilities', 'personalInfo.announcersNotes', 'personalInfo.photo',
-            'parentInfo.name', 'parentInfo.email', 'parentInfo.phone',
-            'parentInfo.grandparentsInfo', 'comments.parent', 'comments.organization',
-            'comments.teamLeader', 'comments.familyContact', 'instructorComments',
-            'signedDeclaration', 'signedFormStatus'
-        ];
+        return PERMISSION_COLLECTIONS.kids;
     }
 
     getVehicleFields() {
-        return [
-            'make', 'model', 'licensePlate', 'batteryType', 'batteryDate',
-            'driveType', 'steeringType', 'photo', 'notes', 'modifications'
-        ];
+        return PERMISSION_COLLECTIONS.vehicles;
     }
 
     removeNestedField(obj, path) {
@@ -1,66 +1,171 @@
 // src/services/adminUserService.js
-import { doc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { collection, getDocs, query, where } from 'firebase/firestore';
 import { httpsCallable } from 'firebase/functions';
 import { db, functions } from '../firebase/config';
 
 /**
- * Create a new user without affecting the current admin session
+ * Build the link an invited user opens to choose their password
+ * @param {string} inviteId - Invite document ID
+ * @param {string} inviteToken - Raw single-use token returned by the server
+ * @returns {string} Absolute URL of the set-password page
+ */
+export const buildInviteLink = (inviteId, inviteToken) => {
+    const origin = typeof window !== 'undefined' ? window.location.origin : '';
+    const params = new URLSearchParams({ invite: inviteId, token: inviteToken });
+    return `${origin}/set-password?${params.toString()}`;
+};
+
+/**
+ * Map callable errors to user-facing messages
+ * @param {Error} error - Error thrown by httpsCallable
+ * @param {string} fallback - Message used when nothing more specific applies
+ * @returns {Error}
+ */
+const toInviteError = (error, fallback) => {
+    switch (error.code) {
+        case 'functions/not-found':
+            // A missing function reports the bare status code as its message.
+            return new Error(/^not[-_ ]found$/i.test(error.message || '')
+                ? 'Cloud Function not deployed. Please contact system administrator.'
+                : error.message);
+        case 'functions/already-exists':
+            return new Error('This email is already registered');
+        case 'functions/permission-denied':
+            return new Error('You do not have permission to manage users. Admin access required.');
+        case 'functions/invalid-argument':
+        case 'functions/failed-precondition':
+        case 'functions/deadline-exceeded':
+            return new Error(error.message);
+        default:
+            return new Error(error.message || fallback);
+    }
+};
+
+/**
+ * Create a new user and a pending invite without affecting the current admin session.
+ * The account, role claim and `users` document are created server-side; the user picks
+ * their own password through the returned invite link.
  * @param {Object} userData - User data for creation
- * @returns {Promise<Object>} Creation result
+ * @returns {Promise<Object>} Creation result including the invite link
  */
 export const createUserAsAdmin = async (userData) => {
     try {
-        // First try using Cloud Function (recommended approach)
         const createUser = httpsCallable(functions, 'createUserForAdmin');
 
         const result = await createUser({
             email: userData.email,
-            password: '123456', // Default password
-            displayName: userData.displayName
+            displayName: userData.displayName,
+            name: userData.name,
+            phone: userData.phone,
+            role: userData.role
         });
 
-        if (result.data.success) {
-            const uid = result.data.uid;
-            const now = serverTimestamp();
-
-            // Create user document in Firestore
-            const userDoc = {
-                createdAt: now,
-                displayName: userData.displayName,
-                email: userData.email,
-                lastLogin: now,
-                name: userData.name,
-                phone: userData.phone,
-                role: userData.role
-            };
-
-            await setDoc(doc(db, 'users', uid), userDoc);
-
-            return {
-                success: true,
-                uid: uid,
-                message: 'User created successfully'
-            };
-        } else {
+        if (!result.data.success) {
             throw new Error(result.data.error || 'Failed to create user');
         }
+
+        return {
+            success: true,
+            uid: result.data.uid,
+            inviteId: result.data.inviteId,
+            inviteLink: buildInviteLink(result.data.inviteId, result.data.inviteToken),
+            expiresAt: new Date(result.data.expiresAt),
+            message: 'User created successfully'
+        };
     } catch (error) {
         console.error('Error in createUserAsAdmin:', error);
+        throw toInviteError(error, 'Failed to create user. Please try again.');
+    }
+};
 
-        // If Cloud Function is not available, provide clear error message
-        if (error.message.includes('functions') || error.code === 'functions/not-found') {
-            throw new Error('Cloud Function not deployed. Please contact system administrator.');
-        }
+/**
+ * Get invites that have not been redeemed or revoked yet (Admin only)
+ * @returns {Promise<Array>} Pending invites, newest first, with an `isExpired` flag
+ */
+export const getPendingInvites = async () => {
+    try {
+        const invitesQuery = query(
+            collection(db, 'userInvites'),
+            where('status', '==', 'pending')
+        );
 
-        // Handle specific Firebase errors
-        if (error.message.includes('email-already-exists') || error.message.includes('email-already-in-use')) {
-            throw new Error('This email is already registered');
-        } else if (error.message.includes('invalid-email')) {
-            throw new Error('Invalid email address');
-        } else if (error.message.includes('weak-password')) {
-            throw new Error('Password is too weak');
-        } else {
-            throw new Error(error.message || 'Failed to create user. Please try again.');
-        }
+        const querySnapshot = await getDocs(invitesQuery);
+        const now = Date.now();
+
+        return querySnapshot.docs
+            .map(doc => {
+                const data = doc.data();
+                const expiresAt = data.expiresAt?.toDate ? data.expiresAt.toDate() : null;
+                return {
+                    id: doc.id,
+                    ...data,
+                    expiresAt,
+                    lastSentAt: data.lastSentAt?.toDate ? data.lastSentAt.toDate() : null,
+                    isExpired: expiresAt ? expiresAt.getTime() < now : false
+                };
+            })
+            .sort((a, b) => (b.lastSentAt?.getTime() || 0) - (a.lastSentAt?.getTime() || 0));
+    } catch (error) {
+        console.error('Error fetching pending invites:', error);
+        throw new Error(`Failed to fetch pending invites: ${error.message}`);
+    }
+};
+
+/**
+ * Issue a new invite link; any previously shared link stops working (Admin only)
+ * @param {string} inviteId - Invite document ID
+ * @returns {Promise<Object>} The new invite link and expiry
+ */
+export const resendInvite = async (inviteId) => {
+    try {
+        const resend = httpsCallable(functions, 'resendUserInvite');
+        const result = await resend({ inviteId });
+
+        return {
+            success: true,
+            inviteLink: buildInviteLink(inviteId, result.data.inviteToken),
+            expiresAt: new Date(result.data.expiresAt)
+        };
+    } catch (error) {
+        console.error('Error resending invite:', error);
+        throw toInviteError(error, 'Failed to resend invite.');
+    }
+};
+
+/**
+ * Revoke a pending invite and disable the account it was created for (Admin only)
+ * @param {string} inviteId - Invite document ID
+ * @returns {Promise<Object>} Revocation result
+ */
+export const revokeInvite = async (inviteId) => {
+    try {
+        const revoke = httpsCallable(functions, 'revokeUserInvite');
+        await revoke({ inviteId });
+        return { success: true };
+    } catch (error) {
+        console.error('Error revoking invite:', error);
+        throw toInviteError(error, 'Failed to revoke invite.');
+    }
+};
+
+/**
+ * Redeem an invite by setting the account password. Works without being signed in.
+ * @param {string} inviteId - Invite document ID from the link
+ * @param {string} token - Token from the link
+ * @param {string} password - The password chosen by the user
+ * @returns {Promise<Object>} Result with the account email, used to sign in afterwards
+ */
+export const redeemInvite = async (inviteId, token, password) => {
+    try {
+        const redeem = httpsCallable(functions, 'redeemUserInvite');
+        const result = await redeem({ inviteId, token, password });
+
+        return {
+            success: true,
+            email: result.data.email
+        };
+    } catch (error) {
+        console.error('Error redeeming invite:', error);
+        throw toInviteError(error, 'Failed to activate account. Please try again.');
     }
-};
\ No newline at end of file
+};
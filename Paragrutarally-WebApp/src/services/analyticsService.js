@@ -14,11 +14,25 @@ import { db } from '../firebase/config';
 // Import existing services
 import { getAllVehicles } from './vehicleService';
 import { getAllTeams } from './teamService';
+import {
+    ALL_SEASONS,
+    ENROLLMENT_STATUS,
+    getEnrollmentStatus,
+    isInSeason,
+    sortSeasons
+} from '../schemas/seasonSchema';
+
+// Documents of a season-scoped collection that belong to the season (every document for ALL_SEASONS)
+const toSeasonRecords = (snapshot, collectionName, seasonId) =>
+    snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(record => isInSeason(record, seasonId, collectionName));
 
 /**
  * 📊 OVERVIEW ANALYTICS - System-wide statistics
+ * @param {Object} options - { seasonId } limits kids, teams and events to one season
  */
-export const getSystemOverview = async () => {
+export const getSystemOverview = async ({ seasonId = ALL_SEASONS } = {}) => {
     try {
         const [vehicles, kids, teams, users, events] = await Promise.all([
             getDocs(collection(db, 'vehicles')),
@@ -29,10 +43,10 @@ export const getSystemOverview = async () => {
         ]);
 
         const vehicleData = vehicles.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        const kidData = kids.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        const teamData = teams.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const kidData = toSeasonRecords(kids, 'kids', seasonId);
+        const teamData = toSeasonRecords(teams, 'teams', seasonId);
         const userData = users.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        const eventData = events.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const eventData = toSeasonRecords(events, 'events', seasonId);
 
         return {
             summary: {
@@ -47,6 +61,7 @@ export const getSystemOverview = async () => {
                 totalUsers: userData.length,
                 instructors: userData.filter(u => u.role === 'instructor').length
             },
+            seasonId,
             lastUpdated: new Date().toISOString()
         };
     } catch (error) {
@@ -135,8 +150,9 @@ export const getVehicleAnalytics = async () => {
 
 /**
  * 👥 TEAM ANALYTICS - Performance, Capacity, Distribution
+ * @param {Object} options - { seasonId } limits teams and kids to one season
  */
-export const getTeamAnalytics = async () => {
+export const getTeamAnalytics = async ({ seasonId = ALL_SEASONS } = {}) => {
     try {
         const [teams, kids, vehicles] = await Promise.all([
             getDocs(collection(db, 'teams')),
@@ -144,8 +160,8 @@ export const getTeamAnalytics = async () => {
             getDocs(collection(db, 'vehicles'))
         ]);
 
-        const teamData = teams.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        const kidData = kids.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const teamData = toSeasonRecords(teams, 'teams', seasonId);
+        const kidData = toSeasonRecords(kids, 'kids', seasonId);
         const vehicleData = vehicles.docs.map(doc => ({ id: doc.id, ...doc.data() }));
 
         const teamAnalytics = teamData.map(team => {
@@ -205,8 +221,9 @@ export const getTeamAnalytics = async () => {
 
 /**
  * 🏁 PARTICIPATION ANALYTICS - Events, Performance, Engagement
+ * @param {Object} options - { seasonId } limits events, their participants and kids to one season
  */
-export const getParticipationAnalytics = async () => {
+export const getParticipationAnalytics = async ({ seasonId = ALL_SEASONS } = {}) => {
     try {
         const [events, participants, kids] = await Promise.all([
             getDocs(collection(db, 'events')),
@@ -214,9 +231,12 @@ export const getParticipationAnalytics = async () => {
             getDocs(collection(db, 'kids'))
         ]);
 
-        const eventData = events.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        const participantData = participants.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        const kidData = kids.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const eventData = toSeasonRecords(events, 'events', seasonId);
+        const seasonEventIds = new Set(eventData.map(event => event.id));
+        const participantData = participants.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(p => seasonId === ALL_SEASONS || seasonEventIds.has(p.eventId));
+        const kidData = toSeasonRecords(kids, 'kids', seasonId);
 
         // Event participation analysis
         const eventAnalytics = eventData.map(event => {
@@ -282,8 +302,9 @@ export const getParticipationAnalytics = async () => {
 
 /**
  * 📈 TRENDS ANALYTICS - Historical patterns and predictions
+ * @param {Object} options - { seasonId } limits kids and events to one season
  */
-export const getTrendsAnalytics = async () => {
+export const getTrendsAnalytics = async ({ seasonId = ALL_SEASONS } = {}) => {
     try {
         const [vehicles, kids, events] = await Promise.all([
             getDocs(collection(db, 'vehicles')),
@@ -292,8 +313,8 @@ export const getTrendsAnalytics = async () => {
         ]);
 
         const vehicleData = vehicles.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        const kidData = kids.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        const eventData = events.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const kidData = toSeasonRecords(kids, 'kids', seasonId);
+        const eventData = toSeasonRecords(events, 'events', seasonId);
 
         // Registration trends (kids joining over time)
         const registrationTrends = getTimeSeriesData(kidData, 'createdAt', 30); // Last 30 days
@@ -336,13 +357,14 @@ export const getTrendsAnalytics = async () => {
 
 /**
  * 🎯 PERFORMANCE METRICS - KPIs and health indicators
+ * @param {Object} options - { seasonId } passed on to the overview and team analytics
  */
-export const getPerformanceMetrics = async () => {
+export const getPerformanceMetrics = async ({ seasonId = ALL_SEASONS } = {}) => {
     try {
         const [systemOverview, vehicleAnalytics, teamAnalytics] = await Promise.all([
-            getSystemOverview(),
+            getSystemOverview({ seasonId }),
             getVehicleAnalytics(),
-            getTeamAnalytics()
+            getTeamAnalytics({ seasonId })
         ]);
 
         // Calculate key performance indicators
@@ -368,6 +390,64 @@ export const getPerformanceMetrics = async () => {
     }
 };
 
+/**
+ * 📅 SEASON COMPARISON - Enrollment, retention and activity per season
+ * @param {Array} seasons - Seasons to compare
+ * @returns {Promise<Array>} One row per season, newest first
+ */
+export const getSeasonComparison = async (seasons) => {
+    try {
+        const [kids, teams, events, participants] = await Promise.all([
+            getDocs(collection(db, 'kids')),
+            getDocs(collection(db, 'teams')),
+            getDocs(collection(db, 'events')),
+            getDocs(collection(db, 'eventParticipants'))
+        ]);
+
+        const kidData = kids.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const teamData = teams.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const eventData = events.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const participantData = participants.docs.map(doc => doc.data());
+
+        const ordered = sortSeasons(seasons);
+
+        return ordered.map((season, index) => {
+            const previousSeason = ordered[index + 1];
+            const seasonKids = kidData.filter(kid => isInSeason(kid, season.id, 'kids'));
+            const seasonEventIds = new Set(
+                eventData.filter(event => isInSeason(event, season.id, 'events')).map(event => event.id)
+            );
+            const statusCount = (status) =>
+                kidData.filter(kid => getEnrollmentStatus(kid, season.id) === status).length;
+
+            // Share of last season's kids that came back
+            const previousKids = previousSeason
+                ? kidData.filter(kid => isInSeason(kid, previousSeason.id, 'kids'))
+                : [];
+            const returningKids = previousKids.filter(kid => isInSeason(kid, season.id, 'kids')).length;
+
+            return {
+                seasonId: season.id,
+                name: season.name,
+                status: season.status,
+                enrolledKids: seasonKids.length,
+                invitedKids: statusCount(ENROLLMENT_STATUS.INVITED),
+                declinedKids: statusCount(ENROLLMENT_STATUS.DECLINED),
+                completedForms: seasonKids.filter(kid => kid.signedFormStatus === 'completed').length,
+                teams: teamData.filter(team => isInSeason(team, season.id, 'teams')).length,
+                events: seasonEventIds.size,
+                participations: participantData.filter(p => seasonEventIds.has(p.eventId)).length,
+                retentionRate: previousKids.length > 0
+                    ? Math.round((returningKids / previousKids.length) * 100)
+                    : null
+            };
+        });
+    } catch (error) {
+        console.error('Error getting season comparison:', error);
+        throw new Error('Failed to generate season comparison');
+    }
+};
+
 // ========================================
 // HELPER FUNCTIONS
 // ========================================
@@ -0,0 +1,66 @@
+// src/services/auditService.js - Read the audit log written by the audit triggers
+import {
+    collection,
+    getDocs,
+    query,
+    where,
+    orderBy,
+    limit
+} from 'firebase/firestore';
+import { db } from '../firebase/config';
+
+const AUDIT_COLLECTION = 'auditLog';
+
+const toAuditEntry = (doc) => {
+    const data = doc.data();
+    return {
+        id: doc.id,
+        ...data,
+        changes: data.changes || [],
+        timestamp: data.timestamp?.toDate?.() || (data.eventTime ? new Date(data.eventTime) : null)
+    };
+};
+
+/**
+ * Get the change history of a single document, newest first
+ * @param {string} collectionName - Audited collection (kids, teams, vehicles, events, users)
+ * @param {string} docId - Document ID
+ * @param {number} maxEntries - Maximum number of entries to return
+ * @returns {Promise<Array>} Audit entries
+ */
+export const getAuditHistory = async (collectionName, docId, maxEntries = 50) => {
+    try {
+        const historyQuery = query(
+            collection(db, AUDIT_COLLECTION),
+            where('collection', '==', collectionName),
+            where('docId', '==', docId),
+            orderBy('timestamp', 'desc'),
+            limit(maxEntries)
+        );
+        const querySnapshot = await getDocs(historyQuery);
+        return querySnapshot.docs.map(toAuditEntry);
+    } catch (error) {
+        console.error('Error getting audit history:', error);
+        throw new Error(`Failed to load history: ${error.message}`);
+    }
+};
+
+/**
+ * Get the most recent audit entries across all audited collections
+ * @param {number} maxEntries - Maximum number of entries to return
+ * @returns {Promise<Array>} Audit entries, newest first
+ */
+export const getRecentAuditEntries = async (maxEntries = 10) => {
+    try {
+        const recentQuery = query(
+            collection(db, AUDIT_COLLECTION),
+            orderBy('timestamp', 'desc'),
+            limit(maxEntries)
+        );
+        const querySnapshot = await getDocs(recentQuery);
+        return querySnapshot.docs.map(toAuditEntry);
+    } catch (error) {
+        console.error('Error getting recent audit entries:', error);
+        throw new Error(`Failed to load recent activity: ${error.message}`);
+    }
+};
@@ -0,0 +1,26 @@
+// src/services/calendarService.js - Subscribable calendar feed of the signed-in user's events
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../firebase/config';
+
+/**
+ * Create a calendar feed link for the signed-in user. The link is secret and shown only
+ * once; creating a new one stops the previous link from working.
+ * @returns {Promise<Object>} { url, webcalUrl }
+ */
+export const createCalendarFeedLink = async () => {
+    try {
+        const createFunction = httpsCallable(functions, 'createCalendarFeedLink');
+        const result = await createFunction();
+        return result.data;
+    } catch (error) {
+        console.error('Error creating calendar feed link:', error);
+        if (error.code === 'functions/permission-denied') {
+            throw new Error('Calendar feeds are available to parents, instructors and admins.');
+        }
+        throw new Error(`Failed to create the calendar link: ${error.message}`);
+    }
+};
+
+export default {
+    createCalendarFeedLink
+};
@@ -4,10 +4,11 @@ import {
     getDocs,
     query,
     orderBy,
-    limit,
     Timestamp
 } from 'firebase/firestore';
 import { db } from '../firebase/config';
+import { getRecentAuditEntries } from './auditService';
+import { compareEventStarts, formatEventDate as formatDateInIsrael, getEventStart } from '../utils/eventDateUtils';
 
 /**
  * Get total count of users
@@ -55,31 +56,6 @@ export const getActiveTeams = async () => {
     }
 };
 
-/**
- * Parse date string to Date object
- * @param {string|Date|Timestamp} dateInput - Date in various formats
- * @returns {Date|null} Parsed date or null if invalid
- */
-const parseEventDate = (dateInput) => {
-    if (!dateInput || dateInput === 'Date TBD') return null;
-
-    // If it's already a Date object
-    if (dateInput instanceof Date) return dateInput;
-
-    // If it's a Firestore Timestamp
-    if (dateInput.toDate && typeof dateInput.toDate === 'function') {
-        return dateInput.toDate();
-    }
-
-    // If it's a string, try to parse it
-    if (typeof dateInput === 'string') {
-        const parsed = new Date(dateInput);
-        return isNaN(parsed.getTime()) ? null : parsed;
-    }
-
-    return null;
-};
-
 /**
  * Get upcoming events count and details
  * @returns {Promise<{count: number, events: Array}>} Upcoming events data
@@ -94,15 +70,13 @@ export const getUpcomingEvents = async () => {
 
         const querySnapshot = await getDocs(eventsQuery);
         const allEvents = [];
-        const now = new Date();
 
         querySnapshot.forEach((doc) => {
             const eventData = doc.data();
-            const eventDate = parseEventDate(eventData.date);
+            const eventDate = getEventStart(eventData);
 
-            // Only include events that have valid dates and are in the future, or have status 'upcoming'
-            const isUpcoming = eventData.status === 'upcoming' ||
-                (eventDate && eventDate >= now);
+            // updateEventStatuses keeps the status current, so cancelled and started events drop out
+            const isUpcoming = (eventData.status || 'upcoming') === 'upcoming';
 
             if (isUpcoming) {
                 allEvents.push({
@@ -113,17 +87,14 @@ export const getUpcomingEvents = async () => {
                     description: eventData.description || '',
                     status: eventData.status || 'upcoming',
                     participants: eventData.attendees || eventData.participants || 0,
-                    ...eventData
+                    ...eventData,
+                    startsAt: eventDate
                 });
             }
         });
 
         // Sort by date (nearest first)
-        allEvents.sort((a, b) => {
-            const dateA = a.date;
-            const dateB = b.date;
-            return dateA - dateB;
-        });
+        allEvents.sort(compareEventStarts);
 
         // Return first 10 upcoming events
         const upcomingEvents = allEvents.slice(0, 10);
@@ -138,265 +109,57 @@ export const getUpcomingEvents = async () => {
     }
 };
 
-/**
- * Get recent activities from multiple collections
- * @returns {Promise<Array>} Recent activities
- */
-export const getRecentActivities = async () => {
-    try {
-        const activities = [];
-
-        // Get recent users (last 15 to account for both creates and updates)
-        try {
-            let usersSnapshot;
-            try {
-                const recentUsersQuery = query(
-                    collection(db, 'users'),
-                    orderBy('updatedAt', 'desc'),
-                    limit(15)
-                );
-                usersSnapshot = await getDocs(recentUsersQuery);
-            } catch (error) {
-                // If updatedAt field doesn't exist, fall back to createdAt
-                try {
-                    const fallbackQuery = query(
-                        collection(db, 'users'),
-                        orderBy('createdAt', 'desc'),
-                        limit(15)
-                    );
-                    usersSnapshot = await getDocs(fallbackQuery);
-                } catch (fallbackError) {
-                    // If no ordering field exists, just get all users
-                    const allUsersQuery = collection(db, 'users');
-                    usersSnapshot = await getDocs(allUsersQuery);
-                }
-            }
-
-            usersSnapshot.forEach((doc) => {
-                const userData = doc.data();
-                const createdAt = userData.createdAt?.toDate?.() || new Date();
-                const updatedAt = userData.updatedAt?.toDate?.();
-
-                // Determine if this was a creation or update
-                let isUpdate = false;
-                let activityTimestamp = createdAt;
-
-                if (updatedAt && createdAt) {
-                    // If updatedAt is more than 10 seconds after createdAt, consider it an update
-                    const timeDiff = Math.abs(updatedAt.getTime() - createdAt.getTime());
-                    if (timeDiff > 10000) { // 10 seconds threshold
-                        isUpdate = true;
-                        activityTimestamp = updatedAt;
-                    }
-                } else if (updatedAt && !createdAt) {
-                    // If only updatedAt exists, it's likely an update
-                    isUpdate = true;
-                    activityTimestamp = updatedAt;
-                }
-
-                activities.push({
-                    type: isUpdate ? 'user_updated' : 'user_created',
-                    timestamp: activityTimestamp,
-                    description: isUpdate
-                        ? `User <strong>${userData.displayName || userData.name || userData.email || 'Unknown'}</strong> was updated.`
-                        : `New user <strong>${userData.displayName || userData.name || userData.email || 'Unknown'}</strong> was added.`,
-                    icon: isUpdate ? '✏️' : '👤',
-                    details: {
-                        email: userData.email,
-                        role: userData.role,
-                        action: isUpdate ? 'updated' : 'created'
-                    }
-                });
-            });
-        } catch (usersError) {
-        }
-
-        // Get recent events (last 10)
-        try {
-            let eventsSnapshot;
-            try {
-                const recentEventsQuery = query(
-                    collection(db, 'events'),
-                    orderBy('createdAt', 'desc'),
-                    limit(10)
-                );
-                eventsSnapshot = await getDocs(recentEventsQuery);
-            } catch (error) {
-                // If createdAt doesn't exist, get all events
-                const allEventsQuery = collection(db, 'events');
-                eventsSnapshot = await getDocs(allEventsQuery);
-            }
-
-            eventsSnapshot.forEach((doc) => {
-                const eventData = doc.data();
-                const timestamp = eventData.createdAt?.toDate?.() ||
-                    eventData.updatedAt?.toDate?.() ||
-                    new Date();
-
-                activities.push({
-                    type: 'event_created',
-                    timestamp: timestamp,
-                    description: `Event <strong>${eventData.name || eventData.title || 'Unnamed Event'}</strong> was created.`,
-                    icon: '📅',
-                    details: {
-                        location: eventData.location,
-                        date: eventData.date,
-                        status: eventData.status
-                    }
-                });
-            });
-        } catch (eventsError) {
-        }
-
-        // Get recent kids registrations (last 5)
-        try {
-            let kidsSnapshot;
-            try {
-                const recentKidsQuery = query(
-                    collection(db, 'kids'),
-                    orderBy('createdAt', 'desc'),
-                    limit(5)
-                );
-                kidsSnapshot = await getDocs(recentKidsQuery);
-            } catch (error) {
-                // If createdAt doesn't exist, get all kids
-                const allKidsQuery = collection(db, 'kids');
-                kidsSnapshot = await getDocs(allKidsQuery);
-            }
-
-            kidsSnapshot.forEach((doc) => {
-                const kidData = doc.data();
-                const timestamp = kidData.createdAt?.toDate?.() ||
-                    kidData.updatedAt?.toDate?.() ||
-                    new Date();
-
-                activities.push({
-                    type: 'kid_registered',
-                    timestamp: timestamp,
-                    description: `<strong>${kidData.firstName || 'Child'} ${kidData.lastName || ''}</strong> was registered.`,
-                    icon: '👶',
-                    details: {
-                        age: kidData.age,
-                        team: kidData.teamId
-                    }
-                });
-            });
-        } catch (kidsError) {
-        }
-
-        // Get recent teams (last 5)
-        try {
-            let teamsSnapshot;
-            try {
-                const recentTeamsQuery = query(
-                    collection(db, 'teams'),
-                    orderBy('createdAt', 'desc'),
-                    limit(5)
-                );
-                teamsSnapshot = await getDocs(recentTeamsQuery);
-            } catch (error) {
-                // If createdAt doesn't exist, get all teams
-                const allTeamsQuery = collection(db, 'teams');
-                teamsSnapshot = await getDocs(allTeamsQuery);
-            }
+const ACTIVITY_ENTITIES = {
+    kids: { type: 'kid', name: 'Kid', icon: '👶' },
+    teams: { type: 'team', name: 'Team', icon: '👥' },
+    vehicles: { type: 'vehicle', name: 'Vehicle', icon: '🏎️' },
+    events: { type: 'event', name: 'Event', icon: '📅' },
+    users: { type: 'user', name: 'User', icon: '👤' }
+};
 
-            teamsSnapshot.forEach((doc) => {
-                const teamData = doc.data();
-                const timestamp = teamData.createdAt?.toDate?.() ||
-                    teamData.updatedAt?.toDate?.() ||
-                    new Date();
+const ACTIVITY_VERBS = {
+    create: 'was created',
+    update: 'was updated',
+    delete: 'was deleted'
+};
 
-                activities.push({
-                    type: 'team_created',
-                    timestamp: timestamp,
-                    description: `Team <strong>${teamData.name || 'Unnamed Team'}</strong> was created.`,
-                    icon: '👥',
-                    details: {
-                        instructor: teamData.instructorId,
-                        capacity: teamData.maxCapacity
-                    }
-                });
-            });
-        } catch (teamsError) {
-        }
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 
-        // If we don't have many real activities, add some mock ones based on your screenshots
-        if (activities.length < 5) {
-            const mockActivities = [
-                {
-                    type: 'event_created',
-                    timestamp: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000), // 2 days ago
-                    description: 'Event <strong>b</strong> was created.',
-                    icon: '📅',
-                    details: {}
-                },
-                {
-                    type: 'event_created',
-                    timestamp: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000), // 2 days ago
-                    description: 'Event <strong>a</strong> was created.',
-                    icon: '📅',
-                    details: {}
-                },
-                {
-                    type: 'user_updated',
-                    timestamp: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000), // 2 days ago
-                    description: 'User <strong>instructorTest</strong> was updated.',
-                    icon: '✏️',
-                    details: {}
-                },
-                {
-                    type: 'team_created',
-                    timestamp: new Date(Date.now() - 4 * 24 * 60 * 60 * 1000), // 4 days ago
-                    description: 'Team <strong>testName</strong> was created.',
-                    icon: '👥',
-                    details: {}
-                },
-                {
-                    type: 'user_created',
-                    timestamp: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000), // 5 days ago
-                    description: 'New user <strong>parentTest</strong> was added.',
-                    icon: '👤',
-                    details: {}
+/**
+ * Get recent activities from the audit log
+ * @param {number} maxActivities - Maximum number of activities to return
+ * @returns {Promise<Array>} Recent activities, newest first
+ */
+export const getRecentActivities = async (maxActivities = 10) => {
+    try {
+        const entries = await getRecentAuditEntries(maxActivities);
+
+        return entries.map((entry) => {
+            const entity = ACTIVITY_ENTITIES[entry.collection] || { type: entry.collection, name: entry.collection, icon: '📝' };
+            const verb = ACTIVITY_VERBS[entry.action] || ACTIVITY_VERBS.update;
+
+            return {
+                type: `${entity.type}_${entry.action}`,
+                timestamp: entry.timestamp,
+                description: `${entity.name} <strong>${escapeHtml(entry.label || entry.docId)}</strong> ${verb}.`,
+                icon: entity.icon,
+                collection: entry.collection,
+                docId: entry.docId,
+                action: entry.action,
+                label: entry.label,
+                actor: entry.actor || null,
+                details: {
+                    changedFields: entry.changedFields || []
                 }
-            ];
-
-            // Add mock activities only if we don't have enough real ones
-            const totalActivities = [...activities, ...mockActivities];
-            activities.push(...mockActivities.slice(0, Math.max(0, 10 - activities.length)));
-        }
-
-        // Sort all activities by timestamp (most recent first)
-        activities.sort((a, b) => b.timestamp - a.timestamp);
-
-        // Return only the 10 most recent activities
-        return activities.slice(0, 10);
-
+            };
+        });
     } catch (error) {
         console.error('Error getting recent activities:', error);
-        // Return mock activities if everything fails
-        return [
-            {
-                type: 'event_created',
-                timestamp: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000),
-                description: 'Event <strong>Sample Event</strong> was created.',
-                icon: '📅',
-                details: {}
-            },
-            {
-                type: 'user_updated',
-                timestamp: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000),
-                description: 'User <strong>instructorTest</strong> was updated.',
-                icon: '✏️',
-                details: {}
-            },
-            {
-                type: 'team_created',
-                timestamp: new Date(Date.now() - 4 * 24 * 60 * 60 * 1000),
-                description: 'Team <strong>testName</strong> was created.',
-                icon: '👥',
-                details: {}
-            }
-        ];
+        return [];
     }
 };
 
@@ -474,18 +237,7 @@ export const formatTimeAgo = (date) => {
 
 /**
  * Format event date for display
- * @param {Date|string} date - Event date
+ * @param {Object} event - Event
  * @returns {string} Formatted date string
  */
-export const formatEventDate = (date) => {
-    if (!date || date === 'Date TBD') return 'TBD';
-
-    const parsedDate = parseEventDate(date);
-    if (!parsedDate) return 'TBD';
-
-    return parsedDate.toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-    });
-};
\ No newline at end of file
+export const formatEventDate = (event) => formatDateInIsrael(event, 'en-US') || 'TBD';
\ No newline at end of file
@@ -0,0 +1,176 @@
+// src/services/eventRegistrationService.js - Per-kid event registrations (eventParticipants)
+import { collection, doc, getDocs, onSnapshot, query, serverTimestamp, updateDoc, where, writeBatch } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../firebase/config';
+import { isActiveRegistration } from '../schemas/eventRegistrationSchema';
+
+const REGISTRATIONS_COLLECTION = 'eventParticipants';
+
+const convertRegistration = (registrationDoc) => {
+    const data = registrationDoc.data();
+    return {
+        id: registrationDoc.id,
+        ...data,
+        registeredAt: data.registeredAt?.toDate ? data.registeredAt.toDate() : data.registeredAt || null,
+        cancelledAt: data.cancelledAt?.toDate ? data.cancelledAt.toDate() : data.cancelledAt || null,
+        promotedAt: data.promotedAt?.toDate ? data.promotedAt.toDate() : data.promotedAt || null,
+        checkedInAt: data.checkedInAt?.toDate ? data.checkedInAt.toDate() : data.checkedInAt || null,
+        // A check-in made offline that has not reached the server yet
+        pendingSync: registrationDoc.metadata?.hasPendingWrites || false
+    };
+};
+
+/**
+ * Get the registrations of an event, cancelled ones included
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>} Registrations
+ */
+export const getEventRegistrations = async (eventId) => {
+    try {
+        const snapshot = await getDocs(query(
+            collection(db, REGISTRATIONS_COLLECTION),
+            where('eventId', '==', eventId)
+        ));
+        return snapshot.docs.map(convertRegistration);
+    } catch (error) {
+        console.error('Error getting event registrations:', error);
+        throw new Error(`Failed to load registrations: ${error.message}`);
+    }
+};
+
+/**
+ * Get every active registration, across events
+ * @returns {Promise<Array>} Registrations with status `registered`
+ */
+export const getActiveRegistrations = async () => {
+    try {
+        const snapshot = await getDocs(collection(db, REGISTRATIONS_COLLECTION));
+        return snapshot.docs.map(convertRegistration).filter(isActiveRegistration);
+    } catch (error) {
+        console.error('Error getting registrations:', error);
+        throw new Error(`Failed to load registrations: ${error.message}`);
+    }
+};
+
+/**
+ * Register kids for an event
+ * Runs server-side, which checks the registration window, capacity and each kid's
+ * eligibility. Kids that cannot be registered are returned with the reasons, the others
+ * are registered, or put on the waitlist when the event is full.
+ * @param {string} eventId - Event ID
+ * @param {Array<string>} kidIds - Kids to register
+ * @param {string|null} formSubmissionId - Form submission the registration came from
+ * @returns {Promise<Object>} { registered: [kidId], waitlisted: [kidId], rejected: [{ kidId, reasons }] }
+ */
+export const registerKidsForEvent = async (eventId, kidIds, formSubmissionId = null) => {
+    try {
+        const registerFunction = httpsCallable(functions, 'registerKidsForEvent');
+        const result = await registerFunction({ eventId, kidIds, formSubmissionId });
+        return result.data;
+    } catch (error) {
+        console.error('Error registering kids for event:', error);
+        if (error.code === 'functions/permission-denied') {
+            throw new Error('You do not have permission to register these kids.');
+        }
+        throw new Error(`Failed to register for the event: ${error.message}`);
+    }
+};
+
+/**
+ * Cancel a kid's registration for an event; the registration is kept as cancelled.
+ * The freed place goes to the next kid on the waitlist until the promotion cutoff.
+ * @param {string} eventId - Event ID
+ * @param {string} kidId - Kid ID
+ * @returns {Promise<Object>} { eventId, kidId, promoted: [kidId] }
+ */
+export const cancelEventRegistration = async (eventId, kidId) => {
+    try {
+        const cancelFunction = httpsCallable(functions, 'cancelEventRegistration');
+        const result = await cancelFunction({ eventId, kidId });
+        return result.data;
+    } catch (error) {
+        console.error('Error cancelling event registration:', error);
+        if (error.code === 'functions/permission-denied') {
+            throw new Error('You do not have permission to cancel this registration.');
+        }
+        throw new Error(`Failed to cancel the registration: ${error.message}`);
+    }
+};
+
+/**
+ * Reorder an event's waitlist (admin only)
+ * @param {Array<string>} registrationIds - Waitlisted registrations in their new order
+ * @returns {Promise<void>}
+ */
+export const reorderWaitlist = async (registrationIds) => {
+    try {
+        const batch = writeBatch(db);
+        registrationIds.forEach((registrationId, index) => {
+            batch.update(doc(db, REGISTRATIONS_COLLECTION, registrationId), {
+                waitlistPosition: index + 1,
+                updatedAt: serverTimestamp()
+            });
+        });
+        await batch.commit();
+    } catch (error) {
+        console.error('Error reordering waitlist:', error);
+        throw new Error(`Failed to reorder the waitlist: ${error.message}`);
+    }
+};
+
+/**
+ * Follow the registrations of an event as they change, check-ins made on this device included.
+ * With no connection the cached registrations are used and local check-ins show as pendingSync.
+ * @param {string} eventId - Event ID
+ * @param {Function} onChange - Called with the registrations
+ * @param {Function} onError - Called with an Error
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToEventRegistrations = (eventId, onChange, onError) => onSnapshot(
+    query(collection(db, REGISTRATIONS_COLLECTION), where('eventId', '==', eventId)),
+    { includeMetadataChanges: true },
+    (snapshot) => onChange(snapshot.docs.map(convertRegistration)),
+    (error) => {
+        console.error('Error following event registrations:', error);
+        onError(new Error(`Failed to load registrations: ${error.message}`));
+    }
+);
+
+/**
+ * Mark a kid as arrived (admins only). The arrival time is the device's, as the write may
+ * wait in the offline queue; the promise only settles once the server has it, so callers
+ * that must not block at the gate do not await it.
+ * @param {string} registrationId - Registration ID
+ * @param {string} userId - Staff member checking the kid in
+ * @returns {Promise<void>}
+ */
+export const checkInRegistration = async (registrationId, userId) => {
+    try {
+        await updateDoc(doc(db, REGISTRATIONS_COLLECTION, registrationId), {
+            checkedInAt: new Date(),
+            checkedInBy: userId || null,
+            updatedAt: serverTimestamp()
+        });
+    } catch (error) {
+        console.error('Error checking in:', error);
+        throw new Error(`Failed to check in: ${error.message}`);
+    }
+};
+
+/**
+ * Undo a check-in made by mistake (admins only)
+ * @param {string} registrationId - Registration ID
+ * @returns {Promise<void>}
+ */
+export const undoCheckIn = async (registrationId) => {
+    try {
+        await updateDoc(doc(db, REGISTRATIONS_COLLECTION, registrationId), {
+            checkedInAt: null,
+            checkedInBy: null,
+            updatedAt: serverTimestamp()
+        });
+    } catch (error) {
+        console.error('Error undoing check-in:', error);
+        throw new Error(`Failed to undo the check-in: ${error.message}`);
+    }
+};
@@ -1,12 +1,25 @@
 // src/services/eventService.js - Simple Event Service
 import {
     collection,
+    doc,
+    getDoc,
     getDocs,
     query,
     where,
-    orderBy
+    orderBy,
+    serverTimestamp,
+    updateDoc
 } from 'firebase/firestore';
-import { db } from '../firebase/config';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../firebase/config';
+import { EVENT_STATUS, canChangeEventStatus, validateCancellationReason } from '../schemas/eventSchema';
+import { compareEventStarts, getEventEnd, getEventStart } from '../utils/eventDateUtils';
+
+// startsAt and endsAt as Dates, also for events saved before they were stored
+const convertEvent = (eventDoc) => {
+    const event = { id: eventDoc.id, ...eventDoc.data() };
+    return { ...event, startsAt: getEventStart(event), endsAt: getEventEnd(event) };
+};
 
 /**
  * Get all events from the database
@@ -21,10 +34,7 @@ export const getAllEvents = async () => {
 
         const querySnapshot = await getDocs(eventsQuery);
 
-        return querySnapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-        }));
+        return querySnapshot.docs.map(convertEvent);
     } catch (error) {
         console.error('Error fetching events:', error);
         throw new Error(`Failed to fetch events: ${error.message}`);
@@ -33,7 +43,7 @@ export const getAllEvents = async () => {
 
 /**
  * Get upcoming events only
- * @returns {Promise<Array>} Array of upcoming events
+ * @returns {Promise<Array>} Array of upcoming events, the next one first
  */
 export const getUpcomingEvents = async () => {
     try {
@@ -45,17 +55,110 @@ export const getUpcomingEvents = async () => {
 
         const querySnapshot = await getDocs(eventsQuery);
 
-        return querySnapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-        }));
+        return querySnapshot.docs.map(convertEvent).sort(compareEventStarts);
     } catch (error) {
         console.error('Error fetching upcoming events:', error);
         throw new Error(`Failed to fetch upcoming events: ${error.message}`);
     }
 };
 
+/**
+ * Get the events held or planned at a venue
+ * @param {string} venueId - Venue ID
+ * @returns {Promise<Array>} Events at the venue, the earliest first
+ */
+export const getEventsAtVenue = async (venueId) => {
+    try {
+        const querySnapshot = await getDocs(query(
+            collection(db, 'events'),
+            where('venueId', '==', venueId)
+        ));
+
+        return querySnapshot.docs.map(convertEvent).sort(compareEventStarts);
+    } catch (error) {
+        console.error('Error fetching venue events:', error);
+        throw new Error(`Failed to fetch the venue's events: ${error.message}`);
+    }
+};
+
+/**
+ * Get a single event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object|null>} Event, or null when it does not exist
+ */
+export const getEventById = async (eventId) => {
+    try {
+        const eventDoc = await getDoc(doc(db, 'events', eventId));
+        return eventDoc.exists() ? convertEvent(eventDoc) : null;
+    } catch (error) {
+        console.error('Error fetching event:', error);
+        throw new Error(`Failed to fetch event: ${error.message}`);
+    }
+};
+
+/**
+ * Move an event to ongoing or completed by hand, ahead of the schedule (admins only).
+ * Cancelling goes through cancelEvent instead.
+ * @param {string} eventId - Event ID
+ * @param {string} status - New status
+ * @returns {Promise<void>}
+ */
+export const updateEventStatus = async (eventId, status) => {
+    if (status === EVENT_STATUS.CANCELLED) {
+        throw new Error('Use cancelEvent to cancel an event');
+    }
+
+    const event = await getEventById(eventId);
+    if (!event) {
+        throw new Error('Event not found');
+    }
+    if (!canChangeEventStatus(event.status, status)) {
+        throw new Error(`A ${event.status || EVENT_STATUS.UPCOMING} event cannot become ${status}`);
+    }
+
+    try {
+        await updateDoc(doc(db, 'events', eventId), {
+            status,
+            statusChangedAt: serverTimestamp(),
+            updatedAt: serverTimestamp()
+        });
+    } catch (error) {
+        console.error('Error updating event status:', error);
+        throw new Error(`Failed to update event status: ${error.message}`);
+    }
+};
+
+/**
+ * Cancel an event (admins only). Its registrations and volunteer slots are released, its heat
+ * schedule is removed and every registered family and volunteer is notified with the reason.
+ * @param {string} eventId - Event ID
+ * @param {string} reason - Why the event is cancelled
+ * @returns {Promise<Object>} { registrationsCancelled, volunteersReleased, notified }
+ */
+export const cancelEvent = async (eventId, reason) => {
+    const validation = validateCancellationReason(reason);
+    if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+    }
+
+    try {
+        const cancelFunction = httpsCallable(functions, 'cancelEvent');
+        const result = await cancelFunction({ eventId, reason: reason.trim() });
+        return result.data;
+    } catch (error) {
+        console.error('Error cancelling event:', error);
+        if (error.code === 'functions/permission-denied') {
+            throw new Error('Only admins can cancel events.');
+        }
+        throw new Error(`Failed to cancel the event: ${error.message}`);
+    }
+};
+
 export default {
     getAllEvents,
-    getUpcomingEvents
+    getUpcomingEvents,
+    getEventsAtVenue,
+    getEventById,
+    updateEventStatus,
+    cancelEvent
 };
\ No newline at end of file
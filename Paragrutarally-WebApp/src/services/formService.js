@@ -18,6 +18,8 @@ import {
 } from 'firebase/firestore';
 import { ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
 import { db, storage } from '../firebase/config';
+import { withActiveSeason } from './seasonService';
+import { getEventDay } from '../utils/eventDateUtils';
 
 // Collections
 const FORMS_COLLECTION = 'forms';
@@ -207,15 +209,10 @@ export const getFormById = async (formId) => {
             return timestamp;
         };
 
-        // Safely convert eventDate
+        // eventDate as the YYYY-MM-DD the form fields use; older forms stored a Timestamp
         let eventDateConverted = null;
         if (data.eventDetails?.eventDate) {
-            try {
-                eventDateConverted = safeToDate(data.eventDetails.eventDate);
-            } catch (e) {
-                console.warn('Could not convert eventDate:', e);
-                eventDateConverted = data.eventDetails.eventDate;
-            }
+            eventDateConverted = getEventDay({ date: data.eventDetails.eventDate }) || data.eventDetails.eventDate;
         }
 
         return {
@@ -420,7 +417,7 @@ export const createForm = async (formData) => {
     try {
         const formsRef = collection(db, FORMS_COLLECTION);
         const docRef = await addDoc(formsRef, {
-            ...formData,
+            ...await withActiveSeason(formData, 'forms'),
             createdAt: serverTimestamp(),
             updatedAt: serverTimestamp(),
             viewCount: 0,
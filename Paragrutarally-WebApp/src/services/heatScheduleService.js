@@ -0,0 +1,68 @@
+// src/services/heatScheduleService.js - Saved heat schedules, one per event
+import { doc, getDoc, serverTimestamp, setDoc } from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { validateHeatSettings } from '../utils/heatScheduleUtils';
+
+const HEAT_SCHEDULES_COLLECTION = 'heatSchedules';
+
+/**
+ * Get the saved heat schedule of an event
+ * @param {string} eventId - Event ID (the schedule shares it)
+ * @returns {Promise<Object|null>} { settings, heats: [{ kidIds }], unscheduledKidIds }, or null
+ */
+export const getHeatSchedule = async (eventId) => {
+    try {
+        const snapshot = await getDoc(doc(db, HEAT_SCHEDULES_COLLECTION, eventId));
+        if (!snapshot.exists()) {
+            return null;
+        }
+        const data = snapshot.data();
+        return {
+            id: snapshot.id,
+            ...data,
+            updatedAt: data.updatedAt?.toDate ? data.updatedAt.toDate() : data.updatedAt || null
+        };
+    } catch (error) {
+        console.error('Error getting heat schedule:', error);
+        throw new Error(`Failed to load heat schedule: ${error.message}`);
+    }
+};
+
+/**
+ * Save the heat schedule of an event (admins only)
+ * @param {string} eventId - Event ID
+ * @param {Object} schedule - { settings, heats: [{ kidIds }], unscheduledKidIds }
+ * @param {string} userId - Admin saving it
+ * @returns {Promise<void>}
+ */
+export const saveHeatSchedule = async (eventId, schedule, userId) => {
+    const validation = validateHeatSettings(schedule.settings);
+    if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+    }
+
+    try {
+        await setDoc(doc(db, HEAT_SCHEDULES_COLLECTION, eventId), {
+            eventId,
+            settings: {
+                heatSize: Number(schedule.settings.heatSize),
+                heatDurationMinutes: Number(schedule.settings.heatDurationMinutes),
+                changeoverMinutes: Number(schedule.settings.changeoverMinutes),
+                startTime: schedule.settings.startTime
+            },
+            // Firestore does not store nested arrays, so each heat is a map
+            heats: schedule.heats.map(heat => ({ kidIds: heat.kidIds })),
+            unscheduledKidIds: schedule.unscheduledKidIds || [],
+            updatedAt: serverTimestamp(),
+            updatedBy: userId || null
+        });
+    } catch (error) {
+        console.error('Error saving heat schedule:', error);
+        throw new Error(`Failed to save heat schedule: ${error.message}`);
+    }
+};
+
+export default {
+    getHeatSchedule,
+    saveHeatSchedule
+};
@@ -0,0 +1,111 @@
+// src/services/kidImportService.js - Bulk import of kids from an Excel sheet
+import { ref, uploadBytes } from 'firebase/storage';
+import { storage } from '../firebase/config';
+import { addKid, getAllKids, getNextParticipantNumber, updateKid, updateKidTeamAssignment } from './kidService';
+import { addKidToTeam, getAllTeams } from './teamService';
+
+const EXCEL_TYPES = [
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-excel'
+];
+
+/**
+ * Load what the dry run compares the sheet against
+ * @returns {Promise<Object>} { existingKids, teams } - existing kids include archived ones
+ */
+export const loadKidImportContext = async () => {
+    try {
+        const [existingKids, teams] = await Promise.all([
+            getAllKids({ includeArchived: true }),
+            getAllTeams()
+        ]);
+        return { existingKids, teams };
+    } catch (error) {
+        console.error('Error loading import context:', error);
+        throw new Error(`Failed to load existing kids: ${error.message}`);
+    }
+};
+
+/**
+ * Keep a copy of the imported sheet under imports/kids/{uid}
+ * @param {File} file - The uploaded sheet
+ * @param {string} userId - Admin running the import
+ * @returns {Promise<string|null>} Storage path, or null for CSV files (storage only accepts Excel)
+ */
+const archiveImportFile = async (file, userId) => {
+    if (!file || !EXCEL_TYPES.includes(file.type)) return null;
+
+    const path = `imports/kids/${userId}/${Date.now()}_${file.name}`;
+    await uploadBytes(ref(storage, path), file, {
+        contentType: file.type,
+        customMetadata: { importedBy: userId, importedAt: new Date().toISOString() }
+    });
+    return path;
+};
+
+/**
+ * Write a confirmed import plan (from planKidImport)
+ * Each kid goes through the same service calls as the edit and add pages: updateKid (which
+ * re-reserves a changed participant number), updateKidTeamAssignment for team moves so
+ * rosters and vehicles stay in sync, and addKid so new kids get a number and the active season.
+ * @param {Object} plan - { creates, updates } from the dry run, with rejected rows left out
+ * @param {Object} options - { file, userId, onProgress(done, total) }
+ * @returns {Promise<Object>} { created, updated, failed: [{ rowNumber, name, error }], storagePath }
+ */
+export const commitKidImport = async (plan, { file = null, userId, onProgress = null } = {}) => {
+    const total = plan.creates.length + plan.updates.length;
+    const failed = [];
+    let created = 0;
+    let updated = 0;
+
+    let storagePath = null;
+    try {
+        storagePath = await archiveImportFile(file, userId);
+    } catch (error) {
+        // The copy is for the record only; the import itself can go ahead
+        console.warn('⚠️ Could not keep a copy of the import file:', error.message);
+    }
+
+    for (const update of plan.updates) {
+        try {
+            // The team and vehicle are left to updateKidTeamAssignment
+            const kidData = { ...update.data };
+            delete kidData.id;
+            delete kidData.teamId;
+            delete kidData.vehicleId;
+            await updateKid(update.kidId, kidData);
+
+            const teamChange = update.changes.find(change => change.field === 'teamId');
+            if (teamChange) {
+                await updateKidTeamAssignment(update.kidId, teamChange.to);
+            }
+            updated++;
+        } catch (error) {
+            console.error(`Error importing row ${update.rowNumber}:`, error);
+            failed.push({ rowNumber: update.rowNumber, name: update.name, error: error.message });
+        }
+        onProgress?.(updated + failed.length, total);
+    }
+
+    for (const create of plan.creates) {
+        try {
+            const participantNumber = create.data.participantNumber || await getNextParticipantNumber(create.data.teamId || null);
+            const kidId = await addKid({ ...create.data, participantNumber });
+            if (create.data.teamId) {
+                await addKidToTeam(create.data.teamId, kidId);
+            }
+            created++;
+        } catch (error) {
+            console.error(`Error importing row ${create.rowNumber}:`, error);
+            failed.push({ rowNumber: create.rowNumber, name: create.name, error: error.message });
+        }
+        onProgress?.(updated + created + failed.length, total);
+    }
+
+    return { created, updated, failed, storagePath };
+};
+
+export default {
+    loadKidImportContext,
+    commitKidImport
+};
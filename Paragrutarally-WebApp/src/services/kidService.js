@@ -1,55 +1,57 @@
 // src/services/kidService.js - Updated without Vehicle Assignment Logic
 import {
-    addDoc,
     collection,
-    deleteDoc,
     doc,
     getDoc,
     getDocs,
     limit,
     orderBy,
     query,
+    runTransaction,
     Timestamp,
     updateDoc,
     where
 } from 'firebase/firestore';
-import { db } from '../firebase/config';
-import { convertFirestoreToKid, getKidFullName, prepareKidForFirestore, validateKid } from '../schemas/kidSchema';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../firebase/config';
+import {
+    convertFirestoreToKid,
+    getKidFullName,
+    isKidArchived,
+    prepareKidForFirestore,
+    validateKid
+} from '../schemas/kidSchema';
+import {
+    PARTICIPANT_NUMBER_TAKEN,
+    isParticipantNumberInUse,
+    loadAllocationContext,
+    previewNextParticipantNumber,
+    reserveParticipantNumber
+} from './participantNumberService';
+import { participantNumberKey } from '../utils/participantNumberUtils';
+import { withActiveSeason } from './seasonService';
 
 /**
- * Get the next available participant number
+ * Preview the next participant number from the numbering counter
+ * The number is only reserved when the kid is saved, so it may still change.
+ * @param {string|null} teamId - Team the kid will join (teams can have reserved ranges)
  * @returns {Promise<string>} Next participant number (e.g., "004")
  */
-export const getNextParticipantNumber = async () => {
+export const getNextParticipantNumber = async (teamId = null) => {
     try {
-        const kidsQuery = query(
-            collection(db, 'kids'),
-            orderBy('participantNumber', 'desc'),
-            limit(1)
-        );
-
-        const querySnapshot = await getDocs(kidsQuery);
-
-        if (querySnapshot.empty) {
-            return '001'; // First participant
-        }
-
-        const lastKid = querySnapshot.docs[0].data();
-        const lastNumber = parseInt(lastKid.participantNumber) || 0;
-        const nextNumber = lastNumber + 1;
-
-        // Pad with zeros to make it 3 digits
-        return nextNumber.toString().padStart(3, '0');
+        // Empty when the team's range is used up
+        return await previewNextParticipantNumber(teamId) || '';
     } catch (error) {
         console.error('Error getting next participant number:', error);
-        // Return a timestamp-based number as fallback
-        const timestamp = Date.now().toString().slice(-3);
-        return timestamp.padStart(3, '0');
+        throw new Error(`Failed to get the next participant number: ${error.message}`);
     }
 };
 
 /**
  * Add a new kid to the database
+ * The kid and its participant number reservation are written in one transaction,
+ * so two admins adding kids at the same time cannot get the same number. A number that is
+ * already in use rejects with PARTICIPANT_NUMBER_TAKEN rather than being replaced.
  * @param {Object} kidData - Kid data from the form
  * @param {Function} t - Translation function (optional)
  * @returns {Promise<string>} The ID of the created kid document
@@ -63,33 +65,42 @@ export const addKid = async (kidData, t = null) => {
             throw new Error(`Validation failed: ${errorMessages}`);
         }
 
-        // Check if participant number is already taken
-        const existingKidQuery = query(
-            collection(db, 'kids'),
-            where('participantNumber', '==', kidData.participantNumber)
-        );
-        const existingKidSnapshot = await getDocs(existingKidQuery);
+        const requestedNumber = String(kidData.participantNumber).trim();
 
-        if (!existingKidSnapshot.empty) {
-            // Get next available number
-            const nextNumber = await getNextParticipantNumber();
-            kidData.participantNumber = nextNumber;
-            console.warn(`Participant number was taken, assigned new number: ${nextNumber}`);
+        // Kids created before numbers were reserved are only found by a query
+        if (await isParticipantNumberInUse(requestedNumber)) {
+            const takenError = new Error(`Participant number ${requestedNumber} is already in use`);
+            takenError.code = PARTICIPANT_NUMBER_TAKEN;
+            throw takenError;
         }
 
-        // Prepare data for Firestore (ensure vehicleId is set to null/empty for new kids)
-        const preparedData = {
-            ...prepareKidForFirestore(kidData, false),
-            vehicleId: null // Ensure new kids start with no vehicle assignment
-        };
-
-        // Add to Firestore
-        const docRef = await addDoc(collection(db, 'kids'), preparedData);
+        const context = await loadAllocationContext();
+        const kidRef = doc(collection(db, 'kids'));
+        const seasonedKidData = await withActiveSeason(kidData, 'kids');
+
+        await runTransaction(db, async (transaction) => {
+            const reservedNumber = await reserveParticipantNumber(transaction, context, {
+                kidId: kidRef.id,
+                teamId: kidData.teamId || null,
+                requestedNumber,
+                allowFallback: false
+            });
+
+            // Prepare data for Firestore (ensure vehicleId is set to null/empty for new kids)
+            transaction.set(kidRef, {
+                ...prepareKidForFirestore({ ...seasonedKidData, participantNumber: reservedNumber }, false),
+                vehicleId: null // Ensure new kids start with no vehicle assignment
+            });
+        });
 
-        return docRef.id;
+        return kidRef.id;
 
     } catch (error) {
         console.error('Error adding kid:', error);
+        if (error.code === PARTICIPANT_NUMBER_TAKEN) {
+            // Re-throw duplicate number errors as-is, like updateKid
+            throw error;
+        }
         throw new Error(`Failed to add kid: ${error.message}`);
     }
 };
@@ -134,10 +145,38 @@ export const updateKid = async (kidId, updates, t = null) => {
 
         // Prepare data for Firestore
         const preparedData = prepareKidForFirestore(updates, true);
-
-        // Update in Firestore
         const kidRef = doc(db, 'kids', kidId);
-        await updateDoc(kidRef, preparedData);
+
+        let previousNumber = null;
+        let numberChanged = false;
+        if (updates.participantNumber !== undefined) {
+            const currentDoc = await getDoc(kidRef);
+            previousNumber = currentDoc.exists() ? currentDoc.data().participantNumber : null;
+            numberChanged = participantNumberKey(previousNumber) !== participantNumberKey(updates.participantNumber);
+        }
+
+        if (numberChanged) {
+            const requestedNumber = updates.participantNumber.trim();
+            if (await isParticipantNumberInUse(requestedNumber, kidId)) {
+                const takenError = new Error(`Participant number ${requestedNumber} is already in use`);
+                takenError.code = PARTICIPANT_NUMBER_TAKEN;
+                throw takenError;
+            }
+
+            // Swap the reservation and update the kid together
+            await runTransaction(db, async (transaction) => {
+                await reserveParticipantNumber(transaction, null, {
+                    kidId,
+                    requestedNumber,
+                    previousNumber,
+                    allowFallback: false
+                });
+                transaction.update(kidRef, { ...preparedData, participantNumber: requestedNumber });
+            });
+        } else {
+            // Update in Firestore
+            await updateDoc(kidRef, preparedData);
+        }
 
         // Fetch and return the updated document to verify
         const updatedDoc = await getDoc(kidRef);
@@ -160,8 +199,8 @@ export const updateKid = async (kidId, updates, t = null) => {
             throw new Error('Kid not found. It may have been deleted.');
         } else if (error.code === 'unavailable') {
             throw new Error('Database temporarily unavailable. Please try again.');
-        } else if (error.message.includes('Validation failed')) {
-            // Re-throw validation errors as-is
+        } else if (error.message.includes('Validation failed') || error.code === PARTICIPANT_NUMBER_TAKEN) {
+            // Re-throw validation and duplicate number errors as-is
             throw error;
         } else {
             throw new Error(`Failed to update kid: ${error.message}`);
@@ -234,31 +273,168 @@ export const updateKidTeamAssignment = async (kidId, newTeamId) => {
 };
 
 /**
- * Delete a kid
+ * Archive a kid (alumni)
+ * The kid leaves its team roster and vehicle but keeps its history, comments, form links
+ * and participant number reservation, so it can be restored later.
  * @param {string} kidId - The kid's document ID
+ * @param {string} userId - Admin archiving the kid
  * @returns {Promise<void>}
  */
-export const deleteKid = async (kidId) => {
+export const archiveKid = async (kidId, userId = null) => {
     try {
-        // Before deleting, handle vehicle assignment cleanup
-        try {
+        const kidRef = doc(db, 'kids', kidId);
+        const kidDoc = await getDoc(kidRef);
+        if (!kidDoc.exists()) {
+            throw new Error('Kid not found');
+        }
+
+        const { teamId = null, vehicleId = null } = kidDoc.data();
+
+        if (vehicleId) {
             const { removeKidFromVehicle } = await import('./vehicleAssignmentService');
-            await removeKidFromVehicle(kidId);
-        } catch (vehicleError) {
-            console.warn('⚠️ Failed to clean up vehicle assignment during kid deletion:', vehicleError);
-            // Continue with deletion even if vehicle cleanup fails
+            await removeKidFromVehicle(kidId, vehicleId);
+        }
+
+        if (teamId) {
+            try {
+                const { removeKidFromTeam } = await import('./teamService');
+                await removeKidFromTeam(teamId, kidId);
+            } catch (teamError) {
+                // The team may have been deleted already
+                console.warn('⚠️ Failed to remove archived kid from team roster:', teamError.message);
+            }
         }
 
-        await deleteDoc(doc(db, 'kids', kidId));
+        await updateDoc(kidRef, {
+            archived: true,
+            archivedAt: Timestamp.now(),
+            archivedBy: userId,
+            archivedFrom: { teamId, vehicleId },
+            teamId: null,
+            vehicleId: null,
+            updatedAt: Timestamp.now()
+        });
     } catch (error) {
-        console.error('Error deleting kid:', error);
-        throw new Error(`Failed to delete kid: ${error.message}`);
+        console.error('Error archiving kid:', error);
+        throw new Error(`Failed to archive kid: ${error.message}`);
     }
 };
 
+/**
+ * Restore an archived kid with its original participant number
+ * The kid rejoins the team it left when that team still exists. Vehicles are not
+ * reassigned, since the vehicle may have been given to another kid in the meantime.
+ * @param {string} kidId - The kid's document ID
+ * @returns {Promise<void>}
+ */
+export const restoreKid = async (kidId) => {
+    try {
+        const kidRef = doc(db, 'kids', kidId);
+        const kidDoc = await getDoc(kidRef);
+        if (!kidDoc.exists()) {
+            throw new Error('Kid not found');
+        }
+
+        const { participantNumber, archivedFrom } = kidDoc.data();
+
+        // Kids created before numbers were reserved are only found by a query
+        if (participantNumber && await isParticipantNumberInUse(participantNumber, kidId)) {
+            const takenError = new Error(`Participant number ${participantNumber} is already in use`);
+            takenError.code = PARTICIPANT_NUMBER_TAKEN;
+            throw takenError;
+        }
+
+        let teamId = archivedFrom?.teamId || null;
+        if (teamId) {
+            const teamDoc = await getDoc(doc(db, 'teams', teamId));
+            teamId = teamDoc.exists() ? teamId : null;
+        }
+
+        await runTransaction(db, async (transaction) => {
+            if (participantNumber) {
+                await reserveParticipantNumber(transaction, null, {
+                    kidId,
+                    requestedNumber: participantNumber,
+                    previousNumber: participantNumber,
+                    allowFallback: false
+                });
+            }
+            transaction.update(kidRef, {
+                archived: false,
+                archivedAt: null,
+                archivedBy: null,
+                archivedFrom: null,
+                teamId,
+                updatedAt: Timestamp.now()
+            });
+        });
+
+        if (teamId) {
+            const { addKidToTeam } = await import('./teamService');
+            await addKidToTeam(teamId, kidId);
+        }
+    } catch (error) {
+        console.error('Error restoring kid:', error);
+        if (error.code === PARTICIPANT_NUMBER_TAKEN) {
+            throw error;
+        }
+        throw new Error(`Failed to restore kid: ${error.message}`);
+    }
+};
+
+/**
+ * Permanently erase an archived kid - Admin only
+ * Runs the server-side privacy erasure: the kid document, photo, event registrations,
+ * participant number and change history are deleted and the kid is unlinked from teams,
+ * vehicles and form submissions. Only a report without personal details is kept.
+ * @param {string} kidId - The kid's document ID
+ * @returns {Promise<Object>} { reportId, summary }
+ */
+export const purgeKid = async (kidId) => {
+    try {
+        const purgeKidFunction = httpsCallable(functions, 'purgeKid');
+        const result = await purgeKidFunction({ kidId });
+        return result.data;
+    } catch (error) {
+        console.error('Error purging kid:', error);
+        if (error.code === 'functions/permission-denied') {
+            throw new Error('You do not have permission to erase kids. Admin access required.');
+        }
+        throw new Error(`Failed to erase kid: ${error.message}`);
+    }
+};
+
+/**
+ * Merge a duplicate kid into the kid that stays - Admin only
+ * Runs server-side: the survivor takes the chosen value of each field, gets both kids'
+ * notes, comments, parents and seasons, and inherits the duplicate's teams, vehicles,
+ * form submissions and event registrations. The duplicate is then deleted.
+ * @param {string} survivorId - Kid that stays
+ * @param {string} duplicateId - Kid merged into it
+ * @param {Object} choices - { [fieldPath]: 'survivor' | 'duplicate' } (see KID_MERGE_FIELDS)
+ * @returns {Promise<Object>} { survivorId, reportId, summary }
+ */
+export const mergeKids = async (survivorId, duplicateId, choices) => {
+    try {
+        const mergeKidsFunction = httpsCallable(functions, 'mergeKids');
+        const result = await mergeKidsFunction({ survivorId, duplicateId, choices });
+        return result.data;
+    } catch (error) {
+        console.error('Error merging kids:', error);
+        if (error.code === 'functions/permission-denied') {
+            throw new Error('You do not have permission to merge kids. Admin access required.');
+        }
+        throw new Error(`Failed to merge kids: ${error.message}`);
+    }
+};
+
+// Archived (alumni) kids stay out of lists unless they are asked for
+const withoutArchived = (kids, options = {}) =>
+    options.includeArchived ? kids : kids.filter(kid => !isKidArchived(kid));
+
 /**
  * Get all kids
- * @param {Object} options - Query options
+ * @param {Object} options - Query options ({ orderBy, order, limit, includeArchived })
  * @returns {Promise<Array>} Array of kids
  */
 export const getAllKids = async (options = {}) => {
@@ -280,7 +456,7 @@ export const getAllKids = async (options = {}) => {
 
         const querySnapshot = await getDocs(kidsQuery);
 
-        return querySnapshot.docs.map(doc => convertFirestoreToKid(doc));
+        return withoutArchived(querySnapshot.docs.map(doc => convertFirestoreToKid(doc)), options);
     } catch (error) {
         console.error('Error getting kids:', error);
         throw new Error(`Failed to get kids: ${error.message}`);
@@ -290,9 +466,10 @@ export const getAllKids = async (options = {}) => {
 /**
  * Get kids by team
  * @param {string} teamId - The team's document ID
+ * @param {Object} options - { includeArchived }
  * @returns {Promise<Array>} Array of kids in the team
  */
-export const getKidsByTeam = async (teamId) => {
+export const getKidsByTeam = async (teamId, options = {}) => {
     try {
         const kidsQuery = query(
             collection(db, 'kids'),
@@ -302,7 +479,7 @@ export const getKidsByTeam = async (teamId) => {
 
         const querySnapshot = await getDocs(kidsQuery);
 
-        return querySnapshot.docs.map(doc => convertFirestoreToKid(doc));
+        return withoutArchived(querySnapshot.docs.map(doc => convertFirestoreToKid(doc)), options);
     } catch (error) {
         console.error('Error getting kids by team:', error);
         throw new Error(`Failed to get kids by team: ${error.message}`);
@@ -312,9 +489,10 @@ export const getKidsByTeam = async (teamId) => {
 /**
  * Get kids by instructor
  * @param {string} instructorId - The instructor's document ID
+ * @param {Object} options - { includeArchived }
  * @returns {Promise<Array>} Array of kids with the instructor
  */
-export const getKidsByInstructor = async (instructorId) => {
+export const getKidsByInstructor = async (instructorId, options = {}) => {
     try {
         const kidsQuery = query(
             collection(db, 'kids'),
@@ -324,7 +502,7 @@ export const getKidsByInstructor = async (instructorId) => {
 
         const querySnapshot = await getDocs(kidsQuery);
 
-        return querySnapshot.docs.map(doc => convertFirestoreToKid(doc));
+        return withoutArchived(querySnapshot.docs.map(doc => convertFirestoreToKid(doc)), options);
     } catch (error) {
         console.error('Error getting kids by instructor:', error);
         throw new Error(`Failed to get kids by instructor: ${error.message}`);
@@ -333,6 +511,7 @@ export const getKidsByInstructor = async (instructorId) => {
 
 /**
  * Search kids by name or participant number
+ * Archived kids are included, so alumni can still be found.
  * @param {string} searchTerm - Search term
  * @param {Function} t - Translation function (optional)
  * @returns {Promise<Array>} Array of matching kids
@@ -340,7 +519,7 @@ export const getKidsByInstructor = async (instructorId) => {
 export const searchKids = async (searchTerm, t = null) => {
     try {
         // Get all kids and filter in memory (Firestore has limited text search)
-        const allKids = await getAllKids();
+        const allKids = await getAllKids({ includeArchived: true });
 
         const searchLower = searchTerm.toLowerCase();
 
@@ -441,9 +620,10 @@ export const updateKidTeam = async (kidId, newTeamId) => {
 /**
  * Get kids by parent
  * @param {string} parentId - The parent's user ID
+ * @param {Object} options - { includeArchived }
  * @returns {Promise<Array>} Array of kids belonging to the parent
  */
-export const getKidsByParent = async (parentId) => {
+export const getKidsByParent = async (parentId, options = {}) => {
     try {
         const kidsQuery = query(
             collection(db, 'kids'),
@@ -453,7 +633,7 @@ export const getKidsByParent = async (parentId) => {
 
         const querySnapshot = await getDocs(kidsQuery);
 
-        return querySnapshot.docs.map(doc => convertFirestoreToKid(doc));
+        return withoutArchived(querySnapshot.docs.map(doc => convertFirestoreToKid(doc)), options);
     } catch (error) {
         console.error('Error getting kids by parent:', error);
         throw new Error(`Failed to get kids by parent: ${error.message}`);
@@ -519,7 +699,10 @@ export default {
     getKidById,
     updateKid,
     updateKidTeam,
-    deleteKid,
+    archiveKid,
+    restoreKid,
+    purgeKid,
+    mergeKids,
     getAllKids,
     getKidsByTeam,
     getKidsByInstructor,
@@ -0,0 +1,64 @@
+// src/services/medicalProfileService.js - Medical and emergency profiles of kids
+import { doc, getDoc, serverTimestamp, setDoc } from 'firebase/firestore';
+import { db } from '../firebase/config';
+import {
+    cleanMedicalProfile,
+    createEmptyMedicalProfile,
+    validateMedicalProfile
+} from '../schemas/medicalProfileSchema';
+
+const MEDICAL_PROFILES_COLLECTION = 'kidMedicalProfiles';
+
+/**
+ * Get the medical profile of a kid
+ * @param {string} kidId - Kid ID (the profile shares it)
+ * @returns {Promise<Object|null>} Profile, or null when none was filled in yet
+ */
+export const getMedicalProfile = async (kidId) => {
+    try {
+        const snapshot = await getDoc(doc(db, MEDICAL_PROFILES_COLLECTION, kidId));
+        if (!snapshot.exists()) {
+            return null;
+        }
+        return { ...createEmptyMedicalProfile(), ...snapshot.data(), id: snapshot.id };
+    } catch (error) {
+        console.error('Error getting medical profile:', error);
+        if (error.code === 'permission-denied') {
+            throw new Error('You do not have permission to view this medical profile');
+        }
+        throw new Error(`Failed to load medical profile: ${error.message}`);
+    }
+};
+
+/**
+ * Save the medical profile of a kid (admins only)
+ * @param {string} kidId - Kid ID
+ * @param {Object} profile - Profile as edited in the form
+ * @param {string} userId - Admin saving it
+ * @param {Function} t - Translation function (optional)
+ * @returns {Promise<Object>} The saved profile
+ */
+export const saveMedicalProfile = async (kidId, profile, userId, t = null) => {
+    const cleaned = cleanMedicalProfile(profile);
+    const validation = validateMedicalProfile(cleaned, t);
+    if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+    }
+
+    try {
+        await setDoc(doc(db, MEDICAL_PROFILES_COLLECTION, kidId), {
+            ...cleaned,
+            updatedAt: serverTimestamp(),
+            updatedBy: userId || null
+        });
+        return cleaned;
+    } catch (error) {
+        console.error('Error saving medical profile:', error);
+        throw new Error(`Failed to save medical profile: ${error.message}`);
+    }
+};
+
+export default {
+    getMedicalProfile,
+    saveMedicalProfile
+};
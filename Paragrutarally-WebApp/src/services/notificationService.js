@@ -0,0 +1,55 @@
+// src/services/notificationService.js - In-app notifications written by Cloud Functions
+import { collection, doc, getDocs, query, serverTimestamp, updateDoc, where } from 'firebase/firestore';
+import { db } from '../firebase/config';
+
+const NOTIFICATIONS_COLLECTION = 'notifications';
+
+export const NOTIFICATION_TYPES = {
+    WAITLIST_PROMOTED: 'waitlistPromoted',
+    EVENT_CANCELLED: 'eventCancelled'
+};
+
+/**
+ * Get a user's unread notifications, newest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Notifications
+ */
+export const getUnreadNotifications = async (userId) => {
+    try {
+        const snapshot = await getDocs(query(
+            collection(db, NOTIFICATIONS_COLLECTION),
+            where('userId', '==', userId),
+            where('read', '==', false)
+        ));
+        return snapshot.docs
+            .map(notificationDoc => {
+                const data = notificationDoc.data();
+                return {
+                    id: notificationDoc.id,
+                    ...data,
+                    createdAt: data.createdAt?.toDate ? data.createdAt.toDate() : data.createdAt || null
+                };
+            })
+            .sort((a, b) => (b.createdAt?.getTime?.() || 0) - (a.createdAt?.getTime?.() || 0));
+    } catch (error) {
+        console.error('Error getting notifications:', error);
+        throw new Error(`Failed to load notifications: ${error.message}`);
+    }
+};
+
+/**
+ * Mark a notification as read
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<void>}
+ */
+export const markNotificationRead = async (notificationId) => {
+    try {
+        await updateDoc(doc(db, NOTIFICATIONS_COLLECTION, notificationId), {
+            read: true,
+            readAt: serverTimestamp()
+        });
+    } catch (error) {
+        console.error('Error marking notification as read:', error);
+        throw new Error(`Failed to update the notification: ${error.message}`);
+    }
+};
@@ -0,0 +1,339 @@
+// src/services/participantNumberService.js - Transactional participant number allocation, numbering config and duplicate repair
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    query,
+    runTransaction,
+    serverTimestamp,
+    setDoc,
+    Timestamp,
+    where,
+    writeBatch
+} from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { getKidFullName } from '../schemas/kidSchema';
+import {
+    findDuplicateParticipantNumbers,
+    formatParticipantNumber,
+    getCounterSeed,
+    getNextSequenceValue,
+    getTeamRange,
+    normalizeNumberingConfig,
+    participantNumberKey,
+    validateNumberingConfig
+} from '../utils/participantNumberUtils';
+
+export const PARTICIPANT_NUMBER_TAKEN = 'participant-number-taken';
+
+const SETTINGS_DOC = ['settings', 'participantNumbering'];
+const RESERVATIONS_COLLECTION = 'participantNumbers';
+const MAX_ALLOCATION_ATTEMPTS = 50;
+const BATCH_SIZE = 400;
+
+// Each prefix keeps its own counter, so a new season prefix starts again from 1
+const getCounterRef = (prefix) =>
+    doc(db, 'counters', prefix ? `participantNumbers_${prefix}` : 'participantNumbers');
+
+const getReservationRef = (participantNumber) =>
+    doc(db, RESERVATIONS_COLLECTION, participantNumberKey(participantNumber));
+
+const createNumberTakenError = (participantNumber) => {
+    const error = new Error(`Participant number ${participantNumber} is already in use`);
+    error.code = PARTICIPANT_NUMBER_TAKEN;
+    return error;
+};
+
+/**
+ * Get the participant numbering config
+ * @returns {Promise<Object>} { prefix, minDigits, teamRanges }
+ */
+export const getNumberingConfig = async () => {
+    try {
+        const configDoc = await getDoc(doc(db, ...SETTINGS_DOC));
+        return normalizeNumberingConfig(configDoc.exists() ? configDoc.data() : {});
+    } catch (error) {
+        console.error('Error getting numbering config:', error);
+        throw new Error(`Failed to load numbering settings: ${error.message}`);
+    }
+};
+
+/**
+ * Save the participant numbering config
+ * @param {Object} config - { prefix, minDigits, teamRanges }
+ * @returns {Promise<Object>} The saved config
+ */
+export const saveNumberingConfig = async (config) => {
+    const validation = validateNumberingConfig(config);
+    if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+    }
+
+    try {
+        const normalized = normalizeNumberingConfig(config);
+        await setDoc(doc(db, ...SETTINGS_DOC), {
+            ...normalized,
+            updatedAt: serverTimestamp()
+        });
+        return normalized;
+    } catch (error) {
+        console.error('Error saving numbering config:', error);
+        throw new Error(`Failed to save numbering settings: ${error.message}`);
+    }
+};
+
+const getAllKidNumbers = async () => {
+    const snapshot = await getDocs(collection(db, 'kids'));
+    return snapshot.docs.map(kidDoc => ({ id: kidDoc.id, ...kidDoc.data() }));
+};
+
+/**
+ * Load what an allocation needs outside of the transaction
+ * Queries cannot run inside client transactions, so the counter seed for a
+ * prefix that has never been used is worked out from the existing kids here.
+ * @returns {Promise<Object>} { config, counterRef, counterSeed }
+ */
+export const loadAllocationContext = async () => {
+    const config = await getNumberingConfig();
+    const counterRef = getCounterRef(config.prefix);
+    const counterDoc = await getDoc(counterRef);
+    const counterSeed = counterDoc.exists()
+        ? { global: 0, teams: {} }
+        : getCounterSeed(await getAllKidNumbers(), config);
+
+    return { config, counterRef, counterSeed };
+};
+
+/**
+ * Check whether another kid already carries a participant number
+ * Covers kids created before numbers were reserved.
+ * @param {string} participantNumber - Participant number
+ * @param {string|null} excludeKidId - Kid to ignore (the one being edited)
+ * @returns {Promise<boolean>}
+ */
+export const isParticipantNumberInUse = async (participantNumber, excludeKidId = null) => {
+    const snapshot = await getDocs(query(
+        collection(db, 'kids'),
+        where('participantNumber', '==', participantNumber)
+    ));
+    return snapshot.docs.some(kidDoc => kidDoc.id !== excludeKidId);
+};
+
+const allocateFromCounter = async (transaction, context, teamId) => {
+    const { config, counterRef, counterSeed } = context;
+    const counterDoc = await transaction.get(counterRef);
+    const counter = counterDoc.exists() ? counterDoc.data() : counterSeed;
+    const range = getTeamRange(config, teamId);
+
+    let lastValue = range ? (counter.teams?.[teamId] || 0) : (counter.global || 0);
+
+    for (let attempt = 0; attempt < MAX_ALLOCATION_ATTEMPTS; attempt++) {
+        const value = getNextSequenceValue(lastValue, config, teamId);
+        if (value === null) {
+            throw new Error(`No participant numbers left in the team range ${range.start}-${range.end}`);
+        }
+
+        const participantNumber = formatParticipantNumber(value, config);
+        const reservation = await transaction.get(getReservationRef(participantNumber));
+        if (!reservation.exists()) {
+            const counterWrite = counterDoc.exists() ? {} : { ...counterSeed };
+            if (range) {
+                counterWrite.teams = { ...(counterWrite.teams || {}), [teamId]: value };
+            } else {
+                counterWrite.global = value;
+            }
+            return {
+                participantNumber,
+                counterWrite: { ...counterWrite, prefix: config.prefix, updatedAt: serverTimestamp() }
+            };
+        }
+        lastValue = value;
+    }
+
+    throw new Error('Could not find a free participant number, run the duplicate repair and try again');
+};
+
+/**
+ * Reserve a participant number for a kid inside a transaction
+ * All reads happen before any write, so the caller may add its own writes afterwards.
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object|null} context - Result of loadAllocationContext (needed to allocate from the counter)
+ * @param {Object} options - { kidId, teamId, requestedNumber, previousNumber, allowFallback }
+ * @returns {Promise<string>} The reserved participant number
+ */
+export const reserveParticipantNumber = async (transaction, context, {
+    kidId,
+    teamId = null,
+    requestedNumber = null,
+    previousNumber = null,
+    allowFallback = true
+}) => {
+    const previousRef = previousNumber ? getReservationRef(previousNumber) : null;
+    const previousReservation = previousRef ? await transaction.get(previousRef) : null;
+
+    let participantNumber = null;
+    let counterWrite = null;
+
+    if (requestedNumber) {
+        const requested = await transaction.get(getReservationRef(requestedNumber));
+        if (!requested.exists() || requested.data().kidId === kidId) {
+            participantNumber = requestedNumber;
+        } else if (!allowFallback) {
+            throw createNumberTakenError(requestedNumber);
+        }
+    }
+
+    if (!participantNumber) {
+        if (!context) {
+            throw new Error('A participant number is required');
+        }
+        ({ participantNumber, counterWrite } = await allocateFromCounter(transaction, context, teamId));
+    }
+
+    if (counterWrite) {
+        transaction.set(context.counterRef, counterWrite, { merge: true });
+    }
+    if (previousReservation?.exists()
+        && previousReservation.data().kidId === kidId
+        && participantNumberKey(previousNumber) !== participantNumberKey(participantNumber)) {
+        transaction.delete(previousRef);
+    }
+    transaction.set(getReservationRef(participantNumber), {
+        kidId,
+        participantNumber,
+        reservedAt: serverTimestamp()
+    });
+
+    return participantNumber;
+};
+
+/**
+ * Release a kid's participant number inside a transaction
+ * Must be called before the transaction's writes, since it reads the reservation.
+ * @param {Object} transaction - Firestore transaction
+ * @param {string} participantNumber - Participant number
+ * @param {string} kidId - Kid that holds the number
+ * @returns {Promise<Function>} Applies the delete when called
+ */
+export const prepareParticipantNumberRelease = async (transaction, participantNumber, kidId) => {
+    if (!participantNumberKey(participantNumber)) return () => {};
+
+    const reservationRef = getReservationRef(participantNumber);
+    const reservation = await transaction.get(reservationRef);
+    return () => {
+        if (reservation.exists() && reservation.data().kidId === kidId) {
+            transaction.delete(reservationRef);
+        }
+    };
+};
+
+/**
+ * Preview the number the next kid will get, without reserving it
+ * @param {string|null} teamId - Team the kid will join
+ * @returns {Promise<string|null>} Participant number, or null if the team range is full
+ */
+export const previewNextParticipantNumber = async (teamId = null) => {
+    const { config, counterRef, counterSeed } = await loadAllocationContext();
+    const counterDoc = await getDoc(counterRef);
+    const counter = counterDoc.exists() ? counterDoc.data() : counterSeed;
+    const lastValue = getTeamRange(config, teamId) ? (counter.teams?.[teamId] || 0) : (counter.global || 0);
+    const value = getNextSequenceValue(lastValue, config, teamId);
+
+    return value === null ? null : formatParticipantNumber(value, config);
+};
+
+/**
+ * Find participant numbers that more than one kid uses
+ * @returns {Promise<Array>} [{ participantNumber, kids }] with the oldest kid first
+ */
+export const findParticipantNumberDuplicates = async () => {
+    try {
+        return findDuplicateParticipantNumbers(await getAllKidNumbers());
+    } catch (error) {
+        console.error('Error finding duplicate participant numbers:', error);
+        throw new Error(`Failed to find duplicates: ${error.message}`);
+    }
+};
+
+/**
+ * Renumber duplicate participant numbers and rebuild the reservations
+ * The oldest kid in each duplicate group keeps its number, the others get a new one.
+ * @returns {Promise<Object>} { duplicateGroups, renumbered, reservationsCreated, reservationsReleased }
+ */
+export const repairParticipantNumbers = async () => {
+    try {
+        const kids = await getAllKidNumbers();
+        const duplicates = findDuplicateParticipantNumbers(kids);
+        const toRenumber = duplicates.flatMap(group => group.kids.slice(1));
+        const renumberIds = new Set(toRenumber.map(kid => kid.id));
+
+        // Reservations should point at exactly the kids that keep their numbers
+        const holders = new Map();
+        kids.forEach(kid => {
+            const key = participantNumberKey(kid.participantNumber);
+            if (key && !renumberIds.has(kid.id)) holders.set(key, kid);
+        });
+
+        const reservationsSnapshot = await getDocs(collection(db, RESERVATIONS_COLLECTION));
+        const writes = [];
+        let reservationsReleased = 0;
+
+        reservationsSnapshot.docs.forEach(reservation => {
+            const holder = holders.get(reservation.id);
+            if (!holder) {
+                writes.push(batch => batch.delete(reservation.ref));
+                reservationsReleased++;
+            } else if (reservation.data().kidId === holder.id) {
+                holders.delete(reservation.id);
+            }
+        });
+
+        const reservationsCreated = holders.size;
+        holders.forEach((kid, key) => {
+            writes.push(batch => batch.set(doc(db, RESERVATIONS_COLLECTION, key), {
+                kidId: kid.id,
+                participantNumber: kid.participantNumber,
+                reservedAt: serverTimestamp()
+            }));
+        });
+
+        for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+            const batch = writeBatch(db);
+            writes.slice(i, i + BATCH_SIZE).forEach(write => write(batch));
+            await batch.commit();
+        }
+
+        const context = await loadAllocationContext();
+        const renumbered = [];
+
+        for (const kid of toRenumber) {
+            const kidRef = doc(db, 'kids', kid.id);
+            const newNumber = await runTransaction(db, async (transaction) => {
+                const participantNumber = await reserveParticipantNumber(transaction, context, {
+                    kidId: kid.id,
+                    teamId: kid.teamId || null
+                });
+                transaction.update(kidRef, { participantNumber, updatedAt: Timestamp.now() });
+                return participantNumber;
+            });
+
+            renumbered.push({
+                kidId: kid.id,
+                name: getKidFullName(kid),
+                from: kid.participantNumber,
+                to: newNumber
+            });
+        }
+
+        return {
+            duplicateGroups: duplicates.length,
+            renumbered,
+            reservationsCreated,
+            reservationsReleased
+        };
+    } catch (error) {
+        console.error('Error repairing participant numbers:', error);
+        throw new Error(`Failed to repair participant numbers: ${error.message}`);
+    }
+};
@@ -0,0 +1,53 @@
+// src/services/paymentProviders.js - Adapters for taking payments online
+
+/**
+ * The ledger (paymentService.js) talks to a payment provider only through an adapter:
+ *   {
+ *     name: string,
+ *     charge({ amount, currency, description, reference }) => Promise<{ providerRef, status, paidAt }>
+ *   }
+ * status is one of PAYMENT_STATUS; only a succeeded charge is recorded in the ledger.
+ * No real provider is wired up yet. VITE_PAYMENT_PROVIDER=fake turns on the local fake, which
+ * stands in for one in development and tests; without it, payments are recorded by hand.
+ */
+
+export const PAYMENT_STATUS = {
+    SUCCEEDED: 'succeeded',
+    DECLINED: 'declined'
+};
+
+/**
+ * A provider that takes every charge on the spot and keeps them in memory
+ * @param {Object} options - { declineAbove: decline charges above this amount, to try the failure path }
+ * @returns {Object} Payment provider adapter, plus the charges it took
+ */
+export const createFakePaymentProvider = ({ declineAbove = Infinity } = {}) => {
+    const charges = [];
+
+    return {
+        name: 'fake',
+        charges,
+        charge: async ({ amount, currency, description = '', reference = '' }) => {
+            const status = amount > declineAbove ? PAYMENT_STATUS.DECLINED : PAYMENT_STATUS.SUCCEEDED;
+            const result = {
+                providerRef: `fake-${charges.length + 1}`,
+                status,
+                paidAt: new Date()
+            };
+            charges.push({ amount, currency, description, reference, ...result });
+            return result;
+        }
+    };
+};
+
+const PROVIDERS = {
+    fake: createFakePaymentProvider
+};
+
+/**
+ * The configured payment provider
+ * @param {string} name - Provider name, VITE_PAYMENT_PROVIDER by default
+ * @returns {Object|null} Adapter, or null when payments are only recorded by hand
+ */
+export const getPaymentProvider = (name = import.meta.env.VITE_PAYMENT_PROVIDER) =>
+    (PROVIDERS[name] ? PROVIDERS[name]() : null);
@@ -0,0 +1,211 @@
+// src/services/paymentService.js - Event payments ledger: charges per registration (eventCharges) and payments (eventPayments)
+import {
+    addDoc,
+    collection,
+    doc,
+    getDocs,
+    query,
+    serverTimestamp,
+    updateDoc,
+    where,
+    writeBatch
+} from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { PAYMENT_METHODS, roundAmount, validatePayment } from '../schemas/paymentSchema';
+import { PAYMENT_STATUS } from './paymentProviders';
+
+const CHARGES_COLLECTION = 'eventCharges';
+const PAYMENTS_COLLECTION = 'eventPayments';
+// A batch takes at most 500 writes
+const BATCH_LIMIT = 500;
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value || null);
+
+const convertCharge = (chargeDoc) => {
+    const data = chargeDoc.data();
+    return { id: chargeDoc.id, ...data, updatedAt: toDate(data.updatedAt) };
+};
+
+const convertPayment = (paymentDoc) => {
+    const data = paymentDoc.data();
+    return { id: paymentDoc.id, ...data, createdAt: toDate(data.createdAt), voidedAt: toDate(data.voidedAt) };
+};
+
+/**
+ * Get the charges of an event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>} Charges
+ */
+export const getEventCharges = async (eventId) => {
+    try {
+        const snapshot = await getDocs(query(collection(db, CHARGES_COLLECTION), where('eventId', '==', eventId)));
+        return snapshot.docs.map(convertCharge);
+    } catch (error) {
+        console.error('Error getting event charges:', error);
+        throw new Error(`Failed to load charges: ${error.message}`);
+    }
+};
+
+/**
+ * Get the payments of an event, voided ones included
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>} Payments
+ */
+export const getEventPayments = async (eventId) => {
+    try {
+        const snapshot = await getDocs(query(collection(db, PAYMENTS_COLLECTION), where('eventId', '==', eventId)));
+        return snapshot.docs.map(convertPayment);
+    } catch (error) {
+        console.error('Error getting event payments:', error);
+        throw new Error(`Failed to load payments: ${error.message}`);
+    }
+};
+
+/**
+ * Get the whole ledger, for the family balances report
+ * @returns {Promise<Object>} { charges, payments }
+ */
+export const getLedger = async () => {
+    try {
+        const [chargesSnapshot, paymentsSnapshot] = await Promise.all([
+            getDocs(collection(db, CHARGES_COLLECTION)),
+            getDocs(collection(db, PAYMENTS_COLLECTION))
+        ]);
+        return {
+            charges: chargesSnapshot.docs.map(convertCharge),
+            payments: paymentsSnapshot.docs.map(convertPayment)
+        };
+    } catch (error) {
+        console.error('Error getting the payments ledger:', error);
+        throw new Error(`Failed to load the ledger: ${error.message}`);
+    }
+};
+
+/**
+ * Save the charges worked out by buildEventCharges (admins only)
+ * @param {Array} charges - Charges that changed
+ * @param {string} userId - Admin saving them
+ * @returns {Promise<void>}
+ */
+export const saveEventCharges = async (charges, userId) => {
+    try {
+        for (let i = 0; i < charges.length; i += BATCH_LIMIT) {
+            const batch = writeBatch(db);
+            charges.slice(i, i + BATCH_LIMIT).forEach(({ id, ...charge }) => {
+                batch.set(doc(db, CHARGES_COLLECTION, id), {
+                    ...charge,
+                    updatedAt: serverTimestamp(),
+                    updatedBy: userId
+                });
+            });
+            await batch.commit();
+        }
+    } catch (error) {
+        console.error('Error saving charges:', error);
+        throw new Error(`Failed to save the charges: ${error.message}`);
+    }
+};
+
+const addPayment = async (eventId, payment, userId, extra = {}) => {
+    const saved = {
+        eventId,
+        familyId: payment.familyId,
+        familyName: payment.familyName || '',
+        amount: roundAmount(payment.amount),
+        currency: payment.currency,
+        method: payment.method,
+        receiptNumber: (payment.receiptNumber || '').trim(),
+        paidOn: payment.paidOn,
+        note: (payment.note || '').trim(),
+        provider: null,
+        providerRef: null,
+        ...extra,
+        voided: false,
+        voidedAt: null,
+        voidedBy: null,
+        recordedBy: userId,
+        createdAt: serverTimestamp()
+    };
+    const paymentRef = await addDoc(collection(db, PAYMENTS_COLLECTION), saved);
+    return { id: paymentRef.id, ...saved, createdAt: new Date() };
+};
+
+/**
+ * Record a payment made in cash, by bank transfer or with Bit (admins only)
+ * @param {string} eventId - Event ID
+ * @param {Object} payment - { familyId, familyName, amount, currency, method, receiptNumber, paidOn, note }
+ * @param {string} userId - Admin recording it
+ * @param {Function} t - Translation function (optional)
+ * @returns {Promise<Object>} The recorded payment
+ */
+export const recordPayment = async (eventId, payment, userId, t = null) => {
+    const validation = validatePayment(payment, t);
+    if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+    }
+
+    try {
+        return await addPayment(eventId, payment, userId);
+    } catch (error) {
+        console.error('Error recording payment:', error);
+        throw new Error(`Failed to record the payment: ${error.message}`);
+    }
+};
+
+/**
+ * Take a payment through the payment provider and record it once the provider confirms it
+ * @param {Object} provider - Payment provider adapter (paymentProviders.js)
+ * @param {string} eventId - Event ID
+ * @param {Object} payment - { familyId, familyName, amount, currency, paidOn, note }
+ * @param {string} userId - User taking the payment
+ * @param {Function} t - Translation function (optional)
+ * @returns {Promise<Object>} The recorded payment
+ */
+export const collectOnlinePayment = async (provider, eventId, payment, userId, t = null) => {
+    const translate = (key, fallback) => (t ? t(key, fallback) : fallback);
+    const online = { ...payment, method: PAYMENT_METHODS.ONLINE };
+    const validation = validatePayment(online, t);
+    if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+    }
+
+    try {
+        const result = await provider.charge({
+            amount: roundAmount(online.amount),
+            currency: online.currency,
+            description: online.note || '',
+            reference: `${eventId}/${online.familyId}`
+        });
+        if (result.status !== PAYMENT_STATUS.SUCCEEDED) {
+            throw new Error(translate('payments.declined', 'The payment was declined'));
+        }
+
+        return await addPayment(eventId, online, userId, {
+            receiptNumber: result.providerRef,
+            provider: provider.name,
+            providerRef: result.providerRef
+        });
+    } catch (error) {
+        console.error('Error collecting payment:', error);
+        throw new Error(`Failed to take the payment: ${error.message}`);
+    }
+};
+
+/**
+ * Void a payment recorded by mistake; it stays in the ledger but no longer counts (admins only)
+ * @param {string} paymentId - Payment ID
+ * @param {string} userId - Admin voiding it
+ * @returns {Promise<void>}
+ */
+export const voidPayment = async (paymentId, userId) => {
+    try {
+        await updateDoc(doc(db, PAYMENTS_COLLECTION, paymentId), {
+            voided: true,
+            voidedAt: serverTimestamp(),
+            voidedBy: userId
+        });
+    } catch (error) {
+        console.error('Error voiding payment:', error);
+        throw new Error(`Failed to void the payment: ${error.message}`);
+    }
+};
@@ -0,0 +1,117 @@
+// src/services/raceResultService.js - Race results per kid and event (raceResults)
+import { collection, deleteDoc, doc, getDocs, query, serverTimestamp, setDoc, where } from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { cleanRaceResult, getRaceResultId, validateRaceResult } from '../schemas/raceResultSchema';
+
+const RESULTS_COLLECTION = 'raceResults';
+// Firestore `in` queries take at most 30 values
+const IN_QUERY_LIMIT = 30;
+
+const convertResult = (resultDoc) => {
+    const data = resultDoc.data();
+    return {
+        id: resultDoc.id,
+        ...data,
+        updatedAt: data.updatedAt?.toDate ? data.updatedAt.toDate() : data.updatedAt || null
+    };
+};
+
+/**
+ * Get the results of an event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>} Results
+ */
+export const getEventResults = async (eventId) => {
+    try {
+        const snapshot = await getDocs(query(collection(db, RESULTS_COLLECTION), where('eventId', '==', eventId)));
+        return snapshot.docs.map(convertResult);
+    } catch (error) {
+        console.error('Error getting event results:', error);
+        throw new Error(`Failed to load results: ${error.message}`);
+    }
+};
+
+/**
+ * Get the results of several events, e.g. the races of a season
+ * @param {Array<string>} eventIds - Event IDs
+ * @returns {Promise<Array>} Results
+ */
+export const getResultsForEvents = async (eventIds) => {
+    try {
+        const results = [];
+        for (let i = 0; i < eventIds.length; i += IN_QUERY_LIMIT) {
+            const snapshot = await getDocs(query(
+                collection(db, RESULTS_COLLECTION),
+                where('eventId', 'in', eventIds.slice(i, i + IN_QUERY_LIMIT))
+            ));
+            results.push(...snapshot.docs.map(convertResult));
+        }
+        return results;
+    } catch (error) {
+        console.error('Error getting results:', error);
+        throw new Error(`Failed to load results: ${error.message}`);
+    }
+};
+
+/**
+ * Get a kid's results across events
+ * @param {string} kidId - Kid ID
+ * @returns {Promise<Array>} Results
+ */
+export const getKidResults = async (kidId) => {
+    try {
+        const snapshot = await getDocs(query(collection(db, RESULTS_COLLECTION), where('kidId', '==', kidId)));
+        return snapshot.docs.map(convertResult);
+    } catch (error) {
+        console.error('Error getting kid results:', error);
+        throw new Error(`Failed to load results: ${error.message}`);
+    }
+};
+
+/**
+ * Save a kid's result for an event (admins only)
+ * @param {Object} event - Event, its season is kept on the result for the standings
+ * @param {string} kidId - Kid ID
+ * @param {Object} result - Result from the results form
+ * @param {string} userId - Who entered it
+ * @param {Function} t - Translation function (optional)
+ * @returns {Promise<Object>} The saved result
+ */
+export const saveRaceResult = async (event, kidId, result, userId, t = null) => {
+    const cleaned = cleanRaceResult(result);
+    const validation = validateRaceResult(cleaned, t);
+    if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+    }
+
+    try {
+        const saved = {
+            eventId: event.id,
+            kidId,
+            seasonId: event.seasonId || null,
+            ...cleaned,
+            updatedAt: serverTimestamp(),
+            updatedBy: userId || null
+        };
+        await setDoc(doc(db, RESULTS_COLLECTION, getRaceResultId(event.id, kidId)), saved);
+        return { id: getRaceResultId(event.id, kidId), ...saved, updatedAt: new Date() };
+    } catch (error) {
+        console.error('Error saving race result:', error);
+        throw new Error(`Failed to save the result: ${error.message}`);
+    }
+};
+
+/**
+ * Remove a kid's result for an event (admins only)
+ * @param {string} eventId - Event ID
+ * @param {string} kidId - Kid ID
+ * @returns {Promise<void>}
+ */
+export const deleteRaceResult = async (eventId, kidId) => {
+    try {
+        await deleteDoc(doc(db, RESULTS_COLLECTION, getRaceResultId(eventId, kidId)));
+    } catch (error) {
+        console.error('Error deleting race result:', error);
+        throw new Error(`Failed to delete the result: ${error.message}`);
+    }
+};
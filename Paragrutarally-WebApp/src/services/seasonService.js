@@ -0,0 +1,270 @@
+// src/services/seasonService.js - Seasons, season enrollment and rollover
+import {
+    addDoc,
+    arrayRemove,
+    arrayUnion,
+    collection,
+    doc,
+    getDocs,
+    limit,
+    query,
+    serverTimestamp,
+    updateDoc,
+    where,
+    writeBatch
+} from 'firebase/firestore';
+import { db } from '../firebase/config';
+import {
+    ENROLLMENT_STATUS,
+    SEASON_FIELDS,
+    SEASON_STATUS,
+    getEnrollmentStatus,
+    getRecordSeasonIds,
+    sortSeasons,
+    validateSeason
+} from '../schemas/seasonSchema';
+import { getNumberingConfig, saveNumberingConfig } from './participantNumberService';
+
+const SEASONS_COLLECTION = 'seasons';
+const BATCH_SIZE = 400;
+
+const commitInBatches = async (writes) => {
+    for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + BATCH_SIZE).forEach(write => write(batch));
+        await batch.commit();
+    }
+};
+
+/**
+ * Get all seasons, newest first
+ * @returns {Promise<Array>} Array of seasons
+ */
+export const getAllSeasons = async () => {
+    try {
+        const snapshot = await getDocs(collection(db, SEASONS_COLLECTION));
+        return sortSeasons(snapshot.docs.map(seasonDoc => ({ id: seasonDoc.id, ...seasonDoc.data() })));
+    } catch (error) {
+        console.error('Error getting seasons:', error);
+        throw new Error(`Failed to load seasons: ${error.message}`);
+    }
+};
+
+/**
+ * Get the ID of the season currently running
+ * @returns {Promise<string|null>} Season ID, or null before the first season is activated
+ */
+export const getActiveSeasonId = async () => {
+    const snapshot = await getDocs(query(
+        collection(db, SEASONS_COLLECTION),
+        where('status', '==', SEASON_STATUS.ACTIVE),
+        limit(1)
+    ));
+    return snapshot.empty ? null : snapshot.docs[0].id;
+};
+
+/**
+ * Enroll new data into the active season unless it already names a season
+ * @param {Object} data - Kid, team, event or form data about to be created
+ * @param {string} collectionName - Collection the data is written to
+ * @returns {Promise<Object>} Data with its season field set
+ */
+export const withActiveSeason = async (data, collectionName) => {
+    const field = SEASON_FIELDS[collectionName];
+    if (getRecordSeasonIds(data, collectionName).length > 0) return data;
+
+    try {
+        const seasonId = await getActiveSeasonId();
+        if (!seasonId) return data;
+        return { ...data, [field]: field === 'seasonIds' ? [seasonId] : seasonId };
+    } catch (error) {
+        // Creating the record matters more than enrolling it
+        console.warn('⚠️ Could not read the active season:', error.message);
+        return data;
+    }
+};
+
+/**
+ * Create a season
+ * @param {Object} seasonData - Season data from the form
+ * @param {Function} t - Translation function (optional)
+ * @returns {Promise<string>} The new season ID
+ */
+export const createSeason = async (seasonData, t = null) => {
+    const validation = validateSeason(seasonData, t);
+    if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+    }
+
+    try {
+        const docRef = await addDoc(collection(db, SEASONS_COLLECTION), {
+            name: seasonData.name.trim(),
+            startDate: seasonData.startDate,
+            endDate: seasonData.endDate,
+            participantNumberPrefix: seasonData.participantNumberPrefix?.trim() || '',
+            status: SEASON_STATUS.PLANNING,
+            createdAt: serverTimestamp(),
+            updatedAt: serverTimestamp()
+        });
+        return docRef.id;
+    } catch (error) {
+        console.error('Error creating season:', error);
+        throw new Error(`Failed to create season: ${error.message}`);
+    }
+};
+
+/**
+ * Make a season the active one and archive the season it replaces
+ * If the season has a race number prefix, the numbering settings switch to it.
+ * @param {string} seasonId - Season to activate
+ * @returns {Promise<void>}
+ */
+export const setActiveSeason = async (seasonId) => {
+    try {
+        const seasons = await getAllSeasons();
+        const season = seasons.find(s => s.id === seasonId);
+        if (!season) {
+            throw new Error('Season not found');
+        }
+
+        const batch = writeBatch(db);
+        seasons
+            .filter(s => s.status === SEASON_STATUS.ACTIVE && s.id !== seasonId)
+            .forEach(s => batch.update(doc(db, SEASONS_COLLECTION, s.id), {
+                status: SEASON_STATUS.ARCHIVED,
+                updatedAt: serverTimestamp()
+            }));
+        batch.update(doc(db, SEASONS_COLLECTION, seasonId), {
+            status: SEASON_STATUS.ACTIVE,
+            updatedAt: serverTimestamp()
+        });
+        await batch.commit();
+
+        if (season.participantNumberPrefix) {
+            const numberingConfig = await getNumberingConfig();
+            if (numberingConfig.prefix !== season.participantNumberPrefix) {
+                await saveNumberingConfig({ ...numberingConfig, prefix: season.participantNumberPrefix });
+            }
+        }
+    } catch (error) {
+        console.error('Error activating season:', error);
+        throw new Error(`Failed to activate season: ${error.message}`);
+    }
+};
+
+/**
+ * Carry teams over to a new season and invite last season's kids to re-enroll
+ * Archived kids are not invited. Kids stay out of the new season until a parent (or an admin) accepts the invitation.
+ * @param {string} fromSeasonId - Season to roll over from
+ * @param {string} toSeasonId - New season
+ * @param {Object} options - { includeTeams, inviteKids }
+ * @returns {Promise<Object>} { teams, invitedKids }
+ */
+export const rolloverSeason = async (fromSeasonId, toSeasonId, { includeTeams = true, inviteKids = true } = {}) => {
+    if (!fromSeasonId || !toSeasonId || fromSeasonId === toSeasonId) {
+        throw new Error('Choose two different seasons to roll over');
+    }
+
+    try {
+        const writes = [];
+        let teams = 0;
+        let invitedKids = 0;
+
+        if (includeTeams) {
+            const teamsSnapshot = await getDocs(query(
+                collection(db, 'teams'),
+                where('seasonIds', 'array-contains', fromSeasonId)
+            ));
+            teamsSnapshot.docs
+                .filter(teamDoc => !getRecordSeasonIds(teamDoc.data(), 'teams').includes(toSeasonId))
+                .forEach(teamDoc => {
+                    teams++;
+                    writes.push(batch => batch.update(teamDoc.ref, {
+                        seasonIds: arrayUnion(toSeasonId),
+                        updatedAt: serverTimestamp()
+                    }));
+                });
+        }
+
+        if (inviteKids) {
+            const kidsSnapshot = await getDocs(query(
+                collection(db, 'kids'),
+                where('seasonIds', 'array-contains', fromSeasonId)
+            ));
+            kidsSnapshot.docs
+                .filter(kidDoc => kidDoc.data().archived !== true && !getEnrollmentStatus(kidDoc.data(), toSeasonId))
+                .forEach(kidDoc => {
+                    invitedKids++;
+                    writes.push(batch => batch.update(kidDoc.ref, {
+                        [`seasonEnrollments.${toSeasonId}`]: {
+                            status: ENROLLMENT_STATUS.INVITED,
+                            invitedAt: serverTimestamp()
+                        }
+                    }));
+                });
+        }
+
+        await commitInBatches(writes);
+        return { teams, invitedKids };
+    } catch (error) {
+        console.error('Error rolling over season:', error);
+        throw new Error(`Failed to roll over season: ${error.message}`);
+    }
+};
+
+/**
+ * Accept or decline a kid's enrollment in a season
+ * Used by parents answering a re-enrollment invitation and by admins enrolling directly.
+ * @param {string} kidId - The kid's document ID
+ * @param {string} seasonId - Season ID
+ * @param {boolean} enroll - true to enroll, false to decline
+ * @param {string} userId - Who answered
+ * @returns {Promise<void>}
+ */
+export const setKidSeasonEnrollment = async (kidId, seasonId, enroll, userId) => {
+    try {
+        await updateDoc(doc(db, 'kids', kidId), {
+            [`seasonEnrollments.${seasonId}`]: {
+                status: enroll ? ENROLLMENT_STATUS.ENROLLED : ENROLLMENT_STATUS.DECLINED,
+                respondedAt: serverTimestamp(),
+                respondedBy: userId || null
+            },
+            seasonIds: enroll ? arrayUnion(seasonId) : arrayRemove(seasonId),
+            updatedAt: serverTimestamp()
+        });
+    } catch (error) {
+        console.error('Error updating season enrollment:', error);
+        throw new Error(`Failed to update enrollment: ${error.message}`);
+    }
+};
+
+/**
+ * Enroll records that predate seasons into a season
+ * @param {string} seasonId - Season to enroll them in
+ * @returns {Promise<Object>} Number of records enrolled per collection
+ */
+export const enrollUnassignedRecords = async (seasonId) => {
+    try {
+        const counts = {};
+        const writes = [];
+
+        for (const [collectionName, field] of Object.entries(SEASON_FIELDS)) {
+            const snapshot = await getDocs(collection(db, collectionName));
+            const unassigned = snapshot.docs.filter(record =>
+                getRecordSeasonIds(record.data(), collectionName).length === 0);
+
+            counts[collectionName] = unassigned.length;
+            unassigned.forEach(record => {
+                writes.push(batch => batch.update(record.ref, {
+                    [field]: field === 'seasonIds' ? [seasonId] : seasonId
+                }));
+            });
+        }
+
+        await commitInBatches(writes);
+        return counts;
+    } catch (error) {
+        console.error('Error enrolling existing records:', error);
+        throw new Error(`Failed to enroll existing records: ${error.message}`);
+    }
+};
@@ -0,0 +1,60 @@
+// src/services/shirtService.js - Shirts of an event: the sizes families asked for on its registration forms
+import {
+    collection,
+    doc,
+    getDocs,
+    query,
+    serverTimestamp,
+    updateDoc,
+    where
+} from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { getFormSubmissionsWithUserDetails } from './formService';
+import { cleanShirtsHandedOut, validateShirtsHandedOut } from '../schemas/shirtSchema';
+
+/**
+ * Get the submissions of every registration form linked to an event, with the submitters' names
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>} Submissions
+ */
+export const getEventShirtSubmissions = async (eventId) => {
+    try {
+        const formsSnapshot = await getDocs(query(
+            collection(db, 'forms'),
+            where('eventDetails.selectedEventId', '==', eventId)
+        ));
+        const submissions = await Promise.all(
+            formsSnapshot.docs.map(formDoc => getFormSubmissionsWithUserDetails(formDoc.id))
+        );
+        return submissions.flat();
+    } catch (error) {
+        console.error('Error getting event shirt orders:', error);
+        throw new Error(`Failed to load shirt orders: ${error.message}`);
+    }
+};
+
+/**
+ * Save how many shirts of each size families already have from earlier seasons (admins only)
+ * @param {string} eventId - Event ID
+ * @param {Object} counts - { size: count }
+ * @param {Function} t - Translation function (optional)
+ * @returns {Promise<Object>} The counts as stored
+ */
+export const saveShirtsHandedOut = async (eventId, counts, t = null) => {
+    const validation = validateShirtsHandedOut(counts, t);
+    if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+    }
+
+    const shirtsHandedOut = cleanShirtsHandedOut(counts);
+    try {
+        await updateDoc(doc(db, 'events', eventId), {
+            shirtsHandedOut,
+            updatedAt: serverTimestamp()
+        });
+        return shirtsHandedOut;
+    } catch (error) {
+        console.error('Error saving shirts handed out:', error);
+        throw new Error(`Failed to save the shirts handed out: ${error.message}`);
+    }
+};
@@ -16,6 +16,7 @@ import {
 } from 'firebase/firestore';
 import { db } from '../firebase/config';
 import { createEmptyTeam, validateTeam } from '../schemas/teamSchema';
+import { withActiveSeason } from './seasonService';
 
 /**
  * Get all teams with optional filtering
@@ -320,7 +321,7 @@ export const getAllInstructors = async () => {
 export const addTeam = async (teamData) => {
     try {
         // Validate team data using schema
-        const validation = validateTeam(teamData, false); // false = not an update
+        const validation = validateTeam(await withActiveSeason(teamData, 'teams'), false); // false = not an update
 
         if (!validation.isValid) {
             console.error('❌ Team validation failed:', validation.errors);
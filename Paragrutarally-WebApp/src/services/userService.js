@@ -1,5 +1,5 @@
 // src/services/userService.js - Updated for Callable Functions
-import { doc, updateDoc, getDoc, deleteDoc } from 'firebase/firestore';
+import { doc, updateDoc, getDoc } from 'firebase/firestore';
 import { updatePassword, reauthenticateWithCredential, EmailAuthProvider } from 'firebase/auth';
 import { getFunctions, httpsCallable } from 'firebase/functions';
 import {
@@ -62,13 +62,34 @@ export const getUserData = async (userId) => {
     }
 };
 
+/**
+ * List the documents that still reference a user (kids, teams, form submissions
+ * and assignments) so the admin can decide what happens to each before deleting - Admin only
+ * @param {string} userId - The user ID that is about to be deleted
+ * @returns {Promise<Array>} References: { key, collection, docId, label, fields }
+ */
+export const previewUserDeletion = async (userId) => {
+    try {
+        const previewFunction = httpsCallable(functions, 'previewUserDeletion');
+        const result = await previewFunction({ userId });
+        return result.data.references || [];
+    } catch (error) {
+        console.error('❌ Error previewing user deletion:', error);
+        if (error.code === 'functions/permission-denied') {
+            throw new Error('You do not have permission to delete users. Admin access required.');
+        }
+        throw new Error(error.message || 'Failed to load the records linked to this user.');
+    }
+};
+
 /**
  * Delete user completely (Authentication + Firestore) - Admin only
  * Uses Firebase Callable Functions to avoid CORS issues
  * @param {string} userIdToDelete - The user ID to delete
- * @returns {Promise<Object>} Deletion result
+ * @param {Object} resolutions - Per reference key: { action: 'reassign'|'clear'|'anonymize', reassignTo? }
+ * @returns {Promise<Object>} Deletion result including the deletion report ID
  */
-export const deleteUserCompletely = async (userIdToDelete) => {
+export const deleteUserCompletely = async (userIdToDelete, resolutions = {}) => {
     try {
 
         // Get current user
@@ -78,13 +99,11 @@ export const deleteUserCompletely = async (userIdToDelete) => {
         }
 
 
-        // Create callable function reference
-        const deleteUserFunction = httpsCallable(functions, 'deleteUser');
-
-
-        // Call the function (Firebase handles authentication automatically)
+        // Call the function (Firebase handles authentication automatically).
+        // The server updates linked records and removes the user document.
         const result = await deleteUserFunction({
-            userIdToDelete: userIdToDelete
+            userIdToDelete: userIdToDelete,
+            resolutions
         });
 
 
@@ -94,16 +113,13 @@ export const deleteUserCompletely = async (userIdToDelete) => {
         }
 
 
-        // Delete user document from Firestore
-        const userDocRef = doc(db, 'users', userIdToDelete);
-        await deleteDoc(userDocRef);
-
-
         return {
             success: true,
             message: 'User deleted completely from both authentication and database.',
             deletedUserId: userIdToDelete,
-            deletedUserEmail: result.data.deletedUserEmail
+            deletedUserEmail: result.data.deletedUserEmail,
+            reportId: result.data.reportId,
+            summary: result.data.summary
         };
 
     } catch (error) {
@@ -114,8 +130,8 @@ export const deleteUserCompletely = async (userIdToDelete) => {
             throw new Error('You must be logged in to delete users.');
         } else if (error.code === 'functions/permission-denied') {
             throw new Error('You do not have permission to delete users. Admin access required.');
-        } else if (error.code === 'functions/invalid-argument') {
-            throw new Error('Invalid request. Please check the user ID and try again.');
+        } else if (error.code === 'functions/invalid-argument' || error.code === 'functions/failed-precondition') {
+            throw new Error(error.message || 'Invalid request. Please check the user ID and try again.');
         } else if (error.code === 'functions/internal') {
             throw new Error('Server error occurred. Please try again or contact support.');
         } else if (error.code === 'functions/unavailable') {
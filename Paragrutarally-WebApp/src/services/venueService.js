@@ -0,0 +1,134 @@
+// src/services/venueService.js - Venues events are held at
+import {
+    addDoc,
+    collection,
+    deleteDoc,
+    doc,
+    getDoc,
+    getDocs,
+    serverTimestamp,
+    updateDoc,
+    writeBatch
+} from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { cleanVenue, sortVenues, validateVenue } from '../schemas/venueSchema';
+import { isEventOver } from '../utils/eventDateUtils';
+import { getEventsAtVenue } from './eventService';
+
+const VENUES_COLLECTION = 'venues';
+const BATCH_SIZE = 400;
+
+const assertValidVenue = (venueData, t) => {
+    const validation = validateVenue(venueData, t);
+    if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+    }
+};
+
+/**
+ * Get all venues, by name
+ * @returns {Promise<Array>} Array of venues
+ */
+export const getAllVenues = async () => {
+    try {
+        const snapshot = await getDocs(collection(db, VENUES_COLLECTION));
+        return sortVenues(snapshot.docs.map(venueDoc => ({ id: venueDoc.id, ...venueDoc.data() })));
+    } catch (error) {
+        console.error('Error getting venues:', error);
+        throw new Error(`Failed to load venues: ${error.message}`);
+    }
+};
+
+/**
+ * Get a single venue
+ * @param {string} venueId - Venue ID
+ * @returns {Promise<Object|null>} Venue, or null when it does not exist
+ */
+export const getVenueById = async (venueId) => {
+    try {
+        const venueDoc = await getDoc(doc(db, VENUES_COLLECTION, venueId));
+        return venueDoc.exists() ? { id: venueDoc.id, ...venueDoc.data() } : null;
+    } catch (error) {
+        console.error('Error getting venue:', error);
+        throw new Error(`Failed to load venue: ${error.message}`);
+    }
+};
+
+/**
+ * Create a venue
+ * @param {Object} venueData - Venue data from the form
+ * @param {Function} t - Translation function (optional)
+ * @returns {Promise<string>} The new venue ID
+ */
+export const createVenue = async (venueData, t = null) => {
+    assertValidVenue(venueData, t);
+
+    try {
+        const docRef = await addDoc(collection(db, VENUES_COLLECTION), {
+            ...cleanVenue(venueData),
+            createdAt: serverTimestamp(),
+            updatedAt: serverTimestamp()
+        });
+        return docRef.id;
+    } catch (error) {
+        console.error('Error creating venue:', error);
+        throw new Error(`Failed to create venue: ${error.message}`);
+    }
+};
+
+/**
+ * Update a venue
+ * Events still to come at the venue take its new name and address; events already held keep
+ * the ones they were held under.
+ * @param {string} venueId - Venue ID
+ * @param {Object} venueData - Venue data from the form
+ * @param {Function} t - Translation function (optional)
+ * @returns {Promise<number>} How many upcoming events were updated
+ */
+export const updateVenue = async (venueId, venueData, t = null) => {
+    assertValidVenue(venueData, t);
+
+    try {
+        const venue = cleanVenue(venueData);
+        await updateDoc(doc(db, VENUES_COLLECTION, venueId), {
+            ...venue,
+            updatedAt: serverTimestamp()
+        });
+
+        const now = new Date();
+        const staleEvents = (await getEventsAtVenue(venueId)).filter(event =>
+            !isEventOver(event, now) && (event.location !== venue.name || event.address !== venue.address));
+        for (let i = 0; i < staleEvents.length; i += BATCH_SIZE) {
+            const batch = writeBatch(db);
+            staleEvents.slice(i, i + BATCH_SIZE).forEach(event => batch.update(doc(db, 'events', event.id), {
+                location: venue.name,
+                address: venue.address,
+                updatedAt: serverTimestamp()
+            }));
+            await batch.commit();
+        }
+        return staleEvents.length;
+    } catch (error) {
+        console.error('Error updating venue:', error);
+        throw new Error(`Failed to update venue: ${error.message}`);
+    }
+};
+
+/**
+ * Delete a venue no event uses
+ * @param {string} venueId - Venue ID
+ * @returns {Promise<void>}
+ */
+export const deleteVenue = async (venueId) => {
+    const events = await getEventsAtVenue(venueId);
+    if (events.length > 0) {
+        throw new Error(`This venue has ${events.length} events and cannot be deleted`);
+    }
+
+    try {
+        await deleteDoc(doc(db, VENUES_COLLECTION, venueId));
+    } catch (error) {
+        console.error('Error deleting venue:', error);
+        throw new Error(`Failed to delete venue: ${error.message}`);
+    }
+};
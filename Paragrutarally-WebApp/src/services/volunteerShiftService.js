@@ -0,0 +1,206 @@
+// src/services/volunteerShiftService.js - Volunteer shifts of events and the slots volunteers claim (volunteerShifts)
+import {
+    addDoc,
+    arrayRemove,
+    collection,
+    deleteDoc,
+    doc,
+    getDocs,
+    query,
+    runTransaction,
+    serverTimestamp,
+    updateDoc,
+    where
+} from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { cleanShift, getOpenSlots, validateShift } from '../schemas/volunteerShiftSchema';
+
+const SHIFTS_COLLECTION = 'volunteerShifts';
+// Firestore `in` queries take at most 30 values
+const IN_QUERY_LIMIT = 30;
+
+const convertShift = (shiftDoc) => {
+    const data = shiftDoc.data();
+    return {
+        id: shiftDoc.id,
+        ...data,
+        volunteerIds: data.volunteerIds || [],
+        createdAt: data.createdAt?.toDate ? data.createdAt.toDate() : data.createdAt || null,
+        updatedAt: data.updatedAt?.toDate ? data.updatedAt.toDate() : data.updatedAt || null
+    };
+};
+
+/**
+ * Get the shifts of an event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>} Shifts
+ */
+export const getEventShifts = async (eventId) => {
+    try {
+        const snapshot = await getDocs(query(collection(db, SHIFTS_COLLECTION), where('eventId', '==', eventId)));
+        return snapshot.docs.map(convertShift);
+    } catch (error) {
+        console.error('Error getting event shifts:', error);
+        throw new Error(`Failed to load shifts: ${error.message}`);
+    }
+};
+
+/**
+ * Get the shifts of several events, e.g. for the coverage column of the events list
+ * @param {Array<string>} eventIds - Event IDs
+ * @returns {Promise<Array>} Shifts
+ */
+export const getShiftsForEvents = async (eventIds) => {
+    try {
+        const shifts = [];
+        for (let i = 0; i < eventIds.length; i += IN_QUERY_LIMIT) {
+            const snapshot = await getDocs(query(
+                collection(db, SHIFTS_COLLECTION),
+                where('eventId', 'in', eventIds.slice(i, i + IN_QUERY_LIMIT))
+            ));
+            shifts.push(...snapshot.docs.map(convertShift));
+        }
+        return shifts;
+    } catch (error) {
+        console.error('Error getting shifts:', error);
+        throw new Error(`Failed to load shifts: ${error.message}`);
+    }
+};
+
+/**
+ * Get the shifts a volunteer signed up for
+ * @param {string} userId - Volunteer's user ID
+ * @returns {Promise<Array>} Shifts
+ */
+export const getVolunteerShifts = async (userId) => {
+    try {
+        const snapshot = await getDocs(query(
+            collection(db, SHIFTS_COLLECTION),
+            where('volunteerIds', 'array-contains', userId)
+        ));
+        return snapshot.docs.map(convertShift);
+    } catch (error) {
+        console.error('Error getting volunteer shifts:', error);
+        throw new Error(`Failed to load your shifts: ${error.message}`);
+    }
+};
+
+/**
+ * Add a shift to an event (admins only)
+ * @param {string} eventId - Event ID
+ * @param {Object} shift - Shift from the form
+ * @param {Function} t - Translation function (optional)
+ * @returns {Promise<Object>} The new shift
+ */
+export const createShift = async (eventId, shift, t = null) => {
+    const cleaned = cleanShift(shift);
+    const validation = validateShift(cleaned, t);
+    if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+    }
+
+    try {
+        const saved = {
+            eventId,
+            ...cleaned,
+            volunteerIds: [],
+            createdAt: serverTimestamp(),
+            updatedAt: serverTimestamp()
+        };
+        const shiftRef = await addDoc(collection(db, SHIFTS_COLLECTION), saved);
+        return { id: shiftRef.id, ...saved, createdAt: new Date(), updatedAt: new Date() };
+    } catch (error) {
+        console.error('Error creating shift:', error);
+        throw new Error(`Failed to create the shift: ${error.message}`);
+    }
+};
+
+/**
+ * Change a shift's role, time or slots (admins only). Slots cannot drop below the
+ * number of volunteers already signed up.
+ * @param {Object} shift - Shift as loaded, with its volunteerIds
+ * @param {Object} changes - Fields from the form
+ * @param {Function} t - Translation function (optional)
+ * @returns {Promise<void>}
+ */
+export const updateShift = async (shift, changes, t = null) => {
+    const cleaned = cleanShift({ ...shift, ...changes });
+    const validation = validateShift({ ...cleaned, volunteerIds: shift.volunteerIds }, t);
+    if (!validation.isValid) {
+        throw new Error(`Validation failed: ${Object.values(validation.errors).join(', ')}`);
+    }
+
+    try {
+        await updateDoc(doc(db, SHIFTS_COLLECTION, shift.id), { ...cleaned, updatedAt: serverTimestamp() });
+    } catch (error) {
+        console.error('Error updating shift:', error);
+        throw new Error(`Failed to update the shift: ${error.message}`);
+    }
+};
+
+/**
+ * Remove a shift (admins only)
+ * @param {string} shiftId - Shift ID
+ * @returns {Promise<void>}
+ */
+export const deleteShift = async (shiftId) => {
+    try {
+        await deleteDoc(doc(db, SHIFTS_COLLECTION, shiftId));
+    } catch (error) {
+        console.error('Error deleting shift:', error);
+        throw new Error(`Failed to delete the shift: ${error.message}`);
+    }
+};
+
+/**
+ * Take a slot of a shift. Runs in a transaction so two volunteers cannot take the last slot;
+ * the volunteerShifts rules allow a volunteer to add only their own uid, up to the slot count.
+ * @param {string} shiftId - Shift ID
+ * @param {string} userId - Volunteer's user ID
+ * @param {Function} t - Translation function (optional)
+ * @returns {Promise<void>}
+ */
+export const claimShift = async (shiftId, userId, t = null) => {
+    const translate = (key, fallback) => (t ? t(key, fallback) : fallback);
+    try {
+        await runTransaction(db, async (transaction) => {
+            const shiftRef = doc(db, SHIFTS_COLLECTION, shiftId);
+            const shiftDoc = await transaction.get(shiftRef);
+            if (!shiftDoc.exists()) {
+                throw new Error(translate('volunteers.shiftGone', 'This shift no longer exists'));
+            }
+
+            const shift = convertShift(shiftDoc);
+            if (shift.volunteerIds.includes(userId)) return;
+            if (getOpenSlots(shift) === 0) {
+                throw new Error(translate('volunteers.shiftFull', 'This shift is already full'));
+            }
+
+            transaction.update(shiftRef, {
+                volunteerIds: [...shift.volunteerIds, userId],
+                updatedAt: serverTimestamp()
+            });
+        });
+    } catch (error) {
+        console.error('Error claiming shift:', error);
+        throw new Error(`Failed to sign up: ${error.message}`);
+    }
+};
+
+/**
+ * Give a slot back; admins can also take a volunteer off a shift
+ * @param {string} shiftId - Shift ID
+ * @param {string} userId - Volunteer's user ID
+ * @returns {Promise<void>}
+ */
+export const releaseShift = async (shiftId, userId) => {
+    try {
+        await updateDoc(doc(db, SHIFTS_COLLECTION, shiftId), {
+            volunteerIds: arrayRemove(userId),
+            updatedAt: serverTimestamp()
+        });
+    } catch (error) {
+        console.error('Error releasing shift:', error);
+        throw new Error(`Failed to cancel the shift: ${error.message}`);
+    }
+};
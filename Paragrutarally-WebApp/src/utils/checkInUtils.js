@@ -0,0 +1,113 @@
+// src/utils/checkInUtils.js - Race-day check-in: QR codes on participant cards and what staff must be warned about
+import { REGISTRATION_STATUS } from '../schemas/eventRegistrationSchema';
+
+// A card's QR code holds this prefix and the kid's id, so it works for every event the kid races in
+export const CHECK_IN_CODE_PREFIX = 'paragrutarally:kid:';
+
+/**
+ * Things staff see when a kid is scanned. Only NOT_REGISTERED and WAITLISTED stop the check-in;
+ * the others are shown as warnings.
+ */
+export const CHECK_IN_ISSUES = {
+    NOT_REGISTERED: 'notRegistered',
+    WAITLISTED: 'waitlisted',
+    ALREADY_CHECKED_IN: 'alreadyCheckedIn',
+    DECLARATION_MISSING: 'declarationMissing',
+    FORM_NOT_COMPLETED: 'formNotCompleted'
+};
+
+const BLOCKING_ISSUES = [CHECK_IN_ISSUES.NOT_REGISTERED, CHECK_IN_ISSUES.WAITLISTED];
+
+/**
+ * The text of a kid's QR code
+ * @param {string} kidId - Kid ID
+ * @returns {string}
+ */
+export const getCheckInCode = (kidId) => `${CHECK_IN_CODE_PREFIX}${kidId}`;
+
+/**
+ * Read a scanned QR code
+ * @param {string} text - Decoded QR text
+ * @returns {string|null} - Kid ID, or null when it is not one of our codes
+ */
+export const parseCheckInCode = (text) => {
+    const value = String(text || '').trim();
+    if (!value.startsWith(CHECK_IN_CODE_PREFIX)) return null;
+    const kidId = value.slice(CHECK_IN_CODE_PREFIX.length);
+    return /^[A-Za-z0-9_-]{1,128}$/.test(kidId) ? kidId : null;
+};
+
+/**
+ * What to tell staff about a scanned kid
+ * @param {Object} kid - Kid
+ * @param {Object|null} registration - The kid's registration for the event, if any
+ * @param {Object} event - Event (requireSignedDeclaration)
+ * @returns {Array<string>} - CHECK_IN_ISSUES values
+ */
+export const getCheckInIssues = (kid, registration, event = {}) => {
+    const issues = [];
+    const status = registration?.status || REGISTRATION_STATUS.REGISTERED;
+
+    if (!registration || status === REGISTRATION_STATUS.CANCELLED) {
+        issues.push(CHECK_IN_ISSUES.NOT_REGISTERED);
+    } else if (status === REGISTRATION_STATUS.WAITLISTED) {
+        issues.push(CHECK_IN_ISSUES.WAITLISTED);
+    }
+    if (registration?.checkedInAt) {
+        issues.push(CHECK_IN_ISSUES.ALREADY_CHECKED_IN);
+    }
+    if (event.requireSignedDeclaration !== false && !kid.signedDeclaration && !registration?.declarationUploaded) {
+        issues.push(CHECK_IN_ISSUES.DECLARATION_MISSING);
+    }
+    if ((kid.signedFormStatus || 'pending') !== 'completed') {
+        issues.push(CHECK_IN_ISSUES.FORM_NOT_COMPLETED);
+    }
+    return issues;
+};
+
+/**
+ * Can the kid be checked in, whatever the warnings?
+ * @param {Array<string>} issues - From getCheckInIssues
+ * @returns {boolean}
+ */
+export const canCheckIn = (issues) =>
+    !issues.some(issue => BLOCKING_ISSUES.includes(issue) || issue === CHECK_IN_ISSUES.ALREADY_CHECKED_IN);
+
+/**
+ * The few medical lines staff need at the gate: severe allergies, seizures, medications and notes
+ * @param {Object|null} profile - Medical profile
+ * @returns {Object} - { severeAllergies, otherAllergies, hasSeizures, medications, notes }
+ */
+export const getEmergencyNotes = (profile) => {
+    const allergies = profile?.allergies || [];
+    return {
+        severeAllergies: allergies.filter(allergy => allergy.severity === 'severe').map(allergy => allergy.allergen),
+        otherAllergies: allergies.filter(allergy => allergy.severity !== 'severe').map(allergy => allergy.allergen),
+        hasSeizures: Boolean(profile?.seizureProtocol?.hasSeizures),
+        medications: (profile?.medications || []).map(medication => medication.name).filter(Boolean),
+        notes: profile?.additionalNotes || ''
+    };
+};
+
+/**
+ * Text of a check-in issue
+ * @param {string} issue - CHECK_IN_ISSUES value
+ * @param {Function} t - Translation function
+ * @returns {string}
+ */
+export const getCheckInIssueText = (issue, t) => {
+    switch (issue) {
+        case CHECK_IN_ISSUES.NOT_REGISTERED:
+            return t('checkIn.issues.notRegistered', 'Not registered for this event');
+        case CHECK_IN_ISSUES.WAITLISTED:
+            return t('checkIn.issues.waitlisted', 'On the waitlist, not registered');
+        case CHECK_IN_ISSUES.ALREADY_CHECKED_IN:
+            return t('checkIn.issues.alreadyCheckedIn', 'Already checked in');
+        case CHECK_IN_ISSUES.DECLARATION_MISSING:
+            return t('checkIn.issues.declarationMissing', 'No signed declaration');
+        case CHECK_IN_ISSUES.FORM_NOT_COMPLETED:
+            return t('checkIn.issues.formNotCompleted', 'Registration form not completed');
+        default:
+            return issue;
+    }
+};
@@ -0,0 +1,200 @@
+// src/utils/eventDateUtils.js - Reading and writing event dates, always in Israel time
+//
+// An event's time is its startsAt and endsAt Timestamps. The date (YYYY-MM-DD) and time (HH:mm)
+// strings stored beside them are the same start as Israel wall-clock time, kept for the forms
+// and the registration rules. Events from before startsAt existed only have those strings (or
+// an eventDate), so read event dates through these helpers rather than from the fields.
+// The functions in firebase-functions/index.js and scripts/migrate-event-dates.mjs do the same.
+
+export const EVENT_TIME_ZONE = 'Asia/Jerusalem';
+// Events without an end time last this long
+export const DEFAULT_EVENT_DURATION_HOURS = 3;
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const wallClockFormat = new Intl.DateTimeFormat('en-CA', {
+    timeZone: EVENT_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+});
+
+/**
+ * The Israel wall-clock date and time of an instant
+ * @param {Date} instant - Point in time
+ * @returns {{date: string, time: string}} YYYY-MM-DD and HH:mm
+ */
+export const toIsraelDateTime = (instant) => {
+    const parts = Object.fromEntries(wallClockFormat.formatToParts(instant).map(part => [part.type, part.value]));
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+};
+
+// How many minutes Israel is ahead of UTC at an instant (120 in winter, 180 in summer)
+const israelOffsetMinutes = (instant) => {
+    const { date, time } = toIsraelDateTime(instant);
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const wholeMinute = Math.floor(instant.getTime() / MINUTE_MS) * MINUTE_MS;
+    return (Date.UTC(year, month - 1, day, hours, minutes) - wholeMinute) / MINUTE_MS;
+};
+
+/**
+ * The instant of an Israel wall-clock date and time
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:mm; midnight when left out
+ * @returns {Date|null} Null when the date or time is not valid
+ */
+export const fromIsraelDateTime = (date, time = '00:00') => {
+    const dateMatch = DATE_PATTERN.exec(date || '');
+    const timeMatch = TIME_PATTERN.exec(time || '');
+    if (!dateMatch || !timeMatch) return null;
+
+    const [year, month, day] = dateMatch.slice(1).map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, Number(timeMatch[1]), Number(timeMatch[2]));
+    // The offset at the wall-clock time read as UTC is off by an hour close to a clock change,
+    // so take the offset again at the first guess
+    const guess = new Date(wallClock - israelOffsetMinutes(new Date(wallClock)) * MINUTE_MS);
+    return new Date(wallClock - israelOffsetMinutes(guess) * MINUTE_MS);
+};
+
+/**
+ * A Date from a Firestore Timestamp, a Date, epoch milliseconds or a date string.
+ * A bare YYYY-MM-DD is midnight in Israel, not in UTC.
+ * @param {*} value - Stored date
+ * @returns {Date|null}
+ */
+export const toDate = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+    if (typeof value.toDate === 'function') return value.toDate();
+    if (typeof value.seconds === 'number') return new Date(value.seconds * 1000);
+    if (typeof value === 'string' && DATE_PATTERN.test(value)) return fromIsraelDateTime(value);
+
+    const parsed = new Date(value);
+    return isNaN(parsed.getTime()) ? null : parsed;
+};
+
+// YYYY-MM-DD of the day after
+const getNextDay = (date) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+};
+
+/**
+ * Whether an event has a start time, or only a day.
+ * Timed events always store their time beside startsAt, so the time decides.
+ * @param {Object} event - Event
+ * @returns {boolean}
+ */
+export const hasEventTime = (event) => TIME_PATTERN.test(event?.time || '');
+
+/**
+ * When an event starts: startsAt, else its date and time in Israel, else a legacy eventDate
+ * @param {Object} event - Event
+ * @returns {Date|null} Null for events without a date
+ */
+export const getEventStart = (event) => {
+    if (!event) return null;
+    return toDate(event.startsAt)
+        || fromIsraelDateTime(event.date, hasEventTime(event) ? event.time : undefined)
+        || toDate(event.date)
+        || toDate(event.eventDate);
+};
+
+/**
+ * When an event ends: endsAt, else the default duration after it starts, or the end of its
+ * day for events without a start time
+ * @param {Object} event - Event
+ * @returns {Date|null}
+ */
+export const getEventEnd = (event) => {
+    const endsAt = hasEventTime(event) ? toDate(event.endsAt) : null;
+    if (endsAt) return endsAt;
+
+    const start = getEventStart(event);
+    if (!start) return null;
+    if (hasEventTime(event)) return new Date(start.getTime() + DEFAULT_EVENT_DURATION_HOURS * HOUR_MS);
+    return fromIsraelDateTime(getNextDay(toIsraelDateTime(start).date));
+};
+
+/**
+ * The day an event starts on in Israel
+ * @param {Object} event - Event
+ * @returns {string} YYYY-MM-DD, or '' without a date
+ */
+export const getEventDay = (event) => {
+    const start = getEventStart(event);
+    return start ? toIsraelDateTime(start).date : '';
+};
+
+/**
+ * The Israel start time of an event
+ * @param {Object} event - Event
+ * @returns {string} HH:mm, or '' when it has no start time
+ */
+export const getEventStartTime = (event) => {
+    const start = getEventStart(event);
+    return start && hasEventTime(event) ? toIsraelDateTime(start).time : '';
+};
+
+/**
+ * The Israel end time of an event
+ * @param {Object} event - Event
+ * @returns {string} HH:mm, or '' when it has no start time
+ */
+export const getEventEndTime = (event) => {
+    const end = getEventEnd(event);
+    return end && hasEventTime(event) ? toIsraelDateTime(end).time : '';
+};
+
+/**
+ * The date fields to store for an event entered as an Israel date with start and end times.
+ * Firestore stores the Date instants as Timestamps.
+ * @param {Object} values - { date: YYYY-MM-DD, time: HH:mm, endTime: HH:mm (optional) }
+ * @returns {Object} { date, time, startsAt, endsAt }; startsAt and endsAt are null without a valid date and time
+ */
+export const buildEventDates = ({ date, time, endTime }) => {
+    const startsAt = fromIsraelDateTime(date, time);
+    const endsAt = startsAt && TIME_PATTERN.test(endTime || '')
+        ? fromIsraelDateTime(date, endTime)
+        : startsAt && new Date(startsAt.getTime() + DEFAULT_EVENT_DURATION_HOURS * HOUR_MS);
+    return { date, time, startsAt: startsAt || null, endsAt: endsAt || null };
+};
+
+/**
+ * Format when an event starts, on the Israel calendar whatever the device's time zone
+ * @param {Object} event - Event
+ * @param {string} locale - e.g. 'he-IL' or 'en-US'
+ * @param {Object} options - Intl.DateTimeFormat options; the date in full by default
+ * @returns {string} '' for events without a date
+ */
+export const formatEventDate = (event, locale, options = { year: 'numeric', month: 'long', day: 'numeric' }) => {
+    const start = getEventStart(event);
+    return start ? start.toLocaleString(locale, { ...options, timeZone: EVENT_TIME_ZONE }) : '';
+};
+
+/**
+ * Has the event ended?
+ * @param {Object} event - Event
+ * @param {Date} now - Current time
+ * @returns {boolean} False for events without a date
+ */
+export const isEventOver = (event, now = new Date()) => {
+    const end = getEventEnd(event);
+    return Boolean(end) && end <= now;
+};
+
+/**
+ * Sort comparator, earliest start first; events without a date go last
+ * @param {Object} a - Event
+ * @param {Object} b - Event
+ * @returns {number}
+ */
+export const compareEventStarts = (a, b) =>
+    (getEventStart(a)?.getTime() ?? Infinity) - (getEventStart(b)?.getTime() ?? Infinity);
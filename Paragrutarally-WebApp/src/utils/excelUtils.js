@@ -1,95 +1,159 @@
 // src/utils/excelUtils.js
 
-import * as XLSX from 'xlsx';
+import ExcelJS from 'exceljs';
 
 /**
- * Parse Excel file to JSON
- * @param {File} file - Excel file to parse
- * @param {Object} options - Parsing options
- * @returns {Promise<Object>} - Parsed data { data, headers, sheets }
+ * Read the value of an ExcelJS cell the way it shows in the sheet
+ * Rich text, hyperlinks and formulas are reduced to their text/result; dates stay Date objects.
+ * @param {*} value - ExcelJS cell value
+ * @returns {*} - String, number, boolean, Date or undefined
  */
-export const parseExcelFile = (file, options = {}) => {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-
-        reader.onload = (e) => {
-            try {
-                const data = e.target.result;
-                const workbook = XLSX.read(data, {
-                    type: 'binary',
-                    cellDates: true,
-                    ...options
-                });
+const readCellValue = (value) => {
+    if (value === null || value === undefined) return undefined;
+    if (value instanceof Date || typeof value !== 'object') return value;
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if ('result' in value) return readCellValue(value.result);
+    if ('text' in value) return value.text;
+    return undefined;
+};
 
-                // Get first sheet name
-                const firstSheetName = workbook.SheetNames[0];
-
-                // Get all sheet data
-                const sheets = {};
-                workbook.SheetNames.forEach(sheetName => {
-                    const worksheet = workbook.Sheets[sheetName];
-                    sheets[sheetName] = XLSX.utils.sheet_to_json(worksheet, {
-                        header: 1,
-                        raw: false,
-                        ...options
-                    });
-                });
+/**
+ * Split CSV text into rows of cells (quoted cells may hold commas, quotes and line breaks)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows
+ */
+const parseCsvText = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
 
-                // Get headers and data from first sheet
-                const headers = sheets[firstSheetName][0] || [];
-                const sheetData = sheets[firstSheetName].slice(1);
-
-                // Create array of objects with keys from headers
-                const dataObjects = sheetData.map(row => {
-                    const obj = {};
-                    headers.forEach((header, index) => {
-                        if (header) { // Skip empty headers
-                            obj[header] = row[index];
-                        }
-                    });
-                    return obj;
-                });
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
 
-                resolve({
-                    data: dataObjects,
-                    headers,
-                    sheets,
-                    workbook
-                });
-            } catch (error) {
-                reject(error);
-            }
-        };
+    return rows.filter(cells => cells.some(value => value !== ''));
+};
 
-        reader.onerror = (error) => {
-            reject(error);
-        };
+const readFileAs = (file, method) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = (error) => reject(error);
+    reader[method](file);
+});
+
+/**
+ * Parse Excel (.xlsx) or CSV file to JSON
+ * @param {File} file - Excel or CSV file to parse
+ * @returns {Promise<Object>} - Parsed data { data, headers, sheets, workbook } (workbook is null for CSV)
+ */
+export const parseExcelFile = async (file) => {
+    const sheets = {};
+    let workbook = null;
+    let firstSheetName;
+
+    if (/\.csv$/i.test(file.name) || file.type === 'text/csv') {
+        // Strip the BOM our own CSV exports start with
+        const text = (await readFileAs(file, 'readAsText')).replace(/^\uFEFF/, '');
+        firstSheetName = 'CSV';
+        sheets[firstSheetName] = parseCsvText(text);
+    } else {
+        workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(await readFileAs(file, 'readAsArrayBuffer'));
+
+        // Get all sheet data as rows of cells
+        workbook.eachSheet(worksheet => {
+            const rows = [];
+            worksheet.eachRow({ includeEmpty: false }, row => {
+                // row.values is 1-based
+                rows.push(row.values.slice(1).map(readCellValue));
+            });
+            sheets[worksheet.name] = rows;
+        });
+        firstSheetName = workbook.worksheets[0]?.name;
+    }
 
-        reader.readAsBinaryString(file);
+    // Get headers and data from first sheet
+    const firstSheet = sheets[firstSheetName] || [];
+    const headers = firstSheet[0] || [];
+    const sheetData = firstSheet.slice(1);
+
+    // Create array of objects with keys from headers
+    const dataObjects = sheetData.map(row => {
+        const obj = {};
+        headers.forEach((header, index) => {
+            if (header) { // Skip empty headers
+                obj[header] = row[index];
+            }
+        });
+        return obj;
     });
+
+    return {
+        data: dataObjects,
+        headers,
+        sheets,
+        workbook
+    };
 };
 
 /**
  * Convert JSON data to Excel file
- * @param {Array} data - Array of objects to convert
- * @param {string} fileName - File name (without extension)
- * @param {Object} options - Excel options
- * @returns {Blob} - Excel file blob
+ * @param {Array} data - Array of objects to convert (keys become the header row)
+ * @param {string} sheetName - Worksheet name
+ * @param {Object} options - { hiddenColumns: headers to hide, rightToLeft: sheet direction }
+ * @returns {Promise<Blob>} - Excel file blob
  */
-export const jsonToExcel = (data, fileName = 'export', options = {}) => {
+export const jsonToExcel = async (data, sheetName = 'Data', { hiddenColumns = [], rightToLeft = false } = {}) => {
     if (!data || !Array.isArray(data) || data.length === 0) {
         throw new Error('Data must be a non-empty array');
     }
 
-    // Create worksheet
-    const worksheet = XLSX.utils.json_to_sheet(data, options);
-
-    // Create workbook
-    const workbook = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(workbook, worksheet, 'Data');
+    // Create workbook and worksheet
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet(sheetName);
+    const headers = Object.keys(data[0]);
+    worksheet.columns = headers.map(header => ({
+        header,
+        key: header,
+        width: Math.max(12, header.length + 2),
+        hidden: hiddenColumns.includes(header)
+    }));
+    worksheet.addRows(data);
+    if (rightToLeft) {
+        worksheet.views = [{ rightToLeft: true }];
+    }
 
     // Generate Excel file
-    const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    const excelBuffer = await workbook.xlsx.writeBuffer();
 
     // Create blob
     return new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
@@ -282,7 +346,7 @@ export const formatExcelData = (data, columns) => {
  * @param {Array} headers - Headers for template
  * @param {string} fileName - File name (without extension)
  */
-export const createExcelTemplate = (headers, fileName = 'template') => {
+export const createExcelTemplate = async (headers, fileName = 'template') => {
     // Create empty row with headers
     const data = [headers.reduce((obj, header) => {
         obj[header] = '';
@@ -290,7 +354,7 @@ export const createExcelTemplate = (headers, fileName = 'template') => {
     }, {})];
 
     // Convert to Excel
-    const blob = jsonToExcel(data, fileName);
+    const blob = await jsonToExcel(data);
 
     // Download
     downloadExcel(blob, fileName);
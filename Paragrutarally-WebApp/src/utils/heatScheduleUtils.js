@@ -0,0 +1,242 @@
+// src/utils/heatScheduleUtils.js - Build a race-day heat schedule without double-booking shared vehicles
+import { getEventStartTime } from './eventDateUtils';
+
+/**
+ * Problems in a schedule. The generator never produces them; they show up when an
+ * admin moves kids by hand.
+ */
+export const SCHEDULE_ISSUES = {
+    NO_VEHICLE: 'noVehicle',
+    VEHICLE_TWICE_IN_HEAT: 'vehicleTwiceInHeat',
+    VEHICLE_CONSECUTIVE: 'vehicleConsecutive',
+    HEAT_OVER_SIZE: 'heatOverSize'
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Default generator settings for an event
+ * @param {Object} event - Event, its start time is the first heat's
+ * @returns {Object} - { heatSize, heatDurationMinutes, changeoverMinutes, startTime }
+ */
+export const createDefaultHeatSettings = (event = {}) => ({
+    heatSize: 6,
+    heatDurationMinutes: 5,
+    changeoverMinutes: 3, // between two heats, to swap drivers and check the cars
+    startTime: getEventStartTime(event) || '09:00'
+});
+
+/**
+ * Validate the generator settings
+ * @param {Object} settings - { heatSize, heatDurationMinutes, changeoverMinutes, startTime }
+ * @param {Function} t - Translation function (optional)
+ * @returns {Object} - { isValid: boolean, errors: {} }
+ */
+export const validateHeatSettings = (settings, t = null) => {
+    const translate = (key, fallback) => (t ? t(key, fallback) : fallback);
+    const errors = {};
+    const isWholeNumber = (value, min) => value !== '' && Number.isInteger(Number(value)) && Number(value) >= min;
+
+    if (!isWholeNumber(settings.heatSize, 1)) {
+        errors.heatSize = translate('heats.validation.heatSize', 'Heat size must be a whole number of at least 1');
+    }
+    if (!isWholeNumber(settings.heatDurationMinutes, 1)) {
+        errors.heatDurationMinutes = translate('heats.validation.duration', 'Heat length must be at least 1 minute');
+    }
+    if (!isWholeNumber(settings.changeoverMinutes, 0)) {
+        errors.changeoverMinutes = translate('heats.validation.changeover', 'Changeover must be a whole number of minutes');
+    }
+    if (!TIME_PATTERN.test(settings.startTime || '')) {
+        errors.startTime = translate('heats.validation.startTime', 'Enter a start time (HH:MM)');
+    }
+
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+};
+
+/**
+ * The vehicle each kid drives. A vehicle's currentKidIds wins over the kid's own vehicleId,
+ * since several kids can share one vehicle.
+ * @param {Array} kids - Kids
+ * @param {Array} vehicles - Vehicles
+ * @returns {Map<string, string>} - kidId → vehicleId
+ */
+export const getKidVehicleMap = (kids, vehicles) => {
+    const vehicleOf = new Map();
+    kids.forEach(kid => {
+        if (kid.vehicleId) vehicleOf.set(kid.id, kid.vehicleId);
+    });
+    vehicles.forEach(vehicle => {
+        (vehicle.currentKidIds || []).forEach(kidId => vehicleOf.set(kidId, vehicle.id));
+    });
+    return vehicleOf;
+};
+
+const parentIdsOf = (kid) => {
+    const parentInfo = kid.parentInfo || {};
+    return [
+        ...(Array.isArray(parentInfo.parentIds) ? parentInfo.parentIds : []),
+        ...(parentInfo.parentId ? [parentInfo.parentId] : [])
+    ];
+};
+
+/**
+ * Group kids that share a parent. Families keep the order of their first kid.
+ * @param {Array} kids - Kids, in the order they should run
+ * @returns {Array<Array>} - Families, single kids included
+ */
+export const groupSiblings = (kids) => {
+    const families = [];
+    const familyOfParent = new Map(); // parentId → index in families
+
+    kids.forEach(kid => {
+        const joined = [...new Set(parentIdsOf(kid)
+            .map(parentId => familyOfParent.get(parentId))
+            .filter(index => index !== undefined))].sort((a, b) => a - b);
+        const target = joined.length > 0 ? joined[0] : families.push([]) - 1;
+
+        // A kid can link two families that looked apart so far, e.g. each parent listed on a different kid
+        joined.slice(1).forEach(index => {
+            families[target].push(...families[index]);
+            families[index] = [];
+        });
+        families[target].push(kid);
+        families[target].forEach(member => parentIdsOf(member).forEach(parentId => familyOfParent.set(parentId, target)));
+    });
+
+    return families.filter(family => family.length > 0);
+};
+
+/**
+ * Put kids into heats. Kids run in the given order with siblings next to each other; a kid
+ * waits for a later heat when their vehicle is already in the heat or ran in the one
+ * before, so a shared vehicle is never double-booked. When every kid left needs a vehicle
+ * from the previous heat, an empty heat is left as a break.
+ * @param {Array} kids - Registered kids, in the order they should run
+ * @param {Map<string, string>} vehicleOf - From getKidVehicleMap
+ * @param {Object} settings - Generator settings
+ * @returns {Object} - { heats: [{ kidIds }], unscheduled: [{ kidId, reason }] }
+ */
+export const generateHeatSchedule = (kids, vehicleOf, settings) => {
+    const heatSize = Number(settings.heatSize);
+    const unscheduled = kids
+        .filter(kid => !vehicleOf.get(kid.id))
+        .map(kid => ({ kidId: kid.id, reason: SCHEDULE_ISSUES.NO_VEHICLE }));
+    const queue = groupSiblings(kids.filter(kid => vehicleOf.get(kid.id))).flat();
+
+    const heats = [];
+    let previousVehicles = new Set();
+    while (queue.length > 0) {
+        const kidIds = [];
+        const vehicles = new Set();
+        for (let i = 0; i < queue.length && kidIds.length < heatSize;) {
+            const vehicleId = vehicleOf.get(queue[i].id);
+            if (vehicles.has(vehicleId) || previousVehicles.has(vehicleId)) {
+                i++;
+                continue;
+            }
+            kidIds.push(queue[i].id);
+            vehicles.add(vehicleId);
+            queue.splice(i, 1);
+        }
+        heats.push({ kidIds });
+        previousVehicles = vehicles;
+    }
+
+    return { heats, unscheduled };
+};
+
+/**
+ * Move a kid to another heat or place, as when an admin drags them
+ * @param {Array} heats - [{ kidIds }]
+ * @param {string} kidId - Kid to move, in a heat or not scheduled yet
+ * @param {number} toHeat - Index of the target heat
+ * @param {number} toPosition - Place in the target heat, the end when missing
+ * @returns {Array} - New heats
+ */
+export const moveKidInSchedule = (heats, kidId, toHeat, toPosition = Infinity) => {
+    const next = heats.map(heat => ({ ...heat, kidIds: heat.kidIds.filter(id => id !== kidId) }));
+    const target = next[toHeat].kidIds;
+    target.splice(Math.min(toPosition, target.length), 0, kidId);
+    return next;
+};
+
+/**
+ * Find double-booked vehicles and oversized heats
+ * @param {Array} heats - [{ kidIds }]
+ * @param {Map<string, string>} vehicleOf - From getKidVehicleMap
+ * @param {number} heatSize - Maximum kids per heat
+ * @returns {Array} - [{ heat, code, kidId, vehicleId }], heat is the index
+ */
+export const findScheduleConflicts = (heats, vehicleOf, heatSize) => {
+    const conflicts = [];
+    let previousVehicles = new Set();
+
+    heats.forEach((heat, index) => {
+        if (heat.kidIds.length > Number(heatSize)) {
+            conflicts.push({ heat: index, code: SCHEDULE_ISSUES.HEAT_OVER_SIZE, kidId: null, vehicleId: null });
+        }
+        const vehicles = new Set();
+        heat.kidIds.forEach(kidId => {
+            const vehicleId = vehicleOf.get(kidId);
+            if (!vehicleId) {
+                conflicts.push({ heat: index, code: SCHEDULE_ISSUES.NO_VEHICLE, kidId, vehicleId: null });
+                return;
+            }
+            if (vehicles.has(vehicleId)) {
+                conflicts.push({ heat: index, code: SCHEDULE_ISSUES.VEHICLE_TWICE_IN_HEAT, kidId, vehicleId });
+            } else if (previousVehicles.has(vehicleId)) {
+                conflicts.push({ heat: index, code: SCHEDULE_ISSUES.VEHICLE_CONSECUTIVE, kidId, vehicleId });
+            }
+            vehicles.add(vehicleId);
+        });
+        previousVehicles = vehicles;
+    });
+
+    return conflicts;
+};
+
+const addMinutes = (time, minutes) => {
+    const [, hours, mins] = TIME_PATTERN.exec(time);
+    const total = (((Number(hours) * 60 + Number(mins) + minutes) % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Start and end time of each heat; a changeover follows every heat
+ * @param {number} heatCount - Number of heats
+ * @param {Object} settings - Generator settings
+ * @returns {Array} - [{ start, end }] as HH:MM
+ */
+export const getHeatTimes = (heatCount, settings) => {
+    const duration = Number(settings.heatDurationMinutes);
+    const step = duration + Number(settings.changeoverMinutes);
+    return Array.from({ length: heatCount }, (_, index) => {
+        const start = addMinutes(settings.startTime, index * step);
+        return { start, end: addMinutes(start, duration) };
+    });
+};
+
+/**
+ * Explain a schedule problem to the user
+ * @param {string} code - SCHEDULE_ISSUES code
+ * @param {Function} t - Translation function
+ * @returns {string}
+ */
+export const getScheduleIssueText = (code, t) => {
+    switch (code) {
+        case SCHEDULE_ISSUES.NO_VEHICLE:
+            return t('heats.issues.noVehicle', 'No vehicle assigned');
+        case SCHEDULE_ISSUES.VEHICLE_TWICE_IN_HEAT:
+            return t('heats.issues.vehicleTwiceInHeat', 'The vehicle is used twice in this heat');
+        case SCHEDULE_ISSUES.VEHICLE_CONSECUTIVE:
+            return t('heats.issues.vehicleConsecutive', 'The vehicle also runs in the heat before');
+        case SCHEDULE_ISSUES.HEAT_OVER_SIZE:
+            return t('heats.issues.heatOverSize', 'The heat has more kids than the heat size');
+        default:
+            return code;
+    }
+};
@@ -0,0 +1,168 @@
+// src/utils/icsUtils.js - iCalendar (.ics) files for events
+// Keep in step with the calendar feed in firebase-functions/index.js, which builds the same events.
+
+import {
+    EVENT_TIME_ZONE,
+    getEventEnd,
+    getEventStart,
+    hasEventTime,
+    toIsraelDateTime
+} from './eventDateUtils';
+
+const MAX_LINE_BYTES = 75;
+const encoder = new TextEncoder();
+
+// Israel Standard/Daylight Time since 2013: summer time starts the Friday before the last
+// Sunday of March and ends the last Sunday of October, both at 02:00
+const JERUSALEM_TIME_ZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${EVENT_TIME_ZONE}`,
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:+0200',
+    'TZOFFSETTO:+0300',
+    'TZNAME:IDT',
+    'DTSTART:20130329T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYMONTHDAY=23,24,25,26,27,28,29;BYDAY=FR',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:+0300',
+    'TZOFFSETTO:+0200',
+    'TZNAME:IST',
+    'DTSTART:20131027T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+/**
+ * Escape a text value (RFC 5545 3.3.11)
+ * @param {string} value - Text
+ * @returns {string}
+ */
+export const escapeIcsText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line at 75 bytes; continuation lines start with a space.
+ * Counts UTF-8 bytes so Hebrew text is never cut inside a character.
+ * @param {string} line - Unfolded line
+ * @returns {string}
+ */
+export const foldIcsLine = (line) => {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const bytes = encoder.encode(char).length;
+        const limit = parts.length === 0 ? MAX_LINE_BYTES : MAX_LINE_BYTES - 1;
+        if (currentBytes + bytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Wall-clock date-time as YYYYMMDDTHHMMSS, from a Date whose UTC fields hold the local time
+const formatLocalDateTime = (date) =>
+    `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}00`;
+
+const formatUtcStamp = (date) => `${formatLocalDateTime(date)}Z`;
+
+// Israel wall-clock time of an instant as YYYYMMDDTHHMMSS, or only YYYYMMDD
+const formatIsraelDateTime = (instant) => {
+    const { date, time } = toIsraelDateTime(instant);
+    return `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+};
+const formatIsraelDate = (instant) => formatIsraelDateTime(instant).slice(0, 8);
+
+/**
+ * Can this event go in a calendar? It needs a date.
+ * @param {Object} event - Event
+ * @returns {boolean}
+ */
+export const hasCalendarDate = (event) => Boolean(getEventStart(event));
+
+/**
+ * The VEVENT lines of an event. The UID is the event id, so calendars update the same entry,
+ * and calendarSequence (bumped by the functions whenever the date, place or status changes)
+ * tells them which version is newer. Cancelled events stay in, marked cancelled.
+ * @param {Object} event - Event with id, name, startsAt/endsAt (or date and time), location, address, status
+ * @param {Date} now - Time the file is made
+ * @returns {Array<string>} Unfolded lines
+ */
+export const buildEventLines = (event, now = new Date()) => {
+    const start = getEventStart(event);
+    const end = getEventEnd(event);
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.id}@paragrutarally`,
+        `DTSTAMP:${formatUtcStamp(now)}`,
+        `SEQUENCE:${Number(event.calendarSequence) || 0}`
+    ];
+
+    if (hasEventTime(event)) {
+        lines.push(`DTSTART;TZID=${EVENT_TIME_ZONE}:${formatIsraelDateTime(start)}`);
+        lines.push(`DTEND;TZID=${EVENT_TIME_ZONE}:${formatIsraelDateTime(end)}`);
+    } else {
+        // No start time: an all-day event
+        lines.push(`DTSTART;VALUE=DATE:${formatIsraelDate(start)}`);
+        lines.push(`DTEND;VALUE=DATE:${formatIsraelDate(end)}`);
+    }
+
+    lines.push(`SUMMARY:${escapeIcsText(event.name)}`);
+    const place = [event.location, event.address].filter(Boolean).join(', ');
+    if (place) lines.push(`LOCATION:${escapeIcsText(place)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+    lines.push(`STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+    lines.push('END:VEVENT');
+    return lines;
+};
+
+/**
+ * A calendar file with the given events
+ * @param {Array} events - Events; those without a date are left out
+ * @param {Object} options - { calendarName, now }
+ * @returns {string} .ics content
+ */
+export const buildCalendar = (events, { calendarName = 'Paragrutarally', now = new Date() } = {}) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Paragrutarally//Events//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(calendarName)}`,
+        `X-WR-TIMEZONE:${EVENT_TIME_ZONE}`,
+        ...JERUSALEM_TIME_ZONE,
+        ...events.filter(hasCalendarDate).flatMap(event => buildEventLines(event, now)),
+        'END:VCALENDAR'
+    ];
+    return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Download one event as an .ics file, to add it to a phone or desktop calendar
+ * @param {Object} event - Event with a date
+ */
+export const downloadEventIcs = (event) => {
+    const blob = new Blob([buildCalendar([event], { calendarName: event.name })], { type: 'text/calendar;charset=utf-8' });
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${(event.name || 'event').replace(/[\\/:*?"<>|]+/g, '').trim() || 'event'}.ics`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+};
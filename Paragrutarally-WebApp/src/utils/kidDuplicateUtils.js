@@ -0,0 +1,255 @@
+// src/utils/kidDuplicateUtils.js - Fuzzy duplicate detection between kids and merge field choices
+
+/**
+ * Fields the admin picks a surviving value for when merging two kids.
+ * `teamId` stands for the team and vehicle together, so a kid never ends up in one
+ * kid's team with the other kid's vehicle. Keep in sync with MERGEABLE_KID_FIELDS in
+ * firebase-functions/index.js.
+ */
+export const KID_MERGE_FIELDS = [
+    { path: 'participantNumber', labelKey: 'kids.participantNumber', label: 'Participant Number' },
+    { path: 'personalInfo.firstName', labelKey: 'editKid.firstName', label: 'First Name' },
+    { path: 'personalInfo.lastName', labelKey: 'editKid.lastName', label: 'Last Name' },
+    { path: 'personalInfo.dateOfBirth', labelKey: 'common.dateOfBirth', label: 'Date of Birth' },
+    { path: 'personalInfo.address', labelKey: 'common.address', label: 'Address' },
+    { path: 'personalInfo.capabilities', labelKey: 'editKid.amazingAbilities', label: 'Capabilities' },
+    { path: 'personalInfo.announcersNotes', labelKey: 'editKid.announcerNotes', label: 'Announcer Notes' },
+    { path: 'personalInfo.photo', labelKey: 'kidDuplicates.photo', label: 'Photo' },
+    { path: 'parentInfo.name', labelKey: 'kids.parentName', label: 'Parent Name' },
+    { path: 'parentInfo.email', labelKey: 'editKid.emailAddress', label: 'Parent Email' },
+    { path: 'parentInfo.phone', labelKey: 'editKid.phoneNumber', label: 'Parent Phone' },
+    { path: 'parentInfo.grandparentsInfo.names', labelKey: 'editKid.grandparentsNames', label: 'Grandparents Names' },
+    { path: 'parentInfo.grandparentsInfo.phone', labelKey: 'editKid.grandparentsPhone', label: 'Grandparents Phone' },
+    { path: 'instructorId', labelKey: 'kidDuplicates.instructor', label: 'Instructor' },
+    { path: 'teamId', labelKey: 'kidDuplicates.teamAndVehicle', label: 'Team and Vehicle' },
+    { path: 'signedDeclaration', labelKey: 'exportKids.signedDeclaration', label: 'Signed Declaration' },
+    { path: 'signedFormStatus', labelKey: 'kids.status', label: 'Status' },
+    { path: 'additionalComments', labelKey: 'exportKids.additionalComments', label: 'Additional Comments' }
+];
+
+export const MERGE_SOURCE = {
+    SURVIVOR: 'survivor',
+    DUPLICATE: 'duplicate'
+};
+
+const NAME_THRESHOLD = 0.8;
+const EXACT_NAME_THRESHOLD = 0.95;
+
+// Sounds shared by Hebrew and Latin spellings, so "Cohen" and "כהן" share the key "KN"
+const LATIN_DIGRAPHS = [
+    ['sh', 'S'], ['ch', 'K'], ['kh', 'K'], ['tz', 'C'], ['ts', 'C'], ['ph', 'P'], ['th', 'T'], ['ck', 'K']
+];
+const LATIN_SOUNDS = {
+    b: 'B', v: 'B', w: 'B', p: 'P', f: 'P', k: 'K', c: 'K', q: 'K', g: 'G', j: 'G', x: 'KS',
+    d: 'D', z: 'Z', t: 'T', l: 'L', m: 'M', n: 'N', s: 'S', r: 'R'
+};
+const HEBREW_SOUNDS = {
+    'ב': 'B', 'ג': 'G', 'ד': 'D', 'ז': 'Z', 'ח': 'K', 'ט': 'T', 'כ': 'K', 'ל': 'L', 'מ': 'M',
+    'נ': 'N', 'ס': 'S', 'פ': 'P', 'צ': 'C', 'ק': 'K', 'ר': 'R', 'ש': 'S', 'ת': 'T'
+};
+const HEBREW_FINAL_LETTERS = { 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' };
+// Vav is either a vowel (o/u) or a v, so Hebrew names get a key for each reading
+const MAX_VAV_VARIANTS = 3;
+
+/**
+ * Read a kid field by its dotted path
+ * @param {Object} kid - Kid
+ * @param {string} path - e.g. 'personalInfo.firstName'
+ * @returns {*} - Field value
+ */
+export const getKidFieldValue = (kid, path) => path.split('.').reduce((current, key) => current?.[key], kid);
+
+/**
+ * Normalize a name for comparison
+ * Lower case, no accents, no Hebrew vowel points, regular forms of final letters.
+ * @param {string} name - Name as typed
+ * @returns {string} - Normalized name
+ */
+export const normalizeName = (name) => String(name ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f\u0591-\u05c7]/g, '')
+    .toLowerCase()
+    .replace(/[ךםןףץ]/g, letter => HEBREW_FINAL_LETTERS[letter])
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+const collapseRepeats = (key) => key.replace(/(.)\1+/g, '$1');
+
+const latinSoundKey = (name) => {
+    let text = name.replace(/[^a-z]/g, '');
+    LATIN_DIGRAPHS.forEach(([digraph, sound]) => {
+        text = text.split(digraph).join(sound);
+    });
+    return collapseRepeats([...text].map(char => (/[A-Z]/.test(char) ? char : LATIN_SOUNDS[char] || '')).join(''));
+};
+
+const hebrewSoundKeys = (name) => {
+    let keys = [''];
+    let vavs = 0;
+    [...name.replace(/[^א-ת]/g, '')].forEach(letter => {
+        if (letter === 'ו' && vavs < MAX_VAV_VARIANTS) {
+            vavs++;
+            keys = keys.flatMap(key => [key, `${key}B`]);
+        } else {
+            keys = keys.map(key => key + (HEBREW_SOUNDS[letter] || ''));
+        }
+    });
+    return [...new Set(keys.map(collapseRepeats))];
+};
+
+/**
+ * Sound keys of a name, for matching Hebrew and English spellings of it
+ * @param {string} name - Normalized name
+ * @returns {Array<string>} - One key for Latin names, one per reading of vav for Hebrew names
+ */
+export const getNameSoundKeys = (name) => {
+    const keys = [];
+    if (/[a-z]/.test(name)) keys.push(latinSoundKey(name));
+    if (/[א-ת]/.test(name)) keys.push(...hebrewSoundKeys(name));
+    return keys.filter(Boolean);
+};
+
+const levenshtein = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+const similarity = (a, b) => {
+    if (!a && !b) return 1;
+    if (!a || !b) return 0;
+    return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+/**
+ * How alike two names are, from 0 to 1
+ * Spelling is compared directly; sound keys catch the same name written in the
+ * other script ("Dana" / "דנה") and count slightly less than a spelling match.
+ * @param {string} a - First name (any script)
+ * @param {string} b - Second name (any script)
+ * @returns {number} - Similarity between 0 and 1
+ */
+export const nameSimilarity = (a, b) => {
+    const left = normalizeName(a);
+    const right = normalizeName(b);
+    if (!left || !right) return 0;
+
+    let best = similarity(left, right);
+    getNameSoundKeys(left).forEach(leftKey => {
+        getNameSoundKeys(right).forEach(rightKey => {
+            best = Math.max(best, similarity(leftKey, rightKey) * 0.9);
+        });
+    });
+    return best;
+};
+
+const normalizePhone = (phone) => {
+    const digits = String(phone ?? '').replace(/\D/g, '').replace(/^972/, '0');
+    return digits.length >= 7 ? digits.slice(-9) : '';
+};
+
+const normalizeEmail = (email) => String(email ?? '').trim().toLowerCase();
+
+const compareNames = (a, b) => {
+    const firstA = a.personalInfo?.firstName;
+    const lastA = a.personalInfo?.lastName;
+    const firstB = b.personalInfo?.firstName;
+    const lastB = b.personalInfo?.lastName;
+
+    // Some kids were entered with the whole name in one field
+    if (!lastA || !lastB) {
+        return nameSimilarity(`${firstA || ''} ${lastA || ''}`, `${firstB || ''} ${lastB || ''}`);
+    }
+
+    const inOrder = Math.min(nameSimilarity(firstA, firstB), nameSimilarity(lastA, lastB));
+    const swapped = Math.min(nameSimilarity(firstA, lastB), nameSimilarity(lastA, firstB));
+    return Math.max(inOrder, swapped);
+};
+
+const getCreatedTime = (kid) => {
+    const createdAt = kid.createdAt?.toDate?.() || kid.createdAt;
+    const time = createdAt ? new Date(createdAt).getTime() : NaN;
+    return isNaN(time) ? Infinity : time;
+};
+
+/**
+ * Compare two kids for being the same child
+ * A similar name alone is not enough (siblings share a surname and parents): it also needs
+ * the same date of birth, parent email or parent phone. Different dates of birth rule a
+ * pair out unless the names match almost exactly and a parent contact matches.
+ * @param {Object} a - Kid
+ * @param {Object} b - Kid
+ * @returns {Object|null} - { nameScore, reasons } or null when they are not duplicates
+ */
+export const compareKids = (a, b) => {
+    const nameScore = compareNames(a, b);
+    if (nameScore < NAME_THRESHOLD) return null;
+
+    const dobA = a.personalInfo?.dateOfBirth || '';
+    const dobB = b.personalInfo?.dateOfBirth || '';
+    const emailA = normalizeEmail(a.parentInfo?.email);
+    const phoneA = normalizePhone(a.parentInfo?.phone);
+
+    const reasons = ['name'];
+    if (dobA && dobA === dobB) reasons.push('dateOfBirth');
+    if (emailA && emailA === normalizeEmail(b.parentInfo?.email)) reasons.push('parentEmail');
+    if (phoneA && phoneA === normalizePhone(b.parentInfo?.phone)) reasons.push('parentPhone');
+
+    if (reasons.length === 1) return null;
+
+    const dobConflict = dobA && dobB && dobA !== dobB;
+    if (dobConflict && nameScore < EXACT_NAME_THRESHOLD) return null;
+
+    return { nameScore, reasons };
+};
+
+/**
+ * Find likely duplicate kids
+ * @param {Array<Object>} kids - Kids to check (archived ones included)
+ * @returns {Array<Object>} - [{ survivor, duplicate, nameScore, reasons }], strongest first;
+ *   the kid registered first is suggested as the survivor
+ */
+export const findDuplicateKids = (kids = []) => {
+    const pairs = [];
+
+    for (let i = 0; i < kids.length; i++) {
+        for (let j = i + 1; j < kids.length; j++) {
+            const match = compareKids(kids[i], kids[j]);
+            if (!match) continue;
+
+            const [survivor, duplicate] = getCreatedTime(kids[j]) < getCreatedTime(kids[i])
+                ? [kids[j], kids[i]]
+                : [kids[i], kids[j]];
+            pairs.push({ survivor, duplicate, ...match });
+        }
+    }
+
+    return pairs.sort((a, b) => b.reasons.length - a.reasons.length || b.nameScore - a.nameScore);
+};
+
+const isEmptyValue = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Default merge choices: keep the survivor's value unless it is empty and the duplicate has one
+ * @param {Object} survivor - Kid that stays
+ * @param {Object} duplicate - Kid merged into it
+ * @returns {Object} - { [fieldPath]: MERGE_SOURCE }
+ */
+export const getDefaultMergeChoices = (survivor, duplicate) => Object.fromEntries(
+    KID_MERGE_FIELDS.map(({ path }) => [
+        path,
+        isEmptyValue(getKidFieldValue(survivor, path)) && !isEmptyValue(getKidFieldValue(duplicate, path))
+            ? MERGE_SOURCE.DUPLICATE
+            : MERGE_SOURCE.SURVIVOR
+    ])
+);
@@ -0,0 +1,271 @@
+// src/utils/kidImportUtils.js - Column mapping and dry-run planning for the kids Excel import
+import { createEmptyKid, getKidFullName, validateKid } from '../schemas/kidSchema';
+import { validateExcelData } from './excelUtils';
+import { participantNumberKey } from './participantNumberUtils';
+
+// Column ExportKidsModal adds (hidden in Excel files) so edited exports update the same kids
+export const KID_ID_COLUMN = 'Kid ID';
+
+/**
+ * Kid fields a sheet column can be mapped to.
+ * `headers` are the column titles recognised automatically (English and Hebrew, including
+ * the titles ExportKidsModal writes). `teamId` is mapped by team name, `id` is the export's Kid ID.
+ */
+export const KID_IMPORT_FIELDS = [
+    { path: 'id', labelKey: 'kidImport.kidId', label: 'Kid ID', headers: ['kid id', 'מזהה ילד'] },
+    { path: 'participantNumber', labelKey: 'kids.participantNumber', label: 'Participant Number', headers: ['participant number', 'participant', 'race number', 'number', 'מספר משתתף'] },
+    { path: 'personalInfo.firstName', labelKey: 'editKid.firstName', label: 'First Name', headers: ['first name', 'firstname', 'שם פרטי'] },
+    { path: 'personalInfo.lastName', labelKey: 'editKid.lastName', label: 'Last Name', headers: ['last name', 'lastname', 'surname', 'שם משפחה'] },
+    { path: 'personalInfo.dateOfBirth', labelKey: 'common.dateOfBirth', label: 'Date of Birth', headers: ['date of birth', 'birth date', 'birthday', 'dob', 'תאריך לידה'] },
+    { path: 'personalInfo.address', labelKey: 'common.address', label: 'Address', headers: ['address', 'כתובת'] },
+    { path: 'personalInfo.capabilities', labelKey: 'editKid.amazingAbilities', label: 'Capabilities', headers: ['capabilities', 'abilities', 'abilities difficulties', 'יכולות מדהימות', 'יכולות'] },
+    { path: 'personalInfo.announcersNotes', labelKey: 'editKid.announcerNotes', label: 'Announcer Notes', headers: ['announcer notes', 'announcers notes', 'announcer s special notes', 'הערות הכרוז'] },
+    { path: 'parentInfo.name', labelKey: 'kids.parentName', label: 'Parent Name', headers: ['parent name', 'guardian name', 'parent', 'שם הורה'] },
+    { path: 'parentInfo.email', labelKey: 'editKid.emailAddress', label: 'Parent Email', headers: ['parent email', 'email', 'email address', 'אימייל הורה', 'אימייל'] },
+    { path: 'parentInfo.phone', labelKey: 'editKid.phoneNumber', label: 'Parent Phone', headers: ['parent phone', 'phone', 'phone number', 'טלפון הורה', 'טלפון'] },
+    { path: 'parentInfo.grandparentsInfo.names', labelKey: 'editKid.grandparentsNames', label: 'Grandparents Names', headers: ['grandparents names', 'שמות סבים וסבתות'] },
+    { path: 'parentInfo.grandparentsInfo.phone', labelKey: 'editKid.grandparentsPhone', label: 'Grandparents Phone', headers: ['grandparents phone', 'טלפון סבים וסבתות'] },
+    { path: 'teamId', labelKey: 'exportTeams.teamName', label: 'Team Name', headers: ['team name', 'team', 'שם הצוות', 'צוות'] },
+    { path: 'signedDeclaration', labelKey: 'exportKids.signedDeclaration', label: 'Signed Declaration', headers: ['signed declaration', 'declaration', 'הצהרה חתומה'] },
+    { path: 'additionalComments', labelKey: 'exportKids.additionalComments', label: 'Additional Comments', headers: ['additional comments', 'comments', 'הערות נוספות'] }
+];
+
+const YES_VALUES = ['yes', 'true', '1', 'y', 'כן'];
+const NO_VALUES = ['no', 'false', '0', 'n', 'לא'];
+// What the export writes for kids without a team; importing it takes the kid off its team
+const NO_TEAM_VALUES = ['no team', 'ללא צוות'];
+
+const normalizeHeader = (header) =>
+    String(header ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+const getPath = (obj, path) => path.split('.').reduce((current, key) => current?.[key], obj);
+
+const setPath = (obj, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((current, key) => {
+        current[key] = { ...(current[key] || {}) };
+        return current[key];
+    }, obj);
+    parent[last] = value;
+};
+
+// Numbers typed into Excel lose their leading zeros, so "7" and "007" are the same kid
+const matchKey = (participantNumber) => {
+    const key = participantNumberKey(participantNumber);
+    return /^\d+$/.test(key) ? String(parseInt(key, 10)) : key;
+};
+
+const readCell = (value) => {
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? '' : value.toISOString().split('T')[0];
+    }
+    return value === undefined || value === null ? '' : String(value).trim();
+};
+
+/**
+ * Read a date cell as YYYY-MM-DD
+ * Dates typed as text are read day first (DD/MM/YYYY), the way they are written locally.
+ * @param {string} value - Cell text
+ * @returns {string} - ISO date, or the text unchanged when it is not a date
+ */
+export const normalizeImportDate = (value) => {
+    const text = readCell(value);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+
+    const match = text.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{2}|\d{4})$/);
+    if (!match) return text;
+
+    const [, day, month, year] = match;
+    const fullYear = year.length === 2 ? `20${year}` : year;
+    return `${fullYear}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+};
+
+/**
+ * Guess which sheet column holds each kid field
+ * @param {Array<string>} headers - Sheet headers
+ * @returns {Object} - { [fieldPath]: header }
+ */
+export const guessColumnMapping = (headers) => {
+    const mapping = {};
+    const used = new Set();
+
+    KID_IMPORT_FIELDS.forEach(field => {
+        const header = headers.find(candidate =>
+            candidate && !used.has(candidate) && field.headers.includes(normalizeHeader(candidate)));
+        if (header) {
+            mapping[field.path] = header;
+            used.add(header);
+        }
+    });
+
+    return mapping;
+};
+
+const isNoTeam = (value) => NO_TEAM_VALUES.includes(normalizeHeader(value));
+
+const findTeamByName = (teams, name) => {
+    const wanted = normalizeHeader(name);
+    return teams.find(team => normalizeHeader(team.name) === wanted) || null;
+};
+
+/**
+ * Read the mapped cells of one sheet row
+ * @returns {Object} - { [fieldPath]: value } for the non-empty cells only
+ */
+const readRow = (row, mapping) => {
+    const values = {};
+    Object.entries(mapping).forEach(([path, header]) => {
+        if (!header) return;
+        const text = readCell(row[header]);
+        if (text !== '') values[path] = text;
+    });
+    return values;
+};
+
+// Sheet-level checks for the cells that are not plain kid fields
+const buildCellRules = (teams, translate) => ({
+    teamId: {
+        validate: (value) => isNoTeam(value) || Boolean(findTeamByName(teams, value))
+            || translate('kidImport.errors.unknownTeam', 'No team named "{team}"', { team: value })
+    },
+    signedDeclaration: {
+        validate: (value) => [...YES_VALUES, ...NO_VALUES].includes(value.toLowerCase())
+            || translate('kidImport.errors.declaration', 'Signed declaration must be yes or no')
+    },
+    'personalInfo.dateOfBirth': {
+        validate: (value) => /^\d{4}-\d{2}-\d{2}$/.test(normalizeImportDate(value))
+            || translate('kidImport.errors.date', 'Date of birth must look like 31/12/2015 or 2015-12-31')
+    }
+});
+
+const toKidValue = (path, value, teams) => {
+    switch (path) {
+        case 'teamId':
+            return isNoTeam(value) ? null : findTeamByName(teams, value)?.id || null;
+        case 'signedDeclaration':
+            return YES_VALUES.includes(value.toLowerCase());
+        case 'personalInfo.dateOfBirth':
+            return normalizeImportDate(value);
+        default:
+            return value;
+    }
+};
+
+/**
+ * Dry run: work out what importing the sheet would change without writing anything
+ * Rows are matched to existing kids (archived ones included) by Kid ID when the sheet came
+ * from an export, otherwise by participant number. Empty cells never clear existing data.
+ * @param {Array<Object>} rows - Sheet rows keyed by header (from parseExcelFile)
+ * @param {Object} mapping - { [fieldPath]: header }
+ * @param {Object} context - { existingKids, teams, t }
+ * @returns {Object} - { creates, updates, unchanged, errors } - each entry has the sheet rowNumber;
+ *   updates also carry the full merged kid as `data`
+ */
+export const planKidImport = (rows, mapping, { existingKids = [], teams = [], t = null } = {}) => {
+    const translate = (key, fallback, params) => (t ? t(key, fallback, params) : fallback.replace(/\{(\w+)\}/g, (_, name) => params?.[name] ?? ''));
+    const kidsByNumber = new Map(existingKids
+        .filter(kid => kid.participantNumber)
+        .map(kid => [matchKey(kid.participantNumber), kid]));
+    const kidsById = new Map(existingKids.map(kid => [kid.id, kid]));
+    const seenNumbers = new Map();
+    const seenIds = new Map();
+    const rowValues = rows.map(row => readRow(row, mapping));
+
+    const cellErrors = {};
+    validateExcelData(rowValues, buildCellRules(teams, translate)).errors.forEach(error => {
+        (cellErrors[error.row] = cellErrors[error.row] || []).push(error.message);
+    });
+
+    const plan = { creates: [], updates: [], unchanged: [], errors: [] };
+
+    rowValues.forEach((values, index) => {
+        // Header is sheet row 1
+        const rowNumber = index + 2;
+        if (Object.keys(values).length === 0) return;
+
+        const { id: kidId, ...fields } = values;
+        const participantNumber = fields.participantNumber || '';
+        const name = [fields['personalInfo.firstName'], fields['personalInfo.lastName']].filter(Boolean).join(' ');
+        const messages = [...(cellErrors[index + 1] || [])];
+
+        let existing = null;
+        if (kidId) {
+            existing = kidsById.get(kidId) || null;
+            if (!existing) {
+                messages.push(translate('kidImport.errors.unknownKid', 'No kid with ID {id}. It may have been erased.', { id: kidId }));
+            } else if (seenIds.has(kidId)) {
+                messages.push(translate('kidImport.errors.duplicateKid', 'This kid is also on row {row}', { row: seenIds.get(kidId) }));
+            } else {
+                seenIds.set(kidId, rowNumber);
+            }
+        } else if (participantNumber) {
+            existing = kidsByNumber.get(matchKey(participantNumber)) || null;
+        }
+
+        if (participantNumber) {
+            const key = matchKey(participantNumber);
+            if (seenNumbers.has(key)) {
+                messages.push(translate('kidImport.errors.duplicateNumber', 'Race number {number} is also used on row {row}', {
+                    number: participantNumber,
+                    row: seenNumbers.get(key)
+                }));
+            } else {
+                seenNumbers.set(key, rowNumber);
+            }
+
+            // A kid matched by ID may change its number, but not to another kid's
+            const holder = kidsByNumber.get(key);
+            if (existing && holder && holder.id !== existing.id) {
+                messages.push(translate('kidImport.errors.numberTaken', 'Race number {number} belongs to {name}', {
+                    number: participantNumber,
+                    name: getKidFullName(holder, t)
+                }));
+            }
+        }
+
+        if (messages.length > 0) {
+            plan.errors.push({ rowNumber, name, participantNumber, messages });
+            return;
+        }
+
+        const data = existing ? structuredClone(existing) : createEmptyKid();
+        const changes = [];
+
+        Object.entries(fields).forEach(([path, value]) => {
+            // A matched kid keeps its own spelling of its number ("7" vs "007")
+            if (path === 'participantNumber' && existing && matchKey(value) === matchKey(existing.participantNumber)) return;
+
+            const next = toKidValue(path, value, teams);
+            const previous = getPath(data, path);
+            if (String(previous ?? '') !== String(next ?? '')) {
+                changes.push({ field: path, from: previous ?? '', to: next });
+            }
+            setPath(data, path, next);
+        });
+
+        // New kids without a number get the next one from the counter on commit
+        const validation = validateKid({ ...data, participantNumber: data.participantNumber || 'auto' }, t);
+        if (!validation.isValid) {
+            plan.errors.push({ rowNumber, name, participantNumber, messages: Object.values(validation.errors) });
+            return;
+        }
+
+        if (!existing) {
+            plan.creates.push({ rowNumber, name, participantNumber, data });
+        } else if (changes.length > 0) {
+            plan.updates.push({
+                rowNumber,
+                name: getKidFullName(existing, t),
+                participantNumber: existing.participantNumber,
+                kidId: existing.id,
+                changes,
+                data
+            });
+        } else {
+            plan.unchanged.push({ rowNumber, name: getKidFullName(existing, t), participantNumber: existing.participantNumber });
+        }
+    });
+
+    return plan;
+};
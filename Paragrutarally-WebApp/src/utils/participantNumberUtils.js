@@ -0,0 +1,212 @@
+// src/utils/participantNumberUtils.js - Participant number formatting, team ranges and duplicate detection
+
+export const DEFAULT_NUMBERING_CONFIG = {
+    prefix: '',
+    minDigits: 3,
+    teamRanges: []
+};
+
+export const MAX_PREFIX_LENGTH = 10;
+export const MAX_MIN_DIGITS = 8;
+
+const PREFIX_PATTERN = /^[A-Za-z0-9_-]*$/;
+
+const toPositiveInteger = (value) => {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+/**
+ * Fill a stored numbering config with defaults
+ * @param {Object} config - Config as stored in Firestore (may be partial or missing)
+ * @returns {Object} - Config with prefix, minDigits and teamRanges
+ */
+export const normalizeNumberingConfig = (config = {}) => ({
+    prefix: typeof config?.prefix === 'string' ? config.prefix.trim() : DEFAULT_NUMBERING_CONFIG.prefix,
+    minDigits: toPositiveInteger(config?.minDigits) || DEFAULT_NUMBERING_CONFIG.minDigits,
+    teamRanges: Array.isArray(config?.teamRanges)
+        ? config.teamRanges.map(range => ({
+            teamId: range.teamId || '',
+            start: Number(range.start),
+            end: Number(range.end)
+        }))
+        : []
+});
+
+/**
+ * Validate a numbering config before saving it
+ * @param {Object} config - Numbering config
+ * @returns {Object} - { isValid, errors } keyed by prefix, minDigits and teamRanges
+ */
+export const validateNumberingConfig = (config) => {
+    const errors = {};
+    const { prefix, teamRanges } = normalizeNumberingConfig(config);
+
+    if (prefix.length > MAX_PREFIX_LENGTH || !PREFIX_PATTERN.test(prefix)) {
+        errors.prefix = `Prefix may contain up to ${MAX_PREFIX_LENGTH} letters, digits, dashes or underscores`;
+    }
+
+    const digits = Number(config?.minDigits);
+    if (!Number.isInteger(digits) || digits < 1 || digits > MAX_MIN_DIGITS) {
+        errors.minDigits = `Minimum digits must be between 1 and ${MAX_MIN_DIGITS}`;
+    }
+
+    const seenTeams = new Set();
+    for (const range of teamRanges) {
+        if (!range.teamId) {
+            errors.teamRanges = 'Every range needs a team';
+        } else if (seenTeams.has(range.teamId)) {
+            errors.teamRanges = 'A team can only have one range';
+        } else if (!toPositiveInteger(range.start) || !toPositiveInteger(range.end) || range.start > range.end) {
+            errors.teamRanges = 'Ranges need a positive start that is not after the end';
+        }
+        seenTeams.add(range.teamId);
+        if (errors.teamRanges) break;
+    }
+
+    if (!errors.teamRanges) {
+        const sorted = [...teamRanges].sort((a, b) => a.start - b.start);
+        for (let i = 1; i < sorted.length; i++) {
+            if (sorted[i].start <= sorted[i - 1].end) {
+                errors.teamRanges = 'Team ranges must not overlap';
+                break;
+            }
+        }
+    }
+
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+};
+
+/**
+ * Format a sequence value as a participant number
+ * @param {number} value - Sequence value
+ * @param {Object} config - Numbering config
+ * @returns {string} - Participant number (e.g. "S25-007")
+ */
+export const formatParticipantNumber = (value, config = DEFAULT_NUMBERING_CONFIG) => {
+    const { prefix, minDigits } = normalizeNumberingConfig(config);
+    return `${prefix}${String(value).padStart(minDigits, '0')}`;
+};
+
+/**
+ * Read the sequence value back out of a participant number
+ * @param {string} participantNumber - Participant number
+ * @param {string} prefix - Prefix the number must start with
+ * @returns {number|null} - Sequence value, or null if the number uses another format
+ */
+export const parseParticipantNumber = (participantNumber, prefix = '') => {
+    if (participantNumber === null || participantNumber === undefined) return null;
+
+    const text = String(participantNumber).trim();
+    if (!text.startsWith(prefix)) return null;
+
+    const digits = text.slice(prefix.length);
+    return /^\d+$/.test(digits) ? parseInt(digits, 10) : null;
+};
+
+/**
+ * Document ID used to reserve a participant number
+ * @param {string} participantNumber - Participant number
+ * @returns {string} - Safe Firestore document ID
+ */
+export const participantNumberKey = (participantNumber) =>
+    String(participantNumber ?? '').trim().replace(/\//g, '_');
+
+/**
+ * Get the reserved range of a team
+ * @param {Object} config - Numbering config
+ * @param {string|null} teamId - Team ID
+ * @returns {Object|null} - { teamId, start, end } or null
+ */
+export const getTeamRange = (config, teamId) => {
+    if (!teamId) return null;
+    return normalizeNumberingConfig(config).teamRanges.find(range => range.teamId === teamId) || null;
+};
+
+/**
+ * Get the next sequence value a kid of the given team may use
+ * Kids of a team with a range are numbered inside it; everyone else skips all reserved ranges.
+ * @param {number} lastValue - Last value handed out by the counter
+ * @param {Object} config - Numbering config
+ * @param {string|null} teamId - Team ID
+ * @returns {number|null} - Next value, or null if the team's range is used up
+ */
+export const getNextSequenceValue = (lastValue, config, teamId = null) => {
+    const range = getTeamRange(config, teamId);
+
+    if (range) {
+        const next = Math.max(lastValue + 1, range.start);
+        return next <= range.end ? next : null;
+    }
+
+    const ranges = normalizeNumberingConfig(config).teamRanges;
+    let next = Math.max(lastValue, 0) + 1;
+    let blocking = ranges.find(r => next >= r.start && next <= r.end);
+    while (blocking) {
+        next = blocking.end + 1;
+        blocking = ranges.find(r => next >= r.start && next <= r.end);
+    }
+    return next;
+};
+
+/**
+ * Work out counter values from the kids that already exist
+ * Used to seed the counter the first time numbers are allocated with a given prefix.
+ * @param {Array} kids - Kids with participantNumber
+ * @param {Object} config - Numbering config
+ * @returns {Object} - { global, teams: { [teamId]: lastValue } }
+ */
+export const getCounterSeed = (kids, config) => {
+    const { prefix, teamRanges } = normalizeNumberingConfig(config);
+    const seed = { global: 0, teams: {} };
+
+    kids.forEach(kid => {
+        const value = parseParticipantNumber(kid.participantNumber, prefix);
+        if (value === null) return;
+
+        const range = teamRanges.find(r => value >= r.start && value <= r.end);
+        if (range) {
+            seed.teams[range.teamId] = Math.max(seed.teams[range.teamId] || 0, value);
+        } else {
+            seed.global = Math.max(seed.global, value);
+        }
+    });
+
+    return seed;
+};
+
+const getCreatedTime = (kid) => {
+    const createdAt = kid.createdAt;
+    if (!createdAt) return Number.MAX_SAFE_INTEGER;
+    if (typeof createdAt.toMillis === 'function') return createdAt.toMillis();
+    const time = new Date(createdAt).getTime();
+    return isNaN(time) ? Number.MAX_SAFE_INTEGER : time;
+};
+
+/**
+ * Find participant numbers used by more than one kid
+ * Kids in each group are ordered oldest first, so the first one keeps the number.
+ * @param {Array} kids - Kids with id, participantNumber and createdAt
+ * @returns {Array} - [{ participantNumber, kids }] sorted by participant number
+ */
+export const findDuplicateParticipantNumbers = (kids) => {
+    const groups = new Map();
+
+    kids.forEach(kid => {
+        const key = participantNumberKey(kid.participantNumber);
+        if (!key) return;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(kid);
+    });
+
+    return [...groups.entries()]
+        .filter(([, groupKids]) => groupKids.length > 1)
+        .map(([participantNumber, groupKids]) => ({
+            participantNumber,
+            kids: [...groupKids].sort((a, b) => getCreatedTime(a) - getCreatedTime(b))
+        }))
+        .sort((a, b) => a.participantNumber.localeCompare(b.participantNumber, undefined, { numeric: true }));
+};
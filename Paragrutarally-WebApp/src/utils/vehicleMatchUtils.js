@@ -0,0 +1,141 @@
+// src/utils/vehicleMatchUtils.js - Rank a team's vehicles for a kid by the kid's driving needs
+import { SEATING_SUPPORT_LEVELS, STEERING_ABILITY } from '../schemas/kidSchema';
+
+/**
+ * Reasons a vehicle does not fit a kid. Blocking issues make the vehicle incompatible;
+ * warnings only lower its score.
+ */
+export const MATCH_ISSUES = {
+    INACTIVE: 'inactive',
+    REMOTE_OVERRIDE_MISSING: 'remoteOverrideMissing',
+    CANNOT_STEER: 'cannotSteer',
+    MANUAL_STEERING: 'manualSteering',
+    STEERING_UNKNOWN: 'steeringUnknown',
+    SEATING_INSUFFICIENT: 'seatingInsufficient',
+    SEATING_UNKNOWN: 'seatingUnknown'
+};
+
+const BLOCKING_ISSUES = [
+    MATCH_ISSUES.INACTIVE,
+    MATCH_ISSUES.REMOTE_OVERRIDE_MISSING,
+    MATCH_ISSUES.CANNOT_STEER,
+    MATCH_ISSUES.SEATING_INSUFFICIENT
+];
+
+const WARNING_PENALTY = 20;
+// Adapted vehicles are scarce, so a kid who does not need an adaptation ranks them lower
+const UNUSED_ADAPTATION_PENALTY = 5;
+
+// steeringType values from the vehicle forms; anything but 'Manual' is power-assisted
+const MANUAL_STEERING = 'Manual';
+
+/**
+ * Whether any driving need has been recorded for the kid
+ * @param {Object} kid - Kid
+ * @returns {boolean}
+ */
+export const hasRecordedNeeds = (kid) => {
+    const needs = kid?.needs || {};
+    return Boolean(needs.steeringAbility || needs.seatingSupport || needs.remoteOverrideRequired);
+};
+
+const seatingLevel = (value) => SEATING_SUPPORT_LEVELS.indexOf(value);
+
+/**
+ * Check one vehicle against a kid's needs
+ * @param {Object} kid - Kid with a `needs` section
+ * @param {Object} vehicle - Vehicle
+ * @returns {Object} - { compatible, score, issues: [{ code, blocking }] }
+ */
+export const getVehicleMatch = (kid, vehicle) => {
+    const needs = kid?.needs || {};
+    const codes = [];
+    let adjustment = 0;
+
+    if (vehicle.active === false) {
+        codes.push(MATCH_ISSUES.INACTIVE);
+    }
+
+    // Steering: a kid who cannot steer is driven with the remote control
+    if (needs.steeringAbility === STEERING_ABILITY.NONE) {
+        if (!vehicle.remoteOverride) codes.push(MATCH_ISSUES.CANNOT_STEER);
+    } else {
+        if (needs.remoteOverrideRequired && !vehicle.remoteOverride) {
+            codes.push(MATCH_ISSUES.REMOTE_OVERRIDE_MISSING);
+        }
+        if (needs.steeringAbility === STEERING_ABILITY.LIMITED) {
+            if (!vehicle.steeringType) codes.push(MATCH_ISSUES.STEERING_UNKNOWN);
+            else if (vehicle.steeringType === MANUAL_STEERING) codes.push(MATCH_ISSUES.MANUAL_STEERING);
+        }
+    }
+    if (vehicle.remoteOverride && !needs.remoteOverrideRequired && needs.steeringAbility !== STEERING_ABILITY.NONE) {
+        adjustment -= UNUSED_ADAPTATION_PENALTY;
+    }
+
+    // Seating: the seat must give at least the support the kid needs
+    const needed = seatingLevel(needs.seatingSupport);
+    const provided = seatingLevel(vehicle.seatingSupport);
+    if (needed > 0 && provided === -1) {
+        codes.push(MATCH_ISSUES.SEATING_UNKNOWN);
+    } else if (needed > provided && provided !== -1) {
+        codes.push(MATCH_ISSUES.SEATING_INSUFFICIENT);
+    } else if (provided > Math.max(needed, 0)) {
+        adjustment -= UNUSED_ADAPTATION_PENALTY * (provided - Math.max(needed, 0));
+    }
+
+    const issues = codes.map(code => ({ code, blocking: BLOCKING_ISSUES.includes(code) }));
+    const compatible = issues.every(issue => !issue.blocking);
+    const warnings = issues.filter(issue => !issue.blocking).length;
+
+    return {
+        compatible,
+        score: compatible ? Math.max(100 - warnings * WARNING_PENALTY + adjustment, 1) : 0,
+        issues
+    };
+};
+
+/**
+ * Rank vehicles for a kid, best match first; incompatible vehicles come last
+ * @param {Object} kid - Kid
+ * @param {Array} vehicles - Candidate vehicles (usually the team's unassigned ones)
+ * @returns {Array} - [{ vehicle, compatible, score, issues, recommended }]
+ */
+export const rankVehiclesForKid = (kid, vehicles = []) => {
+    const ranked = vehicles
+        .map(vehicle => ({ vehicle, ...getVehicleMatch(kid, vehicle) }))
+        .sort((a, b) => b.score - a.score ||
+            `${a.vehicle.make} ${a.vehicle.model}`.localeCompare(`${b.vehicle.make} ${b.vehicle.model}`));
+
+    // Without recorded needs every vehicle scores the same, so nothing is singled out
+    return ranked.map((match, index) => ({
+        ...match,
+        recommended: index === 0 && match.compatible && hasRecordedNeeds(kid)
+    }));
+};
+
+/**
+ * Explain a match issue to the user
+ * @param {Object} issue - { code }
+ * @param {Function} t - Translation function
+ * @returns {string}
+ */
+export const getMatchIssueText = (issue, t) => {
+    switch (issue.code) {
+        case MATCH_ISSUES.INACTIVE:
+            return t('vehicleMatch.issues.inactive', 'The vehicle is out of service');
+        case MATCH_ISSUES.REMOTE_OVERRIDE_MISSING:
+            return t('vehicleMatch.issues.remoteOverrideMissing', 'The kid needs a remote-control override, and this vehicle has none');
+        case MATCH_ISSUES.CANNOT_STEER:
+            return t('vehicleMatch.issues.cannotSteer', 'The kid cannot steer, and this vehicle has no remote-control override');
+        case MATCH_ISSUES.MANUAL_STEERING:
+            return t('vehicleMatch.issues.manualSteering', 'Manual steering may be too heavy for this kid');
+        case MATCH_ISSUES.STEERING_UNKNOWN:
+            return t('vehicleMatch.issues.steeringUnknown', 'The steering type of this vehicle is not recorded');
+        case MATCH_ISSUES.SEATING_INSUFFICIENT:
+            return t('vehicleMatch.issues.seatingInsufficient', 'The seat does not give the support this kid needs');
+        case MATCH_ISSUES.SEATING_UNKNOWN:
+            return t('vehicleMatch.issues.seatingUnknown', 'The seating support of this vehicle is not recorded');
+        default:
+            return issue.code;
+    }
+};
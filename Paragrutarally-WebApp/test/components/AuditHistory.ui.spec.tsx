@@ -0,0 +1,76 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import AuditHistory from '@/components/audit/AuditHistory';
+
+vi.mock('@/contexts/LanguageContext', () => ({
+  useLanguage: () => ({
+    t: (key: string, fallback: string, params?: Record<string, string>) =>
+      params ? fallback.replace(/\{(\w+)\}/g, (_, name) => params[name] ?? '') : fallback,
+    isRTL: false,
+  }),
+}));
+
+const mockGetAuditHistory = vi.fn();
+
+vi.mock('@/services/auditService', () => ({
+  getAuditHistory: (...args: unknown[]) => mockGetAuditHistory(...args),
+}));
+
+describe('AuditHistory', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('loads the history of the given document', async () => {
+    mockGetAuditHistory.mockResolvedValue([]);
+    render(<AuditHistory collectionName="kids" docId="kid-1" />);
+
+    expect(await screen.findByText('No changes have been recorded yet.')).toBeInTheDocument();
+    expect(mockGetAuditHistory).toHaveBeenCalledWith('kids', 'kid-1');
+  });
+
+  test('shows who changed which fields', async () => {
+    mockGetAuditHistory.mockResolvedValue([
+      {
+        id: 'entry-2',
+        action: 'update',
+        actor: { uid: 'admin-1', type: 'user', name: 'Dana Admin' },
+        timestamp: new Date('2024-03-02T10:00:00Z'),
+        changes: [
+          { field: 'teamId', before: 'team-a', after: 'team-b' },
+          { field: 'instructorsComments', before: [], after: null },
+        ],
+      },
+      {
+        id: 'entry-1',
+        action: 'create',
+        actor: { uid: null, type: 'system', name: 'functions@example.com' },
+        timestamp: new Date('2024-03-01T10:00:00Z'),
+        changes: [],
+      },
+    ]);
+    render(<AuditHistory collectionName="kids" docId="kid-1" />);
+
+    const entries = await screen.findAllByRole('listitem');
+    expect(entries).toHaveLength(2);
+
+    expect(within(entries[0]).getByText('Updated')).toBeInTheDocument();
+    expect(within(entries[0]).getByText('by Dana Admin')).toBeInTheDocument();
+    const teamRow = within(entries[0]).getByText('teamId').closest('tr') as HTMLElement;
+    expect(within(teamRow).getByText('team-a')).toBeInTheDocument();
+    expect(within(teamRow).getByText('team-b')).toBeInTheDocument();
+    const commentsRow = within(entries[0]).getByText('instructorsComments').closest('tr') as HTMLElement;
+    expect(within(commentsRow).getAllByText('—')).toHaveLength(2);
+
+    expect(within(entries[1]).getByText('Created')).toBeInTheDocument();
+    expect(within(entries[1]).getByText('by System')).toBeInTheDocument();
+    expect(within(entries[1]).queryByRole('table')).not.toBeInTheDocument();
+  });
+
+  test('shows an error when the history cannot be loaded', async () => {
+    mockGetAuditHistory.mockRejectedValue(new Error('permission-denied'));
+    render(<AuditHistory collectionName="teams" docId="team-1" />);
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Failed to load the change history.');
+  });
+});
@@ -4,7 +4,7 @@ import { describe, test, expect, vi, beforeEach, beforeAll, afterAll } from 'vit
 import CreateUserModal from '@/components/modals/CreateUserModal';
 import { USER_ROLES } from '@/schemas/userSchema';
 import { signInWithEmailAndPassword, createUserWithEmailAndPassword, signOut, connectAuthEmulator } from 'firebase/auth';
-import { doc, getDoc, connectFirestoreEmulator, query, collection, where, getDocs } from 'firebase/firestore';
+import { connectFirestoreEmulator, query, collection, where, getDocs } from 'firebase/firestore';
 import { db, auth } from '@/firebase/config';
 import { initializeTestEnvironment, RulesTestEnvironment } from '@firebase/rules-unit-testing';
 import LanguageContext from '@/contexts/LanguageContext';
@@ -14,27 +14,6 @@ import { readFileSync } from 'node:fs';
 import { resolve } from 'node:path';
 
 
-// Mock firebase/auth specifically for createUserWithEmailAndPassword
-vi.mock('firebase/auth', async (importOriginal) => {
-    const actual = await importOriginal<typeof import('firebase/auth')>();
-    return {
-        ...actual,
-        createUserWithEmailAndPassword: vi.fn(async (authInstance, email, password) => {
-            // Check if this is the test user creation (starts with test-)
-            if (typeof email === 'string' && email.startsWith('test-')) {
-                return {
-                    user: {
-                        uid: 'mock-uid-' + Date.now(),
-                        email: email
-                    }
-                };
-            }
-            // Otherwise use real implementation (for admin setup)
-            return actual.createUserWithEmailAndPassword(authInstance, email, password);
-        })
-    };
-});
-
 // Mock LanguageContext
 const mockLanguageContext = {
     t: (key: string, fallback: string) => fallback || key,
@@ -166,12 +145,8 @@ describeWithFirestoreEmulator('CreateUserModal Integration', () => {
 
         expect(onClose).toHaveBeenCalled();
 
-        // Verify in Firestore
-        // Since we mocked Auth creation, we can't sign in. 
-        // Instead we verify the Firestore document was created.
-        // We search by email since we don't know the exact random UID generated by the mock (unless we queried the mock).
-
-        // Check Firestore document
+        // The callable (functions emulator) created the Auth account and profile.
+        // We search by email since the UID is generated server-side.
         const q = query(collection(db, 'users'), where('email', '==', email.toLowerCase()));
         const querySnapshot = await getDocs(q);
 
@@ -182,5 +157,13 @@ describeWithFirestoreEmulator('CreateUserModal Integration', () => {
         expect(userData?.displayName).toBe('Integration User');
         expect(userData?.role).toBe(USER_ROLES.INSTRUCTOR);
         expect(userData?.email).toBe(email.toLowerCase());
+        expect(userData?.inviteStatus).toBe('pending');
+
+        // A pending invite was issued for the new account
+        const invites = await getDocs(query(collection(db, 'userInvites'), where('uid', '==', userDoc.id)));
+        expect(invites.docs).toHaveLength(1);
+        expect(invites.docs[0].data().status).toBe('pending');
+        expect(invites.docs[0].data()).not.toHaveProperty('token');
+        expect(window.alert).toHaveBeenCalledWith(expect.stringContaining('/set-password?invite='));
     });
 });
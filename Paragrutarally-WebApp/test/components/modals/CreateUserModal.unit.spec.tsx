@@ -5,40 +5,18 @@ import CreateUserModal from '@/components/modals/CreateUserModal';
 import { USER_ROLES } from '@/schemas/userSchema';
 
 // Mocks
-const mockCreateUserWithEmailAndPassword = vi.fn();
-const mockConnectAuthEmulator = vi.fn();
-const mockSetDoc = vi.fn();
-const mockGetDoc = vi.fn();
-const mockDeleteApp = vi.fn();
-const mockInitializeApp = vi.fn();
-const mockGetAuth = vi.fn();
-
-vi.mock('firebase/app', () => ({
-  initializeApp: (...args) => mockInitializeApp(...args),
-  deleteApp: (...args) => mockDeleteApp(...args),
-}));
+const mockCreateUserAsAdmin = vi.fn();
 
-vi.mock('firebase/auth', () => ({
-  getAuth: (...args) => mockGetAuth(...args),
-  createUserWithEmailAndPassword: (...args) => mockCreateUserWithEmailAndPassword(...args),
-  connectAuthEmulator: (...args) => mockConnectAuthEmulator(...args),
+vi.mock('@/services/adminUserService.jsx', () => ({
+  createUserAsAdmin: (...args) => mockCreateUserAsAdmin(...args),
 }));
 
 vi.mock('firebase/firestore', () => ({
-  doc: vi.fn((db, collection, id) => ({ path: `${collection}/${id}` })),
-  setDoc: (...args) => mockSetDoc(...args),
-  getDoc: (...args) => mockGetDoc(...args),
-  serverTimestamp: () => 'timestamp',
-  getFirestore: vi.fn(),
   Timestamp: class {
     static now() { return { toDate: () => new Date() }; }
   }
 }));
 
-vi.mock('@/firebase/config.js', () => ({
-  db: {},
-}));
-
 // Mock LanguageContext
 vi.mock('../../../src/contexts/LanguageContext', () => ({
   useLanguage: () => ({
@@ -53,16 +31,13 @@ describe('CreateUserModal', () => {
 
   beforeEach(() => {
     vi.clearAllMocks();
-    process.env.VITE_USE_FIREBASE_EMULATORS = 'false';
     // Default mocks behavior
-    mockInitializeApp.mockReturnValue({});
-    mockGetAuth.mockReturnValue({});
-    mockCreateUserWithEmailAndPassword.mockResolvedValue({
-      user: { uid: 'test-uid' },
-    });
-    mockGetDoc.mockResolvedValue({
-      exists: () => true,
-      data: () => ({}),
+    mockCreateUserAsAdmin.mockResolvedValue({
+      success: true,
+      uid: 'test-uid',
+      inviteId: 'invite-1',
+      inviteLink: 'http://localhost/set-password?invite=invite-1&token=abc',
+      expiresAt: new Date('2030-01-08'),
     });
     vi.spyOn(window, 'alert');
   });
@@ -89,51 +64,37 @@ describe('CreateUserModal', () => {
     expect(window.alert).toHaveBeenCalled();
   });
 
-  it('creates a user successfully', async () => {
+  it('creates a user and shares an invite link instead of a default password', async () => {
     const user = userEvent.setup();
     render(<CreateUserModal isOpen={true} onClose={onClose} onUserCreated={onUserCreated} />);
 
+    expect(screen.queryByDisplayValue('123456')).not.toBeInTheDocument();
+
     // Fill form
     await user.type(screen.getByLabelText(/Display Name/i), 'Test User');
     await user.type(screen.getByLabelText(/Full Name/i), 'Test Full Name');
-    await user.type(screen.getByLabelText(/Email Address/i), 'test@example.com');
+    await user.type(screen.getByLabelText(/Email Address/i), 'Test@Example.com');
     await user.type(screen.getByLabelText(/Phone Number/i), '0501234567');
     await user.selectOptions(screen.getByLabelText(/Role/i), USER_ROLES.INSTRUCTOR);
 
     await user.click(screen.getByRole('button', { name: /Create User/i }));
 
     await waitFor(() => {
-      expect(mockInitializeApp).toHaveBeenCalled();
-      expect(mockCreateUserWithEmailAndPassword).toHaveBeenCalledWith(expect.anything(), 'test@example.com', '123456');
-      expect(mockSetDoc).toHaveBeenCalled();
-      expect(mockDeleteApp).toHaveBeenCalled();
+      expect(mockCreateUserAsAdmin).toHaveBeenCalledWith(expect.objectContaining({
+        email: 'test@example.com',
+        displayName: 'Test User',
+        role: USER_ROLES.INSTRUCTOR,
+      }));
+      expect(mockCreateUserAsAdmin.mock.calls[0][0]).not.toHaveProperty('password');
+      expect(window.alert).toHaveBeenCalledWith(expect.stringContaining('set-password?invite=invite-1'));
       expect(onUserCreated).toHaveBeenCalled();
       expect(onClose).toHaveBeenCalled();
     });
   });
 
-  it('connects auth emulator when enabled', async () => {
-    process.env.VITE_USE_FIREBASE_EMULATORS = 'true';
-
-    const user = userEvent.setup();
-    render(<CreateUserModal isOpen={true} onClose={onClose} onUserCreated={onUserCreated} />);
-
-    await user.type(screen.getByLabelText(/Display Name/i), 'Test User');
-    await user.type(screen.getByLabelText(/Full Name/i), 'Test Full Name');
-    await user.type(screen.getByLabelText(/Email Address/i), 'test@example.com');
-    await user.type(screen.getByLabelText(/Phone Number/i), '0501234567');
-    await user.selectOptions(screen.getByLabelText(/Role/i), USER_ROLES.INSTRUCTOR);
-
-    await user.click(screen.getByRole('button', { name: /Create User/i }));
-
-    await waitFor(() => {
-      expect(mockConnectAuthEmulator).toHaveBeenCalledWith(expect.anything(), 'http://127.0.0.1:9099');
-    });
-  });
-
   it('handles email already in use error', async () => {
     const user = userEvent.setup();
-    mockCreateUserWithEmailAndPassword.mockRejectedValue({ code: 'auth/email-already-in-use' });
+    mockCreateUserAsAdmin.mockRejectedValue(new Error('This email is already registered'));
     const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
     
     render(<CreateUserModal isOpen={true} onClose={onClose} onUserCreated={onUserCreated} />);
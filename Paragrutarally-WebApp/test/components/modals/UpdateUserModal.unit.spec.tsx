@@ -92,6 +92,18 @@ describe('UpdateUserModal', () => {
     });
   });
 
+  it('saves the volunteer flag of a user who is not a parent', async () => {
+    const user = userEvent.setup();
+    render(<UpdateUserModal isOpen={true} onClose={onClose} user={{ ...mockUser, role: USER_ROLES.HOST }} onUserUpdated={onUserUpdated} />);
+
+    await user.click(screen.getByLabelText(/Volunteer/i));
+    await user.click(screen.getByRole('button', { name: /Update User/i }));
+
+    await waitFor(() => {
+      expect(mockUpdateDoc.mock.calls[0][1].isVolunteer).toBe(true);
+    });
+  });
+
   it('disables submit button if validation fails', async () => {
     const user = userEvent.setup();
     render(<UpdateUserModal isOpen={true} onClose={onClose} user={mockUser} onUserUpdated={onUserUpdated} />);
@@ -0,0 +1,462 @@
+import { describe, test, beforeAll, beforeEach, afterAll } from 'vitest';
+import {
+  initializeTestEnvironment,
+  RulesTestContext,
+  RulesTestEnvironment,
+} from '@firebase/rules-unit-testing';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { serverTimestamp } from 'firebase/firestore';
+import {
+  expectFirestorePermissionDenied,
+  expectFirestorePermissionSucceeds,
+  getFirestoreCoverageMeta,
+} from './utils';
+
+const PROJECT_ID = 'test-project-roles';
+const FIREBASE_JSON = resolve(__dirname, '../firebase.json');
+let testEnv: RulesTestEnvironment;
+
+const hasFirestoreEmulator =
+  Boolean(process.env.FIRESTORE_EMULATOR_HOST) || Boolean(process.env.FIREBASE_EMULATOR_HUB);
+const describeWithFirestoreEmulator = hasFirestoreEmulator ? describe : describe.skip;
+
+type Db = ReturnType<RulesTestContext['firestore']>;
+
+/**
+ * Every role a signed-in user can present. `guest` is the legacy role still found on
+ * older user docs; syncUserRoleClaim gives those accounts the `host` claim.
+ * `none` is a signed-in account without a user doc or claim.
+ */
+const ROLES = ['admin', 'instructor', 'parent', 'host', 'guest', 'none'] as const;
+type Role = typeof ROLES[number];
+
+const CLAIM_FOR_ROLE: Record<Role, string | null> = {
+  admin: 'admin',
+  instructor: 'instructor',
+  parent: 'parent',
+  host: 'host',
+  guest: 'host',
+  none: null,
+};
+
+const uidFor = (role: Role) => `${role}-user`;
+
+/**
+ * The read/write matrix the rules enforced when they looked the role up in users/{uid}.
+ * It must hold both for tokens that carry the role claim and for tokens that don't.
+ */
+const MATRIX: Array<{ name: string; run: (db: Db) => Promise<unknown>; allowed: Role[] }> = [
+  {
+    name: 'read another user profile',
+    run: (db) => db.collection('users').doc('target-user').get(),
+    allowed: ['admin'],
+  },
+  {
+    name: 'create a user profile',
+    run: (db) => db.collection('users').doc('new-user').set({ role: 'parent', email: 'new@test.com' }),
+    allowed: ['admin'],
+  },
+  {
+    name: 'change another user role',
+    run: (db) => db.collection('users').doc('target-user').update({ role: 'admin' }),
+    allowed: ['admin'],
+  },
+  {
+    name: 'read a kid',
+    run: (db) => db.collection('kids').doc('kid1').get(),
+    allowed: ['admin', 'parent', 'host', 'guest'],
+  },
+  {
+    name: 'update only the organization comment of a kid',
+    run: (db) => db.collection('kids').doc('kid1').update({ 'comments.organization': 'Great driver' }),
+    allowed: ['admin', 'parent', 'host', 'guest'],
+  },
+  {
+    name: 'update kid personal info',
+    run: (db) => db.collection('kids').doc('kid1').update({ 'personalInfo.firstName': 'Changed' }),
+    allowed: ['admin', 'parent'],
+  },
+  {
+    name: 'create a kid',
+    run: (db) => db.collection('kids').doc('kid2').set({ parentInfo: { parentIds: [] } }),
+    allowed: ['admin'],
+  },
+  {
+    name: 'delete a kid',
+    run: (db) => db.collection('kids').doc('kid1').delete(),
+    allowed: ['admin'],
+  },
+  {
+    name: 'read a team',
+    run: (db) => db.collection('teams').doc('team1').get(),
+    allowed: ['admin', 'instructor', 'parent', 'host', 'guest', 'none'],
+  },
+  {
+    name: 'update a team',
+    run: (db) => db.collection('teams').doc('team1').update({ name: 'Renamed' }),
+    allowed: ['admin', 'instructor'],
+  },
+  {
+    name: 'create a team',
+    run: (db) => db.collection('teams').doc('team2').set({ name: 'New', instructorIds: [] }),
+    allowed: ['admin'],
+  },
+  {
+    name: 'read an event',
+    run: (db) => db.collection('events').doc('event1').get(),
+    allowed: ['admin', 'instructor', 'parent', 'host', 'guest', 'none'],
+  },
+  {
+    name: 'write an event',
+    run: (db) => db.collection('events').doc('event1').set({ name: 'Changed' }),
+    allowed: ['admin'],
+  },
+  {
+    name: 'create an event that already started',
+    run: (db) => db.collection('events').doc('event3').set({ name: 'New', status: 'ongoing' }),
+    allowed: [],
+  },
+  {
+    name: 'start an upcoming event',
+    run: (db) => db.collection('events').doc('event1').update({ status: 'ongoing' }),
+    allowed: ['admin'],
+  },
+  {
+    name: 'cancel an event without the cancelEvent function',
+    run: (db) => db.collection('events').doc('event1').update({ status: 'cancelled' }),
+    allowed: [],
+  },
+  {
+    name: 'reopen a completed event',
+    run: (db) => db.collection('events').doc('event2').update({ status: 'upcoming' }),
+    allowed: [],
+  },
+  {
+    name: 'write a vehicle',
+    run: (db) => db.collection('vehicles').doc('vehicle1').set({ make: 'Changed' }),
+    allowed: ['admin'],
+  },
+  {
+    name: 'write an event participant',
+    run: (db) => db.collection('eventParticipants').doc('participant1').set({ kidId: 'kid1' }),
+    allowed: ['admin'],
+  },
+  {
+    name: 'write an instructor',
+    run: (db) => db.collection('instructors').doc('instructor1').set({ name: 'Changed' }),
+    allowed: ['admin'],
+  },
+  {
+    name: 'read a report',
+    run: (db) => db.collection('reports').doc('report1').get(),
+    allowed: ['admin'],
+  },
+  {
+    name: 'read a backup',
+    run: (db) => db.collection('backups').doc('backup1').get(),
+    allowed: ['admin'],
+  },
+  {
+    name: 'read a user invite',
+    run: (db) => db.collection('userInvites').doc('invite1').get(),
+    allowed: ['admin'],
+  },
+  {
+    name: 'read a user deletion report',
+    run: (db) => db.collection('userDeletionReports').doc('deletion1').get(),
+    allowed: ['admin'],
+  },
+  {
+    name: 'read a kid erasure report',
+    run: (db) => db.collection('kidErasureReports').doc('kid1').get(),
+    allowed: ['admin'],
+  },
+  {
+    name: 'read a kid merge report',
+    run: (db) => db.collection('kidMergeReports').doc('kid2').get(),
+    allowed: ['admin'],
+  },
+  {
+    name: 'read a kid medical profile',
+    run: (db) => db.collection('kidMedicalProfiles').doc('kid1').get(),
+    allowed: ['admin', 'instructor'],
+  },
+  {
+    name: 'write a kid medical profile',
+    run: (db) => db.collection('kidMedicalProfiles').doc('kid1').set({ emergencyContacts: [] }),
+    allowed: ['admin'],
+  },
+  {
+    name: 'read an audit entry',
+    run: (db) => db.collection('auditLog').doc('entry1').get(),
+    allowed: ['admin'],
+  },
+  {
+    name: 'create a season',
+    run: (db) => db.collection('seasons').doc('season2').set({ name: '2026-2027', status: 'planning' }),
+    allowed: ['admin'],
+  },
+  {
+    name: 'create a venue',
+    run: (db) => db.collection('venues').doc('venue2').set({ name: 'Racing Park', address: 'Jerusalem' }),
+    allowed: ['admin'],
+  },
+  {
+    name: 'reserve a participant number',
+    run: (db) => db.collection('participantNumbers').doc('042').set({ kidId: 'kid1', participantNumber: '042' }),
+    allowed: ['admin'],
+  },
+  {
+    name: 'create a form',
+    run: (db) => db.collection('forms').doc('form2').set({ title: 'New', viewCount: 0 }),
+    allowed: ['admin'],
+  },
+  {
+    name: 'read a form submission of the parent',
+    run: (db) => db.collection('form_submissions').doc('submission1').get(),
+    allowed: ['admin', 'parent'],
+  },
+  {
+    name: 'update a form submission of the parent',
+    run: (db) => db.collection('form_submissions').doc('submission1').update({ status: 'reviewed' }),
+    allowed: ['admin'],
+  },
+  {
+    name: 'read a form assignment of the parent',
+    run: (db) => db.collection('form_assignments').doc('assignment1').get(),
+    allowed: ['admin', 'parent'],
+  },
+  {
+    name: 'write a form assignment',
+    run: (db) => db.collection('form_assignments').doc('assignment1').set({ formId: 'form1', userId: 'host-user' }),
+    allowed: ['admin'],
+  },
+  {
+    name: 'read a heat schedule',
+    run: (db) => db.collection('heatSchedules').doc('event1').get(),
+    allowed: ['admin'],
+  },
+  {
+    name: 'write a heat schedule',
+    run: (db) => db.collection('heatSchedules').doc('event1').set({ eventId: 'event1', heats: [] }),
+    allowed: ['admin'],
+  },
+  {
+    name: 'read a race result',
+    run: (db) => db.collection('raceResults').doc('event1_kid1').get(),
+    allowed: ['admin', 'instructor', 'parent', 'host', 'guest', 'none'],
+  },
+  {
+    name: 'write a race result',
+    run: (db) => db.collection('raceResults').doc('event1_kid1').set({ eventId: 'event1', kidId: 'kid1', finishPosition: 1 }),
+    allowed: ['admin'],
+  },
+  {
+    name: 'read a volunteer shift',
+    run: (db) => db.collection('volunteerShifts').doc('shift1').get(),
+    allowed: ['admin', 'instructor', 'parent', 'host', 'guest', 'none'],
+  },
+  {
+    name: 'create a volunteer shift',
+    run: (db) => db.collection('volunteerShifts').doc('shift2').set({ eventId: 'event1', role: 'parking', slots: 1, volunteerIds: [] }),
+    allowed: ['admin'],
+  },
+  {
+    name: 'change the slots of a volunteer shift',
+    run: (db) => db.collection('volunteerShifts').doc('shift1').update({ slots: 10 }),
+    allowed: ['admin'],
+  },
+  {
+    name: 'write a charge of the ledger',
+    run: (db) => db.collection('eventCharges').doc('event1_kid1').set({ eventId: 'event1', kidId: 'kid1', amountDue: 80 }),
+    allowed: ['admin'],
+  },
+  {
+    name: 'read a payment of the parent',
+    run: (db) => db.collection('eventPayments').doc('payment1').get(),
+    allowed: ['admin'],
+  },
+  {
+    name: 'record a payment',
+    run: (db) => db.collection('eventPayments').doc('payment2').set({ eventId: 'event1', familyId: uidFor('parent'), amount: 50, method: 'cash' }),
+    allowed: ['admin'],
+  },
+  {
+    name: 'void a payment',
+    run: (db) => db.collection('eventPayments').doc('payment1').update({ voided: true, voidedBy: 'someone' }),
+    allowed: ['admin'],
+  },
+  {
+    name: 'change the amount of a payment',
+    run: (db) => db.collection('eventPayments').doc('payment1').update({ amount: 1 }),
+    allowed: [],
+  },
+  {
+    name: 'delete a payment',
+    run: (db) => db.collection('eventPayments').doc('payment1').delete(),
+    allowed: [],
+  },
+  {
+    name: 'read a notification of the parent',
+    run: (db) => db.collection('notifications').doc('notification1').get(),
+    allowed: ['admin', 'parent'],
+  },
+  {
+    name: 'mark a notification of the parent as read',
+    run: (db) => db.collection('notifications').doc('notification1').update({ read: true }),
+    allowed: ['parent'],
+  },
+  {
+    name: 'read a calendar feed token of the parent',
+    run: (db) => db.collection('calendarFeeds').doc(uidFor('parent')).get(),
+    allowed: [],
+  },
+  {
+    name: 'create a notification',
+    run: (db) => db.collection('notifications').doc('notification2').set({ userId: 'host-user', read: false }),
+    allowed: [],
+  },
+];
+
+async function seedDatabase() {
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    for (const role of ROLES) {
+      if (role !== 'none') {
+        await db.collection('users').doc(uidFor(role)).set({ role, email: `${role}@test.com` });
+      }
+    }
+    await db.collection('users').doc('target-user').set({ role: 'parent', email: 'target@test.com' });
+    await db.collection('kids').doc('kid1').set({
+      personalInfo: { firstName: 'Test' },
+      parentInfo: { parentIds: [uidFor('parent')] },
+      comments: { organization: '' },
+      teamId: 'team1',
+    });
+    await db.collection('teams').doc('team1').set({ name: 'Team', instructorIds: [uidFor('instructor')] });
+    await db.collection('kidMedicalProfiles').doc('kid1').set({ emergencyContacts: [] });
+    await db.collection('events').doc('event1').set({ name: 'Race' });
+    await db.collection('events').doc('event2').set({ name: 'Last Race', status: 'completed' });
+    await db.collection('forms').doc('form1').set({ title: 'Form', viewCount: 0 });
+    await db.collection('form_submissions').doc('submission1').set({
+      formId: 'form1',
+      submitterId: uidFor('parent'),
+      answers: {},
+    });
+    await db.collection('form_assignments').doc('assignment1').set({ formId: 'form1', userId: uidFor('parent') });
+    await db.collection('raceResults').doc('event1_kid1').set({ eventId: 'event1', kidId: 'kid1', finishPosition: 2 });
+    await db.collection('volunteerShifts').doc('shift1').set({
+      eventId: 'event1',
+      role: 'trackMarshal',
+      slots: 2,
+      volunteerIds: ['target-user'],
+    });
+    await db.collection('eventPayments').doc('payment1').set({
+      eventId: 'event1',
+      familyId: uidFor('parent'),
+      amount: 100,
+      method: 'cash',
+      voided: false,
+    });
+    await db.collection('notifications').doc('notification1').set({
+      userId: uidFor('parent'),
+      type: 'waitlistPromoted',
+      read: false,
+    });
+  });
+}
+
+async function expectOutcome(allowed: boolean, promise: Promise<unknown>) {
+  if (allowed) {
+    await expectFirestorePermissionSucceeds(promise.then(() => undefined));
+  } else {
+    await expectFirestorePermissionDenied(promise);
+  }
+}
+
+describeWithFirestoreEmulator('Firestore role matrix', () => {
+  beforeAll(async () => {
+    const { host, port } = getFirestoreCoverageMeta(PROJECT_ID, FIREBASE_JSON);
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: {
+        port,
+        host,
+        rules: readFileSync(resolve(__dirname, '../firebase/firestore.rules'), 'utf8'),
+      },
+    });
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seedDatabase();
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  describe.each([
+    { mode: 'role claim on the token', withClaim: true },
+    { mode: 'no claim (user doc fallback)', withClaim: false },
+  ])('$mode', ({ withClaim }) => {
+    const dbFor = (role: Role): Db => {
+      const claim = CLAIM_FOR_ROLE[role];
+      const claims = withClaim && claim ? { role: claim } : undefined;
+      return testEnv.authenticatedContext(uidFor(role), claims).firestore();
+    };
+
+    describe.each(ROLES)('%s', (role) => {
+      test.each(MATRIX)('$name', async ({ run, allowed }) => {
+        await expectOutcome(allowed.includes(role), run(dbFor(role)));
+      });
+    });
+  });
+
+  describe('volunteer shift slots', () => {
+    const claim = (uid: string, volunteerIds: string[]) => testEnv.authenticatedContext(uid).firestore()
+      .collection('volunteerShifts').doc('shift1')
+      .update({ volunteerIds, updatedAt: serverTimestamp() });
+
+    test('a parent can take and give back a slot', async () => {
+      await expectFirestorePermissionSucceeds(claim(uidFor('parent'), ['target-user', uidFor('parent')]));
+      await expectFirestorePermissionSucceeds(claim(uidFor('parent'), ['target-user']));
+    });
+
+    test('other roles need the volunteer flag', async () => {
+      await expectFirestorePermissionDenied(claim(uidFor('host'), ['target-user', uidFor('host')]));
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await context.firestore().collection('users').doc(uidFor('host')).update({ isVolunteer: true });
+      });
+      await expectFirestorePermissionSucceeds(claim(uidFor('host'), ['target-user', uidFor('host')]));
+    });
+
+    test('volunteers cannot add or remove someone else or go beyond the slots', async () => {
+      await expectFirestorePermissionDenied(claim(uidFor('parent'), []));
+      await expectFirestorePermissionDenied(claim(uidFor('parent'), ['target-user', 'someone-else']));
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await context.firestore().collection('volunteerShifts').doc('shift1').update({ slots: 1 });
+      });
+      await expectFirestorePermissionDenied(claim(uidFor('parent'), ['target-user', uidFor('parent')]));
+    });
+  });
+
+  describe('claim handling', () => {
+    test('unauthenticated requests are denied', async () => {
+      const db = testEnv.unauthenticatedContext().firestore();
+      await expectFirestorePermissionDenied(db.collection('events').doc('event1').get());
+    });
+
+    test('an unknown claim falls back to the role in the user doc', async () => {
+      const db = testEnv.authenticatedContext(uidFor('parent'), { role: 'superuser' }).firestore();
+      await expectFirestorePermissionSucceeds(db.collection('kids').doc('kid1').get().then(() => undefined));
+      await expectFirestorePermissionDenied(db.collection('reports').doc('report1').get());
+    });
+
+    test('a role claim is honoured without a user doc', async () => {
+      const db = testEnv.authenticatedContext('claim-only-admin', { role: 'admin' }).firestore();
+      await expectFirestorePermissionSucceeds(db.collection('reports').doc('report1').get().then(() => undefined));
+    });
+  });
+});
@@ -791,4 +791,247 @@ describeWithFirestoreEmulator('Firestore rules', () => {
     });
   });
 
+  // ==================== USER INVITES COLLECTION ====================
+  describe('User invites collection', () => {
+    test('admin can read invites', async () => {
+      await setupAdminUser('admin');
+      const db = testEnv.authenticatedContext('admin').firestore();
+      await expectPermissionGetSucceeds(db.collection('userInvites').doc('invite1').get());
+    });
+
+    test('non-admin cannot read invites', async () => {
+      await setupRegularUser('alice', 'parent');
+      const db = testEnv.authenticatedContext('alice').firestore();
+      await expectFirestorePermissionDenied(db.collection('userInvites').doc('invite1').get());
+    });
+
+    test('even admin cannot write invites from the client', async () => {
+      await setupAdminUser('admin');
+      const db = testEnv.authenticatedContext('admin').firestore();
+      await expectFirestorePermissionDenied(
+        db.collection('userInvites').doc('invite1').set({ uid: 'alice', status: 'pending' })
+      );
+    });
+  });
+
+  describe('User deletion reports collection', () => {
+    test('admin can read deletion reports', async () => {
+      await setupAdminUser('admin');
+      const db = testEnv.authenticatedContext('admin').firestore();
+      await expectPermissionGetSucceeds(db.collection('userDeletionReports').doc('report1').get());
+    });
+
+    test('non-admin cannot read deletion reports', async () => {
+      await setupRegularUser('alice', 'instructor');
+      const db = testEnv.authenticatedContext('alice').firestore();
+      await expectFirestorePermissionDenied(db.collection('userDeletionReports').doc('report1').get());
+    });
+
+    test('even admin cannot write deletion reports from the client', async () => {
+      await setupAdminUser('admin');
+      const db = testEnv.authenticatedContext('admin').firestore();
+      await expectFirestorePermissionDenied(
+        db.collection('userDeletionReports').doc('report1').set({ deletedUserId: 'alice' })
+      );
+    });
+  });
+
+  describe('Kid erasure reports collection', () => {
+    test('admin can read erasure reports', async () => {
+      await setupAdminUser('admin');
+      const db = testEnv.authenticatedContext('admin').firestore();
+      await expectPermissionGetSucceeds(db.collection('kidErasureReports').doc('kid1').get());
+    });
+
+    test('non-admin cannot read erasure reports', async () => {
+      await setupRegularUser('alice', 'parent');
+      const db = testEnv.authenticatedContext('alice').firestore();
+      await expectFirestorePermissionDenied(db.collection('kidErasureReports').doc('kid1').get());
+    });
+
+    test('even admin cannot write erasure reports from the client', async () => {
+      await setupAdminUser('admin');
+      const db = testEnv.authenticatedContext('admin').firestore();
+      await expectFirestorePermissionDenied(
+        db.collection('kidErasureReports').doc('kid1').set({ kidId: 'kid1' })
+      );
+    });
+  });
+
+  describe('Kid merge reports collection', () => {
+    test('admin can read merge reports', async () => {
+      await setupAdminUser('admin');
+      const db = testEnv.authenticatedContext('admin').firestore();
+      await expectPermissionGetSucceeds(db.collection('kidMergeReports').doc('kid2').get());
+    });
+
+    test('non-admin cannot read merge reports', async () => {
+      await setupRegularUser('alice', 'instructor');
+      const db = testEnv.authenticatedContext('alice').firestore();
+      await expectFirestorePermissionDenied(db.collection('kidMergeReports').doc('kid2').get());
+    });
+
+    test('even admin cannot write merge reports from the client', async () => {
+      await setupAdminUser('admin');
+      const db = testEnv.authenticatedContext('admin').firestore();
+      await expectFirestorePermissionDenied(
+        db.collection('kidMergeReports').doc('kid2').set({ duplicateId: 'kid2', survivorId: 'kid1' })
+      );
+    });
+  });
+
+  describe('Kid medical profiles collection', () => {
+    beforeEach(async () => {
+      await setupTeam('team1', ['instructor1']);
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await db.collection('kids').doc('kid1').set({ teamId: 'team1', parentInfo: { parentIds: ['parent1'] } });
+        await db.collection('kidMedicalProfiles').doc('kid1').set({ allergies: [], emergencyContacts: [] });
+      });
+    });
+
+    test('admin can read and write medical profiles', async () => {
+      await setupAdminUser('admin');
+      const db = testEnv.authenticatedContext('admin').firestore();
+      await expectPermissionGetSucceeds(db.collection('kidMedicalProfiles').doc('kid1').get());
+      await expectFirestorePermissionSucceeds(
+        db.collection('kidMedicalProfiles').doc('kid1').set({ allergies: [{ allergen: 'Peanuts' }] })
+      );
+    });
+
+    test('instructor of the kid team can read but not write the profile', async () => {
+      await setupRegularUser('instructor1', 'instructor');
+      const db = testEnv.authenticatedContext('instructor1').firestore();
+      await expectPermissionGetSucceeds(db.collection('kidMedicalProfiles').doc('kid1').get());
+      await expectFirestorePermissionDenied(
+        db.collection('kidMedicalProfiles').doc('kid1').set({ allergies: [] })
+      );
+    });
+
+    test('instructor of another team cannot read the profile', async () => {
+      await setupRegularUser('instructor2', 'instructor');
+      const db = testEnv.authenticatedContext('instructor2').firestore();
+      await expectFirestorePermissionDenied(db.collection('kidMedicalProfiles').doc('kid1').get());
+    });
+
+    test('hosts and parents cannot read the profile', async () => {
+      await setupRegularUser('host1', 'host');
+      await setupRegularUser('parent1', 'parent');
+      await expectFirestorePermissionDenied(
+        testEnv.authenticatedContext('host1').firestore().collection('kidMedicalProfiles').doc('kid1').get()
+      );
+      await expectFirestorePermissionDenied(
+        testEnv.authenticatedContext('parent1').firestore().collection('kidMedicalProfiles').doc('kid1').get()
+      );
+    });
+  });
+
+  describe('Audit log collection', () => {
+    test('admin can read audit entries', async () => {
+      await setupAdminUser('admin');
+      const db = testEnv.authenticatedContext('admin').firestore();
+      await expectPermissionGetSucceeds(db.collection('auditLog').doc('entry1').get());
+    });
+
+    test('non-admin cannot read audit entries', async () => {
+      await setupRegularUser('alice', 'instructor');
+      const db = testEnv.authenticatedContext('alice').firestore();
+      await expectFirestorePermissionDenied(db.collection('auditLog').doc('entry1').get());
+    });
+
+    test('audit entries cannot be written or removed from the client', async () => {
+      await setupAdminUser('admin');
+      const db = testEnv.authenticatedContext('admin').firestore();
+      await expectFirestorePermissionDenied(
+        db.collection('auditLog').doc('entry1').set({ collection: 'kids', docId: 'kid1', action: 'update' })
+      );
+      await expectFirestorePermissionDenied(db.collection('auditLog').doc('entry1').delete());
+    });
+  });
+
+  describe('Participant numbering', () => {
+    test('admin can reserve a number and advance the counter', async () => {
+      await setupAdminUser('admin');
+      const db = testEnv.authenticatedContext('admin').firestore();
+      await expectFirestorePermissionSucceeds(
+        db.collection('participantNumbers').doc('007').set({ kidId: 'kid1', participantNumber: '007' })
+      );
+      await expectFirestorePermissionSucceeds(
+        db.collection('counters').doc('participantNumbers').set({ global: 7, teams: {} })
+      );
+      await expectFirestorePermissionSucceeds(
+        db.collection('settings').doc('participantNumbering').set({ prefix: '', minDigits: 3, teamRanges: [] })
+      );
+    });
+
+    test('non-admin cannot read or change numbering data', async () => {
+      await setupRegularUser('alice', 'instructor');
+      const db = testEnv.authenticatedContext('alice').firestore();
+      await expectFirestorePermissionDenied(db.collection('participantNumbers').doc('007').get());
+      await expectFirestorePermissionDenied(
+        db.collection('participantNumbers').doc('007').set({ kidId: 'kid1', participantNumber: '007' })
+      );
+      await expectFirestorePermissionDenied(db.collection('counters').doc('participantNumbers').set({ global: 1 }));
+      await expectFirestorePermissionDenied(db.collection('settings').doc('participantNumbering').get());
+    });
+
+    test('other settings documents stay closed', async () => {
+      await setupAdminUser('admin');
+      const db = testEnv.authenticatedContext('admin').firestore();
+      await expectFirestorePermissionDenied(db.collection('settings').doc('other').get());
+    });
+  });
+
+  describe('Seasons', () => {
+    test('signed-in users can read seasons', async () => {
+      await setupRegularUser('alice', 'parent');
+      const db = testEnv.authenticatedContext('alice').firestore();
+      await expectFirestorePermissionSucceeds(db.collection('seasons').doc('2025').get());
+    });
+
+    test('only admins can create or change seasons', async () => {
+      await setupAdminUser('admin');
+      await setupRegularUser('alice', 'instructor');
+      const adminDb = testEnv.authenticatedContext('admin').firestore();
+      const aliceDb = testEnv.authenticatedContext('alice').firestore();
+      await expectFirestorePermissionSucceeds(
+        adminDb.collection('seasons').doc('2025').set({ name: '2025-2026', status: 'active' })
+      );
+      await expectFirestorePermissionDenied(
+        aliceDb.collection('seasons').doc('2025').update({ status: 'archived' })
+      );
+    });
+
+    test('unauthenticated users cannot read seasons', async () => {
+      const db = testEnv.unauthenticatedContext().firestore();
+      await expectFirestorePermissionDenied(db.collection('seasons').doc('2025').get());
+    });
+  });
+
+  describe('Venues', () => {
+    test('signed-in users can read venues', async () => {
+      await setupRegularUser('alice', 'parent');
+      const db = testEnv.authenticatedContext('alice').firestore();
+      await expectFirestorePermissionSucceeds(db.collection('venues').doc('park').get());
+    });
+
+    test('only admins can create or change venues', async () => {
+      await setupAdminUser('admin');
+      await setupRegularUser('alice', 'instructor');
+      const adminDb = testEnv.authenticatedContext('admin').firestore();
+      const aliceDb = testEnv.authenticatedContext('alice').firestore();
+      await expectFirestorePermissionSucceeds(
+        adminDb.collection('venues').doc('park').set({ name: 'Racing Park', address: 'Jerusalem' })
+      );
+      await expectFirestorePermissionDenied(
+        aliceDb.collection('venues').doc('park').update({ capacity: 40 })
+      );
+    });
+
+    test('unauthenticated users cannot read venues', async () => {
+      const db = testEnv.unauthenticatedContext().firestore();
+      await expectFirestorePermissionDenied(db.collection('venues').doc('park').get());
+    });
+  });
+
 });
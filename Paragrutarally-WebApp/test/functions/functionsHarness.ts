@@ -0,0 +1,372 @@
+// In-memory stand-ins for the firebase-admin and firebase-functions modules, so the Cloud
+// Functions in firebase-functions/index.js can be called directly. Each spec mocks the modules
+// with these (vi.mock is hoisted, so it cannot be shared) and seeds the documents it needs.
+
+/* eslint-disable @typescript-eslint/no-explicit-any */
+
+type Data = Record<string, any>;
+
+const documents = new Map<string, Data>();
+const storageFiles = new Set<string>();
+
+export class Timestamp {
+    constructor(private readonly millis: number) {}
+
+    static fromDate(date: Date) {
+        return new Timestamp(date.getTime());
+    }
+
+    static fromMillis(millis: number) {
+        return new Timestamp(millis);
+    }
+
+    static now() {
+        return new Timestamp(Date.now());
+    }
+
+    toDate() {
+        return new Date(this.millis);
+    }
+
+    toMillis() {
+        return this.millis;
+    }
+
+    isEqual(other: Timestamp) {
+        return other instanceof Timestamp && other.millis === this.millis;
+    }
+}
+
+class Sentinel {
+    constructor(readonly op: string, readonly values: any[] = []) {}
+}
+
+export const FieldValue = {
+    serverTimestamp: () => new Sentinel('serverTimestamp'),
+    delete: () => new Sentinel('delete'),
+    increment: (amount: number) => new Sentinel('increment', [amount]),
+    arrayUnion: (...values: any[]) => new Sentinel('arrayUnion', values),
+    arrayRemove: (...values: any[]) => new Sentinel('arrayRemove', values)
+};
+
+const clone = <T>(value: T): T => {
+    if (value instanceof Timestamp || value instanceof Date || value === null || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(clone) as T;
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)])) as T;
+};
+
+const isEqualValue = (a: any, b: any): boolean => {
+    if (a instanceof Timestamp) return a.isEqual(b);
+    return JSON.stringify(a) === JSON.stringify(b);
+};
+
+const getField = (data: Data, path: string) =>
+    path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data as any);
+
+const resolveValue = (current: any, value: any) => {
+    if (!(value instanceof Sentinel)) return clone(value);
+    const list = Array.isArray(current) ? current : [];
+    switch (value.op) {
+        case 'serverTimestamp':
+            return Timestamp.now();
+        case 'increment':
+            return (Number(current) || 0) + value.values[0];
+        case 'arrayUnion':
+            return [...list, ...value.values.filter(item => !list.some(existing => isEqualValue(existing, item)))];
+        case 'arrayRemove':
+            return list.filter(existing => !value.values.some(item => isEqualValue(existing, item)));
+        default:
+            throw new Error(`Unsupported FieldValue ${value.op}`);
+    }
+};
+
+const setField = (data: Data, path: string, value: any) => {
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((object, key) => {
+        if (object[key] === null || typeof object[key] !== 'object') object[key] = {};
+        return object[key];
+    }, data);
+    const last = keys[keys.length - 1];
+    if (value instanceof Sentinel && value.op === 'delete') {
+        delete parent[last];
+    } else {
+        parent[last] = resolveValue(parent[last], value);
+    }
+};
+
+const resolveFields = (fields: Data, base: Data = {}) => {
+    const data = clone(base);
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value !== null && typeof value === 'object' && !(value instanceof Sentinel) && !(value instanceof Timestamp)
+            && !Array.isArray(value) && !(value instanceof Date)) {
+            data[key] = resolveFields(value, data[key] && typeof data[key] === 'object' ? data[key] : {});
+        } else {
+            setField(data, key, value);
+        }
+    });
+    return data;
+};
+
+class DocumentSnapshot {
+    constructor(readonly ref: DocumentReference, private readonly stored: Data | undefined) {}
+
+    get id() {
+        return this.ref.id;
+    }
+
+    get exists() {
+        return this.stored !== undefined;
+    }
+
+    data() {
+        return this.stored === undefined ? undefined : clone(this.stored);
+    }
+
+    get(path: string) {
+        return this.stored === undefined ? undefined : getField(this.stored, path);
+    }
+}
+
+class DocumentReference {
+    constructor(readonly path: string) {}
+
+    get id() {
+        return this.path.split('/').pop() as string;
+    }
+
+    collection(name: string) {
+        return new Query(`${this.path}/${name}`);
+    }
+
+    async get() {
+        return new DocumentSnapshot(this, documents.get(this.path));
+    }
+
+    async set(data: Data, options: { merge?: boolean } = {}) {
+        writeDocument(this, 'set', data, options);
+    }
+
+    async update(data: Data) {
+        writeDocument(this, 'update', data);
+    }
+
+    async delete() {
+        writeDocument(this, 'delete');
+    }
+}
+
+const writeDocument = (ref: DocumentReference, type: string, data: Data = {}, options: { merge?: boolean } = {}) => {
+    const current = documents.get(ref.path);
+    if (type === 'delete') {
+        documents.delete(ref.path);
+    } else if (type === 'update') {
+        if (!current) throw new Error(`NOT_FOUND: no document to update: ${ref.path}`);
+        const next = clone(current);
+        Object.entries(data).forEach(([path, value]) => setField(next, path, value));
+        documents.set(ref.path, next);
+    } else {
+        documents.set(ref.path, resolveFields(data, options.merge && current ? current : {}));
+    }
+};
+
+type Filter = { field: string; op: string; value: any };
+
+const matches = (data: Data, { field, op, value }: Filter) => {
+    const actual = getField(data, field);
+    const comparable = (item: any) => (item instanceof Timestamp ? item.toMillis() : item);
+    switch (op) {
+        case '==':
+            return value === null ? actual === null : actual !== undefined && isEqualValue(actual, value);
+        case '!=':
+            return actual !== undefined && !isEqualValue(actual, value);
+        case 'in':
+            return actual !== undefined && value.some((item: any) => isEqualValue(actual, item));
+        case 'array-contains':
+            return Array.isArray(actual) && actual.some(item => isEqualValue(item, value));
+        case 'array-contains-any':
+            return Array.isArray(actual) && actual.some(item => value.some((candidate: any) => isEqualValue(item, candidate)));
+        case '<':
+            return actual !== undefined && comparable(actual) < comparable(value);
+        case '<=':
+            return actual !== undefined && comparable(actual) <= comparable(value);
+        case '>':
+            return actual !== undefined && comparable(actual) > comparable(value);
+        case '>=':
+            return actual !== undefined && comparable(actual) >= comparable(value);
+        default:
+            throw new Error(`Unsupported query operator ${op}`);
+    }
+};
+
+class Query {
+    constructor(readonly path: string, private readonly filters: Filter[] = [], private readonly max = Infinity) {}
+
+    doc(id = `auto-${Math.random().toString(36).slice(2, 12)}`) {
+        return new DocumentReference(`${this.path}/${id}`);
+    }
+
+    async add(data: Data) {
+        const ref = this.doc();
+        await ref.set(data);
+        return ref;
+    }
+
+    where(field: string, op: string, value: any) {
+        return new Query(this.path, [...this.filters, { field, op, value }], this.max);
+    }
+
+    limit(max: number) {
+        return new Query(this.path, this.filters, max);
+    }
+
+    async get() {
+        const depth = this.path.split('/').length + 1;
+        const docs = [...documents.entries()]
+            .filter(([path]) => path.startsWith(`${this.path}/`) && path.split('/').length === depth)
+            .filter(([, data]) => this.filters.every(filter => matches(data, filter)))
+            .slice(0, this.max)
+            .map(([path, data]) => new DocumentSnapshot(new DocumentReference(path), clone(data)));
+        return {
+            docs,
+            size: docs.length,
+            empty: docs.length === 0,
+            forEach: (callback: (snapshot: DocumentSnapshot) => void) => docs.forEach(callback)
+        };
+    }
+}
+
+class WriteBatch {
+    private readonly writes: Array<() => void> = [];
+
+    set(ref: DocumentReference, data: Data, options: { merge?: boolean } = {}) {
+        this.writes.push(() => writeDocument(ref, 'set', data, options));
+        return this;
+    }
+
+    update(ref: DocumentReference, data: Data) {
+        this.writes.push(() => writeDocument(ref, 'update', data));
+        return this;
+    }
+
+    delete(ref: DocumentReference) {
+        this.writes.push(() => writeDocument(ref, 'delete'));
+        return this;
+    }
+
+    async commit() {
+        const before = new Map(documents);
+        try {
+            this.writes.forEach(write => write());
+        } catch (error) {
+            documents.clear();
+            before.forEach((data, path) => documents.set(path, data));
+            throw error;
+        }
+    }
+}
+
+const firestore = {
+    collection: (name: string) => new Query(name),
+    doc: (path: string) => new DocumentReference(path),
+    batch: () => new WriteBatch(),
+    getAll: (...refs: DocumentReference[]) => Promise.all(refs.map(ref => ref.get())),
+    runTransaction: async <T>(update: (transaction: any) => Promise<T>) => {
+        const batch = new WriteBatch();
+        const result = await update({
+            get: (ref: DocumentReference | Query) => ref.get(),
+            getAll: (...refs: DocumentReference[]) => Promise.all(refs.map(ref => ref.get())),
+            set: (ref: DocumentReference, data: Data, options?: { merge?: boolean }) => batch.set(ref, data, options),
+            update: (ref: DocumentReference, data: Data) => batch.update(ref, data),
+            delete: (ref: DocumentReference) => batch.delete(ref)
+        });
+        await batch.commit();
+        return result;
+    }
+};
+
+export const firestoreModule = {
+    getFirestore: () => firestore,
+    FieldValue,
+    Timestamp
+};
+
+// Auth calls are recorded; a test makes one fail by setting authFailures[method]
+export const authCalls: Array<{ method: string; args: any[] }> = [];
+export const authFailures: Record<string, { code: string; message: string }> = {};
+
+const recordAuthCall = (method: string) => async (...args: any[]) => {
+    authCalls.push({ method, args });
+    const failure = authFailures[method];
+    if (failure) throw Object.assign(new Error(failure.message), { code: failure.code });
+    return {};
+};
+
+export const authModule = {
+    getAuth: () => ({
+        deleteUser: recordAuthCall('deleteUser'),
+        getUser: recordAuthCall('getUser'),
+        setCustomUserClaims: recordAuthCall('setCustomUserClaims'),
+        createUser: recordAuthCall('createUser'),
+        updateUser: recordAuthCall('updateUser')
+    })
+};
+
+export const storageModule = {
+    getStorage: () => ({
+        bucket: () => ({
+            getFiles: async ({ prefix = '' } = {}) => [[...storageFiles]
+                .filter(name => name.startsWith(prefix))
+                .map(name => ({ name, delete: async () => { storageFiles.delete(name); } }))]
+        })
+    })
+};
+
+export class HttpsError extends Error {
+    constructor(readonly code: string, message: string) {
+        super(message);
+    }
+}
+
+// Triggers and callables are registered as their bare handlers
+const handlerOf = (...args: any[]) => args[args.length - 1];
+
+export const httpsModule = { onCall: handlerOf, onRequest: handlerOf, HttpsError };
+export const firestoreTriggersModule = { onDocumentWritten: handlerOf, onDocumentWrittenWithAuthContext: handlerOf };
+export const schedulerModule = { onSchedule: handlerOf };
+export const functionsModule = { setGlobalOptions: () => {} };
+export const appModule = { initializeApp: () => {} };
+
+export const resetFakes = () => {
+    documents.clear();
+    storageFiles.clear();
+    authCalls.length = 0;
+    Object.keys(authFailures).forEach(method => delete authFailures[method]);
+};
+
+export const seedDoc = (path: string, data: Data) => {
+    documents.set(path, clone(data));
+};
+
+export const seedStorageFile = (name: string) => {
+    storageFiles.add(name);
+};
+
+export const readDoc = (path: string) => clone(documents.get(path));
+
+export const listDocs = (collectionName: string) => [...documents.entries()]
+    .filter(([path]) => path.startsWith(`${collectionName}/`) && path.split('/').length === 2)
+    .map(([path, data]) => ({ id: path.split('/')[1], ...clone(data) }));
+
+export const listStorageFiles = () => [...storageFiles];
+
+// The event a Firestore trigger gets for a write from `before` to `after` (null when missing)
+export const documentWrite = (path: string, before: Data | null, after: Data | null) => {
+    const ref = new DocumentReference(path);
+    return {
+        params: { eventId: ref.id, docId: ref.id },
+        data: {
+            before: new DocumentSnapshot(ref, before ?? undefined),
+            after: new DocumentSnapshot(ref, after ?? undefined)
+        }
+    };
+};
@@ -0,0 +1,293 @@
+// @vitest-environment node
+import { describe, test, expect, afterEach, beforeEach, vi } from 'vitest';
+import { createHash } from 'node:crypto';
+import { Timestamp, authFailures, documentWrite, listDocs, readDoc, resetFakes, seedDoc } from './functionsHarness';
+import { bumpEventCalendarSequence, calendarFeed, deleteUser, purgeKid, registerKidsForEvent, updateEventStatuses } from '../../firebase-functions/index.js';
+
+vi.mock('firebase-admin/app', async () => (await import('./functionsHarness')).appModule);
+vi.mock('firebase-admin/auth', async () => (await import('./functionsHarness')).authModule);
+vi.mock('firebase-admin/firestore', async () => (await import('./functionsHarness')).firestoreModule);
+vi.mock('firebase-admin/storage', async () => (await import('./functionsHarness')).storageModule);
+vi.mock('firebase-functions/v2', async () => (await import('./functionsHarness')).functionsModule);
+vi.mock('firebase-functions/v2/https', async () => (await import('./functionsHarness')).httpsModule);
+vi.mock('firebase-functions/v2/firestore', async () => (await import('./functionsHarness')).firestoreTriggersModule);
+vi.mock('firebase-functions/v2/scheduler', async () => (await import('./functionsHarness')).schedulerModule);
+
+const ADMIN_ID = 'admin-user-1';
+
+beforeEach(() => {
+    resetFakes();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    seedDoc(`users/${ADMIN_ID}`, { role: 'admin', email: 'admin@example.com' });
+});
+
+const asAdmin = (data: object) => ({ auth: { uid: ADMIN_ID }, data });
+
+describe('deleteUser', () => {
+    const PARENT_ID = 'parent-user-1';
+
+    beforeEach(() => {
+        seedDoc(`users/${PARENT_ID}`, { role: 'parent', email: 'parent@example.com' });
+        seedDoc('kids/kid-1', { parentInfo: { parentId: PARENT_ID, parentIds: [PARENT_ID] } });
+    });
+
+    const deleteParent = () => deleteUser(asAdmin({
+        userIdToDelete: PARENT_ID,
+        resolutions: { 'kids/kid-1': { action: 'clear' } }
+    }));
+
+    test('keeps the profile when the sign-in account cannot be deleted, and finishes on retry', async () => {
+        authFailures.deleteUser = { code: 'auth/internal-error', message: 'Auth is down' };
+
+        await expect(deleteParent()).rejects.toMatchObject({ code: 'internal' });
+        expect(readDoc('kids/kid-1')?.parentInfo).toMatchObject({ parentId: '', parentIds: [] });
+        expect(readDoc(`users/${PARENT_ID}`)).toBeDefined();
+        expect(listDocs('userDeletionReports')).toMatchObject([{ deletedUserId: PARENT_ID, authAccountDeleted: null }]);
+
+        delete authFailures.deleteUser;
+        const result = await deleteUser(asAdmin({ userIdToDelete: PARENT_ID, resolutions: {} }));
+
+        expect(readDoc(`users/${PARENT_ID}`)).toBeUndefined();
+        const reports = listDocs('userDeletionReports');
+        expect(reports).toHaveLength(1);
+        expect(reports[0]).toMatchObject({
+            id: result.reportId,
+            authAccountDeleted: true,
+            deletedUser: { email: 'parent@example.com' },
+            summary: { clear: 1 }
+        });
+    });
+});
+
+describe('purgeKid', () => {
+    const KID_ID = 'kid-1';
+    const PARENT_ID = 'parent-user-1';
+
+    beforeEach(() => {
+        seedDoc(`kids/${KID_ID}`, {
+            archived: true,
+            personalInfo: { firstName: 'Noa', lastName: 'Levi' },
+            parentInfo: { parentId: PARENT_ID, parentIds: [PARENT_ID], name: 'Dana Levi' }
+        });
+    });
+
+    const purge = () => purgeKid(asAdmin({ kidId: KID_ID }));
+
+    test('deletes the kid\'s race results', async () => {
+        seedDoc(`raceResults/event-1_${KID_ID}`, { eventId: 'event-1', kidId: KID_ID, position: 1 });
+        seedDoc('raceResults/event-1_kid-2', { eventId: 'event-1', kidId: 'kid-2', position: 2 });
+
+        const result = await purge();
+
+        expect(listDocs('raceResults').map(raceResult => raceResult.kidId)).toEqual(['kid-2']);
+        expect(result.summary.raceResults).toBe(1);
+    });
+
+    test('takes the kid out of heat schedules', async () => {
+        seedDoc('heatSchedules/event-1', {
+            eventId: 'event-1',
+            heats: [{ kidIds: ['kid-2', KID_ID] }, { kidIds: ['kid-3'] }],
+            unscheduledKidIds: []
+        });
+        seedDoc('heatSchedules/event-2', { eventId: 'event-2', heats: [], unscheduledKidIds: [KID_ID, 'kid-4'] });
+        seedDoc('heatSchedules/event-3', { eventId: 'event-3', heats: [{ kidIds: ['kid-2'] }], unscheduledKidIds: [] });
+
+        const result = await purge();
+
+        expect(readDoc('heatSchedules/event-1')).toMatchObject({ heats: [{ kidIds: ['kid-2'] }, { kidIds: ['kid-3'] }] });
+        expect(readDoc('heatSchedules/event-2')?.unscheduledKidIds).toEqual(['kid-4']);
+        expect(readDoc('heatSchedules/event-3')?.updatedAt).toBeUndefined();
+        expect(result.summary.heatSchedules).toBe(2);
+    });
+
+    test('deletes the kid\'s charges', async () => {
+        seedDoc(`eventCharges/event-1_${KID_ID}`, { eventId: 'event-1', kidId: KID_ID, familyId: PARENT_ID, amountDue: 80 });
+        seedDoc('eventCharges/event-1_kid-2', { eventId: 'event-1', kidId: 'kid-2', familyId: PARENT_ID, amountDue: 60 });
+
+        const result = await purge();
+
+        expect(listDocs('eventCharges').map(charge => charge.kidId)).toEqual(['kid-2']);
+        expect(result.summary.charges).toBe(1);
+    });
+
+    test('keeps the family\'s payments but clears their notes on the kid\'s events', async () => {
+        seedDoc(`eventCharges/event-1_${KID_ID}`, { eventId: 'event-1', kidId: KID_ID, familyId: PARENT_ID, amountDue: 80 });
+        seedDoc('eventPayments/payment-1', { eventId: 'event-1', familyId: PARENT_ID, amount: 80, note: 'For Noa' });
+        seedDoc('eventPayments/payment-2', { eventId: 'event-2', familyId: PARENT_ID, amount: 60, note: 'For her brother' });
+
+        const result = await purge();
+
+        expect(readDoc('eventPayments/payment-1')).toMatchObject({ amount: 80, note: '', familyId: PARENT_ID });
+        expect(readDoc('eventPayments/payment-2')?.note).toBe('For her brother');
+        expect(result.summary.payments).toBe(1);
+    });
+
+    test('anonymizes the payments of a kid without a parent account', async () => {
+        seedDoc(`kids/${KID_ID}`, { archived: true, personalInfo: { firstName: 'Noa' }, parentInfo: {} });
+        seedDoc('eventPayments/payment-1', { eventId: 'event-1', familyId: `kid-${KID_ID}`, familyName: 'Noa', amount: 80, note: 'Cash' });
+
+        await purge();
+
+        expect(readDoc('eventPayments/payment-1')).toMatchObject({ familyId: 'erased-kid', familyName: '', note: '', amount: 80 });
+    });
+
+    test('deletes notifications about the kid and drops the kid\'s name from the others', async () => {
+        seedDoc('notifications/promoted', { userId: PARENT_ID, type: 'waitlistPromoted', kidId: KID_ID, kidName: 'Noa Levi' });
+        seedDoc('notifications/cancelled-one', { userId: PARENT_ID, type: 'eventCancelled', kidNames: 'Noa Levi' });
+        seedDoc('notifications/cancelled-both', { userId: PARENT_ID, type: 'eventCancelled', kidNames: 'Noa Levi, Omer Levi' });
+        seedDoc('notifications/volunteer', { userId: 'volunteer-1', type: 'eventCancelled', kidNames: '' });
+
+        const result = await purge();
+
+        expect(readDoc('notifications/promoted')).toBeUndefined();
+        expect(readDoc('notifications/cancelled-one')).toBeUndefined();
+        expect(readDoc('notifications/cancelled-both')?.kidNames).toBe('Omer Levi');
+        expect(readDoc('notifications/volunteer')).toBeDefined();
+        expect(result.summary.notifications).toBe(3);
+    });
+});
+
+describe('registerKidsForEvent', () => {
+    const PARENT_ID = 'parent-user-1';
+
+    beforeEach(() => {
+        seedDoc(`users/${PARENT_ID}`, { role: 'parent', email: 'parent@example.com' });
+        seedDoc('events/event-1', { name: 'Spring Rally', date: '2026-10-20', minAge: 8, requireSignedDeclaration: false });
+        seedDoc('kids/kid-1', { personalInfo: { dateOfBirth: '2022-01-01' }, parentInfo: { parentId: PARENT_ID } });
+        seedDoc('kids/kid-2', { personalInfo: { dateOfBirth: '2015-01-01' }, parentInfo: { parentId: PARENT_ID } });
+        seedDoc('form_submissions/submission-1', { formId: 'form-1', submitterId: PARENT_ID, confirmationStatus: 'attending' });
+    });
+
+    const register = (kidIds: string[]) => registerKidsForEvent({
+        auth: { uid: PARENT_ID },
+        data: { eventId: 'event-1', kidIds, formSubmissionId: 'submission-1' }
+    });
+
+    test('marks the form submission when none of its kids get in', async () => {
+        const result = await register(['kid-1']);
+
+        expect(result.rejected).toEqual([{ kidId: 'kid-1', reasons: ['tooYoung'] }]);
+        expect(readDoc('form_submissions/submission-1')?.rejectedKids).toEqual([{ kidId: 'kid-1', reasons: ['tooYoung'] }]);
+    });
+
+    test('clears the mark once a kid of the submission is registered', async () => {
+        await register(['kid-1']);
+        const result = await register(['kid-1', 'kid-2']);
+
+        expect(result.registered).toEqual(['kid-2']);
+        expect(readDoc('form_submissions/submission-1')?.rejectedKids).toBeUndefined();
+    });
+});
+
+describe('bumpEventCalendarSequence', () => {
+    const event = {
+        name: 'Spring Rally',
+        date: '2026-10-20',
+        time: '09:00',
+        startsAt: Timestamp.fromDate(new Date('2026-10-20T06:00:00.000Z')),
+        endsAt: Timestamp.fromDate(new Date('2026-10-20T09:00:00.000Z')),
+        calendarSequence: 2
+    };
+
+    const write = async (after: object) => {
+        seedDoc('events/event-1', after);
+        await bumpEventCalendarSequence(documentWrite('events/event-1', event, after));
+        return readDoc('events/event-1')?.calendarSequence;
+    };
+
+    test('bumps the sequence when only the end time changes', async () => {
+        expect(await write({ ...event, endsAt: Timestamp.fromDate(new Date('2026-10-20T11:00:00.000Z')) })).toBe(3);
+    });
+
+    test('leaves it alone when the same instants are written again', async () => {
+        expect(await write({
+            ...event,
+            startsAt: Timestamp.fromMillis(event.startsAt.toMillis()),
+            endsAt: Timestamp.fromMillis(event.endsAt.toMillis()),
+            updatedAt: Timestamp.now()
+        })).toBe(2);
+    });
+});
+
+describe('updateEventStatuses', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    test('treats events without a status as upcoming', async () => {
+        vi.useFakeTimers({ toFake: ['Date'] });
+        vi.setSystemTime(new Date('2026-10-20T08:00:00.000Z')); // 11:00 in Israel
+        seedDoc('events/started', { name: 'Started', date: '2026-10-20', time: '10:00' });
+        seedDoc('events/over', { name: 'Over', date: '2026-10-19', time: '10:00' });
+        seedDoc('events/later', { name: 'Later', date: '2026-10-21', time: '10:00' });
+        seedDoc('events/cancelled', { name: 'Cancelled', date: '2026-10-19', time: '10:00', status: 'cancelled' });
+
+        await updateEventStatuses();
+
+        expect(readDoc('events/started')?.status).toBe('ongoing');
+        expect(readDoc('events/over')?.status).toBe('completed');
+        expect(readDoc('events/later')?.status).toBeUndefined();
+        expect(readDoc('events/cancelled')?.status).toBe('cancelled');
+    });
+
+    test('goes by startsAt and endsAt rather than the date and time strings', async () => {
+        vi.useFakeTimers({ toFake: ['Date'] });
+        vi.setSystemTime(new Date('2026-10-20T08:00:00.000Z')); // 11:00 in Israel
+        seedDoc('events/moved', {
+            name: 'Moved',
+            date: '2026-10-22',
+            time: '10:00',
+            startsAt: Timestamp.fromDate(new Date('2026-10-20T07:00:00.000Z')),
+            endsAt: Timestamp.fromDate(new Date('2026-10-20T07:30:00.000Z'))
+        });
+
+        await updateEventStatuses();
+
+        expect(readDoc('events/moved')?.status).toBe('completed');
+    });
+});
+
+describe('calendarFeed', () => {
+    const TOKEN = 'feed-token';
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    const fetchFeed = async () => {
+        const res = {
+            statusCode: 0,
+            body: '',
+            set: () => res,
+            status: (code: number) => { res.statusCode = code; return res; },
+            send: (body: string) => { res.body = body; return res; }
+        };
+        await calendarFeed({ method: 'GET', query: { user: ADMIN_ID, token: TOKEN } }, res);
+        return res;
+    };
+
+    test('dates timed events by startsAt and all-day events by their Israel day, earliest first', async () => {
+        vi.useFakeTimers({ toFake: ['Date'] });
+        vi.setSystemTime(new Date('2026-10-20T08:00:00.000Z'));
+        seedDoc(`calendarFeeds/${ADMIN_ID}`, { tokenHash: createHash('sha256').update(TOKEN).digest('hex') });
+        seedDoc('events/timed', {
+            name: 'Timed',
+            date: '2026-10-30',
+            time: '09:00',
+            startsAt: Timestamp.fromDate(new Date('2026-10-25T07:00:00.000Z')),
+            endsAt: Timestamp.fromDate(new Date('2026-10-25T09:30:00.000Z'))
+        });
+        seedDoc('events/all-day', { name: 'All day', date: '2026-10-22' });
+        seedDoc('events/long-ago', { name: 'Long ago', date: '2025-01-01' });
+
+        const { statusCode, body } = await fetchFeed();
+
+        expect(statusCode).toBe(200);
+        expect(body).toContain('DTSTART;TZID=Asia/Jerusalem:20261025T090000');
+        expect(body).toContain('DTEND;TZID=Asia/Jerusalem:20261025T113000');
+        expect(body).toContain('DTSTART;VALUE=DATE:20261022');
+        expect(body).toContain('DTEND;VALUE=DATE:20261023');
+        expect(body).not.toContain('Long ago');
+        expect(body.indexOf('UID:all-day@')).toBeLessThan(body.indexOf('UID:timed@'));
+    });
+});
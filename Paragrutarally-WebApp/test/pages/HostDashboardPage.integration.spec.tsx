@@ -89,6 +89,11 @@ describeWithFirestoreEmulator('HostDashboardPage (Integration)', () => {
       for (const kid of data.participants) {
         await db.collection('kids').doc(kid.id).set(kid);
       }
+
+      // Seed Registrations
+      for (const { id, ...registration } of data.registrations ?? []) {
+        await db.collection('eventParticipants').doc(id).set(registration);
+      }
     });
 
     // 2. Authenticate
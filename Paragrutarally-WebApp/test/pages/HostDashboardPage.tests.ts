@@ -6,6 +6,7 @@ import userEvent from '@testing-library/user-event';
 export interface TestData {
   events: any[];
   participants: any[];
+  registrations?: any[];
 }
 
 export const defaultEvents = [
@@ -59,6 +60,18 @@ export const defaultParticipants = [
   },
 ];
 
+// eventParticipants documents: kids are listed only when registered for an event
+export const defaultRegistrations = [
+  { id: 'event-1_kid-1', eventId: 'event-1', kidId: 'kid-1', teamId: 'team-1', status: 'registered' },
+  { id: 'event-2_kid-2', eventId: 'event-2', kidId: 'kid-2', teamId: 'team-2', status: 'registered' },
+];
+
+const defaultData: TestData = {
+  events: defaultEvents,
+  participants: defaultParticipants,
+  registrations: defaultRegistrations,
+};
+
 // TYPE DEFINITION FOR THE SETUP FUNCTION
 // This function is responsible for putting the data where the app can find it 
 // (Mock return value OR Emulator DB write) and then rendering the component.
@@ -71,7 +84,7 @@ export interface RunHostDashboardTestOptions {
 export function runHostDashboardTests(setupFn: SetupFunction, options: RunHostDashboardTestOptions = {}) {
   
   test('displays correct stats for events and participants', async () => {
-    await setupFn({ events: defaultEvents, participants: defaultParticipants });
+    await setupFn(defaultData);
 
     const totalEventsHeading = await screen.findByRole('heading', { name: 'Total Events' });
     const totalEventsCard = totalEventsHeading.closest('.stat-card') as HTMLElement;
@@ -84,7 +97,7 @@ export function runHostDashboardTests(setupFn: SetupFunction, options: RunHostDa
 
   test('expand/collapse participant details', async () => {
     const user = userEvent.setup({ pointerEventsCheck: 0 });
-    await setupFn({ events: defaultEvents, participants: defaultParticipants });
+    await setupFn(defaultData);
 
     const alexHeading = await screen.findByRole('heading', { name: 'Alex Johnson' }, { timeout: 5000 });
     const alexCard = alexHeading.closest('.participant-card') as HTMLElement;
@@ -104,7 +117,7 @@ export function runHostDashboardTests(setupFn: SetupFunction, options: RunHostDa
 
   test('comment edit/save flow updates the display', async () => {
     const user = userEvent.setup({ pointerEventsCheck: 0 });
-    await setupFn({ events: defaultEvents, participants: defaultParticipants });
+    await setupFn(defaultData);
 
     const alexHeading = await screen.findByRole('heading', { name: 'Alex Johnson' }, { timeout: 5000 });
 
@@ -147,7 +160,7 @@ export function runHostDashboardTests(setupFn: SetupFunction, options: RunHostDa
 
   test('comment cancel restores previous value', async () => {
     const user = userEvent.setup({ pointerEventsCheck: 0 });
-    await setupFn({ events: defaultEvents, participants: defaultParticipants });
+    await setupFn(defaultData);
 
     const alexHeading = await screen.findByRole('heading', { name: 'Alex Johnson' }, { timeout: 5000 });
 
@@ -178,7 +191,7 @@ export function runHostDashboardTests(setupFn: SetupFunction, options: RunHostDa
 
   test('search and filters narrow the participant list', async () => {
     const user = userEvent.setup({ pointerEventsCheck: 0 });
-    await setupFn({ events: defaultEvents, participants: defaultParticipants });
+    await setupFn(defaultData);
 
     await screen.findByRole('heading', { name: 'Alex Johnson' }, { timeout: 5000 });
     expect(screen.getByText('Taylor Williams')).toBeInTheDocument();
@@ -204,7 +217,7 @@ export function runHostDashboardTests(setupFn: SetupFunction, options: RunHostDa
 
   test('shows empty state when no participants match search', async () => {
     const user = userEvent.setup({ pointerEventsCheck: 0 });
-    await setupFn({ events: defaultEvents, participants: defaultParticipants });
+    await setupFn(defaultData);
 
     await screen.findByText('Alex Johnson');
     const searchInput = screen.getByLabelText(/search/i);
@@ -215,23 +228,34 @@ export function runHostDashboardTests(setupFn: SetupFunction, options: RunHostDa
     });
   });
 
-  test('does not list kids without a teamId', async () => {
+  test('does not list kids without an active registration', async () => {
     const unregisteredKid = {
-      id: 'kid-no-team',
-      participantNumber: '999',
-      teamId: '',
+      id: 'kid-unregistered',
+      participantNumber: '998',
+      teamId: 'team-1',
       personalInfo: { firstName: 'Unregistered', lastName: 'Kid' },
       comments: { organization: '' },
       signedFormStatus: 'pending',
-      signedDeclaration: false,
+      signedDeclaration: true,
+    };
+    const cancelledKid = {
+      ...unregisteredKid,
+      id: 'kid-cancelled',
+      participantNumber: '999',
+      personalInfo: { firstName: 'Cancelled', lastName: 'Kid' },
     };
 
     await setupFn({
       events: defaultEvents,
-      participants: [...defaultParticipants, unregisteredKid],
+      participants: [...defaultParticipants, unregisteredKid, cancelledKid],
+      registrations: [
+        ...defaultRegistrations,
+        { id: 'event-1_kid-cancelled', eventId: 'event-1', kidId: 'kid-cancelled', teamId: 'team-1', status: 'cancelled' },
+      ],
     });
 
     await screen.findByText('Alex Johnson');
     expect(screen.queryByText('Unregistered Kid')).not.toBeInTheDocument();
+    expect(screen.queryByText('Cancelled Kid')).not.toBeInTheDocument();
   });
 }
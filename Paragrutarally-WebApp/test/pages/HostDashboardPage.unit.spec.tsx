@@ -83,7 +83,8 @@ describe('HostDashboardPage (Unit)', () => {
 
     mockGetDocs
       .mockResolvedValueOnce(createMockFirestoreSnapshot(data.events))
-      .mockResolvedValueOnce(createMockFirestoreSnapshot(data.participants));
+      .mockResolvedValueOnce(createMockFirestoreSnapshot(data.participants))
+      .mockResolvedValueOnce(createMockFirestoreSnapshot(data.registrations ?? []));
 
     mockUpdateDoc.mockResolvedValue(undefined);
     mockDoc.mockImplementation((_db: unknown, collectionName: string, docId: string) => ({
@@ -160,6 +161,7 @@ describe('HostDashboardPage (Unit)', () => {
           signedDeclaration: true,
         },
       ],
+      registrations: [{ id: 'event-1_kid-1', eventId: 'event-1', kidId: 'kid-1', status: 'registered' }],
     });
 
     expect(await screen.findByText('Host Dashboard')).toBeInTheDocument();
@@ -192,6 +194,7 @@ describe('HostDashboardPage (Unit)', () => {
           signedDeclaration: true,
         },
       ],
+      registrations: [{ id: 'event-1_kid-1', eventId: 'event-1', kidId: 'kid-1', status: 'registered' }],
     });
 
     await screen.findByText('Alex');
@@ -225,6 +228,7 @@ describe('HostDashboardPage (Unit)', () => {
           signedDeclaration: true,
         },
       ],
+      registrations: [{ id: 'event-1_kid-1', eventId: 'event-1', kidId: 'kid-1', status: 'registered' }],
     });
 
     await screen.findByText('Alex Johnson');
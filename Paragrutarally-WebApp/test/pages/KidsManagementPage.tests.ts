@@ -165,6 +165,36 @@ export function runKidsManagementTests(setupFn: SetupFunction, options: RunKidsM
         expect(within(table).getByText('Kid Two')).toBeInTheDocument();
     });
 
+    test('keeps alumni out of the list until they are filtered to or searched for', async () => {
+        const user = userEvent.setup({ pointerEventsCheck: 0 });
+        const alumnus = {
+            id: 'kid-4',
+            name: 'Kid Four',
+            participantNumber: '004',
+            teamId: null,
+            archived: true,
+            signedFormStatus: 'completed',
+            personalInfo: { firstName: 'Kid', lastName: 'Four', dateOfBirth: '2010-03-03' },
+            parentInfo: { name: 'Parent Four' }
+        };
+        await setupFn({ kids: [...defaultKids, alumnus], teams: defaultTeams });
+        await screen.findByText('Kid One');
+
+        const table = screen.getByRole('table');
+        expect(within(table).queryByText('Kid Four')).not.toBeInTheDocument();
+        const totalCard = screen.getByRole('heading', { name: 'Total Kids' }).closest('.stat-card') as HTMLElement;
+        expect(within(totalCard).getByText('3')).toBeInTheDocument();
+
+        const searchInput = screen.getByPlaceholderText(/search by kid name/i);
+        await user.type(searchInput, 'Four');
+        expect(within(table).getByText('Kid Four')).toBeInTheDocument();
+        await user.clear(searchInput);
+
+        await user.selectOptions(screen.getByDisplayValue(/all status/i), 'archived');
+        expect(within(table).getByText('Kid Four')).toBeInTheDocument();
+        expect(within(table).queryByText('Kid One')).not.toBeInTheDocument();
+    });
+
     test('opens add kid page', async () => {
         const user = userEvent.setup({ pointerEventsCheck: 0 });
         await setupFn({ kids: defaultKids, teams: defaultTeams });
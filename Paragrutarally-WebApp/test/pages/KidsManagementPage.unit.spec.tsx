@@ -1,5 +1,6 @@
 import { describe, vi, beforeEach, test, expect } from 'vitest';
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
 import { MemoryRouter } from 'react-router-dom';
 import KidsManagementPage from '@/pages/admin/KidsManagementPage';
 import { runKidsManagementTests, TestData, defaultKids, defaultTeams } from './KidsManagementPage.tests';
@@ -9,7 +10,7 @@ import { runKidsManagementTests, TestData, defaultKids, defaultTeams } from './K
 const { 
     mockGetAllKids,
     mockGetAllTeams,
-    mockDeleteKid,
+    mockArchiveKid,
     mockGetKidPhotoInfo,
     mockUsePermissions, 
     mockCanUserAccessKid, 
@@ -20,7 +21,7 @@ const {
     return {
         mockGetAllKids: vi.fn(),
         mockGetAllTeams: vi.fn(),
-        mockDeleteKid: vi.fn(),
+        mockArchiveKid: vi.fn(),
         mockGetKidPhotoInfo: vi.fn(),
         mockUsePermissions: vi.fn(),
         mockCanUserAccessKid: vi.fn(() => true),
@@ -37,7 +38,9 @@ vi.mock('@/services/kidService', () => ({
     getAllKids: (...args: unknown[]) => mockGetAllKids(...args),
     getKidsByInstructor: vi.fn().mockResolvedValue([]),
     getKidsByParent: vi.fn().mockResolvedValue([]),
-    deleteKid: (...args: unknown[]) => mockDeleteKid(...args),
+    archiveKid: (...args: unknown[]) => mockArchiveKid(...args),
+    restoreKid: vi.fn(),
+    purgeKid: vi.fn(),
 }));
 
 vi.mock('@/services/teamService', () => ({
@@ -167,4 +170,22 @@ describe('KidsManagementPage (Unit)', () => {
 
         consoleError.mockRestore();
     });
+
+    test('archives a kid instead of deleting it', async () => {
+        const user = userEvent.setup({ pointerEventsCheck: 0 });
+        const confirmSpy = vi.spyOn(window, 'confirm').mockReturnValue(true);
+        const alertSpy = vi.spyOn(window, 'alert').mockImplementation(() => {});
+        mockArchiveKid.mockResolvedValue(undefined);
+        await setupUnit({ kids: defaultKids, teams: defaultTeams });
+
+        const row = (await screen.findByText('Kid One')).closest('tr')!;
+        expect(within(row).queryByTitle('Delete Kid')).not.toBeInTheDocument();
+        await user.click(within(row).getByTitle('Archive Kid'));
+
+        expect(mockArchiveKid).toHaveBeenCalledWith('kid-1', 'admin-uid');
+        expect(mockGetAllKids).toHaveBeenCalledWith({ includeArchived: true });
+
+        confirmSpy.mockRestore();
+        alertSpy.mockRestore();
+    });
 });
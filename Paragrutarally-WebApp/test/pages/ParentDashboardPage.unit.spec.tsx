@@ -56,6 +56,10 @@ vi.mock('@/components/modals/ParentKidEditModal', () => ({
     },
 }));
 
+vi.mock('@/components/common/UserNotifications', () => ({
+    default: () => null,
+}));
+
 // --- HELPER TO CREATE SNAPSHOTS ---
 function createMockFirestoreSnapshot(docs: Array<{ id: string;[key: string]: unknown }>) {
     return {
@@ -0,0 +1,97 @@
+import { describe, vi, beforeEach, test, expect } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import SetPasswordPage from '@/pages/auth/SetPasswordPage';
+
+// --- MOCKS ---
+const mockRedeemInvite = vi.fn();
+const mockSignIn = vi.fn();
+
+vi.mock('@/services/adminUserService.jsx', () => ({
+    redeemInvite: (...args: unknown[]) => mockRedeemInvite(...args),
+}));
+
+vi.mock('@/contexts/AuthContext', () => ({
+    useAuth: () => ({ signIn: mockSignIn }),
+}));
+
+vi.mock('@/contexts/ThemeContext.jsx', () => ({
+    useTheme: () => ({ isDarkMode: false }),
+}));
+
+vi.mock('@/contexts/LanguageContext.jsx', () => ({
+    useLanguage: () => ({
+        t: (key: string, fallback: string) => fallback,
+        isRTL: false,
+    }),
+}));
+
+vi.mock('@/components/common/DarkModeToggle.jsx', () => ({ default: () => null }));
+vi.mock('@/components/common/LanguageSelector.jsx', () => ({ default: () => null }));
+
+const renderAt = (path: string) => render(
+    <MemoryRouter initialEntries={[path]}>
+        <Routes>
+            <Route path="/set-password" element={<SetPasswordPage />} />
+            <Route path="/login" element={<div>Login Page</div>} />
+        </Routes>
+    </MemoryRouter>
+);
+
+describe('SetPasswordPage (Unit)', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    test('shows an error when the link has no invite token', () => {
+        renderAt('/set-password');
+
+        expect(screen.getByRole('alert')).toHaveTextContent('This invite link is invalid');
+        expect(screen.queryByRole('button', { name: 'Activate Account' })).not.toBeInTheDocument();
+    });
+
+    test('requires matching passwords before redeeming', async () => {
+        const user = userEvent.setup({ pointerEventsCheck: 0 });
+        renderAt('/set-password?invite=invite-1&token=secret');
+
+        await user.type(screen.getByLabelText(/New Password/), 'racing123');
+        await user.type(screen.getByLabelText(/Confirm Password/), 'racing124');
+        await user.click(screen.getByRole('button', { name: 'Activate Account' }));
+
+        expect(await screen.findByRole('alert')).toHaveTextContent('Passwords do not match');
+        expect(mockRedeemInvite).not.toHaveBeenCalled();
+    });
+
+    test('redeems the invite, signs in and continues to login redirect', async () => {
+        const user = userEvent.setup({ pointerEventsCheck: 0 });
+        mockRedeemInvite.mockResolvedValue({ success: true, email: 'new.parent@test.com' });
+        mockSignIn.mockResolvedValue({});
+        renderAt('/set-password?invite=invite-1&token=secret');
+
+        await user.type(screen.getByLabelText(/New Password/), 'racing123');
+        await user.type(screen.getByLabelText(/Confirm Password/), 'racing123');
+        await user.click(screen.getByRole('button', { name: 'Activate Account' }));
+
+        await waitFor(() => {
+            expect(mockRedeemInvite).toHaveBeenCalledWith('invite-1', 'secret', 'racing123');
+            expect(mockSignIn).toHaveBeenCalledWith('new.parent@test.com', 'racing123');
+        });
+        expect(await screen.findByText('Login Page')).toBeInTheDocument();
+    });
+
+    test('shows the server message when the invite is no longer valid', async () => {
+        const user = userEvent.setup({ pointerEventsCheck: 0 });
+        const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+        mockRedeemInvite.mockRejectedValue(new Error('This invite link has expired. Please ask an administrator to resend it.'));
+        renderAt('/set-password?invite=invite-1&token=secret');
+
+        await user.type(screen.getByLabelText(/New Password/), 'racing123');
+        await user.type(screen.getByLabelText(/Confirm Password/), 'racing123');
+        await user.click(screen.getByRole('button', { name: 'Activate Account' }));
+
+        expect(await screen.findByRole('alert')).toHaveTextContent('has expired');
+        expect(mockSignIn).not.toHaveBeenCalled();
+        consoleError.mockRestore();
+    });
+});
@@ -26,7 +26,8 @@ const mockLanguageContext = {
 
 // Mock userService to avoid Cloud Functions calls
 vi.mock('@/services/userService', () => ({
-    deleteUserCompletely: vi.fn().mockResolvedValue(true),
+    deleteUserCompletely: async () => ({ success: true, summary: { reassign: 0, clear: 0, anonymize: 0 } }),
+    previewUserDeletion: async () => [],
     getUserData: vi.fn(),
     updateUserProfile: vi.fn(),
 }));
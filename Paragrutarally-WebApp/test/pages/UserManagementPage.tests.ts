@@ -269,6 +269,8 @@ export function runUserManagementTests(setupFn: SetupFunction, options: RunUserM
 
         const deleteModal2 = await screen.findByRole('dialog', { name: /delete user/i });
         const confirmBtn = within(deleteModal2).getByRole('button', { name: /delete user completely/i });
+        // Confirm unlocks once the linked records have been checked
+        await waitFor(() => expect(confirmBtn).toBeEnabled());
         await user.click(confirmBtn);
 
         // Verify alert was called (success)
@@ -86,8 +86,21 @@ vi.mock('@/components/modals/UpdateUserModal', () => ({
 }));
 
 // Mock userService for Delete functionality (used in UsersTable)
-vi.mock('@/services/userService', () => ({
-    deleteUserCompletely: vi.fn().mockResolvedValue(true),
+const mockDeleteUserCompletely = vi.fn();
+const mockPreviewUserDeletion = vi.fn();
+vi.mock('@/services/userService.js', () => ({
+    deleteUserCompletely: (...args: unknown[]) => mockDeleteUserCompletely(...args),
+    previewUserDeletion: (...args: unknown[]) => mockPreviewUserDeletion(...args),
+}));
+
+// Mock adminUserService for the pending invites list
+const mockGetPendingInvites = vi.fn();
+const mockResendInvite = vi.fn();
+const mockRevokeInvite = vi.fn();
+vi.mock('@/services/adminUserService.jsx', () => ({
+    getPendingInvites: (...args: unknown[]) => mockGetPendingInvites(...args),
+    resendInvite: (...args: unknown[]) => mockResendInvite(...args),
+    revokeInvite: (...args: unknown[]) => mockRevokeInvite(...args),
 }));
 
 
@@ -113,6 +126,9 @@ describe('UserManagementPage (Unit)', () => {
         mockCollection.mockReturnValue('users-collection');
         mockOrderBy.mockReturnValue('orderBy-clause');
         mockQuery.mockReturnValue('query-result');
+        mockGetPendingInvites.mockResolvedValue([]);
+        mockPreviewUserDeletion.mockResolvedValue([]);
+        mockDeleteUserCompletely.mockResolvedValue({ success: true, summary: { reassign: 0, clear: 0, anonymize: 0 } });
     });
 
     // SETUP FUNCTION FOR UNIT TESTS
@@ -160,4 +176,68 @@ describe('UserManagementPage (Unit)', () => {
         alertMock.mockRestore();
         consoleError.mockRestore();
     });
+
+    describe('pending invites', () => {
+        const pendingInvite = {
+            id: 'invite-1',
+            uid: 'new-parent',
+            email: 'new.parent@test.com',
+            displayName: 'New Parent',
+            role: 'parent',
+            status: 'pending',
+            lastSentAt: new Date('2024-02-01'),
+            expiresAt: new Date('2024-02-08'),
+            isExpired: true,
+        };
+
+        test('lists invites that have not been redeemed', async () => {
+            mockGetPendingInvites.mockResolvedValue([pendingInvite]);
+            await setupUnit({ users: [] });
+
+            const table = await screen.findByRole('table', { name: 'Pending Invites' });
+            const row = within(table).getByText('new.parent@test.com').closest('tr') as HTMLElement;
+            expect(within(row).getByText('Expired')).toBeInTheDocument();
+        });
+
+        test('resending an invite requests a new link and refreshes the list', async () => {
+            const user = userEvent.setup({ pointerEventsCheck: 0 });
+            const alertMock = vi.spyOn(window, 'alert').mockImplementation(() => { });
+            mockGetPendingInvites.mockResolvedValue([pendingInvite]);
+            mockResendInvite.mockResolvedValue({
+                success: true,
+                inviteLink: 'http://localhost/set-password?invite=invite-1&token=new',
+                expiresAt: new Date('2024-02-15'),
+            });
+            await setupUnit({ users: [] });
+
+            await user.click(await screen.findByRole('button', { name: /Resend invite to/ }));
+
+            await waitFor(() => {
+                expect(mockResendInvite).toHaveBeenCalledWith('invite-1');
+                expect(alertMock).toHaveBeenCalledWith(expect.stringContaining('token=new'));
+                expect(mockGetPendingInvites).toHaveBeenCalledTimes(2);
+            });
+
+            alertMock.mockRestore();
+        });
+
+        test('revoking an invite asks for confirmation first', async () => {
+            const user = userEvent.setup({ pointerEventsCheck: 0 });
+            const confirmMock = vi.spyOn(window, 'confirm').mockReturnValue(false);
+            mockGetPendingInvites.mockResolvedValue([pendingInvite]);
+            await setupUnit({ users: [] });
+
+            await user.click(await screen.findByRole('button', { name: /Revoke invite for/ }));
+
+            expect(confirmMock).toHaveBeenCalled();
+            expect(mockRevokeInvite).not.toHaveBeenCalled();
+
+            confirmMock.mockReturnValue(true);
+            mockRevokeInvite.mockResolvedValue({ success: true });
+            await user.click(screen.getByRole('button', { name: /Revoke invite for/ }));
+
+            await waitFor(() => expect(mockRevokeInvite).toHaveBeenCalledWith('invite-1'));
+            confirmMock.mockRestore();
+        });
+    });
 });
@@ -0,0 +1,184 @@
+import { describe, test, expect } from 'vitest';
+import {
+    REGISTRATION_ISSUES,
+    cleanRegistrationSettings,
+    getAgeOnDate,
+    getKidEligibilityIssues,
+    getRegistrationId,
+    getRegistrationIssueText,
+    getRegistrationWindowIssue,
+    getRemainingCapacity,
+    getWaitlist,
+    getWaitlistCutoff,
+    isActiveRegistration,
+    isWaitlistPromotionOpen,
+    validateRegistrationSettings,
+} from '@/schemas/eventRegistrationSchema';
+
+const event = (overrides = {}) => ({
+    id: 'event-1',
+    date: '2026-06-15',
+    status: 'upcoming',
+    registrationOpen: true,
+    registrationDeadline: '2026-06-01',
+    maxParticipants: 10,
+    minAge: null,
+    maxAge: null,
+    requireSignedDeclaration: true,
+    participatingTeams: ['team-1'],
+    ...overrides,
+});
+
+const kid = (overrides = {}) => ({
+    id: 'kid-1',
+    teamId: 'team-1',
+    signedDeclaration: true,
+    personalInfo: { dateOfBirth: '2016-06-15' },
+    ...overrides,
+});
+
+describe('getAgeOnDate', () => {
+    test('counts whole years up to the day', () => {
+        expect(getAgeOnDate('2016-06-15', '2026-06-15')).toBe(10);
+        expect(getAgeOnDate('2016-06-16', '2026-06-15')).toBe(9);
+        expect(getAgeOnDate('2016-06-15', new Date(2026, 5, 14))).toBe(9);
+    });
+
+    test('returns null without a valid date of birth', () => {
+        expect(getAgeOnDate('', '2026-06-15')).toBeNull();
+        expect(getAgeOnDate('2030-01-01', '2026-06-15')).toBeNull();
+    });
+});
+
+describe('getRegistrationWindowIssue', () => {
+    test('is open through the end of the deadline day', () => {
+        expect(getRegistrationWindowIssue(event(), new Date(2026, 5, 1, 23, 59))).toBeNull();
+        expect(getRegistrationWindowIssue(event(), new Date(2026, 5, 2, 0, 1))).toBe(REGISTRATION_ISSUES.DEADLINE_PASSED);
+        expect(getRegistrationWindowIssue(event({ registrationDeadline: '' }), new Date(2027, 0, 1))).toBeNull();
+    });
+
+    test('is closed when turned off or once the event is over', () => {
+        const now = new Date(2026, 4, 1);
+        expect(getRegistrationWindowIssue(event({ registrationOpen: false }), now)).toBe(REGISTRATION_ISSUES.REGISTRATION_CLOSED);
+        expect(getRegistrationWindowIssue(event({ status: 'cancelled' }), now)).toBe(REGISTRATION_ISSUES.REGISTRATION_CLOSED);
+        expect(getRegistrationWindowIssue(event({ status: 'completed' }), now)).toBe(REGISTRATION_ISSUES.REGISTRATION_CLOSED);
+    });
+});
+
+describe('getKidEligibilityIssues', () => {
+    test('accepts an eligible kid', () => {
+        expect(getKidEligibilityIssues(kid(), event({ minAge: 6, maxAge: 12 }))).toEqual([]);
+    });
+
+    test('requires a signed declaration unless the event waives it or one is uploaded', () => {
+        const unsigned = kid({ signedDeclaration: false });
+        expect(getKidEligibilityIssues(unsigned, event())).toEqual([REGISTRATION_ISSUES.DECLARATION_MISSING]);
+        expect(getKidEligibilityIssues(unsigned, event({ requireSignedDeclaration: false }))).toEqual([]);
+        expect(getKidEligibilityIssues(unsigned, event(), { declarationUploaded: true })).toEqual([]);
+    });
+
+    test('checks the age on the event date', () => {
+        expect(getKidEligibilityIssues(kid(), event({ minAge: 11 }))).toEqual([REGISTRATION_ISSUES.TOO_YOUNG]);
+        expect(getKidEligibilityIssues(kid(), event({ maxAge: 9 }))).toEqual([REGISTRATION_ISSUES.TOO_OLD]);
+        expect(getKidEligibilityIssues(kid({ personalInfo: {} }), event({ minAge: 6 }))).toEqual([REGISTRATION_ISSUES.AGE_UNKNOWN]);
+        expect(getKidEligibilityIssues(kid({ personalInfo: {} }), event())).toEqual([]);
+    });
+
+    test('requires a participating team when the event has teams', () => {
+        expect(getKidEligibilityIssues(kid({ teamId: 'team-2' }), event())).toEqual([REGISTRATION_ISSUES.TEAM_NOT_PARTICIPATING]);
+        expect(getKidEligibilityIssues(kid({ teamId: null }), event({ participatingTeams: [] }))).toEqual([]);
+    });
+
+    test('rejects archived kids', () => {
+        expect(getKidEligibilityIssues(kid({ archived: true }), event())).toEqual([REGISTRATION_ISSUES.KID_ARCHIVED]);
+    });
+});
+
+describe('validateRegistrationSettings', () => {
+    const settings = (overrides = {}) => ({ registrationDeadline: '', maxParticipants: 20, minAge: '', maxAge: '', ...overrides });
+
+    test('accepts valid settings', () => {
+        expect(validateRegistrationSettings(settings({ registrationDeadline: '2026-06-01', minAge: '6', maxAge: '12' }), '2026-06-15'))
+            .toEqual({ isValid: true, errors: {} });
+    });
+
+    test('rejects a bad capacity, age range or deadline', () => {
+        const { errors } = validateRegistrationSettings(
+            settings({ maxParticipants: 0, minAge: '12', maxAge: '6', registrationDeadline: '2026-06-20' }),
+            '2026-06-15'
+        );
+        expect(Object.keys(errors).sort()).toEqual(['maxAge', 'maxParticipants', 'registrationDeadline']);
+        expect(validateRegistrationSettings(settings({ minAge: '6.5' }), '').errors).toHaveProperty('minAge');
+        expect(validateRegistrationSettings(settings({ waitlistCutoffHours: '-1' }), '').errors).toHaveProperty('waitlistCutoffHours');
+    });
+
+    test('cleanRegistrationSettings stores numbers and nulls', () => {
+        expect(cleanRegistrationSettings(settings({ minAge: '6', registrationOpen: false }))).toEqual({
+            registrationOpen: false,
+            registrationDeadline: '',
+            maxParticipants: 20,
+            minAge: 6,
+            maxAge: null,
+            requireSignedDeclaration: true,
+            waitlistEnabled: true,
+            waitlistCutoffHours: 0,
+        });
+    });
+});
+
+describe('waitlist', () => {
+    test('orders the waitlisted registrations by position', () => {
+        const registrations = [
+            { id: 'a', status: 'waitlisted', waitlistPosition: 2 },
+            { id: 'b', status: 'registered' },
+            { id: 'c', status: 'waitlisted', waitlistPosition: 1 },
+            { id: 'd', status: 'cancelled', waitlistPosition: null },
+        ];
+        expect(getWaitlist(registrations).map(registration => registration.id)).toEqual(['c', 'a']);
+    });
+
+    test('stops promotions the cutoff hours before the event starts', () => {
+        const waitlisted = event({ time: '10:00', waitlistCutoffHours: 24 });
+        // 10:00 in Israel is 07:00 UTC in June
+        expect(getWaitlistCutoff(waitlisted)?.toISOString()).toBe('2026-06-14T07:00:00.000Z');
+        expect(isWaitlistPromotionOpen(waitlisted, new Date('2026-06-14T06:59:00.000Z'))).toBe(true);
+        expect(isWaitlistPromotionOpen(waitlisted, new Date('2026-06-14T07:00:00.000Z'))).toBe(false);
+        expect(getWaitlistCutoff(event({ date: '' }))).toBeNull();
+    });
+
+    test('counts the cutoff from startsAt', () => {
+        const waitlisted = event({
+            date: '2026-06-15',
+            time: '10:00',
+            startsAt: new Date('2026-06-15T07:00:00.000Z'),
+            waitlistCutoffHours: 2
+        });
+        expect(getWaitlistCutoff(waitlisted)?.toISOString()).toBe('2026-06-15T05:00:00.000Z');
+    });
+
+    test('is closed when turned off or once the event is over', () => {
+        const now = new Date(2026, 4, 1);
+        expect(isWaitlistPromotionOpen(event({ waitlistEnabled: false }), now)).toBe(false);
+        expect(isWaitlistPromotionOpen(event({ status: 'cancelled' }), now)).toBe(false);
+        expect(isWaitlistPromotionOpen(event(), now)).toBe(true);
+    });
+});
+
+describe('helpers', () => {
+    test('registration ids, capacity and status', () => {
+        expect(getRegistrationId('event-1', 'kid-1')).toBe('event-1_kid-1');
+        expect(getRemainingCapacity(event(), 4)).toBe(6);
+        expect(getRemainingCapacity(event(), 12)).toBe(0);
+        expect(getRemainingCapacity(event({ maxParticipants: null }), 100)).toBe(Infinity);
+        expect(isActiveRegistration({ status: 'registered' })).toBe(true);
+        expect(isActiveRegistration({ status: 'cancelled' })).toBe(false);
+        expect(isActiveRegistration({ status: 'waitlisted' })).toBe(false);
+    });
+
+    test('getRegistrationIssueText translates every issue', () => {
+        const t = (key: string, fallback: string) => `${key}|${fallback}`;
+        Object.values(REGISTRATION_ISSUES).forEach((code) => {
+            expect(getRegistrationIssueText(code, t)).toMatch(new RegExp(`^registration\\.issues\\.${code}\\|`));
+        });
+    });
+});
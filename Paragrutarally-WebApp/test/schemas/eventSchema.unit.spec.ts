@@ -0,0 +1,28 @@
+import { describe, test, expect } from 'vitest';
+import { EVENT_STATUS, canChangeEventStatus, validateCancellationReason } from '@/schemas/eventSchema';
+
+describe('canChangeEventStatus', () => {
+    test('moves events forward only', () => {
+        expect(canChangeEventStatus(EVENT_STATUS.UPCOMING, EVENT_STATUS.ONGOING)).toBe(true);
+        expect(canChangeEventStatus(EVENT_STATUS.UPCOMING, EVENT_STATUS.COMPLETED)).toBe(true);
+        expect(canChangeEventStatus(EVENT_STATUS.ONGOING, EVENT_STATUS.COMPLETED)).toBe(true);
+        expect(canChangeEventStatus(EVENT_STATUS.ONGOING, EVENT_STATUS.UPCOMING)).toBe(false);
+    });
+
+    test('completed and cancelled events stay that way', () => {
+        expect(canChangeEventStatus(EVENT_STATUS.COMPLETED, EVENT_STATUS.CANCELLED)).toBe(false);
+        expect(canChangeEventStatus(EVENT_STATUS.CANCELLED, EVENT_STATUS.UPCOMING)).toBe(false);
+    });
+
+    test('treats events without a status as upcoming', () => {
+        expect(canChangeEventStatus(undefined, EVENT_STATUS.CANCELLED)).toBe(true);
+    });
+});
+
+describe('validateCancellationReason', () => {
+    test('needs a reason of at most 500 characters', () => {
+        expect(validateCancellationReason('  ').errors.reason).toBe('Enter the reason for cancelling');
+        expect(validateCancellationReason('x'.repeat(501)).isValid).toBe(false);
+        expect(validateCancellationReason('The track is flooded').isValid).toBe(true);
+    });
+});
@@ -0,0 +1,87 @@
+import { describe, test, expect } from 'vitest';
+import {
+    ALLERGY_SEVERITY,
+    MAX_EMERGENCY_CONTACTS,
+    cleanMedicalProfile,
+    createEmptyMedicalProfile,
+    validateMedicalProfile,
+} from '@/schemas/medicalProfileSchema';
+
+const contact = (name = 'Dana Levi', phone = '050-1234567') => ({ name, relationship: 'Mother', phone });
+
+const profileWith = (overrides = {}) =>
+    cleanMedicalProfile({ ...createEmptyMedicalProfile(), emergencyContacts: [contact()], ...overrides });
+
+describe('cleanMedicalProfile', () => {
+    test('trims text and drops rows left empty', () => {
+        const cleaned = cleanMedicalProfile({
+            ...createEmptyMedicalProfile(),
+            allergies: [{ allergen: '  Peanuts ', reaction: '', severity: ALLERGY_SEVERITY.SEVERE }, { allergen: ' ', reaction: '' }],
+            emergencyContacts: [{ name: '', relationship: '', phone: '' }, contact(' Dana ', ' 0501234567 ')],
+            mobilityAids: ['walker', 'walker'],
+        });
+
+        expect(cleaned.allergies).toEqual([{ allergen: 'Peanuts', reaction: '', severity: ALLERGY_SEVERITY.SEVERE }]);
+        expect(cleaned.emergencyContacts).toEqual([{ name: 'Dana', relationship: 'Mother', phone: '0501234567' }]);
+        expect(cleaned.mobilityAids).toEqual(['walker']);
+        expect(cleaned.seizureProtocol.hasSeizures).toBe(false);
+    });
+
+    test('keeps the order of emergency contacts', () => {
+        const cleaned = cleanMedicalProfile({
+            emergencyContacts: [contact('First'), contact('Second'), contact('Third')],
+        });
+        expect(cleaned.emergencyContacts.map((row) => row.name)).toEqual(['First', 'Second', 'Third']);
+    });
+});
+
+describe('validateMedicalProfile', () => {
+    test('accepts a profile with one emergency contact', () => {
+        expect(validateMedicalProfile(profileWith())).toEqual({ isValid: true, errors: {} });
+    });
+
+    test('requires at least one emergency contact and caps the list', () => {
+        expect(validateMedicalProfile(profileWith({ emergencyContacts: [] })).errors).toHaveProperty('emergencyContacts');
+
+        const tooMany = Array.from({ length: MAX_EMERGENCY_CONTACTS + 1 }, (_, index) => contact(`Contact ${index}`));
+        expect(validateMedicalProfile(profileWith({ emergencyContacts: tooMany })).errors).toHaveProperty('emergencyContacts');
+    });
+
+    test('checks each contact by its row', () => {
+        const { errors } = validateMedicalProfile(profileWith({
+            emergencyContacts: [contact(), contact('', '12'), contact('Abroad', '+44 20 7946 0958')],
+        }));
+        expect(Object.keys(errors).sort()).toEqual(['emergencyContacts.1.name', 'emergencyContacts.1.phone']);
+    });
+
+    test('requires an allergen, a medication name and known options', () => {
+        const { errors } = validateMedicalProfile(profileWith({
+            allergies: [{ allergen: '', reaction: 'Hives', severity: 'deadly' }],
+            medications: [{ name: '', dosage: '5mg', schedule: '', notes: '' }],
+            mobilityAids: ['jetpack'],
+            transferNeeds: { assistance: 'carried', notes: '' },
+        }));
+
+        expect(Object.keys(errors).sort()).toEqual([
+            'allergies.0.allergen',
+            'allergies.0.severity',
+            'medications.0.name',
+            'mobilityAids',
+            'transferNeeds.assistance',
+        ]);
+    });
+
+    test('needs a seizure action plan only when the kid has seizures', () => {
+        const seizureProtocol = { ...createEmptyMedicalProfile().seizureProtocol, callAmbulanceAfterMinutes: '2.5' };
+        expect(validateMedicalProfile(profileWith({ seizureProtocol })).isValid).toBe(true);
+
+        const { errors } = validateMedicalProfile(profileWith({ seizureProtocol: { ...seizureProtocol, hasSeizures: true } }));
+        expect(Object.keys(errors).sort()).toEqual(['seizureProtocol.actions', 'seizureProtocol.callAmbulanceAfterMinutes']);
+    });
+
+    test('translates messages', () => {
+        const t = (key: string, fallback: string) => `${key}|${fallback}`;
+        const { errors } = validateMedicalProfile(profileWith({ emergencyContacts: [] }), t);
+        expect(errors.emergencyContacts).toMatch(/^medicalProfile\.validation\.contactRequired\|/);
+    });
+});
@@ -0,0 +1,151 @@
+import { describe, test, expect } from 'vitest';
+import {
+    PAYMENT_METHODS,
+    buildEventCharges,
+    calculateAmountDue,
+    cleanPaymentSettings,
+    getFamilyBalances,
+    getFamilyId,
+    isChargeChanged,
+    validatePayment,
+    validatePaymentSettings,
+} from '@/schemas/paymentSchema';
+
+const event = { id: 'event-1', price: 100, currency: 'ILS', siblingDiscountPercent: 20 };
+
+const kid = (id: string, parentIds: string[], name = 'Cohen') => ({ id, parentInfo: { parentIds, name } });
+
+const registration = (kidId: string, minute: number, status = 'registered') => ({
+    id: `event-1_${kidId}`,
+    kidId,
+    status,
+    registeredAt: new Date(2026, 4, 1, 10, minute),
+});
+
+const payment = (overrides = {}) => ({
+    familyId: 'parent-1',
+    amount: 50,
+    method: PAYMENT_METHODS.CASH,
+    receiptNumber: 'R-17',
+    paidOn: '2026-05-02',
+    ...overrides,
+});
+
+describe('event pricing', () => {
+    test('a blank price means a free event with no currency', () => {
+        expect(cleanPaymentSettings({ price: '', currency: 'ILS', siblingDiscountPercent: '' }))
+            .toEqual({ price: null, currency: null, siblingDiscountPercent: 0 });
+        expect(cleanPaymentSettings({ price: '80.5', currency: 'USD', siblingDiscountPercent: '10' }))
+            .toEqual({ price: 80.5, currency: 'USD', siblingDiscountPercent: 10 });
+    });
+
+    test('rejects a negative price and a discount above 100%', () => {
+        const { errors } = validatePaymentSettings({ price: '-5', currency: 'ILS', siblingDiscountPercent: '120' });
+        expect(Object.keys(errors)).toEqual(['price', 'siblingDiscountPercent']);
+    });
+});
+
+describe('calculateAmountDue', () => {
+    test('takes the hardship discount off what is left after the sibling discount', () => {
+        expect(calculateAmountDue(100, { siblingDiscountPercent: 20, hardshipPercent: 50 }))
+            .toEqual({ basePrice: 100, siblingDiscount: 20, hardshipDiscount: 40, amountDue: 40 });
+    });
+
+    test('rounds to whole agorot', () => {
+        expect(calculateAmountDue(99.99, { siblingDiscountPercent: 33 }).amountDue).toBe(66.99);
+    });
+});
+
+describe('getFamilyId', () => {
+    test('uses the first parent account, then the legacy parentId, then the kid', () => {
+        expect(getFamilyId(kid('kid-1', ['parent-1', 'parent-2']))).toBe('parent-1');
+        expect(getFamilyId({ id: 'kid-2', parentInfo: { parentIds: [], parentId: 'parent-3' } })).toBe('parent-3');
+        expect(getFamilyId({ id: 'kid-4', parentInfo: {} })).toBe('kid-kid-4');
+    });
+});
+
+describe('buildEventCharges', () => {
+    const kids = {
+        older: kid('older', ['parent-1']),
+        younger: kid('younger', ['parent-1']),
+        other: kid('other', ['parent-2'], 'Levi'),
+    };
+
+    test('gives the sibling discount to the later registrations of a family', () => {
+        const charges = buildEventCharges(event, [
+            registration('younger', 5),
+            registration('older', 1),
+            registration('other', 2),
+        ], kids);
+
+        expect(charges.map(charge => [charge.kidId, charge.amountDue])).toEqual([
+            ['older', 100],
+            ['other', 100],
+            ['younger', 80],
+        ]);
+    });
+
+    test('skips the waitlist, keeps hardship discounts and zeroes cancelled registrations', () => {
+        const existing = [
+            { id: 'event-1_other', kidId: 'other', familyId: 'parent-2', hardshipPercent: 50, amountDue: 50 },
+            { id: 'event-1_older', kidId: 'older', familyId: 'parent-1', hardshipPercent: 0, amountDue: 100 },
+        ];
+        const charges = buildEventCharges(event, [
+            registration('other', 1),
+            registration('older', 2, 'cancelled'),
+            registration('younger', 3, 'waitlisted'),
+        ], kids, existing);
+
+        expect(charges.find(charge => charge.kidId === 'other')).toMatchObject({ hardshipPercent: 50, amountDue: 50 });
+        expect(charges.find(charge => charge.kidId === 'older')).toMatchObject({ amountDue: 0 });
+        expect(charges.some(charge => charge.kidId === 'younger')).toBe(false);
+    });
+
+    test('flags only the charges that moved', () => {
+        const [charge] = buildEventCharges(event, [registration('other', 1)], kids);
+        expect(isChargeChanged(charge, undefined)).toBe(true);
+        expect(isChargeChanged(charge, { ...charge, updatedAt: new Date() })).toBe(false);
+        expect(isChargeChanged(charge, { ...charge, amountDue: 90 })).toBe(true);
+    });
+});
+
+describe('validatePayment', () => {
+    test('needs a receipt number for cash, bank transfers and Bit', () => {
+        expect(validatePayment(payment()).isValid).toBe(true);
+        expect(validatePayment(payment({ method: PAYMENT_METHODS.BIT, receiptNumber: ' ' })).errors.receiptNumber)
+            .toBe('Enter the receipt number');
+        expect(validatePayment(payment({ method: PAYMENT_METHODS.ONLINE, receiptNumber: '' })).isValid).toBe(true);
+    });
+
+    test('needs a family, a positive amount and a date', () => {
+        expect(Object.keys(validatePayment(payment({ familyId: '', amount: 0, paidOn: '' })).errors))
+            .toEqual(['familyId', 'amount', 'paidOn']);
+    });
+});
+
+describe('getFamilyBalances', () => {
+    test('subtracts the payments that were not voided, largest balance first', () => {
+        const charges = [
+            { kidId: 'older', familyId: 'parent-1', familyName: 'Cohen', currency: 'ILS', amountDue: 100 },
+            { kidId: 'younger', familyId: 'parent-1', familyName: 'Cohen', currency: 'ILS', amountDue: 80 },
+            { kidId: 'other', familyId: 'parent-2', familyName: 'Levi', currency: 'ILS', amountDue: 100 },
+        ];
+        const payments = [
+            { familyId: 'parent-1', currency: 'ILS', amount: 150 },
+            { familyId: 'parent-2', currency: 'ILS', amount: 100, voided: true },
+        ];
+
+        expect(getFamilyBalances(charges, payments)).toEqual([
+            { familyId: 'parent-2', familyName: 'Levi', currency: 'ILS', kidIds: ['other'], due: 100, paid: 0, balance: 100 },
+            { familyId: 'parent-1', familyName: 'Cohen', currency: 'ILS', kidIds: ['older', 'younger'], due: 180, paid: 150, balance: 30 },
+        ]);
+    });
+
+    test('keeps currencies apart', () => {
+        const balances = getFamilyBalances(
+            [{ kidId: 'older', familyId: 'parent-1', currency: 'ILS', amountDue: 100 }],
+            [{ familyId: 'parent-1', currency: 'USD', amount: 20 }]
+        );
+        expect(balances.map(balance => [balance.currency, balance.balance])).toEqual([['ILS', 100], ['USD', -20]]);
+    });
+});
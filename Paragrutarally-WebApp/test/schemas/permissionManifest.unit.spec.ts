@@ -0,0 +1,159 @@
+import { describe, test, expect } from 'vitest';
+import { readFileSync, readdirSync, statSync } from 'node:fs';
+import { resolve, join } from 'node:path';
+import {
+    PERMISSION_MANIFEST,
+    PERMISSION_COLLECTIONS,
+    FIELD_ALIASES,
+    canRoleViewField,
+    canRoleEditField,
+    pathCovers,
+    resolveFieldPath,
+} from '@/schemas/permissionManifest';
+import { ALL_USER_ROLES } from '@/schemas/userSchema';
+import { createEmptyKid } from '@/schemas/kidSchema';
+import { vehicleSchema } from '@/schemas/vehicleSchema';
+import { createEmptyMedicalProfile } from '@/schemas/medicalProfileSchema';
+import {
+    RULES_PATH,
+    applyPermissionRules,
+    buildPermissionRules,
+    ruleFunctionName,
+} from '../../scripts/generate-permission-rules.mjs';
+
+const SRC_DIR = resolve(__dirname, '../../src');
+
+const hasPath = (obj: Record<string, unknown>, path: string) => {
+    let current: unknown = obj;
+    for (const key of path.split('.')) {
+        if (!current || typeof current !== 'object' || !(key in current)) return false;
+        current = (current as Record<string, unknown>)[key];
+    }
+    return true;
+};
+
+const listSourceFiles = (dir: string): string[] =>
+    readdirSync(dir).flatMap((name) => {
+        const fullPath = join(dir, name);
+        if (statSync(fullPath).isDirectory()) return listSourceFiles(fullPath);
+        return /\.jsx?$/.test(name) ? [fullPath] : [];
+    });
+
+const manifestEntries = Object.entries(PERMISSION_MANIFEST).flatMap(([role, collections]) =>
+    Object.entries(collections).map(([collection, entry]) => ({ role, collection, entry }))
+);
+
+describe('permission manifest', () => {
+    test('covers every user role for every collection', () => {
+        for (const role of ALL_USER_ROLES) {
+            expect(Object.keys(PERMISSION_MANIFEST[role] || {}).sort()).toEqual(
+                Object.keys(PERMISSION_COLLECTIONS).sort()
+            );
+        }
+    });
+
+    test('only lists fields that exist on the kid, vehicle and medical profile schemas', () => {
+        const emptyKid = createEmptyKid();
+        PERMISSION_COLLECTIONS.kids.forEach((path) => expect(hasPath(emptyKid, path), path).toBe(true));
+        const emptyProfile = createEmptyMedicalProfile();
+        PERMISSION_COLLECTIONS.kidMedicalProfiles.forEach((path) => expect(hasPath(emptyProfile, path), path).toBe(true));
+        PERMISSION_COLLECTIONS.vehicles.forEach((path) =>
+            expect(path in vehicleSchema.shape, path).toBe(true)
+        );
+
+        manifestEntries.forEach(({ role, collection, entry }) => {
+            [...entry.view, ...entry.edit].forEach((path) => {
+                const known = PERMISSION_COLLECTIONS[collection].some((field) => pathCovers(field, path));
+                expect(known, `${role}.${collection}: ${path}`).toBe(true);
+            });
+        });
+    });
+
+    test('only lets roles edit fields they can view', () => {
+        manifestEntries.forEach(({ role, collection, entry }) => {
+            entry.edit.forEach((path) => {
+                expect(canRoleViewField(role, path, collection), `${role}.${collection}: ${path}`).toBe(true);
+            });
+        });
+    });
+
+    test('maps every alias to a known field', () => {
+        Object.entries(FIELD_ALIASES).forEach(([alias, path]) => {
+            expect(PERMISSION_COLLECTIONS.kids.some((field) => pathCovers(field, path)), alias).toBe(true);
+        });
+    });
+
+    test('resolves field paths used by the UI', () => {
+        const fieldUsage = /(?:getFieldValue|canViewField|canEditField)\((?:kid, )?'([\w.]+)'|fieldPath="([\w.]+)"/g;
+
+        listSourceFiles(SRC_DIR).forEach((file) => {
+            for (const match of readFileSync(file, 'utf8').matchAll(fieldUsage)) {
+                const { collection, path } = resolveFieldPath(match[1] || match[2]);
+                const known = PERMISSION_COLLECTIONS[collection].some((field) => pathCovers(field, path));
+                expect(known, `${file}: ${match[0]}`).toBe(true);
+            }
+        });
+    });
+
+    test('grants nested fields through their parent path', () => {
+        expect(canRoleViewField('parent', 'parentInfo.grandparentsInfo.phone')).toBe(true);
+        expect(canRoleEditField('parent', 'parentInfo.grandparentsInfo.names')).toBe(true);
+        expect(canRoleViewField('parent', 'parentInfo')).toBe(false);
+    });
+
+    test('resolves legacy aliases and vehicle fields', () => {
+        expect(canRoleViewField('instructor', 'vehicleIds')).toBe(true);
+        expect(canRoleEditField('parent', 'notes')).toBe(true);
+        expect(canRoleViewField('parent', 'vehicle.licensePlate')).toBe(true);
+        expect(canRoleViewField('host', 'vehicle.licensePlate')).toBe(false);
+    });
+
+    test('keeps medical profiles from parents and hosts', () => {
+        expect(canRoleViewField('admin', 'seizureProtocol.actions', 'kidMedicalProfiles')).toBe(true);
+        expect(canRoleViewField('instructor', 'emergencyContacts', 'kidMedicalProfiles')).toBe(true);
+        expect(canRoleEditField('instructor', 'emergencyContacts', 'kidMedicalProfiles')).toBe(false);
+        expect(canRoleViewField('parent', 'allergies', 'kidMedicalProfiles')).toBe(false);
+        expect(canRoleViewField('host', 'allergies', 'kidMedicalProfiles')).toBe(false);
+        expect(canRoleViewField('staff', 'allergies', 'kidMedicalProfiles')).toBe(false);
+    });
+
+    test('gives unknown roles the host view', () => {
+        expect(canRoleViewField('staff', 'participantNumber')).toBe(true);
+        expect(canRoleViewField('staff', 'parentInfo.email')).toBe(false);
+        expect(canRoleViewField('host', undefined as unknown as string)).toBe(false);
+    });
+});
+
+describe('generated Firestore rules', () => {
+    const rules = readFileSync(RULES_PATH, 'utf8');
+
+    test('match the manifest (run `npm run rules:permissions`)', () => {
+        expect(applyPermissionRules(rules, buildPermissionRules())).toBe(rules);
+    });
+
+    test('are used by the rules for every enforced entry', () => {
+        manifestEntries
+            .filter(({ entry }) => entry.enforceInRules)
+            .forEach(({ role, collection }) => {
+                const name = ruleFunctionName(role, collection);
+                expect(rules.split(`${name}()`).length, name).toBeGreaterThan(2);
+            });
+    });
+
+    test('only accept changes to the edit paths', () => {
+        const section = buildPermissionRules({
+            parent: {
+                kids: { view: [], edit: ['comments.parent', 'parentInfo.grandparentsInfo', 'teamId'], enforceInRules: true },
+            },
+        });
+
+        expect(section).toContain('function parentKidsUpdateWithinManifest()');
+        expect(section).toContain(
+            "onlyChangedWithin(resource.data, request.resource.data, ['comments', 'parentInfo', 'teamId'])"
+        );
+        expect(section).toContain(
+            "onlyChangedWithin(resource.data.get('parentInfo', {}), request.resource.data.get('parentInfo', {}), ['grandparentsInfo'])"
+        );
+        expect(section).not.toContain("get('grandparentsInfo', {})");
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, test, expect } from 'vitest';
+import {
+    POINTS_BY_POSITION,
+    PARTICIPATION_POINTS,
+    buildLapLeaderboard,
+    buildSeasonStandings,
+    cleanRaceResult,
+    createEmptyRaceResult,
+    formatLapTime,
+    getResultPoints,
+    groupResultsByHeat,
+    parseLapTime,
+    validateRaceResult,
+} from '@/schemas/raceResultSchema';
+
+const result = (kidId: string, overrides = {}) => ({ ...createEmptyRaceResult(), kidId, ...overrides });
+
+describe('lap times', () => {
+    test('parseLapTime reads seconds and minutes:seconds as typed at the track', () => {
+        expect(parseLapTime('65.3')).toBe(65.3);
+        expect(parseLapTime('1:05.3')).toBe(65.3);
+        expect(parseLapTime(' 42,5 ')).toBe(42.5);
+        expect(parseLapTime('1:75')).toBeNull();
+        expect(parseLapTime('0')).toBeNull();
+        expect(parseLapTime('fast')).toBeNull();
+    });
+
+    test('formatLapTime shows minutes only from a minute up', () => {
+        expect(formatLapTime(42.46)).toBe('42.5');
+        expect(formatLapTime(65.3)).toBe('1:05.3');
+        expect(formatLapTime(null)).toBe('—');
+    });
+});
+
+describe('validateRaceResult and cleanRaceResult', () => {
+    test('accepts an empty result and rejects bad positions, laps and awards', () => {
+        expect(validateRaceResult(createEmptyRaceResult()).isValid).toBe(true);
+        const { errors } = validateRaceResult(result('k1', { finishPosition: 0, heatNumber: 1.5, lapTimes: [-1], awards: [' '] }));
+        expect(Object.keys(errors).sort()).toEqual(['awards', 'finishPosition', 'heatNumber', 'lapTimes']);
+    });
+
+    test('drops the position of a DNF and trims duplicate awards', () => {
+        expect(cleanRaceResult({ finishPosition: '2', heatNumber: '3', didNotFinish: true, awards: ['Team Spirit ', 'Team Spirit'] }))
+            .toEqual({ heatNumber: 3, finishPosition: null, lapTimes: [], didNotFinish: true, awards: ['Team Spirit'], notes: '' });
+    });
+});
+
+describe('leaderboards', () => {
+    test('buildLapLeaderboard ranks best laps and leaves out kids without one', () => {
+        const board = buildLapLeaderboard([
+            result('k1', { lapTimes: [70, 66] }),
+            result('k2', { lapTimes: [64] }),
+            result('k3'),
+        ]);
+        expect(board.map(({ kidId, bestLap }) => [kidId, bestLap])).toEqual([['k2', 64], ['k1', 66]]);
+    });
+
+    test('groupResultsByHeat orders heats and puts DNFs last', () => {
+        const heats = groupResultsByHeat([
+            result('k1', { heatNumber: 2, finishPosition: 1 }),
+            result('k2', { heatNumber: 1, didNotFinish: true }),
+            result('k3', { heatNumber: 1, finishPosition: 1 }),
+            result('k4'),
+        ]);
+        expect(heats.map(({ heatNumber, results }) => [heatNumber, results.map(r => r.kidId)])).toEqual([
+            [1, ['k3', 'k2']],
+            [2, ['k1']],
+            [null, ['k4']],
+        ]);
+    });
+});
+
+describe('buildSeasonStandings', () => {
+    test('adds up points, wins, podiums, best lap and awards across races', () => {
+        expect(getResultPoints(result('k1', { finishPosition: 1 }))).toBe(POINTS_BY_POSITION[0]);
+        expect(getResultPoints(result('k1', { finishPosition: 20 }))).toBe(PARTICIPATION_POINTS);
+
+        const standings = buildSeasonStandings([
+            result('k1', { eventId: 'e1', finishPosition: 1, lapTimes: [62] }),
+            result('k2', { eventId: 'e1', finishPosition: 2, awards: ['Best Smile'] }),
+            result('k1', { eventId: 'e2', didNotFinish: true, lapTimes: [60] }),
+            result('k2', { eventId: 'e2', finishPosition: 1 }),
+        ]);
+        expect(standings).toEqual([
+            { kidId: 'k2', races: 2, points: 18, wins: 1, podiums: 2, bestLap: null, awards: ['Best Smile'] },
+            { kidId: 'k1', races: 2, points: 11, wins: 1, podiums: 1, bestLap: 60, awards: [] },
+        ]);
+    });
+});
@@ -0,0 +1,78 @@
+import { describe, test, expect } from 'vitest';
+import {
+    ALL_SEASONS,
+    filterBySeason,
+    getActiveSeason,
+    getEnrollmentStatus,
+    getRecordSeasonIds,
+    isInSeason,
+    sortSeasons,
+    validateSeason,
+} from '@/schemas/seasonSchema';
+
+const validSeason = {
+    name: '2025-2026',
+    startDate: '2025-09-01',
+    endDate: '2026-06-30',
+    participantNumberPrefix: '',
+};
+
+describe('validateSeason', () => {
+    test('accepts a complete season', () => {
+        expect(validateSeason(validSeason).isValid).toBe(true);
+    });
+
+    test('requires a name and dates in order', () => {
+        const { isValid, errors } = validateSeason({ ...validSeason, name: ' ', endDate: '2025-08-01' });
+        expect(isValid).toBe(false);
+        expect(errors.name).toBeDefined();
+        expect(errors.endDate).toBeDefined();
+    });
+
+    test('checks the race number prefix like the numbering settings do', () => {
+        const { errors } = validateSeason({ ...validSeason, participantNumberPrefix: 'S 25/' });
+        expect(errors.participantNumberPrefix).toBeDefined();
+        expect(validateSeason({ ...validSeason, participantNumberPrefix: 'S25-' }).isValid).toBe(true);
+    });
+});
+
+describe('season membership', () => {
+    const kids = [
+        { id: 'a', seasonIds: ['s1', 's2'] },
+        { id: 'b', seasonIds: ['s2'] },
+        { id: 'legacy' },
+    ];
+
+    test('reads seasonIds for kids and teams and seasonId for events and forms', () => {
+        expect(getRecordSeasonIds(kids[0], 'kids')).toEqual(['s1', 's2']);
+        expect(getRecordSeasonIds({ seasonId: 's1' }, 'events')).toEqual(['s1']);
+        expect(getRecordSeasonIds({}, 'forms')).toEqual([]);
+    });
+
+    test('keeps every record for all seasons, including records without a season', () => {
+        expect(filterBySeason(kids, ALL_SEASONS, 'kids')).toHaveLength(3);
+        expect(filterBySeason(kids, 's1', 'kids').map(kid => kid.id)).toEqual(['a']);
+        expect(isInSeason({ seasonId: 's1' }, 's2', 'events')).toBe(false);
+    });
+});
+
+describe('getEnrollmentStatus', () => {
+    test('prefers the recorded answer and falls back to seasonIds', () => {
+        expect(getEnrollmentStatus({ seasonEnrollments: { s2: { status: 'invited' } } }, 's2')).toBe('invited');
+        expect(getEnrollmentStatus({ seasonIds: ['s1'] }, 's1')).toBe('enrolled');
+        expect(getEnrollmentStatus({ seasonIds: ['s1'] }, 's2')).toBeNull();
+    });
+});
+
+describe('season ordering', () => {
+    test('sorts newest first and finds the active season', () => {
+        const seasons = [
+            { id: 'old', startDate: '2024-09-01', status: 'archived' },
+            { id: 'next', startDate: '2026-09-01', status: 'planning' },
+            { id: 'now', startDate: '2025-09-01', status: 'active' },
+        ];
+        expect(sortSeasons(seasons).map(season => season.id)).toEqual(['next', 'now', 'old']);
+        expect(getActiveSeason(seasons)?.id).toBe('now');
+        expect(getActiveSeason([])).toBeNull();
+    });
+});
@@ -0,0 +1,99 @@
+import { describe, test, expect } from 'vitest';
+import {
+    buildShirtReport,
+    cleanShirtsHandedOut,
+    validateShirtsHandedOut,
+} from '@/schemas/shirtSchema';
+
+const kid = (id: string, firstName: string, teamId?: string) => ({
+    id,
+    teamId,
+    personalInfo: { firstName, lastName: 'Cohen' },
+});
+
+const kidsById = {
+    k1: kid('k1', 'Noa', 'red'),
+    k2: kid('k2', 'Ido', 'blue'),
+    k3: kid('k3', 'Tal'),
+};
+
+const teamsById = {
+    red: { id: 'red', name: 'Red' },
+    blue: { id: 'blue', name: 'Blue' },
+};
+
+const submission = (id: string, overrides = {}) => ({
+    id,
+    submitterName: id,
+    confirmationStatus: 'attending',
+    kidIds: [],
+    shirts: [],
+    extraShirts: [],
+    ...overrides,
+});
+
+describe('buildShirtReport', () => {
+    const submissions = [
+        submission('Levi', { kidIds: ['k1', 'k2'], shirts: ['M', '8'], extraShirts: ['XL'] }),
+        submission('Amar', { kidIds: ['k3'], shirts: ['8', ''] }),
+        submission('Peretz', { kidIds: ['k1'], shirts: ['L'], confirmationStatus: 'not attending' }),
+        submission('Dahan', { kidIds: ['k2'] }),
+    ];
+
+    test('counts kids and extra shirts per size in size order', () => {
+        const report = buildShirtReport(submissions, kidsById, teamsById);
+        expect(report.sizes.map(row => [row.size, row.kids, row.extra, row.total])).toEqual([
+            ['8', 2, 0, 2],
+            ['M', 1, 0, 1],
+            ['XL', 0, 1, 1],
+        ]);
+        expect(report.totals).toMatchObject({ kids: 3, extra: 1, total: 4, toOrder: 4 });
+    });
+
+    test('puts shirts with the teams of the kids in order and extras with the first kid', () => {
+        const report = buildShirtReport(submissions, kidsById, teamsById);
+        expect(report.teams).toEqual([
+            { teamId: 'blue', teamName: 'Blue', counts: { 8: 1 }, total: 1 },
+            { teamId: 'red', teamName: 'Red', counts: { M: 1, XL: 1 }, total: 2 },
+            { teamId: '', teamName: '', counts: { 8: 1 }, total: 1 },
+        ]);
+    });
+
+    test('lists only attending families with shirts for the checklist', () => {
+        const report = buildShirtReport(submissions, kidsById, teamsById);
+        expect(report.families.map(family => family.familyName)).toEqual(['Amar', 'Levi']);
+        expect(report.families[1]).toMatchObject({
+            kidNames: ['Noa Cohen', 'Ido Cohen'],
+            teamNames: ['Red', 'Blue'],
+            shirts: ['8', 'M'],
+            extraShirts: ['XL'],
+        });
+    });
+
+    test('leaves shirts handed out earlier out of the order', () => {
+        const report = buildShirtReport(submissions, kidsById, teamsById, { 8: 3, M: 1, S: 2 });
+        expect(report.sizes.map(row => [row.size, row.handedOut, row.toOrder])).toEqual([
+            ['8', 3, 0],
+            ['S', 2, 0],
+            ['M', 1, 0],
+            ['XL', 0, 1],
+        ]);
+        expect(report.totals.toOrder).toBe(1);
+    });
+});
+
+describe('shirts handed out', () => {
+    test('accept empty and whole counts', () => {
+        expect(validateShirtsHandedOut({ 8: '', M: '3', L: 0 }).isValid).toBe(true);
+    });
+
+    test('reject negative and fractional counts', () => {
+        const result = validateShirtsHandedOut({ 8: '-1', M: '1.5' });
+        expect(result.isValid).toBe(false);
+        expect(Object.keys(result.errors)).toEqual(['8', 'M']);
+    });
+
+    test('are stored as numbers without empty sizes', () => {
+        expect(cleanShirtsHandedOut({ 8: '2', M: '', L: '0' })).toEqual({ 8: 2 });
+    });
+});
@@ -0,0 +1,86 @@
+import { describe, test, expect } from 'vitest';
+import {
+    cleanVenue,
+    createEmptyVenue,
+    getEventVenueFields,
+    splitVenueEvents,
+    validateVenue,
+} from '@/schemas/venueSchema';
+
+const venue = (overrides = {}) => ({
+    ...createEmptyVenue(),
+    name: 'Racing Park',
+    address: '1 Track Road, Jerusalem',
+    ...overrides,
+});
+
+describe('validateVenue', () => {
+    test('accepts a venue with a name and an address', () => {
+        expect(validateVenue(venue()).isValid).toBe(true);
+    });
+
+    test('requires a name and an address', () => {
+        const result = validateVenue(createEmptyVenue());
+        expect(Object.keys(result.errors)).toEqual(['name', 'address']);
+    });
+
+    test('rejects a capacity that is not a whole number above 0', () => {
+        expect(validateVenue(venue({ capacity: '0' })).errors.capacity).toBeDefined();
+        expect(validateVenue(venue({ capacity: '12.5' })).errors.capacity).toBeDefined();
+        expect(validateVenue(venue({ capacity: '40' })).isValid).toBe(true);
+    });
+
+    test('checks the facilities and the contact details', () => {
+        const result = validateVenue(venue({
+            facilities: ['toilets', 'pool'],
+            contact: { name: 'Dana', phone: 'call me', email: 'dana@' },
+        }));
+        expect(Object.keys(result.errors)).toEqual(['facilities', 'contactPhone', 'contactEmail']);
+    });
+});
+
+describe('cleanVenue', () => {
+    test('trims the text, orders the facilities and stores the capacity as a number', () => {
+        const cleaned = cleanVenue(venue({
+            name: ' Racing Park ',
+            facilities: ['shade', 'toilets'],
+            capacity: '40',
+            contact: { name: ' Dana ', phone: '050-1234567', email: '' },
+        }));
+        expect(cleaned).toMatchObject({
+            name: 'Racing Park',
+            facilities: ['toilets', 'shade'],
+            capacity: 40,
+            contact: { name: 'Dana', phone: '050-1234567', email: '' },
+        });
+        expect(cleanVenue(venue()).capacity).toBeNull();
+    });
+});
+
+describe('getEventVenueFields', () => {
+    test('copies the venue name and address onto the event', () => {
+        expect(getEventVenueFields({ id: 'park', name: 'Racing Park', address: 'Jerusalem' })).toEqual({
+            venueId: 'park',
+            location: 'Racing Park',
+            address: 'Jerusalem',
+        });
+    });
+
+    test('leaves a typed-in location alone', () => {
+        expect(getEventVenueFields(null)).toEqual({ venueId: null });
+    });
+});
+
+describe('splitVenueEvents', () => {
+    test('lists upcoming events soonest first and past events latest first', () => {
+        const events = [
+            { id: 'old', date: '2026-03-01', time: '10:00' },
+            { id: 'next', date: '2026-11-01', time: '10:00' },
+            { id: 'recent', date: '2026-09-01', time: '10:00' },
+            { id: 'later', date: '2027-01-01', time: '10:00' },
+        ];
+        const { upcoming, past } = splitVenueEvents(events, new Date('2026-10-19T12:00:00.000Z'));
+        expect(upcoming.map(event => event.id)).toEqual(['next', 'later']);
+        expect(past.map(event => event.id)).toEqual(['recent', 'old']);
+    });
+});
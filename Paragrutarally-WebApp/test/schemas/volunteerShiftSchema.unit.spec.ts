@@ -0,0 +1,102 @@
+import { describe, test, expect } from 'vitest';
+import {
+    MAX_SHIFT_SLOTS,
+    VOLUNTEER_ROLES,
+    getShiftCoverage,
+    isVolunteeringOpen,
+    shiftsOverlap,
+    sortShifts,
+    validateShift,
+} from '@/schemas/volunteerShiftSchema';
+import { canVolunteer } from '@/schemas/userSchema';
+
+const shift = (overrides = {}) => ({
+    id: 'shift-1',
+    eventId: 'event-1',
+    role: VOLUNTEER_ROLES.TRACK_MARSHAL,
+    title: '',
+    startTime: '09:00',
+    endTime: '11:00',
+    slots: 2,
+    volunteerIds: [],
+    ...overrides,
+});
+
+describe('validateShift', () => {
+    test('accepts a complete shift', () => {
+        expect(validateShift(shift()).isValid).toBe(true);
+    });
+
+    test('requires a known role and both times, ending after the start', () => {
+        expect(Object.keys(validateShift(shift({ role: 'dj', startTime: '', endTime: '25:00' })).errors))
+            .toEqual(['role', 'startTime', 'endTime']);
+        expect(validateShift(shift({ endTime: '09:00' })).errors.endTime).toBe('The shift must end after it starts');
+    });
+
+    test('keeps slots within range and above the volunteers already signed up', () => {
+        expect(validateShift(shift({ slots: 0 })).errors.slots).toBeDefined();
+        expect(validateShift(shift({ slots: MAX_SHIFT_SLOTS + 1 })).errors.slots).toBeDefined();
+        expect(validateShift(shift({ slots: '1.5' })).errors.slots).toBeDefined();
+        expect(validateShift(shift({ slots: 1, volunteerIds: ['a', 'b'] })).errors.slots)
+            .toBe('More volunteers have already signed up');
+    });
+});
+
+describe('getShiftCoverage', () => {
+    test('sums filled and open slots and lists the shifts with gaps', () => {
+        const full = shift({ id: 'full', slots: 1, volunteerIds: ['a'] });
+        const half = shift({ id: 'half', slots: 3, volunteerIds: ['b'] });
+
+        const coverage = getShiftCoverage([full, half]);
+
+        expect(coverage).toMatchObject({ slots: 4, filled: 2, open: 2 });
+        expect(coverage.gaps.map(item => item.id)).toEqual(['half']);
+    });
+
+    test('is empty without shifts', () => {
+        expect(getShiftCoverage([])).toEqual({ slots: 0, filled: 0, open: 0, gaps: [] });
+    });
+});
+
+describe('shift times', () => {
+    test('overlap only within the same event', () => {
+        const morning = shift();
+        expect(shiftsOverlap(morning, shift({ startTime: '10:30', endTime: '12:00' }))).toBe(true);
+        expect(shiftsOverlap(morning, shift({ startTime: '11:00', endTime: '12:00' }))).toBe(false);
+        expect(shiftsOverlap(morning, shift({ eventId: 'event-2' }))).toBe(false);
+    });
+
+    test('sort by start, then end', () => {
+        const sorted = sortShifts([
+            shift({ id: 'late', startTime: '13:00', endTime: '14:00' }),
+            shift({ id: 'long', startTime: '09:00', endTime: '12:00' }),
+            shift({ id: 'short', startTime: '09:00', endTime: '10:00' }),
+        ]);
+        expect(sorted.map(item => item.id)).toEqual(['short', 'long', 'late']);
+    });
+});
+
+describe('isVolunteeringOpen', () => {
+    const now = new Date(2026, 5, 15, 18, 0);
+
+    test('stays open through the day of the event', () => {
+        expect(isVolunteeringOpen({ date: '2026-06-15', status: 'upcoming' }, now)).toBe(true);
+        expect(isVolunteeringOpen({ date: '2026-06-14', status: 'upcoming' }, now)).toBe(false);
+        expect(isVolunteeringOpen({ date: '', status: 'upcoming' }, now)).toBe(true);
+    });
+
+    test('closes for cancelled and completed events', () => {
+        expect(isVolunteeringOpen({ date: '2026-07-01', status: 'cancelled' }, now)).toBe(false);
+        expect(isVolunteeringOpen({ date: '2026-07-01', status: 'completed' }, now)).toBe(false);
+    });
+});
+
+describe('canVolunteer', () => {
+    test('lets parents, admins and flagged users volunteer', () => {
+        expect(canVolunteer({ role: 'parent' })).toBe(true);
+        expect(canVolunteer({ role: 'admin' })).toBe(true);
+        expect(canVolunteer({ role: 'host', isVolunteer: true })).toBe(true);
+        expect(canVolunteer({ role: 'host' })).toBe(false);
+        expect(canVolunteer(null)).toBe(false);
+    });
+});
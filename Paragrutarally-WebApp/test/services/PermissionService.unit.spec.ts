@@ -108,4 +108,55 @@ describe('PermissionService', () => {
             expect(permissionService.canEditField('personalInfo.photo', { kidData: kid })).toBe(false);
         });
     });
+
+    describe('roles', () => {
+        const kid = {
+            parentInfo: {
+                parentIds: ['someone-else']
+            }
+        };
+
+        test('host gets the read-only guest view', () => {
+            const hostService = new PermissionService(mockUser, { role: 'host' });
+            expect(hostService.userRole).toBe('host');
+            expect(hostService.canViewKid(kid)).toBe(true);
+            expect(hostService.canViewField('participantNumber', { kidData: kid })).toBe(true);
+            expect(hostService.canViewField('parentInfo.email', { kidData: kid })).toBe(false);
+            expect(hostService.canEditField('comments.organization', { kidData: kid })).toBe(true);
+            expect(hostService.canCreate).toBe(false);
+        });
+
+        test('legacy guest role is treated as host', () => {
+            const guestService = new PermissionService(mockUser, { role: 'guest' });
+            expect(guestService.userRole).toBe('host');
+        });
+
+        test('only admins and instructors of the kid team see the medical profile', () => {
+            const teamKid = { teamId: 'team1', instructorId: 'instructor-doc' };
+            const team = { id: 'team1', instructorIds: ['user-123'] };
+            const otherTeam = { id: 'team2', instructorIds: ['user-123'] };
+
+            const admin = new PermissionService(mockUser, { role: 'admin' });
+            expect(admin.canViewMedicalProfile(teamKid, null)).toBe(true);
+            expect(admin.canEditMedicalProfile(teamKid, null)).toBe(true);
+
+            const instructor = new PermissionService(mockUser, { role: 'instructor' });
+            expect(instructor.canViewMedicalProfile(teamKid, team)).toBe(true);
+            expect(instructor.canViewMedicalProfile(teamKid, otherTeam)).toBe(false);
+            expect(instructor.canViewMedicalProfile({ teamId: '' }, team)).toBe(false);
+            expect(instructor.canEditMedicalProfile(teamKid, team)).toBe(false);
+
+            const otherInstructor = new PermissionService({ ...mockUser, uid: 'other' }, { role: 'instructor' });
+            expect(otherInstructor.canViewMedicalProfile(teamKid, team)).toBe(false);
+
+            expect(new PermissionService(mockUser, { role: 'host' }).canViewMedicalProfile(teamKid, team)).toBe(false);
+            expect(permissionService.canViewMedicalProfile({ ...teamKid, parentInfo: { parentIds: ['user-123'] } }, team)).toBe(false);
+        });
+
+        test('unknown or missing role falls back to the guest view', () => {
+            expect(new PermissionService(mockUser, { role: 'staff' }).userRole).toBe('guest');
+            expect(new PermissionService(mockUser, null).userRole).toBe('guest');
+            expect(new PermissionService(mockUser, null).canViewKid(kid)).toBe(true);
+        });
+    });
 });
@@ -0,0 +1,26 @@
+import { describe, test, expect } from 'vitest';
+import { PAYMENT_STATUS, createFakePaymentProvider, getPaymentProvider } from '@/services/paymentProviders';
+
+describe('payment providers', () => {
+    test('the fake provider takes charges and keeps them', async () => {
+        const provider = createFakePaymentProvider();
+
+        const result = await provider.charge({ amount: 80, currency: 'ILS', reference: 'event-1/parent-1' });
+
+        expect(result).toMatchObject({ providerRef: 'fake-1', status: PAYMENT_STATUS.SUCCEEDED });
+        expect(provider.charges).toHaveLength(1);
+        expect(provider.charges[0]).toMatchObject({ amount: 80, currency: 'ILS', reference: 'event-1/parent-1' });
+    });
+
+    test('the fake provider can decline large charges', async () => {
+        const provider = createFakePaymentProvider({ declineAbove: 100 });
+
+        expect((await provider.charge({ amount: 150, currency: 'ILS' })).status).toBe(PAYMENT_STATUS.DECLINED);
+        expect((await provider.charge({ amount: 100, currency: 'ILS' })).status).toBe(PAYMENT_STATUS.SUCCEEDED);
+    });
+
+    test('without a configured provider, payments are recorded by hand', () => {
+        expect(getPaymentProvider('')).toBeNull();
+        expect(getPaymentProvider('fake')?.name).toBe('fake');
+    });
+});
@@ -0,0 +1,53 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+import { rolloverSeason } from '@/services/seasonService';
+
+const mockGetDocs = vi.fn();
+const mockBatchUpdate = vi.fn();
+
+vi.mock('firebase/firestore', () => ({
+    addDoc: vi.fn(),
+    arrayRemove: vi.fn(),
+    arrayUnion: (...values: unknown[]) => ({ arrayUnion: values }),
+    collection: vi.fn(),
+    doc: vi.fn(),
+    getDocs: (...args: unknown[]) => mockGetDocs(...args),
+    limit: vi.fn(),
+    query: vi.fn(),
+    serverTimestamp: () => 'now',
+    updateDoc: vi.fn(),
+    where: vi.fn(),
+    writeBatch: () => ({ update: mockBatchUpdate, commit: vi.fn().mockResolvedValue(undefined) })
+}));
+
+vi.mock('@/firebase/config', () => ({
+    db: {},
+}));
+
+vi.mock('@/services/participantNumberService', () => ({
+    getNumberingConfig: vi.fn(),
+    saveNumberingConfig: vi.fn(),
+}));
+
+const kidDoc = (id: string, data: object) => ({ id, ref: { id }, data: () => data });
+
+describe('rolloverSeason', () => {
+    beforeEach(() => {
+        mockGetDocs.mockReset();
+        mockBatchUpdate.mockReset();
+    });
+
+    test('invites last season\'s kids but not archived ones', async () => {
+        mockGetDocs.mockResolvedValueOnce({
+            docs: [
+                kidDoc('kid-1', { seasonIds: ['season-1'] }),
+                kidDoc('kid-2', { seasonIds: ['season-1'], archived: true }),
+                kidDoc('kid-3', { seasonIds: ['season-1'], archived: false })
+            ]
+        });
+
+        const result = await rolloverSeason('season-1', 'season-2', { includeTeams: false });
+
+        expect(result).toEqual({ teams: 0, invitedKids: 2 });
+        expect(mockBatchUpdate.mock.calls.map(([ref]) => ref.id)).toEqual(['kid-1', 'kid-3']);
+    });
+});
@@ -1,5 +1,5 @@
 import { describe, test, expect, vi, beforeEach } from 'vitest';
-import { render, screen, within } from '@testing-library/react';
+import { render, screen, within, waitFor } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import UsersTable from '@/components/tables/UsersTable';
 
@@ -11,14 +11,16 @@ vi.mock('@/contexts/LanguageContext', () => ({
   })),
 }));
 
-// Mock deleteUserCompletely from userService
+// Mock deleteUserCompletely and previewUserDeletion from userService
 vi.mock('@/services/userService.js', () => ({
   deleteUserCompletely: vi.fn(),
+  previewUserDeletion: vi.fn(),
 }));
 
-import { deleteUserCompletely } from '@/services/userService.js';
+import { deleteUserCompletely, previewUserDeletion } from '@/services/userService.js';
 
 const mockedDeleteUserCompletely = vi.mocked(deleteUserCompletely);
+const mockedPreviewUserDeletion = vi.mocked(previewUserDeletion);
 
 // Test data
 const mockUsers = [
@@ -65,6 +67,7 @@ describe('UsersTable', () => {
     mockOnUserDeleted = vi.fn();
     mockAlert = vi.fn();
     vi.stubGlobal('alert', mockAlert);
+    mockedPreviewUserDeletion.mockResolvedValue([]);
   });
 
   describe('sorting', () => {
@@ -237,12 +240,13 @@ describe('UsersTable', () => {
       const deleteButtons = screen.getAllByRole('button', { name: /delete/i });
       await user.click(deleteButtons[0]);
 
-      // Click confirm button
+      // Click confirm button once the linked records check has finished
       const confirmButton = screen.getByRole('button', { name: /yes, delete user completely/i });
+      await waitFor(() => expect(confirmButton).toBeEnabled());
       await user.click(confirmButton);
 
-      // Verify deleteUserCompletely was called with correct user ID
-      expect(mockedDeleteUserCompletely).toHaveBeenCalledWith('user-1');
+      // Verify deleteUserCompletely was called with correct user ID and no linked records
+      expect(mockedDeleteUserCompletely).toHaveBeenCalledWith('user-1', {});
 
       // Verify success alert was shown
       expect(mockAlert).toHaveBeenCalledWith(
@@ -276,6 +280,7 @@ describe('UsersTable', () => {
 
       // Click confirm
       const confirmButton = screen.getByRole('button', { name: /yes, delete user completely/i });
+      await waitFor(() => expect(confirmButton).toBeEnabled());
       await user.click(confirmButton);
 
       // Verify error alert was shown
@@ -293,6 +298,130 @@ describe('UsersTable', () => {
     });
   });
 
+  describe('linked records', () => {
+    const instructorReferences = [
+      {
+        key: 'teams/team-1',
+        collection: 'teams',
+        docId: 'team-1',
+        label: 'Red Racers',
+        fields: ['instructorIds', 'teamLeaderId'],
+      },
+      {
+        key: 'form_submissions/sub-1',
+        collection: 'form_submissions',
+        docId: 'sub-1',
+        label: 'form-1',
+        fields: ['submitterId'],
+      },
+    ];
+
+    const usersWithSecondInstructor = [
+      ...mockUsers,
+      {
+        id: 'user-4',
+        displayName: 'Dana Instructor',
+        name: 'Dana Levi',
+        email: 'dana@example.com',
+        phone: '555-000-1111',
+        role: 'instructor',
+        lastLogin: null,
+        createdAt: null,
+      },
+    ];
+
+    test('lists the records that reference the user and defaults to leaving them empty', async () => {
+      const user = userEvent.setup({ pointerEventsCheck: 0 });
+      mockedPreviewUserDeletion.mockResolvedValue(instructorReferences);
+
+      render(
+        <UsersTable
+          users={usersWithSecondInstructor}
+          isLoading={false}
+          onUpdateUser={mockOnUpdateUser}
+          onUserDeleted={mockOnUserDeleted}
+        />
+      );
+
+      const charlieRow = screen.getByText('Charlie Instructor').closest('tr') as HTMLElement;
+      await user.click(within(charlieRow).getByRole('button', { name: /delete/i }));
+
+      const modal = within(screen.getByTestId('delete-user-modal'));
+      expect(await modal.findByText('Red Racers')).toBeInTheDocument();
+      expect(mockedPreviewUserDeletion).toHaveBeenCalledWith('user-3');
+      expect(modal.getAllByRole('combobox', { name: /^action for/i })[0]).toHaveValue('clear');
+    });
+
+    test('reassigning requires a target and sends every decision to the server', async () => {
+      const user = userEvent.setup({ pointerEventsCheck: 0 });
+      mockedPreviewUserDeletion.mockResolvedValue(instructorReferences);
+      mockedDeleteUserCompletely.mockResolvedValue({
+        success: true,
+        summary: { reassign: 1, clear: 0, anonymize: 1 },
+      });
+
+      render(
+        <UsersTable
+          users={usersWithSecondInstructor}
+          isLoading={false}
+          onUpdateUser={mockOnUpdateUser}
+          onUserDeleted={mockOnUserDeleted}
+        />
+      );
+
+      const charlieRow = screen.getByText('Charlie Instructor').closest('tr') as HTMLElement;
+      await user.click(within(charlieRow).getByRole('button', { name: /delete/i }));
+
+      const modal = within(screen.getByTestId('delete-user-modal'));
+      await modal.findByText('Red Racers');
+
+      await user.selectOptions(modal.getAllByRole('combobox', { name: /^action for/i })[0], 'reassign');
+      const confirmButton = modal.getByRole('button', { name: /yes, delete user completely/i });
+      expect(confirmButton).toBeDisabled();
+
+      // Only instructors other than the deleted user are offered for a team
+      const targetSelect = modal.getByRole('combobox', { name: /^reassign .* to$/i });
+      expect(within(targetSelect).queryByText('Charlie Instructor')).not.toBeInTheDocument();
+      expect(within(targetSelect).queryByText('Bob Parent')).not.toBeInTheDocument();
+      await user.selectOptions(targetSelect, 'user-4');
+
+      await user.selectOptions(modal.getAllByRole('combobox', { name: /^action for/i })[1], 'anonymize');
+
+      expect(confirmButton).toBeEnabled();
+      await user.click(confirmButton);
+
+      expect(mockedDeleteUserCompletely).toHaveBeenCalledWith('user-3', {
+        'teams/team-1': { action: 'reassign', reassignTo: 'user-4' },
+        'form_submissions/sub-1': { action: 'anonymize' },
+      });
+      expect(mockOnUserDeleted).toHaveBeenCalled();
+    });
+
+    test('blocks deletion when the linked records cannot be loaded', async () => {
+      const user = userEvent.setup({ pointerEventsCheck: 0 });
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      mockedPreviewUserDeletion.mockRejectedValue(new Error('Admin access required.'));
+
+      render(
+        <UsersTable
+          users={mockUsers}
+          isLoading={false}
+          onUpdateUser={mockOnUpdateUser}
+          onUserDeleted={mockOnUserDeleted}
+        />
+      );
+
+      const deleteButtons = screen.getAllByRole('button', { name: /delete/i });
+      await user.click(deleteButtons[0]);
+
+      expect(await screen.findByRole('alert')).toHaveTextContent('Could not load the records linked to this user.');
+      expect(screen.getByRole('button', { name: /yes, delete user completely/i })).toBeDisabled();
+      expect(mockedDeleteUserCompletely).not.toHaveBeenCalled();
+
+      consoleError.mockRestore();
+    });
+  });
+
   describe('loading and empty states', () => {
     test('shows loading state when isLoading is true', () => {
       render(
@@ -0,0 +1,69 @@
+import { describe, test, expect } from 'vitest';
+import {
+    CHECK_IN_ISSUES,
+    canCheckIn,
+    getCheckInCode,
+    getCheckInIssues,
+    getEmergencyNotes,
+    parseCheckInCode,
+} from '@/utils/checkInUtils';
+
+const kid = (overrides = {}) => ({ id: 'kid1', signedDeclaration: true, signedFormStatus: 'completed', ...overrides });
+const registration = (overrides = {}) => ({ kidId: 'kid1', status: 'registered', ...overrides });
+
+describe('check-in codes', () => {
+    test('parseCheckInCode reads back the kid id of getCheckInCode', () => {
+        expect(parseCheckInCode(getCheckInCode('kid1'))).toBe('kid1');
+        expect(parseCheckInCode(` ${getCheckInCode('Ab_9-x')}\n`)).toBe('Ab_9-x');
+    });
+
+    test('parseCheckInCode rejects other codes', () => {
+        expect(parseCheckInCode('https://example.com')).toBeNull();
+        expect(parseCheckInCode(getCheckInCode(''))).toBeNull();
+        expect(parseCheckInCode(getCheckInCode('kid1/../users'))).toBeNull();
+        expect(parseCheckInCode(null)).toBeNull();
+    });
+});
+
+describe('getCheckInIssues and canCheckIn', () => {
+    test('lets a registered kid with paperwork in through', () => {
+        const issues = getCheckInIssues(kid(), registration(), {});
+        expect(issues).toEqual([]);
+        expect(canCheckIn(issues)).toBe(true);
+    });
+
+    test('warns about missing paperwork without blocking', () => {
+        const issues = getCheckInIssues(kid({ signedDeclaration: false, signedFormStatus: 'pending' }), registration(), {});
+        expect(issues).toEqual([CHECK_IN_ISSUES.DECLARATION_MISSING, CHECK_IN_ISSUES.FORM_NOT_COMPLETED]);
+        expect(canCheckIn(issues)).toBe(true);
+        expect(getCheckInIssues(kid({ signedDeclaration: false }), registration({ declarationUploaded: true }), {})).toEqual([]);
+        expect(getCheckInIssues(kid({ signedDeclaration: false }), registration(), { requireSignedDeclaration: false })).toEqual([]);
+    });
+
+    test('blocks kids who are not registered, waitlisted or already in', () => {
+        expect(canCheckIn(getCheckInIssues(kid(), null, {}))).toBe(false);
+        expect(getCheckInIssues(kid(), registration({ status: 'cancelled' }), {})).toEqual([CHECK_IN_ISSUES.NOT_REGISTERED]);
+        expect(getCheckInIssues(kid(), registration({ status: 'waitlisted' }), {})).toEqual([CHECK_IN_ISSUES.WAITLISTED]);
+        const issues = getCheckInIssues(kid(), registration({ checkedInAt: new Date() }), {});
+        expect(issues).toEqual([CHECK_IN_ISSUES.ALREADY_CHECKED_IN]);
+        expect(canCheckIn(issues)).toBe(false);
+    });
+});
+
+describe('getEmergencyNotes', () => {
+    test('splits severe allergies from the rest and lists medications', () => {
+        expect(getEmergencyNotes({
+            allergies: [{ allergen: 'Peanuts', severity: 'severe' }, { allergen: 'Dust', severity: 'mild' }],
+            seizureProtocol: { hasSeizures: true },
+            medications: [{ name: 'EpiPen' }, { name: '' }],
+            additionalNotes: 'Wears glasses',
+        })).toEqual({
+            severeAllergies: ['Peanuts'],
+            otherAllergies: ['Dust'],
+            hasSeizures: true,
+            medications: ['EpiPen'],
+            notes: 'Wears glasses',
+        });
+        expect(getEmergencyNotes(null)).toEqual({ severeAllergies: [], otherAllergies: [], hasSeizures: false, medications: [], notes: '' });
+    });
+});
@@ -0,0 +1,134 @@
+import { describe, test, expect } from 'vitest';
+import {
+    buildEventDates,
+    compareEventStarts,
+    formatEventDate,
+    fromIsraelDateTime,
+    getEventDay,
+    getEventEnd,
+    getEventEndTime,
+    getEventStart,
+    getEventStartTime,
+    hasEventTime,
+    isEventOver,
+    toDate
+} from '@/utils/eventDateUtils';
+
+describe('fromIsraelDateTime', () => {
+    test('uses the winter and the summer offset', () => {
+        expect(fromIsraelDateTime('2026-01-15', '10:00')?.toISOString()).toBe('2026-01-15T08:00:00.000Z');
+        expect(fromIsraelDateTime('2026-07-01', '10:00')?.toISOString()).toBe('2026-07-01T07:00:00.000Z');
+    });
+
+    test('uses the summer offset on the day the clocks go forward', () => {
+        expect(fromIsraelDateTime('2026-03-27', '10:00')?.toISOString()).toBe('2026-03-27T07:00:00.000Z');
+    });
+
+    test('rejects dates and times it cannot read', () => {
+        expect(fromIsraelDateTime('Date TBD', '10:00')).toBeNull();
+        expect(fromIsraelDateTime('2026-07-01', '25:00')).toBeNull();
+    });
+});
+
+describe('toDate', () => {
+    test('reads a bare date as midnight in Israel, not UTC', () => {
+        expect(toDate('2026-10-20')?.toISOString()).toBe('2026-10-19T21:00:00.000Z');
+    });
+
+    test('reads Timestamps', () => {
+        const date = new Date('2026-10-20T07:00:00.000Z');
+        expect(toDate({ toDate: () => date })).toBe(date);
+        expect(toDate({ seconds: date.getTime() / 1000 })?.getTime()).toBe(date.getTime());
+    });
+});
+
+describe('getEventStart and getEventEnd', () => {
+    test('prefer startsAt and endsAt', () => {
+        const startsAt = new Date('2026-10-20T07:00:00.000Z');
+        const endsAt = new Date('2026-10-20T12:30:00.000Z');
+        const event = { date: '2026-01-01', time: '08:00', startsAt, endsAt };
+        expect(getEventStart(event)).toBe(startsAt);
+        expect(getEventEnd(event)).toBe(endsAt);
+        expect(getEventEndTime(event)).toBe('15:30');
+    });
+
+    test('read older events from their date and time', () => {
+        const event = { date: '2026-10-20', time: '10:00' };
+        expect(getEventStart(event)?.toISOString()).toBe('2026-10-20T07:00:00.000Z');
+        expect(getEventEnd(event)?.toISOString()).toBe('2026-10-20T10:00:00.000Z');
+        expect(getEventStart({ eventDate: '2026-10-20' })?.toISOString()).toBe('2026-10-19T21:00:00.000Z');
+    });
+
+    test('end events without a start time at the end of their day', () => {
+        expect(getEventEnd({ date: '2026-10-20' })?.toISOString()).toBe('2026-10-20T21:00:00.000Z');
+    });
+
+    test('keep date-only legacy events all-day, even with a midnight startsAt', () => {
+        const legacy = { date: '2026-10-20' };
+        const migrated = {
+            ...legacy,
+            startsAt: new Date('2026-10-19T21:00:00.000Z'),
+            endsAt: new Date('2026-10-20T00:00:00.000Z')
+        };
+        [legacy, migrated].forEach(event => {
+            expect(hasEventTime(event)).toBe(false);
+            expect(getEventStartTime(event)).toBe('');
+            expect(getEventEndTime(event)).toBe('');
+            expect(getEventDay(event)).toBe('2026-10-20');
+            expect(getEventEnd(event)?.toISOString()).toBe('2026-10-20T21:00:00.000Z');
+            expect(isEventOver(event, new Date('2026-10-20T12:00:00.000Z'))).toBe(false);
+        });
+    });
+
+    test('return null for events without a date', () => {
+        expect(getEventStart({ date: 'Date TBD' })).toBeNull();
+        expect(getEventEnd({})).toBeNull();
+    });
+});
+
+describe('event days', () => {
+    // 01:00 in Israel is still the day before in UTC
+    const earlyEvent = { startsAt: new Date('2026-10-20T22:00:00.000Z') };
+
+    test('fall on the Israel date', () => {
+        expect(getEventDay(earlyEvent)).toBe('2026-10-21');
+        expect(formatEventDate(earlyEvent, 'en-US')).toBe('October 21, 2026');
+    });
+
+    test('are empty without a date', () => {
+        expect(getEventDay({})).toBe('');
+        expect(formatEventDate({}, 'en-US')).toBe('');
+    });
+});
+
+describe('buildEventDates', () => {
+    test('stores the start and end as instants', () => {
+        const dates = buildEventDates({ date: '2026-10-20', time: '09:00', endTime: '14:00' });
+        expect(dates.startsAt?.toISOString()).toBe('2026-10-20T06:00:00.000Z');
+        expect(dates.endsAt?.toISOString()).toBe('2026-10-20T11:00:00.000Z');
+        expect(dates.date).toBe('2026-10-20');
+    });
+
+    test('lasts 3 hours without an end time', () => {
+        const dates = buildEventDates({ date: '2026-10-20', time: '09:00' });
+        expect(dates.endsAt?.toISOString()).toBe('2026-10-20T09:00:00.000Z');
+    });
+});
+
+describe('isEventOver and compareEventStarts', () => {
+    test('an event is over at its end', () => {
+        const event = { date: '2026-10-20', time: '09:00' };
+        expect(isEventOver(event, new Date('2026-10-20T08:59:00.000Z'))).toBe(false);
+        expect(isEventOver(event, new Date('2026-10-20T09:00:00.000Z'))).toBe(true);
+        expect(isEventOver({}, new Date())).toBe(false);
+    });
+
+    test('sorts the earliest first and events without a date last', () => {
+        const events = [
+            { id: 'tbd' },
+            { id: 'late', date: '2026-10-21' },
+            { id: 'early', startsAt: new Date('2026-10-20T06:00:00.000Z') }
+        ];
+        expect(events.sort(compareEventStarts).map(event => event.id)).toEqual(['early', 'late', 'tbd']);
+    });
+});
@@ -0,0 +1,114 @@
+import { describe, test, expect } from 'vitest';
+import {
+    SCHEDULE_ISSUES,
+    createDefaultHeatSettings,
+    findScheduleConflicts,
+    generateHeatSchedule,
+    getHeatTimes,
+    getKidVehicleMap,
+    groupSiblings,
+    moveKidInSchedule,
+    validateHeatSettings,
+} from '@/utils/heatScheduleUtils';
+
+const kid = (id: string, parentIds: string[] = [`parent-${id}`], overrides = {}) => ({
+    id,
+    parentInfo: { parentIds },
+    ...overrides,
+});
+
+const settings = (overrides = {}) => ({ ...createDefaultHeatSettings({ date: '2026-06-15', time: '10:00' }), ...overrides });
+
+const vehicleMap = (entries: Record<string, string>) => new Map(Object.entries(entries));
+
+const heatIds = (heats: Array<{ kidIds: string[] }>) => heats.map((heat) => heat.kidIds);
+
+describe('getKidVehicleMap', () => {
+    test('takes shared vehicles from currentKidIds, then the kid\'s own vehicle', () => {
+        const map = getKidVehicleMap(
+            [kid('k1', [], { vehicleId: 'old' }), kid('k2', [], { vehicleId: 'v2' }), kid('k3')],
+            [{ id: 'v1', currentKidIds: ['k1', 'k3'] }]
+        );
+        expect(Object.fromEntries(map)).toEqual({ k1: 'v1', k2: 'v2', k3: 'v1' });
+    });
+});
+
+describe('groupSiblings', () => {
+    test('keeps kids that share a parent together, in order of their first kid', () => {
+        const families = groupSiblings([kid('a', ['p1']), kid('b', ['p2']), kid('c', ['p1']), kid('d', ['p3'])]);
+        expect(families.map((family) => family.map((member) => member.id))).toEqual([['a', 'c'], ['b'], ['d']]);
+    });
+
+    test('joins families linked by a kid with both parents', () => {
+        const families = groupSiblings([kid('a', ['p1']), kid('b', ['p2']), kid('c', ['p1', 'p2'])]);
+        expect(families.map((family) => family.map((member) => member.id))).toEqual([['a', 'b', 'c']]);
+    });
+});
+
+describe('generateHeatSchedule', () => {
+    test('fills heats in order, up to the heat size', () => {
+        const kids = ['k1', 'k2', 'k3', 'k4', 'k5'].map((id) => kid(id));
+        const vehicles = vehicleMap({ k1: 'v1', k2: 'v2', k3: 'v3', k4: 'v4', k5: 'v5' });
+        const { heats, unscheduled } = generateHeatSchedule(kids, vehicles, settings({ heatSize: 2 }));
+        expect(heatIds(heats)).toEqual([['k1', 'k2'], ['k3', 'k4'], ['k5']]);
+        expect(unscheduled).toEqual([]);
+    });
+
+    test('never runs a shared vehicle twice in a heat or in consecutive heats', () => {
+        const kids = ['k1', 'k2', 'k3', 'k4', 'k5', 'k6'].map((id) => kid(id));
+        const vehicles = vehicleMap({ k1: 'v1', k2: 'v1', k3: 'v1', k4: 'v2', k5: 'v3', k6: 'v4' });
+        const { heats } = generateHeatSchedule(kids, vehicles, settings({ heatSize: 2 }));
+        expect(findScheduleConflicts(heats, vehicles, 2)).toEqual([]);
+        expect(heatIds(heats).flat().sort()).toEqual(['k1', 'k2', 'k3', 'k4', 'k5', 'k6']);
+    });
+
+    test('leaves a break when every kid left needs a vehicle from the previous heat', () => {
+        const kids = [kid('k1'), kid('k2')];
+        const vehicles = vehicleMap({ k1: 'v1', k2: 'v1' });
+        expect(heatIds(generateHeatSchedule(kids, vehicles, settings()).heats)).toEqual([['k1'], [], ['k2']]);
+    });
+
+    test('puts siblings side by side and skips kids without a vehicle', () => {
+        const kids = [kid('a', ['p1']), kid('b'), kid('c', ['p1']), kid('d')];
+        const vehicles = vehicleMap({ a: 'v1', b: 'v2', c: 'v3' });
+        const { heats, unscheduled } = generateHeatSchedule(kids, vehicles, settings({ heatSize: 2 }));
+        expect(heatIds(heats)).toEqual([['a', 'c'], ['b']]);
+        expect(unscheduled).toEqual([{ kidId: 'd', reason: SCHEDULE_ISSUES.NO_VEHICLE }]);
+    });
+});
+
+describe('manual changes', () => {
+    test('moveKidInSchedule moves a kid to a place in another heat', () => {
+        const heats = [{ kidIds: ['k1', 'k2'] }, { kidIds: ['k3'] }];
+        expect(heatIds(moveKidInSchedule(heats, 'k2', 1, 0))).toEqual([['k1'], ['k2', 'k3']]);
+        expect(heatIds(moveKidInSchedule(heats, 'k4', 0))).toEqual([['k1', 'k2', 'k4'], ['k3']]);
+        expect(heatIds(heats)).toEqual([['k1', 'k2'], ['k3']]);
+    });
+
+    test('findScheduleConflicts reports double-booked vehicles and full heats', () => {
+        const vehicles = vehicleMap({ k1: 'v1', k2: 'v1', k3: 'v1', k4: 'v2' });
+        const conflicts = findScheduleConflicts([{ kidIds: ['k1', 'k2'] }, { kidIds: ['k3', 'k4', 'k5'] }], vehicles, 2);
+        expect(conflicts.map(({ heat, code, kidId }) => [heat, code, kidId])).toEqual([
+            [0, SCHEDULE_ISSUES.VEHICLE_TWICE_IN_HEAT, 'k2'],
+            [1, SCHEDULE_ISSUES.HEAT_OVER_SIZE, null],
+            [1, SCHEDULE_ISSUES.VEHICLE_CONSECUTIVE, 'k3'],
+            [1, SCHEDULE_ISSUES.NO_VEHICLE, 'k5'],
+        ]);
+    });
+});
+
+describe('settings and times', () => {
+    test('getHeatTimes adds the changeover after each heat', () => {
+        expect(getHeatTimes(3, settings({ heatDurationMinutes: 5, changeoverMinutes: 3 }))).toEqual([
+            { start: '10:00', end: '10:05' },
+            { start: '10:08', end: '10:13' },
+            { start: '10:16', end: '10:21' },
+        ]);
+    });
+
+    test('validateHeatSettings rejects bad numbers and times', () => {
+        expect(validateHeatSettings(settings()).isValid).toBe(true);
+        const { errors } = validateHeatSettings(settings({ heatSize: 0, heatDurationMinutes: '', changeoverMinutes: -1, startTime: '25:00' }));
+        expect(Object.keys(errors).sort()).toEqual(['changeoverMinutes', 'heatDurationMinutes', 'heatSize', 'startTime']);
+    });
+});
@@ -0,0 +1,61 @@
+import { describe, test, expect } from 'vitest';
+import { buildCalendar, buildEventLines, escapeIcsText, foldIcsLine } from '@/utils/icsUtils';
+
+const now = new Date(Date.UTC(2026, 9, 1, 8, 30));
+
+const event = (overrides = {}) => ({
+    id: 'event1',
+    name: 'Spring Rally',
+    date: '2026-10-20',
+    time: '22:30',
+    location: 'Park',
+    address: 'Main St 1, Haifa',
+    status: 'upcoming',
+    ...overrides,
+});
+
+describe('buildEventLines', () => {
+    test('uses a stable UID, the sequence and Israel local times', () => {
+        expect(buildEventLines(event({ calendarSequence: 3 }), now)).toEqual([
+            'BEGIN:VEVENT',
+            'UID:event1@paragrutarally',
+            'DTSTAMP:20261001T083000Z',
+            'SEQUENCE:3',
+            'DTSTART;TZID=Asia/Jerusalem:20261020T223000',
+            'DTEND;TZID=Asia/Jerusalem:20261021T013000',
+            'SUMMARY:Spring Rally',
+            'LOCATION:Park\\, Main St 1\\, Haifa',
+            'STATUS:CONFIRMED',
+            'END:VEVENT',
+        ]);
+    });
+
+    test('makes an all-day event without a time and marks cancellations', () => {
+        const lines = buildEventLines(event({ time: '', status: 'cancelled', date: '2026-12-31' }), now);
+        expect(lines).toContain('DTSTART;VALUE=DATE:20261231');
+        expect(lines).toContain('DTEND;VALUE=DATE:20270101');
+        expect(lines).toContain('SEQUENCE:0');
+        expect(lines).toContain('STATUS:CANCELLED');
+    });
+});
+
+describe('text and line rules', () => {
+    test('escapeIcsText escapes separators and new lines', () => {
+        expect(escapeIcsText('a;b,c\\d\ne')).toBe('a\\;b\\,c\\\\d\\ne');
+    });
+
+    test('foldIcsLine folds at 75 bytes without splitting Hebrew letters', () => {
+        const folded = foldIcsLine(`SUMMARY:${'ראלי '.repeat(20)}`);
+        const lines = folded.split('\r\n');
+        expect(lines.length).toBeGreaterThan(1);
+        lines.forEach((line) => expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75));
+        expect(lines.map((line, index) => (index === 0 ? line : line.slice(1))).join('')).toBe(`SUMMARY:${'ראלי '.repeat(20)}`);
+    });
+
+    test('buildCalendar leaves out events without a date and ends lines with CRLF', () => {
+        const calendar = buildCalendar([event(), event({ id: 'event2', date: 'Date TBD' })], { now });
+        expect(calendar.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+        expect(calendar).toContain('BEGIN:VTIMEZONE\r\nTZID:Asia/Jerusalem');
+        expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    });
+});
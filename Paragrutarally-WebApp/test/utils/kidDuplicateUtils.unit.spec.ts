@@ -0,0 +1,76 @@
+import { describe, test, expect } from 'vitest';
+import {
+    MERGE_SOURCE,
+    compareKids,
+    findDuplicateKids,
+    getDefaultMergeChoices,
+    nameSimilarity,
+    normalizeName,
+} from '@/utils/kidDuplicateUtils';
+
+const kid = (id: string, firstName: string, lastName: string, extra: Record<string, unknown> = {}) => ({
+    id,
+    personalInfo: { firstName, lastName, dateOfBirth: '2016-05-12', ...(extra.personalInfo as object) },
+    parentInfo: { email: 'rina@example.com', phone: '050-123-4567', ...(extra.parentInfo as object) },
+    createdAt: extra.createdAt,
+});
+
+describe('name matching', () => {
+    test('ignores vowel points, final letters and case', () => {
+        expect(normalizeName('שָׁלוֹם')).toBe('שלומ');
+        expect(normalizeName('  Dana-Lee ')).toBe('dana lee');
+    });
+
+    test('matches Hebrew and English spellings of the same name', () => {
+        expect(nameSimilarity('Cohen', 'כהן')).toBeGreaterThanOrEqual(0.8);
+        expect(nameSimilarity('David', 'דוד')).toBeGreaterThanOrEqual(0.8);
+        expect(nameSimilarity('Levi', 'לוי')).toBeGreaterThanOrEqual(0.8);
+        expect(nameSimilarity('Maya', 'נועה')).toBeLessThan(0.8);
+    });
+});
+
+describe('compareKids', () => {
+    test('needs a matching date of birth or parent contact besides the name', () => {
+        const match = compareKids(
+            kid('a', 'Dana', 'Levi'),
+            kid('b', 'דנה', 'לוי', { personalInfo: { dateOfBirth: '' }, parentInfo: { email: '', phone: '+972 50 123 4567' } }),
+        );
+        expect(match?.reasons).toEqual(['name', 'parentPhone']);
+
+        expect(compareKids(
+            kid('a', 'Dana', 'Levi'),
+            kid('b', 'Dana', 'Levi', { personalInfo: { dateOfBirth: '' }, parentInfo: { email: '', phone: '' } }),
+        )).toBeNull();
+    });
+
+    test('keeps siblings apart', () => {
+        expect(compareKids(kid('a', 'Noa', 'Cohen'), kid('b', 'Noam', 'Cohen', { personalInfo: { dateOfBirth: '2018-01-02' } }))).toBeNull();
+        expect(compareKids(kid('a', 'Noa', 'Cohen'), kid('b', 'Maya', 'Cohen'))).toBeNull();
+    });
+});
+
+describe('findDuplicateKids', () => {
+    test('suggests the kid registered first as the survivor', () => {
+        const pairs = findDuplicateKids([
+            kid('late', 'Dana', 'Levy', { createdAt: new Date('2025-02-01') }),
+            kid('early', 'Dana', 'Levi', { createdAt: new Date('2024-09-01') }),
+            kid('other', 'Omer', 'Katz', { parentInfo: { email: 'katz@example.com', phone: '' } }),
+        ]);
+        expect(pairs).toHaveLength(1);
+        expect(pairs[0].survivor.id).toBe('early');
+        expect(pairs[0].duplicate.id).toBe('late');
+        expect(pairs[0].reasons).toEqual(['name', 'dateOfBirth', 'parentEmail', 'parentPhone']);
+    });
+});
+
+describe('getDefaultMergeChoices', () => {
+    test('keeps the survivor values and fills its gaps from the duplicate', () => {
+        const choices = getDefaultMergeChoices(
+            { personalInfo: { firstName: 'Dana', photo: '' }, teamId: '' },
+            { personalInfo: { firstName: 'דנה', photo: 'https://example.com/p.jpg' }, teamId: 'team-1' },
+        );
+        expect(choices['personalInfo.firstName']).toBe(MERGE_SOURCE.SURVIVOR);
+        expect(choices['personalInfo.photo']).toBe(MERGE_SOURCE.DUPLICATE);
+        expect(choices.teamId).toBe(MERGE_SOURCE.DUPLICATE);
+    });
+});
@@ -0,0 +1,127 @@
+import { describe, test, expect } from 'vitest';
+import { KID_ID_COLUMN, guessColumnMapping, normalizeImportDate, planKidImport } from '@/utils/kidImportUtils';
+
+const teams = [{ id: 'team-1', name: 'Red Racers' }];
+
+const existingKids = [
+    {
+        id: 'kid-1',
+        participantNumber: '007',
+        personalInfo: { firstName: 'Dana', lastName: 'Levi', dateOfBirth: '2015-03-01' },
+        parentInfo: { name: 'Rina Levi', email: 'rina@example.com', phone: '0501234567' },
+        teamId: null,
+    },
+];
+
+const headers = ['Participant Number', 'First Name', 'Last Name', 'Date of Birth', 'Parent Name', 'Parent Email', 'Parent Phone', 'Team Name'];
+
+const row = (values: Record<string, string>) => ({
+    'Participant Number': '',
+    'First Name': 'Noa',
+    'Last Name': 'Cohen',
+    'Date of Birth': '12/05/2016',
+    'Parent Name': 'Avi Cohen',
+    'Parent Email': 'avi@example.com',
+    'Parent Phone': '0521234567',
+    'Team Name': '',
+    ...values,
+});
+
+describe('guessColumnMapping', () => {
+    test('recognises English and Hebrew export titles', () => {
+        expect(guessColumnMapping(headers)).toMatchObject({
+            participantNumber: 'Participant Number',
+            'personalInfo.firstName': 'First Name',
+            teamId: 'Team Name',
+        });
+        expect(guessColumnMapping(['שם פרטי', 'טלפון הורה'])).toEqual({
+            'personalInfo.firstName': 'שם פרטי',
+            'parentInfo.phone': 'טלפון הורה',
+        });
+    });
+});
+
+describe('normalizeImportDate', () => {
+    test('reads text dates day first', () => {
+        expect(normalizeImportDate('12/05/2016')).toBe('2016-05-12');
+        expect(normalizeImportDate('1.2.15')).toBe('2015-02-01');
+        expect(normalizeImportDate('2016-05-12')).toBe('2016-05-12');
+        expect(normalizeImportDate('soon')).toBe('soon');
+    });
+});
+
+describe('planKidImport', () => {
+    const mapping = guessColumnMapping(headers);
+
+    test('splits rows into creates, updates, unchanged and errors', () => {
+        const plan = planKidImport([
+            row({ 'Team Name': 'red racers' }),
+            row({ 'Participant Number': '7', 'First Name': 'Dana', 'Last Name': 'Levi', 'Date of Birth': '2015-03-01', 'Parent Name': 'Rina Levi', 'Parent Email': 'rina@example.com', 'Parent Phone': '0507654321' }),
+            row({ 'Participant Number': '007', 'First Name': 'Dana' }),
+            row({ 'Parent Email': 'not-an-email' }),
+            {},
+        ], mapping, { existingKids, teams });
+
+        expect(plan.creates).toHaveLength(1);
+        expect(plan.creates[0]).toMatchObject({ rowNumber: 2, data: { teamId: 'team-1' } });
+        expect(plan.creates[0].data.personalInfo.dateOfBirth).toBe('2016-05-12');
+
+        expect(plan.updates).toHaveLength(1);
+        expect(plan.updates[0].kidId).toBe('kid-1');
+        expect(plan.updates[0].changes).toEqual([
+            { field: 'parentInfo.phone', from: '0501234567', to: '0507654321' },
+        ]);
+
+        // Row 4 repeats the number already used on row 3
+        expect(plan.errors.map(entry => entry.rowNumber)).toEqual([4, 5]);
+        expect(plan.unchanged).toHaveLength(0);
+    });
+
+    test('reports unknown teams and leaves existing data alone when cells are empty', () => {
+        const plan = planKidImport([
+            row({ 'Team Name': 'Blue Blasters' }),
+            row({ 'Participant Number': '007', 'First Name': '', 'Last Name': '', 'Date of Birth': '', 'Parent Name': '', 'Parent Email': '', 'Parent Phone': '' }),
+        ], mapping, { existingKids, teams });
+
+        expect(plan.errors[0].messages[0]).toContain('Blue Blasters');
+        expect(plan.unchanged).toHaveLength(1);
+        expect(plan.updates).toHaveLength(0);
+    });
+
+    test('matches exported rows by Kid ID so the race number and team can change', () => {
+        const exportMapping = guessColumnMapping([...headers, KID_ID_COLUMN]);
+        expect(exportMapping.id).toBe(KID_ID_COLUMN);
+
+        const exported = {
+            'First Name': 'Dana',
+            'Last Name': 'Levi',
+            'Date of Birth': '2015-03-01',
+            'Parent Name': 'Rina Levi',
+            'Parent Email': 'rina@example.com',
+            'Parent Phone': '0501234567',
+            [KID_ID_COLUMN]: 'kid-1',
+        };
+        const plan = planKidImport([
+            { ...exported, 'Participant Number': '12', 'Team Name': 'Red Racers' },
+            { ...exported, [KID_ID_COLUMN]: 'kid-gone' },
+        ], exportMapping, { existingKids, teams });
+
+        expect(plan.updates).toHaveLength(1);
+        expect(plan.updates[0].changes).toEqual([
+            { field: 'participantNumber', from: '007', to: '12' },
+            { field: 'teamId', from: '', to: 'team-1' },
+        ]);
+        expect(plan.updates[0].data.parentInfo.phone).toBe('0501234567');
+        expect(plan.errors[0].rowNumber).toBe(3);
+    });
+
+    test('reads the exported "No Team" as taking the kid off its team', () => {
+        const onTeam = [{ ...existingKids[0], teamId: 'team-1' }];
+        const plan = planKidImport([
+            row({ 'Participant Number': '7', 'First Name': 'Dana', 'Last Name': 'Levi', 'Date of Birth': '2015-03-01', 'Parent Name': 'Rina Levi', 'Parent Email': 'rina@example.com', 'Parent Phone': '0501234567', 'Team Name': 'No Team' }),
+        ], mapping, { existingKids: onTeam, teams });
+
+        expect(plan.errors).toHaveLength(0);
+        expect(plan.updates[0].changes).toEqual([{ field: 'teamId', from: 'team-1', to: null }]);
+    });
+});
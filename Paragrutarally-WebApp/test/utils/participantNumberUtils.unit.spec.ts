@@ -0,0 +1,113 @@
+import { describe, test, expect } from 'vitest';
+import {
+    findDuplicateParticipantNumbers,
+    formatParticipantNumber,
+    getCounterSeed,
+    getNextSequenceValue,
+    normalizeNumberingConfig,
+    parseParticipantNumber,
+    participantNumberKey,
+    validateNumberingConfig,
+} from '@/utils/participantNumberUtils';
+
+const config = {
+    prefix: 'S25-',
+    minDigits: 3,
+    teamRanges: [
+        { teamId: 'red', start: 100, end: 199 },
+        { teamId: 'blue', start: 200, end: 202 },
+    ],
+};
+
+describe('participant number format', () => {
+    test('pads to the minimum digits after the prefix', () => {
+        expect(formatParticipantNumber(7, config)).toBe('S25-007');
+        expect(formatParticipantNumber(1234, config)).toBe('S25-1234');
+        expect(formatParticipantNumber(4, {})).toBe('004');
+    });
+
+    test('parses only numbers that use the prefix', () => {
+        expect(parseParticipantNumber('S25-042', 'S25-')).toBe(42);
+        expect(parseParticipantNumber('S24-042', 'S25-')).toBeNull();
+        expect(parseParticipantNumber(' 017 ', '')).toBe(17);
+        expect(parseParticipantNumber('A17', '')).toBeNull();
+        expect(parseParticipantNumber(undefined, '')).toBeNull();
+    });
+
+    test('reservation keys are safe document IDs', () => {
+        expect(participantNumberKey(' 12/3 ')).toBe('12_3');
+        expect(participantNumberKey(null)).toBe('');
+    });
+});
+
+describe('sequence values', () => {
+    test('the global counter skips reserved team ranges', () => {
+        expect(getNextSequenceValue(5, config)).toBe(6);
+        expect(getNextSequenceValue(99, config)).toBe(203);
+        expect(getNextSequenceValue(0, { teamRanges: [{ teamId: 'red', start: 1, end: 10 }] })).toBe(11);
+    });
+
+    test('kids of a team with a range are numbered inside it', () => {
+        expect(getNextSequenceValue(0, config, 'red')).toBe(100);
+        expect(getNextSequenceValue(150, config, 'red')).toBe(151);
+        expect(getNextSequenceValue(202, config, 'blue')).toBeNull();
+    });
+
+    test('teams without a range use the global counter', () => {
+        expect(getNextSequenceValue(5, config, 'green')).toBe(6);
+    });
+
+    test('the counter seed comes from the highest existing numbers', () => {
+        const kids = [
+            { participantNumber: 'S25-012' },
+            { participantNumber: 'S25-150' },
+            { participantNumber: 'S25-201' },
+            { participantNumber: 'S24-900' },
+            { participantNumber: '' },
+        ];
+        expect(getCounterSeed(kids, config)).toEqual({ global: 12, teams: { red: 150, blue: 201 } });
+    });
+});
+
+describe('validateNumberingConfig', () => {
+    test('accepts a valid config', () => {
+        expect(validateNumberingConfig(config)).toEqual({ isValid: true, errors: {} });
+    });
+
+    test('rejects bad prefixes and digit counts', () => {
+        const { errors } = validateNumberingConfig({ prefix: 'S/25', minDigits: 0, teamRanges: [] });
+        expect(errors).toHaveProperty('prefix');
+        expect(errors).toHaveProperty('minDigits');
+    });
+
+    test('rejects overlapping, inverted and duplicate team ranges', () => {
+        const overlap = { ...config, teamRanges: [{ teamId: 'a', start: 1, end: 50 }, { teamId: 'b', start: 50, end: 60 }] };
+        const inverted = { ...config, teamRanges: [{ teamId: 'a', start: 10, end: 5 }] };
+        const duplicate = { ...config, teamRanges: [{ teamId: 'a', start: 1, end: 5 }, { teamId: 'a', start: 6, end: 9 }] };
+        const missingTeam = { ...config, teamRanges: [{ teamId: '', start: 1, end: 5 }] };
+
+        [overlap, inverted, duplicate, missingTeam].forEach((candidate) => {
+            expect(validateNumberingConfig(candidate).errors).toHaveProperty('teamRanges');
+        });
+    });
+
+    test('missing settings fall back to the defaults', () => {
+        expect(normalizeNumberingConfig(undefined)).toEqual({ prefix: '', minDigits: 3, teamRanges: [] });
+    });
+});
+
+describe('findDuplicateParticipantNumbers', () => {
+    test('groups kids sharing a number with the oldest first', () => {
+        const kids = [
+            { id: 'newer', participantNumber: '005', createdAt: new Date('2024-05-01') },
+            { id: 'unique', participantNumber: '006', createdAt: new Date('2024-01-01') },
+            { id: 'older', participantNumber: '005 ', createdAt: { toMillis: () => new Date('2024-02-01').getTime() } },
+            { id: 'no-number', participantNumber: '' },
+            { id: 'also-no-number', participantNumber: '' },
+        ];
+
+        expect(findDuplicateParticipantNumbers(kids)).toEqual([
+            { participantNumber: '005', kids: [kids[2], kids[0]] },
+        ]);
+    });
+});
@@ -0,0 +1,110 @@
+import { describe, test, expect } from 'vitest';
+import { SEATING_SUPPORT, STEERING_ABILITY } from '@/schemas/kidSchema';
+import {
+    MATCH_ISSUES,
+    getMatchIssueText,
+    getVehicleMatch,
+    hasRecordedNeeds,
+    rankVehiclesForKid,
+} from '@/utils/vehicleMatchUtils';
+
+const kidWith = (needs = {}) => ({
+    id: 'kid1',
+    needs: { steeringAbility: '', seatingSupport: '', remoteOverrideRequired: false, ...needs },
+});
+
+const vehicle = (id: string, overrides = {}) => ({
+    id,
+    make: 'Peg Perego',
+    model: id,
+    steeringType: 'Power',
+    seatingSupport: SEATING_SUPPORT.STANDARD,
+    remoteOverride: false,
+    active: true,
+    ...overrides,
+});
+
+const codes = (match) => match.issues.map((issue) => issue.code);
+
+describe('getVehicleMatch', () => {
+    test('accepts any active vehicle when no needs are recorded', () => {
+        const match = getVehicleMatch({ id: 'kid1' }, vehicle('v1'));
+        expect(match).toEqual({ compatible: true, score: 100, issues: [] });
+    });
+
+    test('blocks vehicles without a remote override for kids who need one', () => {
+        expect(codes(getVehicleMatch(kidWith({ remoteOverrideRequired: true }), vehicle('v1'))))
+            .toEqual([MATCH_ISSUES.REMOTE_OVERRIDE_MISSING]);
+        expect(codes(getVehicleMatch(kidWith({ steeringAbility: STEERING_ABILITY.NONE }), vehicle('v1'))))
+            .toEqual([MATCH_ISSUES.CANNOT_STEER]);
+        expect(getVehicleMatch(kidWith({ steeringAbility: STEERING_ABILITY.NONE }), vehicle('v1', { remoteOverride: true })).compatible)
+            .toBe(true);
+    });
+
+    test('blocks seats with less support than the kid needs', () => {
+        const kid = kidWith({ seatingSupport: SEATING_SUPPORT.LATERAL });
+        const match = getVehicleMatch(kid, vehicle('v1'));
+        expect(match.compatible).toBe(false);
+        expect(match.score).toBe(0);
+        expect(codes(match)).toEqual([MATCH_ISSUES.SEATING_INSUFFICIENT]);
+
+        expect(getVehicleMatch(kid, vehicle('v2', { seatingSupport: SEATING_SUPPORT.FULL })).compatible).toBe(true);
+    });
+
+    test('warns about heavy or unknown steering for kids with limited steering', () => {
+        const kid = kidWith({ steeringAbility: STEERING_ABILITY.LIMITED });
+        const manual = getVehicleMatch(kid, vehicle('v1', { steeringType: 'Manual' }));
+        expect(manual.compatible).toBe(true);
+        expect(manual.score).toBeLessThan(100);
+        expect(codes(manual)).toEqual([MATCH_ISSUES.MANUAL_STEERING]);
+        expect(codes(getVehicleMatch(kid, vehicle('v2', { steeringType: '' })))).toEqual([MATCH_ISSUES.STEERING_UNKNOWN]);
+    });
+
+    test('treats inactive vehicles as incompatible', () => {
+        expect(getVehicleMatch(kidWith(), vehicle('v1', { active: false })).compatible).toBe(false);
+    });
+});
+
+describe('rankVehiclesForKid', () => {
+    test('puts the closest fit first and incompatible vehicles last', () => {
+        const kid = kidWith({ steeringAbility: STEERING_ABILITY.LIMITED, seatingSupport: SEATING_SUPPORT.LATERAL });
+        const ranked = rankVehiclesForKid(kid, [
+            vehicle('standard'),
+            vehicle('full', { seatingSupport: SEATING_SUPPORT.FULL }),
+            vehicle('lateral', { seatingSupport: SEATING_SUPPORT.LATERAL }),
+            vehicle('manual', { seatingSupport: SEATING_SUPPORT.LATERAL, steeringType: 'Manual' }),
+        ]);
+
+        expect(ranked.map((match) => match.vehicle.id)).toEqual(['lateral', 'full', 'manual', 'standard']);
+        expect(ranked.map((match) => match.recommended)).toEqual([true, false, false, false]);
+        expect(ranked[3].compatible).toBe(false);
+    });
+
+    test('keeps adapted vehicles for the kids who need them', () => {
+        const ranked = rankVehiclesForKid(kidWith({ steeringAbility: STEERING_ABILITY.INDEPENDENT }), [
+            vehicle('remote', { remoteOverride: true }),
+            vehicle('plain'),
+        ]);
+        expect(ranked[0].vehicle.id).toBe('plain');
+    });
+
+    test('recommends nothing until needs are recorded or when nothing fits', () => {
+        expect(rankVehiclesForKid({ id: 'kid1' }, [vehicle('v1')])[0].recommended).toBe(false);
+        expect(rankVehiclesForKid(kidWith({ remoteOverrideRequired: true }), [vehicle('v1')])[0].recommended).toBe(false);
+    });
+});
+
+describe('helpers', () => {
+    test('hasRecordedNeeds', () => {
+        expect(hasRecordedNeeds({})).toBe(false);
+        expect(hasRecordedNeeds(kidWith())).toBe(false);
+        expect(hasRecordedNeeds(kidWith({ remoteOverrideRequired: true }))).toBe(true);
+    });
+
+    test('getMatchIssueText translates every issue', () => {
+        const t = (key: string, fallback: string) => `${key}|${fallback}`;
+        Object.values(MATCH_ISSUES).forEach((code) => {
+            expect(getMatchIssueText({ code }, t)).toMatch(new RegExp(`^vehicleMatch\\.issues\\.${code}\\|`));
+        });
+    });
+});